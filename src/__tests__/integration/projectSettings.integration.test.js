@@ -0,0 +1,54 @@
+/**
+ * Integration Tests for the project settings hook
+ * Tests that the feature settings are restored from and saved to the project settings
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import { useProjectSettings } from '../../hooks/useProjectSettings';
+import { storageManager } from '../../services/storage';
+import { getDefaultCreditSettings } from '../../utils/creditScoring';
+
+describe('useProjectSettings', () => {
+  const projectData = { id: 'default', name: 'Empresa Exemplo S.A.', userId: 'local' };
+  let saveProjectSettings;
+
+  beforeEach(() => {
+    saveProjectSettings = jest.spyOn(storageManager, 'saveProjectSettings').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not save the defaults before the project settings are restored', () => {
+    const { result } = renderHook(() => useProjectSettings(projectData));
+
+    act(() => result.current.updateSetting('valuation', { forecastPeriods: 5 }));
+
+    expect(result.current.settings.valuation).toEqual({ forecastPeriods: 5 });
+    expect(result.current.settings.credit).toEqual(getDefaultCreditSettings());
+    expect(saveProjectSettings).not.toHaveBeenCalled();
+  });
+
+  it('merges the restored settings over the defaults and saves every later change', () => {
+    const { result } = renderHook(() => useProjectSettings(projectData));
+
+    act(() => result.current.restoreSettings({
+      currency: 'USD',
+      taxRegime: { regime: 'simples_nacional' },
+      excelLayoutProfiles: [{ id: 'layout_1', name: 'ERP' }],
+    }));
+
+    expect(result.current.settings.functionalCurrency).toBe('USD');
+    expect(result.current.settings.taxRegime.regime).toBe('simples_nacional');
+    expect(result.current.settings.taxRegime.grossRevenue).toBe(false);
+    expect(result.current.settings.rollingCashForecast).toBeNull();
+
+    act(() => result.current.updateSetting('excelLayoutProfiles', prev => [...prev, { id: 'layout_2', name: 'Planilha' }]));
+
+    const [savedProject, savedSettings] = saveProjectSettings.mock.calls[saveProjectSettings.mock.calls.length - 1];
+    expect(savedProject).toBe(projectData);
+    expect(savedSettings.excelLayoutProfiles.map(profile => profile.id)).toEqual(['layout_1', 'layout_2']);
+    expect(savedSettings.currency).toBe('USD');
+  });
+});
@@ -38,6 +38,11 @@ class MockWorker {
 // Replace global Worker
 global.Worker = MockWorker;
 
+// The real factory bundles the worker through import.meta, which Jest cannot parse
+jest.mock('../../../workers/createFinancialCalculatorWorker', () => ({
+  createFinancialCalculatorWorker: () => new global.Worker('financialCalculator.worker.js'),
+}));
+
 describe('FinancialCalculationService', () => {
   let service;
 
@@ -295,6 +300,25 @@ describe('FinancialCalculationService', () => {
       expect(result.projectedCashFlows[4]).toBe(146410);
       expect(result.terminalValue).toBe(1610510);
     });
+
+    it('should request a three-statement projection from historical inputs', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        data: [{ isForecast: false }, { isForecast: true }],
+      });
+
+      const options = { projection: { forecastPeriods: 1, assumptions: { revenueGrowth: 5 } } };
+      const result = await service.projectFinancialData([{ revenue: 1000000 }], 'YEARLY', options);
+
+      expect(MockWorker.lastMessage).toMatchObject({
+        type: 'PROJECTION',
+        periodsInputDataRaw: [{ revenue: 1000000 }],
+        periodTypeLabel: 'YEARLY',
+        options,
+      });
+      expect(result.map(period => period.isForecast)).toEqual([false, true]);
+    });
   });
 
   describe('Batch Calculations', () => {
@@ -494,6 +518,179 @@ describe('FinancialCalculationService', () => {
       expect(results.percentiles).toHaveProperty('p5');
       expect(results.percentiles).toHaveProperty('p95');
     });
+
+    it('should run the cash-flow simulation in the worker', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        type: 'MONTE_CARLO',
+        result: {
+          iterations: 500,
+          periods: [{ periodIndex: 0, isForecast: true, p5: -1000, p50: 5000, p95: 9000 }],
+          probabilityNegativeCash: 0.12,
+          minimumCash: { p50: 4000, histogram: [] },
+        },
+      });
+
+      const options = {
+        simulation: {
+          iterations: 500,
+          forecastPeriods: 1,
+          drivers: { revenueGrowth: { distribution: 'normal', mean: 5, stdDev: 3 } },
+        },
+      };
+      const result = await service.simulateCashFlow([{ revenue: 1000000 }], 'YEARLY', options);
+
+      expect(MockWorker.lastMessage).toMatchObject({
+        type: 'MONTE_CARLO',
+        periodsInputDataRaw: [{ revenue: 1000000 }],
+        periodTypeLabel: 'YEARLY',
+        options,
+      });
+      expect(result.probabilityNegativeCash).toBe(0.12);
+      expect(result.periods[0].p95).toBe(9000);
+    });
+  });
+
+  describe('Sensitivity Analysis', () => {
+    it('should request the data table and tornado from the worker', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        type: 'SENSITIVITY',
+        result: {
+          dataTable: { metric: 'ebitda', steps: [-10, 0, 10], baseValue: 100, values: [[90, 95, 100], [95, 100, 105], [100, 105, 110]] },
+          tornado: { metric: 'ebitda', rangePercent: 10, baseValue: 100, bars: [{ driver: 'revenue', swing: 20 }] },
+        },
+      });
+
+      const options = { sensitivity: { metric: 'ebitda', rowDriver: 'revenue', columnDriver: 'operatingExpenses', steps: [-10, 0, 10] } };
+      const result = await service.analyzeSensitivity([{ revenue: 1000000 }], 'YEARLY', options);
+
+      expect(MockWorker.lastMessage).toMatchObject({
+        type: 'SENSITIVITY',
+        periodsInputDataRaw: [{ revenue: 1000000 }],
+        periodTypeLabel: 'YEARLY',
+        options,
+      });
+      expect(result.dataTable.values[1][1]).toBe(100);
+      expect(result.tornado.bars[0].driver).toBe('revenue');
+    });
+  });
+
+  describe('Goal Seek', () => {
+    it('should request the solved drivers from the worker', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        type: 'GOAL_SEEK',
+        result: {
+          metric: 'closingCash',
+          target: 5000000,
+          achievedValue: 5000000,
+          converged: true,
+          drivers: [{ driver: 'accountsReceivableValueAvg', changes: [{ periodIndex: 0, from: 900000, to: 400000 }] }],
+          inputs: [{ accountsReceivableValueAvg: 400000 }],
+        },
+      });
+
+      const options = { goalSeek: { metric: 'closingCash', target: 5000000, drivers: ['accountsReceivableValueAvg'] } };
+      const result = await service.goalSeek([{ accountsReceivableValueAvg: 900000 }], 'YEARLY', options);
+
+      expect(MockWorker.lastMessage).toMatchObject({ type: 'GOAL_SEEK', periodTypeLabel: 'YEARLY', options });
+      expect(result.converged).toBe(true);
+      expect(result.inputs[0].accountsReceivableValueAvg).toBe(400000);
+    });
+  });
+
+  describe('Valuation', () => {
+    it('should request the DCF valuation from the worker', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        type: 'VALUATION',
+        result: {
+          wacc: { wacc: 11.2 },
+          bridge: { enterpriseValue: 5000000, netDebt: 1000000, equityValue: 4000000 },
+        },
+      });
+
+      const options = { valuation: { forecastPeriods: 5, terminalMethod: 'gordon' } };
+      const result = await service.valueCompany([{ revenue: 1000000 }], 'YEARLY', options);
+
+      expect(MockWorker.lastMessage).toMatchObject({ type: 'VALUATION', periodTypeLabel: 'YEARLY', options });
+      expect(result.bridge.equityValue).toBe(4000000);
+    });
+  });
+
+  describe('Budget Variance', () => {
+    it('should request the budget comparison from the worker', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        type: 'BUDGET_VARIANCE',
+        result: {
+          comparedPeriods: 1,
+          total: { lines: [{ key: 'revenue', variance: -50000, isFavorable: false }] },
+          revenueBridge: null,
+        },
+      });
+
+      const options = { budget: { periods: [{ revenue: 1000000 }], productMix: [] } };
+      const result = await service.compareToBudget([{ revenue: 950000 }], 'YEARLY', options);
+
+      expect(MockWorker.lastMessage).toMatchObject({ type: 'BUDGET_VARIANCE', periodTypeLabel: 'YEARLY', options });
+      expect(result.total.lines[0].variance).toBe(-50000);
+    });
+  });
+
+  describe('Scenario Comparison', () => {
+    it('should send every scenario to the worker', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        type: 'SCENARIO_COMPARISON',
+        result: {
+          baseScenarioId: 'current',
+          scenarios: [{ id: 'current', name: 'Atual' }, { id: 'down', name: 'Pessimista' }],
+          deltas: [],
+        },
+      });
+
+      const scenarios = [
+        { id: 'current', name: 'Atual', periods: [{ revenue: 1000000 }] },
+        { id: 'down', name: 'Pessimista', periods: [{ revenue: 1000000 }], adjustments: { revenue: -10 } },
+      ];
+      const result = await service.compareScenarios(scenarios, 'YEARLY');
+
+      expect(MockWorker.lastMessage).toMatchObject({ type: 'SCENARIO_COMPARISON', periodTypeLabel: 'YEARLY', scenarios });
+      expect(result.scenarios.map(scenario => scenario.id)).toEqual(['current', 'down']);
+    });
+  });
+
+  describe('Consolidation', () => {
+    it('should send the entities and eliminations to the worker', async () => {
+      MockWorker.mockResponse = (data) => ({
+        id: data.id,
+        success: true,
+        type: 'CONSOLIDATION',
+        result: {
+          periods: [{ incomeStatement: { revenue: 1400000 } }],
+          entities: [{ id: 'holding', name: 'Holding' }, { id: 'sub', name: 'Controlada' }],
+          bridge: [],
+        },
+      });
+
+      const entities = [
+        { id: 'holding', name: 'Holding', periods: [{ revenue: 1000000 }], isParent: true },
+        { id: 'sub', name: 'Controlada', periods: [{ revenue: 500000 }], ownershipPercent: 80 },
+      ];
+      const options = { eliminations: [{ type: 'revenueCogs', periodIndex: 0, amount: 100000 }] };
+      const result = await service.consolidate(entities, 'YEARLY', options);
+
+      expect(MockWorker.lastMessage).toMatchObject({ type: 'CONSOLIDATION', periodTypeLabel: 'YEARLY', entities, options });
+      expect(result.periods[0].incomeStatement.revenue).toBe(1400000);
+    });
   });
 
   describe('Error Handling and Timeouts', () => {
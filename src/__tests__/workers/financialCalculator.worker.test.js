@@ -165,4 +165,118 @@ describe('Financial Calculator Worker', () => {
       expect(Array.isArray(result.costs)).toBe(true);
     });
   });
+
+  describe('Message Handler', () => {
+    const periodsInputDataRaw = [
+      { revenue: 1000000, cogs: 600000, operatingExpenses: 200000, depreciation: 20000, capex: 50000, openingCash: 50000 },
+      { revenue: 1100000, cogs: 660000, operatingExpenses: 220000, depreciation: 22000, capex: 55000 },
+    ];
+
+    const send = (message) => {
+      const postMessage = jest.spyOn(self, 'postMessage').mockImplementation(() => {});
+      self.onmessage({ data: { id: 'calc_1', ...message } });
+      const [[response]] = postMessage.mock.calls;
+      postMessage.mockRestore();
+      return response;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should process the statements with the bundled calculation engine', () => {
+      const response = send({ type: 'FINANCIAL_DATA', periodsInputDataRaw, periodTypeLabel: 'anos', options: {} });
+
+      expect(response.success).toBe(true);
+      expect(response.data).toHaveLength(2);
+      expect(response.data[0].daysInPeriod).toBe(365);
+    });
+
+    it('should run the Monte Carlo simulation and the sensitivity analysis', () => {
+      const simulation = send({
+        type: 'MONTE_CARLO',
+        periodsInputDataRaw,
+        periodTypeLabel: 'anos',
+        options: {
+          simulation: {
+            iterations: 20,
+            forecastPeriods: 2,
+            drivers: { revenueGrowth: { distribution: 'normal', mean: 5, stdDev: 3 } },
+            seed: 7,
+          },
+        },
+      });
+      const sensitivity = send({
+        type: 'SENSITIVITY',
+        periodsInputDataRaw,
+        periodTypeLabel: 'anos',
+        options: { sensitivity: { metric: 'ebitda', rowDriver: 'revenue', columnDriver: 'operatingExpenses', steps: [-10, 0, 10] } },
+      });
+
+      expect(simulation.success).toBe(true);
+      expect(simulation.result.iterations).toBe(20);
+      expect(simulation.result.periods).toHaveLength(4);
+      expect(sensitivity.success).toBe(true);
+      expect(sensitivity.result.dataTable.values).toHaveLength(3);
+    });
+
+    it('should reject simulations above the iteration cap', () => {
+      const response = send({
+        type: 'MONTE_CARLO',
+        periodsInputDataRaw,
+        periodTypeLabel: 'anos',
+        options: { simulation: { iterations: 50000, forecastPeriods: 2 } },
+      });
+
+      expect(response.success).toBe(false);
+      expect(response.error).toMatch(/between 1 and 5000/);
+    });
+
+    it('should reject forecast horizons above the cap and runs above the iterations × periods budget', () => {
+      const longHorizon = send({
+        type: 'MONTE_CARLO',
+        periodsInputDataRaw,
+        periodTypeLabel: 'meses',
+        options: { simulation: { iterations: 100, forecastPeriods: 120 } },
+      });
+      const overBudget = send({
+        type: 'MONTE_CARLO',
+        periodsInputDataRaw,
+        periodTypeLabel: 'meses',
+        options: { simulation: { iterations: 5000, forecastPeriods: 24 } },
+      });
+
+      expect(longHorizon.success).toBe(false);
+      expect(longHorizon.error).toBe('Forecast periods must be an integer between 1 and 24');
+      expect(overBudget.success).toBe(false);
+      expect(overBudget.error).toMatch(/must not exceed 60000/);
+    });
+
+    it.each([
+      ['MONTE_CARLO', { options: { simulation: { iterations: 10, forecastPeriods: 2, drivers: { revenueGrowth: { distribution: 'poisson' } } } } },
+        'Driver revenueGrowth must use a normal, triangular or uniform distribution'],
+      ['SENSITIVITY', { options: { sensitivity: { metric: 'revenue', steps: [] } } },
+        'Metric must be closingCash, ebitda, netProfit or freeCashFlow; Steps must be a non-empty array of numbers'],
+      ['GOAL_SEEK', { options: { goalSeek: { metric: 'closingCash', target: '5000000', drivers: [] } } },
+        'Target must be a number; At least one driver is required'],
+      ['VALUATION', { options: { valuation: { forecastPeriods: 5, terminalMethod: 'multiple', riskFreeRate: 10.5, beta: 1, equityRiskPremium: 5, countryRiskPremium: 3, costOfDebt: 14 } } },
+        'Terminal method must be gordon or exitMultiple; taxRate must be a number'],
+      ['BUDGET_VARIANCE', { options: { budget: { periods: [], productMix: {} } } },
+        'Budget periods must be a non-empty array; Product mix must be an array'],
+      ['SCENARIO_COMPARISON', { periodsInputDataRaw: undefined, scenarios: [{ id: 'current', periods: periodsInputDataRaw }, { id: 'down', periods: [] }] },
+        'Scenario 2: periods must be a non-empty array'],
+      ['CONSOLIDATION', { periodsInputDataRaw: undefined, entities: [{ id: 'holding', periods: periodsInputDataRaw }] },
+        'Entities must be an array with at least two entities'],
+    ])('should reject an invalid %s request with its validation errors', (type, message, error) => {
+      const response = send({ type, periodsInputDataRaw, periodTypeLabel: 'anos', ...message });
+
+      expect(response.success).toBe(false);
+      expect(response.error).toBe(error);
+    });
+  });
 });
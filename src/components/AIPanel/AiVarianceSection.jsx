@@ -1,6 +1,76 @@
 // src/components/AIPanel/AiVarianceSection.jsx
 import React from 'react';
 import AiAnalysisSection from './AiAnalysisSection';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+const BRIDGE_ROWS = [
+  ['Receita Orçada (unidades × preço)', 'budgetRevenue'],
+  ['Efeito Preço', 'priceEffect'],
+  ['Efeito Volume', 'volumeEffect'],
+  ['Efeito Mix', 'mixEffect'],
+  ['Outros Efeitos', 'otherEffect'],
+];
+
+/**
+ * Computed actual vs budget variances (see utils/budgetVariance.js)
+ */
+function BudgetVarianceTable({ budgetVariance }) {
+  const { total, revenueBridge, comparedPeriods } = budgetVariance;
+
+  return (
+    <div className="mb-4 grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="lg:col-span-2 overflow-x-auto avoid-break">
+        <h4 className="text-md font-semibold text-slate-800 mb-2 print:text-sm">
+          Realizado vs Orçamento ({comparedPeriods} {comparedPeriods === 1 ? 'período' : 'períodos'})
+        </h4>
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Linha</th>
+              <th className="border p-2 text-right">Realizado</th>
+              <th className="border p-2 text-right">Orçado</th>
+              <th className="border p-2 text-right">Variação</th>
+              <th className="border p-2 text-right">Variação %</th>
+            </tr>
+          </thead>
+          <tbody>
+            {total.lines.map(line => (
+              <tr key={line.key}>
+                <td className="border p-2">{line.label}</td>
+                <td className="border p-2 text-right">{formatCurrency(line.actual)}</td>
+                <td className="border p-2 text-right">{formatCurrency(line.budget)}</td>
+                <td className={`border p-2 text-right font-medium ${line.isFavorable ? 'text-green-700' : 'text-red-600'}`}>
+                  {formatCurrency(line.variance)}
+                </td>
+                <td className="border p-2 text-right">
+                  {line.variancePercent === null ? 'N/A' : formatPercentage(line.variancePercent)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {revenueBridge && (
+        <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none avoid-break">
+          <h4 className="text-md font-semibold text-slate-800 mb-3 print:text-sm">Preço, Volume e Mix da Receita</h4>
+          <dl className="text-sm space-y-1">
+            {BRIDGE_ROWS.map(([label, key]) => (
+              <div key={key} className="flex justify-between">
+                <dt className="text-slate-600">{label}</dt>
+                <dd className={revenueBridge[key] < 0 ? 'text-red-600' : ''}>{formatCurrency(revenueBridge[key])}</dd>
+              </div>
+            ))}
+            <div className="flex justify-between border-t pt-1 font-semibold">
+              <dt className="text-slate-600">Receita Realizada (unidades × preço)</dt>
+              <dd>{formatCurrency(revenueBridge.actualRevenue)}</dd>
+            </div>
+          </dl>
+        </div>
+      )}
+    </div>
+  );
+}
 
 /**
  * Legacy component that now uses the unified AiAnalysisSection
@@ -10,9 +80,10 @@ import AiAnalysisSection from './AiAnalysisSection';
  * error: any;
  * titleOverride?: string;
  * onRetry?: Function;
+ * budgetVariance?: object | null;
  * }} props
  */
-export default function AiVarianceSection({ analysisText, isLoading, error, titleOverride, onRetry }) {
+export default function AiVarianceSection({ analysisText, isLoading, error, titleOverride, onRetry, budgetVariance }) {
   const displayTitle = titleOverride || 'Análise de Variações Chave (Análise IA) ✨';
   
   // Logging for debugging during transition
@@ -26,13 +97,16 @@ export default function AiVarianceSection({ analysisText, isLoading, error, titl
 
   // Use the unified component
   return (
-    <AiAnalysisSection
-      title={displayTitle}
-      content={analysisText} // Note the prop name difference (analysisText vs content)
-      isLoading={isLoading}
-      error={error}
-      onRetry={onRetry}
-      className="ai-variance-section"
-    />
+    <>
+      {budgetVariance?.total && <BudgetVarianceTable budgetVariance={budgetVariance} />}
+      <AiAnalysisSection
+        title={displayTitle}
+        content={analysisText} // Note the prop name difference (analysisText vs content)
+        isLoading={isLoading}
+        error={error}
+        onRetry={onRetry}
+        className="ai-variance-section"
+      />
+    </>
   );
-}
\ No newline at end of file
+}
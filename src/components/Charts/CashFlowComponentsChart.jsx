@@ -1,6 +1,6 @@
 import React from 'react';
 import BaseChart from './BaseChart';
-import { PERIOD_TYPES } from '../../utils/constants';
+import { getPeriodLabel, getForecastRange } from '../../utils/projections';
 import { formatCurrency } from '../../utils/formatters';
 
 export default function CashFlowComponentsChart({ data, calculatedData, periodType = 'monthly' }) {
@@ -12,7 +12,7 @@ export default function CashFlowComponentsChart({ data, calculatedData, periodTy
       return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
     }
 
-    const { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } = window.Recharts;
+    const { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine } = window.Recharts;
 
     if (!periods || periods.length === 0) {
       return <p className="text-center text-slate-500 py-4">Sem dados disponíveis</p>;
@@ -22,13 +22,16 @@ export default function CashFlowComponentsChart({ data, calculatedData, periodTy
       // Support both data structures
       const cashFlow = period.cashFlow || period;
       return {
-        name: `${PERIOD_TYPES[periodType]?.shortLabel || 'Per.'} ${index + 1}`,
+        name: getPeriodLabel(periodType, index, period.isForecast),
+        isForecast: Boolean(period.isForecast),
         operating: cashFlow.operatingCashFlow || 0,
         investing: cashFlow.investingCashFlow || 0,
         financing: cashFlow.financingCashFlow || 0,
       };
     });
 
+    const forecastRange = getForecastRange(chartData);
+
     return (
       <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
         <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
@@ -38,6 +41,9 @@ export default function CashFlowComponentsChart({ data, calculatedData, periodTy
           <ResponsiveContainer width="100%" height="100%">
             <BarChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 60 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              {forecastRange && (
+                <ReferenceArea {...forecastRange} fill="#fef3c7" fillOpacity={0.5} label={{ value: 'Projeção', position: 'insideTop', fontSize: 10, fill: '#92400e' }} />
+              )}
               <XAxis 
                 dataKey="name" 
                 tick={{ fontSize: 11 }} 
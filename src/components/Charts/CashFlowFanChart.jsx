@@ -0,0 +1,89 @@
+// src/components/Charts/CashFlowFanChart.jsx
+import React from 'react';
+import BaseChart from './BaseChart';
+import { getPeriodLabel, getForecastRange } from '../../utils/projections';
+import { formatCurrency } from '../../utils/formatters';
+
+/**
+ * Fan chart of simulated closing cash: P5–P95 and P25–P75 bands around the median
+ * @param {{
+ * simulation: { periods: Array<object> } | null;
+ * periodType: string;
+ * }} props
+ */
+export default function CashFlowFanChart({ simulation, periodType }) {
+  const renderChartContent = (isRechartsLoaded) => {
+    if (!isRechartsLoaded || typeof window.Recharts === 'undefined') {
+      return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
+    }
+
+    const { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine, Label } = window.Recharts;
+
+    if (!simulation?.periods?.length) {
+      return <p className="text-center text-slate-500 py-4">Simulação ainda não executada.</p>;
+    }
+
+    const chartData = simulation.periods.map((period, index) => ({
+      name: getPeriodLabel(periodType, index, period.isForecast),
+      isForecast: period.isForecast,
+      'P5–P95': [period.p5, period.p95],
+      'P25–P75': [period.p25, period.p75],
+      'Mediana': period.p50,
+    }));
+
+    const forecastRange = getForecastRange(chartData);
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
+        <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+          Caixa Final Simulado (Leque de Percentis)
+        </h4>
+        <div className="flex-grow w-full min-h-[280px] print:min-h-[180px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              {forecastRange && (
+                <ReferenceArea {...forecastRange} fill="#fef3c7" fillOpacity={0.5} label={{ value: 'Projeção', position: 'insideTop', fontSize: 10, fill: '#92400e' }} />
+              )}
+              <XAxis
+                dataKey="name"
+                tick={{ fontSize: 11 }}
+                interval={0}
+                angle={-45}
+                textAnchor="end"
+                height={60}
+              />
+              <YAxis tick={{ fontSize: 11 }} tickFormatter={(value) => formatCurrency(value, true)}>
+                <Label angle={-90} value="R$" position="insideLeft" style={{ textAnchor: 'middle' }} />
+              </YAxis>
+              <Tooltip
+                formatter={(value, name) => [
+                  Array.isArray(value) ? `${formatCurrency(value[0])} a ${formatCurrency(value[1])}` : formatCurrency(value),
+                  name,
+                ]}
+                labelFormatter={(label) => `Período: ${label}`}
+                contentStyle={{
+                  backgroundColor: 'white',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  fontSize: '12px',
+                }}
+              />
+              <Legend wrapperStyle={{ fontSize: '11px' }} />
+              <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="2 2" />
+              <Area type="monotone" dataKey="P5–P95" stroke="none" fill="#bfdbfe" fillOpacity={0.6} />
+              <Area type="monotone" dataKey="P25–P75" stroke="none" fill="#60a5fa" fillOpacity={0.6} />
+              <Line type="monotone" dataKey="Mediana" stroke="#1d4ed8" strokeWidth={2} dot={{ r: 3 }} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <BaseChart libraryName="Recharts" chartTitle="Caixa Final Simulado">
+      {renderChartContent}
+    </BaseChart>
+  );
+}
@@ -1,6 +1,6 @@
 import React from 'react';
 import BaseChart from './BaseChart';
-import { PERIOD_TYPES } from '../../utils/constants';
+import { getPeriodLabel, getForecastRange } from '../../utils/projections';
 import { formatCurrency } from '../../utils/formatters';
 
 export default function CashFlowKeyMetricsTrendChart({ calculatedData, periodType }) {
@@ -10,20 +10,23 @@ export default function CashFlowKeyMetricsTrendChart({ calculatedData, periodTyp
       return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
     }
     
-    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Label } = window.Recharts;
+    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, Label } = window.Recharts;
 
     if (!calculatedData || calculatedData.length === 0) {
       return <p className="text-center text-slate-500 py-4">Dados insuficientes.</p>;
     }
 
     const chartData = calculatedData.map((period, index) => ({
-      name: `${PERIOD_TYPES[periodType]?.shortLabel || 'Per.'} ${index + 1}`,
+      name: getPeriodLabel(periodType, index, period.isForecast),
+      isForecast: Boolean(period.isForecast),
       'FCO': period.operatingCashFlow || 0,
       'FCL': period.freeCashFlow || 0,
       'Var. Caixa': period.netChangeInCash || 0,
       'Saldo Caixa': period.closingCash || 0,
     }));
 
+    const forecastRange = getForecastRange(chartData);
+
     return (
       <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
         <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
@@ -33,6 +36,9 @@ export default function CashFlowKeyMetricsTrendChart({ calculatedData, periodTyp
           <ResponsiveContainer width="100%" height="100%">
             <LineChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              {forecastRange && (
+                <ReferenceArea {...forecastRange} fill="#fef3c7" fillOpacity={0.5} label={{ value: 'Projeção', position: 'insideTop', fontSize: 10, fill: '#92400e' }} />
+              )}
               <XAxis 
                 dataKey="name" 
                 tick={{ fontSize: 11 }} 
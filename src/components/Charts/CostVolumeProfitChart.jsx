@@ -0,0 +1,88 @@
+// src/components/Charts/CostVolumeProfitChart.jsx
+import React from 'react';
+import BaseChart from './BaseChart';
+import { buildCostVolumeProfitSeries } from '../../utils/breakEven';
+import { formatCurrency } from '../../utils/formatters';
+
+/**
+ * Cost-volume-profit chart of one period: revenue, total and fixed cost lines, with the
+ * break-even point and the actual revenue marked
+ * @param {{
+ * periodBreakEven: object | null;
+ * periodLabel: string;
+ * }} props
+ */
+export default function CostVolumeProfitChart({ periodBreakEven, periodLabel }) {
+  const renderChartContent = (isRechartsLoaded) => {
+    if (!isRechartsLoaded || typeof window.Recharts === 'undefined') {
+      return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
+    }
+
+    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } = window.Recharts;
+
+    if (!periodBreakEven) {
+      return <p className="text-center text-slate-500 py-4">Dados insuficientes.</p>;
+    }
+
+    const chartData = buildCostVolumeProfitSeries(periodBreakEven).map(point => ({
+      ...point,
+      revenueLine: point.revenue,
+    }));
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
+        <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+          Custo-Volume-Lucro - {periodLabel}
+        </h4>
+        <div className="flex-grow w-full min-h-[280px] print:min-h-[180px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ top: 20, right: 25, left: 0, bottom: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                dataKey="revenue"
+                type="number"
+                domain={[0, 'dataMax']}
+                tick={{ fontSize: 11 }}
+                tickFormatter={(value) => formatCurrency(value, true)}
+              />
+              <YAxis tick={{ fontSize: 11 }} tickFormatter={(value) => formatCurrency(value, true)} />
+              <Tooltip
+                formatter={(value, name) => [formatCurrency(value), name]}
+                labelFormatter={(label) => `Receita: ${formatCurrency(label)}`}
+                contentStyle={{
+                  backgroundColor: 'white',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  fontSize: '12px',
+                }}
+              />
+              <Legend wrapperStyle={{ fontSize: '11px' }} />
+              <Line type="linear" dataKey="revenueLine" name="Receita" stroke="#1d4ed8" strokeWidth={2} dot={false} />
+              <Line type="linear" dataKey="totalCosts" name="Custos Totais" stroke="#dc2626" strokeWidth={2} dot={false} />
+              <Line type="linear" dataKey="fixedCosts" name="Custos Fixos" stroke="#64748b" strokeDasharray="5 3" dot={false} />
+              {periodBreakEven.breakEvenRevenue !== null && (
+                <ReferenceLine
+                  x={periodBreakEven.breakEvenRevenue}
+                  stroke="#f59e0b"
+                  strokeDasharray="6 4"
+                  label={{ value: 'Ponto de equilíbrio', position: 'top', fontSize: 10, fill: '#b45309' }}
+                />
+              )}
+              <ReferenceLine
+                x={periodBreakEven.revenue}
+                stroke="#16a34a"
+                label={{ value: 'Receita atual', position: 'insideTopRight', fontSize: 10, fill: '#15803d' }}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <BaseChart libraryName="Recharts" chartTitle="Custo-Volume-Lucro">
+      {renderChartContent}
+    </BaseChart>
+  );
+}
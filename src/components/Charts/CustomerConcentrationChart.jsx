@@ -0,0 +1,69 @@
+// src/components/Charts/CustomerConcentrationChart.jsx
+import React from 'react';
+import BaseChart from './BaseChart';
+import { formatPercentage } from '../../utils/formatters';
+
+/**
+ * Revenue share of the largest customers with the cumulative share curve
+ * @param {{
+ * topCustomers: Array<{ id: string, name: string, share: number, cumulativeShare: number }>;
+ * highlightShare?: number;
+ * }} props
+ */
+export default function CustomerConcentrationChart({ topCustomers, highlightShare = 20 }) {
+  const renderChartContent = (isRechartsLoaded) => {
+    if (!isRechartsLoaded || typeof window.Recharts === 'undefined') {
+      return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
+    }
+
+    const { ComposedChart, Bar, Line, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } = window.Recharts;
+
+    if (!topCustomers || topCustomers.length === 0) {
+      return <p className="text-center text-slate-500 py-4">Dados insuficientes.</p>;
+    }
+
+    const chartData = topCustomers.map((customer, index) => ({
+      ...customer,
+      label: `${index + 1}. ${customer.name.length > 18 ? `${customer.name.slice(0, 18)}…` : customer.name}`,
+    }));
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
+        <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+          Participação dos Maiores Clientes na Receita
+        </h4>
+        <div className="flex-grow w-full min-h-[280px] print:min-h-[180px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="label" tick={{ fontSize: 10 }} interval={0} angle={-30} textAnchor="end" height={70} />
+              <YAxis tick={{ fontSize: 11 }} domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+              <Tooltip
+                formatter={(value, name) => [formatPercentage(value), name]}
+                contentStyle={{
+                  backgroundColor: 'white',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  fontSize: '12px',
+                }}
+              />
+              <Legend wrapperStyle={{ fontSize: '11px' }} />
+              <Bar dataKey="share" name="Participação">
+                {chartData.map(customer => (
+                  <Cell key={customer.id} fill={customer.share >= highlightShare ? '#dc2626' : '#1d4ed8'} />
+                ))}
+              </Bar>
+              <Line type="monotone" dataKey="cumulativeShare" name="Participação Acumulada" stroke="#f59e0b" strokeWidth={2} dot={{ r: 3 }} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <BaseChart libraryName="Recharts" chartTitle="Concentração de Clientes">
+      {renderChartContent}
+    </BaseChart>
+  );
+}
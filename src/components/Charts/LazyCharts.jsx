@@ -18,4 +18,9 @@ export const BalanceSheetDifferenceTrendChart = lazy(() => import('./BalanceShee
 export const CashFlowKeyMetricsTrendChart = lazy(() => import('./CashFlowKeyMetricsTrendChart'));
 export const PnlVisualChart = lazy(() => import('./PnlVisualChart'));
 export const WorkingCapitalDaysTrendChart = lazy(() => import('./WorkingCapitalDaysTrendChart'));
+export const CashFlowFanChart = lazy(() => import('./CashFlowFanChart'));
+export const TornadoChart = lazy(() => import('./TornadoChart'));
+export const ScenarioOverlayChart = lazy(() => import('./ScenarioOverlayChart'));
+export const CostVolumeProfitChart = lazy(() => import('./CostVolumeProfitChart'));
+export const MonthlyFundingChart = lazy(() => import('./MonthlyFundingChart'));
 export const RechartsWrapper = lazy(() => import('./RechartsWrapper'));
@@ -1,6 +1,6 @@
 import React from 'react';
 import BaseChart from './BaseChart';
-import { PERIOD_TYPES } from '../../utils/constants';
+import { getPeriodLabel, getForecastRange } from '../../utils/projections';
 import { formatPercentage } from '../../utils/formatters';
 
 export default function MarginTrendChart({ data, calculatedData, periodType = 'monthly' }) {
@@ -12,7 +12,7 @@ export default function MarginTrendChart({ data, calculatedData, periodType = 'm
       return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
     }
 
-    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } = window.Recharts;
+    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea } = window.Recharts;
 
     if (!periods || periods.length === 0) {
       return <p className="text-center text-slate-500 py-4">Sem dados disponíveis</p>;
@@ -27,12 +27,19 @@ export default function MarginTrendChart({ data, calculatedData, periodType = 'm
       const netIncome = income.netIncome || 0;
 
       return {
-        name: `${PERIOD_TYPES[periodType]?.shortLabel || 'Per.'} ${index + 1}`,
+        name: getPeriodLabel(periodType, index, period.isForecast),
+        isForecast: Boolean(period.isForecast),
         grossMargin: revenue > 0 ? parseFloat(((grossProfit / revenue) * 100).toFixed(1)) : 0,
         ebitdaMargin: revenue > 0 ? parseFloat(((ebitda / revenue) * 100).toFixed(1)) : 0,
         netMargin: revenue > 0 ? parseFloat(((netIncome / revenue) * 100).toFixed(1)) : 0,
+        revenueGrowth: period.trends?.revenueGrowth,
+        revenueGrowthReal: period.trends?.revenueGrowthReal,
       };
     });
+    // Inflation-adjusted periods also plot revenue growth, nominal and real
+    const hasRealGrowth = chartData.some(item => item.revenueGrowthReal !== undefined);
+
+    const forecastRange = getForecastRange(chartData);
 
     return (
       <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
@@ -43,6 +50,9 @@ export default function MarginTrendChart({ data, calculatedData, periodType = 'm
           <ResponsiveContainer width="100%" height="100%">
             <LineChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              {forecastRange && (
+                <ReferenceArea {...forecastRange} fill="#fef3c7" fillOpacity={0.5} label={{ value: 'Projeção', position: 'insideTop', fontSize: 10, fill: '#92400e' }} />
+              )}
               <XAxis
                 dataKey="name"
                 tick={{ fontSize: 11 }}
@@ -66,6 +76,12 @@ export default function MarginTrendChart({ data, calculatedData, periodType = 'm
               <Line type="monotone" dataKey="grossMargin" stroke="#10b981" strokeWidth={2} dot={{ r: 3 }} name="Margem Bruta %" />
               <Line type="monotone" dataKey="ebitdaMargin" stroke="#3b82f6" strokeWidth={2} dot={{ r: 3 }} name="Margem EBITDA %" />
               <Line type="monotone" dataKey="netMargin" stroke="#8b5cf6" strokeWidth={2} dot={{ r: 3 }} name="Margem Líquida %" />
+              {hasRealGrowth && (
+                <Line type="monotone" dataKey="revenueGrowth" stroke="#f59e0b" strokeWidth={2} strokeDasharray="5 5" dot={{ r: 3 }} name="Cresc. Receita Nominal %" connectNulls />
+              )}
+              {hasRealGrowth && (
+                <Line type="monotone" dataKey="revenueGrowthReal" stroke="#ef4444" strokeWidth={2} strokeDasharray="5 5" dot={{ r: 3 }} name="Cresc. Receita Real %" connectNulls />
+              )}
             </LineChart>
           </ResponsiveContainer>
         </div>
@@ -0,0 +1,75 @@
+// src/components/Charts/MonthlyFundingChart.jsx
+import React from 'react';
+import BaseChart from './BaseChart';
+import { formatCurrency } from '../../utils/formatters';
+
+/**
+ * Monthly closing cash of the phased plan, with the peak funding month highlighted
+ * @param {{
+ * months: Array<{ monthIndex: number, label: string, closingCash: number, fundingRequirement: number }>;
+ * peakMonthIndex: number;
+ * minimumCash?: number;
+ * }} props
+ */
+export default function MonthlyFundingChart({ months, peakMonthIndex, minimumCash = 0 }) {
+  const renderChartContent = (isRechartsLoaded) => {
+    if (!isRechartsLoaded || typeof window.Recharts === 'undefined') {
+      return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
+    }
+
+    const { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } = window.Recharts;
+
+    if (!months || months.length === 0) {
+      return <p className="text-center text-slate-500 py-4">Dados insuficientes.</p>;
+    }
+
+    const barColor = (month) => {
+      if (month.monthIndex === peakMonthIndex) return '#dc2626';
+      return month.closingCash < minimumCash ? '#f59e0b' : '#1d4ed8';
+    };
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
+        <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+          Caixa Final Mensal e Pico de Necessidade de Financiamento
+        </h4>
+        <div className="flex-grow w-full min-h-[280px] print:min-h-[180px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={months} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="label" tick={{ fontSize: 10 }} interval={0} angle={-45} textAnchor="end" height={60} />
+              <YAxis tick={{ fontSize: 11 }} tickFormatter={(value) => formatCurrency(value, true)} />
+              <Tooltip
+                formatter={(value) => [formatCurrency(value), 'Caixa Final']}
+                labelFormatter={(label) => `Mês: ${label}`}
+                contentStyle={{
+                  backgroundColor: 'white',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  fontSize: '12px',
+                }}
+              />
+              <ReferenceLine
+                y={minimumCash}
+                stroke="#64748b"
+                strokeDasharray="6 4"
+                label={{ value: 'Caixa mínimo', position: 'right', fontSize: 9, fill: '#64748b' }}
+              />
+              <Bar dataKey="closingCash" name="Caixa Final">
+                {months.map(month => (
+                  <Cell key={month.monthIndex} fill={barColor(month)} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <BaseChart libraryName="Recharts" chartTitle="Caixa Mensal">
+      {renderChartContent}
+    </BaseChart>
+  );
+}
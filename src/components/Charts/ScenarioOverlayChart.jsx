@@ -0,0 +1,81 @@
+// src/components/Charts/ScenarioOverlayChart.jsx
+import React from 'react';
+import BaseChart from './BaseChart';
+import { getPeriodLabel } from '../../utils/projections';
+import { formatCurrency } from '../../utils/formatters';
+
+const SCENARIO_COLORS = ['#1d4ed8', '#16a34a', '#dc2626', '#f59e0b', '#8b5cf6', '#0891b2'];
+
+/**
+ * One metric overlaid per scenario, one line per scenario (base scenario drawn thicker)
+ * @param {{
+ * scenarios: Array<{ id: string, name: string, rows: Array<object> }>;
+ * metric: string;
+ * metricLabel: string;
+ * periodType: string;
+ * }} props
+ */
+export default function ScenarioOverlayChart({ scenarios, metric, metricLabel, periodType }) {
+  const renderChartContent = (isRechartsLoaded) => {
+    if (!isRechartsLoaded || typeof window.Recharts === 'undefined') {
+      return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
+    }
+
+    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } = window.Recharts;
+
+    if (!scenarios || scenarios.length === 0) {
+      return <p className="text-center text-slate-500 py-4">Dados insuficientes.</p>;
+    }
+
+    const periodCount = Math.max(...scenarios.map(scenario => scenario.rows.length));
+    const chartData = Array.from({ length: periodCount }, (_, index) => scenarios.reduce((point, scenario) => ({
+      ...point,
+      [scenario.name]: scenario.rows[index]?.[metric] ?? null,
+    }), { name: getPeriodLabel(periodType, index) }));
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
+        <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+          {metricLabel} por Cenário
+        </h4>
+        <div className="flex-grow w-full min-h-[280px] print:min-h-[180px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="name" tick={{ fontSize: 11 }} interval={0} angle={-45} textAnchor="end" height={60} />
+              <YAxis tick={{ fontSize: 11 }} tickFormatter={(value) => formatCurrency(value, true)} />
+              <Tooltip
+                formatter={(value, name) => [formatCurrency(value), name]}
+                labelFormatter={(label) => `Período: ${label}`}
+                contentStyle={{
+                  backgroundColor: 'white',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  fontSize: '12px',
+                }}
+              />
+              <Legend wrapperStyle={{ fontSize: '11px' }} />
+              {scenarios.map((scenario, index) => (
+                <Line
+                  key={scenario.id}
+                  type="monotone"
+                  dataKey={scenario.name}
+                  stroke={SCENARIO_COLORS[index % SCENARIO_COLORS.length]}
+                  strokeWidth={index === 0 ? 3 : 2}
+                  strokeDasharray={index === 0 ? undefined : '5 3'}
+                  dot={{ r: 3 }}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <BaseChart libraryName="Recharts" chartTitle="Comparação de Cenários">
+      {renderChartContent}
+    </BaseChart>
+  );
+}
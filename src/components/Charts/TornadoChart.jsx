@@ -0,0 +1,70 @@
+// src/components/Charts/TornadoChart.jsx
+import React from 'react';
+import BaseChart from './BaseChart';
+import { formatCurrency } from '../../utils/formatters';
+
+/**
+ * Tornado chart: change in the target metric with each driver at -X% and +X%, largest swing on top
+ * @param {{
+ * tornado: { rangePercent: number, bars: Array<object> } | null;
+ * metricLabel: string;
+ * }} props
+ */
+export default function TornadoChart({ tornado, metricLabel }) {
+  const renderChartContent = (isRechartsLoaded) => {
+    if (!isRechartsLoaded || typeof window.Recharts === 'undefined') {
+      return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
+    }
+
+    const { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } = window.Recharts;
+
+    const bars = (tornado?.bars || []).filter(bar => bar.swing > 0);
+    if (bars.length === 0) {
+      return <p className="text-center text-slate-500 py-4">Nenhum direcionador altera a métrica.</p>;
+    }
+
+    const lowKey = `-${tornado.rangePercent}%`;
+    const highKey = `+${tornado.rangePercent}%`;
+    const chartData = bars.map(bar => ({
+      name: bar.label,
+      [lowKey]: bar.lowDelta,
+      [highKey]: bar.highDelta,
+    }));
+
+    return (
+      <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
+        <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+          Tornado - {metricLabel} (±{tornado.rangePercent}%)
+        </h4>
+        <div className="flex-grow w-full print:min-h-[180px]" style={{ minHeight: Math.max(240, chartData.length * 32 + 60) }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={chartData} layout="vertical" stackOffset="sign" margin={{ top: 5, right: 25, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis type="number" tick={{ fontSize: 11 }} tickFormatter={(value) => formatCurrency(value, true)} />
+              <YAxis type="category" dataKey="name" tick={{ fontSize: 11 }} width={150} />
+              <Tooltip
+                formatter={(value, name) => [formatCurrency(value), `Variação com ${name}`]}
+                contentStyle={{
+                  backgroundColor: 'white',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  fontSize: '12px',
+                }}
+              />
+              <Legend wrapperStyle={{ fontSize: '11px' }} />
+              <ReferenceLine x={0} stroke="#475569" />
+              <Bar dataKey={lowKey} stackId="swing" fill="#f87171" />
+              <Bar dataKey={highKey} stackId="swing" fill="#60a5fa" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <BaseChart libraryName="Recharts" chartTitle="Gráfico Tornado">
+      {renderChartContent}
+    </BaseChart>
+  );
+}
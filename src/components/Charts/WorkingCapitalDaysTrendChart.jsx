@@ -1,39 +1,57 @@
 // src/components/Charts/WorkingCapitalDaysTrendChart.jsx
 import React from 'react';
 import BaseChart from './BaseChart';
-import { PERIOD_TYPES } from '../../utils/constants';
+import { getPeriodLabel, getForecastRange } from '../../utils/projections';
 import { formatDays } from '../../utils/formatters';
 
-export default function WorkingCapitalDaysTrendChart({ calculatedData, periodType }) {
+export default function WorkingCapitalDaysTrendChart({ calculatedData, periodType, benchmark = null }) {
   
   const renderChartContent = (isRechartsLoaded) => {
     if (!isRechartsLoaded || typeof window.Recharts === 'undefined') {
       return <div className="flex items-center justify-center h-full text-slate-500 text-sm p-4">Aguardando biblioteca de gráficos...</div>;
     }
     
-    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Label } = window.Recharts;
+    const { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine, Label } = window.Recharts;
 
     if (!calculatedData || calculatedData.length === 0) {
       return <p className="text-center text-slate-500 py-4">Dados insuficientes.</p>;
     }
 
-    const chartData = calculatedData.map((period, index) => ({
-      name: `${PERIOD_TYPES[periodType]?.shortLabel || 'Per.'} ${index + 1}`,
-      'PMR (Dias)': parseFloat(period.dso?.toFixed(1)) || 0,
-      'PME (Dias)': parseFloat(period.dio?.toFixed(1)) || 0,
-      'PMP (Dias)': parseFloat(period.dpo?.toFixed(1)) || 0,
-      'Ciclo Caixa (Dias)': parseFloat(period.cashConversionCycle?.toFixed(1)) || 0,
-    }));
+    const chartData = calculatedData.map((period, index) => {
+      // Support both the processed statements and the legacy flat period shape
+      const days = period.workingCapital || period;
+      return {
+        name: getPeriodLabel(periodType, index, period.isForecast),
+        isForecast: Boolean(period.isForecast),
+        'PMR (Dias)': parseFloat(days.dso?.toFixed(1)) || 0,
+        'PME (Dias)': parseFloat(days.dio?.toFixed(1)) || 0,
+        'PMP (Dias)': parseFloat(days.dpo?.toFixed(1)) || 0,
+        'Ciclo Caixa (Dias)': parseFloat(days.cashConversionCycle?.toFixed(1)) || 0,
+      };
+    });
+
+    // Peer medians (see utils/benchmarks.js) as dashed reference lines in the series colours
+    const benchmarkLines = benchmark
+      ? [['dso', 'PMR', '#3b82f6'], ['dio', 'PME', '#ef4444'], ['dpo', 'PMP', '#10b981']]
+        .filter(([key]) => benchmark.metrics[key])
+        .map(([key, label, color]) => ({ key, label, color, median: benchmark.metrics[key].median }))
+      : [];
+
+    const forecastRange = getForecastRange(chartData);
 
     return (
       <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
         <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
           Tendência Prazos Capital de Giro (Dias)
+          {benchmark && <span className="block text-xs font-normal text-slate-500">Tracejado: mediana {benchmark.industryLabel}</span>}
         </h4>
         <div className="flex-grow w-full min-h-[280px] print:min-h-[180px]">
           <ResponsiveContainer width="100%" height="100%">
             <LineChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              {forecastRange && (
+                <ReferenceArea {...forecastRange} fill="#fef3c7" fillOpacity={0.5} label={{ value: 'Projeção', position: 'insideTop', fontSize: 10, fill: '#92400e' }} />
+              )}
               <XAxis 
                 dataKey="name" 
                 tick={{ fontSize: 11 }} 
@@ -56,6 +74,15 @@ export default function WorkingCapitalDaysTrendChart({ calculatedData, periodTyp
                 }}
               />
               <Legend wrapperStyle={{ fontSize: '11px' }} />
+              {benchmarkLines.map(line => (
+                <ReferenceLine
+                  key={line.key}
+                  y={line.median}
+                  stroke={line.color}
+                  strokeDasharray="6 4"
+                  label={{ value: `${line.label} setor ${line.median}`, position: 'right', fontSize: 9, fill: line.color }}
+                />
+              ))}
               <Line type="monotone" dataKey="PMR (Dias)" stroke="#3b82f6" strokeWidth={2} dot={{ r: 3 }} />
               <Line type="monotone" dataKey="PME (Dias)" stroke="#ef4444" strokeWidth={2} dot={{ r: 3 }} />
               <Line type="monotone" dataKey="PMP (Dias)" stroke="#10b981" strokeWidth={2} dot={{ r: 3 }} />
@@ -15,4 +15,9 @@ export { default as BalanceSheetDifferenceTrendChart } from './BalanceSheetDiffe
 export { default as CashFlowKeyMetricsTrendChart } from './CashFlowKeyMetricsTrendChart';
 export { default as PnlVisualChart } from './PnlVisualChart';
 export { default as WorkingCapitalDaysTrendChart } from './WorkingCapitalDaysTrendChart';
+export { default as CashFlowFanChart } from './CashFlowFanChart';
+export { default as TornadoChart } from './TornadoChart';
+export { default as ScenarioOverlayChart } from './ScenarioOverlayChart';
+export { default as CostVolumeProfitChart } from './CostVolumeProfitChart';
+export { default as MonthlyFundingChart } from './MonthlyFundingChart';
 export { default as RechartsWrapper } from './RechartsWrapper';
@@ -0,0 +1,165 @@
+// src/components/InputPanel/AssetRegisterSettings.jsx
+import React from 'react';
+import {
+  DEPRECIATION_METHODS,
+  DEPRECIATION_METHOD_LABELS,
+  getDefaultAssetRegister,
+} from '../../utils/fixedAssets';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * @param {{
+ * assetRegister: object | null;
+ * onAssetRegisterChange: (assetRegister: object | null) => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function AssetRegisterSettings({ assetRegister, onAssetRegisterChange, disabled = false }) {
+  const isEnabled = Boolean(assetRegister);
+
+  const updateRegister = (key, value) => onAssetRegisterChange({ ...assetRegister, [key]: value });
+
+  const updateAssetClass = (classKey, key, value) => onAssetRegisterChange({
+    ...assetRegister,
+    assetClasses: {
+      ...assetRegister.assetClasses,
+      [classKey]: { ...assetRegister.assetClasses[classKey], [key]: value },
+    },
+  });
+
+  const classOptions = isEnabled
+    ? Object.entries(assetRegister.assetClasses).map(([key, assetClass]) => (
+      <option key={key} value={key}>{assetClass.label}</option>
+    ))
+    : null;
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Registro de Ativo Imobilizado</h3>
+        <label htmlFor="assetRegisterEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="assetRegisterEnabled"
+            checked={isEnabled}
+            onChange={(e) => onAssetRegisterChange(e.target.checked ? getDefaultAssetRegister() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Gerar D&A a partir das safras de CAPEX
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Quando ativo, a D&A de cada período é calculada pelo registro (vida útil, método e valor residual por classe)
+        e o Ativo Fixo Líquido segue Inicial + CAPEX - D&A. Diferenças com o Ativo Fixo informado são sinalizadas.
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 mb-4">
+            <div>
+              <label htmlFor="capexAssetClass" className="block text-sm font-medium text-slate-700 mb-1">
+                Classe do CAPEX:
+              </label>
+              <select
+                id="capexAssetClass"
+                value={assetRegister.capexAssetClass}
+                onChange={(e) => updateRegister('capexAssetClass', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {classOptions}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="openingAssetClass" className="block text-sm font-medium text-slate-700 mb-1">
+                Classe do Saldo Inicial:
+              </label>
+              <select
+                id="openingAssetClass"
+                value={assetRegister.openingAssetClass}
+                onChange={(e) => updateRegister('openingAssetClass', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {classOptions}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="openingRemainingLifeYears" className="block text-sm font-medium text-slate-700 mb-1">
+                Vida Útil Remanescente do Saldo Inicial (anos):
+              </label>
+              <input
+                type="number"
+                id="openingRemainingLifeYears"
+                min="1"
+                value={assetRegister.openingRemainingLifeYears ?? ''}
+                onChange={(e) => updateRegister('openingRemainingLifeYears', e.target.value === '' ? null : Number(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+                placeholder="Vida útil da classe"
+              />
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full border-collapse text-sm">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Classe</th>
+                  <th className="border p-2 text-center">Vida Útil (anos)</th>
+                  <th className="border p-2 text-center">Método</th>
+                  <th className="border p-2 text-center">Valor Residual (%)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(assetRegister.assetClasses).map(([classKey, assetClass]) => (
+                  <tr key={classKey}>
+                    <td className="border p-2">{assetClass.label}</td>
+                    <td className="border p-2">
+                      <input
+                        type="number"
+                        min="1"
+                        aria-label={`Vida útil - ${assetClass.label}`}
+                        value={assetClass.usefulLifeYears}
+                        onChange={(e) => updateAssetClass(classKey, 'usefulLifeYears', Math.max(1, Number(e.target.value) || 1))}
+                        disabled={disabled}
+                        className={inputClassName}
+                      />
+                    </td>
+                    <td className="border p-2">
+                      <select
+                        aria-label={`Método - ${assetClass.label}`}
+                        value={assetClass.method}
+                        onChange={(e) => updateAssetClass(classKey, 'method', e.target.value)}
+                        disabled={disabled}
+                        className={inputClassName}
+                      >
+                        {Object.values(DEPRECIATION_METHODS).map(method => (
+                          <option key={method} value={method}>{DEPRECIATION_METHOD_LABELS[method]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="border p-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        aria-label={`Valor residual - ${assetClass.label}`}
+                        value={assetClass.residualValuePercent}
+                        onChange={(e) => updateAssetClass(classKey, 'residualValuePercent', Math.min(100, Math.max(0, Number(e.target.value) || 0)))}
+                        disabled={disabled}
+                        className={inputClassName}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,225 @@
+// src/components/InputPanel/BankReconciliationSettings.jsx
+import React from 'react';
+import { BANK_CATEGORIES, RULE_DIRECTIONS } from '../../utils/bankReconciliation';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const cellInputClassName = 'w-full p-1 border border-slate-300 rounded-md';
+
+const DIRECTION_LABELS = {
+  [RULE_DIRECTIONS.ANY]: 'Entradas e saídas',
+  [RULE_DIRECTIONS.CREDIT]: 'Só entradas',
+  [RULE_DIRECTIONS.DEBIT]: 'Só saídas',
+};
+
+const FORMAT_LABELS = { ofx: 'OFX', cnab240: 'CNAB 240', cnab400: 'CNAB 400' };
+
+const isValidPattern = (pattern) => {
+  try {
+    return Boolean(new RegExp(pattern, 'i'));
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Bank statements (OFX/CNAB) and the categorization rules of the cash reconciliation
+ * @param {{
+ * bankSettings: { rules: Array<{ pattern: string, category: string, direction: string }>, periodStartDate: string, openingBalance: number|null, tolerance: number };
+ * onBankSettingsChange: (settings: object) => void;
+ * onResetRules: () => void;
+ * statements: Array<{ fileName: string, format: string, account: string, transactions: Array<object> }>;
+ * onFileUpload: (files: File[]) => void;
+ * onClearStatements: () => void;
+ * error?: string | null;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function BankReconciliationSettings({
+  bankSettings,
+  onBankSettingsChange,
+  onResetRules,
+  statements,
+  onFileUpload,
+  onClearStatements,
+  error = null,
+  disabled = false,
+}) {
+  const { rules, periodStartDate, openingBalance, tolerance } = bankSettings;
+
+  const update = (changes) => onBankSettingsChange({ ...bankSettings, ...changes });
+
+  const updateRule = (index, changes) => update({
+    rules: rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+  });
+
+  const handleFileChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0) onFileUpload(files);
+    e.target.value = '';
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Conciliação Bancária (OFX / CNAB)</h3>
+      <p className="text-xs text-slate-500">
+        Carregue extratos OFX ou arquivos de retorno CNAB 240/400. Os lançamentos são classificados pelas regras abaixo,
+        agrupados nos períodos do relatório e o saldo bancário de cada período é comparado com o caixa final informado
+        (Override) ou calculado.
+      </p>
+
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <label className={`px-3 py-2 text-sm font-medium rounded-md border border-slate-300 text-slate-700 ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}>
+          Carregar extratos (.ofx, .ret)
+          <input type="file" multiple accept=".ofx,.ret,.rem,.cnab,.txt" onChange={handleFileChange} disabled={disabled} className="hidden" />
+        </label>
+        {statements.length > 0 && (
+          <>
+            <span className="text-xs text-slate-500">
+              {statements.map(statement => `${statement.fileName} (${FORMAT_LABELS[statement.format] || statement.format}, ${statement.transactions.length} lançamentos)`).join('; ')}
+            </span>
+            <button
+              type="button"
+              onClick={onClearStatements}
+              disabled={disabled}
+              className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+            >
+              Remover extratos
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4">
+        <div>
+          <label htmlFor="bankPeriodStartDate" className="block text-sm font-medium text-slate-700 mb-1">Início do período 1:</label>
+          <input
+            id="bankPeriodStartDate"
+            type="date"
+            value={periodStartDate}
+            onChange={(e) => update({ periodStartDate: e.target.value })}
+            disabled={disabled}
+            className={inputClassName}
+          />
+          <p className="mt-1 text-xs text-slate-500">Vazio: início do período do primeiro lançamento.</p>
+        </div>
+        <div>
+          <label htmlFor="bankOpeningBalance" className="block text-sm font-medium text-slate-700 mb-1">Saldo bancário inicial:</label>
+          <input
+            id="bankOpeningBalance"
+            type="number"
+            value={openingBalance ?? ''}
+            onChange={(e) => update({ openingBalance: e.target.value === '' ? null : Number(e.target.value) })}
+            disabled={disabled}
+            className={inputClassName}
+          />
+          <p className="mt-1 text-xs text-slate-500">Usado quando o arquivo não traz saldo (ex.: retorno de cobrança).</p>
+        </div>
+        <div>
+          <label htmlFor="bankTolerance" className="block text-sm font-medium text-slate-700 mb-1">Tolerância de diferença:</label>
+          <input
+            id="bankTolerance"
+            type="number"
+            min="0"
+            value={tolerance}
+            onChange={(e) => update({ tolerance: e.target.value === '' ? 0 : Number(e.target.value) || 0 })}
+            disabled={disabled}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div className="mt-6">
+        <h4 className="text-sm font-semibold text-slate-700 mb-2">
+          Regras de classificação (expressão regular no favorecido/histórico; a primeira que se aplica prevalece)
+        </h4>
+        {rules.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Expressão</th>
+                  <th className="border p-2 text-left">Lançamentos</th>
+                  <th className="border p-2 text-left">Categoria</th>
+                  <th className="border p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule, index) => (
+                  <tr key={index}>
+                    <td className="border p-1">
+                      <input
+                        type="text"
+                        value={rule.pattern}
+                        onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                        disabled={disabled}
+                        className={`${cellInputClassName} font-mono ${isValidPattern(rule.pattern) ? '' : 'border-red-500'}`}
+                        aria-label={`Expressão da regra ${index + 1}`}
+                      />
+                    </td>
+                    <td className="border p-1">
+                      <select
+                        value={rule.direction || RULE_DIRECTIONS.ANY}
+                        onChange={(e) => updateRule(index, { direction: e.target.value })}
+                        disabled={disabled}
+                        className={cellInputClassName}
+                        aria-label={`Lançamentos da regra ${index + 1}`}
+                      >
+                        {Object.values(RULE_DIRECTIONS).map(direction => (
+                          <option key={direction} value={direction}>{DIRECTION_LABELS[direction]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="border p-1">
+                      <select
+                        value={rule.category}
+                        onChange={(e) => updateRule(index, { category: e.target.value })}
+                        disabled={disabled}
+                        className={cellInputClassName}
+                        aria-label={`Categoria da regra ${index + 1}`}
+                      >
+                        {BANK_CATEGORIES.map(category => (
+                          <option key={category.key} value={category.key}>{category.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="border p-1 text-center">
+                      <button
+                        type="button"
+                        onClick={() => update({ rules: rules.filter((_, i) => i !== index) })}
+                        disabled={disabled}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                        aria-label={`Remover regra ${index + 1}`}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="mt-2 flex gap-2">
+          <button
+            type="button"
+            onClick={() => update({ rules: [...rules, { pattern: '', category: BANK_CATEGORIES[0].key, direction: RULE_DIRECTIONS.ANY }] })}
+            disabled={disabled}
+            className="px-3 py-1.5 text-sm font-medium rounded-md border border-slate-300 text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Adicionar regra
+          </button>
+          <button
+            type="button"
+            onClick={onResetRules}
+            disabled={disabled}
+            className="px-3 py-1.5 text-sm font-medium rounded-md border border-slate-300 text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            Restaurar regras padrão
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </section>
+  );
+}
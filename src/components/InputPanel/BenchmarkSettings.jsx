@@ -0,0 +1,151 @@
+// src/components/InputPanel/BenchmarkSettings.jsx
+import React from 'react';
+import { BENCHMARK_METRICS, COMPANY_SIZES } from '../../utils/benchmarks';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const QUARTILES = [['p25', '1º Quartil'], ['median', 'Mediana'], ['p75', '3º Quartil']];
+
+/**
+ * @param {{
+ * benchmarkSettings: { industry: string, companySize: string };
+ * onBenchmarkSettingsChange: (settings: object) => void;
+ * benchmarkLibrary: { source?: string, industries: Object<string, { label: string, sizes: object }> };
+ * onBenchmarkLibraryChange: (library: object) => void;
+ * onImportLibrary: (file: File) => void;
+ * onResetLibrary: () => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function BenchmarkSettings({
+  benchmarkSettings,
+  onBenchmarkSettingsChange,
+  benchmarkLibrary,
+  onBenchmarkLibraryChange,
+  onImportLibrary,
+  onResetLibrary,
+  disabled = false,
+}) {
+  const { industry, companySize } = benchmarkSettings;
+  const industries = Object.entries(benchmarkLibrary.industries);
+  const metrics = benchmarkLibrary.industries[industry]?.sizes?.[companySize] || {};
+
+  const updateQuartile = (metric, quartile, value) => {
+    const entry = benchmarkLibrary.industries[industry];
+    onBenchmarkLibraryChange({
+      ...benchmarkLibrary,
+      industries: {
+        ...benchmarkLibrary.industries,
+        [industry]: {
+          ...entry,
+          sizes: {
+            ...entry.sizes,
+            [companySize]: {
+              ...metrics,
+              [metric]: { ...metrics[metric], [quartile]: value === '' ? 0 : Number(value) || 0 },
+            },
+          },
+        },
+      },
+    });
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImportLibrary(file);
+    e.target.value = '';
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Benchmark Setorial</h3>
+      <p className="text-xs text-slate-500">
+        Compara PMR, PME, PMP, margens e alavancagem com os quartis do setor e porte da empresa, e estima o caixa liberado
+        ao levar os prazos à mediana. {benchmarkLibrary.source}
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4">
+        <div>
+          <label htmlFor="benchmarkIndustry" className="block text-sm font-medium text-slate-700 mb-1">Setor:</label>
+          <select
+            id="benchmarkIndustry"
+            value={industry}
+            onChange={(e) => onBenchmarkSettingsChange({ ...benchmarkSettings, industry: e.target.value })}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {!benchmarkLibrary.industries[industry] && <option value={industry}>{industry} (sem benchmark)</option>}
+            {industries.map(([key, entry]) => (
+              <option key={key} value={key}>{entry.label || key}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="benchmarkCompanySize" className="block text-sm font-medium text-slate-700 mb-1">Porte:</label>
+          <select
+            id="benchmarkCompanySize"
+            value={companySize}
+            onChange={(e) => onBenchmarkSettingsChange({ ...benchmarkSettings, companySize: e.target.value })}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {Object.entries(COMPANY_SIZES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {Object.keys(metrics).length > 0 ? (
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Indicador</th>
+                {QUARTILES.map(([key, label]) => (
+                  <th key={key} className="border p-2 text-center">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(BENCHMARK_METRICS).filter(([key]) => metrics[key]).map(([key, definition]) => (
+                <tr key={key}>
+                  <td className="border p-2">{definition.label}</td>
+                  {QUARTILES.map(([quartile, label]) => (
+                    <td key={quartile} className="border p-1">
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={metrics[key][quartile]}
+                        onChange={(e) => updateQuartile(key, quartile, e.target.value)}
+                        disabled={disabled}
+                        className="w-full p-1 border border-slate-300 rounded-md text-right"
+                        aria-label={`${definition.label} - ${label}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="mt-4 text-sm text-amber-700">Não há benchmark para este setor e porte. Importe um arquivo com os quartis.</p>
+      )}
+
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <label className={`px-3 py-1.5 text-sm font-medium rounded-md border border-slate-300 text-slate-700 ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}>
+          Importar benchmarks (JSON)
+          <input type="file" accept=".json,application/json" onChange={handleFileChange} disabled={disabled} className="hidden" />
+        </label>
+        <button
+          type="button"
+          onClick={onResetLibrary}
+          disabled={disabled}
+          className="px-3 py-1.5 text-sm font-medium rounded-md text-slate-600 hover:text-slate-800 disabled:opacity-50"
+        >
+          Restaurar benchmarks padrão
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,164 @@
+// src/components/InputPanel/BudgetVarianceSettings.jsx
+import React from 'react';
+import { PERIOD_TYPES } from '../../utils/constants';
+
+const inputClassName = 'w-full p-1 border border-slate-300 rounded-md text-right';
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+const PRODUCT_FIELDS = [
+  ['budgetUnits', 'Unid. Orçadas'],
+  ['budgetPrice', 'Preço Orçado'],
+  ['actualUnits', 'Unid. Realizadas'],
+  ['actualPrice', 'Preço Realizado'],
+];
+
+const createProduct = (index) => ({
+  product: `Produto ${index + 1}`,
+  budgetUnits: 0,
+  budgetPrice: 0,
+  actualUnits: 0,
+  actualPrice: 0,
+});
+
+/**
+ * @param {{
+ * budget: object | null;
+ * onSaveCurrentAsBudget: () => void;
+ * onProductMixChange: (productMix: Array<object>) => void;
+ * onCompareToBudget: () => void;
+ * periodType: string;
+ * isComparing?: boolean;
+ * canSave?: boolean;
+ * canRun?: boolean;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function BudgetVarianceSettings({
+  budget,
+  onSaveCurrentAsBudget,
+  onProductMixChange,
+  onCompareToBudget,
+  periodType,
+  isComparing = false,
+  canSave = false,
+  canRun = false,
+  disabled = false,
+}) {
+  const productMix = budget?.data?.productMix || [];
+  const budgetPeriodType = budget?.data?.periodType;
+  const hasPeriodTypeMismatch = Boolean(budget) && budgetPeriodType !== periodType;
+
+  const updateProduct = (index, key, value) => onProductMixChange(
+    productMix.map((item, i) => (i === index ? { ...item, [key]: value } : item)),
+  );
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Realizado vs Orçamento</h3>
+        <button
+          type="button"
+          onClick={onSaveCurrentAsBudget}
+          disabled={disabled || !canSave}
+          className="px-3 py-1.5 border border-slate-300 text-slate-700 text-sm font-medium rounded-md hover:bg-slate-50 disabled:opacity-50"
+        >
+          {budget ? 'Substituir Orçamento pelos Dados Atuais' : 'Salvar Dados Atuais como Orçamento'}
+        </button>
+      </div>
+      <p className="text-xs text-slate-500">
+        Salve os dados orçados como cenário de orçamento e depois carregue os dados realizados para calcular as
+        variações por linha. Informando unidades e preços por produto, a variação de receita é decomposta em efeitos
+        preço, volume e mix.
+      </p>
+
+      {budget && (
+        <div className="mt-4">
+          <p className="text-sm text-slate-600 mb-3">
+            Orçamento salvo: <span className="font-medium">{budget.data.periodCount}</span>{' '}
+            {(PERIOD_TYPES[budgetPeriodType]?.pluralLabel || budgetPeriodType || '').toLowerCase()}
+            {' '}(atualizado em {new Date(budget.updatedAt).toLocaleDateString('pt-BR')}).
+          </p>
+          {hasPeriodTypeMismatch && (
+            <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-md p-2 mb-3">
+              O orçamento foi salvo em {PERIOD_TYPES[budgetPeriodType]?.label || budgetPeriodType}; ajuste o tipo de
+              período para comparar.
+            </p>
+          )}
+
+          <div className="overflow-x-auto mb-4">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Produto</th>
+                  {PRODUCT_FIELDS.map(([key, label]) => (
+                    <th key={key} className="border p-2 text-center">{label}</th>
+                  ))}
+                  <th className="border p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {productMix.map((item, index) => (
+                  <tr key={index}>
+                    <td className="border p-1">
+                      <input
+                        type="text"
+                        value={item.product}
+                        onChange={(e) => updateProduct(index, 'product', e.target.value)}
+                        disabled={disabled}
+                        className="w-full p-1 border border-slate-300 rounded-md"
+                        aria-label={`Nome do produto ${index + 1}`}
+                      />
+                    </td>
+                    {PRODUCT_FIELDS.map(([key, label]) => (
+                      <td key={key} className="border p-1">
+                        <input
+                          type="number"
+                          min="0"
+                          value={item[key]}
+                          onChange={(e) => updateProduct(index, key, toNumber(e.target.value))}
+                          disabled={disabled}
+                          className={inputClassName}
+                          aria-label={`${label} - ${item.product}`}
+                        />
+                      </td>
+                    ))}
+                    <td className="border p-1 text-center">
+                      <button
+                        type="button"
+                        onClick={() => onProductMixChange(productMix.filter((_, i) => i !== index))}
+                        disabled={disabled}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        Remover
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => onProductMixChange([...productMix, createProduct(productMix.length)])}
+              disabled={disabled}
+              className="px-3 py-1.5 border border-slate-300 text-slate-700 text-sm font-medium rounded-md hover:bg-slate-50 disabled:opacity-50"
+            >
+              Adicionar Produto
+            </button>
+            <button
+              type="button"
+              onClick={onCompareToBudget}
+              disabled={disabled || isComparing || !canRun || hasPeriodTypeMismatch}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isComparing ? 'Comparando...' : 'Comparar com Orçamento'}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
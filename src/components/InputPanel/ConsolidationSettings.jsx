@@ -0,0 +1,359 @@
+// src/components/InputPanel/ConsolidationSettings.jsx
+import React, { useState } from 'react';
+import { ELIMINATION_TYPES, ELIMINATION_TYPE_LABELS } from '../../utils/consolidation';
+import { fieldDefinitions } from '../../utils/fieldDefinitions';
+import { PERIOD_TYPES, CURRENCIES } from '../../utils/constants';
+import { getPeriodLabel } from '../../utils/projections';
+
+const inputClassName = 'w-full p-1 border border-slate-300 rounded-md text-sm';
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+const createElimination = (entities) => ({
+  type: ELIMINATION_TYPES.REVENUE_COGS,
+  periodIndex: null,
+  amount: 0,
+  fromEntityId: entities[0]?.scenarioId || '',
+  toEntityId: entities[1]?.scenarioId || '',
+  description: '',
+});
+
+/**
+ * @param {{
+ * consolidationSettings: { entities: Array<object>, eliminations: Array<object> };
+ * entityScenarios: Array<object>;
+ * onConsolidationSettingsChange: (settings: object) => void;
+ * onAddCurrentAsEntity: (name: string) => void;
+ * onRemoveEntity: (scenarioId: string) => void;
+ * onConsolidate: () => void;
+ * periodType: string;
+ * isConsolidating?: boolean;
+ * canAdd?: boolean;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function ConsolidationSettings({
+  consolidationSettings,
+  entityScenarios,
+  onConsolidationSettingsChange,
+  onAddCurrentAsEntity,
+  onRemoveEntity,
+  onConsolidate,
+  periodType,
+  isConsolidating = false,
+  canAdd = false,
+  disabled = false,
+}) {
+  const [newName, setNewName] = useState('');
+  const { entities, eliminations } = consolidationSettings;
+  const scenarioById = Object.fromEntries(entityScenarios.map(scenario => [scenario.id, scenario]));
+  const comparableEntities = entities.filter(entity => scenarioById[entity.scenarioId]?.data.periodType === periodType);
+  const periodCount = Math.min(...comparableEntities.map(entity => scenarioById[entity.scenarioId].data.periodCount));
+  const commonLines = Object.entries(fieldDefinitions);
+
+  const handleAdd = () => {
+    onAddCurrentAsEntity(newName.trim() || `Entidade ${entities.length + 1}`);
+    setNewName('');
+  };
+
+  const updateEntity = (scenarioId, changes) => onConsolidationSettingsChange({
+    ...consolidationSettings,
+    entities: entities.map(entity => (entity.scenarioId === scenarioId ? { ...entity, ...changes } : entity)),
+  });
+
+  const setParent = (scenarioId) => onConsolidationSettingsChange({
+    ...consolidationSettings,
+    entities: entities.map(entity => (entity.scenarioId === scenarioId
+      ? { ...entity, isParent: true, ownershipPercent: 100 }
+      : { ...entity, isParent: false })),
+  });
+
+  const updateEliminations = (nextEliminations) => onConsolidationSettingsChange({
+    ...consolidationSettings,
+    eliminations: nextEliminations,
+  });
+
+  const updateElimination = (index, key, value) => updateEliminations(
+    eliminations.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)),
+  );
+
+  // Entity lines outside the common chart (e.g. imported with their own labels) must be mapped
+  const unmappedLines = (entity) => {
+    const scenario = scenarioById[entity.scenarioId];
+    const keys = new Set((scenario?.data.periods || []).flatMap(period => Object.keys(period)));
+    return [...keys].filter(key => !fieldDefinitions[key]);
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Consolidação do Grupo</h3>
+      <p className="text-xs text-slate-500">
+        Salve os dados de cada empresa do grupo como entidade, informe a participação da controladora e os lançamentos
+        intercompany a eliminar. A consolidação processa cada entidade pelo mesmo motor de cálculo, soma as
+        demonstrações, aplica as eliminações e destaca a participação dos não controladores.
+      </p>
+
+      <div className="mt-4 flex flex-wrap items-end gap-3">
+        <div className="flex-grow">
+          <label htmlFor="entityName" className="block text-sm font-medium text-slate-700 mb-1">Nome da Entidade:</label>
+          <input
+            type="text"
+            id="entityName"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            disabled={disabled}
+            className="w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            placeholder={entities.length === 0 ? 'Holding' : `Entidade ${entities.length + 1}`}
+          />
+        </div>
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={disabled || !canAdd}
+          className="px-4 py-2 border border-slate-300 text-slate-700 text-sm font-medium rounded-md hover:bg-slate-50 disabled:opacity-50"
+        >
+          Salvar Dados Atuais como Entidade
+        </button>
+      </div>
+
+      {entities.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Entidade</th>
+                <th className="border p-2 text-center">Períodos</th>
+                <th className="border p-2 text-center">Controladora</th>
+                <th className="border p-2 text-center">Participação (%)</th>
+                <th className="border p-2 text-center">Moeda</th>
+                <th className="border p-2 text-left">Mapeamento para o Plano Comum</th>
+                <th className="border p-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {entities.map(entity => {
+                const scenario = scenarioById[entity.scenarioId];
+                const isOtherPeriodType = scenario?.data.periodType !== periodType;
+                const lines = unmappedLines(entity);
+
+                return (
+                  <tr key={entity.scenarioId} className={isOtherPeriodType ? 'bg-amber-50' : ''}>
+                    <td className="border p-1">
+                      <input
+                        type="text"
+                        value={entity.name}
+                        onChange={(e) => updateEntity(entity.scenarioId, { name: e.target.value })}
+                        disabled={disabled}
+                        className={inputClassName}
+                        aria-label="Nome da entidade"
+                      />
+                    </td>
+                    <td className="border p-1 text-center">
+                      {scenario
+                        ? `${scenario.data.periodCount} ${(PERIOD_TYPES[scenario.data.periodType]?.pluralLabel || '').toLowerCase()}`
+                        : 'Dados não encontrados'}
+                    </td>
+                    <td className="border p-1 text-center">
+                      <input
+                        type="radio"
+                        name="parentEntity"
+                        checked={Boolean(entity.isParent)}
+                        onChange={() => setParent(entity.scenarioId)}
+                        disabled={disabled}
+                        aria-label={`${entity.name} é a controladora`}
+                      />
+                    </td>
+                    <td className="border p-1">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={entity.ownershipPercent}
+                        onChange={(e) => updateEntity(entity.scenarioId, { ownershipPercent: toNumber(e.target.value) })}
+                        disabled={disabled || entity.isParent}
+                        className={`${inputClassName} text-right`}
+                        aria-label={`Participação em ${entity.name}`}
+                      />
+                    </td>
+                    <td className="border p-1">
+                      <select
+                        value={entity.currency || ''}
+                        onChange={(e) => updateEntity(entity.scenarioId, { currency: e.target.value || null })}
+                        disabled={disabled}
+                        className={inputClassName}
+                        aria-label={`Moeda funcional de ${entity.name}`}
+                      >
+                        <option value="">Funcional do projeto</option>
+                        {Object.values(CURRENCIES).map(currency => (
+                          <option key={currency.code} value={currency.code}>{currency.code}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="border p-1">
+                      {lines.length === 0 && <span className="text-slate-500">Linhas já no plano comum</span>}
+                      {lines.map(line => (
+                        <div key={line} className="flex items-center gap-1 mb-1">
+                          <span className="text-slate-600">{line} →</span>
+                          <select
+                            value={entity.lineMapping?.[line] || ''}
+                            onChange={(e) => updateEntity(entity.scenarioId, {
+                              lineMapping: { ...entity.lineMapping, [line]: e.target.value },
+                            })}
+                            disabled={disabled}
+                            className="p-1 border border-slate-300 rounded-md"
+                            aria-label={`Linha comum para ${line}`}
+                          >
+                            <option value="">(ignorar)</option>
+                            {commonLines.map(([key, def]) => (
+                              <option key={key} value={key}>{def.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </td>
+                    <td className="border p-1 text-center">
+                      <button
+                        type="button"
+                        onClick={() => onRemoveEntity(entity.scenarioId)}
+                        disabled={disabled}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                      >
+                        Remover
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {comparableEntities.length < entities.length && (
+            <p className="text-xs text-amber-700 mt-2">
+              Entidades salvas em outro tipo de período ficam fora da consolidação.
+            </p>
+          )}
+        </div>
+      )}
+
+      {entities.length >= 2 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-slate-700 mb-2">Eliminações Intercompany</h4>
+          {eliminations.length > 0 && (
+            <div className="overflow-x-auto mb-3">
+              <table className="min-w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-blue-50">
+                    <th className="border p-2 text-left">Tipo</th>
+                    <th className="border p-2 text-center">Período</th>
+                    <th className="border p-2 text-center">Valor</th>
+                    <th className="border p-2 text-center">De</th>
+                    <th className="border p-2 text-center">Para</th>
+                    <th className="border p-2 text-left">Descrição</th>
+                    <th className="border p-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {eliminations.map((entry, index) => (
+                    <tr key={index}>
+                      <td className="border p-1">
+                        <select
+                          value={entry.type}
+                          onChange={(e) => updateElimination(index, 'type', e.target.value)}
+                          disabled={disabled}
+                          className={inputClassName}
+                          aria-label={`Tipo da eliminação ${index + 1}`}
+                        >
+                          {Object.entries(ELIMINATION_TYPE_LABELS).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="border p-1">
+                        <select
+                          value={entry.periodIndex ?? ''}
+                          onChange={(e) => updateElimination(index, 'periodIndex', e.target.value === '' ? null : Number(e.target.value))}
+                          disabled={disabled}
+                          className={inputClassName}
+                          aria-label={`Período da eliminação ${index + 1}`}
+                        >
+                          <option value="">Todos</option>
+                          {Number.isFinite(periodCount) && Array.from({ length: periodCount }, (_, i) => (
+                            <option key={i} value={i}>{getPeriodLabel(periodType, i)}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="border p-1">
+                        <input
+                          type="number"
+                          min="0"
+                          value={entry.amount}
+                          onChange={(e) => updateElimination(index, 'amount', toNumber(e.target.value))}
+                          disabled={disabled}
+                          className={`${inputClassName} text-right`}
+                          aria-label={`Valor da eliminação ${index + 1}`}
+                        />
+                      </td>
+                      {['fromEntityId', 'toEntityId'].map(key => (
+                        <td key={key} className="border p-1">
+                          <select
+                            value={entry[key]}
+                            onChange={(e) => updateElimination(index, key, e.target.value)}
+                            disabled={disabled}
+                            className={inputClassName}
+                            aria-label={`${key === 'fromEntityId' ? 'Origem' : 'Contraparte'} da eliminação ${index + 1}`}
+                          >
+                            {entities.map(entity => (
+                              <option key={entity.scenarioId} value={entity.scenarioId}>{entity.name}</option>
+                            ))}
+                          </select>
+                        </td>
+                      ))}
+                      <td className="border p-1">
+                        <input
+                          type="text"
+                          value={entry.description}
+                          onChange={(e) => updateElimination(index, 'description', e.target.value)}
+                          disabled={disabled}
+                          className={inputClassName}
+                          aria-label={`Descrição da eliminação ${index + 1}`}
+                        />
+                      </td>
+                      <td className="border p-1 text-center">
+                        <button
+                          type="button"
+                          onClick={() => updateEliminations(eliminations.filter((_, i) => i !== index))}
+                          disabled={disabled}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Remover
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => updateEliminations([...eliminations, createElimination(entities)])}
+              disabled={disabled}
+              className="px-3 py-1.5 border border-slate-300 text-slate-700 text-sm font-medium rounded-md hover:bg-slate-50 disabled:opacity-50"
+            >
+              Adicionar Eliminação
+            </button>
+            <button
+              type="button"
+              onClick={onConsolidate}
+              disabled={disabled || isConsolidating || comparableEntities.length < 2}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isConsolidating ? 'Consolidando...' : 'Consolidar Grupo'}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,77 @@
+// src/components/InputPanel/CostBehaviorSettings.jsx
+import React from 'react';
+import { COST_BEHAVIOR_METHODS, COST_BEHAVIOR_METHOD_LABELS, COST_LINES, MIN_REGRESSION_PERIODS } from '../../utils/breakEven';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * @param {{
+ * costBehaviorSettings: { method: string, variablePercent: { cogs: number, operatingExpenses: number } };
+ * onCostBehaviorSettingsChange: (settings: object) => void;
+ * periodCount: number;
+ * error?: string | null;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function CostBehaviorSettings({ costBehaviorSettings, onCostBehaviorSettingsChange, periodCount, error = null, disabled = false }) {
+  const { method, variablePercent } = costBehaviorSettings;
+  const isRegression = method === COST_BEHAVIOR_METHODS.REGRESSION;
+
+  const updatePercent = (line, value) => onCostBehaviorSettingsChange({
+    ...costBehaviorSettings,
+    variablePercent: { ...variablePercent, [line]: value === '' ? 0 : Math.min(100, Math.max(0, Number(value) || 0)) },
+  });
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Ponto de Equilíbrio</h3>
+      <p className="text-xs text-slate-500">
+        Classifica o CPV e as despesas operacionais em fixos e variáveis para calcular a receita de equilíbrio, a margem
+        de segurança e os graus de alavancagem operacional e financeira de cada período.
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4">
+        <div>
+          <label htmlFor="costBehaviorMethod" className="block text-sm font-medium text-slate-700 mb-1">Classificação dos custos:</label>
+          <select
+            id="costBehaviorMethod"
+            value={method}
+            onChange={(e) => onCostBehaviorSettingsChange({ ...costBehaviorSettings, method: e.target.value })}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {Object.values(COST_BEHAVIOR_METHODS).map(value => (
+              <option key={value} value={value}>{COST_BEHAVIOR_METHOD_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+        {Object.entries(COST_LINES).map(([line, definition]) => (
+          <div key={line}>
+            <label htmlFor={`variablePercent-${line}`} className="block text-sm font-medium text-slate-700 mb-1">
+              {definition.label} - % variável:
+            </label>
+            <input
+              id={`variablePercent-${line}`}
+              type="number"
+              min="0"
+              max="100"
+              step="5"
+              value={variablePercent[line]}
+              onChange={(e) => updatePercent(line, e.target.value)}
+              disabled={disabled || isRegression}
+              className={inputClassName}
+            />
+          </div>
+        ))}
+      </div>
+
+      {isRegression && (
+        <p className={`mt-3 text-xs ${periodCount < MIN_REGRESSION_PERIODS ? 'text-amber-700' : 'text-slate-500'}`}>
+          A parcela variável de cada conta é estimada pela regressão do custo contra a receita
+          {periodCount < MIN_REGRESSION_PERIODS ? ` e exige ao menos ${MIN_REGRESSION_PERIODS} períodos.` : '.'}
+        </p>
+      )}
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </section>
+  );
+}
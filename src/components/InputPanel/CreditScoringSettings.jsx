@@ -0,0 +1,237 @@
+// src/components/InputPanel/CreditScoringSettings.jsx
+import React from 'react';
+import { CREDIT_METRICS, CREDIT_MODELS, CREDIT_MODEL_LABELS } from '../../utils/creditScoring';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const cellInputClassName = 'w-full p-1 border border-slate-300 rounded-md text-right';
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+/**
+ * @param {{
+ * creditSettings: object;
+ * onCreditSettingsChange: (settings: object) => void;
+ * onResetSettings: () => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function CreditScoringSettings({ creditSettings, onCreditSettingsChange, onResetSettings, disabled = false }) {
+  const { model, quantitative, qualitative, ratingScale, retainedEarnings } = creditSettings;
+  const totalWeight = [...quantitative, ...qualitative].reduce((sum, component) => sum + component.weight, 0);
+
+  const update = (changes) => onCreditSettingsChange({ ...creditSettings, ...changes });
+
+  const updateQuantitative = (index, changes) => update({
+    quantitative: quantitative.map((component, i) => (i === index ? { ...component, ...changes } : component)),
+  });
+
+  const updateBand = (index, bandIndex, field, value) => updateQuantitative(index, {
+    bands: quantitative[index].bands.map((band, i) => (i === bandIndex ? { ...band, [field]: toNumber(value) } : band)),
+  });
+
+  const updateQualitative = (index, changes) => update({
+    qualitative: qualitative.map((factor, i) => (i === index ? { ...factor, ...changes } : factor)),
+  });
+
+  const updateRating = (index, field, value) => update({
+    ratingScale: ratingScale.map((entry, i) => (i === index ? { ...entry, [field]: toNumber(value) } : entry)),
+  });
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Rating de Crédito</h3>
+      <p className="text-xs text-slate-500">
+        Pontua os indicadores do último período por faixas ponderadas e fatores qualitativos, ou pelo
+        {` ${CREDIT_MODEL_LABELS[CREDIT_MODELS.ALTMAN_Z]}`}, e sugere o limite de crédito como percentual da receita anualizada de cada rating.
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4">
+        <div>
+          <label htmlFor="creditModel" className="block text-sm font-medium text-slate-700 mb-1">Modelo do rating:</label>
+          <select
+            id="creditModel"
+            value={model}
+            onChange={(e) => update({ model: e.target.value })}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {Object.values(CREDIT_MODELS).map(value => (
+              <option key={value} value={value}>{CREDIT_MODEL_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="creditRetainedEarnings" className="block text-sm font-medium text-slate-700 mb-1">
+            Lucros retidos (Altman X2):
+          </label>
+          <input
+            id="creditRetainedEarnings"
+            type="number"
+            value={retainedEarnings ?? ''}
+            onChange={(e) => update({ retainedEarnings: e.target.value === '' ? null : Number(e.target.value) || 0 })}
+            placeholder="Lucro líquido acumulado dos períodos"
+            disabled={disabled}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Indicador</th>
+              <th className="border p-2 text-center">Peso</th>
+              <th className="border p-2 text-center" colSpan={quantitative.reduce((max, c) => Math.max(max, c.bands.length), 0)}>
+                Faixas (limite → pontos)
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {quantitative.map((component, index) => (
+              <tr key={component.key}>
+                <td className="border p-2">
+                  {CREDIT_METRICS[component.key]?.label || component.key}
+                  <span className="block text-slate-400">{component.lowerIsBetter ? 'menor é melhor (≤)' : 'maior é melhor (≥)'}</span>
+                </td>
+                <td className="border p-1 w-16">
+                  <input
+                    type="number"
+                    min="0"
+                    value={component.weight}
+                    onChange={(e) => updateQuantitative(index, { weight: toNumber(e.target.value) })}
+                    disabled={disabled}
+                    className={cellInputClassName}
+                    aria-label={`Peso - ${CREDIT_METRICS[component.key]?.label}`}
+                  />
+                </td>
+                {component.bands.map((band, bandIndex) => (
+                  <td key={bandIndex} className="border p-1">
+                    <div className="flex items-center gap-1">
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={band.threshold}
+                        onChange={(e) => updateBand(index, bandIndex, 'threshold', e.target.value)}
+                        disabled={disabled}
+                        className={cellInputClassName}
+                        aria-label={`Limite ${bandIndex + 1} - ${CREDIT_METRICS[component.key]?.label}`}
+                      />
+                      <span className="text-slate-400">→</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={band.points}
+                        onChange={(e) => updateBand(index, bandIndex, 'points', e.target.value)}
+                        disabled={disabled}
+                        className={cellInputClassName}
+                        aria-label={`Pontos ${bandIndex + 1} - ${CREDIT_METRICS[component.key]?.label}`}
+                      />
+                    </div>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4">
+        {qualitative.map((factor, index) => (
+          <div key={factor.key} className="flex items-end gap-2">
+            <div className="flex-1">
+              <label htmlFor={`credit-${factor.key}`} className="block text-sm font-medium text-slate-700 mb-1">{factor.label}:</label>
+              <select
+                id={`credit-${factor.key}`}
+                value={factor.value}
+                onChange={(e) => updateQualitative(index, { value: e.target.value })}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {factor.options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label} ({option.points} pts)</option>
+                ))}
+              </select>
+            </div>
+            <div className="w-20">
+              <label htmlFor={`credit-${factor.key}-weight`} className="block text-xs text-slate-500 mb-1">Peso</label>
+              <input
+                id={`credit-${factor.key}-weight`}
+                type="number"
+                min="0"
+                value={factor.weight}
+                onChange={(e) => updateQualitative(index, { weight: toNumber(e.target.value) })}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+      <p className={`mt-2 text-xs ${totalWeight > 0 ? 'text-slate-500' : 'text-red-600'}`}>
+        Soma dos pesos: {totalWeight}. O score é a média ponderada dos pontos (0 a 100).
+      </p>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Rating</th>
+              {ratingScale.map(entry => (
+                <th key={entry.rating} className="border p-2 text-center">{entry.rating}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td className="border p-2">Score mínimo</td>
+              {ratingScale.map((entry, index) => (
+                <td key={entry.rating} className="border p-1">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={entry.minScore}
+                    onChange={(e) => updateRating(index, 'minScore', e.target.value)}
+                    disabled={disabled}
+                    className={cellInputClassName}
+                    aria-label={`Score mínimo - ${entry.rating}`}
+                  />
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="border p-2">Limite (% da receita)</td>
+              {ratingScale.map((entry, index) => (
+                <td key={entry.rating} className="border p-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={entry.limitPercentOfRevenue}
+                    onChange={(e) => updateRating(index, 'limitPercentOfRevenue', e.target.value)}
+                    disabled={disabled}
+                    className={cellInputClassName}
+                    aria-label={`Limite - ${entry.rating}`}
+                  />
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4">
+        <button
+          type="button"
+          onClick={onResetSettings}
+          disabled={disabled}
+          className="px-3 py-1.5 text-sm font-medium rounded-md text-slate-600 hover:text-slate-800 disabled:opacity-50"
+        >
+          Restaurar modelo padrão
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,154 @@
+// src/components/InputPanel/CurrencySettings.jsx
+import React from 'react';
+import { CURRENCIES } from '../../utils/constants';
+import { getFxPairKey } from '../../utils/currency';
+import { getPeriodLabel } from '../../utils/projections';
+
+const selectClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const rateClassName = 'w-full p-1 border border-slate-300 rounded-md text-right';
+
+const toRate = (value) => (value === '' ? null : Number(value) || null);
+
+/**
+ * @param {{
+ * currencySettings: { functionalCurrency: string, presentationCurrency: string };
+ * onCurrencySettingsChange: (settings: object) => void;
+ * fxRates: Object<string, { historicalRate?: number, periods: Array<{ averageRate: number, closingRate: number }> }>;
+ * onFxRatesChange: (fxRates: object) => void;
+ * foreignCurrencies?: string[];
+ * periodCount: number;
+ * periodType: string;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function CurrencySettings({
+  currencySettings,
+  onCurrencySettingsChange,
+  fxRates,
+  onFxRatesChange,
+  foreignCurrencies = [],
+  periodCount,
+  periodType,
+  disabled = false,
+}) {
+  const { functionalCurrency, presentationCurrency } = currencySettings;
+  // One rate table per currency translated to the presentation currency (the functional
+  // currency and the currencies of foreign consolidation entities)
+  const pairCurrencies = [...new Set([functionalCurrency, ...foreignCurrencies])]
+    .filter(currency => currency && currency !== presentationCurrency);
+
+  const updateTable = (pairKey, changes) => onFxRatesChange({
+    ...fxRates,
+    [pairKey]: { historicalRate: null, periods: [], ...fxRates[pairKey], ...changes },
+  });
+
+  const updateRate = (pairKey, index, key, value) => {
+    const periods = Array.from({ length: periodCount }, (_, i) => fxRates[pairKey]?.periods?.[i] || {});
+    periods[index] = { ...periods[index], [key]: value };
+    updateTable(pairKey, { periods });
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Moedas e Conversão Cambial</h3>
+      <p className="text-xs text-slate-500">
+        A moeda funcional é a dos dados informados; a moeda de apresentação é a do relatório e das exportações. Quando
+        diferem, a conversão usa o método da taxa corrente: resultado e fluxos de caixa à taxa média do período, ativos e
+        passivos à taxa de fechamento e o patrimônio a taxas históricas, com o ajuste acumulado de conversão (CTA) no PL.
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4">
+        <div>
+          <label htmlFor="functionalCurrency" className="block text-sm font-medium text-slate-700 mb-1">Moeda Funcional:</label>
+          <select
+            id="functionalCurrency"
+            value={functionalCurrency}
+            onChange={(e) => onCurrencySettingsChange({ ...currencySettings, functionalCurrency: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {Object.values(CURRENCIES).map(currency => (
+              <option key={currency.code} value={currency.code}>{currency.code} - {currency.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="presentationCurrency" className="block text-sm font-medium text-slate-700 mb-1">Moeda de Apresentação:</label>
+          <select
+            id="presentationCurrency"
+            value={presentationCurrency}
+            onChange={(e) => onCurrencySettingsChange({ ...currencySettings, presentationCurrency: e.target.value })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {Object.values(CURRENCIES).map(currency => (
+              <option key={currency.code} value={currency.code}>{currency.code} - {currency.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {pairCurrencies.map(currency => {
+        const pairKey = getFxPairKey(currency, presentationCurrency);
+        const table = fxRates[pairKey] || {};
+
+        return (
+          <div key={pairKey} className="mt-6">
+            <div className="flex flex-wrap items-end justify-between gap-3 mb-2">
+              <h4 className="text-sm font-semibold text-slate-700">
+                Taxas {pairKey} <span className="font-normal text-slate-500">({presentationCurrency} por 1 {currency})</span>
+              </h4>
+              <div className="flex items-center gap-2 text-sm">
+                <label htmlFor={`${pairKey}-historical`} className="text-slate-600">Taxa histórica do PL inicial:</label>
+                <input
+                  type="number"
+                  id={`${pairKey}-historical`}
+                  min="0"
+                  step="0.0001"
+                  value={table.historicalRate ?? ''}
+                  onChange={(e) => updateTable(pairKey, { historicalRate: toRate(e.target.value) })}
+                  disabled={disabled}
+                  className="w-28 p-1 border border-slate-300 rounded-md text-right"
+                  placeholder="taxa média P1"
+                />
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-blue-50">
+                    <th className="border p-2 text-left">Taxa</th>
+                    {Array.from({ length: periodCount }, (_, index) => (
+                      <th key={index} className="border p-2 text-center">{getPeriodLabel(periodType, index)}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[['averageRate', 'Média do Período'], ['closingRate', 'Fechamento']].map(([key, label]) => (
+                    <tr key={key}>
+                      <td className="border p-2">{label}</td>
+                      {Array.from({ length: periodCount }, (_, index) => (
+                        <td key={index} className="border p-1">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.0001"
+                            value={table.periods?.[index]?.[key] ?? ''}
+                            onChange={(e) => updateRate(pairKey, index, key, toRate(e.target.value))}
+                            disabled={disabled}
+                            className={rateClassName}
+                            aria-label={`${label} ${pairKey} - ${getPeriodLabel(periodType, index)}`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+    </section>
+  );
+}
@@ -0,0 +1,280 @@
+// src/components/InputPanel/DebtFacilitiesSettings.jsx
+import React from 'react';
+import {
+  AMORTIZATION_TYPES,
+  AMORTIZATION_TYPE_LABELS,
+  RATE_INDEXES,
+  RATE_INDEX_LABELS,
+  createDebtFacility,
+  getDefaultDebtSettings,
+} from '../../utils/debtSchedule';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+/**
+ * @param {{
+ * debtSettings: object | null;
+ * onDebtSettingsChange: (debtSettings: object | null) => void;
+ * numberOfPeriods: number;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function DebtFacilitiesSettings({ debtSettings, onDebtSettingsChange, numberOfPeriods, disabled = false }) {
+  const isEnabled = Boolean(debtSettings);
+
+  const updateGroup = (group, key, value) => onDebtSettingsChange({
+    ...debtSettings,
+    [group]: { ...debtSettings[group], [key]: value },
+  });
+
+  const updateFacility = (facilityId, key, value) => onDebtSettingsChange({
+    ...debtSettings,
+    facilities: debtSettings.facilities.map(facility => (
+      facility.id === facilityId ? { ...facility, [key]: value } : facility
+    )),
+  });
+
+  const addFacility = () => onDebtSettingsChange({
+    ...debtSettings,
+    facilities: [
+      ...debtSettings.facilities,
+      createDebtFacility({ name: `Empréstimo ${debtSettings.facilities.length + 1}` }),
+    ],
+  });
+
+  const removeFacility = (facilityId) => onDebtSettingsChange({
+    ...debtSettings,
+    facilities: debtSettings.facilities.filter(facility => facility.id !== facilityId),
+  });
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Contratos de Dívida e Covenants</h3>
+        <label htmlFor="debtSettingsEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="debtSettingsEnabled"
+            checked={isEnabled}
+            onChange={(e) => onDebtSettingsChange(e.target.checked ? getDefaultDebtSettings() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Gerar juros e amortizações a partir dos contratos
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Quando ativo, as despesas financeiras e a variação de empréstimos de cada período são calculadas pelos
+        contratos (SAC, Price ou Bullet; CDI, IPCA ou prefixado) e os covenants são testados a cada período.
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-x-6 gap-y-4 mb-4">
+            <div>
+              <label htmlFor="debtCdiRate" className="block text-sm font-medium text-slate-700 mb-1">
+                CDI Projetado (% a.a.):
+              </label>
+              <input
+                type="number"
+                id="debtCdiRate"
+                step="0.01"
+                value={debtSettings.indexRates.cdi}
+                onChange={(e) => updateGroup('indexRates', 'cdi', toNumber(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="debtIpcaRate" className="block text-sm font-medium text-slate-700 mb-1">
+                IPCA Projetado (% a.a.):
+              </label>
+              <input
+                type="number"
+                id="debtIpcaRate"
+                step="0.01"
+                value={debtSettings.indexRates.ipca}
+                onChange={(e) => updateGroup('indexRates', 'ipca', toNumber(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="maxNetDebtToEbitda" className="block text-sm font-medium text-slate-700 mb-1">
+                Dívida Líquida / EBITDA máx. (x):
+              </label>
+              <input
+                type="number"
+                id="maxNetDebtToEbitda"
+                step="0.1"
+                min="0"
+                value={debtSettings.covenants.maxNetDebtToEbitda ?? ''}
+                onChange={(e) => updateGroup('covenants', 'maxNetDebtToEbitda', e.target.value === '' ? null : Number(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+                placeholder="Sem covenant"
+              />
+            </div>
+            <div>
+              <label htmlFor="minDscr" className="block text-sm font-medium text-slate-700 mb-1">
+                DSCR mín. (x):
+              </label>
+              <input
+                type="number"
+                id="minDscr"
+                step="0.1"
+                min="0"
+                value={debtSettings.covenants.minDscr ?? ''}
+                onChange={(e) => updateGroup('covenants', 'minDscr', e.target.value === '' ? null : Number(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+                placeholder="Sem covenant"
+              />
+            </div>
+          </div>
+
+          {debtSettings.facilities.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-blue-50">
+                    <th className="border p-2 text-left">Contrato</th>
+                    <th className="border p-2 text-center">Principal (R$)</th>
+                    <th className="border p-2 text-center">Amortização</th>
+                    <th className="border p-2 text-center">Indexador</th>
+                    <th className="border p-2 text-center">Taxa/Spread (% a.a.)</th>
+                    <th className="border p-2 text-center">Prazo (meses)</th>
+                    <th className="border p-2 text-center">Carência (meses)</th>
+                    <th className="border p-2 text-center">Captação</th>
+                    <th className="border p-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {debtSettings.facilities.map(facility => (
+                    <tr key={facility.id}>
+                      <td className="border p-2">
+                        <input
+                          type="text"
+                          aria-label="Nome do contrato"
+                          value={facility.name}
+                          onChange={(e) => updateFacility(facility.id, 'name', e.target.value)}
+                          disabled={disabled}
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="border p-2">
+                        <input
+                          type="number"
+                          min="0"
+                          aria-label={`Principal - ${facility.name}`}
+                          value={facility.principal}
+                          onChange={(e) => updateFacility(facility.id, 'principal', Math.max(0, toNumber(e.target.value)))}
+                          disabled={disabled}
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="border p-2">
+                        <select
+                          aria-label={`Amortização - ${facility.name}`}
+                          value={facility.amortization}
+                          onChange={(e) => updateFacility(facility.id, 'amortization', e.target.value)}
+                          disabled={disabled}
+                          className={inputClassName}
+                        >
+                          {Object.values(AMORTIZATION_TYPES).map(type => (
+                            <option key={type} value={type}>{AMORTIZATION_TYPE_LABELS[type]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="border p-2">
+                        <select
+                          aria-label={`Indexador - ${facility.name}`}
+                          value={facility.rateIndex}
+                          onChange={(e) => updateFacility(facility.id, 'rateIndex', e.target.value)}
+                          disabled={disabled}
+                          className={inputClassName}
+                        >
+                          {Object.values(RATE_INDEXES).map(index => (
+                            <option key={index} value={index}>{RATE_INDEX_LABELS[index]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="border p-2">
+                        <input
+                          type="number"
+                          step="0.01"
+                          aria-label={`Taxa/Spread - ${facility.name}`}
+                          value={facility.spreadPercent}
+                          onChange={(e) => updateFacility(facility.id, 'spreadPercent', toNumber(e.target.value))}
+                          disabled={disabled}
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="border p-2">
+                        <input
+                          type="number"
+                          min="1"
+                          aria-label={`Prazo - ${facility.name}`}
+                          value={facility.termMonths}
+                          onChange={(e) => updateFacility(facility.id, 'termMonths', Math.max(1, toNumber(e.target.value)))}
+                          disabled={disabled}
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="border p-2">
+                        <input
+                          type="number"
+                          min="0"
+                          aria-label={`Carência - ${facility.name}`}
+                          value={facility.graceMonths}
+                          onChange={(e) => updateFacility(facility.id, 'graceMonths', Math.max(0, toNumber(e.target.value)))}
+                          disabled={disabled}
+                          className={inputClassName}
+                        />
+                      </td>
+                      <td className="border p-2">
+                        <select
+                          aria-label={`Captação - ${facility.name}`}
+                          value={facility.drawdownPeriod ?? ''}
+                          onChange={(e) => updateFacility(facility.id, 'drawdownPeriod', e.target.value === '' ? null : Number(e.target.value))}
+                          disabled={disabled}
+                          className={inputClassName}
+                        >
+                          <option value="">Saldo existente</option>
+                          {Array.from({ length: numberOfPeriods }, (_, index) => (
+                            <option key={index} value={index}>Período {index + 1}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="border p-2 text-center">
+                        <button
+                          type="button"
+                          onClick={() => removeFacility(facility.id)}
+                          disabled={disabled}
+                          className="text-red-600 hover:text-red-800 text-sm font-medium"
+                        >
+                          Remover
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <button
+            type="button"
+            onClick={addFacility}
+            disabled={disabled}
+            className="mt-3 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            + Adicionar Contrato
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,302 @@
+// src/components/InputPanel/ExcelMappingWizard.jsx
+import React from 'react';
+import FormWizard from '../composite/FormWizard';
+import { PERIOD_TYPES } from '../../utils/constants';
+import { fieldDefinitions, getFieldKeys } from '../../utils/fieldDefinitions';
+import {
+  columnLetter,
+  createLayoutProfile,
+  detectPeriodColumns,
+  getRowLabels,
+  guessLayout,
+  normalizeLabel,
+  suggestFieldMatches,
+} from '../../utils/excelLayoutMapping';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const PREVIEW_ROWS = 12;
+const PREVIEW_COLUMNS = 10;
+const MAX_HEADER_ROW = 30;
+
+const FIELD_GROUPS = getFieldKeys().reduce((groups, fieldKey) => {
+  const { group } = fieldDefinitions[fieldKey];
+  return { ...groups, [group]: [...(groups[group] || []), fieldKey] };
+}, {});
+
+const columnCountOf = (grid) => Math.max(0, ...grid.map(cells => cells.length));
+
+// Each distinct label once, in sheet order; suggestions are recomputed from the current layout
+const getLabelMatches = (grid, data) => {
+  const seen = new Set();
+  const labels = getRowLabels(grid, data)
+    .map(({ label }) => label)
+    .filter(label => {
+      const normalized = normalizeLabel(label);
+      if (seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
+  return suggestFieldMatches(labels).map(suggestion => ({
+    ...suggestion,
+    selectedKey: data.mappingOverrides[suggestion.label] ?? suggestion.fieldKey ?? '',
+  }));
+};
+
+function SheetPreview({ grid, labelColumn, headerRow, periodColumns = [] }) {
+  const periodColumnSet = new Set(periodColumns.map(({ column }) => column));
+  const columns = Array.from({ length: Math.min(columnCountOf(grid), PREVIEW_COLUMNS) }, (_, index) => index + 1);
+
+  return (
+    <div className="mt-4 overflow-x-auto">
+      <table className="min-w-full border-collapse text-xs">
+        <thead>
+          <tr className="bg-slate-100">
+            <th className="border p-1 w-8" />
+            {columns.map(column => <th key={column} className="border p-1 text-center">{columnLetter(column)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {grid.slice(0, PREVIEW_ROWS).map((cells, rowIndex) => (
+            <tr key={rowIndex} className={rowIndex + 1 === headerRow ? 'bg-blue-100 font-semibold' : ''}>
+              <td className="border p-1 text-center text-slate-500">{rowIndex + 1}</td>
+              {columns.map(column => {
+                const highlight = column === labelColumn ? 'bg-amber-50' : periodColumnSet.has(column) ? 'bg-green-50' : '';
+                return <td key={column} className={`border p-1 whitespace-nowrap ${highlight}`}>{cells[column - 1] ?? ''}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Column-mapping wizard for spreadsheets outside our templates
+ * Sheet, label column and period header row, then fuzzy-suggested field matches to confirm
+ * or override, saved as a layout profile recognized on future uploads.
+ * @param {{
+ * sheets: Array<{ name: string, grid: Array<Array<string | number | null>> }>;
+ * fileName?: string;
+ * defaultPeriodType: import('../../types/financial').PeriodTypeOption;
+ * onComplete: (profile: import('../../types/financial').ExcelLayoutProfile, saveProfile: boolean) => void;
+ * onCancel: () => void;
+ * }} props
+ */
+export default function ExcelMappingWizard({ sheets, fileName = '', defaultPeriodType, onComplete, onCancel }) {
+  const gridOf = (sheetName) => sheets.find(sheet => sheet.name === sheetName)?.grid || [];
+
+  const firstSheet = sheets.find(sheet => sheet.grid.length > 0) || sheets[0];
+  const initialValues = {
+    sheetName: firstSheet?.name || '',
+    ...guessLayout(firstSheet?.grid || []),
+    periodType: defaultPeriodType,
+    mappingOverrides: {},
+    profileName: fileName.replace(/\.xlsx$/i, ''),
+    saveProfile: true,
+  };
+
+  // Changing the layout invalidates the confirmed matches
+  const layoutUpdate = (changes) => ({ ...changes, mappingOverrides: {} });
+
+  const buildProfile = (data) => createLayoutProfile({
+    name: data.profileName,
+    sheetName: data.sheetName,
+    labelColumn: data.labelColumn,
+    headerRow: data.headerRow,
+    periodType: data.periodType,
+    mappings: getLabelMatches(gridOf(data.sheetName), data).map(({ label, selectedKey }) => ({ label, fieldKey: selectedKey || null })),
+  });
+
+  const steps = [
+    {
+      id: 'sheet',
+      label: 'Planilha',
+      render: (data, onUpdate) => (
+        <div>
+          <label htmlFor="mappingSheet" className="block text-sm font-medium text-slate-700 mb-1">Planilha com os dados:</label>
+          <select
+            id="mappingSheet"
+            value={data.sheetName}
+            onChange={(e) => onUpdate(layoutUpdate({ sheetName: e.target.value, ...guessLayout(gridOf(e.target.value)) }))}
+            className={inputClassName}
+          >
+            {sheets.map(sheet => <option key={sheet.name} value={sheet.name}>{sheet.name}</option>)}
+          </select>
+          <SheetPreview grid={gridOf(data.sheetName)} labelColumn={data.labelColumn} headerRow={data.headerRow} />
+        </div>
+      ),
+    },
+    {
+      id: 'layout',
+      label: 'Estrutura',
+      render: (data, onUpdate) => {
+        const grid = gridOf(data.sheetName);
+        const periodColumns = detectPeriodColumns(grid, data);
+        return (
+          <div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="mappingLabelColumn" className="block text-sm font-medium text-slate-700 mb-1">Coluna com as descrições:</label>
+                <select
+                  id="mappingLabelColumn"
+                  value={data.labelColumn}
+                  onChange={(e) => onUpdate(layoutUpdate({ labelColumn: Number(e.target.value) }))}
+                  className={inputClassName}
+                >
+                  {Array.from({ length: Math.max(columnCountOf(grid), 1) }, (_, index) => index + 1).map(column => (
+                    <option key={column} value={column}>{columnLetter(column)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="mappingHeaderRow" className="block text-sm font-medium text-slate-700 mb-1">Linha do cabeçalho dos períodos:</label>
+                <select
+                  id="mappingHeaderRow"
+                  value={data.headerRow}
+                  onChange={(e) => onUpdate(layoutUpdate({ headerRow: Number(e.target.value) }))}
+                  className={inputClassName}
+                >
+                  {Array.from({ length: Math.max(Math.min(grid.length, MAX_HEADER_ROW), 1) }, (_, index) => index + 1).map(row => (
+                    <option key={row} value={row}>{row}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="mappingPeriodType" className="block text-sm font-medium text-slate-700 mb-1">Os períodos são:</label>
+                <select
+                  id="mappingPeriodType"
+                  value={data.periodType}
+                  onChange={(e) => onUpdate({ periodType: e.target.value })}
+                  className={inputClassName}
+                >
+                  {Object.entries(PERIOD_TYPES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </div>
+            </div>
+            <p className="mt-3 text-xs text-slate-600">
+              Colunas de período detectadas: {periodColumns.length > 0
+                ? periodColumns.map(({ column, header }) => `${header} (${columnLetter(column)})`).join(', ')
+                : 'nenhuma'}. Colunas de total, média e variação são ignoradas.
+            </p>
+            <SheetPreview grid={grid} labelColumn={data.labelColumn} headerRow={data.headerRow} periodColumns={periodColumns} />
+          </div>
+        );
+      },
+    },
+    {
+      id: 'fields',
+      label: 'Campos',
+      render: (data, onUpdate) => (
+        <div className="overflow-x-auto">
+          <p className="mb-3 text-xs text-slate-600">
+            Sugestões por semelhança com os nomes dos campos. Confirme ou altere cada associação; linhas sem campo são ignoradas.
+          </p>
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Linha da planilha</th>
+                <th className="border p-2 text-center">Semelhança</th>
+                <th className="border p-2 text-left">Campo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {getLabelMatches(gridOf(data.sheetName), data).map(({ label, fieldKey, score, selectedKey }) => (
+                <tr key={label} className={selectedKey ? '' : 'text-slate-400'}>
+                  <td className="border p-2">{label}</td>
+                  <td className="border p-2 text-center">
+                    {fieldKey && selectedKey === fieldKey ? `${Math.round(score * 100)}%` : '-'}
+                  </td>
+                  <td className="border p-2">
+                    <select
+                      aria-label={`Campo para ${label}`}
+                      value={selectedKey}
+                      onChange={(e) => onUpdate({ mappingOverrides: { ...data.mappingOverrides, [label]: e.target.value } })}
+                      className="w-full p-1 border border-slate-300 rounded-md"
+                    >
+                      <option value="">— Ignorar —</option>
+                      {Object.entries(FIELD_GROUPS).map(([group, fieldKeys]) => (
+                        <optgroup key={group} label={group}>
+                          {fieldKeys.map(key => <option key={key} value={key}>{fieldDefinitions[key].label}</option>)}
+                        </optgroup>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ),
+    },
+    {
+      id: 'profile',
+      label: 'Perfil',
+      render: (data, onUpdate) => {
+        const mappedCount = getLabelMatches(gridOf(data.sheetName), data).filter(({ selectedKey }) => selectedKey).length;
+        return (
+          <div className="space-y-4">
+            <p className="text-sm text-slate-700">
+              {mappedCount} linha(s) associada(s) na planilha &quot;{data.sheetName}&quot;, períodos em {PERIOD_TYPES[data.periodType]?.label.toLowerCase()}.
+            </p>
+            <label className="flex items-center gap-2 text-sm text-slate-700">
+              <input type="checkbox" checked={data.saveProfile} onChange={(e) => onUpdate({ saveProfile: e.target.checked })} />
+              Salvar como perfil de layout (reconhecido automaticamente nos próximos uploads)
+            </label>
+            <div>
+              <label htmlFor="mappingProfileName" className="block text-sm font-medium text-slate-700 mb-1">Nome do perfil:</label>
+              <input
+                id="mappingProfileName"
+                type="text"
+                value={data.profileName}
+                onChange={(e) => onUpdate({ profileName: e.target.value })}
+                disabled={!data.saveProfile}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        );
+      },
+    },
+  ];
+
+  const handleValidateStep = (stepIndex, data) => {
+    if (stepIndex === 1) {
+      const grid = gridOf(data.sheetName);
+      if (getRowLabels(grid, data).length === 0) return { valid: false, error: 'Nenhuma descrição encontrada abaixo do cabeçalho na coluna escolhida.' };
+      if (detectPeriodColumns(grid, data).length === 0) return { valid: false, error: 'Nenhuma coluna de período com valores encontrada na linha de cabeçalho escolhida.' };
+    }
+    if (stepIndex === 2) buildProfile(data); // Throws on an empty or repeated mapping
+    if (stepIndex === 3 && data.saveProfile && !data.profileName.trim()) {
+      return { valid: false, error: 'Informe um nome para o perfil de layout.' };
+    }
+    return { valid: true };
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-700">Mapear Colunas da Planilha</h3>
+          <p className="text-xs text-slate-500">
+            O arquivo {fileName && <strong>{fileName}</strong>} não segue um template nem um perfil de layout salvo. Indique onde
+            estão as descrições e os períodos e associe cada linha a um campo.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 text-sm font-medium rounded-md border border-slate-300 text-slate-700 hover:bg-slate-50"
+        >
+          Cancelar
+        </button>
+      </div>
+      <FormWizard
+        steps={steps}
+        initialValues={initialValues}
+        onValidateStep={handleValidateStep}
+        onSubmit={(data) => onComplete(buildProfile(data), data.saveProfile)}
+      />
+    </section>
+  );
+}
@@ -14,6 +14,8 @@ import { PERIOD_TYPES } from '../../utils/constants';
  * currentAppPeriodType: import('../../types/financial').PeriodTypeOption;
  * onNumberOfPeriodsChange: (periods: number) => void;
  * onPeriodTypeChange: (periodType: import('../../types/financial').PeriodTypeOption) => void;
+ * layoutProfiles?: import('../../types/financial').ExcelLayoutProfile[]; // Saved mappings of client spreadsheets
+ * onDeleteLayoutProfile?: (profileId: string) => void;
  * }} props
  */
 export default function ExcelUploader({
@@ -26,6 +28,8 @@ export default function ExcelUploader({
   currentAppPeriodType,
   onNumberOfPeriodsChange,
   onPeriodTypeChange,
+  layoutProfiles = [],
+  onDeleteLayoutProfile,
 }) {
   const fileInputRef = useRef(null);
 
@@ -132,6 +136,35 @@ export default function ExcelUploader({
         </div>
       </div>
 
+      {layoutProfiles.length > 0 && (
+        <div className="mt-6 p-4 bg-slate-50 rounded-lg border border-slate-200">
+          <h3 className="text-sm font-semibold text-slate-700 mb-1">Perfis de Layout Salvos</h3>
+          <p className="text-xs text-slate-500 mb-2">
+            Planilhas fora do template que correspondem a um perfil são lidas automaticamente com o mapeamento salvo.
+          </p>
+          <ul className="text-xs text-slate-700 space-y-1">
+            {layoutProfiles.map(profile => (
+              <li key={profile.id} className="flex items-center justify-between gap-2">
+                <span>
+                  <strong>{profile.name}</strong> — planilha &quot;{profile.sheetName}&quot;, {profile.mappings.length} campo(s),{' '}
+                  {PERIOD_TYPES[profile.periodType]?.label.toLowerCase() || profile.periodType}
+                </span>
+                {onDeleteLayoutProfile && (
+                  <button
+                    type="button"
+                    onClick={() => onDeleteLayoutProfile(profile.id)}
+                    disabled={isLoading}
+                    className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Excluir
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="mt-4 text-center">
         {excelJsError && (
           <div className="mt-3 p-3 bg-red-100 border border-red-300 rounded-md">
@@ -140,7 +173,7 @@ export default function ExcelUploader({
         )}
         <p className="text-xs text-slate-500 mt-2">
           A plataforma tentará identificar automaticamente o formato do template e o número de períodos do seu arquivo.
-          Recomendamos usar o "Template Inteligente".
+          Recomendamos usar o "Template Inteligente"; outras planilhas podem ser mapeadas coluna a coluna.
         </p>
       </div>
     </section>
@@ -0,0 +1,216 @@
+// src/components/InputPanel/GoalSeekPanel.jsx
+import React from 'react';
+import {
+  GOAL_SEEK_METRICS,
+  GOAL_SEEK_SCOPES,
+  GOAL_SEEK_SCOPE_LABELS,
+  getDefaultGoalSeekSettings,
+} from '../../utils/goalSeek';
+import { getSensitivityDrivers } from '../../utils/sensitivity';
+import { getPeriodLabel } from '../../utils/projections';
+import { fieldDefinitions } from '../../utils/fieldDefinitions';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const formatDriverValue = (driver, value) => (
+  fieldDefinitions[driver]?.type === 'percentage' ? formatPercentage(value) : formatCurrency(value)
+);
+
+/**
+ * @param {{
+ * goalSeekSettings: object | null;
+ * onGoalSeekSettingsChange: (goalSeekSettings: object | null) => void;
+ * onRunGoalSeek: () => void;
+ * goalSeekResult: object | null;
+ * onApplySolution: () => void;
+ * periodType: string;
+ * isSolving?: boolean;
+ * canRun?: boolean;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function GoalSeekPanel({
+  goalSeekSettings,
+  onGoalSeekSettingsChange,
+  onRunGoalSeek,
+  goalSeekResult,
+  onApplySolution,
+  periodType,
+  isSolving = false,
+  canRun = false,
+  disabled = false,
+}) {
+  const isEnabled = Boolean(goalSeekSettings);
+
+  const updateSettings = (key, value) => onGoalSeekSettingsChange({ ...goalSeekSettings, [key]: value });
+
+  const toggleDriver = (driver, checked) => updateSettings(
+    'drivers',
+    checked ? [...goalSeekSettings.drivers, driver] : goalSeekSettings.drivers.filter(key => key !== driver),
+  );
+
+  const metricLabel = (metric) => GOAL_SEEK_METRICS[metric]?.label || metric;
+  const changedDrivers = (goalSeekResult?.drivers || []).filter(driver => driver.isEffective);
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Busca de Meta</h3>
+        <label htmlFor="goalSeekEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="goalSeekEnabled"
+            checked={isEnabled}
+            onChange={(e) => onGoalSeekSettingsChange(e.target.checked ? getDefaultGoalSeekSettings() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Calcular os direcionadores necessários para atingir uma meta
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Responde a perguntas como &quot;qual saldo de contas a receber preciso para terminar o ano com R$ 5 milhões
+        em caixa?&quot;. Com vários direcionadores, todos se movem na mesma proporção da faixa permitida (mínimo e
+        máximo de cada campo) até atingir a meta.
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 mb-4">
+            <div>
+              <label htmlFor="goalSeekMetric" className="block text-sm font-medium text-slate-700 mb-1">
+                Métrica Alvo:
+              </label>
+              <select
+                id="goalSeekMetric"
+                value={goalSeekSettings.metric}
+                onChange={(e) => updateSettings('metric', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {Object.entries(GOAL_SEEK_METRICS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="goalSeekTarget" className="block text-sm font-medium text-slate-700 mb-1">
+                Valor Alvo (R$):
+              </label>
+              <input
+                type="number"
+                id="goalSeekTarget"
+                value={goalSeekSettings.target ?? ''}
+                onChange={(e) => updateSettings('target', e.target.value === '' ? null : Number(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+                placeholder="Ex: 5000000"
+              />
+            </div>
+            <div>
+              <label htmlFor="goalSeekScope" className="block text-sm font-medium text-slate-700 mb-1">
+                Aplicar em:
+              </label>
+              <select
+                id="goalSeekScope"
+                value={goalSeekSettings.scope}
+                onChange={(e) => updateSettings('scope', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {Object.values(GOAL_SEEK_SCOPES).map(scope => (
+                  <option key={scope} value={scope}>{GOAL_SEEK_SCOPE_LABELS[scope]}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <fieldset className="mb-4">
+            <legend className="block text-sm font-medium text-slate-700 mb-2">Direcionadores:</legend>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+              {getSensitivityDrivers().map(({ key, label }) => (
+                <label key={key} className="flex items-center text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={goalSeekSettings.drivers.includes(key)}
+                    onChange={(e) => toggleDriver(key, e.target.checked)}
+                    disabled={disabled}
+                    className="mr-2"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <button
+            type="button"
+            onClick={onRunGoalSeek}
+            disabled={disabled || isSolving || !canRun || goalSeekSettings.target === null || goalSeekSettings.drivers.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSolving ? 'Calculando...' : 'Buscar Meta'}
+          </button>
+
+          {goalSeekResult && (
+            <div className="mt-6">
+              <div
+                className={`p-4 rounded-lg border-l-4 mb-4 ${goalSeekResult.converged
+                  ? 'bg-green-50 border-green-400 text-green-700'
+                  : 'bg-amber-50 border-amber-400 text-amber-700'}`}
+              >
+                <p className="font-medium">
+                  {goalSeekResult.converged
+                    ? `Meta atingida: ${metricLabel(goalSeekResult.metric)} de ${formatCurrency(goalSeekResult.achievedValue)}.`
+                    : `Meta fora do alcance dentro dos limites dos campos. Melhor resultado: ${formatCurrency(goalSeekResult.achievedValue)}.`}
+                </p>
+                <p className="text-xs mt-1">
+                  Atual: {formatCurrency(goalSeekResult.baseValue)} · Alvo: {formatCurrency(goalSeekResult.target)}
+                </p>
+              </div>
+
+              {changedDrivers.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full border-collapse text-sm">
+                    <thead>
+                      <tr className="bg-blue-50">
+                        <th className="border p-2 text-left">Direcionador</th>
+                        <th className="border p-2 text-center">Período</th>
+                        <th className="border p-2 text-right">Valor Atual</th>
+                        <th className="border p-2 text-right">Valor Necessário</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {changedDrivers.flatMap(({ driver, label, changes }) => changes.map(change => (
+                        <tr key={`${driver}-${change.periodIndex}`}>
+                          <td className="border p-2">{label}</td>
+                          <td className="border p-2 text-center">{getPeriodLabel(periodType, change.periodIndex, false)}</td>
+                          <td className="border p-2 text-right">{formatDriverValue(driver, change.from)}</td>
+                          <td className="border p-2 text-right font-semibold">{formatDriverValue(driver, change.to)}</td>
+                        </tr>
+                      )))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="text-sm text-slate-500">Nenhum dos direcionadores selecionados altera a métrica alvo.</p>
+              )}
+
+              {changedDrivers.length > 0 && (
+                <button
+                  type="button"
+                  onClick={onApplySolution}
+                  disabled={disabled}
+                  className="mt-4 px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 disabled:opacity-50"
+                >
+                  Aplicar Solução aos Dados
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,145 @@
+// src/components/InputPanel/InflationSettings.jsx
+import React from 'react';
+import { INFLATION_INDICES, INFLATION_INDEX_LABELS, getMissingInflationPeriods } from '../../utils/inflation';
+import { getPeriodLabel } from '../../utils/projections';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const toRate = (value) => (value === '' ? null : Number(value));
+
+/**
+ * @param {{
+ * inflationSettings: { enabled: boolean, indexType: string, indexTables: Object<string, Array<number|null>>, basePeriodIndex: number|null, realTerms: boolean };
+ * onInflationSettingsChange: (settings: object) => void;
+ * periodCount: number;
+ * periodType: string;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function InflationSettings({
+  inflationSettings,
+  onInflationSettingsChange,
+  periodCount,
+  periodType,
+  disabled = false,
+}) {
+  const { enabled, indexType, indexTables, basePeriodIndex, realTerms } = inflationSettings;
+  const rates = indexTables[indexType] || [];
+  const missing = getMissingInflationPeriods(rates, periodCount);
+
+  const update = (changes) => onInflationSettingsChange({ ...inflationSettings, ...changes });
+
+  const updateRate = (index, value) => {
+    const nextRates = Array.from({ length: periodCount }, (_, i) => rates[i] ?? null);
+    nextRates[index] = toRate(value);
+    update({ indexTables: { ...indexTables, [indexType]: nextRates } });
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Correção Monetária e Valores Reais</h3>
+        <label htmlFor="inflationEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="inflationEnabled"
+            checked={enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Comparar crescimento nominal e real
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Informe a inflação de cada período no índice escolhido. O crescimento de receita e lucro é apresentado em termos
+        nominais e reais; na visão em moeda constante todos os períodos são reexpressos a preços do fim do período-base.
+      </p>
+
+      {enabled && (
+        <>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4">
+            <div>
+              <label htmlFor="inflationIndexType" className="block text-sm font-medium text-slate-700 mb-1">Índice:</label>
+              <select
+                id="inflationIndexType"
+                value={indexType}
+                onChange={(e) => update({ indexType: e.target.value })}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {Object.values(INFLATION_INDICES).map(type => (
+                  <option key={type} value={type}>{INFLATION_INDEX_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="inflationBasePeriod" className="block text-sm font-medium text-slate-700 mb-1">Data-base (moeda constante):</label>
+              <select
+                id="inflationBasePeriod"
+                value={basePeriodIndex ?? ''}
+                onChange={(e) => update({ basePeriodIndex: e.target.value === '' ? null : Number(e.target.value) })}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                <option value="">Último período</option>
+                {Array.from({ length: periodCount }, (_, index) => (
+                  <option key={index} value={index}>Fim de {getPeriodLabel(periodType, index)}</option>
+                ))}
+              </select>
+            </div>
+            <label htmlFor="inflationRealTerms" className="flex items-center text-sm text-slate-700 md:mt-6">
+              <input
+                type="checkbox"
+                id="inflationRealTerms"
+                checked={realTerms}
+                onChange={(e) => update({ realTerms: e.target.checked })}
+                disabled={disabled}
+                className="mr-2"
+              />
+              Exibir relatório em moeda constante (valores reais)
+            </label>
+          </div>
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Inflação (%)</th>
+                  {Array.from({ length: periodCount }, (_, index) => (
+                    <th key={index} className="border p-2 text-center">{getPeriodLabel(periodType, index)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td className="border p-2">{INFLATION_INDEX_LABELS[indexType]}</td>
+                  {Array.from({ length: periodCount }, (_, index) => (
+                    <td key={index} className="border p-1">
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={rates[index] ?? ''}
+                        onChange={(e) => updateRate(index, e.target.value)}
+                        disabled={disabled}
+                        className="w-full p-1 border border-slate-300 rounded-md text-right"
+                        aria-label={`Inflação ${INFLATION_INDEX_LABELS[indexType]} - ${getPeriodLabel(periodType, index)}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          {missing.length > 0 && (
+            <p className="mt-2 text-xs text-amber-700">
+              Informe a inflação de todos os períodos para aplicar o ajuste
+              (faltando: {missing.map(index => getPeriodLabel(periodType, index)).join(', ')}).
+            </p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -3,8 +3,8 @@ import React from 'react';
 
 /**
  * @param {{
- * inputMethod: 'manual' | 'excel' | 'pdf';
- * onInputMethodChange: (method: 'manual' | 'excel' | 'pdf') => void;
+ * inputMethod: 'manual' | 'excel' | 'sped' | 'trialBalance' | 'nfe' | 'pdf';
+ * onInputMethodChange: (method: 'manual' | 'excel' | 'sped' | 'trialBalance' | 'nfe' | 'pdf') => void;
  * companyName: string;
  * onCompanyNameChange: (name: string) => void;
  * reportTitle: string;
@@ -36,6 +36,9 @@ export default function InputMethodSelector({
           >
             <option value="manual">Entrada Manual de Dados</option>
             <option value="excel">Upload de Arquivo Excel</option>
+            <option value="sped">Importar SPED Contábil (ECD/ECF)</option>
+            <option value="trialBalance">Importar Balancete (CSV/XLSX)</option>
+            <option value="nfe">Importar NF-e Emitidas (XML em .zip)</option>
             {includesPdfOption && (
               <option value="pdf">Extrair de PDF com IA</option>
             )}
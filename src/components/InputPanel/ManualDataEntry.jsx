@@ -6,7 +6,7 @@ import {
   FIELD_CATEGORIES, 
   isOverrideField, 
 } from '../../utils/fieldDefinitions';
-import { PERIOD_TYPES, MIN_PERIODS_MANUAL, MAX_PERIODS } from '../../utils/constants';
+import { PERIOD_TYPES, MIN_PERIODS_MANUAL, getMaxPeriods } from '../../utils/constants';
 
 /**
  * @param {{
@@ -16,10 +16,18 @@ import { PERIOD_TYPES, MIN_PERIODS_MANUAL, MAX_PERIODS } from '../../utils/const
  * onPeriodTypeChange: (type: import('../../types/financial').PeriodTypeOption) => void;
  * inputData: import('../../types/financial').PeriodInputData[];
  * onInputChange: (periodIndex: number, fieldKey: import('../../types/financial').FieldKey, value: string) => void;
- * onSubmit: () => void;
- * isLoading: boolean;
+ * onSubmit?: () => void;
+ * isLoading?: boolean;
  * validationErrors?: Array<{ period: number, fields: Record<string, string> }> | null;
+ * sections?: Array<{ key: string, title: string, fields: Array<{ key: string, label: string, note?: string }> }>;
+ * periodHeaders?: React.ReactNode[];
+ * highlightedPeriods?: boolean[];
+ * renderSectionFooter?: (sectionKey: string) => React.ReactNode;
+ * disabled?: boolean;
  * }} props
+ *
+ * Passing `sections` renders only those rows as an embedded grid (no period configuration,
+ * instructions or card), e.g. the weekly receipts/disbursements of the rolling cash forecast.
  */
 export default function ManualDataEntry({
   numberOfPeriods,
@@ -31,6 +39,11 @@ export default function ManualDataEntry({
   onSubmit,
   isLoading,
   validationErrors,
+  sections,
+  periodHeaders,
+  highlightedPeriods,
+  renderSectionFooter,
+  disabled = false,
 }) {
   const [expandedOverrides, setExpandedOverrides] = useState({
     pl: false,
@@ -42,6 +55,8 @@ export default function ManualDataEntry({
     setExpandedOverrides(prev => ({ ...prev, [sectionKey]: !prev[sectionKey] }));
   };
 
+  const maxPeriods = getMaxPeriods(periodType);
+
   const driverFieldKeys = getFieldKeys([FIELD_CATEGORIES.DRIVER_REQUIRED, FIELD_CATEGORIES.DRIVER_OPTIONAL]);
   
   const overrideSections = [
@@ -50,14 +65,21 @@ export default function ManualDataEntry({
     { key: 'cf', title: '🔧 Fluxo de Caixa (Overrides Opcionais)', category: FIELD_CATEGORIES.OVERRIDE_CF },
   ];
 
+  const customDefinitions = sections
+    ? Object.fromEntries(sections.flatMap(section => section.fields.map(field => [field.key, field])))
+    : null;
+  const getDefinition = (fieldKey) => (customDefinitions ? customDefinitions[fieldKey] : fieldDefinitions[fieldKey]);
+
   const renderFieldRow = (fieldKey, periodIndex) => {
-    const def = fieldDefinitions[fieldKey];
+    const def = getDefinition(fieldKey);
     if (!def) return null;
     const isDisabled = def.firstPeriodOnly && periodIndex > 0;
     const periodErrorObj = validationErrors?.find(pErr => pErr.period === periodIndex + 1);
     const fieldErrorMsg = periodErrorObj?.fields[fieldKey];
     const currentValue = inputData?.[periodIndex]?.[fieldKey];
-    const isOverridden = isOverrideField(fieldKey) && (currentValue !== null && typeof currentValue !== 'undefined' && currentValue !== '');
+    const isOverridden = highlightedPeriods
+      ? Boolean(highlightedPeriods[periodIndex])
+      : isOverrideField(fieldKey) && (currentValue !== null && typeof currentValue !== 'undefined' && currentValue !== '');
 
     return (
       <td key={`${fieldKey}-${periodIndex}`} className="p-1.5 border border-slate-300">
@@ -65,7 +87,7 @@ export default function ManualDataEntry({
           type="number"
           step={def.type === 'percentage' || def.type === 'days' ? '0.01' : 'any'}
           placeholder={isDisabled ? 'N/A' : '0'}
-          disabled={isDisabled}
+          disabled={isDisabled || disabled}
           title={def.note || def.label}
           value={isDisabled ? '' : (currentValue === null || typeof currentValue === 'undefined' ? '' : currentValue)}
           onChange={(e) => onInputChange(periodIndex, fieldKey, e.target.value)}
@@ -82,7 +104,7 @@ export default function ManualDataEntry({
     );
   };
 
-  const renderSectionTable = (title, fieldKeysToShow, isOverrideSectionContent = false, sectionKeyForToggle = null) => {
+  const renderSectionTable = (title, fieldKeysToShow, isOverrideSectionContent = false, sectionKeyForToggle = null, footer = null) => {
     if (fieldKeysToShow.length === 0) return null;
 
     const isCollapsible = isOverrideSectionContent && sectionKeyForToggle;
@@ -138,17 +160,21 @@ export default function ManualDataEntry({
                   </th>
                   {inputData?.map((_, index) => (
                     <th key={index} className="p-3 border-x border-slate-300 text-center text-sm font-semibold text-slate-700 min-w-[120px]">
-                      Período {index + 1}
-                      <span className="font-normal text-xs block">
-                        ({PERIOD_TYPES[periodType]?.shortLabel || periodType})
-                      </span>
+                      {periodHeaders ? periodHeaders[index] : (
+                        <>
+                          Período {index + 1}
+                          <span className="font-normal text-xs block">
+                            ({PERIOD_TYPES[periodType]?.shortLabel || periodType})
+                          </span>
+                        </>
+                      )}
                     </th>
                   ))}
                 </tr>
               </thead>
               <tbody>
                 {fieldKeysToShow.map(fieldKey => {
-                  const def = fieldDefinitions[fieldKey];
+                  const def = getDefinition(fieldKey);
                   return (
                     <tr key={fieldKey} className={`hover:bg-slate-50 ${isOverrideSectionContent ? 'bg-sky-50/30' : ''}`}>
                       <td className="p-3 border-x border-b border-slate-300 text-sm text-slate-600 sticky left-0 bg-white hover:bg-slate-50 z-10" title={def.note || ''}>
@@ -163,6 +189,7 @@ export default function ManualDataEntry({
                     </tr>
                   );
                 })}
+                {footer}
               </tbody>
             </table>
           </div>
@@ -171,6 +198,24 @@ export default function ManualDataEntry({
     );
   };
   
+  if (sections) {
+    return (
+      <div>
+        {sections.map(section => (
+          <div key={section.key}>
+            {renderSectionTable(
+              section.title,
+              section.fields.map(field => field.key),
+              false,
+              null,
+              renderSectionFooter?.(section.key),
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
   return (
     <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
       <h2 className="text-xl font-semibold text-slate-700 mb-6 text-center">
@@ -180,11 +225,11 @@ export default function ManualDataEntry({
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
         <div>
           <label htmlFor="numberOfPeriodsEntry" className="block text-sm font-medium text-slate-700 mb-1">
-            Número de Períodos ({MIN_PERIODS_MANUAL}-{MAX_PERIODS}):
+            Número de Períodos ({MIN_PERIODS_MANUAL}-{maxPeriods}):
           </label>
           <select id="numberOfPeriodsEntry" value={numberOfPeriods} onChange={(e) => onNumberOfPeriodsChange(Number(e.target.value))}
             className="w-full p-2.5 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
-            {Array.from({ length: MAX_PERIODS - MIN_PERIODS_MANUAL + 1 }, (_, i) => MIN_PERIODS_MANUAL + i).map(n => (
+            {Array.from({ length: maxPeriods - MIN_PERIODS_MANUAL + 1 }, (_, i) => MIN_PERIODS_MANUAL + i).map(n => (
               <option key={n} value={n}>{n} Períodos</option>
             ))}
           </select>
@@ -0,0 +1,304 @@
+// src/components/InputPanel/MonteCarloSettings.jsx
+import React from 'react';
+import { PROJECTION_DRIVERS } from '../../utils/projections';
+import {
+  SIMULATION_DISTRIBUTIONS,
+  SIMULATION_DISTRIBUTION_LABELS,
+  DEFAULT_DRIVER_DISTRIBUTIONS,
+  MAX_SIMULATION_ITERATIONS,
+  MAX_SIMULATION_FORECAST_PERIODS,
+  MAX_SIMULATION_PERIOD_ITERATIONS,
+  getDefaultSimulationSettings,
+} from '../../utils/monteCarlo';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+const DISTRIBUTION_PARAMETERS = {
+  [SIMULATION_DISTRIBUTIONS.NORMAL]: [['mean', 'Média'], ['stdDev', 'Desvio Padrão']],
+  [SIMULATION_DISTRIBUTIONS.TRIANGULAR]: [['min', 'Mínimo'], ['mode', 'Mais Provável'], ['max', 'Máximo']],
+  [SIMULATION_DISTRIBUTIONS.UNIFORM]: [['min', 'Mínimo'], ['max', 'Máximo']],
+};
+
+/**
+ * @param {{
+ * simulationSettings: object | null;
+ * onSimulationSettingsChange: (simulationSettings: object | null) => void;
+ * onRunSimulation: () => void;
+ * isSimulating?: boolean;
+ * canRun?: boolean;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function MonteCarloSettings({
+  simulationSettings,
+  onSimulationSettingsChange,
+  onRunSimulation,
+  isSimulating = false,
+  canRun = false,
+  disabled = false,
+}) {
+  const isEnabled = Boolean(simulationSettings);
+  const simulatedDrivers = isEnabled ? Object.keys(simulationSettings.drivers) : [];
+
+  const updateSettings = (key, value) => onSimulationSettingsChange({ ...simulationSettings, [key]: value });
+
+  const toggleDriver = (driver, checked) => {
+    const drivers = { ...simulationSettings.drivers };
+    if (checked) {
+      drivers[driver] = { ...DEFAULT_DRIVER_DISTRIBUTIONS[driver] };
+    } else {
+      delete drivers[driver];
+    }
+    onSimulationSettingsChange({
+      ...simulationSettings,
+      drivers,
+      correlations: simulationSettings.correlations.filter(({ drivers: pair }) => pair.every(key => drivers[key])),
+    });
+  };
+
+  const updateDriver = (driver, key, value) => updateSettings('drivers', {
+    ...simulationSettings.drivers,
+    [driver]: { ...simulationSettings.drivers[driver], [key]: value },
+  });
+
+  const changeDistribution = (driver, distribution) => {
+    const current = simulationSettings.drivers[driver];
+    const center = current.mean ?? current.mode ?? ((current.min || 0) + (current.max || 0)) / 2;
+    const halfRange = current.stdDev !== undefined ? current.stdDev * 2 : ((current.max || 0) - (current.min || 0)) / 2;
+    const specs = {
+      [SIMULATION_DISTRIBUTIONS.NORMAL]: { mean: center, stdDev: halfRange / 2 },
+      [SIMULATION_DISTRIBUTIONS.TRIANGULAR]: { min: center - halfRange, mode: center, max: center + halfRange },
+      [SIMULATION_DISTRIBUTIONS.UNIFORM]: { min: center - halfRange, max: center + halfRange },
+    };
+    updateSettings('drivers', { ...simulationSettings.drivers, [driver]: { distribution, ...specs[distribution] } });
+  };
+
+  const addCorrelation = () => updateSettings('correlations', [
+    ...simulationSettings.correlations,
+    { drivers: [simulatedDrivers[0], simulatedDrivers[1]], coefficient: 0 },
+  ]);
+
+  const updateCorrelation = (index, changes) => updateSettings('correlations', simulationSettings.correlations.map(
+    (correlation, i) => (i === index ? { ...correlation, ...changes } : correlation),
+  ));
+
+  const removeCorrelation = (index) => updateSettings('correlations', simulationSettings.correlations.filter((_, i) => i !== index));
+
+  const driverOptions = simulatedDrivers.map(driver => (
+    <option key={driver} value={driver}>{PROJECTION_DRIVERS[driver].label}</option>
+  ));
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Simulação de Monte Carlo do Caixa</h3>
+        <label htmlFor="simulationEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="simulationEnabled"
+            checked={isEnabled}
+            onChange={(e) => onSimulationSettingsChange(e.target.checked ? getDefaultSimulationSettings() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Simular premissas com distribuições de probabilidade
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Cada iteração sorteia um valor por premissa e projeta as demonstrações, gerando faixas de percentis do caixa
+        final, a probabilidade de caixa negativo e a distribuição do caixa mínimo. Premissas não simuladas seguem a
+        projeção configurada (ou o último período histórico). Iterações × períodos (históricos + projetados) limitados
+        a {MAX_SIMULATION_PERIOD_ITERATIONS.toLocaleString('pt-BR')}.
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 mb-4">
+            <div>
+              <label htmlFor="simulationIterations" className="block text-sm font-medium text-slate-700 mb-1">
+                Iterações:
+              </label>
+              <input
+                type="number"
+                id="simulationIterations"
+                min="100"
+                max={MAX_SIMULATION_ITERATIONS}
+                step="100"
+                value={simulationSettings.iterations}
+                onChange={(e) => updateSettings('iterations', Math.min(MAX_SIMULATION_ITERATIONS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="simulationForecastPeriods" className="block text-sm font-medium text-slate-700 mb-1">
+                Períodos Projetados:
+              </label>
+              <input
+                type="number"
+                id="simulationForecastPeriods"
+                min="1"
+                max={MAX_SIMULATION_FORECAST_PERIODS}
+                value={simulationSettings.forecastPeriods}
+                onChange={(e) => updateSettings('forecastPeriods', Math.min(MAX_SIMULATION_FORECAST_PERIODS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="simulationSeed" className="block text-sm font-medium text-slate-700 mb-1">
+                Semente (opcional):
+              </label>
+              <input
+                type="number"
+                id="simulationSeed"
+                value={simulationSettings.seed ?? ''}
+                onChange={(e) => updateSettings('seed', e.target.value === '' ? null : parseInt(e.target.value, 10))}
+                disabled={disabled}
+                className={inputClassName}
+                placeholder="Aleatória"
+              />
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full border-collapse text-sm">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Premissa</th>
+                  <th className="border p-2 text-center">Distribuição</th>
+                  <th className="border p-2 text-center">Parâmetros</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(DEFAULT_DRIVER_DISTRIBUTIONS).map(driver => {
+                  const spec = simulationSettings.drivers[driver];
+                  const { label, unit } = PROJECTION_DRIVERS[driver];
+                  return (
+                    <tr key={driver}>
+                      <td className="border p-2">
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            checked={Boolean(spec)}
+                            onChange={(e) => toggleDriver(driver, e.target.checked)}
+                            disabled={disabled}
+                            className="mr-2"
+                          />
+                          {label} ({unit})
+                        </label>
+                      </td>
+                      <td className="border p-2">
+                        {spec && (
+                          <select
+                            aria-label={`Distribuição - ${label}`}
+                            value={spec.distribution}
+                            onChange={(e) => changeDistribution(driver, e.target.value)}
+                            disabled={disabled}
+                            className={inputClassName}
+                          >
+                            {Object.values(SIMULATION_DISTRIBUTIONS).map(distribution => (
+                              <option key={distribution} value={distribution}>{SIMULATION_DISTRIBUTION_LABELS[distribution]}</option>
+                            ))}
+                          </select>
+                        )}
+                      </td>
+                      <td className="border p-2">
+                        {spec && (
+                          <div className="flex gap-2">
+                            {DISTRIBUTION_PARAMETERS[spec.distribution].map(([key, parameterLabel]) => (
+                              <input
+                                key={key}
+                                type="number"
+                                step="0.1"
+                                aria-label={`${parameterLabel} - ${label}`}
+                                title={parameterLabel}
+                                placeholder={parameterLabel}
+                                value={spec[key] ?? ''}
+                                onChange={(e) => updateDriver(driver, key, toNumber(e.target.value))}
+                                disabled={disabled}
+                                className={inputClassName}
+                              />
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {simulationSettings.correlations.length > 0 && (
+            <div className="mt-4 space-y-2">
+              <h4 className="text-sm font-medium text-slate-700">Correlações</h4>
+              {simulationSettings.correlations.map((correlation, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-2 items-center">
+                  <select
+                    aria-label="Primeira premissa"
+                    value={correlation.drivers[0]}
+                    onChange={(e) => updateCorrelation(index, { drivers: [e.target.value, correlation.drivers[1]] })}
+                    disabled={disabled}
+                    className={inputClassName}
+                  >
+                    {driverOptions}
+                  </select>
+                  <select
+                    aria-label="Segunda premissa"
+                    value={correlation.drivers[1]}
+                    onChange={(e) => updateCorrelation(index, { drivers: [correlation.drivers[0], e.target.value] })}
+                    disabled={disabled}
+                    className={inputClassName}
+                  >
+                    {driverOptions}
+                  </select>
+                  <input
+                    type="number"
+                    min="-1"
+                    max="1"
+                    step="0.05"
+                    aria-label="Coeficiente de correlação"
+                    value={correlation.coefficient}
+                    onChange={(e) => updateCorrelation(index, { coefficient: Math.max(-1, Math.min(1, toNumber(e.target.value))) })}
+                    disabled={disabled}
+                    className={inputClassName}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeCorrelation(index)}
+                    disabled={disabled}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Remover
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="mt-4 flex flex-wrap gap-3">
+            <button
+              type="button"
+              onClick={addCorrelation}
+              disabled={disabled || simulatedDrivers.length < 2}
+              className="px-4 py-2 bg-slate-100 text-slate-700 text-sm font-medium rounded-md hover:bg-slate-200 disabled:opacity-50"
+            >
+              + Adicionar Correlação
+            </button>
+            <button
+              type="button"
+              onClick={onRunSimulation}
+              disabled={disabled || isSimulating || !canRun || simulatedDrivers.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSimulating ? 'Simulando...' : 'Executar Simulação'}
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
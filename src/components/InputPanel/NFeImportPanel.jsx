@@ -0,0 +1,177 @@
+// src/components/InputPanel/NFeImportPanel.jsx
+import React from 'react';
+import { NFE_REVENUE_BASES } from '../../services/storage';
+import { PERIOD_TYPES } from '../../utils/constants';
+import { formatCurrency, formatDays, formatPercentage } from '../../utils/formatters';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const PERIOD_TYPE_OPTIONS = ['anos', 'trimestres', 'meses'];
+const PREVIEW_CUSTOMERS = 5;
+
+const REVENUE_BASIS_LABELS = {
+  [NFE_REVENUE_BASES.GROSS]: 'Receita bruta (o regime tributário deduz PIS/COFINS ou DAS)',
+  [NFE_REVENUE_BASES.NET]: 'Receita líquida de ICMS, PIS e COFINS',
+};
+
+const SUMMARY_ROWS = [
+  { key: 'invoiceCount', label: 'Notas de venda', format: value => value },
+  { key: 'grossRevenue', label: 'Receita Bruta (líquida de devoluções)', format: formatCurrency },
+  { key: 'returns', label: 'Devoluções de Clientes', format: formatCurrency },
+  { key: 'icms', label: 'ICMS', format: formatCurrency },
+  { key: 'pis', label: 'PIS', format: formatCurrency },
+  { key: 'cofins', label: 'COFINS', format: formatCurrency },
+  { key: 'ipi', label: 'IPI (cobrado à parte)', format: formatCurrency },
+  { key: 'netRevenue', label: 'Receita Líquida', format: formatCurrency },
+  { key: 'dso', label: 'Prazo Médio das Duplicatas (PMR)', format: value => (value === null ? '-' : formatDays(value)) },
+  { key: 'duplicataCoverage', label: 'Vendas com Duplicatas', format: value => formatPercentage(value) },
+  { key: 'receivablesAvg', label: 'Contas a Receber Médio', format: value => (value === null ? '-' : formatCurrency(value)) },
+];
+
+/**
+ * NF-e XML zip upload: revenue, taxes, receivables and customers per period
+ * @param {{
+ * nfeImport: { invoices: Array<object>, skippedFiles: string[], cancelledCount: number } | null;
+ * periodType: string;
+ * onPeriodTypeChange: (periodType: string) => void;
+ * revenueBasis: string;
+ * onRevenueBasisChange: (basis: string) => void;
+ * nfeResult: { periods: Array<object>, customers: Array<object>, inputData: Array<object>, warnings: string[] } | null;
+ * error?: string | null;
+ * onFileUpload: (file: File) => void;
+ * onApply: () => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function NFeImportPanel({
+  nfeImport,
+  periodType,
+  onPeriodTypeChange,
+  revenueBasis,
+  onRevenueBasisChange,
+  nfeResult,
+  error = null,
+  onFileUpload,
+  onApply,
+  disabled = false,
+}) {
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onFileUpload(file);
+    e.target.value = '';
+  };
+
+  const totalRevenue = nfeResult ? nfeResult.customers.reduce((sum, customer) => sum + Math.max(0, customer.revenue), 0) : 0;
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Importar NF-e Emitidas (XML em .zip)</h3>
+      <p className="text-xs text-slate-500">
+        Lê os XMLs das notas de venda autorizadas (eventos de cancelamento no mesmo arquivo são aplicados), soma receita,
+        ICMS, PIS, COFINS e IPI por período, estima o prazo de recebimento pelas duplicatas e mede a concentração por
+        cliente. A receita e o contas a receber médio preenchem a entrada de dados; os demais campos são mantidos quando o
+        tipo de período coincide.
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 items-end">
+        <div>
+          <label htmlFor="nfePeriodType" className="block text-sm font-medium text-slate-700 mb-1">Agrupar períodos em:</label>
+          <select
+            id="nfePeriodType"
+            value={periodType}
+            onChange={(e) => onPeriodTypeChange(e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {PERIOD_TYPE_OPTIONS.map(key => (
+              <option key={key} value={key}>{PERIOD_TYPES[key].label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="nfeRevenueBasis" className="block text-sm font-medium text-slate-700 mb-1">Receita a preencher:</label>
+          <select
+            id="nfeRevenueBasis"
+            value={revenueBasis}
+            onChange={(e) => onRevenueBasisChange(e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {Object.values(NFE_REVENUE_BASES).map(basis => (
+              <option key={basis} value={basis}>{REVENUE_BASIS_LABELS[basis]}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={`inline-block px-3 py-2 text-sm font-medium rounded-md border border-slate-300 text-slate-700 ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}>
+            Selecionar arquivo de XMLs (.zip)
+            <input type="file" accept=".zip,application/zip" onChange={handleFileChange} disabled={disabled} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+      {nfeImport && (
+        <div className="mt-4 p-3 bg-slate-50 rounded-md text-xs text-slate-700 grid grid-cols-1 md:grid-cols-3 gap-1">
+          <span>Notas autorizadas: <strong>{nfeImport.invoices.length}</strong></span>
+          <span>Canceladas por evento: {nfeImport.cancelledCount}</span>
+          <span>Arquivos ignorados: {nfeImport.skippedFiles.length}</span>
+        </div>
+      )}
+      {nfeResult?.warnings?.map(warning => (
+        <p key={warning} className="mt-2 text-xs text-amber-700">{warning}</p>
+      ))}
+
+      {nfeResult && (
+        <>
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Período</th>
+                  {nfeResult.periods.map(period => (
+                    <th key={period.startDate} className="border p-2 text-center">{period.startDate} a {period.endDate}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {SUMMARY_ROWS.map(row => (
+                  <tr key={row.key}>
+                    <td className="border p-2">{row.label}</td>
+                    {nfeResult.periods.map(period => (
+                      <td key={period.startDate} className="border p-2 text-right">{row.format(period[row.key])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {totalRevenue > 0 && (
+            <div className="mt-4">
+              <h4 className="text-sm font-semibold text-slate-700 mb-2">Maiores clientes ({nfeResult.customers.length} no total)</h4>
+              <ul className="text-xs text-slate-700 space-y-1">
+                {nfeResult.customers.slice(0, PREVIEW_CUSTOMERS).map(customer => (
+                  <li key={customer.id}>
+                    {customer.name}: {formatCurrency(customer.revenue)} ({formatPercentage((customer.revenue / totalRevenue) * 100)})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="mt-4 flex justify-end">
+            <button
+              type="button"
+              onClick={onApply}
+              disabled={disabled || nfeResult.inputData.length === 0}
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              Aplicar {nfeResult.inputData.length} período(s) à entrada de dados
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
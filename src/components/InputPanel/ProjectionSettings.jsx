@@ -0,0 +1,107 @@
+// src/components/InputPanel/ProjectionSettings.jsx
+import React from 'react';
+import { PROJECTION_DRIVERS, getDefaultProjectionSettings } from '../../utils/projections';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const MAX_FORECAST_PERIODS = 24;
+
+const formatCurve = (curve) => (Array.isArray(curve) ? curve.join('; ') : curve ?? '');
+
+// "5; 6; 7" → [5, 6, 7]; a single value → constant; blank → repeat the last historical period
+const parseCurve = (text) => {
+  const values = text
+    .split(';')
+    .map(value => value.trim().replace(',', '.'))
+    .filter(value => value !== '')
+    .map(Number)
+    .filter(value => !isNaN(value));
+
+  if (values.length === 0) return undefined;
+  return values.length === 1 ? values[0] : values;
+};
+
+/**
+ * @param {{
+ * projectionSettings: object | null;
+ * onProjectionSettingsChange: (projectionSettings: object | null) => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function ProjectionSettings({ projectionSettings, onProjectionSettingsChange, disabled = false }) {
+  const isEnabled = Boolean(projectionSettings);
+
+  const updateAssumption = (driver, text) => {
+    const assumptions = { ...projectionSettings.assumptions, [driver]: parseCurve(text) };
+    if (assumptions[driver] === undefined) delete assumptions[driver];
+    onProjectionSettingsChange({ ...projectionSettings, assumptions });
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Projeção das Demonstrações</h3>
+        <label htmlFor="projectionEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="projectionEnabled"
+            checked={isEnabled}
+            onChange={(e) => onProjectionSettingsChange(e.target.checked ? getDefaultProjectionSettings() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Projetar períodos futuros a partir do último período histórico
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Informe um valor fixo ou uma curva por período separada por ponto e vírgula (ex.: 5; 6; 7 — o último valor se
+        repete). Premissas em branco repetem o último período histórico. Períodos projetados são marcados com (P).
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-x-6 gap-y-4">
+            <div>
+              <label htmlFor="forecastPeriods" className="block text-sm font-medium text-slate-700 mb-1">
+                Períodos Projetados:
+              </label>
+              <input
+                type="number"
+                id="forecastPeriods"
+                min="1"
+                max={MAX_FORECAST_PERIODS}
+                value={projectionSettings.forecastPeriods}
+                onChange={(e) => onProjectionSettingsChange({
+                  ...projectionSettings,
+                  forecastPeriods: Math.min(MAX_FORECAST_PERIODS, Math.max(1, parseInt(e.target.value, 10) || 1)),
+                })}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            {Object.entries(PROJECTION_DRIVERS).map(([driver, { label, unit }]) => {
+              const curve = projectionSettings.assumptions[driver];
+              return (
+                <div key={driver}>
+                  <label htmlFor={`projection-${driver}`} className="block text-sm font-medium text-slate-700 mb-1">
+                    {label} ({unit}):
+                  </label>
+                  <input
+                    type="text"
+                    id={`projection-${driver}`}
+                    key={JSON.stringify(curve ?? null)}
+                    defaultValue={formatCurve(curve)}
+                    onBlur={(e) => updateAssumption(driver, e.target.value)}
+                    disabled={disabled}
+                    className={inputClassName}
+                    placeholder="Último histórico"
+                  />
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
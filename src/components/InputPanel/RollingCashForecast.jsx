@@ -0,0 +1,287 @@
+// src/components/InputPanel/RollingCashForecast.jsx
+import React, { useMemo, useState } from 'react';
+import {
+  RECEIPT_LINES,
+  DISBURSEMENT_LINES,
+  buildRollingCashGrid,
+  getDefaultRollingForecast,
+  rollForward,
+} from '../../utils/rollingCashForecast';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+import CashFlowKeyMetricsTrendChart from '../Charts/CashFlowKeyMetricsTrendChart';
+import ManualDataEntry from './ManualDataEntry';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const ENTRY_MODES = {
+  FORECAST: 'forecast',
+  ACTUAL: 'actual',
+};
+
+const GRID_SECTIONS = [
+  { key: 'receipts', title: 'Recebimentos', fields: RECEIPT_LINES },
+  { key: 'disbursements', title: 'Pagamentos', fields: DISBURSEMENT_LINES },
+];
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+const formatWeek = (weekStart) => {
+  const [, month, day] = weekStart.split('-');
+  return `${day}/${month}`;
+};
+
+/**
+ * @param {{
+ * rollingForecast: object | null;
+ * onRollingForecastChange: (rollingForecast: object | null) => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function RollingCashForecast({ rollingForecast, onRollingForecastChange, disabled = false }) {
+  const [entryMode, setEntryMode] = useState(ENTRY_MODES.FORECAST);
+  const [rollError, setRollError] = useState(null);
+  const isEnabled = Boolean(rollingForecast);
+
+  const grid = useMemo(() => (isEnabled ? buildRollingCashGrid(rollingForecast) : null), [isEnabled, rollingForecast]);
+
+  const updateSettings = (key, value) => onRollingForecastChange({ ...rollingForecast, [key]: value });
+
+  const updateWeekValue = (weekIndex, lineKey, value) => {
+    const weeks = rollingForecast.weeks.map((week, index) => {
+      if (index !== weekIndex) return week;
+      if (entryMode === ENTRY_MODES.ACTUAL) {
+        // Actuals start from the forecast so only the lines that differ need typing
+        return { ...week, actual: { ...(week.actual || week.forecast), [lineKey]: value } };
+      }
+      return { ...week, forecast: { ...week.forecast, [lineKey]: value } };
+    });
+    onRollingForecastChange({ ...rollingForecast, weeks });
+  };
+
+  const clearActual = (weekIndex) => onRollingForecastChange({
+    ...rollingForecast,
+    weeks: rollingForecast.weeks.map((week, index) => (index === weekIndex ? { ...week, actual: null } : week)),
+  });
+
+  const handleRollForward = () => {
+    try {
+      onRollingForecastChange(rollForward(rollingForecast));
+      setRollError(null);
+    } catch (error) {
+      setRollError(error.message);
+    }
+  };
+
+  // Actual weeks are plotted as history, the rest as forecast
+  const chartData = grid?.weeks.map(row => ({
+    operatingCashFlow: row.operatingCashFlow,
+    freeCashFlow: row.freeCashFlow,
+    netChangeInCash: row.netFlow,
+    closingCash: row.closingCash,
+    isForecast: !row.isActual,
+  })) || [];
+  const lastClosed = rollingForecast?.history?.[rollingForecast.history.length - 1];
+
+  const renderTotalRow = (label, key) => (
+    <tr key={key} className="font-semibold bg-slate-50">
+      <td className="p-3 border-x border-b border-slate-300 text-sm sticky left-0 bg-slate-50 z-10">{label}</td>
+      {grid.weeks.map(row => (
+        <td
+          key={row.weekStart}
+          className={`p-2 border-x border-b border-slate-300 text-sm text-right ${key === 'closingCash' && row.isBelowMinimum ? 'text-red-600 bg-red-50' : ''}`}
+        >
+          {formatCurrency(row[key])}
+        </td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Fluxo de Caixa Semanal (13 Semanas)</h3>
+        <label htmlFor="rollingForecastEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="rollingForecastEnabled"
+            checked={isEnabled}
+            onChange={(e) => onRollingForecastChange(e.target.checked ? getDefaultRollingForecast() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Usar projeção rolante de tesouraria
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Informe os recebimentos (por faixa de vencimento dos recebíveis) e os pagamentos (folha, fornecedores, impostos)
+        de cada semana. Ao fechar a semana, registre o realizado e role a projeção: a semana mais antiga sai, uma nova
+        semana entra no fim do horizonte e o realizado é comparado com o previsto.
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 mb-4">
+            <div>
+              <label htmlFor="rollingOpeningCash" className="block text-sm font-medium text-slate-700 mb-1">
+                Saldo Inicial de Caixa (R$):
+              </label>
+              <input
+                type="number"
+                id="rollingOpeningCash"
+                value={rollingForecast.openingCash}
+                onChange={(e) => updateSettings('openingCash', toNumber(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="rollingMinimumCash" className="block text-sm font-medium text-slate-700 mb-1">
+                Caixa Mínimo (R$):
+              </label>
+              <input
+                type="number"
+                id="rollingMinimumCash"
+                value={rollingForecast.minimumCash}
+                onChange={(e) => updateSettings('minimumCash', toNumber(e.target.value))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="rollingEntryMode" className="block text-sm font-medium text-slate-700 mb-1">
+                Valores em Edição:
+              </label>
+              <select
+                id="rollingEntryMode"
+                value={entryMode}
+                onChange={(e) => setEntryMode(e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                <option value={ENTRY_MODES.FORECAST}>Previsto</option>
+                <option value={ENTRY_MODES.ACTUAL}>Realizado</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div className="p-4 rounded-lg border-l-4 bg-blue-50 border-blue-400 text-blue-700">
+              <p className="text-xs font-medium uppercase">Caixa ao Fim do Horizonte</p>
+              <p className="text-2xl font-bold">{formatCurrency(grid.summary.endingCash)}</p>
+            </div>
+            <div className={`p-4 rounded-lg border-l-4 ${grid.summary.weeksBelowMinimum > 0
+              ? 'bg-red-50 border-red-400 text-red-700'
+              : 'bg-green-50 border-green-400 text-green-700'}`}
+            >
+              <p className="text-xs font-medium uppercase">Menor Saldo Projetado</p>
+              <p className="text-2xl font-bold">{formatCurrency(grid.summary.lowestCash)}</p>
+              <p className="text-xs">Semana de {formatWeek(grid.summary.lowestCashWeek)}</p>
+            </div>
+            <div className="p-4 rounded-lg border-l-4 bg-slate-50 border-slate-400 text-slate-700">
+              <p className="text-xs font-medium uppercase">Semanas Abaixo do Mínimo</p>
+              <p className="text-2xl font-bold">{grid.summary.weeksBelowMinimum}</p>
+            </div>
+          </div>
+
+          <ManualDataEntry
+            periodType="semanas"
+            numberOfPeriods={rollingForecast.weeks.length}
+            inputData={rollingForecast.weeks.map(week => (entryMode === ENTRY_MODES.ACTUAL ? (week.actual || week.forecast) : week.forecast))}
+            onInputChange={(weekIndex, lineKey, value) => updateWeekValue(weekIndex, lineKey, toNumber(value))}
+            sections={GRID_SECTIONS}
+            periodHeaders={rollingForecast.weeks.map((week, weekIndex) => (
+              <>
+                {formatWeek(week.weekStart)}
+                <span className={`font-normal text-xs block ${week.actual ? 'text-green-700' : 'text-amber-700'}`}>
+                  {week.actual ? 'Realizado' : 'Previsto'}
+                </span>
+                {week.actual && entryMode === ENTRY_MODES.ACTUAL && (
+                  <button
+                    type="button"
+                    onClick={() => clearActual(weekIndex)}
+                    disabled={disabled}
+                    className="text-xs text-slate-500 underline"
+                  >
+                    Limpar
+                  </button>
+                )}
+              </>
+            ))}
+            highlightedPeriods={rollingForecast.weeks.map(week => entryMode === ENTRY_MODES.ACTUAL && Boolean(week.actual))}
+            renderSectionFooter={(sectionKey) => (sectionKey === 'receipts'
+              ? renderTotalRow('Total de Recebimentos', 'receipts')
+              : [
+                renderTotalRow('Total de Pagamentos', 'disbursements'),
+                renderTotalRow('Fluxo Líquido da Semana', 'netFlow'),
+                renderTotalRow('Saldo Final de Caixa', 'closingCash'),
+              ])}
+            disabled={disabled}
+          />
+
+          <button
+            type="button"
+            onClick={handleRollForward}
+            disabled={disabled}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Rolar Projeção (+1 Semana)
+          </button>
+          {rollError && <p className="text-sm text-red-600 mt-2">{rollError}</p>}
+
+          <div className="mt-6 h-[360px]">
+            <CashFlowKeyMetricsTrendChart calculatedData={chartData} periodType="semanas" />
+          </div>
+
+          {lastClosed && (
+            <div className="mt-6 overflow-x-auto">
+              <h4 className="text-md font-semibold text-slate-800 mb-2">
+                Realizado vs Previsto — Semana de {formatWeek(lastClosed.weekStart)}
+              </h4>
+              <table className="min-w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-blue-50">
+                    <th className="border p-2 text-left">Linha</th>
+                    <th className="border p-2 text-right">Previsto</th>
+                    <th className="border p-2 text-right">Realizado</th>
+                    <th className="border p-2 text-right">Variação</th>
+                    <th className="border p-2 text-right">Variação %</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lastClosed.lines.filter(line => line.forecast || line.actual).map(line => (
+                    <tr key={line.key}>
+                      <td className="border p-2">{line.label}</td>
+                      <td className="border p-2 text-right">{formatCurrency(line.forecast)}</td>
+                      <td className="border p-2 text-right">{formatCurrency(line.actual)}</td>
+                      <td className={`border p-2 text-right ${line.isFavorable ? 'text-green-700' : 'text-red-600'}`}>
+                        {formatCurrency(line.variance)}
+                      </td>
+                      <td className="border p-2 text-right">
+                        {line.variancePercent === null ? '—' : formatPercentage(line.variancePercent)}
+                      </td>
+                    </tr>
+                  ))}
+                  <tr className="font-semibold bg-slate-50">
+                    <td className="border p-2">Fluxo Líquido</td>
+                    <td className="border p-2 text-right">{formatCurrency(lastClosed.totals.forecastNetFlow)}</td>
+                    <td className="border p-2 text-right">{formatCurrency(lastClosed.totals.actualNetFlow)}</td>
+                    <td className={`border p-2 text-right ${lastClosed.totals.variance >= 0 ? 'text-green-700' : 'text-red-600'}`}>
+                      {formatCurrency(lastClosed.totals.variance)}
+                    </td>
+                    <td className="border p-2 text-right">—</td>
+                  </tr>
+                </tbody>
+              </table>
+              {rollingForecast.history.length > 1 && (
+                <p className="text-xs text-slate-500 mt-2">
+                  Precisão acumulada ({rollingForecast.history.length} semanas fechadas): variação total do fluxo líquido de{' '}
+                  {formatCurrency(rollingForecast.history.reduce((sum, entry) => sum + entry.totals.variance, 0))}.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
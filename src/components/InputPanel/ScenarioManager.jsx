@@ -0,0 +1,211 @@
+// src/components/InputPanel/ScenarioManager.jsx
+import React, { useState } from 'react';
+import { SCENARIO_TYPES } from '../../services/storage/models';
+import { getSensitivityDrivers } from '../../utils/sensitivity';
+import { PERIOD_TYPES } from '../../utils/constants';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const SCENARIO_TYPE_LABELS = {
+  [SCENARIO_TYPES.BASE]: 'Base',
+  [SCENARIO_TYPES.OPTIMISTIC]: 'Otimista',
+  [SCENARIO_TYPES.PESSIMISTIC]: 'Pessimista',
+  [SCENARIO_TYPES.CUSTOM]: 'Personalizado',
+};
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+/**
+ * @param {{
+ * scenarios: Array<object>;
+ * onCloneCurrent: (name: string, type: string) => void;
+ * onScenarioChange: (scenario: object) => void;
+ * onDeleteScenario: (scenarioId: string) => void;
+ * onCompareScenarios: () => void;
+ * periodType: string;
+ * isComparing?: boolean;
+ * canClone?: boolean;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function ScenarioManager({
+  scenarios,
+  onCloneCurrent,
+  onScenarioChange,
+  onDeleteScenario,
+  onCompareScenarios,
+  periodType,
+  isComparing = false,
+  canClone = false,
+  disabled = false,
+}) {
+  const [newName, setNewName] = useState('');
+  const [newType, setNewType] = useState(SCENARIO_TYPES.CUSTOM);
+  const drivers = getSensitivityDrivers();
+  const driverLabel = (key) => drivers.find(driver => driver.key === key)?.label || key;
+  const comparableScenarios = scenarios.filter(scenario => scenario.data.periodType === periodType);
+
+  const handleClone = () => {
+    onCloneCurrent(newName.trim() || `Cenário ${scenarios.length + 1}`, newType);
+    setNewName('');
+  };
+
+  const updateScenario = (scenario, changes) => onScenarioChange({ ...scenario, ...changes, updatedAt: new Date() });
+
+  const updateAdjustments = (scenario, adjustments) => updateScenario(scenario, {
+    data: { ...scenario.data, adjustments },
+  });
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Cenários</h3>
+      <p className="text-xs text-slate-500">
+        Clone os dados atuais em cenários nomeados e ajuste os direcionadores de cada um em percentual. A comparação
+        processa os dados atuais (base) e cada cenário pelo mesmo motor de cálculo.
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 items-end">
+        <div>
+          <label htmlFor="scenarioName" className="block text-sm font-medium text-slate-700 mb-1">Nome do Cenário:</label>
+          <input
+            type="text"
+            id="scenarioName"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+            placeholder={`Cenário ${scenarios.length + 1}`}
+          />
+        </div>
+        <div>
+          <label htmlFor="scenarioType" className="block text-sm font-medium text-slate-700 mb-1">Tipo:</label>
+          <select
+            id="scenarioType"
+            value={newType}
+            onChange={(e) => setNewType(e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {Object.entries(SCENARIO_TYPE_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="button"
+          onClick={handleClone}
+          disabled={disabled || !canClone}
+          className="px-4 py-2 border border-slate-300 text-slate-700 text-sm font-medium rounded-md hover:bg-slate-50 disabled:opacity-50"
+        >
+          Clonar Dados Atuais
+        </button>
+      </div>
+
+      {scenarios.length > 0 && (
+        <div className="mt-6 space-y-4">
+          {scenarios.map(scenario => {
+            const adjustments = scenario.data.adjustments || {};
+            const unusedDrivers = drivers.filter(driver => !(driver.key in adjustments));
+            const isOtherPeriodType = scenario.data.periodType !== periodType;
+
+            return (
+              <div key={scenario.id} className={`p-4 border rounded-lg ${isOtherPeriodType ? 'border-amber-200 bg-amber-50' : 'border-slate-200'}`}>
+                <div className="flex flex-wrap items-center gap-3 mb-3">
+                  <input
+                    type="text"
+                    value={scenario.name}
+                    onChange={(e) => updateScenario(scenario, { name: e.target.value })}
+                    disabled={disabled}
+                    className="flex-grow p-1 border border-slate-300 rounded-md font-medium"
+                    aria-label="Nome do cenário"
+                  />
+                  <select
+                    value={scenario.type}
+                    onChange={(e) => updateScenario(scenario, { type: e.target.value })}
+                    disabled={disabled}
+                    className="p-1 border border-slate-300 rounded-md text-sm"
+                    aria-label={`Tipo do cenário ${scenario.name}`}
+                  >
+                    {Object.entries(SCENARIO_TYPE_LABELS).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  <span className="text-xs text-slate-500">
+                    {scenario.data.periodCount} {(PERIOD_TYPES[scenario.data.periodType]?.pluralLabel || '').toLowerCase()}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => onDeleteScenario(scenario.id)}
+                    disabled={disabled}
+                    className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Excluir
+                  </button>
+                </div>
+                {isOtherPeriodType && (
+                  <p className="text-xs text-amber-700 mb-2">
+                    Cenário criado em {PERIOD_TYPES[scenario.data.periodType]?.label || scenario.data.periodType}; fica fora da
+                    comparação com o tipo de período atual.
+                  </p>
+                )}
+
+                <div className="flex flex-wrap gap-3">
+                  {Object.entries(adjustments).map(([driver, percent]) => (
+                    <div key={driver} className="flex items-center gap-1 text-sm">
+                      <label htmlFor={`${scenario.id}-${driver}`} className="text-slate-600">{driverLabel(driver)}:</label>
+                      <input
+                        type="number"
+                        id={`${scenario.id}-${driver}`}
+                        step="1"
+                        value={percent}
+                        onChange={(e) => updateAdjustments(scenario, { ...adjustments, [driver]: toNumber(e.target.value) })}
+                        disabled={disabled}
+                        className="w-20 p-1 border border-slate-300 rounded-md text-right"
+                      />
+                      <span className="text-slate-500">%</span>
+                      <button
+                        type="button"
+                        onClick={() => updateAdjustments(
+                          scenario,
+                          Object.fromEntries(Object.entries(adjustments).filter(([key]) => key !== driver)),
+                        )}
+                        disabled={disabled}
+                        className="text-slate-400 hover:text-red-600"
+                        aria-label={`Remover ajuste de ${driverLabel(driver)}`}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                  {unusedDrivers.length > 0 && (
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && updateAdjustments(scenario, { ...adjustments, [e.target.value]: 0 })}
+                      disabled={disabled}
+                      className="p-1 border border-slate-300 rounded-md text-sm"
+                      aria-label={`Adicionar ajuste ao cenário ${scenario.name}`}
+                    >
+                      <option value="">+ Ajustar direcionador...</option>
+                      {unusedDrivers.map(driver => (
+                        <option key={driver.key} value={driver.key}>{driver.label}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          <button
+            type="button"
+            onClick={onCompareScenarios}
+            disabled={disabled || isComparing || comparableScenarios.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isComparing ? 'Comparando...' : 'Comparar Cenários'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
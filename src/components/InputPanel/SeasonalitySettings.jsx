@@ -0,0 +1,164 @@
+// src/components/InputPanel/SeasonalitySettings.jsx
+import React from 'react';
+import { fieldDefinitions } from '../../utils/fieldDefinitions';
+import {
+  MONTH_LABELS,
+  SEASONAL_FIELDS,
+  SEASONALITY_PROFILES,
+  SEASONALITY_PROFILE_LABELS,
+} from '../../utils/seasonality';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * @param {{
+ * seasonalitySettings: object;
+ * onSeasonalitySettingsChange: (settings: object) => void;
+ * onImportHistory: (file: File) => void;
+ * periodType: string;
+ * error?: string | null;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function SeasonalitySettings({
+  seasonalitySettings,
+  onSeasonalitySettingsChange,
+  onImportHistory,
+  periodType,
+  error = null,
+  disabled = false,
+}) {
+  const { enabled, profileType, customPercentages, historicalPercentages, seasonalFields, minimumCash } = seasonalitySettings;
+  const isAnnual = periodType === 'anos';
+  const customTotal = customPercentages.reduce((sum, value) => sum + value, 0);
+
+  const update = (changes) => onSeasonalitySettingsChange({ ...seasonalitySettings, ...changes });
+
+  const updateCustomPercentage = (month, value) => update({
+    customPercentages: customPercentages.map((percent, i) => (i === month ? (value === '' ? 0 : Number(value) || 0) : percent)),
+  });
+
+  const toggleSeasonalField = (field) => update({
+    seasonalFields: seasonalFields.includes(field)
+      ? seasonalFields.filter(key => key !== field)
+      : [...seasonalFields, field],
+  });
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImportHistory(file);
+    e.target.value = '';
+  };
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Faseamento Mensal (Sazonalidade)</h3>
+      <p className="text-xs text-slate-500">
+        Divide cada ano em 12 meses conforme o perfil de sazonalidade. Contas a receber, estoques e fornecedores seguem as
+        vendas mensais nos prazos médios anuais, e o relatório destaca o pico de necessidade de financiamento.
+      </p>
+
+      <label className="mt-4 flex items-center gap-2 text-sm text-slate-700">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          disabled={disabled || !isAnnual}
+        />
+        Gerar visão mensal dos períodos anuais
+      </label>
+      {!isAnnual && <p className="mt-1 text-xs text-amber-700">Disponível apenas quando o tipo de período é Anos.</p>}
+
+      {enabled && isAnnual && (
+        <>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4">
+            <div>
+              <label htmlFor="seasonalityProfile" className="block text-sm font-medium text-slate-700 mb-1">Perfil de sazonalidade:</label>
+              <select
+                id="seasonalityProfile"
+                value={profileType}
+                onChange={(e) => update({ profileType: e.target.value })}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {Object.values(SEASONALITY_PROFILES).map(value => (
+                  <option key={value} value={value}>{SEASONALITY_PROFILE_LABELS[value]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="seasonalityMinimumCash" className="block text-sm font-medium text-slate-700 mb-1">Caixa mínimo:</label>
+              <input
+                id="seasonalityMinimumCash"
+                type="number"
+                min="0"
+                value={minimumCash}
+                onChange={(e) => update({ minimumCash: e.target.value === '' ? 0 : Number(e.target.value) || 0 })}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          {profileType === SEASONALITY_PROFILES.CUSTOM && (
+            <div className="mt-4">
+              <div className="grid grid-cols-4 md:grid-cols-12 gap-2">
+                {MONTH_LABELS.map((label, month) => (
+                  <div key={label}>
+                    <label htmlFor={`seasonality-${label}`} className="block text-xs text-slate-500 mb-1">{label} (%)</label>
+                    <input
+                      id={`seasonality-${label}`}
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={customPercentages[month]}
+                      onChange={(e) => updateCustomPercentage(month, e.target.value)}
+                      disabled={disabled}
+                      className="w-full p-1 border border-slate-300 rounded-md text-right text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className={`mt-1 text-xs ${Math.abs(customTotal - 100) > 0.5 ? 'text-red-600' : 'text-slate-500'}`}>
+                Total: {customTotal.toFixed(2)}% (deve somar 100%)
+              </p>
+            </div>
+          )}
+
+          {profileType === SEASONALITY_PROFILES.HISTORICAL && (
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <label className={`px-3 py-1.5 text-sm font-medium rounded-md border border-slate-300 text-slate-700 ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}>
+                Carregar vendas mensais (CSV)
+                <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFileChange} disabled={disabled} className="hidden" />
+              </label>
+              <span className="text-xs text-slate-500">
+                {historicalPercentages
+                  ? `Perfil aprendido: ${historicalPercentages.map((percent, month) => `${MONTH_LABELS[month]} ${percent}%`).join(', ')}`
+                  : 'Um mês por linha, a partir de janeiro; anos incompletos são ignorados.'}
+              </span>
+            </div>
+          )}
+
+          <div className="mt-4">
+            <p className="text-sm font-medium text-slate-700 mb-1">Contas que seguem a sazonalidade (as demais são lineares):</p>
+            <div className="flex flex-wrap gap-4">
+              {SEASONAL_FIELDS.map(field => (
+                <label key={field} className="flex items-center gap-2 text-sm text-slate-700">
+                  <input
+                    type="checkbox"
+                    checked={seasonalFields.includes(field)}
+                    onChange={() => toggleSeasonalField(field)}
+                    disabled={disabled}
+                  />
+                  {fieldDefinitions[field].label}
+                </label>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </section>
+  );
+}
@@ -0,0 +1,164 @@
+// src/components/InputPanel/SensitivitySettings.jsx
+import React from 'react';
+import {
+  SENSITIVITY_METRICS,
+  getDefaultSensitivitySettings,
+  getSensitivityDrivers,
+} from '../../utils/sensitivity';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// "-20; -10; 0; 10; 20" → [-20, -10, 0, 10, 20], sorted and without duplicates
+const parseSteps = (text) => [...new Set(text
+  .split(';')
+  .map(value => value.trim().replace(',', '.'))
+  .filter(value => value !== '')
+  .map(Number)
+  .filter(value => !isNaN(value)))]
+  .sort((a, b) => a - b);
+
+/**
+ * @param {{
+ * sensitivitySettings: object | null;
+ * onSensitivitySettingsChange: (sensitivitySettings: object | null) => void;
+ * onRunSensitivity: () => void;
+ * isAnalyzing?: boolean;
+ * canRun?: boolean;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function SensitivitySettings({
+  sensitivitySettings,
+  onSensitivitySettingsChange,
+  onRunSensitivity,
+  isAnalyzing = false,
+  canRun = false,
+  disabled = false,
+}) {
+  const isEnabled = Boolean(sensitivitySettings);
+  const drivers = getSensitivityDrivers();
+
+  const updateSettings = (key, value) => onSensitivitySettingsChange({ ...sensitivitySettings, [key]: value });
+
+  const updateSteps = (text) => {
+    const steps = parseSteps(text);
+    updateSettings('steps', steps.length > 0 ? steps : getDefaultSensitivitySettings().steps);
+  };
+
+  const driverOptions = drivers.map(({ key, label }) => (
+    <option key={key} value={key}>{label}</option>
+  ));
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Análise de Sensibilidade</h3>
+        <label htmlFor="sensitivityEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="sensitivityEnabled"
+            checked={isEnabled}
+            onChange={(e) => onSensitivitySettingsChange(e.target.checked ? getDefaultSensitivitySettings() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Gerar tabela de dados e gráfico tornado
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        A tabela de dados recalcula a métrica escolhida para cada combinação de variações dos dois direcionadores.
+        O gráfico tornado varia cada direcionador isoladamente em ±X% e ordena pelo impacto na métrica.
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 mb-4">
+            <div>
+              <label htmlFor="sensitivityMetric" className="block text-sm font-medium text-slate-700 mb-1">
+                Métrica Alvo:
+              </label>
+              <select
+                id="sensitivityMetric"
+                value={sensitivitySettings.metric}
+                onChange={(e) => updateSettings('metric', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {Object.entries(SENSITIVITY_METRICS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="sensitivityRowDriver" className="block text-sm font-medium text-slate-700 mb-1">
+                Direcionador das Linhas:
+              </label>
+              <select
+                id="sensitivityRowDriver"
+                value={sensitivitySettings.rowDriver}
+                onChange={(e) => updateSettings('rowDriver', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {driverOptions}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="sensitivityColumnDriver" className="block text-sm font-medium text-slate-700 mb-1">
+                Direcionador das Colunas:
+              </label>
+              <select
+                id="sensitivityColumnDriver"
+                value={sensitivitySettings.columnDriver}
+                onChange={(e) => updateSettings('columnDriver', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {driverOptions}
+              </select>
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="sensitivitySteps" className="block text-sm font-medium text-slate-700 mb-1">
+                Variações da Tabela (%):
+              </label>
+              <input
+                type="text"
+                id="sensitivitySteps"
+                key={sensitivitySettings.steps.join(';')}
+                defaultValue={sensitivitySettings.steps.join('; ')}
+                onBlur={(e) => updateSteps(e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+                placeholder="-20; -10; 0; 10; 20"
+              />
+            </div>
+            <div>
+              <label htmlFor="sensitivityRange" className="block text-sm font-medium text-slate-700 mb-1">
+                Faixa do Tornado (±%):
+              </label>
+              <input
+                type="number"
+                id="sensitivityRange"
+                min="1"
+                step="1"
+                value={sensitivitySettings.rangePercent}
+                onChange={(e) => updateSettings('rangePercent', Math.max(1, Number(e.target.value) || 1))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <button
+            type="button"
+            onClick={onRunSensitivity}
+            disabled={disabled || isAnalyzing || !canRun}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isAnalyzing ? 'Calculando...' : 'Executar Análise'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
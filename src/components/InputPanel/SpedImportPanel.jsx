@@ -0,0 +1,194 @@
+// src/components/InputPanel/SpedImportPanel.jsx
+import React, { useState } from 'react';
+import { SPED_TARGETS, SPED_IGNORE_TARGET } from '../../services/storage';
+import { PERIOD_TYPES } from '../../utils/constants';
+import { formatCurrency } from '../../utils/formatters';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const PERIOD_TYPE_OPTIONS = ['anos', 'trimestres', 'meses'];
+const NATURE_LABELS = { '01': 'Ativo', '02': 'Passivo', '03': 'PL', '04': 'Resultado', '05': 'Compensação', '09': 'Outras' };
+const SOURCE_LABELS = { trialBalance: 'balancetes (I155/K155)', statements: 'demonstrações (J100/J150)' };
+
+/**
+ * SPED ECD/ECF upload and account mapping review
+ * @param {{
+ * spedImport: { sped: object, mapping: Object<string, string|null> } | null;
+ * periodType: string;
+ * spedResult: { periods: Array<object>, inputData: Array<object>, unmappedAccounts: Array<object>, warnings: string[] } | null;
+ * error?: string | null;
+ * onFileUpload: (file: File) => void;
+ * onMappingChange: (accountCode: string, target: string | null) => void;
+ * onPeriodTypeChange: (periodType: string) => void;
+ * onApply: () => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function SpedImportPanel({
+  spedImport,
+  periodType,
+  spedResult,
+  error = null,
+  onFileUpload,
+  onMappingChange,
+  onPeriodTypeChange,
+  onApply,
+  disabled = false,
+}) {
+  const [showAllAccounts, setShowAllAccounts] = useState(false);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onFileUpload(file);
+    e.target.value = '';
+  };
+
+  const sped = spedImport?.sped;
+  const unmappedCodes = new Set((spedResult?.unmappedAccounts || []).map(account => account.code));
+  const reviewAccounts = sped
+    ? sped.accounts.filter(account => account.analytic && (showAllAccounts || unmappedCodes.has(account.code)))
+    : [];
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Importar SPED Contábil (ECD) / ECF</h3>
+      <p className="text-xs text-slate-500">
+        Lê o plano de contas e os saldos do arquivo SPED, associa cada conta analítica a um direcionador do modelo
+        (pelo plano referencial ou pelo nome) e monta os períodos de entrada. Revise as contas não mapeadas antes de aplicar.
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4 items-end">
+        <div>
+          <label htmlFor="spedPeriodType" className="block text-sm font-medium text-slate-700 mb-1">Agrupar períodos em:</label>
+          <select
+            id="spedPeriodType"
+            value={periodType}
+            onChange={(e) => onPeriodTypeChange(e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {PERIOD_TYPE_OPTIONS.map(key => (
+              <option key={key} value={key}>{PERIOD_TYPES[key].label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={`inline-block px-3 py-2 text-sm font-medium rounded-md border border-slate-300 text-slate-700 ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}>
+            Selecionar arquivo SPED (.txt)
+            <input type="file" accept=".txt,text/plain" onChange={handleFileChange} disabled={disabled} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+      {sped && (
+        <div className="mt-4 p-3 bg-slate-50 rounded-md text-xs text-slate-700 grid grid-cols-1 md:grid-cols-2 gap-1">
+          <span>Arquivo: <strong>{sped.layout}</strong> a partir de {SOURCE_LABELS[sped.source]}</span>
+          <span>Empresa: <strong>{sped.company.name}</strong> (CNPJ {sped.company.cnpj})</span>
+          <span>Escrituração: {sped.startDate} a {sped.endDate}</span>
+          <span>Contas analíticas: {sped.accounts.filter(account => account.analytic).length}</span>
+        </div>
+      )}
+
+      {spedResult?.warnings?.map(warning => (
+        <p key={warning} className="mt-2 text-xs text-amber-700">{warning}</p>
+      ))}
+
+      {sped && spedResult && (
+        <>
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-2">
+            <p className={`text-sm ${unmappedCodes.size > 0 ? 'text-amber-700' : 'text-green-700'}`}>
+              {unmappedCodes.size > 0
+                ? `${unmappedCodes.size} conta(s) com saldo sem destino; serão desconsideradas se não forem mapeadas.`
+                : 'Todas as contas com saldo estão mapeadas.'}
+            </p>
+            <label className="flex items-center text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={showAllAccounts}
+                onChange={(e) => setShowAllAccounts(e.target.checked)}
+                className="mr-2"
+              />
+              Mostrar todas as contas
+            </label>
+          </div>
+
+          {reviewAccounts.length > 0 && (
+            <div className="mt-2 max-h-96 overflow-y-auto overflow-x-auto">
+              <table className="min-w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-blue-50">
+                    <th className="border p-2 text-left">Código</th>
+                    <th className="border p-2 text-left">Conta</th>
+                    <th className="border p-2 text-center">Natureza</th>
+                    <th className="border p-2 text-left">Referencial</th>
+                    <th className="border p-2 text-left">Destino</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reviewAccounts.map(account => (
+                    <tr key={account.code} className={unmappedCodes.has(account.code) ? 'bg-amber-50' : ''}>
+                      <td className="border p-2 font-mono">{account.code}</td>
+                      <td className="border p-2">{account.name}</td>
+                      <td className="border p-2 text-center">{NATURE_LABELS[account.nature] || account.nature}</td>
+                      <td className="border p-2 font-mono">{account.referentialCode || '-'}</td>
+                      <td className="border p-1">
+                        <select
+                          value={spedImport.mapping[account.code] || ''}
+                          onChange={(e) => onMappingChange(account.code, e.target.value || null)}
+                          disabled={disabled}
+                          className="w-full p-1 border border-slate-300 rounded-md"
+                          aria-label={`Destino da conta ${account.code}`}
+                        >
+                          <option value="">— não mapeada —</option>
+                          {Object.entries(SPED_TARGETS).map(([key, target]) => (
+                            <option key={key} value={key}>{target.label}</option>
+                          ))}
+                          <option value={SPED_IGNORE_TARGET}>Ignorar</option>
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Direcionador</th>
+                  {spedResult.periods.map(period => (
+                    <th key={period.startDate} className="border p-2 text-center">{period.startDate} a {period.endDate}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(SPED_TARGETS).map(([key, target]) => (
+                  <tr key={key}>
+                    <td className="border p-2">{target.label}</td>
+                    {spedResult.periods.map(period => (
+                      <td key={period.startDate} className="border p-2 text-right">{formatCurrency(period.totals[key])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-4 flex justify-end">
+            <button
+              type="button"
+              onClick={onApply}
+              disabled={disabled || spedResult.inputData.length === 0}
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              Aplicar {spedResult.inputData.length} período(s) à entrada de dados
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,121 @@
+// src/components/InputPanel/TaxRegimeSelector.jsx
+import React from 'react';
+import {
+  TAX_REGIMES,
+  TAX_REGIME_LABELS,
+  PIS_COFINS_MODES,
+  PRESUMPTION_RATES,
+  SIMPLES_NACIONAL_ANNEXES,
+} from '../../utils/taxRegimes';
+
+const selectClassName = 'w-full p-2.5 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * @param {{
+ * taxSettings: import('../../services/storage/models').TaxRegimeSettings;
+ * onTaxSettingsChange: (settings: import('../../services/storage/models').TaxRegimeSettings) => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function TaxRegimeSelector({ taxSettings, onTaxSettingsChange, disabled = false }) {
+  const updateSetting = (key, value) => onTaxSettingsChange({ ...taxSettings, [key]: value });
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-4">Regime Tributário</h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 items-end">
+        <div>
+          <label htmlFor="taxRegime" className="block text-sm font-medium text-slate-700 mb-1">
+            Regime:
+          </label>
+          <select
+            id="taxRegime"
+            value={taxSettings.regime}
+            onChange={(e) => updateSetting('regime', e.target.value)}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            {Object.values(TAX_REGIMES).map(regime => (
+              <option key={regime} value={regime}>{TAX_REGIME_LABELS[regime]}</option>
+            ))}
+          </select>
+        </div>
+
+        {taxSettings.regime === TAX_REGIMES.LUCRO_PRESUMIDO && (
+          <div>
+            <label htmlFor="taxActivity" className="block text-sm font-medium text-slate-700 mb-1">
+              Atividade (Presunção IRPJ/CSLL):
+            </label>
+            <select
+              id="taxActivity"
+              value={taxSettings.activity}
+              onChange={(e) => updateSetting('activity', e.target.value)}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              {Object.entries(PRESUMPTION_RATES).map(([key, rates]) => (
+                <option key={key} value={key}>
+                  {rates.label} ({(rates.irpj * 100).toFixed(1)}% / {(rates.csll * 100).toFixed(0)}%)
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {taxSettings.regime === TAX_REGIMES.SIMPLES_NACIONAL && (
+          <div>
+            <label htmlFor="simplesAnnex" className="block text-sm font-medium text-slate-700 mb-1">
+              Anexo do Simples Nacional:
+            </label>
+            <select
+              id="simplesAnnex"
+              value={taxSettings.simplesAnnex}
+              onChange={(e) => updateSetting('simplesAnnex', e.target.value)}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              {Object.entries(SIMPLES_NACIONAL_ANNEXES).map(([key, annex]) => (
+                <option key={key} value={key}>{annex.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {taxSettings.regime === TAX_REGIMES.LUCRO_REAL && (
+          <div>
+            <label htmlFor="pisCofinsMode" className="block text-sm font-medium text-slate-700 mb-1">
+              PIS/COFINS:
+            </label>
+            <select
+              id="pisCofinsMode"
+              value={taxSettings.pisCofinsMode}
+              onChange={(e) => updateSetting('pisCofinsMode', e.target.value)}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              <option value={PIS_COFINS_MODES.NON_CUMULATIVE}>Não Cumulativo (1,65% + 7,6%)</option>
+              <option value={PIS_COFINS_MODES.CUMULATIVE}>Cumulativo (0,65% + 3%)</option>
+            </select>
+          </div>
+        )}
+      </div>
+      <label className="mt-4 flex items-center space-x-2 text-sm text-slate-700">
+        <input
+          type="checkbox"
+          checked={Boolean(taxSettings.grossRevenue)}
+          onChange={(e) => updateSetting('grossRevenue', e.target.checked)}
+          disabled={disabled}
+          className="h-4 w-4 rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+        />
+        <span>A receita informada é bruta (deduzir {taxSettings.regime === TAX_REGIMES.SIMPLES_NACIONAL ? 'o DAS' : 'PIS/COFINS'} da receita)</span>
+      </label>
+      <p className="mt-3 text-xs text-slate-500">
+        {taxSettings.regime === TAX_REGIMES.SIMPLES_NACIONAL
+          ? 'O DAS é calculado pela alíquota efetiva da faixa de receita bruta dos últimos 12 meses (RBT12).'
+          : taxSettings.regime === TAX_REGIMES.LUCRO_PRESUMIDO
+            ? 'IRPJ/CSLL sobre a base presumida da receita bruta; PIS/COFINS no regime cumulativo.'
+            : 'IRPJ/CSLL sobre o lucro contábil (LAIR); PIS/COFINS conforme o regime selecionado.'}
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,286 @@
+// src/components/InputPanel/TrialBalanceImportPanel.jsx
+import React from 'react';
+import { TRIAL_BALANCE_TARGETS, TRIAL_BALANCE_IGNORE_TARGET } from '../../services/storage';
+import { PERIOD_TYPES } from '../../utils/constants';
+import { formatCurrency } from '../../utils/formatters';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+const cellInputClassName = 'w-full p-1 border border-slate-300 rounded-md';
+const PERIOD_TYPE_OPTIONS = ['anos', 'trimestres', 'meses'];
+
+/**
+ * Trial balance upload (CSV/XLSX) and the project's chart-of-accounts mapping rules
+ * @param {{
+ * trialBalance: { periods: string[], accounts: Array<object> } | null;
+ * accountMapping: { rules: Array<{ from: string, to: string|null, target: string, sign: number }> };
+ * onAccountMappingChange: (mapping: object) => void;
+ * periodType: string;
+ * onPeriodTypeChange: (periodType: string) => void;
+ * mappingResult: { periodLabels: string[], totals: Array<object>, inputData: Array<object>, unmappedAccounts: Array<object>, warnings: string[] } | null;
+ * error?: string | null;
+ * onFileUpload: (file: File) => void;
+ * onApply: () => void;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function TrialBalanceImportPanel({
+  trialBalance,
+  accountMapping,
+  onAccountMappingChange,
+  periodType,
+  onPeriodTypeChange,
+  mappingResult,
+  error = null,
+  onFileUpload,
+  onApply,
+  disabled = false,
+}) {
+  const rules = accountMapping.rules;
+
+  const updateRule = (index, changes) => {
+    onAccountMappingChange({
+      ...accountMapping,
+      rules: rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    });
+  };
+
+  const addRule = (rule = { from: '', to: null, target: '', sign: 1 }) => {
+    onAccountMappingChange({ ...accountMapping, rules: [...rules, rule] });
+  };
+
+  const removeRule = (index) => {
+    onAccountMappingChange({ ...accountMapping, rules: rules.filter((_, i) => i !== index) });
+  };
+
+  // Credit balances (revenue, liabilities, equity) are flipped by default
+  const addRuleForAccount = (account) => {
+    const lastBalance = account.balances[account.balances.length - 1] || 0;
+    addRule({ from: account.code, to: null, target: '', sign: lastBalance < 0 ? -1 : 1 });
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onFileUpload(file);
+    e.target.value = '';
+  };
+
+  const mappedTargets = mappingResult
+    ? Object.keys(TRIAL_BALANCE_TARGETS).filter(target => mappingResult.totals.some(totals => totals[target] !== undefined))
+    : [];
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <h3 className="text-lg font-semibold text-slate-700 mb-2">Importar Balancete (CSV/XLSX)</h3>
+      <p className="text-xs text-slate-500">
+        Cada coluna de saldo do balancete vira um período. As regras associam contas ou faixas de contas aos campos do
+        modelo e ficam salvas no projeto para o próximo upload. Saldos são lidos com o devedor positivo; use o sinal
+        invertido para receitas, passivos e patrimônio líquido.
+      </p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4 items-end">
+        <div>
+          <label htmlFor="trialBalancePeriodType" className="block text-sm font-medium text-slate-700 mb-1">Períodos do balancete:</label>
+          <select
+            id="trialBalancePeriodType"
+            value={periodType}
+            onChange={(e) => onPeriodTypeChange(e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {PERIOD_TYPE_OPTIONS.map(key => (
+              <option key={key} value={key}>{PERIOD_TYPES[key].label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={`inline-block px-3 py-2 text-sm font-medium rounded-md border border-slate-300 text-slate-700 ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-slate-50'}`}>
+            Selecionar balancete (.csv, .xlsx)
+            <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFileChange} disabled={disabled} className="hidden" />
+          </label>
+          {trialBalance && (
+            <span className="ml-3 text-xs text-slate-500">
+              {trialBalance.accounts.length} contas analíticas, {trialBalance.periods.length} período(s)
+            </span>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+      {mappingResult?.warnings?.map(warning => (
+        <p key={warning} className="mt-2 text-xs text-amber-700">{warning}</p>
+      ))}
+
+      <div className="mt-6">
+        <h4 className="text-sm font-semibold text-slate-700 mb-2">Regras de mapeamento (a primeira que se aplica prevalece)</h4>
+        {rules.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-blue-50">
+                  <th className="border p-2 text-left">Conta / De</th>
+                  <th className="border p-2 text-left">Até (opcional)</th>
+                  <th className="border p-2 text-left">Campo</th>
+                  <th className="border p-2 text-left">Sinal</th>
+                  <th className="border p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule, index) => (
+                  <tr key={index}>
+                    <td className="border p-1">
+                      <input
+                        type="text"
+                        value={rule.from}
+                        onChange={(e) => updateRule(index, { from: e.target.value.trim() })}
+                        disabled={disabled}
+                        className={`${cellInputClassName} font-mono`}
+                        aria-label={`Conta inicial da regra ${index + 1}`}
+                      />
+                    </td>
+                    <td className="border p-1">
+                      <input
+                        type="text"
+                        value={rule.to || ''}
+                        onChange={(e) => updateRule(index, { to: e.target.value.trim() || null })}
+                        disabled={disabled}
+                        className={`${cellInputClassName} font-mono`}
+                        aria-label={`Conta final da regra ${index + 1}`}
+                      />
+                    </td>
+                    <td className="border p-1">
+                      <select
+                        value={rule.target}
+                        onChange={(e) => updateRule(index, { target: e.target.value })}
+                        disabled={disabled}
+                        className={cellInputClassName}
+                        aria-label={`Campo da regra ${index + 1}`}
+                      >
+                        <option value="">— selecione —</option>
+                        {Object.entries(TRIAL_BALANCE_TARGETS).map(([key, target]) => (
+                          <option key={key} value={key}>{target.label}</option>
+                        ))}
+                        <option value={TRIAL_BALANCE_IGNORE_TARGET}>Ignorar</option>
+                      </select>
+                    </td>
+                    <td className="border p-1">
+                      <select
+                        value={rule.sign === -1 ? -1 : 1}
+                        onChange={(e) => updateRule(index, { sign: Number(e.target.value) })}
+                        disabled={disabled}
+                        className={cellInputClassName}
+                        aria-label={`Sinal da regra ${index + 1}`}
+                      >
+                        <option value={1}>Manter (devedor +)</option>
+                        <option value={-1}>Inverter (credor +)</option>
+                      </select>
+                    </td>
+                    <td className="border p-1 text-center">
+                      <button
+                        type="button"
+                        onClick={() => removeRule(index)}
+                        disabled={disabled}
+                        className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                        aria-label={`Remover regra ${index + 1}`}
+                      >
+                        ✕
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <button
+          type="button"
+          onClick={() => addRule()}
+          disabled={disabled}
+          className="mt-2 px-3 py-1.5 text-sm font-medium rounded-md border border-slate-300 text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          Adicionar regra
+        </button>
+      </div>
+
+      {mappingResult && mappingResult.unmappedAccounts.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-amber-700 mb-2">
+            Contas com saldo sem regra ({mappingResult.unmappedAccounts.length})
+          </h4>
+          <div className="max-h-64 overflow-y-auto overflow-x-auto">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-amber-50">
+                  <th className="border p-2 text-left">Conta</th>
+                  <th className="border p-2 text-left">Descrição</th>
+                  {mappingResult.periodLabels.map(label => (
+                    <th key={label} className="border p-2 text-right">{label}</th>
+                  ))}
+                  <th className="border p-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {mappingResult.unmappedAccounts.map(account => (
+                  <tr key={account.code}>
+                    <td className="border p-2 font-mono">{account.code}</td>
+                    <td className="border p-2">{account.description}</td>
+                    {account.balances.map((balance, index) => (
+                      <td key={index} className="border p-2 text-right">{formatCurrency(balance)}</td>
+                    ))}
+                    <td className="border p-1 text-center">
+                      <button
+                        type="button"
+                        onClick={() => addRuleForAccount(account)}
+                        disabled={disabled}
+                        className="text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        Criar regra
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {mappingResult && mappedTargets.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Campo</th>
+                {mappingResult.periodLabels.map(label => (
+                  <th key={label} className="border p-2 text-right">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {mappedTargets.map(target => (
+                <tr key={target}>
+                  <td className="border p-2">{TRIAL_BALANCE_TARGETS[target].label}</td>
+                  {mappingResult.totals.map((totals, index) => (
+                    <td key={index} className="border p-2 text-right">{formatCurrency(totals[target] || 0)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {mappingResult && (
+        <div className="mt-4 flex justify-end">
+          <button
+            type="button"
+            onClick={onApply}
+            disabled={disabled || mappingResult.inputData.length === 0}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            Aplicar {mappingResult.inputData.length} período(s) à entrada de dados
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,177 @@
+// src/components/InputPanel/ValuationSettings.jsx
+import React from 'react';
+import {
+  TERMINAL_VALUE_METHODS,
+  TERMINAL_VALUE_METHOD_LABELS,
+  getDefaultValuationSettings,
+} from '../../utils/valuation';
+
+const inputClassName = 'w-full p-2 border border-slate-300 rounded-md shadow-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const toNumber = (value) => (value === '' ? 0 : Number(value) || 0);
+
+const WACC_FIELDS = [
+  ['riskFreeRate', 'Taxa Livre de Risco (% a.a.)', '0.1'],
+  ['beta', 'Beta', '0.05'],
+  ['equityRiskPremium', 'Prêmio de Risco de Mercado (%)', '0.1'],
+  ['countryRiskPremium', 'Risco-País (%)', '0.1'],
+  ['costOfDebt', 'Custo da Dívida antes do IR (% a.a.)', '0.1'],
+  ['taxRate', 'Alíquota IR/CSLL (%)', '1'],
+];
+
+/**
+ * @param {{
+ * valuationSettings: object | null;
+ * onValuationSettingsChange: (valuationSettings: object | null) => void;
+ * onRunValuation: () => void;
+ * isValuing?: boolean;
+ * canRun?: boolean;
+ * disabled?: boolean;
+ * }} props
+ */
+export default function ValuationSettings({
+  valuationSettings,
+  onValuationSettingsChange,
+  onRunValuation,
+  isValuing = false,
+  canRun = false,
+  disabled = false,
+}) {
+  const isEnabled = Boolean(valuationSettings);
+
+  const updateSettings = (key, value) => onValuationSettingsChange({ ...valuationSettings, [key]: value });
+
+  return (
+    <section className="mb-8 p-6 bg-white rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-slate-700">Avaliação da Empresa (DCF)</h3>
+        <label htmlFor="valuationEnabled" className="flex items-center text-sm text-slate-700">
+          <input
+            type="checkbox"
+            id="valuationEnabled"
+            checked={isEnabled}
+            onChange={(e) => onValuationSettingsChange(e.target.checked ? getDefaultValuationSettings() : null)}
+            disabled={disabled}
+            className="mr-2"
+          />
+          Calcular valor da empresa por fluxo de caixa descontado
+        </label>
+      </div>
+      <p className="text-xs text-slate-500">
+        Desconta o fluxo de caixa livre da firma (FCFF) das demonstrações projetadas pelo WACC (CAPM com risco-país e
+        custo da dívida após IR). O valor do equity subtrai os empréstimos bancários e soma o caixa do último período
+        histórico. As premissas de projeção configuradas acima são reaproveitadas.
+      </p>
+
+      {isEnabled && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-4 mb-4">
+            {WACC_FIELDS.map(([key, label, step]) => (
+              <div key={key}>
+                <label htmlFor={`valuation-${key}`} className="block text-sm font-medium text-slate-700 mb-1">
+                  {label}:
+                </label>
+                <input
+                  type="number"
+                  id={`valuation-${key}`}
+                  step={step}
+                  value={valuationSettings[key]}
+                  onChange={(e) => updateSettings(key, toNumber(e.target.value))}
+                  disabled={disabled}
+                  className={inputClassName}
+                />
+              </div>
+            ))}
+            <div>
+              <label htmlFor="valuationDebtWeight" className="block text-sm font-medium text-slate-700 mb-1">
+                Peso da Dívida (%):
+              </label>
+              <input
+                type="number"
+                id="valuationDebtWeight"
+                min="0"
+                max="100"
+                value={valuationSettings.debtWeight ?? ''}
+                onChange={(e) => updateSettings('debtWeight', e.target.value === '' ? null : Math.min(100, Math.max(0, toNumber(e.target.value))))}
+                disabled={disabled}
+                className={inputClassName}
+                placeholder="Estrutura contábil"
+              />
+            </div>
+            <div>
+              <label htmlFor="valuationForecastPeriods" className="block text-sm font-medium text-slate-700 mb-1">
+                Períodos Projetados:
+              </label>
+              <input
+                type="number"
+                id="valuationForecastPeriods"
+                min="1"
+                value={valuationSettings.forecastPeriods}
+                onChange={(e) => updateSettings('forecastPeriods', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                disabled={disabled}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label htmlFor="valuationTerminalMethod" className="block text-sm font-medium text-slate-700 mb-1">
+                Valor Terminal:
+              </label>
+              <select
+                id="valuationTerminalMethod"
+                value={valuationSettings.terminalMethod}
+                onChange={(e) => updateSettings('terminalMethod', e.target.value)}
+                disabled={disabled}
+                className={inputClassName}
+              >
+                {Object.values(TERMINAL_VALUE_METHODS).map(method => (
+                  <option key={method} value={method}>{TERMINAL_VALUE_METHOD_LABELS[method]}</option>
+                ))}
+              </select>
+            </div>
+            {valuationSettings.terminalMethod === TERMINAL_VALUE_METHODS.EXIT_MULTIPLE ? (
+              <div>
+                <label htmlFor="valuationExitMultiple" className="block text-sm font-medium text-slate-700 mb-1">
+                  Múltiplo EV/EBITDA (x):
+                </label>
+                <input
+                  type="number"
+                  id="valuationExitMultiple"
+                  step="0.5"
+                  min="0"
+                  value={valuationSettings.exitMultiple}
+                  onChange={(e) => updateSettings('exitMultiple', toNumber(e.target.value))}
+                  disabled={disabled}
+                  className={inputClassName}
+                />
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="valuationTerminalGrowth" className="block text-sm font-medium text-slate-700 mb-1">
+                  Crescimento Perpétuo g (%):
+                </label>
+                <input
+                  type="number"
+                  id="valuationTerminalGrowth"
+                  step="0.1"
+                  value={valuationSettings.terminalGrowth}
+                  onChange={(e) => updateSettings('terminalGrowth', toNumber(e.target.value))}
+                  disabled={disabled}
+                  className={inputClassName}
+                />
+              </div>
+            )}
+          </div>
+
+          <button
+            type="button"
+            onClick={onRunValuation}
+            disabled={disabled || isValuing || !canRun}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isValuing ? 'Calculando...' : 'Calcular Valuation'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
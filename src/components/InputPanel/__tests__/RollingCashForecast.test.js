@@ -0,0 +1,37 @@
+// src/components/InputPanel/__tests__/RollingCashForecast.test.js
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import RollingCashForecast from '../RollingCashForecast';
+import { getDefaultRollingForecast } from '../../../utils/rollingCashForecast';
+
+jest.mock('../../Charts/CashFlowKeyMetricsTrendChart', () => () => null);
+
+describe('RollingCashForecast', () => {
+  const rollingForecast = getDefaultRollingForecast(new Date('2025-01-06T00:00:00Z'));
+
+  it('renders the weekly receipts and disbursements grid with ManualDataEntry', () => {
+    render(<RollingCashForecast rollingForecast={rollingForecast} onRollingForecastChange={jest.fn()} />);
+
+    expect(screen.getByText('Recebimentos')).toBeInTheDocument();
+    expect(screen.getByText('Pagamentos')).toBeInTheDocument();
+    expect(screen.getAllByText('06/01')).toHaveLength(2);
+    expect(screen.getByText('Total de Recebimentos')).toBeInTheDocument();
+    expect(screen.getByText('Saldo Final de Caixa')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Número de Períodos/i)).not.toBeInTheDocument();
+  });
+
+  it('updates the forecast of the edited week and line', () => {
+    const onRollingForecastChange = jest.fn();
+    render(
+      <RollingCashForecast rollingForecast={rollingForecast} onRollingForecastChange={onRollingForecastChange} />,
+    );
+
+    const payrollRow = screen.getByText('Folha de Pagamento').closest('tr');
+    const [, secondWeekInput] = payrollRow.querySelectorAll('input');
+    fireEvent.change(secondWeekInput, { target: { value: '45000' } });
+
+    const [updated] = onRollingForecastChange.mock.calls[0];
+    expect(updated.weeks[1].forecast.payroll).toBe(45000);
+    expect(updated.weeks[0]).toBe(rollingForecast.weeks[0]);
+  });
+});
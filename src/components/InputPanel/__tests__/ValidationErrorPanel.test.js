@@ -237,4 +237,69 @@ describe('ValidationErrorPanel', () => {
     const errorPanel = container.querySelector('.animate-fade-in');
     expect(errorPanel).toBeInTheDocument();
   });
+
+  describe('unmapped trial balance accounts', () => {
+    const unmappedBalances = {
+      periodLabels: ['Saldo Jan/24', 'Saldo Fev/24'],
+      accounts: [{ code: '1.1.04', description: 'ICMS a Recuperar', balances: [150, 0] }],
+    };
+
+    it('should render the unmapped balances warning without validation errors', () => {
+      render(<ValidationErrorPanel validationErrors={null} unmappedBalances={unmappedBalances} />);
+
+      expect(screen.getByText(/Saldos Não Mapeados no Balancete/i)).toBeInTheDocument();
+      expect(screen.getByText('ICMS a Recuperar')).toBeInTheDocument();
+      expect(screen.getByText('Saldo Fev/24')).toBeInTheDocument();
+      expect(screen.queryByText('Erros de Validação Detectados')).not.toBeInTheDocument();
+    });
+
+    it('should render the warning above the validation errors and dismiss it', () => {
+      const onDismissUnmapped = jest.fn();
+      render(
+        <ValidationErrorPanel
+          validationErrors={sampleValidationErrors}
+          onDismiss={mockOnDismiss}
+          unmappedBalances={unmappedBalances}
+          onDismissUnmapped={onDismissUnmapped}
+        />
+      );
+
+      expect(screen.getByText('Erros de Validação Detectados')).toBeInTheDocument();
+      fireEvent.click(screen.getByLabelText('Fechar aviso de saldos não mapeados'));
+      expect(onDismissUnmapped).toHaveBeenCalledTimes(1);
+      expect(mockOnDismiss).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('statement checks', () => {
+    const statementIssues = [{
+      period: 2,
+      issues: [{ type: 'NFA_ROLLFORWARD_MISMATCH', severity: 'warning', message: 'Roll-forward do Ativo Fixo: diferença de R$ 40.000,00' }],
+    }];
+
+    it('should render the calculated period findings without validation errors', () => {
+      render(<ValidationErrorPanel validationErrors={null} statementIssues={statementIssues} />);
+
+      expect(screen.getByText(/Alertas de Consistência das Demonstrações/i)).toBeInTheDocument();
+      expect(screen.getByText(/com alertas em 1 período:/i)).toBeInTheDocument();
+      expect(screen.getByText(/Roll-forward do Ativo Fixo/)).toBeInTheDocument();
+      expect(screen.queryByText('Erros de Validação Detectados')).not.toBeInTheDocument();
+    });
+
+    it('should dismiss the findings on their own', () => {
+      const onDismissStatementIssues = jest.fn();
+      render(
+        <ValidationErrorPanel
+          validationErrors={sampleValidationErrors}
+          onDismiss={mockOnDismiss}
+          statementIssues={statementIssues}
+          onDismissStatementIssues={onDismissStatementIssues}
+        />
+      );
+
+      fireEvent.click(screen.getByLabelText('Fechar alertas de consistência'));
+      expect(onDismissStatementIssues).toHaveBeenCalledTimes(1);
+      expect(mockOnDismiss).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -3,8 +3,31 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 
 // Components
 import InputMethodSelector from './InputPanel/InputMethodSelector';
+import TaxRegimeSelector from './InputPanel/TaxRegimeSelector';
+import AssetRegisterSettings from './InputPanel/AssetRegisterSettings';
+import DebtFacilitiesSettings from './InputPanel/DebtFacilitiesSettings';
+import ProjectionSettings from './InputPanel/ProjectionSettings';
+import MonteCarloSettings from './InputPanel/MonteCarloSettings';
+import SensitivitySettings from './InputPanel/SensitivitySettings';
+import GoalSeekPanel from './InputPanel/GoalSeekPanel';
+import ValuationSettings from './InputPanel/ValuationSettings';
+import BudgetVarianceSettings from './InputPanel/BudgetVarianceSettings';
+import ScenarioManager from './InputPanel/ScenarioManager';
+import ConsolidationSettings from './InputPanel/ConsolidationSettings';
+import CurrencySettings from './InputPanel/CurrencySettings';
+import InflationSettings from './InputPanel/InflationSettings';
+import BenchmarkSettings from './InputPanel/BenchmarkSettings';
+import CreditScoringSettings from './InputPanel/CreditScoringSettings';
+import CostBehaviorSettings from './InputPanel/CostBehaviorSettings';
+import SeasonalitySettings from './InputPanel/SeasonalitySettings';
+import SpedImportPanel from './InputPanel/SpedImportPanel';
+import TrialBalanceImportPanel from './InputPanel/TrialBalanceImportPanel';
+import BankReconciliationSettings from './InputPanel/BankReconciliationSettings';
+import NFeImportPanel from './InputPanel/NFeImportPanel';
 import ManualDataEntry from './InputPanel/ManualDataEntry';
+import RollingCashForecast from './InputPanel/RollingCashForecast';
 import ExcelUploader from './InputPanel/ExcelUploader';
+import ExcelMappingWizard from './InputPanel/ExcelMappingWizard';
 import PdfUploader from './InputPanel/PdfUploader';
 import AiProviderSelector from './InputPanel/AiProviderSelector';
 import PeriodTypeConfirmation from './InputPanel/PeriodTypeConfirmation';
@@ -20,12 +43,46 @@ import { usePdfParser } from '../hooks/usePdfParser';
 import { useAiService } from '../hooks/useAiService';
 import { useAiAnalysis } from '../hooks/useAiAnalysis';
 import { useAiDataExtraction } from '../hooks/useAiDataExtraction';
+import { useProjectSettings } from '../hooks/useProjectSettings';
+
+// Services
+import financialCalculationService from '../services/financial/FinancialCalculationService';
+import { ExcelExportService } from '../services/export/ExcelExportService';
+import { ExportService } from '../services/export/ExportService';
+import { ExportFormat } from '../services/export/types';
+import {
+  storageManager,
+  createBudgetScenario,
+  createScenarioFromInputs,
+  createEntityScenario,
+  getDefaultConsolidationSettings,
+  getDefaultAccountMapping,
+  NFE_REVENUE_BASES,
+  DEFAULT_PROJECT_ID,
+  SCENARIO_TYPES,
+} from '../services/storage';
 
 // Utils
 import { fieldDefinitions, getFieldKeys, validateAllFields } from '../utils/fieldDefinitions';
-import { DEFAULT_PERIODS_MANUAL, DEFAULT_PERIODS_EXCEL, DEFAULT_AI_PROVIDER } from '../utils/constants';
+import { DEFAULT_PERIODS_MANUAL, DEFAULT_PERIODS_EXCEL, DEFAULT_AI_PROVIDER, getMaxPeriods } from '../utils/constants';
+import { getFxTranslation } from '../utils/currency';
+import { applyInflationAdjustment, getMissingInflationPeriods } from '../utils/inflation';
+import {
+  getDefaultBenchmarkLibrary,
+  validateBenchmarkLibrary,
+  mergeBenchmarkLibraries,
+  getBenchmark,
+  compareToBenchmark,
+} from '../utils/benchmarks';
+import { getDefaultCreditSettings, scoreCredit } from '../utils/creditScoring';
+import { analyzeBreakEven } from '../utils/breakEven';
+import { buildMonthlyView, learnSeasonalityProfile, parseMonthlyHistory } from '../utils/seasonality';
+import { getDefaultBankReconciliationSettings, reconcileBankStatements } from '../utils/bankReconciliation';
+import { analyzeCustomerConcentration } from '../utils/customerConcentration';
+import { setPresentationCurrency } from '../utils/formatters';
 import { ANALYSIS_TYPES } from '../utils/aiAnalysisTypes';
 import { generateSmartTemplate, generateBasicDriversTemplate, TEMPLATE_TYPES } from '../utils/excelTemplateGenerator';
+import { FinancialConstraintValidator } from '../utils/financialValidators';
 
 export default function ReportGeneratorApp() {
   const [inputMethod, setInputMethod] = useState('manual');
@@ -45,6 +102,54 @@ export default function ReportGeneratorApp() {
   const [apiKeys, setApiKeys] = useState(() => {
     try { const saved = localStorage.getItem('aiApiKeys_ReportGen_v3'); return saved ? JSON.parse(saved) : {}; } catch (e) { return {}; }
   });
+  // Settings of the feature panels, kept in the project settings
+  const projectData = useMemo(() => ({ id: DEFAULT_PROJECT_ID, name: companyName, userId: 'local' }), [companyName]);
+  const { settings: projectSettings, updateSetting, updateSettings, restoreSettings } = useProjectSettings(projectData);
+  const {
+    taxRegime: taxSettings,
+    assetRegister,
+    debt: debtSettings,
+    projection: projectionSettings,
+    simulation: simulationSettings,
+    sensitivity: sensitivitySettings,
+    goalSeek: goalSeekSettings,
+    valuation: valuationSettings,
+    fxRates,
+    inflation: inflationSettings,
+    benchmarkLibrary,
+    credit: creditSettings,
+    costBehavior: costBehaviorSettings,
+    seasonality: seasonalitySettings,
+    bankReconciliation: bankSettings,
+    rollingCashForecast: rollingForecast,
+    excelLayoutProfiles,
+  } = projectSettings;
+  const currencySettings = useMemo(
+    () => ({ functionalCurrency: projectSettings.functionalCurrency, presentationCurrency: projectSettings.currency }),
+    [projectSettings.functionalCurrency, projectSettings.currency],
+  );
+  const benchmarkSettings = useMemo(
+    () => ({ industry: projectSettings.industry, companySize: projectSettings.companySize }),
+    [projectSettings.industry, projectSettings.companySize],
+  );
+  const [cashFlowSimulation, setCashFlowSimulation] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [sensitivityAnalysis, setSensitivityAnalysis] = useState(null);
+  const [isAnalyzingSensitivity, setIsAnalyzingSensitivity] = useState(false);
+  const [goalSeekResult, setGoalSeekResult] = useState(null);
+  const [isSolvingGoal, setIsSolvingGoal] = useState(false);
+  const [valuation, setValuation] = useState(null);
+  const [isValuing, setIsValuing] = useState(false);
+  const [budget, setBudget] = useState(null);
+  const [budgetVariance, setBudgetVariance] = useState(null);
+  const [isComparingBudget, setIsComparingBudget] = useState(false);
+  const [scenarios, setScenarios] = useState([]);
+  const [scenarioComparison, setScenarioComparison] = useState(null);
+  const [isComparingScenarios, setIsComparingScenarios] = useState(false);
+  const [entityScenarios, setEntityScenarios] = useState([]);
+  const [consolidationSettings, setConsolidationSettings] = useState(getDefaultConsolidationSettings);
+  const [consolidation, setConsolidation] = useState(null);
+  const [isConsolidating, setIsConsolidating] = useState(false);
   const [extractionProgress, setExtractionProgress] = useState(null);
   const [appError, setAppError] = useState(null);
   const [validationErrorDetails, setValidationErrorDetails] = useState(null);
@@ -52,6 +157,9 @@ export default function ReportGeneratorApp() {
   // New state for Excel upload flow
   const [pendingExcelParseResult, setPendingExcelParseResult] = useState(null);
   const [showPeriodTypeConfirmation, setShowPeriodTypeConfirmation] = useState(false);
+  // Client spreadsheet outside our templates waiting for the column-mapping wizard
+  const [pendingExcelMapping, setPendingExcelMapping] = useState(null);
+
 
   // --- Initialize Hooks --- with fallbacks for test environment
   const excelLibResult = useLibrary('ExcelJS') || {};
@@ -79,6 +187,7 @@ export default function ReportGeneratorApp() {
 
   const excelParserResult = useSmartExcelParser(ExcelJS) || {};
   const parseSmartExcelFile = excelParserResult.parseFile || (() => Promise.resolve({ data: [], detectedPeriods: 0 }));
+  const applyExcelLayoutProfile = excelParserResult.applyLayoutProfile || (() => ({ data: [], detectedPeriods: 0 }));
   const isExcelParsing = excelParserResult.isParsing || false;
   const excelParsingErrorHook = excelParserResult.error;
   const excelParsingProgress = excelParserResult.progress || 0;
@@ -163,6 +272,178 @@ export default function ReportGeneratorApp() {
     catch (e) { console.warn('Não foi possível salvar chaves API no localStorage:', e); }
   }, [apiKeys]);
 
+
+
+
+
+
+
+
+  useEffect(() => {
+    storageManager.initialize()
+      .then(() => Promise.all([
+        storageManager.getBudgetScenario(DEFAULT_PROJECT_ID),
+        storageManager.getScenarios({ projectId: DEFAULT_PROJECT_ID }),
+        storageManager.getProject(DEFAULT_PROJECT_ID),
+      ]))
+      .then(([savedBudget, savedScenarios, project]) => {
+        if (savedBudget) setBudget(savedBudget);
+        const byCreation = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+        setScenarios((savedScenarios || [])
+          .filter(scenario => scenario.type !== SCENARIO_TYPES.BUDGET && scenario.type !== SCENARIO_TYPES.ENTITY)
+          .sort(byCreation));
+        setEntityScenarios((savedScenarios || [])
+          .filter(scenario => scenario.type === SCENARIO_TYPES.ENTITY)
+          .sort(byCreation));
+        if (project?.consolidation) setConsolidationSettings(project.consolidation);
+        if (project?.accountMapping) setAccountMapping(project.accountMapping);
+        restoreSettings(project?.settings);
+      })
+      .catch(e => console.warn('Não foi possível carregar o orçamento, os cenários e a consolidação salvos:', e));
+  }, [restoreSettings]);
+
+
+  // Calculations run in the functional currency and are translated to the presentation currency
+  const fxTranslation = useMemo(
+    () => getFxTranslation(fxRates, currencySettings.functionalCurrency, currencySettings.presentationCurrency),
+    [fxRates, currencySettings],
+  );
+
+
+
+  // Nominal vs real growth and the constant-currency view are applied on top of the calculated
+  // periods, so toggling them does not require a recalculation
+  const reportData = useMemo(() => {
+    const rates = inflationSettings.indexTables[inflationSettings.indexType] || [];
+    if (!inflationSettings.enabled || calculatedData.length === 0 || getMissingInflationPeriods(rates, calculatedData.length).length > 0) {
+      return calculatedData;
+    }
+    return applyInflationAdjustment(calculatedData, {
+      rates,
+      basePeriodIndex: inflationSettings.basePeriodIndex,
+      realTerms: inflationSettings.realTerms,
+      indexType: inflationSettings.indexType,
+    });
+  }, [calculatedData, inflationSettings]);
+
+  const benchmark = useMemo(
+    () => getBenchmark(benchmarkLibrary, benchmarkSettings.industry, benchmarkSettings.companySize),
+    [benchmarkLibrary, benchmarkSettings],
+  );
+  const benchmarkComparison = useMemo(
+    () => (benchmark && reportData.length > 0 ? compareToBenchmark(reportData[reportData.length - 1], benchmark) : null),
+    [benchmark, reportData],
+  );
+
+
+  // Scored on the nominal statements so the Altman balance sheet ratios are not distorted
+  const creditScore = useMemo(() => {
+    try {
+      return scoreCredit(calculatedData, creditSettings);
+    } catch (e) {
+      console.warn('Não foi possível calcular o rating de crédito:', e);
+      return null;
+    }
+  }, [calculatedData, creditSettings]);
+
+  // Roll-forward and covenant checks of the calculated periods; a consolidated
+  // result has no inputs of its own, so only its computed schedules are checked
+  const statementIssues = useMemo(
+    () => FinancialConstraintValidator.validateCalculatedPeriods(
+      calculatedData,
+      calculatedData === consolidation?.periods ? [] : currentInputData,
+    ),
+    [calculatedData, currentInputData, consolidation],
+  );
+  const [dismissedStatementIssues, setDismissedStatementIssues] = useState(null);
+  const visibleStatementIssues = statementIssues !== dismissedStatementIssues ? statementIssues : null;
+
+
+  const breakEvenResult = useMemo(() => {
+    try {
+      return { analysis: analyzeBreakEven(calculatedData, costBehaviorSettings), error: null };
+    } catch (e) {
+      return { analysis: null, error: e.message };
+    }
+  }, [calculatedData, costBehaviorSettings]);
+
+
+  // Monthly phasing of the annual inputs behind the current report
+  const monthlyViewResult = useMemo(() => {
+    if (!seasonalitySettings.enabled || periodType !== 'anos' || calculatedData.length === 0) {
+      return { view: null, error: null };
+    }
+    try {
+      return { view: buildMonthlyView(currentInputData, periodType, seasonalitySettings, { taxSettings }), error: null };
+    } catch (e) {
+      return { view: null, error: e.message };
+    }
+  }, [seasonalitySettings, periodType, calculatedData, currentInputData, taxSettings]);
+
+  // SPED ECD/ECF import under review: parsed file and the account mapping being edited
+  const [spedImport, setSpedImport] = useState(null);
+  const [spedPeriodType, setSpedPeriodType] = useState('anos');
+
+  const spedImportResult = useMemo(() => {
+    if (!spedImport) return { result: null, error: null };
+    try {
+      return { result: storageManager.importService.buildSPEDPeriods(spedImport.sped, spedImport.mapping, { periodType: spedPeriodType }), error: null };
+    } catch (e) {
+      return { result: null, error: e.message };
+    }
+  }, [spedImport, spedPeriodType]);
+
+  // Trial balance import: the project's chart-of-accounts mapping is reused on every upload
+  const [accountMapping, setAccountMapping] = useState(getDefaultAccountMapping);
+  const [trialBalance, setTrialBalance] = useState(null);
+  const [trialBalancePeriodType, setTrialBalancePeriodType] = useState('anos');
+  const [unmappedBalances, setUnmappedBalances] = useState(null);
+
+  const trialBalanceResult = useMemo(() => {
+    if (!trialBalance) return { result: null, error: null };
+    try {
+      return { result: storageManager.importService.applyAccountMapping(trialBalance, accountMapping, { periodType: trialBalancePeriodType }), error: null };
+    } catch (e) {
+      return { result: null, error: e.message };
+    }
+  }, [trialBalance, accountMapping, trialBalancePeriodType]);
+
+  // NF-e XML zip: invoices kept so the periods can be regrouped; the customer concentration
+  // of the applied import is shown in the report
+  const [nfeImport, setNfeImport] = useState(null);
+  const [nfePeriodType, setNfePeriodType] = useState('anos');
+  const [nfeRevenueBasis, setNfeRevenueBasis] = useState(NFE_REVENUE_BASES.GROSS);
+  const [customerConcentration, setCustomerConcentration] = useState(null);
+
+  const nfeImportResult = useMemo(() => {
+    if (!nfeImport) return { result: null, error: null };
+    try {
+      return { result: storageManager.importService.aggregateNFeInvoices(nfeImport.invoices, { periodType: nfePeriodType, revenueBasis: nfeRevenueBasis }), error: null };
+    } catch (e) {
+      return { result: null, error: e.message };
+    }
+  }, [nfeImport, nfePeriodType, nfeRevenueBasis]);
+
+  // Bank statements (OFX/CNAB) reconciled against the closing cash of the current report
+  const [bankStatements, setBankStatements] = useState([]);
+
+
+  const bankReconciliationResult = useMemo(() => {
+    if (bankStatements.length === 0 || calculatedData.length === 0) return { reconciliation: null, error: null };
+    try {
+      return { reconciliation: reconcileBankStatements(bankStatements, calculatedData, currentInputData, bankSettings, periodType), error: null };
+    } catch (e) {
+      return { reconciliation: null, error: e.message };
+    }
+  }, [bankStatements, calculatedData, currentInputData, bankSettings, periodType]);
+
+
+  // Weekly periods allow more columns than the other period types; clamp when switching back
+  const handlePeriodTypeChange = useCallback((newPeriodType) => {
+    setPeriodType(newPeriodType);
+    setNumberOfPeriods(prev => Math.min(prev, getMaxPeriods(newPeriodType)));
+  }, []);
+
   const handleApiKeyChange = useCallback((providerKey, key) => {
     setApiKeys(prev => ({ ...prev, [providerKey]: key }));
   }, []);
@@ -176,8 +457,8 @@ export default function ReportGeneratorApp() {
   const handleInputMethodChange = useCallback((method) => {
     setInputMethod(method);
     setCalculatedData([]);
-    setAppError(null); setValidationErrorDetails(null); setExtractionProgress(null);
-    setPendingExcelParseResult(null); setShowPeriodTypeConfirmation(false);
+    setAppError(null); setValidationErrorDetails(null); setUnmappedBalances(null); setExtractionProgress(null);
+    setPendingExcelParseResult(null); setShowPeriodTypeConfirmation(false); setPendingExcelMapping(null);
     resetExcelParser();
     aiAnalysisManager.clearAllAnalyses();
     if (method === 'manual') setNumberOfPeriods(DEFAULT_PERIODS_MANUAL);
@@ -212,11 +493,517 @@ export default function ReportGeneratorApp() {
       return;
     }
     try {
-      const result = await calculate(currentInputData, periodType);
+      const result = await calculate(currentInputData, periodType, { taxSettings, assetRegister, debtSettings, projection: projectionSettings, fxTranslation });
       setCalculatedData(result);
     } catch (err) { /* Error handled by calculationError state & useEffect */ }
   };
 
+  const handleRunSimulation = async () => {
+    setAppError(null);
+    setIsSimulating(true);
+    try {
+      const result = await financialCalculationService.simulateCashFlow(currentInputData, periodType, {
+        taxSettings,
+        assetRegister,
+        debtSettings,
+        projection: projectionSettings,
+        simulation: simulationSettings,
+      });
+      setCashFlowSimulation(result);
+    } catch (err) {
+      console.error('Erro na simulação de Monte Carlo:', err);
+      setAppError(new Error(`Falha na simulação de Monte Carlo: ${err.message}`));
+    } finally {
+      setIsSimulating(false);
+    }
+  };
+
+  const handleRunSensitivity = async () => {
+    setAppError(null);
+    setIsAnalyzingSensitivity(true);
+    try {
+      const result = await financialCalculationService.analyzeSensitivity(currentInputData, periodType, {
+        taxSettings,
+        assetRegister,
+        debtSettings,
+        projection: projectionSettings,
+        sensitivity: sensitivitySettings,
+      });
+      setSensitivityAnalysis(result);
+    } catch (err) {
+      console.error('Erro na análise de sensibilidade:', err);
+      setAppError(new Error(`Falha na análise de sensibilidade: ${err.message}`));
+    } finally {
+      setIsAnalyzingSensitivity(false);
+    }
+  };
+
+  const handleExportSensitivity = async () => {
+    const driverLabels = Object.fromEntries(Object.entries(fieldDefinitions).map(([key, def]) => [key, def.label]));
+    const exportService = new ExcelExportService({ currency: currencySettings.presentationCurrency });
+    const result = await exportService.export(
+      { title: `${companyName} - Sensitivity Analysis`, sensitivity: { ...sensitivityAnalysis, driverLabels } },
+      { fileName: 'sensitivity-analysis', sheetNames: ['Sensitivity'] },
+    );
+    if (result.success) {
+      exportService.downloadFile(result.data, result.fileName);
+    } else {
+      setAppError(new Error(`Falha ao exportar a análise de sensibilidade: ${result.error.message}`));
+    }
+  };
+
+  const handleRunGoalSeek = async () => {
+    setAppError(null);
+    setIsSolvingGoal(true);
+    try {
+      const result = await financialCalculationService.goalSeek(currentInputData, periodType, {
+        taxSettings,
+        assetRegister,
+        debtSettings,
+        projection: projectionSettings,
+        goalSeek: goalSeekSettings,
+      });
+      setGoalSeekResult(result);
+    } catch (err) {
+      console.error('Erro na busca de meta:', err);
+      setAppError(new Error(`Falha na busca de meta: ${err.message}`));
+    } finally {
+      setIsSolvingGoal(false);
+    }
+  };
+
+  const handleApplyGoalSeek = async () => {
+    const solvedInputData = goalSeekResult.inputs;
+    setCurrentInputData(solvedInputData);
+    setGoalSeekResult(null);
+    setCashFlowSimulation(null);
+    setSensitivityAnalysis(null);
+    setValuation(null);
+    setBudgetVariance(null);
+    setScenarioComparison(null);
+    aiAnalysisManager.clearAllAnalyses();
+    try {
+      const result = await calculate(solvedInputData, periodType, { taxSettings, assetRegister, debtSettings, projection: projectionSettings, fxTranslation });
+      setCalculatedData(result);
+    } catch (err) { /* Error handled by calculationError state & useEffect */ }
+  };
+
+  const handleRunValuation = async () => {
+    setAppError(null);
+    setIsValuing(true);
+    try {
+      const result = await financialCalculationService.valueCompany(currentInputData, periodType, {
+        taxSettings,
+        assetRegister,
+        debtSettings,
+        projection: projectionSettings,
+        valuation: valuationSettings,
+      });
+      setValuation(result);
+    } catch (err) {
+      console.error('Erro no valuation:', err);
+      setAppError(new Error(`Falha no valuation: ${err.message}`));
+    } finally {
+      setIsValuing(false);
+    }
+  };
+
+  const handleExportValuation = async () => {
+    const result = await new ExportService({ currency: currencySettings.presentationCurrency }).export(
+      { title: `${companyName} - Business Valuation`, valuation },
+      { format: ExportFormat.EXCEL, templateId: 'business-valuation', fileName: 'business-valuation', sheetNames: ['Valuation'] },
+    );
+    if (!result.success) {
+      setAppError(new Error(`Falha ao exportar o valuation: ${result.error?.message || result.error}`));
+    }
+  };
+
+  const handleExportCreditScore = async () => {
+    const result = await new ExportService({ currency: currencySettings.presentationCurrency }).export(
+      { title: `${companyName} - Credit Analysis`, creditScore },
+      { format: ExportFormat.EXCEL, templateId: 'credit-committee', fileName: 'credit-committee', sheetNames: ['Credit Rating'] },
+    );
+    if (!result.success) {
+      setAppError(new Error(`Falha ao exportar a análise de crédito: ${result.error?.message || result.error}`));
+    }
+  };
+
+  const handleSaveBudget = async () => {
+    setAppError(null);
+    try {
+      await storageManager.initialize();
+      await storageManager.ensureProject(projectData);
+      const scenario = createBudgetScenario({
+        id: budget?.id,
+        createdAt: budget?.createdAt,
+        projectId: DEFAULT_PROJECT_ID,
+        periods: currentInputData,
+        periodType,
+        productMix: budget?.data.productMix,
+      });
+      await storageManager.saveScenario(scenario);
+      setBudget(scenario);
+      setBudgetVariance(null);
+    } catch (err) {
+      console.error('Erro ao salvar o orçamento:', err);
+      setAppError(new Error(`Falha ao salvar o orçamento: ${err.message}`));
+    }
+  };
+
+  const handleBudgetProductMixChange = (productMix) => {
+    setBudget(prev => ({ ...prev, data: { ...prev.data, productMix }, updatedAt: new Date() }));
+  };
+
+  const handleCompareToBudget = async () => {
+    setAppError(null);
+    setIsComparingBudget(true);
+    try {
+      // Persist the product mix edits before comparing
+      await storageManager.saveScenario(budget);
+      const result = await financialCalculationService.compareToBudget(currentInputData, periodType, {
+        taxSettings,
+        assetRegister,
+        debtSettings,
+        budget: { periods: budget.data.periods, productMix: budget.data.productMix },
+      });
+      setBudgetVariance(result);
+    } catch (err) {
+      console.error('Erro na comparação com o orçamento:', err);
+      setAppError(new Error(`Falha na comparação com o orçamento: ${err.message}`));
+    } finally {
+      setIsComparingBudget(false);
+    }
+  };
+
+  const handleCloneScenario = async (name, type) => {
+    setAppError(null);
+    try {
+      await storageManager.initialize();
+      await storageManager.ensureProject(projectData);
+      const scenario = createScenarioFromInputs({
+        projectId: DEFAULT_PROJECT_ID,
+        name,
+        type,
+        periods: currentInputData,
+        periodType,
+      });
+      await storageManager.saveScenario(scenario);
+      setScenarios(prev => [...prev, scenario]);
+    } catch (err) {
+      console.error('Erro ao criar o cenário:', err);
+      setAppError(new Error(`Falha ao criar o cenário: ${err.message}`));
+    }
+  };
+
+  const handleScenarioChange = (scenario) => {
+    setScenarios(prev => prev.map(item => (item.id === scenario.id ? scenario : item)));
+    storageManager.saveScenario(scenario)
+      .catch(e => console.warn('Não foi possível salvar o cenário:', e));
+  };
+
+  const handleDeleteScenario = async (scenarioId) => {
+    try {
+      await storageManager.deleteScenario(scenarioId);
+      setScenarios(prev => prev.filter(scenario => scenario.id !== scenarioId));
+    } catch (err) {
+      console.error('Erro ao excluir o cenário:', err);
+      setAppError(new Error(`Falha ao excluir o cenário: ${err.message}`));
+    }
+  };
+
+  const handleCompareScenarios = async () => {
+    setAppError(null);
+    setIsComparingScenarios(true);
+    try {
+      const comparedScenarios = [
+        { id: 'current', name: 'Dados Atuais', type: SCENARIO_TYPES.BASE, periods: currentInputData },
+        ...scenarios
+          .filter(scenario => scenario.data.periodType === periodType)
+          .map(scenario => ({
+            id: scenario.id,
+            name: scenario.name,
+            type: scenario.type,
+            periods: scenario.data.periods,
+            adjustments: scenario.data.adjustments,
+          })),
+      ];
+      const result = await financialCalculationService.compareScenarios(comparedScenarios, periodType, {
+        taxSettings,
+        assetRegister,
+        debtSettings,
+      });
+      setScenarioComparison(result);
+    } catch (err) {
+      console.error('Erro na comparação de cenários:', err);
+      setAppError(new Error(`Falha na comparação de cenários: ${err.message}`));
+    } finally {
+      setIsComparingScenarios(false);
+    }
+  };
+
+  const handleExportScenarioComparison = async () => {
+    const driverLabels = Object.fromEntries(Object.entries(fieldDefinitions).map(([key, def]) => [key, def.label]));
+    const exportService = new ExcelExportService({ currency: currencySettings.presentationCurrency });
+    const result = await exportService.export(
+      { title: `${companyName} - Scenario Comparison`, scenarioComparison: { ...scenarioComparison, driverLabels } },
+      { fileName: 'scenario-comparison' },
+    );
+    if (result.success) {
+      exportService.downloadFile(result.data, result.fileName);
+    } else {
+      setAppError(new Error(`Falha ao exportar a comparação de cenários: ${result.error.message}`));
+    }
+  };
+
+  const handleExportReport = async () => {
+    const exportService = new ExcelExportService({ currency: currencySettings.presentationCurrency });
+    const result = await exportService.export(
+      { title: `${companyName} - Financial Report`, calculatedData: reportData },
+      { fileName: 'financial-report', sheetNames: ['Financial Report'] },
+    );
+    if (result.success) {
+      exportService.downloadFile(result.data, result.fileName);
+    } else {
+      setAppError(new Error(`Falha ao exportar o relatório: ${result.error.message}`));
+    }
+  };
+
+  const handleExportInflation = async () => {
+    const exportService = new ExcelExportService({ currency: currencySettings.presentationCurrency });
+    const result = await exportService.export(
+      { title: `${companyName} - Nominal vs Real Growth`, calculatedData: reportData },
+      { fileName: 'inflation-adjusted-report', sheetNames: ['Real Terms'] },
+    );
+    if (result.success) {
+      exportService.downloadFile(result.data, result.fileName);
+    } else {
+      setAppError(new Error(`Falha ao exportar os valores reais: ${result.error.message}`));
+    }
+  };
+
+  const handleImportSeasonalityHistory = async (file) => {
+    setAppError(null);
+    try {
+      const historicalPercentages = learnSeasonalityProfile(parseMonthlyHistory(await file.text()));
+      updateSetting('seasonality', prev => ({ ...prev, historicalPercentages }));
+    } catch (err) {
+      console.error('Erro ao importar o histórico mensal:', err);
+      setAppError(new Error(`Falha ao importar o histórico mensal: ${err.message}`));
+    }
+  };
+
+  const handleSpedFileUpload = async (file) => {
+    setAppError(null);
+    try {
+      const { sped, mapping } = await storageManager.importService.importSPED(await file.arrayBuffer(), { periodType: spedPeriodType });
+      setSpedImport({ sped, mapping });
+    } catch (err) {
+      console.error('Erro ao importar o arquivo SPED:', err);
+      setAppError(new Error(`Falha ao importar o arquivo SPED: ${err.message}`));
+    }
+  };
+
+  const handleSpedMappingChange = (accountCode, target) => {
+    setSpedImport(prev => ({ ...prev, mapping: { ...prev.mapping, [accountCode]: target } }));
+  };
+
+  // Loads imported periods into the manual entry for review, like the Excel upload does
+  const loadImportedInputData = (inputData, importedPeriodType) => {
+    const fieldKeys = getFieldKeys();
+    const parsedInputData = inputData.map(input => fieldKeys.reduce((period, fieldKey) => ({
+      ...period,
+      [fieldKey]: input[fieldKey] === undefined ? null : input[fieldKey],
+    }), {}));
+
+    setAppError(null); setValidationErrorDetails(null); setUnmappedBalances(null); setCustomerConcentration(null); setCalculatedData([]);
+    aiAnalysisManager.clearAllAnalyses();
+    setNumberOfPeriods(parsedInputData.length);
+    setPeriodType(importedPeriodType);
+    setCurrentInputData(parsedInputData);
+    setInputMethod('manual');
+  };
+
+  const handleApplySpedImport = () => {
+    loadImportedInputData(spedImportResult.result.inputData, spedPeriodType);
+  };
+
+  const handleTrialBalanceFileUpload = async (file) => {
+    setAppError(null);
+    try {
+      const isExcel = /\.xlsx?$/i.test(file.name);
+      const { trialBalance: parsed } = await storageManager.importService.importTrialBalance(
+        isExcel ? await file.arrayBuffer() : await file.text(),
+        { format: isExcel ? 'excel' : 'csv', mapping: accountMapping, periodType: trialBalancePeriodType },
+      );
+      setTrialBalance(parsed);
+    } catch (err) {
+      console.error('Erro ao importar o balancete:', err);
+      setAppError(new Error(`Falha ao importar o balancete: ${err.message}`));
+    }
+  };
+
+  const handleAccountMappingChange = (mapping) => {
+    setAccountMapping(mapping);
+    storageManager.saveAccountMapping(projectData, mapping)
+      .catch(e => console.warn('Não foi possível salvar o mapeamento de contas do projeto:', e));
+  };
+
+  const handleApplyTrialBalance = () => {
+    const { inputData, periodLabels, unmappedAccounts } = trialBalanceResult.result;
+    loadImportedInputData(inputData, trialBalancePeriodType);
+    if (unmappedAccounts.length > 0) setUnmappedBalances({ periodLabels, accounts: unmappedAccounts });
+  };
+
+  const handleNFeFileUpload = async (file) => {
+    setAppError(null);
+    try {
+      const { invoices, skippedFiles, cancelledCount } = await storageManager.importService.importNFeZip(
+        await file.arrayBuffer(),
+        { periodType: nfePeriodType, revenueBasis: nfeRevenueBasis },
+      );
+      setNfeImport({ invoices, skippedFiles, cancelledCount });
+    } catch (err) {
+      console.error('Erro ao importar as NF-e:', err);
+      setAppError(new Error(`Falha ao importar as NF-e: ${err.message}`));
+    }
+  };
+
+  // Revenue and receivables are merged into the current inputs when the period type matches
+  const handleApplyNFeImport = () => {
+    const { inputData, customers } = nfeImportResult.result;
+    const keepCurrent = periodType === nfePeriodType;
+    loadImportedInputData(inputData.map((input, i) => ({ ...(keepCurrent ? currentInputData[i] : {}), ...input })), nfePeriodType);
+    try {
+      setCustomerConcentration(analyzeCustomerConcentration(customers));
+    } catch (e) {
+      console.warn('Não foi possível medir a concentração de clientes:', e);
+    }
+  };
+
+  const handleBankStatementUpload = async (files) => {
+    setAppError(null);
+    try {
+      const imported = await Promise.all(files.map(async (file) => {
+        const { statement } = await storageManager.importService.importBankStatement(await file.arrayBuffer(), { rules: bankSettings.rules, periodType });
+        return { ...statement, fileName: file.name };
+      }));
+      setBankStatements(prev => [...prev, ...imported]);
+    } catch (err) {
+      console.error('Erro ao importar o extrato bancário:', err);
+      setAppError(new Error(`Falha ao importar o extrato bancário: ${err.message}`));
+    }
+  };
+
+  const handleImportBenchmarkLibrary = async (file) => {
+    setAppError(null);
+    try {
+      const imported = validateBenchmarkLibrary(JSON.parse(await file.text()));
+      updateSetting('benchmarkLibrary', prev => mergeBenchmarkLibraries(prev, imported));
+    } catch (err) {
+      console.error('Erro ao importar os benchmarks:', err);
+      setAppError(new Error(`Falha ao importar os benchmarks: ${err.message}`));
+    }
+  };
+
+  const handleCurrencySettingsChange = (settings) => {
+    setPresentationCurrency(settings.presentationCurrency);
+    updateSettings({ currency: settings.presentationCurrency, functionalCurrency: settings.functionalCurrency });
+  };
+
+  const handleConsolidationSettingsChange = (settings) => {
+    setConsolidationSettings(settings);
+    storageManager.saveConsolidation(projectData, settings)
+      .catch(e => console.warn('Não foi possível salvar a consolidação:', e));
+  };
+
+  const handleAddEntity = async (name) => {
+    setAppError(null);
+    try {
+      await storageManager.initialize();
+      await storageManager.ensureProject(projectData);
+      const scenario = createEntityScenario({
+        projectId: DEFAULT_PROJECT_ID,
+        name,
+        periods: currentInputData,
+        periodType,
+      });
+      await storageManager.saveScenario(scenario);
+      setEntityScenarios(prev => [...prev, scenario]);
+      handleConsolidationSettingsChange({
+        ...consolidationSettings,
+        entities: [
+          ...consolidationSettings.entities,
+          {
+            scenarioId: scenario.id,
+            name,
+            ownershipPercent: 100,
+            isParent: consolidationSettings.entities.length === 0,
+            lineMapping: {},
+          },
+        ],
+      });
+    } catch (err) {
+      console.error('Erro ao salvar a entidade:', err);
+      setAppError(new Error(`Falha ao salvar a entidade: ${err.message}`));
+    }
+  };
+
+  const handleRemoveEntity = async (scenarioId) => {
+    try {
+      await storageManager.deleteScenario(scenarioId);
+      setEntityScenarios(prev => prev.filter(scenario => scenario.id !== scenarioId));
+      handleConsolidationSettingsChange({
+        entities: consolidationSettings.entities.filter(entity => entity.scenarioId !== scenarioId),
+        eliminations: consolidationSettings.eliminations
+          .filter(entry => entry.fromEntityId !== scenarioId && entry.toEntityId !== scenarioId),
+      });
+    } catch (err) {
+      console.error('Erro ao remover a entidade:', err);
+      setAppError(new Error(`Falha ao remover a entidade: ${err.message}`));
+    }
+  };
+
+  const handleConsolidate = async () => {
+    setAppError(null);
+    setIsConsolidating(true);
+    try {
+      const scenarioById = Object.fromEntries(entityScenarios.map(scenario => [scenario.id, scenario]));
+      const entities = consolidationSettings.entities
+        .filter(entity => scenarioById[entity.scenarioId]?.data.periodType === periodType)
+        .map(entity => ({
+          id: entity.scenarioId,
+          name: entity.name,
+          periods: scenarioById[entity.scenarioId].data.periods,
+          ownershipPercent: entity.ownershipPercent,
+          isParent: entity.isParent,
+          lineMapping: entity.lineMapping,
+          fxTranslation: getFxTranslation(
+            fxRates,
+            entity.currency || currencySettings.functionalCurrency,
+            currencySettings.presentationCurrency,
+          ),
+        }));
+      // The asset register and debt facilities describe the company being edited, not the group
+      const result = await financialCalculationService.consolidate(entities, periodType, {
+        taxSettings,
+        eliminations: consolidationSettings.eliminations,
+      });
+      setCashFlowSimulation(null);
+      setSensitivityAnalysis(null);
+      setValuation(null);
+      setBudgetVariance(null);
+      setScenarioComparison(null);
+      aiAnalysisManager.clearAllAnalyses();
+      setConsolidation(result);
+      setCalculatedData(result.periods);
+    } catch (err) {
+      console.error('Erro na consolidação:', err);
+      setAppError(new Error(`Falha na consolidação: ${err.message}`));
+    } finally {
+      setIsConsolidating(false);
+    }
+  };
+
   const handleTemplateDownloadRequest = async (templateTypeKey) => {
     setAppError(null);
     try {
@@ -254,28 +1041,58 @@ export default function ReportGeneratorApp() {
   const handleExcelFileUpload = async (file) => {
     setAppError(null);
     setValidationErrorDetails(null); setCalculatedData([]);
-    setPendingExcelParseResult(null); setShowPeriodTypeConfirmation(false);
+    setPendingExcelParseResult(null); setShowPeriodTypeConfirmation(false); setPendingExcelMapping(null);
     aiAnalysisManager.clearAllAnalyses();
     
     try {
-      const parseResult = await parseSmartExcelFile(file, periodType);
+      const parseResult = await parseSmartExcelFile(file, periodType, excelLayoutProfiles);
       console.log('Smart Parser Result:', parseResult);
-      
-      // Check if there's a period type mismatch
-      if (parseResult.detectedPeriodType && parseResult.detectedPeriodType !== periodType) {
-        setPendingExcelParseResult(parseResult);
-        setShowPeriodTypeConfirmation(true);
+
+      // Neither a template nor a saved layout profile: map the columns first
+      if (parseResult.needsMapping) {
+        setPendingExcelMapping({ sheets: parseResult.sheets, fileName: file.name });
         return;
       }
-      
-      // No period type conflict, proceed directly
-      await processParsedExcelData(parseResult);
+
+      await continueWithExcelParseResult(parseResult);
       
     } catch (err) {
       console.error('Error in handleExcelFileUpload:', err);
     }
   };
 
+  const continueWithExcelParseResult = async (parseResult) => {
+    // Check if there's a period type mismatch
+    if (parseResult.detectedPeriodType && parseResult.detectedPeriodType !== periodType) {
+      setPendingExcelParseResult(parseResult);
+      setShowPeriodTypeConfirmation(true);
+      return;
+    }
+
+    // No period type conflict, proceed directly
+    await processParsedExcelData(parseResult);
+  };
+
+  const handleExcelMappingComplete = async (profile, saveProfile) => {
+    setAppError(null);
+    try {
+      const parseResult = applyExcelLayoutProfile(pendingExcelMapping.sheets, profile, periodType);
+      if (saveProfile) {
+        // A profile saved again under the same name replaces the previous mapping
+        updateSetting('excelLayoutProfiles', prev => [...prev.filter(saved => saved.name !== profile.name), profile]);
+      }
+      setPendingExcelMapping(null);
+      await continueWithExcelParseResult(parseResult);
+    } catch (err) {
+      console.error('Erro ao aplicar o mapeamento de colunas:', err);
+      setAppError(new Error(`Falha ao aplicar o mapeamento de colunas: ${err.message}`));
+    }
+  };
+
+  const handleDeleteExcelLayoutProfile = (profileId) => {
+    updateSetting('excelLayoutProfiles', prev => prev.filter(profile => profile.id !== profileId));
+  };
+
   const processParsedExcelData = async (parseResult) => {
     const {
       data: parsedInputData,
@@ -309,7 +1126,7 @@ export default function ReportGeneratorApp() {
     }
 
     console.log('✅ Validation passed. Calling calculate...');
-    const result = await calculate(parsedInputData, detectedPeriodType || periodType);
+    const result = await calculate(parsedInputData, detectedPeriodType || periodType, { taxSettings, assetRegister, debtSettings, projection: projectionSettings, fxTranslation });
     console.log('📊 Calculate Result:', result);
     console.log('📊 Calculate Result - Period 1 Sample:', JSON.stringify(result[0], null, 2));
 
@@ -351,7 +1168,8 @@ export default function ReportGeneratorApp() {
 
         // Preserve important input fields that may not be in calculations
         openingCash: originalInput.openingCash,
-        totalBankLoans: originalInput.totalBankLoans || period.balanceSheet?.shortTermDebt || 0,
+        totalBankLoans: period.debt?.closingDebt ?? (originalInput.totalBankLoans || period.balanceSheet?.shortTermDebt || 0),
+        changeInDebt: period.cashFlow?.debtChange,
 
         // Add estimated total assets and liabilities for summary cards
         estimatedTotalAssets: period.balanceSheet?.totalAssets,
@@ -426,7 +1244,7 @@ export default function ReportGeneratorApp() {
       
       if (extractedData && extractedData.length > 0) {
         setCurrentInputData(extractedData);
-        const result = await calculate(extractedData, pdfPeriodType);
+        const result = await calculate(extractedData, pdfPeriodType, { taxSettings, assetRegister, debtSettings, projection: projectionSettings, fxTranslation });
         setCalculatedData(result);
         setExtractionProgress({ stage: 'Concluído', progress: 100 });
         setTimeout(() => setExtractionProgress(null), 1500);
@@ -469,6 +1287,153 @@ export default function ReportGeneratorApp() {
         onReportTitleChange={setReportTitle}
         includesPdfOption={true}
       />
+      <TaxRegimeSelector
+        taxSettings={taxSettings}
+        onTaxSettingsChange={value => updateSetting('taxRegime', value)}
+        disabled={isProcessingSomething}
+      />
+      <AssetRegisterSettings
+        assetRegister={assetRegister}
+        onAssetRegisterChange={value => updateSetting('assetRegister', value)}
+        disabled={isProcessingSomething}
+      />
+      <DebtFacilitiesSettings
+        debtSettings={debtSettings}
+        onDebtSettingsChange={value => updateSetting('debt', value)}
+        numberOfPeriods={numberOfPeriods}
+        disabled={isProcessingSomething}
+      />
+      <ProjectionSettings
+        projectionSettings={projectionSettings}
+        onProjectionSettingsChange={value => updateSetting('projection', value)}
+        disabled={isProcessingSomething}
+      />
+      <MonteCarloSettings
+        simulationSettings={simulationSettings}
+        onSimulationSettingsChange={value => updateSetting('simulation', value)}
+        onRunSimulation={handleRunSimulation}
+        isSimulating={isSimulating}
+        canRun={calculatedData.length > 0 && currentInputData.length > 0}
+        disabled={isProcessingSomething}
+      />
+      <SensitivitySettings
+        sensitivitySettings={sensitivitySettings}
+        onSensitivitySettingsChange={value => updateSetting('sensitivity', value)}
+        onRunSensitivity={handleRunSensitivity}
+        isAnalyzing={isAnalyzingSensitivity}
+        canRun={calculatedData.length > 0 && currentInputData.length > 0}
+        disabled={isProcessingSomething}
+      />
+      <GoalSeekPanel
+        goalSeekSettings={goalSeekSettings}
+        onGoalSeekSettingsChange={value => updateSetting('goalSeek', value)}
+        onRunGoalSeek={handleRunGoalSeek}
+        goalSeekResult={goalSeekResult}
+        onApplySolution={handleApplyGoalSeek}
+        periodType={periodType}
+        isSolving={isSolvingGoal}
+        canRun={calculatedData.length > 0 && currentInputData.length > 0}
+        disabled={isProcessingSomething}
+      />
+      <ValuationSettings
+        valuationSettings={valuationSettings}
+        onValuationSettingsChange={value => updateSetting('valuation', value)}
+        onRunValuation={handleRunValuation}
+        isValuing={isValuing}
+        canRun={calculatedData.length > 0 && currentInputData.length > 0}
+        disabled={isProcessingSomething}
+      />
+      <ScenarioManager
+        scenarios={scenarios}
+        onCloneCurrent={handleCloneScenario}
+        onScenarioChange={handleScenarioChange}
+        onDeleteScenario={handleDeleteScenario}
+        onCompareScenarios={handleCompareScenarios}
+        periodType={periodType}
+        isComparing={isComparingScenarios}
+        canClone={calculatedData.length > 0 && currentInputData.length > 0}
+        disabled={isProcessingSomething}
+      />
+      <CurrencySettings
+        currencySettings={currencySettings}
+        onCurrencySettingsChange={handleCurrencySettingsChange}
+        fxRates={fxRates}
+        onFxRatesChange={value => updateSetting('fxRates', value)}
+        foreignCurrencies={consolidationSettings.entities.map(entity => entity.currency).filter(Boolean)}
+        periodCount={numberOfPeriods}
+        periodType={periodType}
+        disabled={isProcessingSomething}
+      />
+      <InflationSettings
+        inflationSettings={inflationSettings}
+        onInflationSettingsChange={value => updateSetting('inflation', value)}
+        periodCount={calculatedData.length || numberOfPeriods}
+        periodType={periodType}
+        disabled={isProcessingSomething}
+      />
+      <BenchmarkSettings
+        benchmarkSettings={benchmarkSettings}
+        onBenchmarkSettingsChange={({ industry, companySize }) => updateSettings({ industry, companySize })}
+        benchmarkLibrary={benchmarkLibrary}
+        onBenchmarkLibraryChange={value => updateSetting('benchmarkLibrary', value)}
+        onImportLibrary={handleImportBenchmarkLibrary}
+        onResetLibrary={() => updateSetting('benchmarkLibrary', getDefaultBenchmarkLibrary())}
+        disabled={isProcessingSomething}
+      />
+      <CreditScoringSettings
+        creditSettings={creditSettings}
+        onCreditSettingsChange={value => updateSetting('credit', value)}
+        onResetSettings={() => updateSetting('credit', getDefaultCreditSettings())}
+        disabled={isProcessingSomething}
+      />
+      <CostBehaviorSettings
+        costBehaviorSettings={costBehaviorSettings}
+        onCostBehaviorSettingsChange={value => updateSetting('costBehavior', value)}
+        periodCount={calculatedData.length || numberOfPeriods}
+        error={calculatedData.length > 0 ? breakEvenResult.error : null}
+        disabled={isProcessingSomething}
+      />
+      <SeasonalitySettings
+        seasonalitySettings={seasonalitySettings}
+        onSeasonalitySettingsChange={value => updateSetting('seasonality', value)}
+        onImportHistory={handleImportSeasonalityHistory}
+        periodType={periodType}
+        error={monthlyViewResult.error}
+        disabled={isProcessingSomething}
+      />
+      <BankReconciliationSettings
+        bankSettings={bankSettings}
+        onBankSettingsChange={value => updateSetting('bankReconciliation', value)}
+        onResetRules={() => updateSetting('bankReconciliation', prev => ({ ...prev, rules: getDefaultBankReconciliationSettings().rules }))}
+        statements={bankStatements}
+        onFileUpload={handleBankStatementUpload}
+        onClearStatements={() => setBankStatements([])}
+        error={bankReconciliationResult.error}
+        disabled={isProcessingSomething}
+      />
+      <ConsolidationSettings
+        consolidationSettings={consolidationSettings}
+        entityScenarios={entityScenarios}
+        onConsolidationSettingsChange={handleConsolidationSettingsChange}
+        onAddCurrentAsEntity={handleAddEntity}
+        onRemoveEntity={handleRemoveEntity}
+        onConsolidate={handleConsolidate}
+        periodType={periodType}
+        isConsolidating={isConsolidating}
+        canAdd={calculatedData.length > 0 && currentInputData.length > 0}
+        disabled={isProcessingSomething}
+      />
+      <BudgetVarianceSettings
+        budget={budget}
+        onSaveCurrentAsBudget={handleSaveBudget}
+        onProductMixChange={handleBudgetProductMixChange}
+        onCompareToBudget={handleCompareToBudget}
+        periodType={periodType}
+        isComparing={isComparingBudget}
+        canSave={calculatedData.length > 0 && currentInputData.length > 0}
+        canRun={calculatedData.length > 0 && currentInputData.length > 0}
+        disabled={isProcessingSomething}
+      />
 
       {inputMethod === 'excel' && (
         <ExcelUploader
@@ -480,7 +1445,60 @@ export default function ReportGeneratorApp() {
           currentAppNumberOfPeriods={numberOfPeriods}
           currentAppPeriodType={periodType}
           onNumberOfPeriodsChange={setNumberOfPeriods}
-          onPeriodTypeChange={setPeriodType}
+          onPeriodTypeChange={handlePeriodTypeChange}
+          layoutProfiles={excelLayoutProfiles}
+          onDeleteLayoutProfile={handleDeleteExcelLayoutProfile}
+        />
+      )}
+      {inputMethod === 'excel' && pendingExcelMapping && (
+        <ExcelMappingWizard
+          key={pendingExcelMapping.fileName}
+          sheets={pendingExcelMapping.sheets}
+          fileName={pendingExcelMapping.fileName}
+          defaultPeriodType={periodType}
+          onComplete={handleExcelMappingComplete}
+          onCancel={() => setPendingExcelMapping(null)}
+        />
+      )}
+      {inputMethod === 'sped' && (
+        <SpedImportPanel
+          spedImport={spedImport}
+          periodType={spedPeriodType}
+          spedResult={spedImportResult.result}
+          error={spedImportResult.error}
+          onFileUpload={handleSpedFileUpload}
+          onMappingChange={handleSpedMappingChange}
+          onPeriodTypeChange={setSpedPeriodType}
+          onApply={handleApplySpedImport}
+          disabled={isProcessingSomething}
+        />
+      )}
+      {inputMethod === 'trialBalance' && (
+        <TrialBalanceImportPanel
+          trialBalance={trialBalance}
+          accountMapping={accountMapping}
+          onAccountMappingChange={handleAccountMappingChange}
+          periodType={trialBalancePeriodType}
+          onPeriodTypeChange={setTrialBalancePeriodType}
+          mappingResult={trialBalanceResult.result}
+          error={trialBalanceResult.error}
+          onFileUpload={handleTrialBalanceFileUpload}
+          onApply={handleApplyTrialBalance}
+          disabled={isProcessingSomething}
+        />
+      )}
+      {inputMethod === 'nfe' && (
+        <NFeImportPanel
+          nfeImport={nfeImport}
+          periodType={nfePeriodType}
+          onPeriodTypeChange={setNfePeriodType}
+          revenueBasis={nfeRevenueBasis}
+          onRevenueBasisChange={setNfeRevenueBasis}
+          nfeResult={nfeImportResult.result}
+          error={nfeImportResult.error}
+          onFileUpload={handleNFeFileUpload}
+          onApply={handleApplyNFeImport}
+          disabled={isProcessingSomething}
         />
       )}
       {inputMethod === 'manual' && (
@@ -488,7 +1506,7 @@ export default function ReportGeneratorApp() {
           numberOfPeriods={numberOfPeriods}
           onNumberOfPeriodsChange={setNumberOfPeriods}
           periodType={periodType}
-          onPeriodTypeChange={setPeriodType}
+          onPeriodTypeChange={handlePeriodTypeChange}
           inputData={currentInputData}
           onInputChange={handleManualInputChange}
           onSubmit={handleManualSubmit}
@@ -496,6 +1514,13 @@ export default function ReportGeneratorApp() {
           validationErrors={validationErrorDetails}
         />
       )}
+      {inputMethod === 'manual' && periodType === 'semanas' && (
+        <RollingCashForecast
+          rollingForecast={rollingForecast}
+          onRollingForecastChange={value => updateSetting('rollingCashForecast', value)}
+          disabled={isProcessingSomething}
+        />
+      )}
       {inputMethod === 'pdf' && (
         <PdfUploader
           onPdfFileUpload={handlePdfFileUpload}
@@ -528,13 +1553,17 @@ export default function ReportGeneratorApp() {
       />
 
       {/* Enhanced Validation Error Display */}
-      {validationErrorDetails && validationErrorDetails.length > 0 && !isProcessingSomething && (
+      {((validationErrorDetails && validationErrorDetails.length > 0) || unmappedBalances || visibleStatementIssues?.length > 0) && !isProcessingSomething && (
         <ValidationErrorPanel
           validationErrors={validationErrorDetails}
           onDismiss={() => {
             setValidationErrorDetails(null);
             setAppError(null);
           }}
+          unmappedBalances={unmappedBalances}
+          onDismissUnmapped={() => setUnmappedBalances(null)}
+          statementIssues={visibleStatementIssues}
+          onDismissStatementIssues={() => setDismissedStatementIssues(statementIssues)}
         />
       )}
 
@@ -554,11 +1583,31 @@ export default function ReportGeneratorApp() {
 
       {calculatedData.length > 0 && !isProcessingSomething && !appError && (
         <ReportRenderer
-          calculatedData={calculatedData}
+          calculatedData={reportData}
           companyInfo={companyInfoMemo}
           onLoadHtml2pdf={loadHtml2pdf}
+          onExportReport={handleExportReport}
           html2pdfError={html2pdfErrorHook}
           aiAnalysisManager={aiAnalysisManager}
+          cashFlowSimulation={cashFlowSimulation}
+          sensitivityAnalysis={sensitivityAnalysis}
+          onExportSensitivity={handleExportSensitivity}
+          valuation={valuation}
+          onExportValuation={handleExportValuation}
+          budgetVariance={budgetVariance}
+          scenarioComparison={scenarioComparison}
+          onExportScenarioComparison={handleExportScenarioComparison}
+          consolidation={consolidation?.periods === calculatedData ? consolidation : null}
+          onExportInflation={handleExportInflation}
+          benchmark={benchmark}
+          benchmarkComparison={benchmarkComparison}
+          creditScore={creditScore}
+          onExportCreditScore={handleExportCreditScore}
+          breakEven={breakEvenResult.analysis}
+          monthlyView={monthlyViewResult.view}
+          minimumCash={seasonalitySettings.minimumCash}
+          bankReconciliation={bankReconciliationResult.reconciliation}
+          customerConcentration={customerConcentration}
         />
       )}
     </div>
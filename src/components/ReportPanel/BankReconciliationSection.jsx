@@ -0,0 +1,168 @@
+// src/components/ReportPanel/BankReconciliationSection.jsx
+import React from 'react';
+import { BANK_CATEGORIES } from '../../utils/bankReconciliation';
+import { formatCurrency } from '../../utils/formatters';
+
+const SOURCE_LABELS = { override: 'Override', calculated: 'Calculado' };
+const MAX_LISTED_TRANSACTIONS = 50;
+
+const formatDate = (isoDate) => isoDate.split('-').reverse().join('/');
+
+/**
+ * Bank statement flows per period against the projected closing cash, with the
+ * unexplained differences and the transactions no rule categorized
+ * @param {{
+ * reconciliation: { periods: Array<object>, unexplained: Array<object>, uncategorized: Array<object>, balanceSource: string|null, outOfRange: number, transactionCount: number, tolerance: number } | null;
+ * }} props
+ */
+export default function BankReconciliationSection({ reconciliation }) {
+  if (!reconciliation?.periods?.length) return null;
+
+  const { periods, unexplained, uncategorized, balanceSource, outOfRange, transactionCount, tolerance } = reconciliation;
+  const usedCategories = BANK_CATEGORIES.filter(category => periods.some(period => period.byCategory[category.key]));
+
+  return (
+    <section className="mb-8 page-break-after">
+      <h3 className="report-section-title">Conciliação Bancária do Caixa</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className={`p-4 rounded-lg border-l-4 ${unexplained.length > 0
+          ? 'bg-red-50 border-red-400 text-red-700'
+          : 'bg-green-50 border-green-400 text-green-700'}`}
+        >
+          <p className="text-xs font-medium uppercase">Diferenças Não Explicadas</p>
+          <p className="text-2xl font-bold">{unexplained.length} período(s)</p>
+          <p className="text-xs">Tolerância de {formatCurrency(tolerance)}</p>
+        </div>
+        <div className="p-4 rounded-lg border border-slate-200 text-slate-700">
+          <p className="text-xs font-medium uppercase text-slate-600">Lançamentos</p>
+          <p className="text-2xl font-bold">{transactionCount}</p>
+          <p className="text-xs">{outOfRange > 0 ? `${outOfRange} fora dos períodos do relatório` : 'Todos dentro dos períodos do relatório'}</p>
+        </div>
+        <div className={`p-4 rounded-lg border-l-4 ${uncategorized.length > 0
+          ? 'bg-amber-50 border-amber-400 text-amber-700'
+          : 'bg-green-50 border-green-400 text-green-700'}`}
+        >
+          <p className="text-xs font-medium uppercase">Sem Regra de Classificação</p>
+          <p className="text-2xl font-bold">{uncategorized.length}</p>
+          <p className="text-xs">Classificados como outras entradas/saídas</p>
+        </div>
+      </div>
+
+      {!balanceSource && (
+        <p className="mb-4 text-sm text-amber-700">
+          Os arquivos não trazem saldo bancário. Informe o saldo inicial nas configurações da conciliação para comparar o caixa final.
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Extrato</th>
+              {periods.map(period => (
+                <th key={period.periodIndex} className="border p-2 text-center">
+                  {period.label}
+                  <span className="block font-normal text-slate-500">{formatDate(period.startDate)} a {formatDate(period.endDate)}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {usedCategories.map(category => (
+              <tr key={category.key}>
+                <td className="border p-2">{category.label}</td>
+                {periods.map(period => (
+                  <td key={period.periodIndex} className="border p-2 text-right">{formatCurrency(period.byCategory[category.key])}</td>
+                ))}
+              </tr>
+            ))}
+            <tr className="font-semibold">
+              <td className="border p-2">Movimento Líquido do Banco</td>
+              {periods.map(period => (
+                <td key={period.periodIndex} className="border p-2 text-right">{formatCurrency(period.net)}</td>
+              ))}
+            </tr>
+            <tr>
+              <td className="border p-2">Fluxo de Caixa Líquido do Modelo</td>
+              {periods.map(period => (
+                <td key={period.periodIndex} className="border p-2 text-right">{formatCurrency(period.modelNetCashFlow)}</td>
+              ))}
+            </tr>
+            <tr className="bg-slate-50 font-semibold">
+              <td className="border p-2">Saldo Bancário Final</td>
+              {periods.map(period => (
+                <td key={period.periodIndex} className="border p-2 text-right">
+                  {period.closingBalance === null ? '-' : formatCurrency(period.closingBalance)}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="border p-2">Caixa Final Projetado</td>
+              {periods.map(period => (
+                <td key={period.periodIndex} className="border p-2 text-right">
+                  {formatCurrency(period.expectedClosingCash)}
+                  <span className="block text-slate-500">{SOURCE_LABELS[period.expectedSource]}</span>
+                </td>
+              ))}
+            </tr>
+            <tr className="font-semibold">
+              <td className="border p-2">Diferença</td>
+              {periods.map(period => (
+                <td key={period.periodIndex} className={`border p-2 text-right ${period.unexplained ? 'bg-red-50 text-red-700' : ''}`}>
+                  {period.difference === null ? '-' : formatCurrency(period.difference)}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {unexplained.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-red-700 mb-2">Diferenças não explicadas</h4>
+          <ul className="list-disc list-inside text-sm text-slate-700 space-y-1">
+            {unexplained.map(period => (
+              <li key={period.periodIndex}>
+                {period.label}: saldo bancário de {formatCurrency(period.closingBalance)} contra {formatCurrency(period.expectedClosingCash)} projetados
+                (diferença de {formatCurrency(period.difference)}
+                {period.flowDifference !== null && Math.abs(period.flowDifference) > tolerance
+                  ? `; o movimento do banco difere em ${formatCurrency(period.flowDifference)} do fluxo do período`
+                  : '; o movimento do período confere, a diferença vem de períodos anteriores ou do saldo inicial'})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {uncategorized.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-amber-700 mb-2">Lançamentos sem regra de classificação</h4>
+          <div className="max-h-64 overflow-y-auto overflow-x-auto">
+            <table className="min-w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-amber-50">
+                  <th className="border p-2 text-left">Data</th>
+                  <th className="border p-2 text-left">Favorecido / Histórico</th>
+                  <th className="border p-2 text-right">Valor</th>
+                </tr>
+              </thead>
+              <tbody>
+                {uncategorized.slice(0, MAX_LISTED_TRANSACTIONS).map((transaction, index) => (
+                  <tr key={`${transaction.id}-${index}`}>
+                    <td className="border p-2">{formatDate(transaction.date)}</td>
+                    <td className="border p-2">{[transaction.payee, transaction.memo].filter(Boolean).join(' - ')}</td>
+                    <td className={`border p-2 text-right ${transaction.amount < 0 ? 'text-red-600' : ''}`}>{formatCurrency(transaction.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {uncategorized.length > MAX_LISTED_TRANSACTIONS && (
+            <p className="mt-1 text-xs text-slate-500">Exibindo {MAX_LISTED_TRANSACTIONS} de {uncategorized.length} lançamentos.</p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,83 @@
+// src/components/ReportPanel/BreakEvenSection.jsx
+import React from 'react';
+import CostVolumeProfitChart from '../Charts/CostVolumeProfitChart';
+import { COST_BEHAVIOR_METHODS, COST_BEHAVIOR_METHOD_LABELS, COST_LINES } from '../../utils/breakEven';
+import { getPeriodLabel } from '../../utils/projections';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+const formatLeverage = (value) => (value === null ? 'N/A' : `${value.toFixed(2)}x`);
+
+/**
+ * Break-even revenue, margin of safety and leverage degrees per period, with the CVP chart
+ * of the latest period
+ * @param {{
+ * breakEven: object | null;
+ * periodType: string;
+ * }} props
+ */
+export default function BreakEvenSection({ breakEven, periodType }) {
+  if (!breakEven?.periods?.length) return null;
+
+  const { periods, variableRatios, regression } = breakEven;
+  const latest = periods[periods.length - 1];
+
+  const rows = [
+    ['Receita', period => formatCurrency(period.revenue)],
+    ['Custos Variáveis', period => formatCurrency(period.variableCosts.total)],
+    ['Margem de Contribuição', period => formatCurrency(period.contributionMargin), true],
+    ['Margem de Contribuição (%)', period => formatPercentage(period.contributionMarginPercent)],
+    ['Custos Fixos (inclui D&A)', period => formatCurrency(period.fixedCosts.total)],
+    ['Receita de Equilíbrio', period => (period.breakEvenRevenue === null ? 'N/A' : formatCurrency(period.breakEvenRevenue)), true],
+    ['Receita de Equilíbrio de Caixa', period => (period.cashBreakEvenRevenue === null ? 'N/A' : formatCurrency(period.cashBreakEvenRevenue))],
+    ['Margem de Segurança', period => (period.marginOfSafetyPercent === null ? 'N/A' : formatPercentage(period.marginOfSafetyPercent))],
+    ['GAO (alavancagem operacional)', period => formatLeverage(period.dol)],
+    ['GAF (alavancagem financeira)', period => formatLeverage(period.dfl)],
+    ['GAT (alavancagem total)', period => formatLeverage(period.dcl)],
+  ];
+
+  return (
+    <section className="mb-8 page-break-after">
+      <h3 className="report-section-title">Ponto de Equilíbrio e Alavancagem</h3>
+      <p className="text-xs text-slate-500 mb-4">
+        {COST_BEHAVIOR_METHOD_LABELS[breakEven.method]}:{' '}
+        {Object.entries(COST_LINES).map(([line, definition]) => (
+          `${definition.label} ${formatPercentage(variableRatios[line] * 100)} variável`
+          + (breakEven.method === COST_BEHAVIOR_METHODS.REGRESSION ? ` (R² ${regression[line].rSquared.toFixed(2)})` : '')
+        )).join('; ')}. Depreciação tratada como custo fixo; GAO e GAF só são exibidos com EBIT e LAIR positivos.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
+        <div className="overflow-x-auto avoid-break">
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Indicador</th>
+                {periods.map(period => (
+                  <th key={period.periodIndex} className="border p-2 text-center">{getPeriodLabel(periodType, period.periodIndex)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([label, format, isHighlighted]) => (
+                <tr key={label} className={isHighlighted ? 'bg-slate-50 font-semibold' : ''}>
+                  <td className="border p-2">{label}</td>
+                  {periods.map(period => (
+                    <td
+                      key={period.periodIndex}
+                      className={`border p-2 text-right ${label === 'Margem de Segurança' && period.marginOfSafetyPercent < 0 ? 'text-red-600' : ''}`}
+                    >
+                      {format(period)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="chart-container-wrapper avoid-break">
+          <CostVolumeProfitChart periodBreakEven={latest} periodLabel={getPeriodLabel(periodType, latest.periodIndex)} />
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,73 @@
+// src/components/ReportPanel/CashFlowSimulationSection.jsx
+import React from 'react';
+import CashFlowFanChart from '../Charts/CashFlowFanChart';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+/**
+ * @param {{
+ * simulation: object | null;
+ * periodType: import('../../types/financial').PeriodTypeOption;
+ * }} props
+ */
+export default function CashFlowSimulationSection({ simulation, periodType }) {
+  if (!simulation?.periods?.length) return null;
+
+  const { minimumCash, probabilityNegativeCash } = simulation;
+  const maxBinCount = Math.max(1, ...(minimumCash?.histogram || []).map(bin => bin.count));
+  const riskClass = probabilityNegativeCash >= 0.2
+    ? 'bg-red-50 border-red-400 text-red-700'
+    : probabilityNegativeCash >= 0.05
+      ? 'bg-amber-50 border-amber-400 text-amber-700'
+      : 'bg-green-50 border-green-400 text-green-700';
+
+  return (
+    <section className="mb-8 page-break-after">
+      <h3 className="report-section-title">Simulação de Monte Carlo do Caixa</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div className={`p-4 rounded-lg border-l-4 ${riskClass}`}>
+          <p className="text-xs font-medium uppercase">Probabilidade de Caixa Negativo</p>
+          <p className="text-2xl font-bold">{formatPercentage(probabilityNegativeCash, true)}</p>
+        </div>
+        <div className="p-4 rounded-lg border-l-4 bg-slate-50 border-slate-400 text-slate-700">
+          <p className="text-xs font-medium uppercase">Caixa Mínimo (P5)</p>
+          <p className="text-2xl font-bold">{formatCurrency(minimumCash?.p5)}</p>
+        </div>
+        <div className="p-4 rounded-lg border-l-4 bg-slate-50 border-slate-400 text-slate-700">
+          <p className="text-xs font-medium uppercase">Caixa Mínimo (Mediana)</p>
+          <p className="text-2xl font-bold">{formatCurrency(minimumCash?.p50)}</p>
+        </div>
+        <div className="p-4 rounded-lg border-l-4 bg-blue-50 border-blue-400 text-blue-700">
+          <p className="text-xs font-medium uppercase">Iterações</p>
+          <p className="text-2xl font-bold">{simulation.iterations.toLocaleString('pt-BR')}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
+        <div className="lg:col-span-2 chart-container-wrapper avoid-break">
+          <CashFlowFanChart simulation={simulation} periodType={periodType} />
+        </div>
+        {minimumCash?.histogram?.length > 0 && (
+          <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none avoid-break">
+            <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+              Distribuição do Caixa Mínimo
+            </h4>
+            <div className="space-y-1">
+              {minimumCash.histogram.map((bin, index) => (
+                <div key={index} className="flex items-center text-xs" title={`${bin.count} iterações`}>
+                  <span className="w-28 shrink-0 text-right pr-2 text-slate-600">{formatCurrency(bin.from)}</span>
+                  <div className="flex-grow bg-slate-100 h-3 rounded">
+                    <div
+                      className={`h-3 rounded ${bin.to <= 0 ? 'bg-red-400' : 'bg-blue-400'}`}
+                      style={{ width: `${(bin.count / maxBinCount) * 100}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
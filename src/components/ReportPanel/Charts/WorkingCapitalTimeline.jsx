@@ -1,6 +1,6 @@
 // src/components/ReportPanel/Charts/WorkingCapitalTimeline.jsx
 import React from 'react';
-import { PERIOD_TYPES } from '../../../utils/constants';
+import { getPeriodLabel, getForecastRange } from '../../../utils/projections';
 import { formatCurrency } from '../../../utils/formatters';
 import { 
   LineChart, 
@@ -12,6 +12,7 @@ import {
   Legend, 
   ResponsiveContainer, 
   Label, 
+  ReferenceArea,
   ReferenceLine, 
 } from 'recharts';
 
@@ -47,7 +48,8 @@ export default function WorkingCapitalTimeline({ calculatedData, periodType }) {
       : period.accountsPayableValue || 0;
 
     const dataPoint = {
-      name: `${PERIOD_TYPES[periodType]?.shortLabel || 'Per.'} ${index + 1}`,
+      name: getPeriodLabel(periodType, index, period.isForecast),
+      isForecast: Boolean(period.isForecast),
       'Cap. Giro': period.workingCapitalValue || 0,
       'Var. Cap. Giro': period.workingCapitalChange || 0,
       'A Receber': arValue,
@@ -59,6 +61,7 @@ export default function WorkingCapitalTimeline({ calculatedData, periodType }) {
   });
 
   console.log('WorkingCapitalTimeline - chartData:', chartData);
+  const forecastRange = getForecastRange(chartData);
 
   return (
     <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none print:border-slate-300 h-full flex flex-col">
@@ -69,6 +72,9 @@ export default function WorkingCapitalTimeline({ calculatedData, periodType }) {
         <ResponsiveContainer width="100%" height="100%">
           <LineChart data={chartData} margin={{ top: 5, right: 25, left: 0, bottom: 35 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            {forecastRange && (
+              <ReferenceArea {...forecastRange} fill="#fef3c7" fillOpacity={0.5} label={{ value: 'Projeção', position: 'insideTop', fontSize: 10, fill: '#92400e' }} />
+            )}
             <XAxis 
               dataKey="name" 
               tick={{ fontSize: 11 }} 
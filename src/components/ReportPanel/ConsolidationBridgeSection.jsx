@@ -0,0 +1,86 @@
+// src/components/ReportPanel/ConsolidationBridgeSection.jsx
+import React, { useState } from 'react';
+import { getPeriodLabel } from '../../utils/projections';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+/**
+ * Entity-by-entity bridge: each entity's figure, the sum of the entities, the intercompany
+ * eliminations and the consolidated figure (with the minority interest on profit and equity)
+ * @param {{
+ * consolidation: { entities: Array<object>, bridge: Array<{ periodIndex: number, lines: Array<object> }> } | null;
+ * periodType: string;
+ * }} props
+ */
+export default function ConsolidationBridgeSection({ consolidation, periodType }) {
+  const [selectedPeriod, setSelectedPeriod] = useState(null);
+
+  if (!consolidation?.bridge?.length) return null;
+
+  const { entities, bridge } = consolidation;
+  const periodIndex = selectedPeriod ?? bridge.length - 1;
+  const { lines } = bridge[periodIndex];
+
+  return (
+    <section className="mb-8 page-break-after">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="report-section-title">Ponte de Consolidação por Entidade</h3>
+        {bridge.length > 1 && (
+          <select
+            value={periodIndex}
+            onChange={(e) => setSelectedPeriod(Number(e.target.value))}
+            className="p-1 border border-slate-300 rounded-md text-sm no-print"
+            aria-label="Período da ponte de consolidação"
+          >
+            {bridge.map(item => (
+              <option key={item.periodIndex} value={item.periodIndex}>{getPeriodLabel(periodType, item.periodIndex)}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="overflow-x-auto avoid-break">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">{getPeriodLabel(periodType, periodIndex)}</th>
+              {entities.map(entity => (
+                <th key={entity.id} className="border p-2 text-center">
+                  {entity.name}
+                  <span className="block font-normal text-slate-500">
+                    {entity.isParent ? 'controladora' : formatPercentage(entity.ownershipPercent)}
+                  </span>
+                </th>
+              ))}
+              <th className="border p-2 text-center">Soma das Entidades</th>
+              <th className="border p-2 text-center">Eliminações</th>
+              <th className="border p-2 text-center bg-blue-100">Consolidado</th>
+              <th className="border p-2 text-center">Não Controladores</th>
+              <th className="border p-2 text-center">Atribuível à Controladora</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(line => (
+              <tr key={line.key}>
+                <td className="border p-2">{line.label}</td>
+                {entities.map(entity => (
+                  <td key={entity.id} className="border p-2 text-right">{formatCurrency(line.entities[entity.id])}</td>
+                ))}
+                <td className="border p-2 text-right">{formatCurrency(line.aggregate)}</td>
+                <td className={`border p-2 text-right ${line.eliminations ? 'text-red-600' : 'text-slate-400'}`}>
+                  {formatCurrency(line.eliminations)}
+                </td>
+                <td className="border p-2 text-right font-semibold bg-blue-50">{formatCurrency(line.consolidated)}</td>
+                <td className="border p-2 text-right">
+                  {line.minorityInterest !== undefined ? formatCurrency(line.minorityInterest) : '-'}
+                </td>
+                <td className="border p-2 text-right">
+                  {line.attributableToParent !== undefined ? formatCurrency(line.attributableToParent) : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,150 @@
+// src/components/ReportPanel/CreditScoreSection.jsx
+import React from 'react';
+import { ALTMAN_ZONES, ALTMAN_ZONE_LABELS, CREDIT_MODELS, CREDIT_MODEL_LABELS } from '../../utils/creditScoring';
+import { getPeriodLabel } from '../../utils/projections';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+const ZONE_CLASSES = {
+  [ALTMAN_ZONES.SAFE]: 'bg-green-50 border-green-400 text-green-700',
+  [ALTMAN_ZONES.GREY]: 'bg-amber-50 border-amber-400 text-amber-700',
+  [ALTMAN_ZONES.DISTRESS]: 'bg-red-50 border-red-400 text-red-700',
+};
+
+const formatComponentValue = (component) => {
+  if (component.value === null || component.value === undefined) return 'N/A';
+  if (component.type === 'qualitative') return component.value;
+  return component.format === 'percent' ? formatPercentage(component.value) : `${component.value.toFixed(2)}x`;
+};
+
+const Z_LABEL = 'Z\'\'';
+
+const formatRatio = (value) => value.toLocaleString('pt-BR', { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+
+/**
+ * Internal rating, suggested credit limit and the components behind the score, for the
+ * credit committee
+ * @param {{
+ * creditScore: object | null;
+ * periodType: string;
+ * onExportExcel?: () => void;
+ * }} props
+ */
+export default function CreditScoreSection({ creditScore, periodType, onExportExcel }) {
+  if (!creditScore) return null;
+
+  const { scorecard, altman, creditLimit } = creditScore;
+
+  return (
+    <section className="mb-8 page-break-after">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="report-section-title">Análise de Crédito - {getPeriodLabel(periodType, creditScore.periodIndex)}</h3>
+        {onExportExcel && (
+          <button
+            type="button"
+            onClick={onExportExcel}
+            className="px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 no-print"
+          >
+            Exportar Comitê de Crédito
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div className="p-4 rounded-lg border-l-4 bg-blue-50 border-blue-400 text-blue-700">
+          <p className="text-xs font-medium uppercase">Rating Interno</p>
+          <p className="text-2xl font-bold">{creditScore.rating}</p>
+          <p className="text-xs">{CREDIT_MODEL_LABELS[creditScore.model]}</p>
+        </div>
+        <div className="p-4 rounded-lg border-l-4 bg-slate-50 border-slate-400 text-slate-700">
+          <p className="text-xs font-medium uppercase">Score (0-100)</p>
+          <p className="text-2xl font-bold">{scorecard.score.toFixed(1)}</p>
+        </div>
+        <div className={`p-4 rounded-lg border-l-4 ${ZONE_CLASSES[altman.zone]}`}>
+          <p className="text-xs font-medium uppercase">Altman {Z_LABEL}</p>
+          <p className="text-2xl font-bold">{altman.zScore.toFixed(2)}</p>
+          <p className="text-xs">{ALTMAN_ZONE_LABELS[altman.zone]} - equivalente {altman.impliedRating}</p>
+        </div>
+        <div className="p-4 rounded-lg border-l-4 bg-green-50 border-green-400 text-green-700">
+          <p className="text-xs font-medium uppercase">Limite de Crédito Sugerido</p>
+          <p className="text-2xl font-bold">{formatCurrency(creditLimit.amount)}</p>
+          <p className="text-xs">
+            {formatPercentage(creditLimit.limitPercentOfRevenue)} da receita anualizada ({formatCurrency(creditLimit.annualizedRevenue)})
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
+        <div className="overflow-x-auto avoid-break">
+          <h4 className="text-sm font-semibold text-slate-700 mb-2">Composição do Score</h4>
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Componente</th>
+                <th className="border p-2 text-center">Valor</th>
+                <th className="border p-2 text-center">Faixa</th>
+                <th className="border p-2 text-center">Pontos</th>
+                <th className="border p-2 text-center">Peso</th>
+                <th className="border p-2 text-center">Contribuição</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scorecard.components.map(component => (
+                <tr key={component.key}>
+                  <td className="border p-2">
+                    {component.label}
+                    <span className="block text-slate-400">{component.source}</span>
+                  </td>
+                  <td className="border p-2 text-right">{formatComponentValue(component)}</td>
+                  <td className="border p-2 text-center">{component.band ? `${component.band.operator} ${component.band.threshold}` : '-'}</td>
+                  <td className="border p-2 text-right">{component.points}</td>
+                  <td className="border p-2 text-right">{component.weight}</td>
+                  <td className="border p-2 text-right font-semibold">{component.contribution.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="overflow-x-auto avoid-break">
+          <h4 className="text-sm font-semibold text-slate-700 mb-2">{CREDIT_MODEL_LABELS[CREDIT_MODELS.ALTMAN_Z]}</h4>
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Componente</th>
+                <th className="border p-2 text-center">Numerador</th>
+                <th className="border p-2 text-center">Denominador</th>
+                <th className="border p-2 text-center">Índice</th>
+                <th className="border p-2 text-center">Coef.</th>
+                <th className="border p-2 text-center">Contribuição</th>
+              </tr>
+            </thead>
+            <tbody>
+              {altman.components.map(component => (
+                <tr key={component.key}>
+                  <td className="border p-2">
+                    {component.label}
+                    <span className="block text-slate-400">{component.numeratorLabel}</span>
+                  </td>
+                  <td className="border p-2 text-right">{formatCurrency(component.numerator)}</td>
+                  <td className="border p-2 text-right">{formatCurrency(component.denominator)}</td>
+                  <td className="border p-2 text-right">{formatRatio(component.ratio)}</td>
+                  <td className="border p-2 text-right">{component.coefficient}</td>
+                  <td className="border p-2 text-right">{component.contribution.toFixed(2)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td className="border p-2" colSpan={5}>Constante</td>
+                <td className="border p-2 text-right">{altman.constant.toFixed(2)}</td>
+              </tr>
+              <tr className="bg-slate-50 font-semibold">
+                <td className="border p-2" colSpan={5}>{Z_LABEL}</td>
+                <td className="border p-2 text-right">{altman.zScore.toFixed(2)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-slate-500">Lucros retidos: {altman.retainedEarningsSource.toLowerCase()}.</p>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,100 @@
+// src/components/ReportPanel/CustomerConcentrationSection.jsx
+import React from 'react';
+import CustomerConcentrationChart from '../Charts/CustomerConcentrationChart';
+import {
+  CONCENTRATION_RISK_LABELS,
+  CONCENTRATION_RISK_LEVELS,
+  CONCENTRATION_THRESHOLDS,
+} from '../../utils/customerConcentration';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+const RISK_CLASSES = {
+  [CONCENTRATION_RISK_LEVELS.LOW]: 'bg-green-50 border-green-400 text-green-700',
+  [CONCENTRATION_RISK_LEVELS.MODERATE]: 'bg-amber-50 border-amber-400 text-amber-700',
+  [CONCENTRATION_RISK_LEVELS.HIGH]: 'bg-red-50 border-red-400 text-red-700',
+};
+
+// CNPJ 00.000.000/0000-00 and CPF 000.000.000-00
+const formatDocument = (id) => {
+  if (/^\d{14}$/.test(id)) return id.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+  if (/^\d{11}$/.test(id)) return id.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+  return '-';
+};
+
+/**
+ * Customer concentration of the NF-e revenue with the risk flag
+ * @param {{
+ * concentration: { totalRevenue: number, customerCount: number, topCustomers: Array<object>, top1Share: number, top5Share: number, top10Share: number, hhi: number, riskLevel: string, riskReasons: string[] } | null;
+ * }} props
+ */
+export default function CustomerConcentrationSection({ concentration }) {
+  if (!concentration?.topCustomers?.length) return null;
+
+  const { totalRevenue, customerCount, topCustomers, top1Share, top5Share, top10Share, hhi, riskLevel, riskReasons } = concentration;
+
+  return (
+    <section className="mb-8 page-break-after">
+      <h3 className="report-section-title">Concentração de Clientes (NF-e)</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div className={`p-4 rounded-lg border-l-4 ${RISK_CLASSES[riskLevel]}`}>
+          <p className="text-xs font-medium uppercase">Risco de Concentração</p>
+          <p className="text-2xl font-bold">{CONCENTRATION_RISK_LABELS[riskLevel]}</p>
+          <p className="text-xs">Índice HHI: {hhi}</p>
+        </div>
+        <div className="p-4 rounded-lg border border-slate-200 text-slate-700">
+          <p className="text-xs font-medium uppercase text-slate-600">Maior Cliente</p>
+          <p className="text-2xl font-bold">{formatPercentage(top1Share)}</p>
+          <p className="text-xs">Limite de atenção: {CONCENTRATION_THRESHOLDS.top1.high}%</p>
+        </div>
+        <div className="p-4 rounded-lg border border-slate-200 text-slate-700">
+          <p className="text-xs font-medium uppercase text-slate-600">5 / 10 Maiores Clientes</p>
+          <p className="text-2xl font-bold">{formatPercentage(top5Share)}</p>
+          <p className="text-xs">10 maiores: {formatPercentage(top10Share)}</p>
+        </div>
+        <div className="p-4 rounded-lg border border-slate-200 text-slate-700">
+          <p className="text-xs font-medium uppercase text-slate-600">Clientes com Faturamento</p>
+          <p className="text-2xl font-bold">{customerCount}</p>
+          <p className="text-xs">Receita bruta: {formatCurrency(totalRevenue)}</p>
+        </div>
+      </div>
+
+      {riskReasons.length > 0 && (
+        <ul className="mb-6 list-disc list-inside text-sm text-slate-700">
+          {riskReasons.map(reason => <li key={reason}>{reason}</li>)}
+        </ul>
+      )}
+
+      <div className="chart-container-wrapper avoid-break mb-6">
+        <CustomerConcentrationChart topCustomers={topCustomers} highlightShare={CONCENTRATION_THRESHOLDS.top1.high} />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">#</th>
+              <th className="border p-2 text-left">Cliente</th>
+              <th className="border p-2 text-left">CNPJ/CPF</th>
+              <th className="border p-2 text-center">Receita Bruta</th>
+              <th className="border p-2 text-center">Participação</th>
+              <th className="border p-2 text-center">Acumulada</th>
+            </tr>
+          </thead>
+          <tbody>
+            {topCustomers.map((customer, index) => (
+              <tr key={customer.id}>
+                <td className="border p-2">{index + 1}</td>
+                <td className="border p-2">{customer.name}</td>
+                <td className="border p-2 font-mono">{formatDocument(customer.id)}</td>
+                <td className="border p-2 text-right">{formatCurrency(customer.revenue)}</td>
+                <td className="border p-2 text-right">{formatPercentage(customer.share)}</td>
+                <td className="border p-2 text-right">{formatPercentage(customer.cumulativeShare)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
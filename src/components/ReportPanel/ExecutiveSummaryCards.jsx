@@ -1,6 +1,7 @@
 // src/components/ReportPanel/ExecutiveSummaryCards.jsx
 import React from 'react';
 import { formatCurrency, formatPercentage, getMovementClass, getMovementIndicator, formatMovement, formatDays } from '../../utils/formatters';
+import { COVENANT_LABELS } from '../../utils/debtSchedule';
 
 /**
  * @param {{
@@ -197,6 +198,60 @@ export default function ExecutiveSummaryCards({ calculatedData, companyInfo }) {
     );
   };
 
+  const DebtCovenantCard = () => {
+    const debt = latestPeriod?.debt;
+    if (!debt) return null;
+
+    const { covenants } = debt;
+    const formatRatio = (value) => (value === null || typeof value === 'undefined' ? 'N/A' : `${value.toFixed(2)}x`);
+    const periodsInBreach = calculatedData
+      .map((period, index) => ({ index, breaches: period.debt?.covenants?.breaches || [] }))
+      .filter(period => period.breaches.length > 0);
+    const isBreached = (covenant) => covenants.breaches.some(breach => breach.covenant === covenant);
+
+    return (
+      <div className={`p-5 md:p-6 rounded-xl shadow-lg border print:shadow-none ${periodsInBreach.length > 0 ? 'bg-gradient-to-br from-red-50 via-rose-50 to-red-100 border-red-200' : 'bg-gradient-to-br from-slate-50 via-gray-50 to-slate-100 border-slate-200'}`}>
+        <h3 className="text-xl font-bold text-slate-800 mb-4 flex items-center print:text-lg">
+          <span className="text-2xl mr-2 print:text-xl">🏦</span> Endividamento e Covenants (Último Período)
+        </h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
+          <div className="space-y-1.5 text-sm md:text-base">
+            <div className="flex justify-between items-center py-1.5"><span className="font-medium text-slate-700">Dívida Bruta</span><span className="text-lg font-bold text-slate-800">{formatValue(debt.closingDebt)}</span></div>
+            <div className="flex justify-between items-center py-1.5"><span className="font-medium text-slate-600">(-) Caixa</span><span className="font-semibold text-slate-700">{formatValue(debt.closingDebt - covenants.netDebt)}</span></div>
+            <div className="flex justify-between items-center py-1.5 border-b border-slate-200 font-bold"><span className="text-slate-700">(=) Dívida Líquida</span><span className="text-lg text-slate-800">{formatValue(covenants.netDebt)}</span></div>
+            <div className="flex justify-between items-center py-1.5"><span className="font-medium text-slate-600">Juros do Período</span><span className="font-semibold text-slate-700">{formatValue(debt.interestExpense + debt.monetaryCorrection)}</span></div>
+            <div className="flex justify-between items-center py-1.5"><span className="font-medium text-slate-600">Amortização do Período</span><span className="font-semibold text-slate-700">{formatValue(debt.principalRepayment)}</span></div>
+          </div>
+          <div className="space-y-1 md:space-y-1.5 text-sm">
+            <h4 className="text-sm font-semibold text-slate-700 mb-2 pt-1 md:pt-0">Covenants Financeiros</h4>
+            {[
+              { key: 'netDebtToEbitda', value: covenants.netDebtToEbitda, limit: covenants.limits.maxNetDebtToEbitda, limitLabel: 'máx.' },
+              { key: 'dscr', value: covenants.dscr, limit: covenants.limits.minDscr, limitLabel: 'mín.' },
+            ].map(item => (
+              <div key={item.key} className="flex justify-between items-center py-1 border-b border-slate-200 last:border-b-0">
+                <span className="text-slate-600">{COVENANT_LABELS[item.key]}:</span>
+                <div className="text-right">
+                  <span className={`font-bold ${isBreached(item.key) ? 'text-red-600' : 'text-green-700'}`}>
+                    {isBreached(item.key) ? '⚠️ ' : '✅ '}{formatRatio(item.value)}
+                  </span>
+                  {typeof item.limit === 'number' && (
+                    <span className="ml-2 text-xs text-slate-500">({item.limitLabel} {formatRatio(item.limit)})</span>
+                  )}
+                </div>
+              </div>
+            ))}
+            {periodsInBreach.length > 0 && (
+              <div className="mt-2 p-2 bg-red-50 border border-red-300 rounded text-xs text-red-700">
+                💡 Quebra de covenant nos períodos: {periodsInBreach.map(period => period.index + 1).join(', ')}.
+                Renegocie prazos ou reduza a alavancagem antes do teste do credor.
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   return (
     <section className="mb-8 page-break-after">
       <h3 className="report-section-title">
@@ -206,6 +261,7 @@ export default function ExecutiveSummaryCards({ calculatedData, companyInfo }) {
         <ProfitStoryCard />
         <BalanceSheetStoryCard />
         <CashFlowStoryCard />
+        <DebtCovenantCard />
       </div>
     </section>
   );
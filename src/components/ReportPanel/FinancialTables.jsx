@@ -1,7 +1,8 @@
 // src/components/ReportPanel/FinancialTables.jsx
 import React, { useMemo } from 'react';
 import { formatCurrency, formatPercentage, formatDays } from '../../utils/formatters';
-import { PERIOD_TYPES } from '../../utils/constants';
+import { getPeriodLabel } from '../../utils/projections';
+import { TAX_REGIMES, TAX_REGIME_LABELS } from '../../utils/taxRegimes';
 
 /**
  * @param {{
@@ -13,12 +14,80 @@ import { PERIOD_TYPES } from '../../utils/constants';
 export default function FinancialTables({ calculatedData, periodType, detailedMode = false }) {
   // Memoize formatters to prevent recreation on each render
   const formatTableCurrency = useMemo(() => (value) => formatCurrency(value, false), []);
+
+  // Tax regime configured for the calculation (null when only Lucro Real IRPJ/CSLL applies)
+  const taxRegime = useMemo(
+    () => calculatedData?.find(period => period.incomeStatement?.taxRegime)?.incomeStatement.taxRegime || null,
+    [calculatedData],
+  );
+
+  // Asset register roll-forward is only available when the register was configured
+  const hasFixedAssetRegister = useMemo(
+    () => Boolean(calculatedData?.some(period => period.fixedAssets)),
+    [calculatedData],
+  );
+
+  // Debt schedule and covenants are only available when loan facilities were configured
+  const hasDebtSchedule = useMemo(
+    () => Boolean(calculatedData?.some(period => period.debt)),
+    [calculatedData],
+  );
+
+  // FX gain/loss line only when some period reports it
+  const hasFxGainLoss = useMemo(
+    () => Boolean(calculatedData?.some(period => period.incomeStatement?.fxGainLoss !== undefined)),
+    [calculatedData],
+  );
+
+  // Translated to a presentation currency: show the CTA in equity
+  const hasFxTranslation = useMemo(
+    () => Boolean(calculatedData?.some(period => period.fxTranslation)),
+    [calculatedData],
+  );
+
+  // Show the loss carryforward rows only when some period carries a fiscal loss balance
+  const hasTaxLossCarryforward = useMemo(
+    () => Boolean(calculatedData?.some(period => {
+      const carryforward = period.incomeStatement?.taxLossCarryforward;
+      return carryforward && (carryforward.openingFiscalLoss > 0 || carryforward.closingFiscalLoss > 0);
+    })),
+    [calculatedData],
+  );
   
   // Memoize table configurations to prevent recreation
   const tableConfigs = useMemo(() => {
     // P&L Table Configuration
-    const pnlItems = [
+    const isSimples = taxRegime === TAX_REGIMES.SIMPLES_NACIONAL;
+    const revenueItems = taxRegime ? [
+      {label: 'Receita Bruta', key: 'revenue', format: formatTableCurrency, isBold: true},
+      ...(isSimples ? [
+        {label: '(-) DAS - Simples Nacional', key: 'das', format: formatTableCurrency},
+        {label: '→ Alíquota Efetiva Simples %', key: 'simplesEffectiveRate', format: formatPercentage, isCalculated: true},
+      ] : [
+        {label: '(-) PIS', key: 'pis', format: formatTableCurrency},
+        {label: '(-) COFINS', key: 'cofins', format: formatTableCurrency},
+      ]),
+      {label: '(=) Receita Líquida', key: 'netRevenue', format: formatTableCurrency, isBold: true, isSubtotal: true},
+    ] : [
       {label: 'Receita Líquida', key: 'revenue', format: formatTableCurrency, isBold: true, isSubtotal: true},
+    ];
+    const incomeTaxItems = taxRegime && !isSimples ? [
+      {label: '(-) IRPJ', key: 'irpj', format: formatTableCurrency},
+      {label: '(-) CSLL', key: 'csll', format: formatTableCurrency},
+    ] : [
+      {label: '(-) Imposto de Renda', key: 'incomeTax', format: formatTableCurrency},
+    ];
+
+    const taxLossItems = hasTaxLossCarryforward ? [
+      {label: '→ Prejuízo Fiscal - Saldo Inicial', key: 'openingFiscalLoss', format: formatTableCurrency, isCalculated: true},
+      {label: '→ (+) Prejuízo Gerado no Período', key: 'fiscalLossGenerated', format: formatTableCurrency, isCalculated: true},
+      {label: '→ (-) Prejuízo Compensado (limite 30%)', key: 'fiscalLossUsed', format: formatTableCurrency, isCalculated: true},
+      {label: '→ Prejuízo Fiscal - Saldo Final', key: 'closingFiscalLoss', format: formatTableCurrency, isCalculated: true},
+      {label: '→ Base Negativa CSLL - Saldo Final', key: 'closingCsllNegativeBase', format: formatTableCurrency, isCalculated: true},
+    ] : [];
+
+    const pnlItems = [
+      ...revenueItems,
       {label: '(-) CPV/CSV', key: 'cogs', format: formatTableCurrency},
       {label: '(=) Lucro Bruto', key: 'grossProfit', format: formatTableCurrency, isBold: true, isSubtotal: true},
       {label: '→ Margem Bruta %', key: 'grossMarginPercent', format: formatPercentage, isCalculated: true},
@@ -29,9 +98,13 @@ export default function FinancialTables({ calculatedData, periodType, detailedMo
       {label: '(=) EBIT', key: 'ebit', format: formatTableCurrency, isBold: true, isSubtotal: true},
       {label: '→ Margem Operacional %', key: 'ebitMargin', format: formatPercentage, isCalculated: true},
       {label: '(+/-) Resultado Financeiro Líquido', key: 'netInterestExpenseIncome', format: formatTableCurrency},
+      ...(hasFxGainLoss ? [
+        {label: '→ Variação Cambial (Ganho/Perda)', key: 'fxGainLoss', format: formatTableCurrency, isCalculated: true},
+      ] : []),
       {label: '(+/-) Itens Extraordinários', key: 'extraordinaryItems', format: formatTableCurrency},
       {label: '(=) Lucro Antes dos Impostos (LAIR)', key: 'pbt', format: formatTableCurrency, isBold: true, isSubtotal: true},
-      {label: '(-) Imposto de Renda', key: 'incomeTax', format: formatTableCurrency},
+      ...incomeTaxItems,
+      ...taxLossItems,
       {label: '(=) Lucro Líquido', key: 'netProfit', format: formatTableCurrency, isBold: true, isTotal: true},
       {label: '→ Margem Líquida %', key: 'netMargin', format: formatPercentage, isCalculated: true},
     ];
@@ -82,6 +155,11 @@ export default function FinancialTables({ calculatedData, periodType, detailedMo
       {label: 'Empréstimos Bancários Totais', key: 'totalBankLoans', format: formatTableCurrency},
       {label: '(=) Passivo Total (Estimado)', key: 'estimatedTotalLiabilities', format: formatTableCurrency, isBold: true, isSubtotal: true},
       {label: 'Patrimônio Líquido (Calculado)', key: 'equity', format: formatTableCurrency, isBold: true, isSubtotal: true},
+      ...(hasFxTranslation ? [
+        {label: '→ PL a Taxas Históricas', key: 'equityAtHistoricalRates', format: formatTableCurrency, isCalculated: true},
+        {label: '→ Ajuste Acumulado de Conversão (CTA)', key: 'cumulativeTranslationAdjustment', format: formatTableCurrency, isCalculated: true,
+          note: 'Ativos e passivos à taxa de fechamento; PL a taxas históricas'},
+      ] : []),
       {label: '(=) TOTAL PASSIVO + P.L.', key: 'estimatedTotalLiabilitiesAndEquity', format: formatTableCurrency, isBold: true, isTotal: true, 
         note: 'Calculado: Passivo Total + Patrimônio Líquido'},
       {label: ' ', key: 'spacer1', isSpacer: true},
@@ -89,10 +167,40 @@ export default function FinancialTables({ calculatedData, periodType, detailedMo
         note: 'Deve ser próximo de zero para balanço fechado'},
     ];
 
+    const pnlTitle = taxRegime
+      ? `Demonstração de Resultado (P&L) - ${TAX_REGIME_LABELS[taxRegime]}`
+      : 'Demonstração de Resultado (P&L)';
+
+    const fixedAssetItems = [
+      {label: 'Ativo Fixo Líquido Inicial', key: 'openingNetFixedAssets', format: formatTableCurrency, isBold: true},
+      {label: '(+) CAPEX', key: 'capex', format: formatTableCurrency},
+      {label: '(-) Depreciação e Amortização', key: 'depreciation', format: formatTableCurrency},
+      {label: '(=) Ativo Fixo Líquido Final (Registro)', key: 'closingNetFixedAssets', format: formatTableCurrency, isBold: true, isTotal: true},
+      {label: 'Ativo Fixo Líquido Informado', key: 'reportedNetFixedAssets', format: formatTableCurrency},
+      {label: 'Diferença de Roll-forward', key: 'rollForwardDifference', format: formatTableCurrency, isHighlight: true,
+        note: 'Informado - Registro; deve ser próximo de zero'},
+    ];
+
+    const formatMultiple = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}x`);
+    const debtItems = [
+      {label: 'Dívida Inicial', key: 'openingDebt', format: formatTableCurrency, isBold: true},
+      {label: '(+) Captações', key: 'drawdowns', format: formatTableCurrency},
+      {label: '(+) Correção Monetária', key: 'monetaryCorrection', format: formatTableCurrency},
+      {label: '(-) Amortização de Principal', key: 'principalRepayment', format: formatTableCurrency},
+      {label: '(=) Dívida Final', key: 'closingDebt', format: formatTableCurrency, isBold: true, isTotal: true},
+      {label: 'Juros do Período', key: 'interestExpense', format: formatTableCurrency},
+      {label: 'Serviço da Dívida (Juros + Principal)', key: 'debtService', format: formatTableCurrency, isSubtotal: true},
+      {label: 'Dívida Líquida', key: 'netDebt', format: formatTableCurrency},
+      {label: 'Dívida Líquida / EBITDA (anualizado)', key: 'netDebtToEbitda', format: formatMultiple, isHighlight: true},
+      {label: 'DSCR (EBITDA / Serviço da Dívida)', key: 'dscr', format: formatMultiple, isHighlight: true},
+    ];
+
     return {
-      'Demonstração de Resultado (P&L)': pnlItems,
+      [pnlTitle]: pnlItems,
       'Capital de Giro e Prazos': workingCapitalItems,
       'Demonstração de Fluxo de Caixa (DFC)': cashFlowItems,
+      ...(hasFixedAssetRegister && { 'Ativo Imobilizado (Roll-forward)': fixedAssetItems }),
+      ...(hasDebtSchedule && { 'Cronograma da Dívida e Covenants': debtItems }),
       'Balanço Patrimonial (Estimado)': [
         {isHeader: true, label: 'ATIVOS'},
         ...balanceSheetAssetItems,
@@ -100,15 +208,18 @@ export default function FinancialTables({ calculatedData, periodType, detailedMo
         ...balanceSheetLiabilityEquityItems,
       ],
     };
-  }, [formatTableCurrency]);
+  }, [formatTableCurrency, taxRegime, hasTaxLossCarryforward, hasFixedAssetRegister, hasDebtSchedule, hasFxGainLoss, hasFxTranslation]);
 
   // Memoize period headers generation
   const generatePeriodHeaders = useMemo(() => {
     if (!calculatedData?.length) return [];
     
-    return calculatedData.map((_, index) => (
-      <th key={index} className="border p-2 text-center bg-blue-50 print:text-sm">
-        {PERIOD_TYPES[periodType]?.shortLabel || 'Per.'} {index + 1}
+    return calculatedData.map((period, index) => (
+      <th
+        key={index}
+        className={`border p-2 text-center print:text-sm ${period.isForecast ? 'bg-amber-50 text-amber-800' : 'bg-blue-50'}`}
+      >
+        {getPeriodLabel(periodType, index, period.isForecast)}
       </th>
     ));
   }, [calculatedData, periodType]);
@@ -213,6 +324,16 @@ export default function FinancialTables({ calculatedData, periodType, detailedMo
       return period.incomeStatement[actualKey];
     }
 
+    // Check regime tax breakdown (IRPJ, CSLL, PIS, COFINS, DAS)
+    if (period.incomeStatement?.taxBreakdown?.[actualKey] !== undefined) {
+      return period.incomeStatement.taxBreakdown[actualKey];
+    }
+
+    // Check tax loss carryforward balances
+    if (period.incomeStatement?.taxLossCarryforward?.[actualKey] !== undefined) {
+      return period.incomeStatement.taxLossCarryforward[actualKey];
+    }
+
     // Check cashFlow
     if (period.cashFlow?.[actualKey] !== undefined) {
       return period.cashFlow[actualKey];
@@ -233,6 +354,19 @@ export default function FinancialTables({ calculatedData, periodType, detailedMo
       return period.ratios[actualKey];
     }
 
+    // Check asset register roll-forward
+    if (period.fixedAssets?.[actualKey] !== undefined) {
+      return period.fixedAssets[actualKey];
+    }
+
+    // Check debt schedule and covenants
+    if (period.debt?.[actualKey] !== undefined) {
+      return period.debt[actualKey];
+    }
+    if (period.debt?.covenants?.[actualKey] !== undefined) {
+      return period.debt.covenants[actualKey];
+    }
+
     // Fallback to top-level property
     return period[actualKey] ?? period[key];
   };
@@ -55,6 +55,9 @@ export default function FundingReconciliation({ calculatedData, companyInfo }) {
   const calculatedNetChangeInCashFromSourcesUses = sources - uses;
   const observedNetChangeInCash = latestPeriod.netChangeInCash; // From cash flow statement
 
+  // Direct-method DFC for the latest period, reconciled to the indirect operating cash flow
+  const directCashFlow = latestPeriod.directCashFlow;
+
   return (
     <section className="mb-8 page-break-after">
       <h3 className="report-section-title">
@@ -139,6 +142,37 @@ export default function FundingReconciliation({ calculatedData, companyInfo }) {
           </div>
         </div>
       </div>
+
+      {/* Direct-Method Operating Cash Flow Card */}
+      {directCashFlow && (
+        <div className="mt-8 bg-gradient-to-br from-slate-50 to-sky-100 p-6 rounded-xl border-l-4 border-sky-500 print:shadow-none print:border-sky-300">
+          <h4 className="text-xl font-bold text-sky-800 mb-4">Fluxo de Caixa Operacional - Método Direto (Último Período)</h4>
+          <div className="space-y-1.5 text-sm">
+            <div className="flex justify-between"><span className="text-slate-600">(+) Recebimentos de Clientes</span><span className="font-semibold text-green-600">{formatCurrency(directCashFlow.cashFromCustomers)}</span></div>
+            <div className="flex justify-between"><span className="text-slate-600">(-) Pagamentos a Fornecedores</span><span className="font-semibold text-red-600">{formatCurrency(-directCashFlow.cashPaidToSuppliers)}</span></div>
+            <div className="flex justify-between"><span className="text-slate-600">(-) Despesas Operacionais Pagas</span><span className="font-semibold text-red-600">{formatCurrency(-directCashFlow.cashPaidForOperatingExpenses)}</span></div>
+            <div className="flex justify-between"><span className="text-slate-600">(-) Impostos Pagos</span><span className="font-semibold text-red-600">{formatCurrency(-directCashFlow.taxesPaid)}</span></div>
+            <div className="flex justify-between"><span className="text-slate-600">(+/-) Juros Recebidos/Pagos (Líquido)</span><span className={`font-semibold ${getMovementClass(directCashFlow.netInterestReceivedPaid)}`}>{formatCurrency(directCashFlow.netInterestReceivedPaid)}</span></div>
+          </div>
+          <div className="border-t border-sky-200 pt-3 mt-3 text-sm">
+            <div className="flex justify-between font-bold items-center">
+              <span className="text-slate-700">FCO (Método Direto):</span>
+              <span className={`text-lg ${getMovementClass(directCashFlow.operatingCashFlow)}`}>{formatCurrency(directCashFlow.operatingCashFlow)}</span>
+            </div>
+            <div className="flex justify-between font-semibold items-center text-xs mt-1">
+              <span className="text-slate-600">FCO (Método Indireto):</span>
+              <span className={`text-sm ${getMovementClass(directCashFlow.indirectOperatingCashFlow)}`}>{formatCurrency(directCashFlow.indirectOperatingCashFlow)}</span>
+            </div>
+            <div className="flex justify-between items-center text-xs mt-1">
+              <span className="text-slate-500">Diferença Direto vs Indireto:</span>
+              <span className={`font-medium ${Math.abs(directCashFlow.reconciliationDifference) > 1 ? 'text-orange-500' : 'text-slate-500'}`}>
+                {formatCurrency(directCashFlow.reconciliationDifference)}
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+
       <p className="text-xs text-slate-500 mt-4 text-center">
         A "História de Financiamento" detalha como a posição de financiamento mudou e como as atividades do período impactaram o caixa. Pequenas diferenças na reconciliação podem ocorrer devido a arredondamentos ou itens não detalhados.
       </p>
@@ -0,0 +1,87 @@
+// src/components/ReportPanel/IndustryBenchmarkSection.jsx
+import React from 'react';
+import KpiCards from './KpiCards';
+import { COMPANY_SIZES, QUARTILE_POSITION_LABELS, QUARTILE_POSITIONS } from '../../utils/benchmarks';
+import { formatCurrency, formatDays, formatPercentage } from '../../utils/formatters';
+
+const formatMetric = (value, unit) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (unit === 'days') return formatDays(value);
+  if (unit === 'percent') return formatPercentage(value);
+  return `${value.toFixed(2)}x`;
+};
+
+const positionClass = (position) => {
+  if (position === QUARTILE_POSITIONS.TOP || position === QUARTILE_POSITIONS.ABOVE_MEDIAN) return 'text-green-700';
+  if (position === QUARTILE_POSITIONS.BOTTOM) return 'text-red-600';
+  return 'text-amber-700';
+};
+
+/**
+ * Company vs peer quartiles (latest period) and the cash released by closing the working
+ * capital gap to the median
+ * @param {{
+ * calculatedData: Array<object>;
+ * benchmarkComparison: object | null;
+ * }} props
+ */
+export default function IndustryBenchmarkSection({ calculatedData, benchmarkComparison }) {
+  if (!benchmarkComparison?.metrics?.length) return null;
+
+  const { industryLabel, companySize, metrics, cashRelease } = benchmarkComparison;
+
+  return (
+    <section className="mb-8 page-break-after">
+      <h3 className="report-section-title">
+        Benchmark Setorial - {industryLabel} (porte {(COMPANY_SIZES[companySize] || companySize).toLowerCase()})
+      </h3>
+
+      <KpiCards calculatedData={calculatedData} benchmarkComparison={benchmarkComparison} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
+        <div className="lg:col-span-2 overflow-x-auto avoid-break">
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">Indicador (último período)</th>
+                <th className="border p-2 text-center">Empresa</th>
+                <th className="border p-2 text-center">1º Quartil</th>
+                <th className="border p-2 text-center">Mediana</th>
+                <th className="border p-2 text-center">3º Quartil</th>
+                <th className="border p-2 text-center">Posição</th>
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map(metric => (
+                <tr key={metric.key}>
+                  <td className="border p-2">
+                    {metric.label}
+                    <span className="block text-slate-400">{metric.lowerIsBetter ? 'menor é melhor' : 'maior é melhor'}</span>
+                  </td>
+                  <td className="border p-2 text-right font-semibold">{formatMetric(metric.value, metric.unit)}</td>
+                  <td className="border p-2 text-right">{formatMetric(metric.p25, metric.unit)}</td>
+                  <td className="border p-2 text-right bg-slate-50">{formatMetric(metric.median, metric.unit)}</td>
+                  <td className="border p-2 text-right">{formatMetric(metric.p75, metric.unit)}</td>
+                  <td className={`border p-2 text-center ${positionClass(metric.position)}`}>
+                    {metric.position ? QUARTILE_POSITION_LABELS[metric.position] : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="p-4 bg-emerald-50 border-l-4 border-emerald-500 rounded-md avoid-break">
+          <h4 className="text-sm font-semibold text-emerald-800 mb-2">Caixa liberado ao atingir a mediana do setor</h4>
+          <p className="text-2xl font-bold text-emerald-700 mb-3">{formatCurrency(cashRelease.total)}</p>
+          <ul className="text-xs text-slate-700 space-y-1">
+            <li>Redução do PMR: {formatCurrency(cashRelease.receivables)}</li>
+            <li>Redução do PME: {formatCurrency(cashRelease.inventory)}</li>
+            <li>Alongamento do PMP: {formatCurrency(cashRelease.payables)}</li>
+          </ul>
+          <p className="mt-2 text-xs text-slate-500">Liberação única, à receita e ao CPV do último período.</p>
+        </div>
+      </div>
+    </section>
+  );
+}
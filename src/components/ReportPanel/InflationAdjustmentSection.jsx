@@ -0,0 +1,83 @@
+// src/components/ReportPanel/InflationAdjustmentSection.jsx
+import React from 'react';
+import { getPeriodLabel } from '../../utils/projections';
+import { INFLATION_INDEX_LABELS } from '../../utils/inflation';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+/**
+ * Nominal vs real growth of revenue and net income, with the price index used
+ * @param {{
+ * calculatedData: Array<object>;
+ * periodType: string;
+ * onExportExcel?: () => void;
+ * }} props
+ */
+export default function InflationAdjustmentSection({ calculatedData, periodType, onExportExcel }) {
+  if (!calculatedData?.length || !calculatedData[0].inflationAdjustment) return null;
+
+  const { indexType, basePeriodIndex, isRealTerms } = calculatedData[0].inflationAdjustment;
+  const growthClass = (value) => (value < 0 ? 'text-red-600' : '');
+
+  const rows = [
+    ['Inflação do período', period => formatPercentage(period.inflationAdjustment.inflationRate)],
+    ['Índice de preços (início = 100)', period => period.inflationAdjustment.priceIndex.toFixed(2)],
+    ['Receita nominal', period => formatCurrency(period.inflationAdjustment.revenue.nominal)],
+    ['Receita real', period => formatCurrency(period.inflationAdjustment.revenue.real)],
+    ['Crescimento da receita nominal', period => period.trends?.revenueGrowth, true],
+    ['Crescimento da receita real', period => period.trends?.revenueGrowthReal, true],
+    ['Lucro líquido nominal', period => formatCurrency(period.inflationAdjustment.netIncome.nominal)],
+    ['Lucro líquido real', period => formatCurrency(period.inflationAdjustment.netIncome.real)],
+    ['Crescimento do lucro nominal', period => period.trends?.profitGrowth, true],
+    ['Crescimento do lucro real', period => period.trends?.profitGrowthReal, true],
+  ];
+
+  return (
+    <section className="mb-8 page-break-after">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="report-section-title">Crescimento Nominal x Real ({INFLATION_INDEX_LABELS[indexType] || indexType})</h3>
+        {onExportExcel && (
+          <button
+            type="button"
+            onClick={onExportExcel}
+            className="px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 no-print"
+          >
+            Exportar Excel
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-slate-500 mb-2">
+        Valores reais em moeda constante do fim de {getPeriodLabel(periodType, basePeriodIndex)}.
+        {isRealTerms && ' As demonstrações e gráficos deste relatório estão reexpressos em moeda constante.'}
+      </p>
+
+      <div className="overflow-x-auto avoid-break">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Indicador</th>
+              {calculatedData.map((period, index) => (
+                <th key={index} className="border p-2 text-center">{getPeriodLabel(periodType, index)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([label, getValue, isGrowth]) => (
+              <tr key={label}>
+                <td className="border p-2">{label}</td>
+                {calculatedData.map((period, index) => {
+                  const value = getValue(period);
+                  if (!isGrowth) return <td key={index} className="border p-2 text-right">{value}</td>;
+                  return (
+                    <td key={index} className={`border p-2 text-right ${growthClass(value)}`}>
+                      {value === undefined ? '-' : formatPercentage(value)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
@@ -1,63 +1,97 @@
 // src/components/ReportPanel/KpiCards.jsx
 import React from 'react';
 import { formatCurrency, formatPercentage } from '../../utils/formatters';
+import { QUARTILE_POSITIONS, QUARTILE_POSITION_LABELS } from '../../utils/benchmarks';
+
+const POSITION_CLASSES = {
+  [QUARTILE_POSITIONS.TOP]: 'bg-green-100 text-green-800',
+  [QUARTILE_POSITIONS.ABOVE_MEDIAN]: 'bg-emerald-50 text-emerald-700',
+  [QUARTILE_POSITIONS.BELOW_MEDIAN]: 'bg-amber-50 text-amber-700',
+  [QUARTILE_POSITIONS.BOTTOM]: 'bg-red-100 text-red-700',
+};
+
+const formatDaysValue = (value) => value?.toFixed(1) + ' dias';
 
 /**
  * @param {{
  * calculatedData: import('../../types/financial').CalculatedPeriodData[];
+ * benchmarkComparison?: { industryLabel: string, metrics: Array<{ key: string, median: number, position: string|null }> } | null;
  * }} props
  */
-export default function KpiCards({ calculatedData }) {
+export default function KpiCards({ calculatedData, benchmarkComparison = null }) {
   const lastPeriod = calculatedData[calculatedData.length - 1];
   const prevPeriod = calculatedData.length > 1 ? calculatedData[calculatedData.length - 2] : null;
 
+  // Support both the processed statements and the legacy flat period shape
+  const getFigures = (period) => period && ({
+    revenue: period.incomeStatement?.revenue ?? period.revenue,
+    ebitda: period.incomeStatement?.ebitda ?? period.ebitda,
+    operatingCashFlow: period.cashFlow?.operatingCashFlow ?? period.operatingCashFlow,
+    cashConversionCycle: period.workingCapital?.cashConversionCycle ?? period.cashConversionCycle,
+    dso: period.workingCapital?.dso ?? period.dso,
+  });
+  const last = getFigures(lastPeriod);
+  const prev = getFigures(prevPeriod);
+
   const getPercentageChange = (current, previous) => {
     if (!previous || !current) return null;
     return ((current - previous) / Math.abs(previous)) * 100;
   };
+  const getEbitdaMargin = (figures) => (figures?.revenue ? (figures.ebitda / figures.revenue) * 100 : null);
+  const getBenchmark = (key) => benchmarkComparison?.metrics.find(metric => metric.key === key) || null;
 
   const kpis = [
     {
       title: 'Receita',
-      value: lastPeriod?.revenue,
-      change: getPercentageChange(lastPeriod?.revenue, prevPeriod?.revenue),
+      value: last?.revenue,
+      change: getPercentageChange(last?.revenue, prev?.revenue),
       formatter: formatCurrency,
       goodTrend: 'up',
     },
     {
       title: 'Margem EBITDA',
-      value: lastPeriod?.revenue ? (lastPeriod?.ebitda / lastPeriod.revenue) * 100 : null,
-      change: getPercentageChange(
-        lastPeriod?.revenue ? (lastPeriod?.ebitda / lastPeriod.revenue) * 100 : null,
-        prevPeriod?.revenue ? (prevPeriod?.ebitda / prevPeriod.revenue) * 100 : null,
-      ),
+      value: getEbitdaMargin(last),
+      change: getPercentageChange(getEbitdaMargin(last), getEbitdaMargin(prev)),
       formatter: formatPercentage,
       goodTrend: 'up',
+      benchmark: getBenchmark('ebitdaMargin'),
     },
     {
       title: 'Fluxo de Caixa Operacional',
-      value: lastPeriod?.operatingCashFlow,
-      change: getPercentageChange(lastPeriod?.operatingCashFlow, prevPeriod?.operatingCashFlow),
+      value: last?.operatingCashFlow,
+      change: getPercentageChange(last?.operatingCashFlow, prev?.operatingCashFlow),
       formatter: formatCurrency,
       goodTrend: 'up',
     },
     {
       title: 'Ciclo de Caixa',
-      value: lastPeriod?.cashConversionCycle,
-      change: getPercentageChange(lastPeriod?.cashConversionCycle, prevPeriod?.cashConversionCycle),
-      formatter: (value) => value?.toFixed(1) + ' dias',
+      value: last?.cashConversionCycle,
+      change: getPercentageChange(last?.cashConversionCycle, prev?.cashConversionCycle),
+      formatter: formatDaysValue,
       goodTrend: 'down',
     },
   ];
 
+  // With a benchmark, the receivable days card shows where collections sit against peers
+  if (benchmarkComparison && getBenchmark('dso')) {
+    kpis.push({
+      title: 'Prazo Médio de Recebimento',
+      value: last?.dso,
+      change: getPercentageChange(last?.dso, prev?.dso),
+      formatter: formatDaysValue,
+      goodTrend: 'down',
+      benchmark: getBenchmark('dso'),
+    });
+  }
+
   if (!lastPeriod) return null;
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+    <div className={`grid grid-cols-1 md:grid-cols-2 ${kpis.length > 4 ? 'lg:grid-cols-5' : 'lg:grid-cols-4'} gap-4 mb-8`}>
       {kpis.map((kpi, index) => {
         const isPositiveChange = kpi.change && kpi.change > 0;
         const isGoodTrend = kpi.goodTrend === 'up' ? isPositiveChange : !isPositiveChange;
-        
+
         return (
           <div key={index} className="bg-white p-4 rounded-lg shadow-md border border-slate-200">
             <h3 className="text-sm font-medium text-slate-600 mb-1">{kpi.title}</h3>
@@ -71,9 +105,19 @@ export default function KpiCards({ calculatedData }) {
                 {isPositiveChange ? '↑' : '↓'} {Math.abs(kpi.change).toFixed(1)}%
               </p>
             )}
+            {kpi.benchmark && (
+              <div className="mt-2 text-xs text-slate-500">
+                Mediana {benchmarkComparison.industryLabel}: {kpi.formatter(kpi.benchmark.median)}
+                {kpi.benchmark.position && (
+                  <span className={`ml-1 px-1.5 py-0.5 rounded ${POSITION_CLASSES[kpi.benchmark.position]}`}>
+                    {QUARTILE_POSITION_LABELS[kpi.benchmark.position]}
+                  </span>
+                )}
+              </div>
+            )}
           </div>
         );
       })}
     </div>
   );
-}
\ No newline at end of file
+}
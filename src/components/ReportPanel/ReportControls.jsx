@@ -4,6 +4,7 @@ import React, { useState } from 'react';
 /**
  * @param {{
  * onGeneratePdf: () => void;
+ * onExportExcel?: () => void;
  * onGenerateAiSummary: () => void;
  * onGenerateAiVariance: () => void;
  * onGenerateAiRisk: () => void; // New
@@ -20,6 +21,7 @@ import React, { useState } from 'react';
  */
 export default function ReportControls({
   onGeneratePdf,
+  onExportExcel,
   onGenerateAiSummary,
   onGenerateAiVariance,
   onGenerateAiRisk,
@@ -130,6 +132,16 @@ export default function ReportControls({
             </div>
           ): 'Baixar Relatório PDF 📄'}
         </button>
+
+        {onExportExcel && (
+          <button
+            onClick={onExportExcel}
+            disabled={isAnyActionLoading}
+            className={`${commonButtonClasses} bg-emerald-600 hover:bg-emerald-700 focus:ring-emerald-500`}
+          >
+            Baixar Relatório Excel 📊
+          </button>
+        )}
         
         {!showAiHelpInfo && (
           <button
@@ -9,7 +9,20 @@ import FundingReconciliation from './FundingReconciliation';
 import BalanceSheetEquation from './BalanceSheetEquation';
 import PowerOfOneAnalysis from './PowerOfOneAnalysis'; 
 import FinancialTables from './FinancialTables'; 
+import CashFlowSimulationSection from './CashFlowSimulationSection';
+import SensitivityAnalysisSection from './SensitivityAnalysisSection';
+import ValuationSection from './ValuationSection';
+import ScenarioComparisonSection from './ScenarioComparisonSection';
+import ConsolidationBridgeSection from './ConsolidationBridgeSection';
+import InflationAdjustmentSection from './InflationAdjustmentSection';
+import IndustryBenchmarkSection from './IndustryBenchmarkSection';
+import CreditScoreSection from './CreditScoreSection';
+import BreakEvenSection from './BreakEvenSection';
+import SeasonalPhasingSection from './SeasonalPhasingSection';
+import BankReconciliationSection from './BankReconciliationSection';
+import CustomerConcentrationSection from './CustomerConcentrationSection';
 import AiAnalysisSection from '../AIPanel/AiAnalysisSection';
+import AiVarianceSection from '../AIPanel/AiVarianceSection';
 
 // Chart Imports - Updated with new components
 import MarginTrendChart from '../Charts/MarginTrendChart';
@@ -34,9 +47,29 @@ export default function ReportRenderer({
   calculatedData, 
   companyInfo, 
   onLoadHtml2pdf, 
+  onExportReport,
   html2pdfError,
   aiAnalysisManager, 
   scenarioSettings, 
+  cashFlowSimulation,
+  sensitivityAnalysis,
+  onExportSensitivity,
+  valuation,
+  onExportValuation,
+  budgetVariance,
+  scenarioComparison,
+  onExportScenarioComparison,
+  consolidation,
+  onExportInflation,
+  benchmark,
+  benchmarkComparison,
+  creditScore,
+  onExportCreditScore,
+  breakEven,
+  monthlyView,
+  minimumCash,
+  bankReconciliation,
+  customerConcentration,
 }) {
   const reportRef = useRef(null);
   const { name: companyName, reportTitle, periodType } = companyInfo;
@@ -45,7 +78,9 @@ export default function ReportRenderer({
   const financialDataBundle = useMemo(() => ({ 
     calculatedData, 
     companyInfo, 
-  }), [calculatedData, companyInfo]);
+    budgetVariance,
+    benchmarkComparison,
+  }), [calculatedData, companyInfo, budgetVariance, benchmarkComparison]);
   
   // Optimize validation results aggregation with dependency array
   const aggregatedValidationResults = useMemo(() => {
@@ -107,7 +142,7 @@ export default function ReportRenderer({
       const reportElement = reportRef.current;
       const aiSectionsToPrintConfig = [
         { selector: '#aiExecutiveSummarySectionToPrint', content: getAiContentForPdf(ANALYSIS_TYPES.EXECUTIVE_SUMMARY) },
-        { selector: '#aiVarianceAnalysisSectionToPrint', content: getAiContentForPdf(ANALYSIS_TYPES.VARIANCE_ANALYSIS) },
+        { selector: '#aiVarianceAnalysisSectionToPrint', content: getAiContentForPdf(ANALYSIS_TYPES.VARIANCE_ANALYSIS) || budgetVariance?.total },
         { selector: '#aiRiskAssessmentSectionToPrint', content: getAiContentForPdf(ANALYSIS_TYPES.RISK_ASSESSMENT) },
         { selector: '#aiCashFlowDeepDiveSectionToPrint', content: getAiContentForPdf(ANALYSIS_TYPES.CASH_FLOW_ANALYSIS) },
       ];
@@ -211,6 +246,7 @@ export default function ReportRenderer({
     <>
       <ReportControls
         onGeneratePdf={handleGeneratePdf}
+        onExportExcel={onExportReport}
         onGenerateAiSummary={() => performAnalysis(ANALYSIS_TYPES.EXECUTIVE_SUMMARY, financialDataBundle)}
         onGenerateAiVariance={() => performAnalysis(ANALYSIS_TYPES.VARIANCE_ANALYSIS, financialDataBundle)}
         onGenerateAiRisk={() => performAnalysis(ANALYSIS_TYPES.RISK_ASSESSMENT, financialDataBundle)}
@@ -222,7 +258,7 @@ export default function ReportRenderer({
         isAiCFDeepDiveLoading={isAiAnalysisTypeLoading(ANALYSIS_TYPES.CASH_FLOW_ANALYSIS)}
         html2pdfError={html2pdfError}
         aiError={Object.values(aiAnalysisErrors).find(e => e) || null} 
-        canAnalyzeVariances={calculatedData.length >= 2}
+        canAnalyzeVariances={calculatedData.length >= 2 || Boolean(budgetVariance)}
       />
       <div ref={reportRef} className="report-container bg-white p-4 sm:p-6 md:p-8 rounded-xl shadow-2xl border border-slate-200 w-full max-w-full print:shadow-none print:border-none print:p-0">
         {/* PDF Cover Page (Print Only) */}
@@ -280,7 +316,27 @@ export default function ReportRenderer({
         <FundingReconciliation calculatedData={calculatedData} companyInfo={companyInfo} />
         <BalanceSheetEquation calculatedData={calculatedData} />
         <FinancialTables calculatedData={calculatedData} periodType={companyInfo.periodType} />
+        <ConsolidationBridgeSection consolidation={consolidation} periodType={companyInfo.periodType} />
+        <IndustryBenchmarkSection calculatedData={calculatedData} benchmarkComparison={benchmarkComparison} />
+        <CustomerConcentrationSection concentration={customerConcentration} />
+        <CreditScoreSection creditScore={creditScore} periodType={companyInfo.periodType} onExportExcel={onExportCreditScore} />
+        <InflationAdjustmentSection
+          calculatedData={calculatedData}
+          periodType={companyInfo.periodType}
+          onExportExcel={onExportInflation}
+        />
+        <BreakEvenSection breakEven={breakEven} periodType={companyInfo.periodType} />
         <PowerOfOneAnalysis calculatedData={calculatedData} periodType={companyInfo.periodType} />
+        <SeasonalPhasingSection monthlyView={monthlyView} minimumCash={minimumCash} />
+        <BankReconciliationSection reconciliation={bankReconciliation} />
+        <CashFlowSimulationSection simulation={cashFlowSimulation} periodType={companyInfo.periodType} />
+        <SensitivityAnalysisSection sensitivity={sensitivityAnalysis} onExportExcel={onExportSensitivity} />
+        <ValuationSection valuation={valuation} periodType={companyInfo.periodType} onExportExcel={onExportValuation} />
+        <ScenarioComparisonSection
+          comparison={scenarioComparison}
+          periodType={companyInfo.periodType}
+          onExportExcel={onExportScenarioComparison}
+        />
         
         {/* Detailed Visual Dashboards - With updated components */}
         <section className="mb-8 page-break-after">
@@ -291,7 +347,7 @@ export default function ReportRenderer({
           </div>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6 mb-6">
             <div className="chart-container-wrapper avoid-break"><CashFlowWaterfallChart calculatedData={calculatedData} periodType={periodType} /></div>
-            <div className="chart-container-wrapper avoid-break"><WorkingCapitalDaysTrendChart calculatedData={calculatedData} periodType={periodType} /></div>
+            <div className="chart-container-wrapper avoid-break"><WorkingCapitalDaysTrendChart calculatedData={calculatedData} periodType={periodType} benchmark={benchmark} /></div>
           </div>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6 mb-6">
             <div className="chart-container-wrapper avoid-break"><CashFlowKeyMetricsTrendChart calculatedData={calculatedData} periodType={periodType} /></div>
@@ -304,9 +360,13 @@ export default function ReportRenderer({
         </section>
         
         <div id="aiVarianceAnalysisSectionToPrint" className="print-only-ai-section">
-          <AiAnalysisSection 
-            title={ANALYSIS_METADATA[ANALYSIS_TYPES.VARIANCE_ANALYSIS]?.name || 'Análise de Variações IA'}
-            {...getAiSectionProps(ANALYSIS_TYPES.VARIANCE_ANALYSIS)} 
+          <AiVarianceSection
+            titleOverride={ANALYSIS_METADATA[ANALYSIS_TYPES.VARIANCE_ANALYSIS]?.name || 'Análise de Variações IA'}
+            analysisText={analyses[ANALYSIS_TYPES.VARIANCE_ANALYSIS]}
+            isLoading={isAiAnalysisTypeLoading(ANALYSIS_TYPES.VARIANCE_ANALYSIS)}
+            error={aiAnalysisErrors[ANALYSIS_TYPES.VARIANCE_ANALYSIS]}
+            onRetry={() => performAnalysis(ANALYSIS_TYPES.VARIANCE_ANALYSIS, financialDataBundle)}
+            budgetVariance={budgetVariance}
           />
         </div>
         <div id="aiRiskAssessmentSectionToPrint" className="print-only-ai-section">
@@ -0,0 +1,97 @@
+// src/components/ReportPanel/ScenarioComparisonSection.jsx
+import React from 'react';
+import ScenarioOverlayChart from '../Charts/ScenarioOverlayChart';
+import { SCENARIO_METRICS } from '../../utils/scenarioComparison';
+import { formatCurrency, formatPercentage, formatDays } from '../../utils/formatters';
+
+const formatMetric = (key, value) => {
+  if (key === 'ebitdaMargin') return formatPercentage(value);
+  if (key === 'cashConversionCycle') return formatDays(value);
+  return formatCurrency(value);
+};
+
+// Metrics where a lower value is better
+const LOWER_IS_BETTER = ['cashConversionCycle'];
+
+/**
+ * @param {{
+ * comparison: { baseScenarioId: string, scenarios: Array<object>, deltas: Array<object> } | null;
+ * periodType: string;
+ * onExportExcel?: () => void;
+ * }} props
+ */
+export default function ScenarioComparisonSection({ comparison, periodType, onExportExcel }) {
+  if (!comparison?.scenarios?.length) return null;
+
+  const { scenarios, deltas } = comparison;
+  const deltaById = Object.fromEntries(deltas.map(delta => [delta.id, delta]));
+
+  const deltaClass = (key, delta) => {
+    if (!delta) return 'text-slate-500';
+    const isBetter = LOWER_IS_BETTER.includes(key) ? delta < 0 : delta > 0;
+    return isBetter ? 'text-green-700' : 'text-red-600';
+  };
+
+  return (
+    <section className="mb-8 page-break-after">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="report-section-title">Comparação de Cenários</h3>
+        {onExportExcel && (
+          <button
+            type="button"
+            onClick={onExportExcel}
+            className="px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 no-print"
+          >
+            Exportar Excel
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto mb-6 avoid-break">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Métrica (total do horizonte ou último período)</th>
+              {scenarios.map((scenario, index) => (
+                <th key={scenario.id} className="border p-2 text-center">
+                  {scenario.name}
+                  {index === 0 && <span className="block font-normal text-slate-500">base</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {SCENARIO_METRICS.map(({ key, label }) => (
+              <tr key={key} className={key === 'closingCash' ? 'font-semibold bg-slate-50' : ''}>
+                <td className="border p-2">{label}</td>
+                {scenarios.map(scenario => {
+                  const delta = deltaById[scenario.id]?.metrics[key];
+                  return (
+                    <td key={scenario.id} className="border p-2 text-right">
+                      {formatMetric(key, scenario.summary[key])}
+                      {delta && (
+                        <span className={`block text-[11px] ${deltaClass(key, delta.delta)}`}>
+                          {delta.delta > 0 ? '+' : ''}{formatMetric(key, delta.delta)}
+                          {delta.deltaPercent !== null && ` (${formatPercentage(delta.deltaPercent)})`}
+                        </span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
+        <div className="chart-container-wrapper avoid-break">
+          <ScenarioOverlayChart scenarios={scenarios} metric="closingCash" metricLabel="Caixa Final" periodType={periodType} />
+        </div>
+        <div className="chart-container-wrapper avoid-break">
+          <ScenarioOverlayChart scenarios={scenarios} metric="ebitda" metricLabel="EBITDA" periodType={periodType} />
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,94 @@
+// src/components/ReportPanel/SeasonalPhasingSection.jsx
+import React from 'react';
+import MonthlyFundingChart from '../Charts/MonthlyFundingChart';
+import { MONTH_LABELS } from '../../utils/seasonality';
+import { formatCurrency, formatDays, formatPercentage } from '../../utils/formatters';
+
+/**
+ * Annual plan phased into months: seasonality profile, monthly statements and working
+ * capital, closing cash and the peak funding requirement
+ * @param {{
+ * monthlyView: { profile: number[], periods: Array<object>, months: Array<object>, peak: object } | null;
+ * minimumCash?: number;
+ * }} props
+ */
+export default function SeasonalPhasingSection({ monthlyView, minimumCash = 0 }) {
+  if (!monthlyView?.periods?.length) return null;
+
+  const { profile, periods, months, peak } = monthlyView;
+
+  return (
+    <section className="mb-8 page-break-after">
+      <h3 className="report-section-title">Faseamento Mensal com Sazonalidade</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className={`p-4 rounded-lg border-l-4 ${peak.fundingRequirement > 0
+          ? 'bg-red-50 border-red-400 text-red-700'
+          : 'bg-green-50 border-green-400 text-green-700'}`}
+        >
+          <p className="text-xs font-medium uppercase">Pico de Necessidade de Financiamento</p>
+          <p className="text-2xl font-bold">{formatCurrency(peak.fundingRequirement)}</p>
+          <p className="text-xs">{peak.label} - caixa final de {formatCurrency(peak.closingCash)}</p>
+        </div>
+        <div className="md:col-span-2 p-4 rounded-lg border border-slate-200">
+          <p className="text-xs font-medium uppercase text-slate-600 mb-2">Perfil de sazonalidade (% da receita anual)</p>
+          <div className="grid grid-cols-6 md:grid-cols-12 gap-1 text-xs text-center">
+            {profile.map((percent, month) => (
+              <div key={MONTH_LABELS[month]}>
+                <span className="block text-slate-500">{MONTH_LABELS[month]}</span>
+                <span className="font-semibold">{percent.toFixed(1)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="chart-container-wrapper avoid-break mb-6">
+        <MonthlyFundingChart months={months} peakMonthIndex={peak.monthIndex} minimumCash={minimumCash} />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Mês</th>
+              <th className="border p-2 text-center">Receita</th>
+              <th className="border p-2 text-center">Margem EBITDA</th>
+              <th className="border p-2 text-center">Contas a Receber</th>
+              <th className="border p-2 text-center">Estoques</th>
+              <th className="border p-2 text-center">Contas a Pagar</th>
+              <th className="border p-2 text-center">Ciclo de Caixa</th>
+              <th className="border p-2 text-center">Fluxo de Caixa Líquido</th>
+              <th className="border p-2 text-center">Caixa Final</th>
+              <th className="border p-2 text-center">Necessidade de Financiamento</th>
+            </tr>
+          </thead>
+          <tbody>
+            {periods.map((period, index) => {
+              const month = months[index];
+              const isPeak = month.monthIndex === peak.monthIndex;
+              return (
+                <tr key={month.monthIndex} className={isPeak ? 'bg-red-50 font-semibold' : ''}>
+                  <td className="border p-2">{month.label}{isPeak && <span className="ml-1 text-red-600">(pico)</span>}</td>
+                  <td className="border p-2 text-right">{formatCurrency(period.incomeStatement.revenue)}</td>
+                  <td className="border p-2 text-right">{formatPercentage(period.incomeStatement.ebitdaMargin)}</td>
+                  <td className="border p-2 text-right">{formatCurrency(period.workingCapital.accountsReceivableValue)}</td>
+                  <td className="border p-2 text-right">{formatCurrency(period.workingCapital.inventoryValue)}</td>
+                  <td className="border p-2 text-right">{formatCurrency(period.workingCapital.accountsPayableValue)}</td>
+                  <td className="border p-2 text-right">{formatDays(period.workingCapital.cashConversionCycle)}</td>
+                  <td className="border p-2 text-right">{formatCurrency(period.cashFlow.netCashFlow)}</td>
+                  <td className={`border p-2 text-right ${month.closingCash < 0 ? 'text-red-600' : ''}`}>{formatCurrency(month.closingCash)}</td>
+                  <td className="border p-2 text-right">{month.fundingRequirement > 0 ? formatCurrency(month.fundingRequirement) : '-'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-slate-500">
+        Prazos médios de recebimento, estocagem e pagamento mantidos nos níveis anuais. O primeiro mês financia apenas a
+        variação do capital de giro em relação ao fim do primeiro ano (premissa de estabilidade).
+      </p>
+    </section>
+  );
+}
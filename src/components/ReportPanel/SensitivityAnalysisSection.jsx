@@ -0,0 +1,81 @@
+// src/components/ReportPanel/SensitivityAnalysisSection.jsx
+import React from 'react';
+import TornadoChart from '../Charts/TornadoChart';
+import { SENSITIVITY_METRICS } from '../../utils/sensitivity';
+import { fieldDefinitions } from '../../utils/fieldDefinitions';
+import { formatCurrency } from '../../utils/formatters';
+
+const formatStep = (step) => `${step > 0 ? '+' : ''}${step}%`;
+
+/**
+ * @param {{
+ * sensitivity: { dataTable: object, tornado: object } | null;
+ * onExportExcel?: () => void;
+ * }} props
+ */
+export default function SensitivityAnalysisSection({ sensitivity, onExportExcel }) {
+  if (!sensitivity?.dataTable) return null;
+
+  const { dataTable, tornado } = sensitivity;
+  const metricLabel = SENSITIVITY_METRICS[dataTable.metric]?.label || dataTable.metric;
+  const driverLabel = (driver) => fieldDefinitions[driver]?.label || driver;
+
+  const cellClass = (value) => {
+    if (value === dataTable.baseValue) return 'bg-slate-100 font-semibold';
+    if (value < 0) return 'text-red-600';
+    return value > dataTable.baseValue ? 'text-green-700' : 'text-amber-700';
+  };
+
+  return (
+    <section className="mb-8 page-break-after">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="report-section-title">Análise de Sensibilidade - {metricLabel}</h3>
+        {onExportExcel && (
+          <button
+            type="button"
+            onClick={onExportExcel}
+            className="px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 no-print"
+          >
+            Exportar Excel
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
+        <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none avoid-break overflow-x-auto">
+          <h4 className="text-md font-semibold text-slate-800 mb-3 text-center print:text-sm">
+            Tabela de Dados: {driverLabel(dataTable.rowDriver)} × {driverLabel(dataTable.columnDriver)}
+          </h4>
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-2 text-left">
+                  {driverLabel(dataTable.rowDriver)} ↓ / {driverLabel(dataTable.columnDriver)} →
+                </th>
+                {dataTable.steps.map(step => (
+                  <th key={step} className="border p-2 text-center">{formatStep(step)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {dataTable.values.map((rowValues, rowIndex) => (
+                <tr key={dataTable.steps[rowIndex]}>
+                  <th className="border p-2 text-left bg-blue-50">{formatStep(dataTable.steps[rowIndex])}</th>
+                  {rowValues.map((value, columnIndex) => (
+                    <td key={dataTable.steps[columnIndex]} className={`border p-2 text-right ${cellClass(value)}`}>
+                      {formatCurrency(value)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-slate-500 mt-2">Caso base: {formatCurrency(dataTable.baseValue)}</p>
+        </div>
+        <div className="chart-container-wrapper avoid-break">
+          <TornadoChart tornado={tornado} metricLabel={metricLabel} />
+        </div>
+      </div>
+    </section>
+  );
+}
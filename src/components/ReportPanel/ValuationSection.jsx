@@ -0,0 +1,172 @@
+// src/components/ReportPanel/ValuationSection.jsx
+import React from 'react';
+import { TERMINAL_VALUE_METHODS } from '../../utils/valuation';
+import { getPeriodLabel } from '../../utils/projections';
+import { formatCurrency, formatPercentage } from '../../utils/formatters';
+
+const FCFF_LINES = [
+  ['EBITDA', 'ebitda', 1],
+  ['EBIT', 'ebit', 1],
+  ['NOPAT (EBIT após IR)', 'nopat', 1],
+  ['(+) D&A', 'depreciation', 1],
+  ['(+/-) Variação do Capital de Giro', 'workingCapitalChange', 1],
+  ['(-) CAPEX', 'capex', -1],
+  ['FCFF', 'fcff', 1],
+  ['Valor Presente', 'presentValue', 1],
+];
+
+/**
+ * @param {{
+ * valuation: object | null;
+ * periodType: string;
+ * onExportExcel?: () => void;
+ * }} props
+ */
+export default function ValuationSection({ valuation, periodType, onExportExcel }) {
+  if (!valuation?.bridge) return null;
+
+  const { wacc, forecast, terminalValue, bridge, grid } = valuation;
+  const isGordon = terminalValue.method !== TERMINAL_VALUE_METHODS.EXIT_MULTIPLE;
+  const formatColumn = (value) => (isGordon ? formatPercentage(value) : `${value.toLocaleString('pt-BR')}x`);
+
+  const waccRows = [
+    ['Custo do Capital Próprio (Ke)', formatPercentage(wacc.costOfEquity)],
+    ['Custo da Dívida após IR (Kd)', formatPercentage(wacc.costOfDebtAfterTax)],
+    ['Peso do Capital Próprio', formatPercentage(wacc.equityWeight)],
+    ['Peso da Dívida', formatPercentage(wacc.debtWeight)],
+  ];
+
+  const bridgeRows = [
+    ['VP dos Fluxos Explícitos', bridge.presentValueOfFlows],
+    ['VP do Valor Terminal', bridge.presentValueOfTerminal],
+    ['Valor da Empresa (EV)', bridge.enterpriseValue, true],
+    ['(-) Empréstimos Bancários', -bridge.debt],
+    ['(+) Caixa', bridge.cash],
+    ['Valor do Patrimônio (Equity)', bridge.equityValue, true],
+  ];
+
+  return (
+    <section className="mb-8 page-break-after">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="report-section-title">Avaliação por Fluxo de Caixa Descontado</h3>
+        {onExportExcel && (
+          <button
+            type="button"
+            onClick={onExportExcel}
+            className="px-3 py-1.5 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 no-print"
+          >
+            Exportar Excel
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div className="p-4 rounded-lg border-l-4 bg-blue-50 border-blue-400 text-blue-700">
+          <p className="text-xs font-medium uppercase">Valor da Empresa (EV)</p>
+          <p className="text-2xl font-bold">{formatCurrency(bridge.enterpriseValue)}</p>
+        </div>
+        <div className="p-4 rounded-lg border-l-4 bg-green-50 border-green-400 text-green-700">
+          <p className="text-xs font-medium uppercase">Valor do Equity</p>
+          <p className="text-2xl font-bold">{formatCurrency(bridge.equityValue)}</p>
+        </div>
+        <div className="p-4 rounded-lg border-l-4 bg-slate-50 border-slate-400 text-slate-700">
+          <p className="text-xs font-medium uppercase">WACC</p>
+          <p className="text-2xl font-bold">{formatPercentage(wacc.wacc)}</p>
+        </div>
+        <div className={`p-4 rounded-lg border-l-4 ${terminalValue.shareOfEnterpriseValue > 75
+          ? 'bg-amber-50 border-amber-400 text-amber-700'
+          : 'bg-slate-50 border-slate-400 text-slate-700'}`}
+        >
+          <p className="text-xs font-medium uppercase">Valor Terminal / EV</p>
+          <p className="text-2xl font-bold">{formatPercentage(terminalValue.shareOfEnterpriseValue)}</p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto mb-6 avoid-break">
+        <table className="min-w-full border-collapse text-xs">
+          <thead>
+            <tr className="bg-blue-50">
+              <th className="border p-2 text-left">Fluxo de Caixa Livre da Firma</th>
+              {forecast.map(row => (
+                <th key={row.periodIndex} className="border p-2 text-center bg-amber-50 text-amber-800">
+                  {getPeriodLabel(periodType, row.periodIndex, true)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {FCFF_LINES.map(([label, key, sign]) => (
+              <tr key={key} className={key === 'fcff' ? 'font-semibold bg-slate-50' : ''}>
+                <td className="border p-2">{label}</td>
+                {forecast.map(row => (
+                  <td key={row.periodIndex} className="border p-2 text-right">{formatCurrency(row[key] * sign)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 md:gap-6">
+        <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none avoid-break">
+          <h4 className="text-md font-semibold text-slate-800 mb-3 print:text-sm">Composição do WACC</h4>
+          <dl className="text-sm space-y-1">
+            {waccRows.map(([label, value]) => (
+              <div key={label} className="flex justify-between">
+                <dt className="text-slate-600">{label}</dt>
+                <dd className="font-medium">{value}</dd>
+              </div>
+            ))}
+          </dl>
+          <p className="text-xs text-slate-500 mt-3">
+            Ke = Rf + β × Prêmio de Mercado + Risco-País. Valor terminal:{' '}
+            {isGordon ? `Gordon com g de ${formatPercentage(terminalValue.growth)}` : `${terminalValue.exitMultiple}x EBITDA`}.
+          </p>
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none avoid-break">
+          <h4 className="text-md font-semibold text-slate-800 mb-3 print:text-sm">Ponte EV → Equity</h4>
+          <dl className="text-sm space-y-1">
+            {bridgeRows.map(([label, value, isTotal]) => (
+              <div key={label} className={`flex justify-between ${isTotal ? 'border-t pt-1 font-semibold' : ''}`}>
+                <dt className="text-slate-600">{label}</dt>
+                <dd className={value < 0 ? 'text-red-600' : ''}>{formatCurrency(value)}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow-lg border border-slate-200 print:shadow-none avoid-break overflow-x-auto">
+          <h4 className="text-md font-semibold text-slate-800 mb-3 print:text-sm">
+            Sensibilidade do Equity (WACC × {isGordon ? 'g' : 'Múltiplo'})
+          </h4>
+          <table className="min-w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-blue-50">
+                <th className="border p-1 text-left">WACC</th>
+                {grid.columnValues.map(value => (
+                  <th key={value} className="border p-1 text-center">{formatColumn(value)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.waccValues.map((rate, rowIndex) => (
+                <tr key={rate}>
+                  <th className="border p-1 text-left bg-blue-50">{formatPercentage(rate)}</th>
+                  {grid.equityValues[rowIndex].map((value, columnIndex) => (
+                    <td
+                      key={grid.columnValues[columnIndex]}
+                      className={`border p-1 text-right ${value === bridge.equityValue ? 'bg-slate-100 font-semibold' : ''}`}
+                    >
+                      {formatCurrency(value)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </section>
+  );
+}
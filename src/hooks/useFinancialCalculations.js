@@ -243,6 +243,174 @@ export const useFinancialCalculations = () => {
     }
   }, []);
 
+  /**
+   * Run Monte Carlo simulation of closing cash
+   */
+  const simulateCashFlow = useCallback(async (periodsInputDataRaw, periodTypeLabel, options) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await financialCalculationService.simulateCashFlow(
+        periodsInputDataRaw,
+        periodTypeLabel,
+        options,
+      );
+      
+      setResults(prev => ({ ...prev, cashFlowSimulation: result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Run two-way data table and tornado sensitivity analysis
+   */
+  const analyzeSensitivity = useCallback(async (periodsInputDataRaw, periodTypeLabel, options) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await financialCalculationService.analyzeSensitivity(
+        periodsInputDataRaw,
+        periodTypeLabel,
+        options,
+      );
+      
+      setResults(prev => ({ ...prev, sensitivity: result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Solve driver values for a target metric
+   */
+  const goalSeek = useCallback(async (periodsInputDataRaw, periodTypeLabel, options) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await financialCalculationService.goalSeek(
+        periodsInputDataRaw,
+        periodTypeLabel,
+        options,
+      );
+      
+      setResults(prev => ({ ...prev, goalSeek: result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Run DCF valuation of the company
+   */
+  const valueCompany = useCallback(async (periodsInputDataRaw, periodTypeLabel, options) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await financialCalculationService.valueCompany(
+        periodsInputDataRaw,
+        periodTypeLabel,
+        options,
+      );
+      
+      setResults(prev => ({ ...prev, valuation: result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Compare actuals with the budget
+   */
+  const compareToBudget = useCallback(async (periodsInputDataRaw, periodTypeLabel, options) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await financialCalculationService.compareToBudget(
+        periodsInputDataRaw,
+        periodTypeLabel,
+        options,
+      );
+      
+      setResults(prev => ({ ...prev, budgetVariance: result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Compare scenarios side by side
+   */
+  const compareScenarios = useCallback(async (scenarios, periodTypeLabel, options) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await financialCalculationService.compareScenarios(
+        scenarios,
+        periodTypeLabel,
+        options,
+      );
+      
+      setResults(prev => ({ ...prev, scenarioComparison: result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Consolidate group entities
+   */
+  const consolidate = useCallback(async (entities, periodTypeLabel, options) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const result = await financialCalculationService.consolidate(
+        entities,
+        periodTypeLabel,
+        options,
+      );
+      
+      setResults(prev => ({ ...prev, consolidation: result }));
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
   /**
    * Clear results
    */
@@ -275,6 +443,13 @@ export const useFinancialCalculations = () => {
     calculateInvestmentMetrics,
     performScenarioAnalysis,
     runMonteCarloSimulation,
+    simulateCashFlow,
+    analyzeSensitivity,
+    goalSeek,
+    valueCompany,
+    compareToBudget,
+    compareScenarios,
+    consolidate,
     
     // Utilities
     clearResults,
@@ -290,7 +465,7 @@ export const useFinancialDataProcessor = () => {
   const [processedData, setProcessedData] = useState(null);
   const [error, setError] = useState(null);
 
-  const processFinancialData = useCallback(async (periodsInputDataRaw, periodTypeLabel) => {
+  const processFinancialData = useCallback(async (periodsInputDataRaw, periodTypeLabel, options) => {
     setIsProcessing(true);
     setError(null);
 
@@ -298,6 +473,7 @@ export const useFinancialDataProcessor = () => {
       const result = await financialCalculationService.processFinancialData(
         periodsInputDataRaw,
         periodTypeLabel,
+        options,
       );
       
       setProcessedData(result);
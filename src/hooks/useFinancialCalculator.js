@@ -1,17 +1,23 @@
 // src/hooks/useFinancialCalculator.js
 import { useState, useCallback } from 'react';
 import { processFinancialData } from '../utils/calculations';
+import { projectFinancialData } from '../utils/projections';
+import { translateFinancialData } from '../utils/currency';
 
 export function useFinancialCalculator() {
   const [isCalculating, setIsCalculating] = useState(false);
   const [calculationError, setCalculationError] = useState(null);
 
-  const calculate = useCallback(async (periodsInputDataRaw, periodTypeLabel) => {
+  const calculate = useCallback(async (periodsInputDataRaw, periodTypeLabel, options) => {
     setIsCalculating(true);
     setCalculationError(null);
     try {
-      const result = processFinancialData(periodsInputDataRaw, periodTypeLabel);
-      return result;
+      // Forecast periods are appended after the historical ones when a projection is configured
+      const result = options?.projection?.forecastPeriods > 0
+        ? projectFinancialData(periodsInputDataRaw, periodTypeLabel, options)
+        : processFinancialData(periodsInputDataRaw, periodTypeLabel, options);
+      // Translated to the presentation currency when it differs from the functional currency
+      return options?.fxTranslation ? translateFinancialData(result, options.fxTranslation) : result;
     } catch (err) {
       setCalculationError(err);
       throw err;
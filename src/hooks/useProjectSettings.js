@@ -0,0 +1,97 @@
+// src/hooks/useProjectSettings.js
+import { useState, useEffect, useCallback } from 'react';
+import { storageManager } from '../services/storage';
+import { DEFAULT_CURRENCY } from '../utils/constants';
+import { getDefaultTaxSettings } from '../utils/taxRegimes';
+import { getDefaultInflationSettings } from '../utils/inflation';
+import { getDefaultBenchmarkLibrary } from '../utils/benchmarks';
+import { getDefaultCreditSettings } from '../utils/creditScoring';
+import { getDefaultCostBehaviorSettings } from '../utils/breakEven';
+import { getDefaultSeasonalitySettings } from '../utils/seasonality';
+import { getDefaultBankReconciliationSettings } from '../utils/bankReconciliation';
+import { setPresentationCurrency } from '../utils/formatters';
+
+/**
+ * Project settings edited in the app (see ProjectSettings); null disables an optional
+ * schedule or analysis
+ * @returns {import('../services/storage/models').ProjectSettings}
+ */
+const getDefaultSettings = () => ({
+  currency: DEFAULT_CURRENCY,
+  functionalCurrency: DEFAULT_CURRENCY,
+  industry: 'General',
+  companySize: 'Medium',
+  taxRegime: getDefaultTaxSettings(),
+  assetRegister: null,
+  debt: null,
+  projection: null,
+  simulation: null,
+  sensitivity: null,
+  goalSeek: null,
+  valuation: null,
+  fxRates: {},
+  inflation: getDefaultInflationSettings(),
+  benchmarkLibrary: getDefaultBenchmarkLibrary(),
+  credit: getDefaultCreditSettings(),
+  costBehavior: getDefaultCostBehaviorSettings(),
+  seasonality: getDefaultSeasonalitySettings(),
+  bankReconciliation: getDefaultBankReconciliationSettings(),
+  rollingCashForecast: null,
+  excelLayoutProfiles: [],
+});
+
+/**
+ * Settings of the current project, saved to its ProjectSettings on every change
+ * @param {{id: string, name: string, userId: string}} projectData - Project to save to (memoize it)
+ * @returns {{
+ *   settings: import('../services/storage/models').ProjectSettings,
+ *   updateSetting: (key: string, value: any) => void,
+ *   updateSettings: (changes: Object) => void,
+ *   restoreSettings: (savedSettings: Object|null) => void,
+ * }}
+ */
+export function useProjectSettings(projectData) {
+  const [settings, setSettings] = useState(getDefaultSettings);
+  const [isRestored, setIsRestored] = useState(false);
+
+  // value may be an updater of the current value, as with a state setter
+  const updateSetting = useCallback((key, value) => {
+    setSettings(prev => ({ ...prev, [key]: typeof value === 'function' ? value(prev[key]) : value }));
+  }, []);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  // Called with the settings of the loaded project; nothing is saved before it, so the
+  // defaults never overwrite the stored settings
+  const restoreSettings = useCallback((savedSettings) => {
+    if (savedSettings) {
+      const defaults = getDefaultSettings();
+      const currency = savedSettings.currency || defaults.currency;
+      // Applied before the render so the formatters already follow the restored currency
+      setPresentationCurrency(currency);
+      setSettings({
+        ...defaults,
+        ...savedSettings,
+        currency,
+        functionalCurrency: savedSettings.functionalCurrency || currency,
+        taxRegime: { ...defaults.taxRegime, ...savedSettings.taxRegime },
+      });
+    }
+    setIsRestored(true);
+  }, []);
+
+  useEffect(() => {
+    if (!isRestored) return;
+    storageManager.saveProjectSettings(projectData, settings)
+      .catch(e => console.warn('Não foi possível salvar as configurações do projeto:', e));
+  }, [isRestored, projectData, settings]);
+
+  return {
+    settings,
+    updateSetting,
+    updateSettings,
+    restoreSettings,
+  };
+}
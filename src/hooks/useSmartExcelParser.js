@@ -2,6 +2,7 @@
 import { useState, useCallback } from 'react';
 import { TEMPLATE_TYPES, HEADER_PATTERNS, MAX_PERIODS, DEFAULT_PERIODS_EXCEL } from '../utils/constants';
 import { fieldDefinitions, getFieldKeys, FIELD_CATEGORIES } from '../utils/fieldDefinitions';
+import { worksheetToGrid, findMatchingLayoutProfile, extractPeriodsWithProfile } from '../utils/excelLayoutMapping';
 
 /**
  * @typedef {import('../types/financial').PeriodInputData} PeriodInputData
@@ -19,8 +20,15 @@ import { fieldDefinitions, getFieldKeys, FIELD_CATEGORIES } from '../utils/field
  * overridePL?: string; 
  * overrideBS?: string; 
  * overrideCF?: string;
- * mainData?: string; // For basic templates
+ * mainData?: string; // For basic templates and layout profiles
  * }} sheetPaths - Paths (names) to relevant sheets.
+ * @property {{id: string; name: string; matchRatio: number}} [layoutProfile] - Saved layout profile used to read a client spreadsheet.
+ */
+
+/**
+ * @typedef {Object} SheetGrid
+ * @property {string} name
+ * @property {Array<Array<string | number | null>>} grid - Plain cell values, index 0 is row 1 / column A.
  */
 
 /**
@@ -31,6 +39,15 @@ import { fieldDefinitions, getFieldKeys, FIELD_CATEGORIES } from '../utils/field
  * @property {Array<{text: string; columnIndex: number}>} periodHeaders - List of identified period headers.
  */
 
+function hasFieldKeysInFirstColumn(worksheet) {
+  const fieldKeys = getFieldKeys();
+  let found = false;
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    if (!found && fieldKeys.includes(row.getCell(1).text?.toString().trim())) found = true;
+  });
+  return found;
+}
+
 async function detectAdvancedTemplateStructure(workbook) {
   const sheets = workbook.worksheets.map(ws => ({ name: ws.name, nameLower: ws.name.toLowerCase(), rowCount: ws.actualRowCount }));
   const structure = { type: TEMPLATE_TYPES.BASIC_DRIVERS, version: '1.0', sheetNamesFound: sheets.map(s => s.name), sheetPaths: {} };
@@ -55,13 +72,17 @@ async function detectAdvancedTemplateStructure(workbook) {
         structure.type = TEMPLATE_TYPES.BASIC_DRIVERS;
         structure.version = '1.0'; // Legacy basic
         structure.sheetPaths.mainData = mainSheet.name;
-      } else {
+      } else if (hasFieldKeysInFirstColumn(ws)) {
         console.warn('Formato de template não totalmente reconhecido. Tentando parse genérico na primeira planilha com dados.');
         structure.type = TEMPLATE_TYPES.BASIC_DRIVERS; // Fallback to attempt basic parse
         structure.sheetPaths.mainData = mainSheet.name || workbook.worksheets[0]?.name;
         if (!structure.sheetPaths.mainData) {
           throw new Error('Nenhuma planilha com dados encontrada no arquivo Excel.');
         }
+      } else {
+        // Not one of our templates: read through a saved layout profile or the mapping wizard
+        structure.type = TEMPLATE_TYPES.CUSTOM_LAYOUT;
+        structure.version = '1.0';
       }
     } else {
       throw new Error('Arquivo Excel não contém planilhas com dados.');
@@ -326,10 +347,51 @@ function generateSmartRecommendations(qualityAnalysis, parsedData) {
   return recommendations;
 }
 
+function parseWithLayoutProfile(sheets, profile, sheetName) {
+  const sheet = sheets.find(s => s.name === sheetName) || sheets.find(s => s.name === profile.sheetName);
+  if (!sheet) {
+    throw new Error(`Planilha "${sheetName || profile.sheetName}" não encontrada no arquivo Excel.`);
+  }
+  const parsedDataResult = extractPeriodsWithProfile(sheet.grid, profile);
+  const templateInfo = {
+    type: TEMPLATE_TYPES.CUSTOM_LAYOUT,
+    version: '1.0',
+    sheetNamesFound: sheets.map(s => s.name),
+    sheetPaths: { mainData: sheet.name },
+    layoutProfile: { id: profile.id, name: profile.name },
+  };
+  return { parsedDataResult, templateInfo };
+}
+
+function buildParseResult(parsedDataResult, templateInfo, expectedPeriodType) {
+  const qualityAnalysis = analyzeDataQuality(parsedDataResult);
+  return {
+    data: parsedDataResult.periods,
+    detectedPeriods: parsedDataResult.actualPeriods,
+    detectedPeriodType: parsedDataResult.periodType || expectedPeriodType,
+    templateInfo, // Includes type and version
+    qualityAnalysis,
+    recommendations: generateSmartRecommendations(qualityAnalysis, parsedDataResult),
+    warnings: parsedDataResult.warnings || [],
+  };
+}
+
+/**
+ * @param {*} ExcelJSInstance
+ * @returns {{
+ * parseFile: (file: File, expectedPeriodType?: string, layoutProfiles?: import('../types/financial').ExcelLayoutProfile[]) => Promise<Object>;
+ * applyLayoutProfile: (sheets: SheetGrid[], profile: import('../types/financial').ExcelLayoutProfile, expectedPeriodType?: string) => Object;
+ * isParsing: boolean; error: Error | null; progress: number; currentStep: string;
+ * resetParser: () => void;
+ * }}
+ * parseFile resolves with `{ needsMapping: true, sheets }` when the workbook is neither one of
+ * our templates nor fits a saved layout profile; the sheets then go through the mapping wizard
+ * and applyLayoutProfile.
+ */
 export function useSmartExcelParser(ExcelJSInstance) {
   const [parsingState, setParsingState] = useState({ isParsing: false, error: null, progress: 0, currentStep: '' });
 
-  const parseFile = useCallback(async (file, expectedPeriodType = 'anos') => {
+  const parseFile = useCallback(async (file, expectedPeriodType = 'anos', layoutProfiles = []) => {
     setParsingState({ isParsing: true, error: null, progress: 0, currentStep: 'Carregando arquivo...' });
 
     if (!ExcelJSInstance) {
@@ -344,6 +406,23 @@ export function useSmartExcelParser(ExcelJSInstance) {
       setParsingState(prev => ({ ...prev, progress: 15, currentStep: 'Arquivo carregado, detectando estrutura...' }));
       
       const templateStructure = await detectAdvancedTemplateStructure(wb);
+
+      if (templateStructure.type === TEMPLATE_TYPES.CUSTOM_LAYOUT) {
+        setParsingState(prev => ({ ...prev, progress: 30, currentStep: 'Layout próprio detectado. Procurando perfil de layout salvo...' }));
+        const sheets = wb.worksheets.map(ws => ({ name: ws.name, grid: worksheetToGrid(ws) }));
+        const match = findMatchingLayoutProfile(layoutProfiles, sheets);
+        if (!match) {
+          setParsingState({ isParsing: false, error: null, progress: 100, currentStep: 'Layout não reconhecido. Mapeie as colunas.' });
+          return { needsMapping: true, sheets };
+        }
+
+        const { parsedDataResult, templateInfo } = parseWithLayoutProfile(sheets, match.profile, match.sheetName);
+        templateInfo.layoutProfile.matchRatio = match.matchRatio;
+        const finalResult = buildParseResult(parsedDataResult, templateInfo, expectedPeriodType);
+        setParsingState({ isParsing: false, error: null, progress: 100, currentStep: `Concluído com o perfil "${match.profile.name}"!` });
+        return finalResult;
+      }
+
       setParsingState(prev => ({ ...prev, progress: 30, currentStep: `Template "${templateStructure.type}" detectado. Analisando períodos...` }));
       
       const periodInfo = await detectSmartPeriodInfo(wb, templateStructure, expectedPeriodType);
@@ -354,22 +433,9 @@ export function useSmartExcelParser(ExcelJSInstance) {
         : parseBasicStrategy; // Fallback or specific for others
         
       const parsedDataResult = await parsingStrategyFn(wb, templateStructure, periodInfo);
-      setParsingState(prev => ({ ...prev, progress: 75, currentStep: 'Analisando qualidade dos dados...' }));
-      
-      const qualityAnalysis = await analyzeDataQuality(parsedDataResult);
-      setParsingState(prev => ({ ...prev, progress: 90, currentStep: 'Gerando recomendações...' }));
+      setParsingState(prev => ({ ...prev, progress: 75, currentStep: 'Analisando qualidade dos dados e gerando recomendações...' }));
       
-      const recommendations = generateSmartRecommendations(qualityAnalysis, parsedDataResult);
-      
-      const finalResult = {
-        data: parsedDataResult.periods,
-        detectedPeriods: parsedDataResult.actualPeriods,
-        detectedPeriodType: parsedDataResult.periodType || expectedPeriodType,
-        templateInfo: templateStructure, // Includes type and version
-        qualityAnalysis,
-        recommendations,
-        warnings: parsedDataResult.warnings || [],
-      };
+      const finalResult = buildParseResult(parsedDataResult, templateStructure, expectedPeriodType);
       
       setParsingState({ isParsing: false, error: null, progress: 100, currentStep: 'Concluído!' });
       return finalResult;
@@ -381,9 +447,22 @@ export function useSmartExcelParser(ExcelJSInstance) {
     }
   }, [ExcelJSInstance]);
 
+  const applyLayoutProfile = useCallback((sheets, profile, expectedPeriodType = 'anos') => {
+    try {
+      const { parsedDataResult, templateInfo } = parseWithLayoutProfile(sheets, profile, profile.sheetName);
+      const finalResult = buildParseResult(parsedDataResult, templateInfo, expectedPeriodType);
+      setParsingState({ isParsing: false, error: null, progress: 100, currentStep: 'Concluído!' });
+      return finalResult;
+    } catch (error) {
+      console.error('Layout profile parsing error:', error);
+      setParsingState({ isParsing: false, error, progress: 0, currentStep: 'Erro no Parse' });
+      throw error;
+    }
+  }, []);
+
   const resetParser = useCallback(() => {
     setParsingState({ isParsing: false, error: null, progress: 0, currentStep: '' });
   },[]);
 
-  return { parseFile, ...parsingState, resetParser };
-}
\ No newline at end of file
+  return { parseFile, applyLayoutProfile, ...parsingState, resetParser };
+}
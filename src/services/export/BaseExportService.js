@@ -115,13 +115,31 @@ export class BaseExportService {
     return content;
   }
 
+  /**
+   * Currency of the exported amounts (presentation currency of the project)
+   * @returns {string} Currency code
+   */
+  getCurrency() {
+    return this.options.currency || 'USD';
+  }
+
+  /**
+   * Get currency symbol
+   * @param {string} currency - Currency code
+   * @returns {string} Currency symbol
+   */
+  getCurrencySymbol(currency = this.getCurrency()) {
+    const parts = new Intl.NumberFormat('en-US', { style: 'currency', currency }).formatToParts(0);
+    return parts.find(part => part.type === 'currency')?.value || currency;
+  }
+
   /**
    * Format currency value
    * @param {number} value - Value to format
    * @param {string} currency - Currency code
    * @returns {string} Formatted value
    */
-  formatCurrency(value, currency = 'USD') {
+  formatCurrency(value, currency = this.getCurrency()) {
     if (value == null || isNaN(value)) {
       return '-';
     }
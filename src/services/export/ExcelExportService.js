@@ -7,6 +7,14 @@ import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
 import { BaseExportService } from './BaseExportService';
 import { ExportFormat } from './types';
+import { TAX_REGIMES } from '../../utils/taxRegimes';
+
+// Taxes included in directCashFlow.taxesPaid: IRPJ/CSLL alone without a configured regime
+const TAXES_PAID_LABELS = {
+  [TAX_REGIMES.LUCRO_REAL]: 'Taxes paid (IRPJ/CSLL, PIS/COFINS)',
+  [TAX_REGIMES.LUCRO_PRESUMIDO]: 'Taxes paid (IRPJ/CSLL, PIS/COFINS)',
+  [TAX_REGIMES.SIMPLES_NACIONAL]: 'Taxes paid (Simples DAS)',
+};
 
 export class ExcelExportService extends BaseExportService {
   constructor(options = {}) {
@@ -42,7 +50,7 @@ export class ExcelExportService extends BaseExportService {
         },
       },
       currency: {
-        numFmt: '$#,##0.00',
+        numFmt: options.currency ? `"${this.getCurrencySymbol()}" #,##0.00` : '$#,##0.00',
       },
       percentage: {
         numFmt: '0.0%',
@@ -89,7 +97,12 @@ export class ExcelExportService extends BaseExportService {
       };
 
       // Process sheets
-      if (exportOptions.multipleSheets && data.sheets) {
+      if (data.scenarioComparison) {
+        // One sheet per scenario plus the delta sheet
+        this.buildScenarioComparisonSheets(data.scenarioComparison).forEach(sheet => {
+          this.createSheet(workbook, sheet, sheet.name, exportOptions);
+        });
+      } else if (exportOptions.multipleSheets && data.sheets) {
         // Multiple sheets
         data.sheets.forEach((sheetData, index) => {
           const sheetName = exportOptions.sheetNames[index] || `Sheet${index + 1}`;
@@ -171,6 +184,33 @@ export class ExcelExportService extends BaseExportService {
       });
     }
 
+    // Add direct-method cash flow reconciliation
+    if (data.calculatedData && data.calculatedData.some(period => period.directCashFlow)) {
+      const directCashFlowTable = this.buildDirectCashFlowTable(data.calculatedData);
+      currentRow = this.addTable(worksheet, directCashFlowTable, currentRow, options);
+    }
+
+    // Add nominal vs real growth of inflation-adjusted periods
+    if (data.calculatedData && data.calculatedData.some(period => period.inflationAdjustment)) {
+      currentRow = this.addTable(worksheet, this.buildInflationTable(data.calculatedData), currentRow, options);
+    }
+
+    // Add sensitivity data table and tornado ranking
+    if (data.sensitivity) {
+      this.buildSensitivityTables(data.sensitivity).forEach(table => {
+        currentRow = this.addTable(worksheet, table, currentRow, options);
+      });
+    }
+
+    // Add tables built by template sections (e.g., valuation)
+    if (Array.isArray(data.sections)) {
+      data.sections.forEach(section => {
+        (section?.data?.tables || []).forEach(table => {
+          currentRow = this.addTable(worksheet, table, currentRow, options);
+        });
+      });
+    }
+
     // Add formulas
     if (options.includeFormulas && data.formulas) {
       this.addFormulas(worksheet, data.formulas);
@@ -500,6 +540,239 @@ export class ExcelExportService extends BaseExportService {
     }
   }
 
+  /**
+   * Build direct-method cash flow table reconciled to the indirect DFC
+   * @param {Array} calculatedData - Processed periods from processFinancialData
+   * @returns {Object} Table definition for addTable
+   */
+  buildDirectCashFlowTable(calculatedData) {
+    const periodHeaders = calculatedData.map((_, index) => `Period ${index + 1}`);
+    const taxRegime = calculatedData.find(period => period.incomeStatement?.taxRegime)?.incomeStatement.taxRegime;
+    const lines = [
+      ['Cash received from customers', 'cashFromCustomers', 1],
+      ['Cash paid to suppliers', 'cashPaidToSuppliers', -1],
+      ['Cash paid for operating expenses', 'cashPaidForOperatingExpenses', -1],
+      [TAXES_PAID_LABELS[taxRegime] || 'Taxes paid (IRPJ/CSLL)', 'taxesPaid', -1],
+      ['Net interest received/(paid)', 'netInterestReceivedPaid', 1],
+      ['Operating cash flow (direct)', 'operatingCashFlow', 1],
+      ['Operating cash flow (indirect)', 'indirectOperatingCashFlow', 1],
+      ['Reconciliation difference', 'reconciliationDifference', 1],
+    ];
+
+    const formatting = {};
+    periodHeaders.forEach(header => {
+      formatting[header] = 'currency';
+    });
+
+    return {
+      title: 'Direct Method Cash Flow Statement',
+      headers: ['Line', ...periodHeaders],
+      data: lines.map(([label, key, sign]) => {
+        const row = { Line: label };
+        calculatedData.forEach((period, index) => {
+          const value = period.directCashFlow?.[key];
+          row[periodHeaders[index]] = value === undefined ? null : sign * value;
+        });
+        return row;
+      }),
+      formatting,
+    };
+  }
+
+  /**
+   * Build nominal vs real growth table of inflation-adjusted periods
+   * @param {Array} calculatedData - Periods from applyInflationAdjustment
+   * @returns {Object} Table definition for addTable
+   */
+  buildInflationTable(calculatedData) {
+    const { basePeriodIndex, isRealTerms } = calculatedData[0].inflationAdjustment;
+    const toFraction = (value) => (value === undefined ? null : value / 100);
+
+    return {
+      title: `Nominal vs Real Growth (constant currency of Period ${basePeriodIndex + 1}${isRealTerms ? ', statements restated' : ''})`,
+      headers: [
+        'Period', 'Inflation', 'Price index', 'Revenue (nominal)', 'Revenue (real)', 'Revenue growth (nominal)',
+        'Revenue growth (real)', 'Net income (nominal)', 'Net income (real)', 'Profit growth (nominal)', 'Profit growth (real)',
+      ],
+      data: calculatedData.map((period, index) => {
+        const { inflationRate, priceIndex, revenue, netIncome } = period.inflationAdjustment;
+        return {
+          Period: `Period ${index + 1}`,
+          Inflation: inflationRate / 100,
+          'Price index': priceIndex,
+          'Revenue (nominal)': revenue.nominal,
+          'Revenue (real)': revenue.real,
+          'Revenue growth (nominal)': toFraction(period.trends?.revenueGrowth),
+          'Revenue growth (real)': toFraction(period.trends?.revenueGrowthReal),
+          'Net income (nominal)': netIncome.nominal,
+          'Net income (real)': netIncome.real,
+          'Profit growth (nominal)': toFraction(period.trends?.profitGrowth),
+          'Profit growth (real)': toFraction(period.trends?.profitGrowthReal),
+        };
+      }),
+      formatting: {
+        Inflation: 'percentage',
+        'Price index': 'number',
+        'Revenue (nominal)': 'currency',
+        'Revenue (real)': 'currency',
+        'Revenue growth (nominal)': 'percentage',
+        'Revenue growth (real)': 'percentage',
+        'Net income (nominal)': 'currency',
+        'Net income (real)': 'currency',
+        'Profit growth (nominal)': 'percentage',
+        'Profit growth (real)': 'percentage',
+      },
+    };
+  }
+
+  /**
+   * Build sensitivity tables: two-way data table and tornado ranking
+   * @param {Object} sensitivity - runSensitivityAnalysis result ({ dataTable, tornado }) plus optional driverLabels
+   * @returns {Array<Object>} Table definitions for addTable
+   */
+  buildSensitivityTables(sensitivity) {
+    const metricLabels = {
+      closingCash: 'Closing cash',
+      ebitda: 'EBITDA',
+      netProfit: 'Net profit',
+      freeCashFlow: 'Free cash flow',
+    };
+    const formatStep = (step) => `${step > 0 ? '+' : ''}${step}%`;
+    const driverLabel = (driver) => sensitivity.driverLabels?.[driver] || driver;
+    const tables = [];
+    const { dataTable, tornado } = sensitivity;
+
+    if (dataTable) {
+      const cornerHeader = `${driverLabel(dataTable.rowDriver)} / ${driverLabel(dataTable.columnDriver)}`;
+      const stepHeaders = dataTable.steps.map(formatStep);
+      const formatting = {};
+      stepHeaders.forEach(header => {
+        formatting[header] = 'currency';
+      });
+
+      tables.push({
+        title: `Data Table - ${metricLabels[dataTable.metric] || dataTable.metric}`,
+        headers: [cornerHeader, ...stepHeaders],
+        data: dataTable.values.map((rowValues, rowIndex) => {
+          const row = { [cornerHeader]: formatStep(dataTable.steps[rowIndex]) };
+          rowValues.forEach((value, columnIndex) => {
+            row[stepHeaders[columnIndex]] = value;
+          });
+          return row;
+        }),
+        formatting,
+      });
+    }
+
+    if (tornado) {
+      tables.push({
+        title: `Tornado - ${metricLabels[tornado.metric] || tornado.metric} (±${tornado.rangePercent}%)`,
+        headers: ['Driver', 'Low', 'High', 'Low change', 'High change', 'Swing'],
+        data: tornado.bars.map(bar => ({
+          Driver: driverLabel(bar.driver),
+          Low: bar.lowValue,
+          High: bar.highValue,
+          'Low change': bar.lowDelta,
+          'High change': bar.highDelta,
+          Swing: bar.swing,
+        })),
+        formatting: {
+          Low: 'currency',
+          High: 'currency',
+          'Low change': 'currency',
+          'High change': 'currency',
+          Swing: 'currency',
+        },
+      });
+    }
+
+    return tables;
+  }
+
+  /**
+   * Build scenario comparison sheets: the metrics by period of each scenario and a delta sheet
+   * against the base scenario
+   * @param {Object} comparison - compareScenarios result plus optional metricLabels
+   * @returns {Array<Object>} Sheet definitions ({ name, title, tables }) for createSheet
+   */
+  buildScenarioComparisonSheets(comparison) {
+    const metricLabels = {
+      revenue: 'Revenue',
+      grossProfit: 'Gross profit',
+      ebitda: 'EBITDA',
+      ebitdaMargin: 'EBITDA margin (%)',
+      netIncome: 'Net income',
+      operatingCashFlow: 'Operating cash flow',
+      freeCashFlow: 'Free cash flow',
+      cashConversionCycle: 'Cash conversion cycle (days)',
+      closingCash: 'Closing cash',
+      ...comparison.metricLabels,
+    };
+    const metrics = Object.keys(metricLabels).filter(key => comparison.scenarios.some(scenario => key in scenario.summary));
+
+    // Excel sheet names: up to 31 characters, unique, without : \ / ? * [ ]
+    const usedNames = new Set();
+    const sheetName = (name) => {
+      const cleaned = String(name).replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, 28) || 'Scenario';
+      let unique = cleaned;
+      for (let suffix = 2; usedNames.has(unique.toLowerCase()); suffix++) {
+        unique = `${cleaned} ${suffix}`;
+      }
+      usedNames.add(unique.toLowerCase());
+      return unique;
+    };
+
+    const sheets = comparison.scenarios.map(scenario => {
+      const periodHeaders = scenario.rows.map(row => `Period ${row.periodIndex + 1}`);
+      const adjustments = Object.entries(scenario.adjustments || {}).filter(([, percent]) => Number(percent));
+      const tables = [{
+        title: 'Key Metrics by Period',
+        headers: ['Metric', ...periodHeaders, 'Total / Last'],
+        data: metrics.map(key => scenario.rows.reduce((row, period, index) => ({
+          ...row,
+          [periodHeaders[index]]: period[key],
+        }), { Metric: metricLabels[key], 'Total / Last': scenario.summary[key] })),
+        formatting: [...periodHeaders, 'Total / Last'].reduce((formatting, header) => ({ ...formatting, [header]: 'currency' }), {}),
+      }];
+
+      if (adjustments.length > 0) {
+        tables.push({
+          title: 'Driver Adjustments',
+          headers: ['Driver', 'Change (%)'],
+          data: adjustments.map(([driver, percent]) => ({
+            Driver: comparison.driverLabels?.[driver] || driver,
+            'Change (%)': percent,
+          })),
+        });
+      }
+
+      return { name: sheetName(scenario.name), title: scenario.name, tables };
+    });
+
+    const base = comparison.scenarios.find(scenario => scenario.id === comparison.baseScenarioId) || comparison.scenarios[0];
+    const deltaHeaders = comparison.deltas.flatMap(delta => [`${delta.name} vs ${base.name}`, `${delta.name} (%)`]);
+
+    sheets.push({
+      name: sheetName('Delta'),
+      title: `Scenario Deltas vs ${base.name}`,
+      tables: [{
+        title: 'Change against the base scenario',
+        headers: ['Metric', base.name, ...deltaHeaders],
+        data: metrics.map(key => comparison.deltas.reduce((row, delta) => ({
+          ...row,
+          [`${delta.name} vs ${base.name}`]: delta.metrics[key]?.delta ?? null,
+          [`${delta.name} (%)`]: delta.metrics[key]?.deltaPercent ?? null,
+        }), { Metric: metricLabels[key], [base.name]: base.summary[key] })),
+        formatting: comparison.deltas.reduce((formatting, delta) => ({
+          ...formatting,
+          [`${delta.name} vs ${base.name}`]: 'currency',
+        }), { [base.name]: 'currency' }),
+      }],
+    });
+
+    return sheets;
+  }
+
   /**
    * Add formulas to worksheet
    * @param {Object} worksheet - Excel worksheet
@@ -37,7 +37,7 @@ export class ExportService {
    */
   async export(data, options = {}) {
     try {
-      const exportOptions = { ...this.options, ...options };
+      let exportOptions = { ...this.options, ...options };
       
       // Apply template if specified
       if (exportOptions.templateId) {
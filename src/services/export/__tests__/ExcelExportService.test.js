@@ -73,6 +73,13 @@ describe('ExcelExportService', () => {
       expect(service.styles.currency.numFmt).toBe('$#,##0.00');
     });
 
+    it('should follow the presentation currency', () => {
+      const brlService = new ExcelExportService({ currency: 'BRL' });
+
+      expect(brlService.styles.currency.numFmt).toBe('"R$" #,##0.00');
+      expect(brlService.formatCurrency(1500)).toBe('R$1,500');
+    });
+
     it('should have correct percentage format', () => {
       expect(service.styles.percentage.numFmt).toBe('0.0%');
     });
@@ -285,6 +292,258 @@ describe('ExcelExportService', () => {
     });
   });
 
+  describe('buildDirectCashFlowTable', () => {
+    const calculatedData = [
+      {
+        directCashFlow: {
+          cashFromCustomers: 970000,
+          cashPaidToSuppliers: 600000,
+          cashPaidForOperatingExpenses: 200000,
+          taxesPaid: 31200,
+          netInterestReceivedPaid: -20000,
+          operatingCashFlow: 118800,
+          indirectOperatingCashFlow: 118800,
+          reconciliationDifference: 0,
+        },
+      },
+      {},
+    ];
+
+    it('should build one column per period with currency formatting', () => {
+      const table = service.buildDirectCashFlowTable(calculatedData);
+
+      expect(table.title).toBe('Direct Method Cash Flow Statement');
+      expect(table.headers).toEqual(['Line', 'Period 1', 'Period 2']);
+      expect(table.formatting['Period 1']).toBe('currency');
+      expect(table.data).toHaveLength(8);
+    });
+
+    it('should show payments as outflows and keep missing periods empty', () => {
+      const table = service.buildDirectCashFlowTable(calculatedData);
+      const suppliers = table.data.find(row => row.Line === 'Cash paid to suppliers');
+      const difference = table.data.find(row => row.Line === 'Reconciliation difference');
+
+      expect(suppliers['Period 1']).toBe(-600000);
+      expect(suppliers['Period 2']).toBeNull();
+      expect(difference['Period 1']).toBe(0);
+    });
+
+    it('should name the taxes paid after the active tax regime', () => {
+      const labelFor = (taxRegime) => service
+        .buildDirectCashFlowTable([{ ...calculatedData[0], incomeStatement: { taxRegime } }])
+        .data[3].Line;
+
+      expect(labelFor(undefined)).toBe('Taxes paid (IRPJ/CSLL)');
+      expect(labelFor('lucro_real')).toBe('Taxes paid (IRPJ/CSLL, PIS/COFINS)');
+      expect(labelFor('lucro_presumido')).toBe('Taxes paid (IRPJ/CSLL, PIS/COFINS)');
+      expect(labelFor('simples_nacional')).toBe('Taxes paid (Simples DAS)');
+    });
+
+    it('should add the table when calculatedData is exported', () => {
+      XLSX.utils.aoa_to_sheet = jest.fn(() => ({}));
+      service.addTable = jest.fn((worksheet, table, row) => row + 1);
+      service.setColumnWidths = jest.fn();
+      service.freezePanes = jest.fn();
+
+      service.createSheet(mockWorkbook, { calculatedData }, 'Report', service.defaultOptions);
+
+      expect(service.addTable).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ title: 'Direct Method Cash Flow Statement' }),
+        0,
+        service.defaultOptions,
+      );
+    });
+  });
+
+  describe('buildInflationTable', () => {
+    const inflationAdjustment = (revenue, real) => ({
+      inflationRate: 5,
+      priceIndex: 105,
+      basePeriodIndex: 1,
+      isRealTerms: true,
+      revenue: { nominal: revenue, real },
+      netIncome: { nominal: 100000, real: 105000 },
+    });
+    const calculatedData = [
+      { inflationAdjustment: inflationAdjustment(1000000, 1050000), trends: {} },
+      {
+        inflationAdjustment: inflationAdjustment(1100000, 1100000),
+        trends: { revenueGrowth: 10, revenueGrowthReal: 4.76, profitGrowth: 0, profitGrowthReal: -4.76 },
+      },
+    ];
+
+    it('should list nominal and real figures by period', () => {
+      const table = service.buildInflationTable(calculatedData);
+
+      expect(table.title).toBe('Nominal vs Real Growth (constant currency of Period 2, statements restated)');
+      expect(table.data).toHaveLength(2);
+      expect(table.data[1]['Revenue growth (nominal)']).toBeCloseTo(0.1, 4);
+      expect(table.data[1]['Revenue growth (real)']).toBeCloseTo(0.0476, 4);
+      expect(table.data[0]['Revenue growth (real)']).toBeNull();
+      expect(table.data[0]['Revenue (real)']).toBe(1050000);
+      expect(table.formatting['Revenue growth (real)']).toBe('percentage');
+    });
+
+    it('should add the table when inflation-adjusted periods are exported', () => {
+      XLSX.utils.aoa_to_sheet = jest.fn(() => ({}));
+      service.addTable = jest.fn((worksheet, table, row) => row + 1);
+      service.setColumnWidths = jest.fn();
+      service.freezePanes = jest.fn();
+
+      service.createSheet(mockWorkbook, { calculatedData }, 'Report', service.defaultOptions);
+
+      expect(service.addTable).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ title: expect.stringContaining('Nominal vs Real Growth') }),
+        0,
+        service.defaultOptions,
+      );
+    });
+  });
+
+  describe('buildSensitivityTables', () => {
+    const sensitivity = {
+      dataTable: {
+        metric: 'ebitda',
+        rowDriver: 'revenue',
+        columnDriver: 'operatingExpenses',
+        steps: [-10, 0, 10],
+        baseValue: 100,
+        values: [[80, 75, 70], [105, 100, 95], [130, 125, 120]],
+      },
+      tornado: {
+        metric: 'ebitda',
+        rangePercent: 10,
+        baseValue: 100,
+        bars: [{ driver: 'revenue', lowValue: 75, highValue: 125, lowDelta: -25, highDelta: 25, swing: 50 }],
+      },
+      driverLabels: { revenue: 'Revenue', operatingExpenses: 'Operating expenses' },
+    };
+
+    it('should build the two-way data table with one column per step', () => {
+      const [dataTable] = service.buildSensitivityTables(sensitivity);
+
+      expect(dataTable.title).toBe('Data Table - EBITDA');
+      expect(dataTable.headers).toEqual(['Revenue / Operating expenses', '-10%', '0%', '+10%']);
+      expect(dataTable.formatting['+10%']).toBe('currency');
+      expect(dataTable.data[2]).toEqual({ 'Revenue / Operating expenses': '+10%', '-10%': 130, '0%': 125, '+10%': 120 });
+    });
+
+    it('should build the tornado ranking', () => {
+      const [, tornado] = service.buildSensitivityTables(sensitivity);
+
+      expect(tornado.title).toBe('Tornado - EBITDA (±10%)');
+      expect(tornado.headers).toEqual(['Driver', 'Low', 'High', 'Low change', 'High change', 'Swing']);
+      expect(tornado.data[0]).toMatchObject({ Driver: 'Revenue', Low: 75, High: 125, Swing: 50 });
+    });
+
+    it('should add both tables when sensitivity is exported', () => {
+      XLSX.utils.aoa_to_sheet = jest.fn(() => ({}));
+      service.addTable = jest.fn((worksheet, table, row) => row + 1);
+      service.setColumnWidths = jest.fn();
+      service.freezePanes = jest.fn();
+
+      service.createSheet(mockWorkbook, { sensitivity }, 'Sensitivity', service.defaultOptions);
+
+      expect(service.addTable).toHaveBeenCalledTimes(2);
+      expect(service.addTable).toHaveBeenLastCalledWith(
+        expect.anything(),
+        expect.objectContaining({ title: 'Tornado - EBITDA (±10%)' }),
+        1,
+        service.defaultOptions,
+      );
+    });
+  });
+
+  describe('buildScenarioComparisonSheets', () => {
+    const comparison = {
+      baseScenarioId: 'current',
+      scenarios: [
+        {
+          id: 'current',
+          name: 'Atual',
+          adjustments: {},
+          rows: [{ periodIndex: 0, revenue: 100, closingCash: 20 }, { periodIndex: 1, revenue: 110, closingCash: 30 }],
+          summary: { revenue: 210, closingCash: 30 },
+        },
+        {
+          id: 'down',
+          name: 'Pessimista [Q1]',
+          adjustments: { revenue: -10 },
+          rows: [{ periodIndex: 0, revenue: 90, closingCash: 15 }, { periodIndex: 1, revenue: 99, closingCash: 18 }],
+          summary: { revenue: 189, closingCash: 18 },
+        },
+      ],
+      deltas: [{
+        id: 'down',
+        name: 'Pessimista [Q1]',
+        metrics: {
+          revenue: { value: 189, base: 210, delta: -21, deltaPercent: -10 },
+          closingCash: { value: 18, base: 30, delta: -12, deltaPercent: -40 },
+        },
+      }],
+      driverLabels: { revenue: 'Receita' },
+    };
+
+    it('should build one sheet per scenario plus a delta sheet', () => {
+      const sheets = service.buildScenarioComparisonSheets(comparison);
+
+      expect(sheets.map(sheet => sheet.name)).toEqual(['Atual', 'Pessimista  Q1', 'Delta']);
+      expect(sheets[0].tables[0].headers).toEqual(['Metric', 'Period 1', 'Period 2', 'Total / Last']);
+      expect(sheets[0].tables[0].data[0]).toEqual({ Metric: 'Revenue', 'Period 1': 100, 'Period 2': 110, 'Total / Last': 210 });
+      expect(sheets[1].tables[1].data).toEqual([{ Driver: 'Receita', 'Change (%)': -10 }]);
+    });
+
+    it('should list the deltas against the base scenario', () => {
+      const [, , deltaSheet] = service.buildScenarioComparisonSheets(comparison);
+      const [table] = deltaSheet.tables;
+
+      expect(table.headers).toEqual(['Metric', 'Atual', 'Pessimista [Q1] vs Atual', 'Pessimista [Q1] (%)']);
+      expect(table.data[1]).toEqual({
+        Metric: 'Closing cash', Atual: 30, 'Pessimista [Q1] vs Atual': -12, 'Pessimista [Q1] (%)': -40,
+      });
+    });
+
+    it('should create every sheet when a scenario comparison is exported', async () => {
+      service.createSheet = jest.fn();
+
+      const result = await service.export({ scenarioComparison: comparison });
+
+      expect(result.success).toBe(true);
+      expect(service.createSheet).toHaveBeenCalledTimes(3);
+      expect(service.createSheet).toHaveBeenLastCalledWith(
+        mockWorkbook,
+        expect.objectContaining({ name: 'Delta' }),
+        'Delta',
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe('template sections', () => {
+    it('should add the tables of processed template sections', () => {
+      XLSX.utils.aoa_to_sheet = jest.fn(() => ({}));
+      service.addTable = jest.fn((worksheet, table, row) => row + 1);
+      service.setColumnWidths = jest.fn();
+      service.freezePanes = jest.fn();
+      
+      const sections = [
+        { id: 'valuation', type: 'valuation', data: { tables: [{ title: 'WACC Build-up' }, { title: 'Enterprise to Equity Bridge' }] } },
+        { id: 'summary', type: 'summary', data: { text: 'No tables' } },
+      ];
+      service.createSheet(mockWorkbook, { sections }, 'Valuation', service.defaultOptions);
+      
+      expect(service.addTable).toHaveBeenCalledTimes(2);
+      expect(service.addTable).toHaveBeenLastCalledWith(
+        expect.anything(),
+        { title: 'Enterprise to Equity Bridge' },
+        1,
+        service.defaultOptions,
+      );
+    });
+  });
+
   describe('options handling', () => {
     it('should respect includeFormulas option', () => {
       const serviceWithoutFormulas = new ExcelExportService({ includeFormulas: false });
@@ -113,6 +113,72 @@ describe('ExportService', () => {
       expect(cloned.name).toBe('Cloned Template');
       expect(cloned.isCustom).toBe(true);
     });
+    
+    it('should build valuation tables from the valuation template', () => {
+      const valuation = {
+        settings: { riskFreeRate: 4.5, beta: 1, equityRiskPremium: 5.5, countryRiskPremium: 2.5 },
+        wacc: { costOfEquity: 12.5, costOfDebtPreTax: 14, costOfDebtAfterTax: 9.24, equityWeight: 70, debtWeight: 30, wacc: 11.52 },
+        forecast: [
+          { periodIndex: 2, ebitda: 300, ebit: 250, nopat: 165, depreciation: 50, workingCapitalChange: -10, capex: 60, fcff: 145, presentValue: 130 },
+        ],
+        terminalValue: { method: 'gordon', value: 2000, presentValue: 1790, growth: 3.5, exitMultiple: 6, shareOfEnterpriseValue: 93.2 },
+        bridge: { presentValueOfFlows: 130, presentValueOfTerminal: 1790, enterpriseValue: 1920, debt: 500, cash: 100, netDebt: 400, equityValue: 1520 },
+        grid: { variable: 'growth', waccValues: [10.52, 11.52], columnValues: [3, 3.5], equityValues: [[1700, 1800], [1450, 1520]] },
+      };
+      
+      const report = exportService.applyTemplate({ valuation }, 'business-valuation');
+      const [section] = report.sections;
+      const [waccTable, fcffTable, bridgeTable, gridTable] = section.data.tables;
+      
+      expect(section.type).toBe('valuation');
+      expect(section.data.summary).toMatchObject({ enterpriseValue: 1920, equityValue: 1520, wacc: 11.52 });
+      expect(waccTable.data.find(row => row.Component === 'WACC (%)').Value).toBe(11.52);
+      expect(fcffTable.headers).toEqual(['Line', 'Period 3']);
+      expect(fcffTable.data.find(row => row.Line === 'CAPEX')['Period 3']).toBe(-60);
+      expect(bridgeTable.data.find(row => row.Item === 'Bank loans').Amount).toBe(-500);
+      expect(gridTable.headers).toEqual(['WACC / g', '3%', '3.5%']);
+      expect(gridTable.data[1]).toEqual({ 'WACC / g': '11.52%', '3%': 1450, '3.5%': 1520 });
+    });
+    
+    it('should leave the valuation section empty without a valuation', () => {
+      const report = exportService.applyTemplate({}, 'business-valuation');
+      
+      expect(report.sections[0].data).toBeNull();
+    });
+    
+    it('should build credit committee tables from the credit score', () => {
+      const creditScore = {
+        model: 'scorecard',
+        rating: 'BBB',
+        scorecard: {
+          score: 64.5,
+          components: [
+            { label: 'Liquidez Corrente', source: 'ratios.currentRatio', value: 1.6, band: { operator: '≥', threshold: 1.5, points: 80 }, points: 80, weight: 15, contribution: 12 },
+            { label: 'Histórico de Pagamentos', source: 'Avaliação do analista', value: 'Sem restrições', band: undefined, points: 100, weight: 10, contribution: 10 },
+          ],
+        },
+        altman: {
+          zScore: 6.1,
+          constant: 3.25,
+          impliedRating: 'BBB',
+          components: [{ label: 'X1', numerator: 200, denominator: 1000, ratio: 0.2, coefficient: 6.56, contribution: 1.31 }],
+        },
+        ratingScale: [{ rating: 'BBB', minScore: 60, limitPercentOfRevenue: 12.5 }],
+        creditLimit: { annualizedRevenue: 1000000, limitPercentOfRevenue: 12.5, amount: 125000 },
+      };
+      
+      const report = exportService.applyTemplate({ creditScore }, 'credit-committee');
+      const [section] = report.sections;
+      const [summaryTable, scorecardTable, altmanTable, scaleTable] = section.data.tables;
+      
+      expect(section.type).toBe('creditScore');
+      expect(section.data.summary).toEqual({ rating: 'BBB', score: 64.5, zScore: 6.1, creditLimit: 125000 });
+      expect(summaryTable.data.find(row => row.Item === 'Suggested credit limit').Value).toBe(125000);
+      expect(scorecardTable.data[0]).toMatchObject({ Source: 'ratios.currentRatio', Band: '≥ 1.5', 'Weighted points': 12 });
+      expect(scorecardTable.data[1].Band).toBe('-');
+      expect(altmanTable.data[altmanTable.data.length - 1]).toEqual({ Component: 'Z\'\' score', Contribution: 6.1 });
+      expect(scaleTable.data).toEqual([{ Rating: 'BBB', 'Minimum score': 60, 'Limit (% of revenue)': 12.5 }]);
+    });
   });
   
   describe('Branding', () => {
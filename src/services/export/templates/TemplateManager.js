@@ -257,6 +257,14 @@ export class TemplateManager {
         processed.data = this.processCustomSection(section, data);
         break;
         
+      case 'valuation':
+        processed.data = this.processValuationSection(section, data);
+        break;
+        
+      case 'creditScore':
+        processed.data = this.processCreditScoreSection(section, data);
+        break;
+        
       default:
         processed.data = data[section.dataKey] || null;
     }
@@ -382,6 +390,185 @@ export class TemplateManager {
     return data[section.dataKey] || section.defaultData || null;
   }
 
+  /**
+   * Process valuation section (DCF result from valueCompany)
+   * @param {Object} section - Section configuration
+   * @param {Object} data - Report data
+   * @returns {Object} Processed valuation with summary and tables, or null without a valuation
+   */
+  processValuationSection(section, data) {
+    const valuation = data[section.dataKey || 'valuation'];
+    if (!valuation) {
+      return null;
+    }
+    
+    const { wacc, forecast, terminalValue, bridge, grid } = valuation;
+    const periodHeaders = forecast.map(row => `Period ${row.periodIndex + 1}`);
+    const fcffLines = [
+      ['EBITDA', 'ebitda'],
+      ['EBIT', 'ebit'],
+      ['NOPAT', 'nopat'],
+      ['D&A', 'depreciation'],
+      ['Working capital change', 'workingCapitalChange'],
+      ['CAPEX', 'capex', -1],
+      ['FCFF', 'fcff'],
+      ['Present value', 'presentValue'],
+    ];
+    const isGordon = grid.variable === 'growth';
+    const gridCorner = isGordon ? 'WACC / g' : 'WACC / EV/EBITDA';
+    const gridHeaders = grid.columnValues.map(value => (isGordon ? `${value}%` : `${value}x`));
+    
+    const tables = [
+      {
+        title: 'WACC Build-up',
+        headers: ['Component', 'Value'],
+        data: [
+          { Component: 'Risk-free rate (%)', Value: valuation.settings.riskFreeRate },
+          { Component: 'Beta', Value: valuation.settings.beta },
+          { Component: 'Equity risk premium (%)', Value: valuation.settings.equityRiskPremium },
+          { Component: 'Country risk premium (%)', Value: valuation.settings.countryRiskPremium },
+          { Component: 'Cost of equity (%)', Value: wacc.costOfEquity },
+          { Component: 'Cost of debt, pre-tax (%)', Value: wacc.costOfDebtPreTax },
+          { Component: 'Cost of debt, after tax (%)', Value: wacc.costOfDebtAfterTax },
+          { Component: 'Equity weight (%)', Value: wacc.equityWeight },
+          { Component: 'Debt weight (%)', Value: wacc.debtWeight },
+          { Component: 'WACC (%)', Value: wacc.wacc },
+        ],
+      },
+      {
+        title: 'Free Cash Flow to Firm',
+        headers: ['Line', ...periodHeaders],
+        data: fcffLines.map(([label, key, sign = 1]) => forecast.reduce((row, period, index) => ({
+          ...row,
+          [periodHeaders[index]]: period[key] * sign,
+        }), { Line: label })),
+        formatting: periodHeaders.reduce((formatting, header) => ({ ...formatting, [header]: 'currency' }), {}),
+      },
+      {
+        title: 'Enterprise to Equity Bridge',
+        headers: ['Item', 'Amount'],
+        data: [
+          { Item: 'PV of explicit cash flows', Amount: bridge.presentValueOfFlows },
+          { Item: `PV of terminal value (${isGordon ? `g ${terminalValue.growth}%` : `${terminalValue.exitMultiple}x EBITDA`})`, Amount: bridge.presentValueOfTerminal },
+          { Item: 'Enterprise value', Amount: bridge.enterpriseValue },
+          { Item: 'Bank loans', Amount: -bridge.debt },
+          { Item: 'Cash', Amount: bridge.cash },
+          { Item: 'Equity value', Amount: bridge.equityValue },
+        ],
+        formatting: { Amount: 'currency' },
+      },
+    ];
+    
+    if (section.includeGrid !== false) {
+      tables.push({
+        title: `Equity Value Sensitivity (${isGordon ? 'WACC x g' : 'WACC x Exit Multiple'})`,
+        headers: [gridCorner, ...gridHeaders],
+        data: grid.waccValues.map((rate, rowIndex) => grid.equityValues[rowIndex].reduce((row, value, columnIndex) => ({
+          ...row,
+          [gridHeaders[columnIndex]]: value,
+        }), { [gridCorner]: `${rate}%` })),
+        formatting: gridHeaders.reduce((formatting, header) => ({ ...formatting, [header]: 'currency' }), {}),
+      });
+    }
+    
+    return {
+      title: section.title,
+      summary: {
+        enterpriseValue: bridge.enterpriseValue,
+        equityValue: bridge.equityValue,
+        wacc: wacc.wacc,
+        terminalValueShare: terminalValue.shareOfEnterpriseValue,
+      },
+      tables,
+    };
+  }
+
+  /**
+   * Process credit score section (result from scoreCredit)
+   * @param {Object} section - Section configuration
+   * @param {Object} data - Report data
+   * @returns {Object} Processed credit score with summary and tables, or null without a score
+   */
+  processCreditScoreSection(section, data) {
+    const creditScore = data[section.dataKey || 'creditScore'];
+    if (!creditScore) {
+      return null;
+    }
+    
+    const { scorecard, altman, creditLimit } = creditScore;
+    const modelName = creditScore.model === 'altmanZ' ? 'Altman Z\'\' (emerging markets)' : 'Weighted scorecard';
+    
+    const tables = [
+      {
+        title: 'Rating Summary',
+        headers: ['Item', 'Value'],
+        data: [
+          { Item: 'Rating model', Value: modelName },
+          { Item: 'Internal rating', Value: creditScore.rating },
+          { Item: 'Scorecard score (0-100)', Value: scorecard.score },
+          { Item: 'Altman Z\'\' score', Value: altman.zScore },
+          { Item: 'Altman implied rating', Value: altman.impliedRating },
+          { Item: 'Annualized revenue', Value: creditLimit.annualizedRevenue },
+          { Item: 'Limit (% of revenue)', Value: creditLimit.limitPercentOfRevenue },
+          { Item: 'Suggested credit limit', Value: creditLimit.amount },
+        ],
+      },
+      {
+        title: 'Scorecard Components',
+        headers: ['Component', 'Source', 'Value', 'Band', 'Points', 'Weight', 'Weighted points'],
+        data: scorecard.components.map(component => ({
+          Component: component.label,
+          Source: component.source,
+          Value: component.value ?? 'N/A',
+          Band: component.band ? `${component.band.operator} ${component.band.threshold}` : '-',
+          Points: component.points,
+          Weight: component.weight,
+          'Weighted points': component.contribution,
+        })),
+      },
+      {
+        title: 'Altman Z\'\' (Emerging Markets)',
+        headers: ['Component', 'Numerator', 'Denominator', 'Ratio', 'Coefficient', 'Contribution'],
+        data: [
+          ...altman.components.map(component => ({
+            Component: component.label,
+            Numerator: component.numerator,
+            Denominator: component.denominator,
+            Ratio: component.ratio,
+            Coefficient: component.coefficient,
+            Contribution: component.contribution,
+          })),
+          { Component: 'Constant', Contribution: altman.constant },
+          { Component: 'Z\'\' score', Contribution: altman.zScore },
+        ],
+        formatting: { Numerator: 'currency', Denominator: 'currency' },
+      },
+    ];
+    
+    if (section.includeRatingScale !== false && creditScore.ratingScale) {
+      tables.push({
+        title: 'Rating Scale',
+        headers: ['Rating', 'Minimum score', 'Limit (% of revenue)'],
+        data: creditScore.ratingScale.map(entry => ({
+          Rating: entry.rating,
+          'Minimum score': entry.minScore,
+          'Limit (% of revenue)': entry.limitPercentOfRevenue,
+        })),
+      });
+    }
+    
+    return {
+      title: section.title,
+      summary: {
+        rating: creditScore.rating,
+        score: scorecard.score,
+        zScore: altman.zScore,
+        creditLimit: creditLimit.amount,
+      },
+      tables,
+    };
+  }
+
   /**
    * Apply transformation to sections
    * @param {Array} sections - Report sections
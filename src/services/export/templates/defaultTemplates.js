@@ -569,6 +569,85 @@ export const defaultTemplates = [
       autoFilter: true,
     },
   },
+  
+  {
+    id: 'business-valuation',
+    name: 'Business Valuation Report',
+    description: 'DCF valuation with WACC build-up, terminal value and equity bridge',
+    category: 'analysis',
+    layout: {
+      title: 'Business Valuation (DCF)',
+      orientation: 'landscape',
+      sections: ['title', 'metadata', 'valuation'],
+    },
+    sections: [
+      {
+        id: 'valuation',
+        type: 'valuation',
+        title: 'Discounted Cash Flow Valuation',
+        dataKey: 'valuation',
+        includeGrid: true,
+      },
+    ],
+    styling: {
+      theme: 'professional',
+      colors: {
+        primary: '#1d4ed8',
+        secondary: '#64748b',
+        positive: '#16a34a',
+        negative: '#dc2626',
+      },
+    },
+    metadata: {
+      author: 'Corporate Finance',
+      confidentiality: 'Confidential',
+    },
+    defaultOptions: {
+      format: 'excel',
+      orientation: 'landscape',
+      includeFormulas: false,
+      multipleSheets: false,
+    },
+  },
+  {
+    id: 'credit-committee',
+    name: 'Credit Committee Report',
+    description: 'Internal rating, scorecard components, Altman Z\'\' and suggested credit limit',
+    category: 'analysis',
+    layout: {
+      title: 'Credit Analysis',
+      orientation: 'portrait',
+      sections: ['title', 'metadata', 'creditScore'],
+    },
+    sections: [
+      {
+        id: 'creditScore',
+        type: 'creditScore',
+        title: 'Credit Rating and Limit',
+        dataKey: 'creditScore',
+        includeRatingScale: true,
+      },
+    ],
+    styling: {
+      theme: 'professional',
+      colors: {
+        primary: '#1e3a8a',
+        secondary: '#64748b',
+        positive: '#16a34a',
+        negative: '#dc2626',
+      },
+    },
+    metadata: {
+      author: 'Credit Department',
+      confidentiality: 'Confidential',
+    },
+    defaultOptions: {
+      format: 'excel',
+      orientation: 'portrait',
+      includeFormulas: false,
+      multipleSheets: false,
+    },
+  },
 ];
 
 /**
@@ -21,7 +21,11 @@ class FinancialCalculationService {
     if (this.isInitialized) return;
 
     try {
-      this.worker = new Worker('/src/workers/financialCalculator.worker.js');
+      const { createFinancialCalculatorWorker } = await import('../../workers/createFinancialCalculatorWorker');
+      // Another call may have created the worker while the module was loading
+      if (this.isInitialized) return;
+
+      this.worker = createFinancialCalculatorWorker();
       
       this.worker.onmessage = (event) => {
         const { id, success, error, ...data } = event.data;
@@ -180,16 +184,151 @@ class FinancialCalculationService {
    * Process Financial Data (legacy support)
    * @param {array} periodsInputDataRaw - Raw period data
    * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options, e.g. { taxSettings }
    * @returns {Promise<array>} - Processed financial data
    */
-  async processFinancialData(periodsInputDataRaw, periodTypeLabel) {
+  async processFinancialData(periodsInputDataRaw, periodTypeLabel, options = {}) {
     const result = await this.sendCalculation('FINANCIAL_DATA', {
       periodsInputDataRaw,
       periodTypeLabel,
+      options,
     });
     return result.data;
   }
 
+  /**
+   * Project the three statements forward from historical inputs
+   * @param {array} periodsInputDataRaw - Raw historical period data
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options with projection: { forecastPeriods, assumptions }
+   * @returns {Promise<array>} - Processed historical and forecast periods (flagged with isForecast)
+   */
+  async projectFinancialData(periodsInputDataRaw, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('PROJECTION', {
+      periodsInputDataRaw,
+      periodTypeLabel,
+      options,
+    });
+    return result.data;
+  }
+
+  /**
+   * Monte Carlo simulation of closing cash over a three-statement projection
+   * @param {array} periodsInputDataRaw - Raw historical period data
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options with
+   *   simulation: { iterations, forecastPeriods, drivers, correlations, seed }
+   * @returns {Promise<object>} - Closing cash percentile bands, probability of negative cash
+   *   and minimum cash distribution
+   */
+  async simulateCashFlow(periodsInputDataRaw, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('MONTE_CARLO', {
+      periodsInputDataRaw,
+      periodTypeLabel,
+      options,
+    });
+    return result.result;
+  }
+
+  /**
+   * Two-way data table and tornado ranking of drivers against a target metric
+   * @param {array} periodsInputDataRaw - Raw historical period data
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options with
+   *   sensitivity: { metric, rowDriver, columnDriver, steps, rangePercent, drivers }
+   * @returns {Promise<object>} - { dataTable, tornado }
+   */
+  async analyzeSensitivity(periodsInputDataRaw, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('SENSITIVITY', {
+      periodsInputDataRaw,
+      periodTypeLabel,
+      options,
+    });
+    return result.result;
+  }
+
+  /**
+   * Goal seek: driver values that make a target metric reach a given value
+   * @param {array} periodsInputDataRaw - Raw historical period data
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options with
+   *   goalSeek: { metric, target, drivers, scope, tolerance }
+   * @returns {Promise<object>} - Achieved value, driver changes and the solved inputs
+   */
+  async goalSeek(periodsInputDataRaw, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('GOAL_SEEK', {
+      periodsInputDataRaw,
+      periodTypeLabel,
+      options,
+    });
+    return result.result;
+  }
+
+  /**
+   * DCF valuation: FCFF, WACC, terminal value, equity bridge and WACC × g grid
+   * @param {array} periodsInputDataRaw - Raw historical period data
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options with valuation settings
+   *   (see getDefaultValuationSettings) and optional projection assumptions
+   * @returns {Promise<object>} - Valuation result
+   */
+  async valueCompany(periodsInputDataRaw, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('VALUATION', {
+      periodsInputDataRaw,
+      periodTypeLabel,
+      options,
+    });
+    return result.result;
+  }
+
+  /**
+   * Compare actual periods with a budget
+   * @param {array} periodsInputDataRaw - Raw actual period inputs
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options with budget: { periods, productMix }
+   * @returns {Promise<object>} - Line variances and revenue price / volume / mix bridge
+   */
+  async compareToBudget(periodsInputDataRaw, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('BUDGET_VARIANCE', {
+      periodsInputDataRaw,
+      periodTypeLabel,
+      options,
+    });
+    return result.result;
+  }
+
+  /**
+   * Compare named scenarios side by side
+   * @param {array} scenarios - [{ id, name, type, periods, adjustments }]; the first one is the base
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options
+   * @returns {Promise<object>} - Metrics per scenario and deltas against the base
+   */
+  async compareScenarios(scenarios, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('SCENARIO_COMPARISON', {
+      scenarios,
+      periodTypeLabel,
+      options,
+    });
+    return result.result;
+  }
+
+  /**
+   * Consolidate the entities of a group
+   * @param {array} entities - [{ id, name, periods, ownershipPercent, isParent, lineMapping }]
+   * @param {string} periodTypeLabel - Period type (MONTHLY, QUARTERLY, YEARLY)
+   * @param {object} options - Calculation options plus intercompany eliminations
+   * @returns {Promise<object>} - Consolidated periods and entity-by-entity bridge
+   */
+  async consolidate(entities, periodTypeLabel, options = {}) {
+    const result = await this.sendCalculation('CONSOLIDATION', {
+      entities,
+      periodTypeLabel,
+      options,
+    });
+    return result.result;
+  }
+
   /**
    * Batch calculate multiple financial metrics
    * @param {array} calculations - Array of calculation requests
@@ -4,6 +4,26 @@
 
 import { validateModel, createProject, createScenario, createReport } from './models';
 import * as XLSX from 'xlsx';
+import { parseSPED, suggestSPEDMapping, buildSPEDPeriods } from './spedImport';
+import { parseTrialBalanceRows, applyAccountMapping } from './trialBalanceImport';
+import { parseOFX, parseCNAB, parseBankStatement } from './bankStatementImport';
+import { aggregateBankTransactions } from '../../utils/bankReconciliation';
+import { parseNFeZip, aggregateNFeInvoices } from './nfeImport';
+
+/**
+ * Decodes a text file read as bytes: UTF-8 when the bytes are valid UTF-8, otherwise
+ * ISO-8859-1 (as Windows-1252), the encoding of the SPED layout and of most CNAB/OFX bank exports
+ * @param {string|ArrayBuffer|Uint8Array} content - File content
+ * @returns {string}
+ */
+const decodeText = (content) => {
+  if (typeof content === 'string') return content;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(content);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(content);
+  }
+};
 
 /**
  * Data import service
@@ -12,7 +32,7 @@ export class DataImportService {
   constructor(config = {}) {
     this.config = {
       maxFileSize: config.maxFileSize || 50 * 1024 * 1024, // 50MB
-      allowedFormats: config.allowedFormats || ['json', 'csv', 'excel', 'xlsx'],
+      allowedFormats: config.allowedFormats || ['json', 'csv', 'excel', 'xlsx', 'sped', 'ofx', 'cnab', 'nfe'],
       strictValidation: config.strictValidation !== false,
       autoCorrect: config.autoCorrect !== false,
       ...config,
@@ -45,6 +65,13 @@ export class DataImportService {
       case 'excel':
       case 'xlsx':
         return this.importExcel(content, options);
+      case 'sped':
+        return this.importSPED(content, options);
+      case 'ofx':
+      case 'cnab':
+        return this.importBankStatement(content, options);
+      case 'nfe':
+        return this.importNFeZip(content, options);
       default:
         throw new Error(`Unsupported import format: ${format}`);
     }
@@ -119,6 +146,146 @@ export class DataImportService {
     }
   }
 
+  /**
+   * Import SPED ECD/ECF bookkeeping file
+   * Accounts are mapped to the model drivers (referential code, then name); the result
+   * carries the proposed mapping so unmapped accounts can be reviewed and the periods
+   * rebuilt with buildSPEDPeriods.
+   * @param {string|ArrayBuffer} content - SPED content, as text or as the file bytes (UTF-8 or ISO-8859-1)
+   * @param {Object} options - Import options ({ periodType: 'anos' | 'trimestres' | 'meses' })
+   * @returns {Promise<Object>}
+   */
+  async importSPED(content, options = {}) {
+    const sped = parseSPED(decodeText(content));
+    const mapping = { ...suggestSPEDMapping(sped), ...options.mapping };
+
+    return {
+      sped,
+      mapping,
+      ...buildSPEDPeriods(sped, mapping, options),
+    };
+  }
+
+  /**
+   * Rebuild SPED period inputs after the mapping review
+   * @param {Object} sped - Parsed SPED file (importSPED result)
+   * @param {Object} mapping - Account code to driver
+   * @param {Object} options - Build options ({ periodType })
+   * @returns {Object}
+   */
+  buildSPEDPeriods(sped, mapping, options = {}) {
+    return buildSPEDPeriods(sped, mapping, options);
+  }
+
+  /**
+   * Import trial balance (CSV or Excel)
+   * Accounts are aggregated into the model drivers with the project's mapping rules;
+   * accounts with a balance and no rule are returned for review.
+   * @param {string|ArrayBuffer} content - CSV text or Excel file content
+   * @param {Object} options - Import options ({ format: 'csv' | 'excel', mapping, periodType })
+   * @returns {Promise<Object>}
+   */
+  async importTrialBalance(content, options = {}) {
+    let rows;
+    if (options.format === 'excel') {
+      try {
+        const workbook = XLSX.read(content, { type: 'array' });
+        rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '' });
+      } catch (error) {
+        throw new Error(`Failed to parse Excel file: ${error.message}`);
+      }
+    } else {
+      // Exports often start with title lines; pt-BR files use ';' since ',' is the decimal mark
+      const head = content.split('\n').slice(0, 20).join('\n');
+      const delimiter = (head.match(/;/g) || []).length > (head.match(/,/g) || []).length ? ';' : ',';
+      rows = this._parseCSV(content, delimiter);
+    }
+
+    const trialBalance = parseTrialBalanceRows(rows);
+    return {
+      trialBalance,
+      ...applyAccountMapping(trialBalance, options.mapping, options),
+    };
+  }
+
+  /**
+   * Rebuild trial balance period inputs after the mapping changes
+   * @param {Object} trialBalance - Parsed trial balance (importTrialBalance result)
+   * @param {Object} mapping - Mapping rules
+   * @param {Object} options - Build options ({ periodType })
+   * @returns {Object}
+   */
+  applyAccountMapping(trialBalance, mapping, options = {}) {
+    return applyAccountMapping(trialBalance, mapping, options);
+  }
+
+  /**
+   * Import bank statement (OFX or CNAB 240/400 return file, detected from the content)
+   * Transactions are categorized with the payee/memo rules and aggregated into the
+   * period buckets; statements of several files are merged with mergeBankStatements.
+   * @param {string|ArrayBuffer} content - OFX or CNAB content, as text or as the file bytes (UTF-8, ISO-8859-1 or Windows-1252)
+   * @param {Object} options - Import options ({ rules, periodType, periodStartDate, numberOfPeriods, openingBalance })
+   * @returns {Promise<Object>}
+   */
+  async importBankStatement(content, options = {}) {
+    const statement = parseBankStatement(decodeText(content));
+    return {
+      statement,
+      ...aggregateBankTransactions(statement, options.rules, options),
+    };
+  }
+
+  /**
+   * Import OFX bank statement
+   * @param {string} content - OFX text content
+   * @param {Object} options - Import options (see importBankStatement)
+   * @returns {Promise<Object>}
+   */
+  async importOFX(content, options = {}) {
+    const statement = parseOFX(content);
+    return { statement, ...aggregateBankTransactions(statement, options.rules, options) };
+  }
+
+  /**
+   * Import CNAB 240/400 return file
+   * @param {string} content - CNAB text content
+   * @param {Object} options - Import options (see importBankStatement)
+   * @returns {Promise<Object>}
+   */
+  async importCNAB(content, options = {}) {
+    const statement = parseCNAB(content);
+    return { statement, ...aggregateBankTransactions(statement, options.rules, options) };
+  }
+
+  /**
+   * Import zip of NF-e XML documents
+   * Sales are aggregated into periods (revenue, taxes, receivables from duplicatas) and
+   * customers; the result carries the invoices so the periods can be rebuilt with
+   * aggregateNFeInvoices when the period type changes.
+   * @param {ArrayBuffer|Uint8Array} content - Zip file content
+   * @param {Object} options - Import options ({ periodType, periodStartDate, revenueBasis })
+   * @returns {Promise<Object>}
+   */
+  async importNFeZip(content, options = {}) {
+    const { invoices, skippedFiles, cancelledCount } = await parseNFeZip(content);
+    return {
+      invoices,
+      skippedFiles,
+      cancelledCount,
+      ...aggregateNFeInvoices(invoices, options),
+    };
+  }
+
+  /**
+   * Rebuild NF-e period aggregates
+   * @param {Array<Object>} invoices - Parsed invoices (importNFeZip result)
+   * @param {Object} options - Build options ({ periodType, periodStartDate, revenueBasis })
+   * @returns {Object}
+   */
+  aggregateNFeInvoices(invoices, options = {}) {
+    return aggregateNFeInvoices(invoices, options);
+  }
+
   /**
    * Validate imported data
    * @param {Object} data - Data to validate
@@ -184,6 +351,10 @@ export class DataImportService {
     if (extension === 'json') return 'json';
     if (extension === 'csv') return 'csv';
     if (extension === 'xlsx' || extension === 'xls') return 'excel';
+    if (extension === 'txt') return 'sped';
+    if (extension === 'ofx') return 'ofx';
+    if (['ret', 'rem', 'cnab'].includes(extension)) return 'cnab';
+    if (extension === 'zip') return 'nfe';
     
     // Try to detect by MIME type
     if (file.type === 'application/json') return 'json';
@@ -206,7 +377,8 @@ export class DataImportService {
       
       const format = this._detectFormat(file);
       
-      if (format === 'excel' || format === 'xlsx') {
+      // SPED and bank files are decoded by their importers, since FileReader text is always UTF-8
+      if (['excel', 'xlsx', 'nfe', 'sped', 'ofx', 'cnab'].includes(format)) {
         reader.readAsArrayBuffer(file);
       } else {
         reader.readAsText(file);
@@ -216,9 +388,11 @@ export class DataImportService {
 
   /**
    * Parse CSV content
+   * @param {string} content - CSV content
+   * @param {string} delimiter - Cell delimiter (',' or ';')
    * @private
    */
-  _parseCSV(content) {
+  _parseCSV(content, delimiter = ',') {
     const lines = content.split('\n').filter(line => line.trim());
     const rows = [];
     
@@ -237,7 +411,7 @@ export class DataImportService {
           } else {
             inQuotes = !inQuotes;
           }
-        } else if (char === ',' && !inQuotes) {
+        } else if (char === delimiter && !inQuotes) {
           row.push(current.trim());
           current = '';
         } else {
@@ -9,6 +9,7 @@ import { AutoSaveService } from './AutoSaveService';
 import { DataExportService } from './DataExportService';
 import { DataImportService } from './DataImportService';
 import { StorageError, StorageErrorCode } from './StorageService';
+import { createProject, SCENARIO_TYPES } from './models';
 
 /**
  * Main storage manager that orchestrates all storage services
@@ -134,6 +135,61 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Get a project, creating it when it does not exist yet
+   * @param {Object} projectData - Project data (id required; see createProject)
+   * @returns {Promise<Object>}
+   */
+  async ensureProject(projectData) {
+    this._ensureInitialized();
+
+    const existing = await this.getProject(projectData.id);
+    if (existing) return existing;
+
+    const project = createProject(projectData);
+    await this.saveProject(project);
+    return project;
+  }
+
+  /**
+   * Update the settings of a project, creating the project when needed
+   * @param {Object} projectData - Project data (id required; see createProject)
+   * @param {Object} settings - Settings to merge into the project settings
+   * @returns {Promise<Object>} Updated project
+   */
+  async saveProjectSettings(projectData, settings) {
+    const project = await this.ensureProject(projectData);
+    const updated = { ...project, settings: { ...project.settings, ...settings }, updatedAt: new Date() };
+    await this.saveProject(updated);
+    return updated;
+  }
+
+  /**
+   * Save the consolidation settings of a project, creating the project when needed
+   * @param {Object} projectData - Project data (id required; see createProject)
+   * @param {Object|null} consolidation - Consolidation settings (entities and eliminations)
+   * @returns {Promise<Object>} Updated project
+   */
+  async saveConsolidation(projectData, consolidation) {
+    const project = await this.ensureProject(projectData);
+    const updated = { ...project, consolidation, updatedAt: new Date() };
+    await this.saveProject(updated);
+    return updated;
+  }
+
+  /**
+   * Save the chart-of-accounts mapping of a project, reused on the next trial balance upload
+   * @param {Object} projectData - Project data (id required; see createProject)
+   * @param {Object|null} accountMapping - Mapping rules (see AccountMapping)
+   * @returns {Promise<Object>} Updated project
+   */
+  async saveAccountMapping(projectData, accountMapping) {
+    const project = await this.ensureProject(projectData);
+    const updated = { ...project, accountMapping, updatedAt: new Date() };
+    await this.saveProject(updated);
+    return updated;
+  }
+
   /**
    * Get a project by ID
    * @param {string} projectId - Project ID
@@ -242,6 +298,31 @@ export class StorageManager {
     return await storage.getAll('scenarios', options);
   }
 
+  /**
+   * Get the latest budget scenario of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>}
+   */
+  async getBudgetScenario(projectId) {
+    const scenarios = await this.getScenarios({ projectId });
+    const budgets = (scenarios || []).filter(scenario => scenario.type === SCENARIO_TYPES.BUDGET);
+    if (budgets.length === 0) return null;
+
+    return budgets.reduce((latest, scenario) => (
+      new Date(scenario.updatedAt) > new Date(latest.updatedAt) ? scenario : latest
+    ));
+  }
+
+  /**
+   * Get the entity scenarios (consolidation group companies) of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object[]>}
+   */
+  async getEntityScenarios(projectId) {
+    const scenarios = await this.getScenarios({ projectId });
+    return (scenarios || []).filter(scenario => scenario.type === SCENARIO_TYPES.ENTITY);
+  }
+
   /**
    * Delete a scenario
    * @param {string} scenarioId - Scenario ID
@@ -195,6 +195,60 @@ describe('StorageManager', () => {
       await manager.initialize();
     });
 
+    describe('ensureProject', () => {
+      it('should return an existing project', async () => {
+        const project = { id: 'proj-1', name: 'Test Project', scenarioIds: [] };
+        mockIndexedDB.get.mockResolvedValue(project);
+
+        const result = await manager.ensureProject({ id: 'proj-1', name: 'Other' });
+
+        expect(result).toBe(project);
+        expect(mockIndexedDB.set).not.toHaveBeenCalled();
+      });
+
+      it('should create a missing project', async () => {
+        const result = await manager.ensureProject({ id: 'proj-1', name: 'Test Project', userId: 'local' });
+
+        expect(result).toMatchObject({ id: 'proj-1', name: 'Test Project', scenarioIds: [] });
+        expect(mockIndexedDB.set).toHaveBeenCalledWith('projects', result);
+      });
+    });
+
+    describe('saveProjectSettings', () => {
+      it('should merge the settings into the project', async () => {
+        mockIndexedDB.get.mockResolvedValue({ id: 'proj-1', name: 'Grupo', settings: { currency: 'BRL', industry: 'General' } });
+
+        const result = await manager.saveProjectSettings({ id: 'proj-1' }, { currency: 'USD', functionalCurrency: 'EUR' });
+
+        expect(result.settings).toEqual({ currency: 'USD', functionalCurrency: 'EUR', industry: 'General' });
+        expect(mockIndexedDB.set).toHaveBeenCalledWith('projects', result);
+      });
+    });
+
+    describe('saveConsolidation', () => {
+      it('should store the consolidation settings on the project', async () => {
+        mockIndexedDB.get.mockResolvedValue({ id: 'proj-1', name: 'Grupo', scenarioIds: [], consolidation: null });
+        const consolidation = { entities: [{ scenarioId: 'scen-1', name: 'Holding', ownershipPercent: 100 }], eliminations: [] };
+
+        const result = await manager.saveConsolidation({ id: 'proj-1' }, consolidation);
+
+        expect(result.consolidation).toBe(consolidation);
+        expect(mockIndexedDB.set).toHaveBeenCalledWith('projects', result);
+      });
+    });
+
+    describe('saveAccountMapping', () => {
+      it('should store the account mapping on the project', async () => {
+        mockIndexedDB.get.mockResolvedValue({ id: 'proj-1', name: 'Empresa', scenarioIds: [], accountMapping: null });
+        const accountMapping = { rules: [{ from: '3.1', to: null, target: 'revenue', sign: -1 }] };
+
+        const result = await manager.saveAccountMapping({ id: 'proj-1' }, accountMapping);
+
+        expect(result.accountMapping).toBe(accountMapping);
+        expect(mockIndexedDB.set).toHaveBeenCalledWith('projects', result);
+      });
+    });
+
     describe('saveProject', () => {
       it('should save project successfully', async () => {
         const project = { id: 'proj-1', name: 'Test Project' };
@@ -375,6 +429,40 @@ describe('StorageManager', () => {
       });
     });
 
+    describe('getBudgetScenario', () => {
+      it('should return the latest budget scenario of the project', async () => {
+        mockIndexedDB.query.mockResolvedValue([
+          { id: 'scen-1', projectId: 'proj-1', type: 'base', updatedAt: new Date('2026-03-01') },
+          { id: 'scen-2', projectId: 'proj-1', type: 'budget', updatedAt: new Date('2026-01-01') },
+          { id: 'scen-3', projectId: 'proj-1', type: 'budget', updatedAt: new Date('2026-02-01') },
+        ]);
+
+        const result = await manager.getBudgetScenario('proj-1');
+
+        expect(mockIndexedDB.query).toHaveBeenCalledWith('scenarios', 'projectId', 'proj-1');
+        expect(result.id).toBe('scen-3');
+      });
+
+      it('should return null without a budget scenario', async () => {
+        mockIndexedDB.query.mockResolvedValue([{ id: 'scen-1', projectId: 'proj-1', type: 'base' }]);
+
+        expect(await manager.getBudgetScenario('proj-1')).toBeNull();
+      });
+    });
+
+    describe('getEntityScenarios', () => {
+      it('should return only the entity scenarios of the project', async () => {
+        mockIndexedDB.query.mockResolvedValue([
+          { id: 'scen-1', projectId: 'proj-1', type: 'base' },
+          { id: 'scen-2', projectId: 'proj-1', type: 'entity' },
+        ]);
+
+        const result = await manager.getEntityScenarios('proj-1');
+
+        expect(result.map(scenario => scenario.id)).toEqual(['scen-2']);
+      });
+    });
+
     describe('deleteScenario', () => {
       it('should delete scenario', async () => {
         const scenario = { id: 'scen-1', projectId: 'proj-1' };
@@ -0,0 +1,174 @@
+// src/services/storage/__tests__/bankStatementImport.test.js
+import {
+  BANK_STATEMENT_FORMATS,
+  detectBankStatementFormat,
+  parseOFX,
+  parseCNAB,
+  parseBankStatement,
+} from '../bankStatementImport';
+import { DataImportService } from '../DataImportService';
+import { getDefaultBankReconciliationSettings } from '../../../utils/bankReconciliation';
+
+const OFX_SGML = [
+  'OFXHEADER:100',
+  'DATA:OFXSGML',
+  '',
+  '<OFX>',
+  '<BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+  '<BANKACCTFROM><BANKID>0341<ACCTID>12345-6</BANKACCTFROM>',
+  '<BANKTRANLIST>',
+  '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240105120000[-3:BRT]<TRNAMT>1500,00<FITID>A1<NAME>PIX RECEBIDO CLIENTE X<MEMO>Venda 123</STMTTRN>',
+  '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240110<TRNAMT>-800.50<FITID>A2<MEMO>PAGTO FOLHA JANEIRO</STMTTRN>',
+  '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240220<TRNAMT>-200.00<FITID>A3<MEMO>DARF IRPJ</STMTTRN>',
+  '</BANKTRANLIST>',
+  '<LEDGERBAL><BALAMT>5499.50<DTASOF>20240229</LEDGERBAL>',
+  '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+  '</OFX>',
+].join('\n');
+
+// Fixed-width record with values at 1-based positions
+const record = (length, fields) => {
+  const chars = Array(length).fill(' ');
+  Object.entries(fields).forEach(([start, value]) => {
+    String(value).split('').forEach((char, i) => { chars[Number(start) - 1 + i] = char; });
+  });
+  return chars.join('');
+};
+
+const CNAB240_STATEMENT = [
+  record(240, { 1: '341', 8: '0', 59: '000000012345', 71: '6' }),
+  record(240, { 1: '341', 8: '1', 143: '01012024', 151: '000000000000100000', 169: 'C' }),
+  record(240, { 1: '341', 8: '3', 14: 'E', 143: '15012024', 151: '000000000000050000', 169: 'C', 177: 'TED RECEBIDA CLIENTE Y', 202: 'DOC001' }),
+  record(240, { 1: '341', 8: '3', 14: 'E', 143: '20012024', 151: '000000000000030000', 169: 'D', 177: 'PAGTO FORNECEDOR Z', 202: 'DOC002' }),
+  record(240, { 1: '341', 8: '5', 143: '31012024', 151: '000000000000120000', 169: 'C' }),
+  record(240, { 1: '341', 8: '9' }),
+].join('\r\n');
+
+const CNAB240_COLLECTION = [
+  record(240, { 1: '001', 8: '0' }),
+  record(240, { 1: '001', 8: '3', 14: 'T', 16: '06', 59: 'NF1001', 149: 'CLIENTE ALFA LTDA' }),
+  record(240, { 1: '001', 8: '3', 14: 'U', 16: '06', 78: '000000000010000', 93: '000000000009850', 138: '05022024', 146: '06022024' }),
+  record(240, { 1: '001', 8: '3', 14: 'T', 16: '02', 59: 'NF1002', 149: 'CLIENTE BETA' }),
+  record(240, { 1: '001', 8: '3', 14: 'U', 16: '02', 78: '000000000005000' }),
+].join('\n');
+
+const CNAB400_COLLECTION = [
+  record(400, { 1: '0', 27: 'EMPRESA 123', 77: '237', 80: 'BRADESCO' }),
+  record(400, { 1: '1', 109: '06', 111: '100324', 117: 'NF2001', 254: '0000000025000', 296: '110324', 325: 'CLIENTE GAMA' }),
+  record(400, { 1: '1', 109: '09', 111: '100324', 117: 'NF2002', 254: '0000000010000' }),
+  record(400, { 1: '9' }),
+].join('\n');
+
+describe('detectBankStatementFormat', () => {
+  it('detects OFX and CNAB by content and rejects other files', () => {
+    expect(detectBankStatementFormat(OFX_SGML)).toBe(BANK_STATEMENT_FORMATS.OFX);
+    expect(detectBankStatementFormat(CNAB240_STATEMENT)).toBe(BANK_STATEMENT_FORMATS.CNAB240);
+    expect(detectBankStatementFormat(CNAB400_COLLECTION)).toBe(BANK_STATEMENT_FORMATS.CNAB400);
+    expect(() => detectBankStatementFormat('Data;Valor\n01/01/2024;10')).toThrow(/Unrecognized bank statement/);
+  });
+});
+
+describe('parseOFX', () => {
+  it('reads signed transactions, payee, memo and the ledger balance', () => {
+    const statement = parseOFX(OFX_SGML);
+
+    expect(statement.bankCode).toBe('0341');
+    expect(statement.account).toBe('12345-6');
+    expect(statement.transactions).toEqual([
+      { id: 'A1', date: '2024-01-05', amount: 1500, payee: 'PIX RECEBIDO CLIENTE X', memo: 'Venda 123', type: 'CREDIT' },
+      { id: 'A2', date: '2024-01-10', amount: -800.5, payee: '', memo: 'PAGTO FOLHA JANEIRO', type: 'DEBIT' },
+      { id: 'A3', date: '2024-02-20', amount: -200, payee: '', memo: 'DARF IRPJ', type: 'DEBIT' },
+    ]);
+    expect(statement.closingBalance).toEqual({ date: '2024-02-29', amount: 5499.5 });
+  });
+
+  it('reads OFX 2.x XML statements', () => {
+    const statement = parseOFX('<?xml version="1.0"?><OFX><STMTTRN><DTPOSTED>20240301</DTPOSTED><TRNAMT>10.00</TRNAMT><FITID>X</FITID></STMTTRN></OFX>');
+    expect(statement.transactions[0]).toMatchObject({ id: 'X', date: '2024-03-01', amount: 10 });
+  });
+
+  it('rejects content without an OFX statement', () => {
+    expect(() => parseOFX('<html></html>')).toThrow(/Invalid OFX file/);
+  });
+});
+
+describe('parseCNAB', () => {
+  it('reads CNAB 240 statement entries with the batch balances', () => {
+    const statement = parseCNAB(CNAB240_STATEMENT);
+
+    expect(statement.format).toBe(BANK_STATEMENT_FORMATS.CNAB240);
+    expect(statement.account).toBe('12345-6');
+    expect(statement.openingBalance).toEqual({ date: '2024-01-01', amount: 1000 });
+    expect(statement.closingBalance).toEqual({ date: '2024-01-31', amount: 1200 });
+    expect(statement.transactions.map(transaction => [transaction.date, transaction.amount, transaction.payee])).toEqual([
+      ['2024-01-15', 500, 'TED RECEBIDA CLIENTE Y'],
+      ['2024-01-20', -300, 'PAGTO FORNECEDOR Z'],
+    ]);
+  });
+
+  it('turns paid CNAB 240 collection titles into receipts at the credit date', () => {
+    const { transactions, closingBalance } = parseCNAB(CNAB240_COLLECTION);
+
+    expect(transactions).toEqual([{
+      id: 'NF1001',
+      date: '2024-02-06',
+      amount: 98.5,
+      payee: 'CLIENTE ALFA LTDA',
+      memo: 'Liquidação de título NF1001',
+      type: '06',
+    }]);
+    expect(closingBalance).toBeNull();
+  });
+
+  it('turns paid CNAB 400 collection titles into receipts', () => {
+    const statement = parseBankStatement(CNAB400_COLLECTION);
+
+    expect(statement.format).toBe(BANK_STATEMENT_FORMATS.CNAB400);
+    expect(statement.bankCode).toBe('237');
+    expect(statement.transactions).toEqual([{
+      id: 'NF2001',
+      date: '2024-03-11',
+      amount: 250,
+      payee: 'CLIENTE GAMA',
+      memo: 'Liquidação de título NF2001',
+      type: '06',
+    }]);
+  });
+});
+
+describe('DataImportService.importBankStatement', () => {
+  it('categorizes and buckets the transactions into the period type', async () => {
+    const service = new DataImportService();
+    const { rules } = getDefaultBankReconciliationSettings();
+    const result = await service.importBankStatement(OFX_SGML, { rules, periodType: 'meses' });
+
+    expect(result.statement.transactions).toHaveLength(3);
+    expect(result.periods.map(period => period.startDate)).toEqual(['2024-01-01', '2024-02-01']);
+    expect(result.periods[0].byCategory).toMatchObject({ receipts: 1500, payroll: -800.5 });
+    expect(result.periods[1].byCategory.taxes).toBe(-200);
+    expect(result.periods[1].closingBalance).toBe(5499.5);
+    expect(result.periods[0].closingBalance).toBe(5699.5);
+  });
+
+  it('decodes Windows-1252 files so accented descriptions still match the rules', async () => {
+    const service = new DataImportService();
+    const { rules } = getDefaultBankReconciliationSettings();
+    const ofx = OFX_SGML.replace('PAGTO FOLHA JANEIRO', 'PAGAMENTO SALÁRIOS JANEIRO');
+    const cnab = CNAB240_STATEMENT.replace('PAGTO FORNECEDOR Z', 'PARCELA EMPRÉSTIMO');
+    const toBytes = (text) => Uint8Array.from(Buffer.from(text, 'latin1')).buffer;
+
+    const ofxResult = await service.importBankStatement(toBytes(ofx), { rules, periodType: 'meses' });
+    expect(ofxResult.statement.transactions[1].memo).toBe('PAGAMENTO SALÁRIOS JANEIRO');
+    expect(ofxResult.periods[0].byCategory).toMatchObject({ payroll: -800.5 });
+
+    const cnabResult = await service.importBankStatement(toBytes(cnab), { rules, periodType: 'meses' });
+    expect(cnabResult.statement.transactions[1].payee).toBe('PARCELA EMPRÉSTIMO');
+    expect(cnabResult.periods[0].byCategory).toMatchObject({ receipts: 500, debtService: -300 });
+  });
+
+  it('detects bank statement files by extension', () => {
+    const service = new DataImportService();
+    expect(service._detectFormat({ name: 'extrato.ofx', type: '' })).toBe('ofx');
+    expect(service._detectFormat({ name: 'COB240.RET', type: '' })).toBe('cnab');
+  });
+});
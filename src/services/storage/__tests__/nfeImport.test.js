@@ -0,0 +1,170 @@
+// src/services/storage/__tests__/nfeImport.test.js
+import JSZip from 'jszip';
+import {
+  parseNFeXML,
+  parseNFeZip,
+  aggregateNFeInvoices,
+  NFE_REVENUE_BASES,
+  UNIDENTIFIED_CUSTOMER_ID,
+} from '../nfeImport';
+import { DataImportService } from '../DataImportService';
+
+const COMPANY = '11222333000181';
+
+const nfe = ({
+  key,
+  date,
+  tpNF = '1',
+  finNFe = '1',
+  issuer = COMPANY,
+  customer = { CNPJ: '99888777000100', xNome: 'Cliente A' },
+  cfop = '5102',
+  vProd,
+  vDesc = 0,
+  vICMS = 0,
+  vPIS = 0,
+  vCOFINS = 0,
+  vIPI = 0,
+  dups = [],
+  cStat = '100',
+}) => `<?xml version="1.0" encoding="UTF-8"?>
+<nfeProc xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">
+  <NFe><infNFe Id="NFe${key}" versao="4.00">
+    <ide><mod>55</mod><nNF>${key.slice(-4)}</nNF><dhEmi>${date}T10:00:00-03:00</dhEmi><tpNF>${tpNF}</tpNF><finNFe>${finNFe}</finNFe></ide>
+    <emit><CNPJ>${issuer}</CNPJ><xNome>Empresa Teste</xNome></emit>
+    ${customer ? `<dest>${Object.entries(customer).map(([tag, value]) => `<${tag}>${value}</${tag}>`).join('')}</dest>` : ''}
+    <det nItem="1"><prod><CFOP>${cfop}</CFOP><vProd>${vProd}</vProd></prod></det>
+    <total><ICMSTot>
+      <vICMS>${vICMS}</vICMS><vST>0.00</vST><vProd>${vProd}</vProd><vFrete>0.00</vFrete><vSeg>0.00</vSeg>
+      <vDesc>${vDesc}</vDesc><vIPI>${vIPI}</vIPI><vPIS>${vPIS}</vPIS><vCOFINS>${vCOFINS}</vCOFINS><vOutro>0.00</vOutro>
+      <vNF>${vProd - vDesc + vIPI}</vNF>
+    </ICMSTot></total>
+    ${dups.length ? `<cobr>${dups.map(([nDup, dVenc, vDup]) => `<dup><nDup>${nDup}</nDup><dVenc>${dVenc}</dVenc><vDup>${vDup}</vDup></dup>`).join('')}</cobr>` : ''}
+  </infNFe></NFe>
+  <protNFe versao="4.00"><infProt><chNFe>${key}</chNFe><cStat>${cStat}</cStat></infProt></protNFe>
+</nfeProc>`;
+
+const cancellation = (key) => `<?xml version="1.0"?>
+<procEventoNFe xmlns="http://www.portalfiscal.inf.br/nfe"><evento><infEvento><chNFe>${key}</chNFe><tpEvento>110111</tpEvento></infEvento></evento></procEventoNFe>`;
+
+const INVOICES = [
+  nfe({ key: '0001', date: '2024-01-10', vProd: 1000, vICMS: 180, vPIS: 16.5, vCOFINS: 76, dups: [['001', '2024-02-09', 1000]] }),
+  nfe({ key: '0002', date: '2024-02-15', vProd: 3000, vICMS: 540, vPIS: 49.5, vCOFINS: 228, customer: { CNPJ: '55444333000122', xNome: 'Cliente B' }, dups: [['001', '2024-03-16', 1500], ['002', '2024-04-15', 1500]] }),
+  nfe({ key: '0003', date: '2024-04-20', vProd: 500, customer: null }),
+  nfe({ key: '0004', date: '2024-04-25', vProd: 200, tpNF: '0', finNFe: '4', cfop: '1202', vICMS: 36 }),
+  nfe({ key: '0005', date: '2024-04-26', vProd: 900, cfop: '5152' }),
+];
+
+const buildZip = async (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'uint8array' });
+};
+
+describe('parseNFeXML', () => {
+  it('reads the invoice header, totals, customer and duplicatas', () => {
+    const invoice = parseNFeXML(INVOICES[1]);
+
+    expect(invoice).toMatchObject({
+      accessKey: '0002',
+      issueDate: '2024-02-15',
+      direction: 'out',
+      purpose: '1',
+      status: '100',
+      issuer: { id: COMPANY },
+      customer: { id: '55444333000122', name: 'Cliente B' },
+      cfops: ['5102'],
+    });
+    expect(invoice.totals).toMatchObject({ products: 3000, icms: 540, pis: 49.5, cofins: 228, invoice: 3000 });
+    expect(invoice.duplicatas).toEqual([
+      { number: '001', dueDate: '2024-03-16', amount: 1500 },
+      { number: '002', dueDate: '2024-04-15', amount: 1500 },
+    ]);
+  });
+
+  it('identifies invoices without a recipient and ignores other documents', () => {
+    expect(parseNFeXML(INVOICES[2]).customer.id).toBe(UNIDENTIFIED_CUSTOMER_ID);
+    expect(parseNFeXML(cancellation('0001'))).toBeNull();
+  });
+});
+
+describe('parseNFeZip', () => {
+  it('keeps authorized invoices, applies cancellation events and skips other files', async () => {
+    const content = await buildZip({
+      'nfe/0001.xml': INVOICES[0],
+      'nfe/0002.xml': INVOICES[1],
+      'nfe/0009.xml': nfe({ key: '0009', date: '2024-01-11', vProd: 50 }),
+      'eventos/canc-0009.xml': cancellation('0009'),
+      'nfe/0010.xml': nfe({ key: '0010', date: '2024-01-12', vProd: 70, cStat: '110' }),
+      'leiame.txt': 'exportado pelo ERP',
+      'quebrado.xml': '<nfeProc><NFe>',
+    });
+
+    const { invoices, skippedFiles, cancelledCount } = await parseNFeZip(content);
+
+    expect(invoices.map(invoice => invoice.accessKey)).toEqual(['0001', '0002']);
+    expect(cancelledCount).toBe(1);
+    expect(skippedFiles.sort()).toEqual(['leiame.txt', 'nfe/0010.xml', 'quebrado.xml']);
+  });
+
+  it('rejects zips without NF-e documents', async () => {
+    await expect(parseNFeZip(await buildZip({ 'a.txt': 'x' }))).rejects.toThrow(/No authorized NF-e/);
+  });
+});
+
+describe('aggregateNFeInvoices', () => {
+  const invoices = INVOICES.map(parseNFeXML);
+
+  it('aggregates revenue and taxes per period, deducting returns and ignoring non-sales', () => {
+    const { periods, warnings } = aggregateNFeInvoices(invoices, { periodType: 'trimestres' });
+
+    expect(periods.map(period => period.startDate)).toEqual(['2024-01-01', '2024-04-01']);
+    expect(periods[0]).toMatchObject({ invoiceCount: 2, grossRevenue: 4000, icms: 720, pis: 66, cofins: 304, netRevenue: 2910 });
+    expect(periods[1]).toMatchObject({ invoiceCount: 1, returnCount: 1, grossRevenue: 300, returns: 200, icms: -36, netRevenue: 336 });
+    expect(warnings).toEqual(['1 invoice(s) without a sales CFOP (transfers, shipments, adjustments) were ignored']);
+  });
+
+  it('estimates DSO and average receivables from the duplicata due dates', () => {
+    const { periods } = aggregateNFeInvoices(invoices, { periodType: 'meses' });
+    const [january, february] = periods;
+
+    expect(january.dso).toBe(30);
+    expect(january.receivablesAvg).toBe(709.68); // 1000 open 22 of 31 days
+    expect(february.dso).toBe(45);
+    expect(february.receivablesAvg).toBe(1827.59); // 1000 for 8 days + 3000 for 15 days, of 29
+    expect(periods[2].dso).toBeNull();
+  });
+
+  it('ranks customers and prefills revenue on the selected basis', () => {
+    const gross = aggregateNFeInvoices(invoices, { periodType: 'anos' });
+    const net = aggregateNFeInvoices(invoices, { periodType: 'anos', revenueBasis: NFE_REVENUE_BASES.NET });
+
+    expect(gross.companyId).toBe(COMPANY);
+    expect(gross.customers.map(customer => [customer.id, customer.revenue])).toEqual([
+      ['55444333000122', 3000],
+      ['99888777000100', 800],
+      [UNIDENTIFIED_CUSTOMER_ID, 500],
+    ]);
+    expect(gross.inputData).toEqual([{ revenue: 4300, accountsReceivableValueAvg: 450.82 }]);
+    expect(net.inputData[0].revenue).toBe(3246);
+  });
+
+  it('ignores invoices of other issuers', () => {
+    const other = parseNFeXML(nfe({ key: '0099', date: '2024-01-05', vProd: 10, issuer: '00000000000191' }));
+    const { warnings, customers } = aggregateNFeInvoices([...invoices, other], { periodType: 'anos' });
+
+    expect(warnings).toContain('1 invoice(s) issued by other CNPJs were ignored');
+    expect(customers.reduce((sum, customer) => sum + customer.revenue, 0)).toBe(4300);
+  });
+});
+
+describe('DataImportService.importNFeZip', () => {
+  it('imports a zip and detects it by extension', async () => {
+    const service = new DataImportService();
+    const result = await service.importNFeZip(await buildZip({ '1.xml': INVOICES[0], '2.xml': INVOICES[1] }), { periodType: 'anos' });
+
+    expect(result.invoices).toHaveLength(2);
+    expect(result.inputData[0].revenue).toBe(4000);
+    expect(service._detectFormat({ name: 'notas.zip', type: '' })).toBe('nfe');
+  });
+});
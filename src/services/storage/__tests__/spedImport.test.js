@@ -0,0 +1,258 @@
+// src/services/storage/__tests__/spedImport.test.js
+import {
+  parseSPED,
+  suggestSPEDMapping,
+  buildSPEDPeriods,
+  groupSPEDPeriods,
+  SPED_IGNORE_TARGET,
+} from '../spedImport';
+import { DataImportService } from '../DataImportService';
+
+const line = (...fields) => `|${fields.join('|')}|`;
+
+// Two-month ECD with the closing entry in February
+const ECD_FILE = [
+  line('0000', 'LECD', '01012024', '29022024', 'Empresa Teste Ltda', '12345678000190', 'SP'),
+  line('I050', '01012020', '01', 'S', '1', '1', '', 'ATIVO'),
+  line('I050', '01012020', '01', 'S', '3', '1.1.1', '1', 'Circulante Grupo A'),
+  line('I050', '01012020', '01', 'A', '4', '1.1.1.01', '1.1.1', 'Conta Movimento 123'),
+  line('I051', '', '1.01.01.02.01'),
+  line('I050', '01012020', '01', 'A', '4', '1.1.2.01', '1', 'Duplicatas a Receber'),
+  line('I050', '01012020', '01', 'A', '4', '1.1.3.01', '1', 'Mercadorias para Revenda'),
+  line('I050', '01012020', '01', 'A', '4', '1.1.4.01', '1', 'ICMS a Recuperar'),
+  line('I050', '01012020', '01', 'A', '4', '1.2.1.01', '1', 'Máquinas e Equipamentos'),
+  line('I050', '01012020', '02', 'A', '4', '2.1.1.01', '2', 'Fornecedores Nacionais'),
+  line('I050', '01012020', '02', 'A', '4', '2.1.2.01', '2', 'Empréstimos Bancários'),
+  line('I050', '01012020', '03', 'A', '4', '2.3.1.01', '2', 'Capital Social'),
+  line('I050', '01012020', '04', 'A', '3', '3.1.01', '3', 'Receita de Vendas'),
+  line('I050', '01012020', '04', 'A', '3', '3.2.01', '3', 'Custo das Mercadorias Vendidas'),
+  line('I050', '01012020', '04', 'A', '3', '3.3.01', '3', 'Despesas Administrativas'),
+  line('I050', '01012020', '04', 'A', '3', '3.3.02', '3', 'Depreciação'),
+  line('I050', '01012020', '04', 'A', '3', '3.4.01', '3', 'Juros Passivos'),
+  line('I050', '01012020', '04', 'A', '3', '3.5.01', '3', 'Provisão para IRPJ'),
+  line('I150', '01012024', '31012024'),
+  line('I155', '1.1.1.01', '', '1000,00', 'D', '500,00', '0,00', '1500,00', 'D'),
+  line('I155', '1.1.2.01', '', '2000,00', 'D', '1000,00', '0,00', '3000,00', 'D'),
+  line('I155', '1.1.3.01', '', '500,00', 'D', '200,00', '0,00', '700,00', 'D'),
+  line('I155', '1.1.4.01', '', '0,00', 'D', '100,00', '0,00', '100,00', 'D'),
+  line('I155', '1.2.1.01', '', '10000,00', 'D', '0,00', '100,00', '9900,00', 'D'),
+  line('I155', '2.1.1.01', '', '800,00', 'C', '0,00', '200,00', '1000,00', 'C'),
+  line('I155', '2.1.2.01', '', '5000,00', 'C', '0,00', '0,00', '5000,00', 'C'),
+  line('I155', '2.3.1.01', '', '7700,00', 'C', '0,00', '0,00', '7700,00', 'C'),
+  line('I155', '3.1.01', 'CC1', '0,00', 'C', '0,00', '6000,00', '6000,00', 'C'),
+  line('I155', '3.1.01', 'CC2', '0,00', 'C', '0,00', '4000,00', '4000,00', 'C'),
+  line('I155', '3.2.01', '', '0,00', 'D', '6000,00', '0,00', '6000,00', 'D'),
+  line('I155', '3.3.01', '', '0,00', 'D', '2000,00', '0,00', '2000,00', 'D'),
+  line('I155', '3.3.02', '', '0,00', 'D', '100,00', '0,00', '100,00', 'D'),
+  line('I155', '3.4.01', '', '0,00', 'D', '200,00', '0,00', '200,00', 'D'),
+  line('I155', '3.5.01', '', '0,00', 'D', '340,00', '0,00', '340,00', 'D'),
+  line('I150', '01022024', '29022024'),
+  line('I155', '1.1.1.01', '', '1500,00', 'D', '300,00', '0,00', '1800,00', 'D'),
+  line('I155', '1.1.2.01', '', '3000,00', 'D', '0,00', '200,00', '2800,00', 'D'),
+  line('I155', '1.1.3.01', '', '700,00', 'D', '200,00', '0,00', '900,00', 'D'),
+  line('I155', '1.1.4.01', '', '100,00', 'D', '0,00', '0,00', '100,00', 'D'),
+  line('I155', '1.2.1.01', '', '9900,00', 'D', '0,00', '100,00', '9800,00', 'D'),
+  line('I155', '2.1.1.01', '', '1000,00', 'C', '0,00', '200,00', '1200,00', 'C'),
+  line('I155', '2.1.2.01', '', '5000,00', 'C', '500,00', '0,00', '4500,00', 'C'),
+  line('I155', '2.3.1.01', '', '7700,00', 'C', '0,00', '0,00', '7700,00', 'C'),
+  line('I155', '3.1.01', '', '10000,00', 'C', '22000,00', '12000,00', '0,00', 'D'),
+  line('I155', '3.2.01', '', '6000,00', 'D', '7200,00', '13200,00', '0,00', 'D'),
+  line('I155', '3.3.01', '', '2000,00', 'D', '2100,00', '4100,00', '0,00', 'D'),
+  line('I155', '3.3.02', '', '100,00', 'D', '100,00', '200,00', '0,00', 'D'),
+  line('I155', '3.4.01', '', '200,00', 'D', '200,00', '400,00', '0,00', 'D'),
+  line('I155', '3.5.01', '', '340,00', 'D', '480,00', '820,00', '0,00', 'D'),
+  line('I350', '29022024'),
+  line('I355', '3.1.01', '', '22000,00', 'C'),
+  line('I355', '3.2.01', '', '13200,00', 'D'),
+  line('I355', '3.3.01', '', '4100,00', 'D'),
+  line('I355', '3.3.02', '', '200,00', 'D'),
+  line('I355', '3.4.01', '', '400,00', 'D'),
+  line('I355', '3.5.01', '', '820,00', 'D'),
+  line('9999', '60'),
+].join('\r\n');
+
+// Annual ECF: K155 balances, K355 results before closing
+const ECF_FILE = [
+  line('0000', 'LECF', '0010', '98765432000110', 'Industria Exemplo SA', '0', '0', '', '', '01012023', '31122023'),
+  line('J050', '01012020', '01', 'A', '4', '1.01', '', 'Clientes'),
+  line('J050', '01012020', '02', 'A', '4', '2.01', '', 'Fornecedores'),
+  line('J050', '01012020', '04', 'A', '4', '3.01', '', 'Receita Bruta de Vendas'),
+  line('J050', '01012020', '04', 'A', '4', '3.02', '', 'Custo dos Produtos Vendidos'),
+  line('K030', '01012023', '31122023', 'A00'),
+  line('K155', '1.01', '', '4000,00', 'D', '0,00', '0,00', '6000,00', 'D'),
+  line('K155', '2.01', '', '1000,00', 'C', '0,00', '0,00', '3000,00', 'C'),
+  line('K355', '3.01', '', '50000,00', 'C'),
+  line('K355', '3.02', '', '30000,00', 'D'),
+].join('\n');
+
+// ECD with statements only (layout 9 J100/J150)
+const STATEMENTS_FILE = [
+  line('0000', 'LECD', '01012024', '31122024', 'Comercio Demonstrativo', '11222333000181'),
+  line('J005', '01012024', '31122024', '1', ''),
+  line('J100', '1', 'T', '1', '', 'A', 'Ativo', '5000,00', 'D', '9000,00', 'D', ''),
+  line('J100', '1.1', 'D', '2', '1', 'A', 'Estoques', '5000,00', 'D', '9000,00', 'D', ''),
+  line('J100', '2.3', 'D', '2', '', 'P', 'Capital Social', '5000,00', 'C', '5000,00', 'C', ''),
+  line('J150', '1', '3.1', 'D', '2', '', 'Receita Líquida', '0,00', 'C', '40000,00', 'C', 'R', ''),
+  line('J150', '2', '3.2', 'D', '2', '', 'Custo das Vendas', '0,00', 'D', '24000,00', 'D', 'D', ''),
+].join('\n');
+
+describe('parseSPED', () => {
+  it('reads the ECD header, chart of accounts and monthly trial balances', () => {
+    const sped = parseSPED(ECD_FILE);
+
+    expect(sped.layout).toBe('ECD');
+    expect(sped.company).toEqual({ name: 'Empresa Teste Ltda', cnpj: '12345678000190' });
+    expect(sped.startDate).toBe('2024-01-01');
+    expect(sped.endDate).toBe('2024-02-29');
+    expect(sped.source).toBe('trialBalance');
+    expect(sped.periods).toHaveLength(2);
+    expect(sped.accounts.find(a => a.code === '1.1.1.01').referentialCode).toBe('1.01.01.02.01');
+  });
+
+  it('sums cost centres and takes results from balance changes and pre-closing balances', () => {
+    const [january, february] = parseSPED(ECD_FILE).periods;
+
+    expect(january.results['3.1.01']).toBe(-10000);
+    expect(january.balances['2.1.1.01']).toEqual({ opening: -800, closing: -1000 });
+    // Closing month: I355 (22000 C) less the opening balance (10000 C)
+    expect(february.results['3.1.01']).toBe(-12000);
+    expect(february.results['3.5.01']).toBe(480);
+  });
+
+  it('maps ECF records and K355 results', () => {
+    const sped = parseSPED(ECF_FILE);
+
+    expect(sped.layout).toBe('ECF');
+    expect(sped.company.cnpj).toBe('98765432000110');
+    expect(sped.endDate).toBe('2023-12-31');
+    expect(sped.periods[0].results).toEqual({ '3.01': -50000, '3.02': 30000 });
+    expect(sped.periods[0].balances['1.01']).toEqual({ opening: 4000, closing: 6000 });
+  });
+
+  it('falls back to the J100/J150 statements without trial balances', () => {
+    const sped = parseSPED(STATEMENTS_FILE);
+
+    expect(sped.source).toBe('statements');
+    expect(sped.accounts.filter(a => a.analytic).map(a => a.code)).toEqual(['J100:1.1', 'J100:2.3', 'J150:3.1', 'J150:3.2']);
+    expect(sped.accounts.find(a => a.code === 'J100:2.3').nature).toBe('03');
+    expect(sped.periods[0].results['J150:3.1']).toBe(-40000);
+  });
+
+  it('rejects files that are not ECD or ECF', () => {
+    expect(() => parseSPED('|0000|LFPD|01012024|')).toThrow(/Not a SPED ECD\/ECF file/);
+    expect(() => parseSPED(line('0000', 'LECD', '01012024', '31122024', 'X', '1'))).toThrow(/no trial balance/);
+  });
+});
+
+describe('suggestSPEDMapping', () => {
+  it('maps by referential code, equity nature and account names', () => {
+    const mapping = suggestSPEDMapping(parseSPED(ECD_FILE));
+
+    expect(mapping).toEqual({
+      '1.1.1.01': 'cash',
+      '1.1.2.01': 'accountsReceivable',
+      '1.1.3.01': 'inventory',
+      '1.1.4.01': null,
+      '1.2.1.01': 'netFixedAssets',
+      '2.1.1.01': 'accountsPayable',
+      '2.1.2.01': 'totalBankLoans',
+      '2.3.1.01': 'equity',
+      '3.1.01': 'revenue',
+      '3.2.01': 'cogs',
+      '3.3.01': 'operatingExpenses',
+      '3.3.02': 'depreciationAndAmortisation',
+      '3.4.01': 'netInterestExpenseIncome',
+      '3.5.01': 'incomeTax',
+    });
+  });
+});
+
+describe('buildSPEDPeriods', () => {
+  const sped = parseSPED(ECD_FILE);
+  const mapping = suggestSPEDMapping(sped);
+
+  it('builds monthly inputs with derived margin and tax rate', () => {
+    const { inputData, unmappedAccounts } = buildSPEDPeriods(sped, mapping, { periodType: 'meses' });
+
+    expect(inputData).toHaveLength(2);
+    expect(inputData[0]).toEqual({
+      revenue: 10000,
+      grossMarginPercentage: 40,
+      operatingExpenses: 2000,
+      depreciationAndAmortisation: 100,
+      netInterestExpenseIncome: -200,
+      incomeTaxRatePercentage: 20,
+      openingCash: 1000,
+      accountsReceivableValueAvg: 2500,
+      inventoryValueAvg: 600,
+      accountsPayableValueAvg: 900,
+      netFixedAssets: 9900,
+      totalBankLoans: 5000,
+      initialEquity: 7700,
+    });
+    expect(inputData[1].revenue).toBe(12000);
+    expect(inputData[1].accountsReceivableValueAvg).toBe(2900);
+    expect(inputData[1]).not.toHaveProperty('openingCash');
+    expect(unmappedAccounts.map(a => a.code)).toEqual(['1.1.4.01']);
+  });
+
+  it('groups the months into one annual period', () => {
+    const { inputData, periods } = buildSPEDPeriods(sped, mapping);
+
+    expect(periods).toHaveLength(1);
+    expect(periods[0]).toMatchObject({ startDate: '2024-01-01', endDate: '2024-02-29' });
+    expect(inputData[0]).toMatchObject({
+      revenue: 22000,
+      grossMarginPercentage: 40,
+      operatingExpenses: 4100,
+      netInterestExpenseIncome: -400,
+      incomeTaxRatePercentage: 20,
+      accountsReceivableValueAvg: 2400,
+      accountsPayableValueAvg: 1000,
+      netFixedAssets: 9800,
+      totalBankLoans: 4500,
+    });
+  });
+
+  it('drops ignored accounts from the unmapped list', () => {
+    const { unmappedAccounts } = buildSPEDPeriods(sped, { ...mapping, '1.1.4.01': SPED_IGNORE_TARGET });
+    expect(unmappedAccounts).toEqual([]);
+  });
+
+  it('rejects a period type shorter than the file periods', () => {
+    expect(() => groupSPEDPeriods(parseSPED(ECF_FILE).periods, 'trimestres')).toThrow(/longer than the selected period type/);
+  });
+});
+
+describe('DataImportService.importSPED', () => {
+  it('returns the parsed file, proposed mapping and period inputs', async () => {
+    const service = new DataImportService();
+    const result = await service.importSPED(ECF_FILE, { periodType: 'anos' });
+
+    expect(result.sped.layout).toBe('ECF');
+    expect(result.mapping).toEqual({ '1.01': 'accountsReceivable', '2.01': 'accountsPayable', '3.01': 'revenue', '3.02': 'cogs' });
+    expect(result.inputData[0]).toMatchObject({ revenue: 50000, grossMarginPercentage: 40, accountsReceivableValueAvg: 5000, accountsPayableValueAvg: 2000 });
+  });
+
+  it('decodes ISO-8859-1 files so accented account names still map', async () => {
+    const service = new DataImportService();
+    const latin1 = Uint8Array.from(Buffer.from(ECD_FILE, 'latin1'));
+    const result = await service.importSPED(latin1.buffer, { periodType: 'meses' });
+
+    expect(result.sped.accounts.find(a => a.code === '2.1.2.01').name).toBe('Empréstimos Bancários');
+    expect(result.mapping['2.1.2.01']).toBe('totalBankLoans');
+    expect(result.mapping['3.3.02']).toBe('depreciationAndAmortisation');
+  });
+
+  it('still reads UTF-8 file bytes', async () => {
+    const service = new DataImportService();
+    const result = await service.importSPED(new TextEncoder().encode(ECD_FILE).buffer, { periodType: 'meses' });
+
+    expect(result.sped.accounts.find(a => a.code === '3.3.02').name).toBe('Depreciação');
+  });
+
+  it('detects .txt files as SPED', () => {
+    const service = new DataImportService();
+    expect(service._detectFormat({ name: 'ECD_2024.txt', type: 'text/plain' })).toBe('sped');
+  });
+});
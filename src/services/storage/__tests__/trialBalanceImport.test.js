@@ -0,0 +1,185 @@
+// src/services/storage/__tests__/trialBalanceImport.test.js
+import * as XLSX from 'xlsx';
+import {
+  parseAmount,
+  codeStartsWith,
+  ruleMatchesCode,
+  parseTrialBalanceRows,
+  applyAccountMapping,
+  TRIAL_BALANCE_TARGETS,
+  TRIAL_BALANCE_IGNORE_TARGET,
+} from '../trialBalanceImport';
+import { DataImportService } from '../DataImportService';
+
+const CSV_FILE = [
+  'Balancete de Verificação - Empresa Teste',
+  'Conta;Descrição;Saldo Anterior;Débito;Crédito;Saldo Jan/24;Saldo Fev/24',
+  '1;ATIVO;;;;6.150,00 D;8.000,00 D',
+  '1.1.01;Caixa e Bancos;;;;1.000,00 D;1.200,00 D',
+  '1.1.02;Clientes;;;;3.000,00 D;5.000,00 D',
+  '1.1.03;Estoques;;;;2.000,00 D;1.800,00 D',
+  '1.1.04;ICMS a Recuperar;;;;150,00 D;0,00',
+  '2.1.01;Fornecedores;;;;1.000,00 C;1.400,00 C',
+  '3.1.01;Receita de Vendas;;;;10.000,00 C;12.000,00 C',
+  '3.1.02;Devoluções de Vendas;;;;500,00 D;0,00',
+  '3.2.01;CMV;;;;5.700,00 D;7.200,00 D',
+  '3.3.01;Despesas Gerais;;;;2.000,00 D;2.100,00 D',
+  '3.5.01;IRPJ e CSLL;;;;360,00 D;540,00 D',
+  ';Total;;;;0,00;0,00',
+].join('\n');
+
+const MAPPING = {
+  rules: [
+    { from: '1.1.01', to: null, target: 'openingCash', sign: 1 },
+    { from: '1.1.02', to: null, target: 'accountsReceivableValueAvg', sign: 1 },
+    { from: '1.1.03', to: null, target: 'inventoryValueAvg', sign: 1 },
+    { from: '2.1', to: null, target: 'accountsPayableValueAvg', sign: -1 },
+    { from: '3.1.01', to: '3.1.99', target: 'revenue', sign: -1 },
+    { from: '3.2', to: null, target: 'cogs', sign: 1 },
+    { from: '3.3', to: null, target: 'operatingExpenses', sign: 1 },
+    { from: '3.5', to: null, target: 'incomeTax', sign: 1 },
+  ],
+};
+
+const parseCsv = (content) => content.split('\n').map(line => line.split(';'));
+
+describe('parseAmount', () => {
+  it('reads pt-BR, plain, D/C and parenthesised amounts', () => {
+    expect(parseAmount('1.234,56')).toBe(1234.56);
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('1.000,00 C')).toBe(-1000);
+    expect(parseAmount('250,00D')).toBe(250);
+    expect(parseAmount('(300,00)')).toBe(-300);
+    expect(parseAmount('R$ 42')).toBe(42);
+    expect(parseAmount(99.5)).toBe(99.5);
+    expect(parseAmount('')).toBe(0);
+  });
+});
+
+describe('account codes', () => {
+  it('matches sub-accounts at segment boundaries', () => {
+    expect(codeStartsWith('3.1.01', '3.1')).toBe(true);
+    expect(codeStartsWith('3.10.01', '3.1')).toBe(false);
+    expect(codeStartsWith('3110', '311')).toBe(true);
+  });
+
+  it('matches ranges including the sub-accounts of the last code', () => {
+    const rule = { from: '3.1.01', to: '3.1.05' };
+    expect(ruleMatchesCode('3.1.02', rule)).toBe(true);
+    expect(ruleMatchesCode('3.1.05.001', rule)).toBe(true);
+    expect(ruleMatchesCode('3.1.10', rule)).toBe(false);
+    expect(ruleMatchesCode('3.0.99', rule)).toBe(false);
+  });
+});
+
+describe('parseTrialBalanceRows', () => {
+  it('finds the header, one period per balance column and skips group accounts and totals', () => {
+    const { periods, accounts } = parseTrialBalanceRows(parseCsv(CSV_FILE));
+
+    expect(periods).toEqual(['Saldo Jan/24', 'Saldo Fev/24']);
+    expect(accounts.map(account => account.code)).not.toContain('1');
+    expect(accounts).toHaveLength(10);
+    expect(accounts.find(account => account.code === '2.1.01')).toEqual({
+      code: '2.1.01',
+      description: 'Fornecedores',
+      balances: [-1000, -1400],
+    });
+  });
+
+  it('uses debit minus credit without balance columns', () => {
+    const { periods, accounts } = parseTrialBalanceRows([
+      ['Código', 'Nome da Conta', 'Débito', 'Crédito'],
+      ['4.1', 'Receita', '0', '800'],
+    ]);
+
+    expect(periods).toEqual(['Período 1']);
+    expect(accounts[0].balances).toEqual([-800]);
+  });
+
+  it('rejects sheets without account and balance columns', () => {
+    expect(() => parseTrialBalanceRows([['Produto', 'Quantidade']])).toThrow(/Trial balance header not found/);
+  });
+});
+
+describe('applyAccountMapping', () => {
+  const trialBalance = parseTrialBalanceRows(parseCsv(CSV_FILE));
+
+  it('aggregates accounts into drivers with sign, averages and derived percentages', () => {
+    const { inputData, unmappedAccounts } = applyAccountMapping(trialBalance, MAPPING);
+
+    expect(inputData[0]).toEqual({
+      openingCash: 1000,
+      accountsReceivableValueAvg: 3000,
+      inventoryValueAvg: 2000,
+      accountsPayableValueAvg: 1000,
+      revenue: 9500,
+      operatingExpenses: 2000,
+      grossMarginPercentage: 40,
+      incomeTaxRatePercentage: 20,
+    });
+    expect(inputData[1]).toEqual({
+      accountsReceivableValueAvg: 4000,
+      inventoryValueAvg: 1900,
+      accountsPayableValueAvg: 1200,
+      revenue: 12000,
+      operatingExpenses: 2100,
+      grossMarginPercentage: 40,
+      incomeTaxRatePercentage: 20,
+    });
+    expect(unmappedAccounts.map(account => account.code)).toEqual(['1.1.04']);
+  });
+
+  it('lets the first matching rule win and ignored accounts leave the warnings', () => {
+    const { inputData, unmappedAccounts } = applyAccountMapping(trialBalance, {
+      rules: [{ from: '1.1.04', to: null, target: TRIAL_BALANCE_IGNORE_TARGET, sign: 1 }, ...MAPPING.rules, { from: '3.1.01', target: 'dividendsPaid' }],
+    });
+
+    expect(unmappedAccounts).toEqual([]);
+    expect(inputData[0]).not.toHaveProperty('dividendsPaid');
+  });
+
+  it('keeps only the most recent periods above the limit', () => {
+    const wide = {
+      periods: Array.from({ length: 8 }, (_, i) => `P${i + 1}`),
+      accounts: [{ code: '3.1', description: 'Receita', balances: [-1, -2, -3, -4, -5, -6, -7, -8] }],
+    };
+    const { periodLabels, inputData, warnings } = applyAccountMapping(wide, { rules: [{ from: '3.1', target: 'revenue', sign: -1 }] }, { periodType: 'anos' });
+
+    expect(periodLabels).toEqual(['P3', 'P4', 'P5', 'P6', 'P7', 'P8']);
+    expect(inputData[0].revenue).toBe(3);
+    expect(warnings).toHaveLength(1);
+  });
+
+  it('offers currency drivers and the derived amounts as targets', () => {
+    expect(TRIAL_BALANCE_TARGETS).toHaveProperty('revenue');
+    expect(TRIAL_BALANCE_TARGETS).toHaveProperty('cogs');
+    expect(TRIAL_BALANCE_TARGETS).not.toHaveProperty('grossMarginPercentage');
+    expect(TRIAL_BALANCE_TARGETS).not.toHaveProperty('override_closingCash');
+  });
+});
+
+describe('DataImportService.importTrialBalance', () => {
+  it('imports a semicolon-delimited CSV with the saved mapping', async () => {
+    const service = new DataImportService();
+    const result = await service.importTrialBalance(CSV_FILE, { format: 'csv', mapping: MAPPING });
+
+    expect(result.trialBalance.periods).toHaveLength(2);
+    expect(result.inputData[1].revenue).toBe(12000);
+    expect(result.unmappedAccounts).toHaveLength(1);
+  });
+
+  it('imports the first sheet of an Excel workbook', async () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['Conta', 'Descrição', 'Saldo Atual'],
+      ['3.1.01', 'Receita de Vendas', -5000],
+      ['3.2.01', 'CMV', 3000],
+    ]), 'Balancete');
+    const content = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+
+    const service = new DataImportService();
+    const result = await service.importTrialBalance(content, { format: 'excel', mapping: MAPPING });
+
+    expect(result.inputData[0]).toMatchObject({ revenue: 5000, grossMarginPercentage: 40 });
+  });
+});
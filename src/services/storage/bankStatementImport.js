@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Bank statement import (OFX and CNAB 240/400 return files)
+ *
+ * Reads the files banks deliver for treasury reconciliation into one statement shape:
+ * dated signed transactions (credits positive) with payee and memo for categorization,
+ * plus the opening or closing ledger balance when the file carries one.
+ * - OFX 1.x (SGML) and 2.x (XML) statements: STMTTRN transactions and LEDGERBAL
+ * - CNAB 240 (FEBRABAN): statement segment E with the batch balances, and collection
+ *   segments T/U where paid titles become receipts
+ * - CNAB 400 collection returns (Itaú/Bradesco layout): paid titles become receipts
+ */
+
+export const BANK_STATEMENT_FORMATS = {
+  OFX: 'ofx',
+  CNAB240: 'cnab240',
+  CNAB400: 'cnab400',
+};
+
+// Collection occurrences that credit the account (liquidação, em cartório, após baixa)
+const CNAB240_PAID_OCCURRENCES = ['06', '17'];
+const CNAB400_PAID_OCCURRENCES = ['06', '15', '17'];
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Format of a bank statement file from its content
+ * @param {string} content
+ * @returns {'ofx'|'cnab240'|'cnab400'}
+ */
+export const detectBankStatementFormat = (content) => {
+  const text = String(content ?? '');
+  if (/OFXHEADER|<OFX>/i.test(text)) return BANK_STATEMENT_FORMATS.OFX;
+
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  if (firstLine[0] === '0' || firstLine.slice(7, 8) === '0') {
+    if (firstLine.length >= 400) return BANK_STATEMENT_FORMATS.CNAB400;
+    if (firstLine.length >= 240) return BANK_STATEMENT_FORMATS.CNAB240;
+  }
+  throw new Error('Unrecognized bank statement: expected an OFX file or a CNAB 240/400 return file');
+};
+
+// --- OFX ---
+
+const readOFXTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+// 20240115120000[-3:BRT] -> 2024-01-15
+const parseOFXDate = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Some Brazilian banks write the decimal comma in TRNAMT
+const parseOFXAmount = (value) => {
+  const text = String(value).trim();
+  const normalized = text.includes(',') && !text.includes('.') ? text.replace(',', '.') : text.replace(/,/g, '');
+  const number = Number(normalized);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Parse an OFX bank statement (SGML 1.x or XML 2.x)
+ * @param {string} content - OFX text
+ * @returns {Object} Statement
+ */
+export const parseOFX = (content) => {
+  const text = String(content ?? '');
+  if (!/<OFX>/i.test(text)) {
+    throw new Error('Invalid OFX file: no <OFX> statement found');
+  }
+
+  const transactions = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  blocks.forEach((block, index) => {
+    const date = parseOFXDate(readOFXTag(block, 'DTPOSTED'));
+    if (!date) return;
+    transactions.push({
+      id: readOFXTag(block, 'FITID') || `ofx-${index + 1}`,
+      date,
+      amount: round2(parseOFXAmount(readOFXTag(block, 'TRNAMT'))),
+      payee: readOFXTag(block, 'NAME') || readOFXTag(block, 'PAYEE'),
+      memo: readOFXTag(block, 'MEMO'),
+      type: readOFXTag(block, 'TRNTYPE'),
+    });
+  });
+
+  const ledger = text.match(/<LEDGERBAL>[\s\S]*?(?:<\/LEDGERBAL>|$)/i)?.[0] || '';
+  const closingDate = parseOFXDate(readOFXTag(ledger, 'DTASOF'));
+
+  return {
+    format: BANK_STATEMENT_FORMATS.OFX,
+    bankCode: readOFXTag(text, 'BANKID'),
+    account: readOFXTag(text, 'ACCTID'),
+    transactions,
+    openingBalance: null,
+    closingBalance: ledger && closingDate
+      ? { date: closingDate, amount: round2(parseOFXAmount(readOFXTag(ledger, 'BALAMT'))) }
+      : null,
+  };
+};
+
+// --- CNAB ---
+
+// 1-based inclusive positions, as in the FEBRABAN and bank layout manuals
+const field = (line, start, end) => line.slice(start - 1, end);
+const fieldText = (line, start, end) => field(line, start, end).trim();
+const fieldAmount = (line, start, end) => (Number(field(line, start, end)) || 0) / 100;
+
+// DDMMAAAA or DDMMAA; zeros mean "no date"
+const parseCNABDate = (value) => {
+  const match = String(value).match(/^(\d{2})(\d{2})(\d{2}|\d{4})$/);
+  if (!match || Number(match[1]) === 0) return null;
+  const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+  return `${year}-${match[2]}-${match[1]}`;
+};
+
+const signed = (amount, indicator) => round2(indicator.toUpperCase() === 'D' ? -amount : amount);
+
+const parseCNAB240 = (lines) => {
+  const header = lines.find(line => line[7] === '0') || '';
+  const transactions = [];
+  let openingBalance = null;
+  let closingBalance = null;
+  let pendingTitle = null;
+
+  lines.forEach((line, index) => {
+    const recordType = line[7];
+    const segment = line[13];
+
+    if (recordType === '1') {
+      const date = parseCNABDate(field(line, 143, 150));
+      if (date && !openingBalance) openingBalance = { date, amount: signed(fieldAmount(line, 151, 168), line[168]) };
+    } else if (recordType === '5') {
+      const date = parseCNABDate(field(line, 143, 150));
+      if (date) closingBalance = { date, amount: signed(fieldAmount(line, 151, 168), line[168]) };
+    } else if (recordType === '3' && segment === 'E') {
+      const date = parseCNABDate(field(line, 143, 150));
+      if (!date) return;
+      transactions.push({
+        id: fieldText(line, 202, 240) || `cnab-${index + 1}`,
+        date,
+        amount: signed(fieldAmount(line, 151, 168), line[168]),
+        payee: fieldText(line, 177, 201),
+        memo: fieldText(line, 202, 240),
+        type: fieldText(line, 170, 172),
+      });
+    } else if (recordType === '3' && segment === 'T') {
+      pendingTitle = { document: fieldText(line, 59, 73), payer: fieldText(line, 149, 188) };
+    } else if (recordType === '3' && segment === 'U') {
+      const occurrence = field(line, 16, 17);
+      const title = pendingTitle || { document: '', payer: '' };
+      pendingTitle = null;
+      if (!CNAB240_PAID_OCCURRENCES.includes(occurrence)) return;
+
+      const date = parseCNABDate(field(line, 146, 153)) || parseCNABDate(field(line, 138, 145));
+      const amount = fieldAmount(line, 93, 107) || fieldAmount(line, 78, 92);
+      if (!date || !amount) return;
+      transactions.push({
+        id: title.document || `cnab-${index + 1}`,
+        date,
+        amount: round2(amount),
+        payee: title.payer,
+        memo: `Liquidação de título ${title.document}`.trim(),
+        type: occurrence,
+      });
+    }
+  });
+
+  return {
+    format: BANK_STATEMENT_FORMATS.CNAB240,
+    bankCode: field(header, 1, 3),
+    account: `${fieldText(header, 59, 70).replace(/^0+/, '')}-${fieldText(header, 71, 71)}`,
+    transactions,
+    openingBalance,
+    closingBalance,
+  };
+};
+
+const parseCNAB400 = (lines) => {
+  const header = lines.find(line => line[0] === '0') || '';
+  const transactions = [];
+
+  lines.forEach((line, index) => {
+    if (line[0] !== '1') return;
+    const occurrence = field(line, 109, 110);
+    if (!CNAB400_PAID_OCCURRENCES.includes(occurrence)) return;
+
+    const date = parseCNABDate(field(line, 296, 301)) || parseCNABDate(field(line, 111, 116));
+    const amount = fieldAmount(line, 254, 266);
+    if (!date || !amount) return;
+
+    const document = fieldText(line, 117, 126);
+    transactions.push({
+      id: document || `cnab-${index + 1}`,
+      date,
+      amount: round2(amount),
+      payee: fieldText(line, 325, 354),
+      memo: `Liquidação de título ${document}`.trim(),
+      type: occurrence,
+    });
+  });
+
+  return {
+    format: BANK_STATEMENT_FORMATS.CNAB400,
+    bankCode: field(header, 77, 79),
+    account: fieldText(header, 27, 46),
+    transactions,
+    openingBalance: null,
+    closingBalance: null,
+  };
+};
+
+/**
+ * Parse a CNAB 240 or CNAB 400 return file
+ * Collection returns only list paid titles, so they carry no account balance.
+ * @param {string} content - CNAB text (one fixed-width record per line)
+ * @returns {Object} Statement
+ */
+export const parseCNAB = (content) => {
+  const format = detectBankStatementFormat(content);
+  if (format === BANK_STATEMENT_FORMATS.OFX) {
+    throw new Error('Invalid CNAB file: the content is an OFX statement');
+  }
+
+  const length = format === BANK_STATEMENT_FORMATS.CNAB400 ? 400 : 240;
+  const lines = String(content)
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => line.padEnd(length));
+
+  return format === BANK_STATEMENT_FORMATS.CNAB400 ? parseCNAB400(lines) : parseCNAB240(lines);
+};
+
+/**
+ * Parse an OFX or CNAB bank statement, detecting the format from the content
+ * @param {string} content
+ * @returns {Object} Statement
+ */
+export const parseBankStatement = (content) => (
+  detectBankStatementFormat(content) === BANK_STATEMENT_FORMATS.OFX ? parseOFX(content) : parseCNAB(content)
+);
@@ -13,6 +13,10 @@ export { EncryptionService, SecureStorageWrapper, SENSITIVE_FIELDS, isSensitiveF
 export { AutoSaveService } from './AutoSaveService';
 export { DataExportService } from './DataExportService';
 export { DataImportService } from './DataImportService';
+export { SPED_TARGETS, SPED_IGNORE_TARGET, SPED_LAYOUTS } from './spedImport';
+export { TRIAL_BALANCE_TARGETS, TRIAL_BALANCE_IGNORE_TARGET, getDefaultAccountMapping } from './trialBalanceImport';
+export { BANK_STATEMENT_FORMATS } from './bankStatementImport';
+export { NFE_REVENUE_BASES } from './nfeImport';
 
 // Data models
 export * from './models';
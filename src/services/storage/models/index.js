@@ -2,6 +2,8 @@
  * @fileoverview Data models for storage
  */
 
+import { getDefaultTaxSettings } from '../../../utils/taxRegimes';
+
 /**
  * Project model
  * @typedef {Object} Project
@@ -14,19 +16,94 @@
  * @property {ProjectSettings} settings - Project settings
  * @property {string[]} scenarioIds - Associated scenario IDs
  * @property {string[]} reportIds - Associated report IDs
+ * @property {ConsolidationSettings|null} consolidation - Group consolidation (null for a single company)
+ * @property {AccountMapping|null} accountMapping - Chart-of-accounts mapping of imported trial balances
  * @property {Object} metadata - Additional metadata
  */
 
+/**
+ * Chart-of-accounts mapping: trial balance accounts aggregated into the model drivers
+ * @typedef {Object} AccountMapping
+ * @property {AccountMappingRule[]} rules - Rules in priority order (the first match wins)
+ */
+
+/**
+ * Account mapping rule
+ * @typedef {Object} AccountMappingRule
+ * @property {string} from - Account code, or first code of the range
+ * @property {string|null} to - Last code of the range (null covers `from` and its sub-accounts)
+ * @property {string} target - fieldDefinitions key, 'cogs', 'incomeTax' or 'ignore'
+ * @property {number} sign - 1 keeps the debit-positive balance, -1 flips it (revenue, liabilities, equity)
+ */
+
+/**
+ * Consolidation settings: the entity scenarios of the group and the intercompany eliminations
+ * @typedef {Object} ConsolidationSettings
+ * @property {ConsolidationEntity[]} entities - Entities of the group
+ * @property {EliminationEntry[]} eliminations - Intercompany elimination entries
+ */
+
+/**
+ * Consolidation entity
+ * @typedef {Object} ConsolidationEntity
+ * @property {string} scenarioId - Entity scenario holding the entity's period inputs
+ * @property {string} name - Entity name
+ * @property {number} ownershipPercent - Group's stake in the entity (100 = wholly owned)
+ * @property {boolean} isParent - Is the holding company
+ * @property {Object<string, string>} lineMapping - Entity line key → common chart line key
+ * @property {string|null} [currency] - Entity functional currency (null = project functional currency)
+ */
+
+/**
+ * Intercompany elimination entry
+ * @typedef {Object} EliminationEntry
+ * @property {string} type - Elimination type (revenueCogs, receivablesPayables, loans, dividends)
+ * @property {number|null} periodIndex - Period of the entry (null applies to every period)
+ * @property {number} amount - Eliminated amount
+ * @property {string} fromEntityId - Entity that records the income / asset
+ * @property {string} toEntityId - Counterparty entity
+ * @property {string} description - Entry description
+ */
+
 /**
  * Project settings
  * @typedef {Object} ProjectSettings
- * @property {string} currency - Default currency (e.g., 'USD')
+ * @property {string} currency - Presentation currency (e.g., 'BRL'); formatters and exports follow it
+ * @property {string} functionalCurrency - Currency of the entered figures, translated to the
+ *   presentation currency with the FX rate tables when they differ
  * @property {string} fiscalYearEnd - Fiscal year end month (e.g., 'December')
- * @property {string} industry - Industry classification
- * @property {string} companySize - Company size classification
+ * @property {string} industry - Industry classification; key of the benchmark library (e.g., 'Retail')
+ * @property {string} companySize - Company size classification (Small, Medium, Large) for the benchmarks
+ * @property {TaxRegimeSettings} taxRegime - Brazilian tax regime used for projected taxes
+ * @property {Object|null} assetRegister - Fixed asset register (null uses the depreciation inputs)
+ * @property {Object|null} debt - Debt facilities (null uses the bank loan inputs)
+ * @property {Object|null} projection - Forecast assumptions appended after the historical periods
+ * @property {Object|null} simulation - Monte Carlo drivers and iterations
+ * @property {Object|null} sensitivity - Sensitivity table metric, drivers and steps
+ * @property {Object|null} goalSeek - Goal seek metric, target and drivers
+ * @property {Object|null} valuation - DCF valuation assumptions
+ * @property {Object} fxRates - FX rate tables used to translate the functional currency
+ * @property {Object} inflation - Inflation index tables and nominal/real view
+ * @property {Object} benchmarkLibrary - Industry benchmark library
+ * @property {Object} credit - Credit scoring model, indicator weights and bands
+ * @property {Object} costBehavior - Fixed/variable cost classification for the break-even
+ * @property {Object} seasonality - Monthly phasing of the annual inputs
+ * @property {Object} bankReconciliation - Bank statement categorization rules and period start
+ * @property {Object|null} rollingCashForecast - 13-week cash forecast (null when not used)
+ * @property {Object[]} excelLayoutProfiles - Saved Excel column mapping profiles
  * @property {Object} preferences - User preferences for this project
  */
 
+/**
+ * Tax regime settings
+ * @typedef {Object} TaxRegimeSettings
+ * @property {string} regime - Tax regime (lucro_real, lucro_presumido, simples_nacional)
+ * @property {string} activity - Activity for Lucro Presumido presumption rates (e.g., 'comercio')
+ * @property {string} simplesAnnex - Simples Nacional annex (I, II, III, IV, V)
+ * @property {string} pisCofinsMode - PIS/COFINS mode for Lucro Real (cumulative, non_cumulative)
+ * @property {boolean} grossRevenue - Revenue inputs are gross, so PIS/COFINS or the DAS are deducted from them
+ */
+
 /**
  * Scenario model
  * @typedef {Object} Scenario
@@ -34,7 +111,7 @@
  * @property {string} projectId - Parent project ID
  * @property {string} name - Scenario name
  * @property {string} description - Scenario description
- * @property {string} type - Scenario type (base, optimistic, pessimistic, custom)
+ * @property {string} type - Scenario type (base, optimistic, pessimistic, custom, budget, entity)
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  * @property {ScenarioData} data - Scenario financial data
@@ -49,6 +126,20 @@
  * @property {string} periodType - Period type (months, quarters, years)
  * @property {number} periodCount - Number of periods
  * @property {Date} startDate - Start date of first period
+ * @property {ProductUnits[]} [productMix] - Units and prices per product (budget scenarios), used
+ *   for the price / volume / mix decomposition of the revenue variance
+ * @property {Object<string, number>} [adjustments] - Percentage change per driver applied on top of
+ *   the cloned periods (base, optimistic, pessimistic and custom scenarios)
+ */
+
+/**
+ * Product units
+ * @typedef {Object} ProductUnits
+ * @property {string} product - Product or product line name
+ * @property {number} budgetUnits - Budgeted units
+ * @property {number} budgetPrice - Budgeted unit price
+ * @property {number} actualUnits - Actual units
+ * @property {number} actualPrice - Actual unit price
  */
 
 /**
@@ -203,6 +294,18 @@
  * @property {boolean} isDraft - Is draft state
  */
 
+export const SCENARIO_TYPES = {
+  BASE: 'base',
+  OPTIMISTIC: 'optimistic',
+  PESSIMISTIC: 'pessimistic',
+  CUSTOM: 'custom',
+  BUDGET: 'budget',
+  ENTITY: 'entity',
+};
+
+// Project that holds the scenarios of the single-company report generator
+export const DEFAULT_PROJECT_ID = 'project_default';
+
 // Model validation schemas
 export const ModelSchemas = {
   project: {
@@ -263,6 +366,8 @@ export const createProject = (data) => ({
   settings: data.settings || getDefaultProjectSettings(),
   scenarioIds: data.scenarioIds || [],
   reportIds: data.reportIds || [],
+  consolidation: data.consolidation || null,
+  accountMapping: data.accountMapping || null,
   metadata: data.metadata || {},
 });
 
@@ -279,6 +384,63 @@ export const createScenario = (data) => ({
   metadata: data.metadata || {},
 });
 
+/**
+ * Scenario cloned from the current raw period inputs, with driver adjustments applied on comparison
+ * @param {Object} data - { projectId, name, type, periods, periodType, adjustments }
+ * @returns {Scenario}
+ */
+export const createScenarioFromInputs = (data) => createScenario({
+  ...data,
+  type: data.type || SCENARIO_TYPES.CUSTOM,
+  data: {
+    periods: data.periods.map(period => ({ ...period })),
+    periodType: data.periodType,
+    periodCount: data.periods.length,
+    adjustments: data.adjustments || {},
+  },
+});
+
+/**
+ * Budget scenario: the budgeted raw period inputs, kept apart from the actuals
+ * @param {Object} data - { projectId, name, periods, periodType, productMix }
+ * @returns {Scenario}
+ */
+export const createBudgetScenario = (data) => createScenario({
+  ...data,
+  name: data.name || 'Orçamento',
+  type: SCENARIO_TYPES.BUDGET,
+  data: {
+    periods: data.periods,
+    periodType: data.periodType,
+    periodCount: data.periods.length,
+    productMix: data.productMix || [],
+  },
+});
+
+/**
+ * Entity scenario: the raw period inputs of one company of a consolidation group
+ * @param {Object} data - { projectId, name, periods, periodType }
+ * @returns {Scenario}
+ */
+export const createEntityScenario = (data) => createScenario({
+  ...data,
+  type: SCENARIO_TYPES.ENTITY,
+  data: {
+    periods: data.periods.map(period => ({ ...period })),
+    periodType: data.periodType,
+    periodCount: data.periods.length,
+  },
+});
+
+/**
+ * Empty consolidation settings for a group project
+ * @returns {ConsolidationSettings}
+ */
+export const getDefaultConsolidationSettings = () => ({
+  entities: [],
+  eliminations: [],
+});
+
 export const createReport = (data) => ({
   id: data.id || generateId('report'),
   projectId: data.projectId,
@@ -299,10 +461,12 @@ function generateId(prefix) {
 
 function getDefaultProjectSettings() {
   return {
-    currency: 'USD',
+    currency: 'BRL',
+    functionalCurrency: 'BRL',
     fiscalYearEnd: 'December',
     industry: 'General',
     companySize: 'Medium',
+    taxRegime: getDefaultTaxSettings(),
     preferences: {},
   };
 }
@@ -0,0 +1,296 @@
+/**
+ * @fileoverview NF-e XML import (zip of issued invoices)
+ *
+ * Reads the NF-e XML documents (nfeProc or bare NFe, layout 4.00) exported by the
+ * company's invoicing system and aggregates the sales into report periods: gross revenue,
+ * ICMS, PIS, COFINS and IPI, net revenue, customers by destination CNPJ/CPF and the
+ * receivables implied by the duplicata due dates (average term and average balance).
+ * Cancellation events found in the zip remove the cancelled invoices.
+ */
+
+import JSZip from 'jszip';
+import { getMaxPeriods } from '../../utils/constants';
+import { getPeriodStart, getPeriodBounds } from '../../utils/bankReconciliation';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Authorized use (100) and authorized after the deadline (150)
+const AUTHORIZED_STATUSES = ['100', '150'];
+const CANCELLATION_EVENT = '110111';
+
+const PURPOSES = { NORMAL: '1', COMPLEMENTARY: '2', ADJUSTMENT: '3', RETURN: '4' };
+
+/**
+ * Revenue written to the `revenue` driver: gross sales (the tax regime deducts PIS/COFINS
+ * or DAS in the model) or sales net of ICMS, PIS and COFINS
+ */
+export const NFE_REVENUE_BASES = {
+  GROSS: 'gross',
+  NET: 'net',
+};
+
+export const UNIDENTIFIED_CUSTOMER_ID = 'nao-identificado';
+
+// Sales CFOPs: 5/6/7.101-125 (own and third-party goods) and 5/6.401-405 (tax substitution)
+const isSaleCFOP = (cfop) => /^[567]1(0[1-9]|1\d|2[0-5])$/.test(cfop) || /^[56]40[1-5]$/.test(cfop);
+
+const toTime = (isoDate) => Date.parse(`${isoDate}T00:00:00Z`);
+const daysBetween = (from, to) => Math.round((toTime(to) - toTime(from)) / DAY_MS);
+
+// NF-e elements live in the default namespace, so local tag names resolve directly
+const firstElement = (parent, tag) => (parent ? parent.getElementsByTagName(tag)[0] || null : null);
+const readText = (parent, tag) => firstElement(parent, tag)?.textContent.trim() || '';
+const readNumber = (parent, tag) => Number(readText(parent, tag)) || 0;
+
+const parseXML = (xml) => {
+  const document = new DOMParser().parseFromString(xml, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Malformed XML');
+  }
+  return document;
+};
+
+/**
+ * Parse one NF-e XML document
+ * @param {string} xml - nfeProc or NFe document
+ * @returns {Object|null} Invoice, or null when the document is not an NF-e
+ */
+export const parseNFeXML = (xml) => {
+  const document = parseXML(xml);
+  const infNFe = firstElement(document, 'infNFe');
+  if (!infNFe) return null;
+
+  const ide = firstElement(infNFe, 'ide');
+  const emit = firstElement(infNFe, 'emit');
+  const dest = firstElement(infNFe, 'dest');
+  const totals = firstElement(infNFe, 'ICMSTot');
+  const issueDate = (readText(ide, 'dhEmi') || readText(ide, 'dEmi')).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(issueDate)) {
+    throw new Error('NF-e without a valid issue date (dhEmi)');
+  }
+
+  const customerId = readText(dest, 'CNPJ') || readText(dest, 'CPF') || readText(dest, 'idEstrangeiro');
+
+  return {
+    accessKey: (infNFe.getAttribute('Id') || '').replace(/^NFe/, ''),
+    number: readText(ide, 'nNF'),
+    model: readText(ide, 'mod'),
+    issueDate,
+    direction: readText(ide, 'tpNF') === '0' ? 'in' : 'out',
+    purpose: readText(ide, 'finNFe') || PURPOSES.NORMAL,
+    status: readText(firstElement(document, 'infProt'), 'cStat') || null,
+    issuer: { id: readText(emit, 'CNPJ') || readText(emit, 'CPF'), name: readText(emit, 'xNome') },
+    customer: { id: customerId || UNIDENTIFIED_CUSTOMER_ID, name: readText(dest, 'xNome') || 'Consumidor não identificado' },
+    cfops: Array.from(infNFe.getElementsByTagName('CFOP')).map(element => element.textContent.trim()),
+    totals: {
+      products: readNumber(totals, 'vProd'),
+      discount: readNumber(totals, 'vDesc'),
+      freight: readNumber(totals, 'vFrete'),
+      insurance: readNumber(totals, 'vSeg'),
+      other: readNumber(totals, 'vOutro'),
+      icms: readNumber(totals, 'vICMS'),
+      icmsST: readNumber(totals, 'vST'),
+      ipi: readNumber(totals, 'vIPI'),
+      pis: readNumber(totals, 'vPIS'),
+      cofins: readNumber(totals, 'vCOFINS'),
+      invoice: readNumber(totals, 'vNF'),
+    },
+    duplicatas: Array.from(firstElement(infNFe, 'cobr')?.getElementsByTagName('dup') || []).map(dup => ({
+      number: readText(dup, 'nDup'),
+      dueDate: readText(dup, 'dVenc'),
+      amount: readNumber(dup, 'vDup'),
+    })).filter(dup => /^\d{4}-\d{2}-\d{2}$/.test(dup.dueDate) && dup.amount > 0),
+  };
+};
+
+// Access key cancelled by an event document (procEventoNFe), or null
+const readCancelledKey = (xml) => {
+  const document = parseXML(xml);
+  const event = firstElement(document, 'infEvento');
+  return event && readText(event, 'tpEvento') === CANCELLATION_EVENT ? readText(event, 'chNFe') : null;
+};
+
+/**
+ * Read the NF-e documents of a zip file
+ * Authorized invoices are kept; cancellation events drop the invoices they cancel and
+ * other files (non-XML, other documents, malformed XML) are reported as skipped.
+ * @param {ArrayBuffer|Uint8Array} content - Zip file content
+ * @returns {Promise<{invoices: Array<Object>, skippedFiles: string[], cancelledCount: number}>}
+ */
+export const parseNFeZip = async (content) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(content);
+  } catch (error) {
+    throw new Error(`Failed to read zip file: ${error.message}`);
+  }
+
+  const invoices = [];
+  const skippedFiles = [];
+  const cancelledKeys = new Set();
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+  for (const entry of entries) {
+    if (!/\.xml$/i.test(entry.name)) {
+      skippedFiles.push(entry.name);
+      continue;
+    }
+    try {
+      const xml = await entry.async('string');
+      const invoice = parseNFeXML(xml);
+      if (invoice && (!invoice.status || AUTHORIZED_STATUSES.includes(invoice.status))) {
+        invoices.push(invoice);
+      } else {
+        const cancelledKey = invoice ? null : readCancelledKey(xml);
+        if (cancelledKey) cancelledKeys.add(cancelledKey);
+        else skippedFiles.push(entry.name);
+      }
+    } catch (error) {
+      skippedFiles.push(entry.name);
+    }
+  }
+
+  const authorized = invoices.filter(invoice => !cancelledKeys.has(invoice.accessKey));
+  if (authorized.length === 0) {
+    throw new Error('No authorized NF-e documents found in the zip file');
+  }
+
+  return { invoices: authorized, skippedFiles, cancelledCount: invoices.length - authorized.length };
+};
+
+// Sales revenue before taxes on revenue; IPI and ICMS-ST are charged on top of the price
+const grossAmount = (invoice) => invoice.totals.products - invoice.totals.discount
+  + invoice.totals.freight + invoice.totals.insurance + invoice.totals.other;
+
+// Time-weighted average of the duplicatas outstanding in the period, assuming collection
+// on the due date (each one is open from the issue date until the day before it is due)
+const averageReceivables = (sales, startDate, endDate) => {
+  const periodStart = toTime(startDate);
+  const periodEnd = toTime(endDate) + DAY_MS;
+  const weighted = sales.reduce((sum, invoice) => sum + invoice.duplicatas.reduce((total, dup) => {
+    const openDays = (Math.min(periodEnd, toTime(dup.dueDate)) - Math.max(periodStart, toTime(invoice.issueDate))) / DAY_MS;
+    return total + (openDays > 0 ? dup.amount * openDays : 0);
+  }, 0), 0);
+  return weighted / ((periodEnd - periodStart) / DAY_MS);
+};
+
+/**
+ * Revenue, taxes, customers and receivables of the invoices per period
+ *
+ * Sales are the company's outbound invoices (normal or complementary) with a sales CFOP;
+ * returns from customers (inbound, purpose 4) are deducted with their taxes. Invoices of
+ * other issuers are left out. Periods with duplicatas get the average term (DSO estimate,
+ * weighted by amount) and the time-weighted average of the outstanding duplicatas.
+ *
+ * @param {Array<Object>} invoices - parseNFeZip invoices
+ * @param {{periodType?: string, periodStartDate?: string, revenueBasis?: string}} [options]
+ * @returns {{
+ *   companyId: string,
+ *   periods: Array<object>,
+ *   customers: Array<{id: string, name: string, revenue: number, invoiceCount: number}>,
+ *   inputData: Array<object>,
+ *   warnings: string[]
+ * }}
+ */
+export const aggregateNFeInvoices = (invoices, options = {}) => {
+  const periodType = options.periodType || 'anos';
+  const warnings = [];
+
+  const issuerCounts = invoices.reduce((counts, invoice) => ({
+    ...counts,
+    [invoice.issuer.id]: (counts[invoice.issuer.id] || 0) + 1,
+  }), {});
+  const companyId = Object.keys(issuerCounts).sort((a, b) => issuerCounts[b] - issuerCounts[a])[0];
+  const otherIssuers = invoices.length - issuerCounts[companyId];
+  if (otherIssuers > 0) {
+    warnings.push(`${otherIssuers} invoice(s) issued by other CNPJs were ignored`);
+  }
+
+  const own = invoices.filter(invoice => invoice.issuer.id === companyId);
+  const sales = own.filter(invoice => invoice.direction === 'out'
+    && [PURPOSES.NORMAL, PURPOSES.COMPLEMENTARY].includes(invoice.purpose)
+    && (invoice.cfops.length === 0 || invoice.cfops.some(isSaleCFOP)));
+  const returns = own.filter(invoice => invoice.direction === 'in' && invoice.purpose === PURPOSES.RETURN);
+  const nonSales = own.length - sales.length - returns.length;
+  if (nonSales > 0) {
+    warnings.push(`${nonSales} invoice(s) without a sales CFOP (transfers, shipments, adjustments) were ignored`);
+  }
+  if (sales.length === 0) {
+    throw new Error('No sales invoices found among the NF-e documents');
+  }
+
+  const firstDate = sales.reduce((first, invoice) => (invoice.issueDate < first ? invoice.issueDate : first), sales[0].issueDate);
+  const lastDate = sales.reduce((last, invoice) => (invoice.issueDate > last ? invoice.issueDate : last), sales[0].issueDate);
+  const periodStartDate = options.periodStartDate || getPeriodStart(periodType, firstDate);
+  let numberOfPeriods = 1;
+  while (getPeriodBounds(periodType, periodStartDate, numberOfPeriods)[numberOfPeriods - 1].endDate < lastDate) {
+    numberOfPeriods++;
+  }
+  let bounds = getPeriodBounds(periodType, periodStartDate, numberOfPeriods);
+  const maxPeriods = getMaxPeriods(periodType);
+  if (bounds.length > maxPeriods) {
+    warnings.push(`The invoices span ${bounds.length} periods; only the last ${maxPeriods} were kept`);
+    bounds = bounds.slice(-maxPeriods);
+  }
+
+  const inRange = (invoice) => invoice.issueDate >= bounds[0].startDate && invoice.issueDate <= bounds[bounds.length - 1].endDate;
+  const signedDocuments = [
+    ...sales.filter(inRange).map(invoice => ({ invoice, sign: 1 })),
+    ...returns.filter(inRange).map(invoice => ({ invoice, sign: -1 })),
+  ];
+
+  const periods = bounds.map(({ startDate, endDate }) => {
+    const documents = signedDocuments.filter(({ invoice }) => invoice.issueDate >= startDate && invoice.issueDate <= endDate);
+    const sum = (read) => round2(documents.reduce((total, { invoice, sign }) => total + sign * read(invoice), 0));
+
+    const periodSales = documents.filter(({ sign }) => sign === 1).map(({ invoice }) => invoice);
+    const withDuplicatas = periodSales.filter(invoice => invoice.duplicatas.length > 0);
+    const duplicataTotal = withDuplicatas.reduce((total, invoice) => total + invoice.duplicatas.reduce((s, dup) => s + dup.amount, 0), 0);
+    const weightedDays = withDuplicatas.reduce((total, invoice) => total + invoice.duplicatas
+      .reduce((s, dup) => s + dup.amount * Math.max(0, daysBetween(invoice.issueDate, dup.dueDate)), 0), 0);
+    const salesGross = periodSales.reduce((total, invoice) => total + grossAmount(invoice), 0);
+
+    const grossRevenue = sum(grossAmount);
+    const icms = sum(invoice => invoice.totals.icms);
+    const pis = sum(invoice => invoice.totals.pis);
+    const cofins = sum(invoice => invoice.totals.cofins);
+
+    return {
+      startDate,
+      endDate,
+      invoiceCount: periodSales.length,
+      returnCount: documents.length - periodSales.length,
+      grossRevenue,
+      returns: round2(documents.filter(({ sign }) => sign === -1).reduce((total, { invoice }) => total + grossAmount(invoice), 0)),
+      icms,
+      pis,
+      cofins,
+      ipi: sum(invoice => invoice.totals.ipi),
+      netRevenue: round2(grossRevenue - icms - pis - cofins),
+      dso: duplicataTotal > 0 ? round2(weightedDays / duplicataTotal) : null,
+      duplicataCoverage: salesGross > 0 ? round2((withDuplicatas.reduce((total, invoice) => total + grossAmount(invoice), 0) / salesGross) * 100) : 0,
+      receivablesAvg: duplicataTotal > 0 ? round2(averageReceivables(sales, startDate, endDate)) : null,
+    };
+  });
+
+  const byCustomer = new Map();
+  signedDocuments.forEach(({ invoice, sign }) => {
+    const customer = byCustomer.get(invoice.customer.id) || { id: invoice.customer.id, name: invoice.customer.name, revenue: 0, invoiceCount: 0 };
+    customer.revenue += sign * grossAmount(invoice);
+    if (sign === 1) customer.invoiceCount += 1;
+    byCustomer.set(invoice.customer.id, customer);
+  });
+  const customers = [...byCustomer.values()]
+    .map(customer => ({ ...customer, revenue: round2(customer.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue);
+
+  const revenueKey = options.revenueBasis === NFE_REVENUE_BASES.NET ? 'netRevenue' : 'grossRevenue';
+  const inputData = periods.map(period => ({
+    revenue: period[revenueKey],
+    ...(period.receivablesAvg !== null ? { accountsReceivableValueAvg: period.receivablesAvg } : {}),
+  }));
+
+  return { companyId, periods, customers, inputData, warnings };
+};
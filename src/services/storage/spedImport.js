@@ -0,0 +1,473 @@
+/**
+ * @fileoverview SPED ECD / ECF parsing and account mapping
+ *
+ * Reads the pipe-delimited bookkeeping files (ECD: I050/I051 chart of accounts, I150/I155
+ * trial balances, I350/I355 pre-closing result balances, J005/J100/J150 statements; ECF: the
+ * J050/J051, K030/K155 and K355 equivalents), maps analytic accounts to the model drivers and
+ * builds the period inputs of fieldDefinitions.
+ */
+
+import { getMaxPeriods } from '../../utils/constants';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const SPED_LAYOUTS = {
+  ECD: 'ECD',
+  ECF: 'ECF',
+};
+
+// Account natures (COD_NAT)
+const NATURE = {
+  ASSET: '01',
+  LIABILITY: '02',
+  EQUITY: '03',
+  RESULT: '04',
+};
+
+/**
+ * Mapping targets. Signed amounts are debit-positive; sign turns them into the driver's
+ * natural direction (credits increase revenue, liabilities and equity).
+ * balance: 'flow' (period movement), 'opening' (first period only), 'average' or 'closing'.
+ */
+export const SPED_TARGETS = {
+  revenue: { label: 'Receita Líquida', sign: -1, balance: 'flow' },
+  cogs: { label: 'Custo dos Produtos Vendidos (CPV)', sign: 1, balance: 'flow' },
+  operatingExpenses: { label: 'Despesas Operacionais', sign: 1, balance: 'flow' },
+  depreciationAndAmortisation: { label: 'Depreciação e Amortização', sign: 1, balance: 'flow' },
+  netInterestExpenseIncome: { label: 'Resultado Financeiro Líquido', sign: -1, balance: 'flow' },
+  incomeTax: { label: 'IRPJ e CSLL', sign: 1, balance: 'flow' },
+  cash: { label: 'Caixa Inicial', sign: 1, balance: 'opening', field: 'openingCash' },
+  accountsReceivable: { label: 'Contas a Receber', sign: 1, balance: 'average', field: 'accountsReceivableValueAvg' },
+  inventory: { label: 'Estoques', sign: 1, balance: 'average', field: 'inventoryValueAvg' },
+  accountsPayable: { label: 'Fornecedores', sign: -1, balance: 'average', field: 'accountsPayableValueAvg' },
+  netFixedAssets: { label: 'Ativo Imobilizado Líquido', sign: 1, balance: 'closing', field: 'netFixedAssets' },
+  totalBankLoans: { label: 'Empréstimos e Financiamentos', sign: -1, balance: 'closing', field: 'totalBankLoans' },
+  equity: { label: 'Patrimônio Líquido Inicial', sign: -1, balance: 'opening', field: 'initialEquity' },
+};
+
+// Accounts deliberately left out of the model (e.g., tax credits, provisions)
+export const SPED_IGNORE_TARGET = 'ignore';
+
+// RFB referential plan (L100A) groups with an unambiguous driver, matched by prefix
+const REFERENTIAL_RULES = [
+  ['1.01.01', 'cash'],
+  ['1.01.03', 'inventory'],
+  ['1.02.03', 'netFixedAssets'],
+  ['1.02.04', 'netFixedAssets'],
+  ['2.03', 'equity'],
+];
+
+// Name keywords per nature, tested against the account and then its parents
+const NAME_RULES = {
+  [NATURE.ASSET]: [
+    [/caixa|banco|aplicac|disponib|numerario|equivalente/, 'cash'],
+    [/client|duplicatas a receber|contas a receber/, 'accountsReceivable'],
+    [/estoque|mercadoria|materia.?prima|produtos? (acabad|em elaborac)|almoxarifado/, 'inventory'],
+    [/imobiliz|intangiv|maquina|veiculo|moveis|edific|terreno|equipamento|instalac|benfeitoria|deprecia|amortiza/, 'netFixedAssets'],
+  ],
+  [NATURE.LIABILITY]: [
+    [/fornecedor/, 'accountsPayable'],
+    [/emprestimo|financiamento|debenture|capital de giro|bndes|leasing|arrendamento|conta garantida/, 'totalBankLoans'],
+  ],
+  [NATURE.RESULT]: [
+    [/imposto de renda|contribuicao social|irpj|csll/, 'incomeTax'],
+    [/deprecia|amortiza|exaust/, 'depreciationAndAmortisation'],
+    [/financeir|juros|variac(ao|oes) (monetaria|cambia)/, 'netInterestExpenseIncome'],
+    [/receita|venda|faturamento|devoluc|abatimento|deduc|icms|pis|cofins|\biss\b|\bipi\b|simples nacional/, 'revenue'],
+    [/custo|\bcpv\b|\bcmv\b|\bcsp\b/, 'cogs'],
+    [/despesa|salario|ordenado|encargo|aluguel|energia|honorario|propaganda|frete|manutenc|comiss|pro.?labore|servicos|seguro|viage|tribut|taxa/, 'operatingExpenses'],
+  ],
+};
+
+// ECF records carry the same fields as their ECD counterparts
+const RECORD_ALIASES = {
+  J050: 'I050',
+  J051: 'I051',
+  K030: 'I150',
+  K155: 'I155',
+};
+
+const normalizeName = (name) => (name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const parseNumber = (value) => {
+  if (!value) return 0;
+  const number = Number(value.replace(/\./g, '').replace(',', '.'));
+  return Number.isFinite(number) ? number : 0;
+};
+
+// Debit-positive amount
+const signed = (value, indicator) => (indicator === 'C' ? -1 : 1) * parseNumber(value);
+
+// DDMMAAAA -> AAAA-MM-DD
+const parseDate = (value) => (value && value.length === 8
+  ? `${value.slice(4)}-${value.slice(2, 4)}-${value.slice(0, 2)}`
+  : null);
+
+const emptyPeriod = (startDate, endDate) => ({ startDate, endDate, balances: {}, results: {} });
+
+const addBalance = (period, code, opening, closing) => {
+  const balance = period.balances[code] || { opening: 0, closing: 0 };
+  // Balances are summed across cost centres
+  period.balances[code] = { opening: balance.opening + opening, closing: balance.closing + closing };
+};
+
+/**
+ * Parse a SPED ECD or ECF file
+ *
+ * Trial-balance records are preferred; files without them fall back to the J100/J150
+ * statements (ECD layout 9 onwards), whose detail lines become the accounts.
+ *
+ * @param {string} content - File contents
+ * @returns {{
+ *   layout: string,
+ *   company: {name: string, cnpj: string},
+ *   startDate: string,
+ *   endDate: string,
+ *   source: 'trialBalance' | 'statements',
+ *   accounts: Array<{code: string, name: string, nature: string, parent: string|null, analytic: boolean, referentialCode: string|null}>,
+ *   periods: Array<{startDate: string, endDate: string, balances: Object<string, {opening: number, closing: number}>, results: Object<string, number>}>
+ * }}
+ */
+export const parseSPED = (content) => {
+  const records = (content || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.startsWith('|'))
+    .map(line => line.split('|').slice(1, -1));
+
+  const header = records.find(fields => fields[0] === '0000');
+  if (!header || !['LECD', 'LECF'].includes(header[1])) {
+    throw new Error('Not a SPED ECD/ECF file: record 0000 with LECD or LECF not found');
+  }
+
+  const layout = header[1] === 'LECD' ? SPED_LAYOUTS.ECD : SPED_LAYOUTS.ECF;
+  const sped = {
+    layout,
+    company: layout === SPED_LAYOUTS.ECD
+      ? { name: header[4], cnpj: header[5] }
+      : { name: header[4], cnpj: header[3] },
+    startDate: parseDate(layout === SPED_LAYOUTS.ECD ? header[2] : header[9]),
+    endDate: parseDate(layout === SPED_LAYOUTS.ECD ? header[3] : header[10]),
+    source: 'trialBalance',
+    accounts: [],
+    periods: [],
+  };
+
+  const accounts = new Map();
+  const preClosing = []; // [{date, balances}] from I350/I355
+  const statements = []; // J005 blocks
+  let currentAccount = null;
+  let currentPeriod = null;
+  let currentClosing = null;
+  let currentStatement = null;
+
+  records.forEach(fields => {
+    const record = (layout === SPED_LAYOUTS.ECF && RECORD_ALIASES[fields[0]]) || fields[0];
+
+    switch (record) {
+      case 'I050':
+        currentAccount = {
+          code: fields[5],
+          name: fields[7],
+          nature: fields[2],
+          parent: fields[6] || null,
+          analytic: fields[3] === 'A',
+          referentialCode: null,
+        };
+        accounts.set(currentAccount.code, currentAccount);
+        break;
+      case 'I051':
+        // COD_CTA_REF is the last field in both layouts; the first mapping wins
+        if (currentAccount && !currentAccount.referentialCode) {
+          currentAccount.referentialCode = fields.filter(Boolean).pop() || null;
+        }
+        break;
+      case 'I150':
+        currentPeriod = emptyPeriod(parseDate(fields[1]), parseDate(fields[2]));
+        sped.periods.push(currentPeriod);
+        break;
+      case 'I155':
+        if (currentPeriod) {
+          addBalance(currentPeriod, fields[1], signed(fields[3], fields[4]), signed(fields[7], fields[8]));
+        }
+        break;
+      case 'I350':
+        currentClosing = { date: parseDate(fields[1]), balances: {} };
+        preClosing.push(currentClosing);
+        break;
+      case 'I355':
+        if (currentClosing) {
+          currentClosing.balances[fields[1]] = (currentClosing.balances[fields[1]] || 0) + signed(fields[3], fields[4]);
+        }
+        break;
+      case 'K355':
+        // ECF result balances before closing, per K030 period
+        if (layout === SPED_LAYOUTS.ECF && currentPeriod) {
+          currentPeriod.results[fields[1]] = (currentPeriod.results[fields[1]] || 0) + signed(fields[3], fields[4]);
+        }
+        break;
+      case 'J005':
+        if (layout === SPED_LAYOUTS.ECD) {
+          currentStatement = { startDate: parseDate(fields[1]), endDate: parseDate(fields[2]), balanceSheet: [], incomeStatement: [] };
+          statements.push(currentStatement);
+        }
+        break;
+      case 'J100':
+        if (layout === SPED_LAYOUTS.ECD && currentStatement) currentStatement.balanceSheet.push(fields);
+        break;
+      case 'J150':
+        if (layout === SPED_LAYOUTS.ECD && currentStatement) currentStatement.incomeStatement.push(fields);
+        break;
+      default:
+        break;
+    }
+  });
+
+  sped.accounts = [...accounts.values()];
+
+  if (sped.periods.length > 0) {
+    const resultCodes = new Set(sped.accounts.filter(account => account.nature === NATURE.RESULT).map(account => account.code));
+
+    if (layout === SPED_LAYOUTS.ECD) {
+      // Result accounts hold year-to-date balances: the period result is the balance change
+      sped.periods.forEach(period => {
+        Object.entries(period.balances).forEach(([code, balance]) => {
+          if (resultCodes.has(code)) period.results[code] = balance.closing - balance.opening;
+        });
+      });
+      // The closing entry zeroes them, so the closing period uses the pre-closing balances
+      preClosing.forEach(({ date, balances }) => {
+        const period = sped.periods.find(p => p.startDate <= date && date <= p.endDate);
+        if (!period) return;
+        Object.entries(balances).forEach(([code, balance]) => {
+          period.results[code] = balance - (period.balances[code]?.opening || 0);
+        });
+      });
+    }
+    return sped;
+  }
+
+  if (statements.length === 0) {
+    throw new Error('SPED file has no trial balance (I155/K155) or statement (J100/J150) records');
+  }
+
+  // Statements fallback (ECD layout 9+): J100 and J150 detail lines become the accounts
+  sped.source = 'statements';
+  const statementAccounts = new Map();
+  sped.periods = statements.map(statement => {
+    const period = emptyPeriod(statement.startDate, statement.endDate);
+
+    statement.balanceSheet.forEach(fields => {
+      const code = `J100:${fields[1]}`;
+      const isEquity = /patrimonio liquido|capital social|reserva|lucros acumulados|prejuizos acumulados/.test(normalizeName(fields[6]));
+      statementAccounts.set(code, {
+        code,
+        name: fields[6],
+        nature: fields[5] === 'A' ? NATURE.ASSET : (isEquity ? NATURE.EQUITY : NATURE.LIABILITY),
+        parent: fields[4] ? `J100:${fields[4]}` : null,
+        analytic: fields[2] === 'D',
+        referentialCode: null,
+      });
+      if (fields[2] === 'D') addBalance(period, code, signed(fields[7], fields[8]), signed(fields[9], fields[10]));
+    });
+
+    statement.incomeStatement.forEach(fields => {
+      const code = `J150:${fields[2]}`;
+      statementAccounts.set(code, {
+        code,
+        name: fields[6],
+        nature: NATURE.RESULT,
+        parent: fields[5] ? `J150:${fields[5]}` : null,
+        analytic: fields[3] === 'D',
+        referentialCode: null,
+      });
+      if (fields[3] === 'D') period.results[code] = (period.results[code] || 0) + signed(fields[9], fields[10]);
+    });
+
+    return period;
+  });
+  sped.accounts = [...statementAccounts.values()];
+
+  return sped;
+};
+
+/**
+ * Proposed driver of each analytic account: referential code first, then name keywords
+ * (the account's own name, then its parents'). Equity accounts always map to equity;
+ * memorandum and other natures are ignored. Unrecognised accounts map to null.
+ *
+ * @param {object} sped - parseSPED result
+ * @returns {Object<string, string|null>} Account code -> SPED_TARGETS key, SPED_IGNORE_TARGET or null
+ */
+export const suggestSPEDMapping = (sped) => {
+  const accountsByCode = new Map(sped.accounts.map(account => [account.code, account]));
+
+  return sped.accounts.filter(account => account.analytic).reduce((mapping, account) => {
+    const referential = account.referentialCode
+      && REFERENTIAL_RULES.find(([prefix]) => account.referentialCode.startsWith(prefix));
+
+    if (referential) {
+      mapping[account.code] = referential[1];
+    } else if (account.nature === NATURE.EQUITY) {
+      mapping[account.code] = 'equity';
+    } else if (!NAME_RULES[account.nature]) {
+      mapping[account.code] = SPED_IGNORE_TARGET;
+    } else {
+      let target = null;
+      const visited = new Set();
+      for (let node = account; node && !target && !visited.has(node.code); node = accountsByCode.get(node.parent)) {
+        visited.add(node.code);
+        const name = normalizeName(node.name);
+        target = NAME_RULES[account.nature].find(([pattern]) => pattern.test(name))?.[1] || null;
+      }
+      mapping[account.code] = target;
+    }
+    return mapping;
+  }, {});
+};
+
+// Group key of a date for the period type
+const groupKey = (date, periodType) => {
+  const [year, month] = date.split('-').map(Number);
+  if (periodType === 'meses') return `${year}-${month}`;
+  if (periodType === 'trimestres') return `${year}-T${Math.ceil(month / 3)}`;
+  return `${year}`;
+};
+
+/**
+ * Group the file periods (monthly in the ECD, annual or quarterly in the ECF) by period type
+ * @param {Array<object>} periods - parseSPED periods
+ * @param {string} periodType - 'anos', 'trimestres' or 'meses'
+ * @returns {Array<object>} Grouped periods: opening of the first, closing of the last, summed results
+ */
+export const groupSPEDPeriods = (periods, periodType) => {
+  const groups = [];
+
+  periods.forEach(period => {
+    const key = groupKey(period.startDate, periodType);
+    if (key !== groupKey(period.endDate, periodType)) {
+      throw new Error(`SPED periods (${period.startDate} to ${period.endDate}) are longer than the selected period type`);
+    }
+
+    let group = groups[groups.length - 1];
+    if (!group || group.key !== key) {
+      group = { key, ...emptyPeriod(period.startDate, period.endDate) };
+      groups.push(group);
+    }
+    group.endDate = period.endDate;
+
+    Object.entries(period.balances).forEach(([code, balance]) => {
+      group.balances[code] = {
+        opening: group.balances[code] ? group.balances[code].opening : balance.opening,
+        closing: balance.closing,
+      };
+    });
+    Object.entries(period.results).forEach(([code, amount]) => {
+      group.results[code] = (group.results[code] || 0) + amount;
+    });
+  });
+
+  return groups.map(({ key: _key, ...group }) => group);
+};
+
+/**
+ * Gross margin and effective tax rate drivers from booked amounts
+ * The tax rate is IRPJ/CSLL over the pre-tax result, 0 when there is no pre-tax profit.
+ * @param {{revenue: number, cogs: number, operatingExpenses?: number, depreciationAndAmortisation?: number,
+ *   netInterestExpenseIncome?: number, fxGainLoss?: number, incomeTax: number}} totals
+ * @returns {{grossMarginPercentage: number, incomeTaxRatePercentage: number}}
+ */
+export const derivePercentageDrivers = (totals) => {
+  const ebt = totals.revenue - totals.cogs - (totals.operatingExpenses || 0) - (totals.depreciationAndAmortisation || 0)
+    + (totals.netInterestExpenseIncome || 0) + (totals.fxGainLoss || 0);
+
+  return {
+    grossMarginPercentage: totals.revenue ? round2(((totals.revenue - totals.cogs) / totals.revenue) * 100) : 0,
+    incomeTaxRatePercentage: ebt > 0 ? round2(Math.min(100, Math.max(0, (totals.incomeTax / ebt) * 100))) : 0,
+  };
+};
+
+/**
+ * Period inputs from the grouped periods and the reviewed mapping
+ *
+ * Gross margin and tax rate come from derivePercentageDrivers. Accounts with activity but
+ * no decision in the mapping are reported as unmapped and left out.
+ *
+ * @param {object} sped - parseSPED result
+ * @param {Object<string, string|null>} mapping - Account code -> target (see suggestSPEDMapping)
+ * @param {{periodType?: string}} [options] - Defaults to 'anos'
+ * @returns {{
+ *   periodType: string,
+ *   periods: Array<{startDate: string, endDate: string, totals: Object<string, number>}>,
+ *   inputData: Array<object>,
+ *   unmappedAccounts: Array<object>,
+ *   warnings: string[]
+ * }}
+ */
+export const buildSPEDPeriods = (sped, mapping, options = {}) => {
+  const periodType = options.periodType || 'anos';
+  const warnings = [];
+
+  let grouped = groupSPEDPeriods(sped.periods, periodType);
+  const maxPeriods = getMaxPeriods(periodType);
+  if (grouped.length > maxPeriods) {
+    warnings.push(`The file has ${grouped.length} periods; only the last ${maxPeriods} were kept`);
+    grouped = grouped.slice(-maxPeriods);
+  }
+
+  const activeCodes = new Set();
+  grouped.forEach(period => {
+    Object.entries(period.balances).forEach(([code, b]) => { if (b.opening || b.closing) activeCodes.add(code); });
+    Object.entries(period.results).forEach(([code, amount]) => { if (amount) activeCodes.add(code); });
+  });
+  const unmappedAccounts = sped.accounts.filter(account => account.analytic && activeCodes.has(account.code) && !mapping[account.code]);
+
+  const periods = grouped.map(period => {
+    const totals = Object.keys(SPED_TARGETS).reduce((sums, target) => ({ ...sums, [target]: 0 }), {});
+    const openings = { ...totals };
+
+    Object.entries(mapping).forEach(([code, target]) => {
+      const definition = SPED_TARGETS[target];
+      if (!definition) return;
+      if (definition.balance === 'flow') {
+        totals[target] += definition.sign * (period.results[code] || 0);
+      } else {
+        const balance = period.balances[code] || { opening: 0, closing: 0 };
+        openings[target] += definition.sign * balance.opening;
+        totals[target] += definition.sign * (definition.balance === 'opening' ? balance.opening : balance.closing);
+      }
+    });
+
+    // Working capital lines use the average of the opening and closing balances
+    Object.entries(SPED_TARGETS).forEach(([target, definition]) => {
+      if (definition.balance === 'average') totals[target] = (openings[target] + totals[target]) / 2;
+    });
+
+    return {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      totals: Object.keys(totals).reduce((rounded, target) => ({ ...rounded, [target]: round2(totals[target]) }), {}),
+    };
+  });
+
+  const inputData = periods.map(({ totals }, index) => {
+    const input = {
+      revenue: totals.revenue,
+      operatingExpenses: totals.operatingExpenses,
+      depreciationAndAmortisation: totals.depreciationAndAmortisation,
+      netInterestExpenseIncome: totals.netInterestExpenseIncome,
+      ...derivePercentageDrivers(totals),
+    };
+
+    Object.entries(SPED_TARGETS).forEach(([target, definition]) => {
+      if (!definition.field) return;
+      if (definition.balance !== 'opening' || index === 0) input[definition.field] = totals[target];
+    });
+    return input;
+  });
+
+  return { periodType, periods, inputData, unmappedAccounts, warnings };
+};
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Trial balance import with a chart-of-accounts mapping
+ *
+ * Reads trial balances exported by accounting systems (CSV or XLSX rows with account code,
+ * description, debit, credit and one balance column per period) and aggregates the
+ * accounts into fieldDefinitions drivers with mapping rules on account codes or code
+ * ranges. The rules are saved per project and reused on the next upload.
+ */
+
+import { fieldDefinitions } from '../../utils/fieldDefinitions';
+import { getMaxPeriods } from '../../utils/constants';
+import { derivePercentageDrivers } from './spedImport';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+// Booked amounts converted into the gross margin and tax rate drivers
+const DERIVED_TARGETS = {
+  cogs: { label: 'Custo dos Produtos Vendidos (CPV)' },
+  incomeTax: { label: 'IRPJ e CSLL' },
+};
+
+/**
+ * Mapping targets: currency drivers of fieldDefinitions plus the derived amounts
+ */
+export const TRIAL_BALANCE_TARGETS = {
+  ...Object.entries(fieldDefinitions)
+    .filter(([, definition]) => definition.type === 'currency' && !definition.isOverride)
+    .reduce((targets, [key, definition]) => ({ ...targets, [key]: { label: definition.label } }), {}),
+  ...DERIVED_TARGETS,
+};
+
+export const TRIAL_BALANCE_IGNORE_TARGET = 'ignore';
+
+/**
+ * Empty mapping of a project
+ * @returns {{rules: Array<{from: string, to: string|null, target: string, sign: number}>}}
+ */
+export const getDefaultAccountMapping = () => ({ rules: [] });
+
+const CODE_SEPARATORS = /[.\-/]/;
+
+const normalizeHeader = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+// Header patterns, tested in order (descriptions often contain "conta")
+const COLUMN_PATTERNS = [
+  ['description', /descri|nome|name|titulo/],
+  ['debit', /debito|debit/],
+  ['credit', /credito|credit/],
+  ['openingBalance', /saldo (anterior|inicial)|opening/],
+  ['balance', /saldo|balance/],
+  ['code', /^(cod|conta|account|code|classifica)/],
+];
+
+/**
+ * Amount of a trial balance cell, debit-positive when the cell carries a D/C indicator
+ * Accepts numbers, pt-BR (1.234,56) and plain (1,234.56) text and (1.234,56) negatives.
+ * @param {string|number} value
+ * @returns {number}
+ */
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+
+  let text = String(value ?? '').trim();
+  if (!text) return 0;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  const indicator = text.match(/\s*([DC])$/i);
+  if (indicator) {
+    if (indicator[1].toUpperCase() === 'C') sign = -sign;
+    text = text.slice(0, indicator.index);
+  }
+
+  text = text.replace(/R\$|\s/g, '');
+  text = text.lastIndexOf(',') > text.lastIndexOf('.')
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  const number = Number(text);
+  return Number.isFinite(number) ? sign * number : 0;
+};
+
+/**
+ * Does the code equal the prefix or belong to its sub-accounts
+ * Plans with separators (1.1.01) need a separator after the prefix; plain plans (1101) do not.
+ * @param {string} code
+ * @param {string} prefix
+ * @returns {boolean}
+ */
+export const codeStartsWith = (code, prefix) => code === prefix || (
+  code.startsWith(prefix)
+  && (CODE_SEPARATORS.test(code[prefix.length]) || CODE_SEPARATORS.test(prefix.slice(-1)) || !CODE_SEPARATORS.test(code))
+);
+
+// Segment-wise comparison, numeric where both segments are numbers
+const compareCodes = (a, b) => {
+  const segmentsA = a.split(CODE_SEPARATORS);
+  const segmentsB = b.split(CODE_SEPARATORS);
+  for (let i = 0; i < Math.max(segmentsA.length, segmentsB.length); i++) {
+    if (segmentsA[i] === undefined) return -1;
+    if (segmentsB[i] === undefined) return 1;
+    const numeric = /^\d+$/.test(segmentsA[i]) && /^\d+$/.test(segmentsB[i]);
+    const diff = numeric ? Number(segmentsA[i]) - Number(segmentsB[i]) : segmentsA[i].localeCompare(segmentsB[i]);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Does a mapping rule cover the account code
+ * Without `to` the rule covers `from` and its sub-accounts; with `to` it covers the range,
+ * including the sub-accounts of `to`.
+ * @param {string} code
+ * @param {{from: string, to?: string|null}} rule
+ * @returns {boolean}
+ */
+export const ruleMatchesCode = (code, rule) => {
+  if (!rule.from) return false;
+  if (!rule.to) return codeStartsWith(code, rule.from);
+  return compareCodes(code, rule.from) >= 0 && (compareCodes(code, rule.to) <= 0 || codeStartsWith(code, rule.to));
+};
+
+/**
+ * Accounts and period balances of a trial balance sheet
+ *
+ * The header row is the first with an account code column and balance or debit/credit
+ * columns. Each balance column is a period; without balance columns each debit/credit pair
+ * is one (debit - credit). Rows without a code (titles, totals) and group accounts whose
+ * code prefixes another account's are skipped, so totals are not counted twice.
+ *
+ * @param {Array<Array<string|number>>} rows - Sheet rows (CSV cells or XLSX values)
+ * @returns {{periods: string[], accounts: Array<{code: string, description: string, balances: number[]}>}}
+ */
+export const parseTrialBalanceRows = (rows) => {
+  const headerIndex = rows.slice(0, 20).findIndex(row => {
+    const columns = row.map(cell => COLUMN_PATTERNS.find(([, pattern]) => pattern.test(normalizeHeader(cell)))?.[0]);
+    return columns.includes('code') && (columns.includes('balance') || columns.includes('debit'));
+  });
+  if (headerIndex === -1) {
+    throw new Error('Trial balance header not found: expected account code and balance (or debit/credit) columns');
+  }
+
+  const header = rows[headerIndex];
+  const columnsOf = (type) => header
+    .map((cell, index) => ({ index, label: String(cell).trim(), type: COLUMN_PATTERNS.find(([, pattern]) => pattern.test(normalizeHeader(cell)))?.[0] }))
+    .filter(column => column.type === type);
+
+  const codeColumn = columnsOf('code')[0].index;
+  const descriptionColumn = columnsOf('description')[0]?.index;
+  const balanceColumns = columnsOf('balance');
+  const debitColumns = columnsOf('debit');
+  const creditColumns = columnsOf('credit');
+
+  const periodColumns = balanceColumns.length > 0
+    ? balanceColumns.map(column => ({ label: column.label, read: row => parseAmount(row[column.index]) }))
+    : debitColumns.map((column, i) => ({
+      label: debitColumns.length > 1 ? column.label : 'Período 1',
+      read: row => parseAmount(row[column.index]) - parseAmount(row[creditColumns[i]?.index]),
+    }));
+
+  const rowsByCode = new Map();
+  rows.slice(headerIndex + 1).forEach(row => {
+    const code = String(row[codeColumn] ?? '').trim();
+    if (!code || !/\d/.test(code)) return;
+    const existing = rowsByCode.get(code);
+    const balances = periodColumns.map(column => column.read(row));
+    rowsByCode.set(code, {
+      code,
+      description: descriptionColumn === undefined ? '' : String(row[descriptionColumn] ?? '').trim(),
+      balances: existing ? existing.balances.map((value, i) => value + balances[i]) : balances,
+    });
+  });
+
+  const codes = [...rowsByCode.keys()];
+  const accounts = [...rowsByCode.values()]
+    .filter(account => !codes.some(other => other !== account.code && codeStartsWith(other, account.code)));
+
+  return { periods: periodColumns.map(column => column.label), accounts };
+};
+
+/**
+ * Period inputs of a trial balance through the mapping rules
+ *
+ * The first matching rule wins. Each account adds sign x balance to the rule target; balances
+ * are period-end figures, so *ValueAvg drivers average consecutive period-ends, first-period
+ * drivers (opening cash, equity) take the first period and P&L accounts are expected to hold
+ * the period's movement. COGS and IRPJ/CSLL become the gross margin and tax rate.
+ *
+ * @param {{periods: string[], accounts: Array<object>}} trialBalance - parseTrialBalanceRows result
+ * @param {{rules: Array<{from: string, to?: string|null, target: string, sign?: number}>}} mapping
+ * @param {{periodType?: string}} [options]
+ * @returns {{
+ *   periodLabels: string[],
+ *   totals: Array<Object<string, number>>,
+ *   inputData: Array<object>,
+ *   unmappedAccounts: Array<{code: string, description: string, balances: number[]}>,
+ *   warnings: string[]
+ * }}
+ */
+export const applyAccountMapping = (trialBalance, mapping, options = {}) => {
+  const rules = (mapping?.rules || []).filter(rule => rule.from && rule.target);
+  const warnings = [];
+
+  let first = 0;
+  const maxPeriods = getMaxPeriods(options.periodType || 'anos');
+  if (trialBalance.periods.length > maxPeriods) {
+    first = trialBalance.periods.length - maxPeriods;
+    warnings.push(`The file has ${trialBalance.periods.length} periods; only the last ${maxPeriods} were kept`);
+  }
+  const periodLabels = trialBalance.periods.slice(first);
+
+  const totals = periodLabels.map(() => ({}));
+  const unmappedAccounts = [];
+  trialBalance.accounts.forEach(account => {
+    const balances = account.balances.slice(first);
+    const rule = rules.find(candidate => ruleMatchesCode(account.code, candidate));
+
+    if (!rule) {
+      if (balances.some(balance => Math.abs(balance) >= 0.005)) unmappedAccounts.push({ ...account, balances });
+      return;
+    }
+    if (!TRIAL_BALANCE_TARGETS[rule.target]) return;
+
+    balances.forEach((balance, i) => {
+      totals[i][rule.target] = (totals[i][rule.target] || 0) + (rule.sign === -1 ? -1 : 1) * balance;
+    });
+  });
+
+  const mappedTargets = new Set(rules.map(rule => rule.target));
+  const inputData = totals.map((periodTotals, i) => {
+    const input = {};
+
+    Object.entries(periodTotals).forEach(([target, amount]) => {
+      const definition = fieldDefinitions[target];
+      if (!definition) return;
+      if (definition.firstPeriodOnly) {
+        if (i === 0) input[target] = round2(amount);
+      } else if (target.endsWith('ValueAvg') && i > 0) {
+        input[target] = round2((amount + (totals[i - 1][target] || 0)) / 2);
+      } else {
+        input[target] = round2(amount);
+      }
+    });
+
+    const derived = derivePercentageDrivers({ revenue: 0, cogs: 0, incomeTax: 0, ...periodTotals });
+    if (mappedTargets.has('cogs')) input.grossMarginPercentage = derived.grossMarginPercentage;
+    if (mappedTargets.has('incomeTax')) input.incomeTaxRatePercentage = derived.incomeTaxRatePercentage;
+    return input;
+  });
+
+  return {
+    periodLabels,
+    totals: totals.map(periodTotals => Object.keys(periodTotals).reduce((rounded, target) => ({
+      ...rounded,
+      [target]: round2(periodTotals[target]),
+    }), {})),
+    inputData,
+    unmappedAccounts,
+    warnings,
+  };
+};
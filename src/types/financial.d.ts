@@ -106,14 +106,776 @@ export interface CalculatedPeriodData extends PeriodInputData {
   cashFlowFromFinancing: number;
   netChangeInCash: number; 
   fundingGapOrSurplus: number;
+
+  // Direct-method DFC (reconciled to the indirect operating cash flow)
+  directCashFlow?: DirectCashFlow;
+
+  // Lucro Real loss carryforward (prejuízo fiscal / base negativa de CSLL)
+  taxLossCarryforward?: TaxLossCarryforward;
+
+  // Debt facility schedule and covenant tests (when loan contracts are configured)
+  debt?: DebtSchedulePeriod;
+
+  // Forward projection (projectFinancialData): forecast periods carry the resolved drivers
+  isForecast?: boolean;
+  assumptions?: ProjectionAssumptions;
+}
+
+export interface ProjectionAssumptions {
+  revenueGrowth: number;
+  grossMarginPercent: number;
+  opexPercent: number;
+  dso: number;
+  dio: number;
+  dpo: number;
+  capexPercent: number;
+  payoutPercent: number;
+  depreciationPercent: number;
+}
+
+export interface DebtCovenantBreach {
+  covenant: 'netDebtToEbitda' | 'dscr';
+  value: number | null;
+  limit: number;
+}
+
+export interface DebtCovenantResult {
+  netDebt: number;
+  annualizedEbitda: number;
+  netDebtToEbitda: number | null;
+  dscr: number | null;
+  limits: { maxNetDebtToEbitda?: number | null; minDscr?: number | null };
+  breaches: DebtCovenantBreach[];
+  isCompliant: boolean;
+}
+
+export interface DebtSchedulePeriod {
+  periodIndex: number;
+  openingDebt: number;
+  drawdowns: number;
+  monetaryCorrection: number;
+  interestExpense: number;
+  principalRepayment: number;
+  debtService: number;
+  closingDebt: number;
+  changeInDebt: number;
+  byFacility: Array<{
+    id: string;
+    name: string;
+    opening: number;
+    drawdown: number;
+    correction: number;
+    interest: number;
+    principal: number;
+    closing: number;
+  }>;
+  covenants: DebtCovenantResult;
+}
+
+export interface TaxLossCarryforward {
+  openingFiscalLoss: number;
+  fiscalLossGenerated: number;
+  fiscalLossUsed: number;
+  closingFiscalLoss: number;
+  openingCsllNegativeBase: number;
+  csllNegativeBaseGenerated: number;
+  csllNegativeBaseUsed: number;
+  closingCsllNegativeBase: number;
+  irpjTaxableProfit: number;
+  csllTaxableProfit: number;
 }
 
-export type PeriodTypeOption = 'anos' | 'trimestres' | 'meses';
+export interface DirectCashFlow {
+  cashFromCustomers: number;
+  cashPaidToSuppliers: number;
+  cashPaidForOperatingExpenses: number;
+  taxesPaid: number;
+  netInterestReceivedPaid: number;
+  operatingCashFlow: number;
+  indirectOperatingCashFlow: number;
+  reconciliationDifference: number;
+}
+
+export type PeriodTypeOption = 'anos' | 'trimestres' | 'meses' | 'semanas';
 export type InputMethodOption = 'manual' | 'excel';
+export type TaxRegimeOption = 'lucro_real' | 'lucro_presumido' | 'simples_nacional';
 
 export interface CompanyInfo {
   name: string;
   reportTitle: string;
   periodType: PeriodTypeOption;
   numberOfPeriods: number;
-}
\ No newline at end of file
+}
+export interface CashFlowSimulationBand {
+  periodIndex: number;
+  isForecast: boolean;
+  mean: number;
+  p5: number;
+  p10: number;
+  p25: number;
+  p50: number;
+  p75: number;
+  p90: number;
+  p95: number;
+  probabilityNegative: number; // 0-1 scale
+}
+
+export interface CashFlowSimulationResult {
+  iterations: number;
+  drivers: string[];
+  periods: CashFlowSimulationBand[];
+  probabilityNegativeCash: number; // 0-1 scale, any forecast period below zero
+  minimumCash: (Omit<CashFlowSimulationBand, 'periodIndex' | 'isForecast' | 'probabilityNegative'> & {
+    histogram: { from: number; to: number; count: number }[];
+  }) | null;
+}
+
+export type SensitivityMetric = 'closingCash' | 'ebitda' | 'netProfit' | 'freeCashFlow';
+
+export interface SensitivityDataTable {
+  metric: SensitivityMetric;
+  rowDriver: string; // fieldDefinitions key
+  columnDriver: string;
+  steps: number[]; // Relative changes in %, e.g., -10 = -10%
+  baseValue: number;
+  values: number[][]; // values[row][column]
+}
+
+export interface TornadoBar {
+  driver: string;
+  label: string;
+  lowValue: number;
+  highValue: number;
+  lowDelta: number;
+  highDelta: number;
+  swing: number;
+}
+
+export interface SensitivityResult {
+  dataTable: SensitivityDataTable;
+  tornado: {
+    metric: SensitivityMetric;
+    rangePercent: number;
+    baseValue: number;
+    bars: TornadoBar[];
+  };
+}
+
+export interface GoalSeekDriverResult {
+  driver: string; // fieldDefinitions key
+  label: string;
+  lower: number;
+  upper: number;
+  isEffective: boolean; // false when the driver cannot move the metric towards the target
+  changes: { periodIndex: number; from: number; to: number }[];
+}
+
+export interface GoalSeekResult {
+  metric: SensitivityMetric;
+  target: number;
+  baseValue: number;
+  achievedValue: number;
+  converged: boolean;
+  iterations: number;
+  drivers: GoalSeekDriverResult[];
+  inputs: PeriodInputData[]; // Inputs with the solution applied
+}
+
+export interface ValuationResult {
+  settings: Record<string, unknown>;
+  wacc: {
+    costOfEquity: number; // Percent values
+    costOfDebtPreTax: number;
+    costOfDebtAfterTax: number;
+    equityWeight: number;
+    debtWeight: number;
+    wacc: number;
+  };
+  periodsPerYear: number;
+  forecast: {
+    periodIndex: number;
+    ebitda: number;
+    ebit: number;
+    nopat: number;
+    depreciation: number;
+    workingCapitalChange: number;
+    capex: number;
+    fcff: number;
+    discountFactor: number;
+    presentValue: number;
+  }[];
+  terminalValue: {
+    method: 'gordon' | 'exitMultiple';
+    value: number;
+    presentValue: number;
+    growth: number;
+    exitMultiple: number;
+    shareOfEnterpriseValue: number; // Percent of EV
+  };
+  bridge: {
+    presentValueOfFlows: number;
+    presentValueOfTerminal: number;
+    enterpriseValue: number;
+    debt: number;
+    cash: number;
+    netDebt: number;
+    equityValue: number;
+  };
+  grid: {
+    variable: 'growth' | 'exitMultiple';
+    waccValues: number[];
+    columnValues: number[];
+    equityValues: (number | null)[][]; // [wacc][column]
+  };
+}
+
+export interface RollingForecastWeek {
+  weekStart: string; // ISO date of the Monday
+  forecast: Record<string, number>;
+  actual: Record<string, number> | null;
+}
+
+export interface RollingCashForecast {
+  openingCash: number;
+  minimumCash: number;
+  weeks: RollingForecastWeek[];
+  history: {
+    weekStart: string;
+    openingCash: number;
+    closingCash: number;
+    lines: {
+      key: string;
+      label: string;
+      type: 'receipt' | 'disbursement';
+      forecast: number;
+      actual: number;
+      variance: number;
+      variancePercent: number | null;
+      isFavorable: boolean;
+    }[];
+    totals: { forecastNetFlow: number; actualNetFlow: number; variance: number };
+  }[];
+}
+
+export interface BudgetVarianceLine {
+  key: string;
+  label: string;
+  nature: 'income' | 'expense';
+  actual: number;
+  budget: number;
+  variance: number; // actual - budget
+  variancePercent: number | null; // Over |budget|; null when the budget is zero
+  isFavorable: boolean;
+}
+
+export interface BudgetVarianceResult {
+  comparedPeriods: number;
+  periods: { periodIndex: number; lines: BudgetVarianceLine[] }[];
+  total: { lines: BudgetVarianceLine[] }; // Flow lines summed, balance lines from the last period
+  revenueBridge: {
+    budgetRevenue: number;
+    actualRevenue: number;
+    priceEffect: number;
+    volumeEffect: number;
+    mixEffect: number;
+    otherEffect: number; // Gap to the statement revenue variance
+    products: Record<string, string | number>[];
+  } | null;
+}
+
+export type ScenarioMetricKey = 'revenue' | 'grossProfit' | 'ebitda' | 'ebitdaMargin' | 'netIncome'
+  | 'operatingCashFlow' | 'freeCashFlow' | 'cashConversionCycle' | 'closingCash';
+
+export interface ScenarioComparisonResult {
+  baseScenarioId: string;
+  scenarios: {
+    id: string;
+    name: string;
+    type?: string;
+    adjustments: Record<string, number>; // Percent change per driver
+    rows: ({ periodIndex: number } & Record<ScenarioMetricKey, number>)[];
+    summary: Record<ScenarioMetricKey, number>; // Flows summed, closing cash and ratios from the last period
+  }[];
+  deltas: {
+    id: string;
+    name: string;
+    metrics: Record<ScenarioMetricKey, { value: number; base: number; delta: number; deltaPercent: number | null }>;
+  }[];
+}
+
+export type EliminationType = 'revenueCogs' | 'receivablesPayables' | 'loans' | 'dividends';
+
+export interface EliminationEntry {
+  type: EliminationType;
+  periodIndex: number | null; // null applies to every period
+  amount: number;
+  fromEntityId?: string;
+  toEntityId?: string;
+  description?: string;
+}
+
+export interface ConsolidationBridgeLine {
+  key: string;
+  label: string;
+  entities: Record<string, number>; // Entity id -> figure
+  aggregate: number; // Sum of the entities
+  eliminations: number; // Consolidated - aggregate
+  consolidated: number;
+  minorityInterest?: number; // Net income and equity lines only
+  attributableToParent?: number;
+}
+
+export interface ConsolidationResult {
+  periods: Record<string, unknown>[]; // processFinancialData shape, plus minorityInterest lines
+  entities: { id: string; name: string; ownershipPercent: number; isParent: boolean }[];
+  bridge: { periodIndex: number; lines: ConsolidationBridgeLine[] }[];
+}
+
+export type CurrencyCode = 'BRL' | 'USD' | 'EUR';
+
+export interface FxRateTable {
+  historicalRate?: number | null; // Rate of the opening equity
+  periods: { averageRate: number; closingRate: number }[];
+}
+
+export type FxRates = Record<string, FxRateTable>; // 'USD/BRL' -> rate table
+
+export interface FxTranslation {
+  functionalCurrency: CurrencyCode;
+  presentationCurrency: CurrencyCode;
+  historicalRate: number | null;
+  rates: { averageRate: number; closingRate: number }[];
+}
+
+export interface PeriodFxTranslation {
+  functionalCurrency: CurrencyCode;
+  presentationCurrency: CurrencyCode;
+  averageRate: number;
+  closingRate: number;
+  ctaMovement: number; // Change in the cumulative translation adjustment
+}
+
+export type InflationIndexType = 'ipca' | 'igpm' | 'custom';
+
+export interface InflationSettings {
+  enabled: boolean;
+  indexType: InflationIndexType;
+  indexTables: Record<InflationIndexType, (number | null)[]>; // Inflation of each period (%)
+  basePeriodIndex: number | null; // null = last period
+  realTerms: boolean; // Restate the statements to constant currency
+}
+
+export interface PeriodInflationAdjustment {
+  indexType: InflationIndexType;
+  inflationRate: number;
+  priceIndex: number; // Start of the first period = 100
+  factor: number; // Base price index / period price index
+  basePeriodIndex: number;
+  isRealTerms: boolean;
+  revenue: { nominal: number; real: number };
+  netIncome: { nominal: number; real: number };
+}
+
+export type BenchmarkMetricKey = 'dso' | 'dio' | 'dpo' | 'grossMargin' | 'ebitdaMargin' | 'netDebtToEbitda';
+
+export type QuartilePosition = 'top' | 'aboveMedian' | 'belowMedian' | 'bottom';
+
+export interface BenchmarkQuartiles {
+  p25: number;
+  median: number;
+  p75: number;
+}
+
+export interface BenchmarkLibrary {
+  version?: number;
+  source?: string;
+  industries: Record<string, {
+    label: string;
+    sizes: Record<string, Partial<Record<BenchmarkMetricKey, BenchmarkQuartiles>>>; // 'Small' | 'Medium' | 'Large'
+  }>;
+}
+
+export interface BenchmarkComparison {
+  industry: string;
+  industryLabel: string;
+  companySize: string;
+  metrics: (BenchmarkQuartiles & {
+    key: BenchmarkMetricKey;
+    label: string;
+    unit: 'days' | 'percent' | 'multiple';
+    lowerIsBetter: boolean;
+    value: number | null;
+    gapToMedian: number | null;
+    position: QuartilePosition | null;
+  })[];
+  cashRelease: { receivables: number; inventory: number; payables: number; total: number };
+}
+
+export type CreditModel = 'scorecard' | 'altmanZ';
+
+export type CreditMetricKey = 'currentRatio' | 'quickRatio' | 'debtToEquity' | 'netDebtToEbitda' | 'ebitdaMargin' | 'roa' | 'roe';
+
+export interface CreditScoreBand {
+  threshold: number;
+  points: number; // 0-100
+}
+
+export interface CreditRatingScaleEntry {
+  rating: string; // AAA … D
+  minScore: number;
+  limitPercentOfRevenue: number;
+}
+
+export interface CreditSettings {
+  model: CreditModel;
+  quantitative: { key: CreditMetricKey; weight: number; lowerIsBetter: boolean; bands: CreditScoreBand[] }[];
+  qualitative: {
+    key: string;
+    label: string;
+    weight: number;
+    value: string;
+    options: { value: string; label: string; points: number }[];
+  }[];
+  ratingScale: CreditRatingScaleEntry[];
+  retainedEarnings: number | null; // null = net income accumulated over the analysed periods
+}
+
+export interface CreditScoreComponent {
+  type: 'quantitative' | 'qualitative';
+  key: string;
+  label: string;
+  source: string; // Ratio path in the processed period, or analyst input
+  format?: 'multiple' | 'percent';
+  value: number | string | null;
+  band?: (CreditScoreBand & { operator: '≥' | '≤' }) | null;
+  points: number;
+  weight: number;
+  contribution: number; // points × weight / total weight
+}
+
+export interface AltmanZScore {
+  zScore: number;
+  constant: number;
+  components: {
+    key: 'x1' | 'x2' | 'x3' | 'x4';
+    label: string;
+    numeratorLabel: string;
+    numerator: number;
+    denominator: number;
+    ratio: number;
+    coefficient: number;
+    contribution: number;
+  }[];
+  zone: 'safe' | 'grey' | 'distress';
+  impliedRating: string;
+  retainedEarningsSource: string;
+}
+
+export interface CreditScore {
+  periodIndex: number;
+  model: CreditModel;
+  scorecard: { score: number; components: CreditScoreComponent[] };
+  altman: AltmanZScore;
+  rating: string;
+  ratingScale: CreditRatingScaleEntry[];
+  creditLimit: { annualizedRevenue: number; limitPercentOfRevenue: number; amount: number };
+}
+
+export type CostBehaviorMethod = 'percentages' | 'regression';
+
+export interface CostBehaviorSettings {
+  method: CostBehaviorMethod;
+  variablePercent: { cogs: number; operatingExpenses: number }; // 0-100, used by 'percentages'
+}
+
+export interface PeriodBreakEven {
+  periodIndex: number;
+  revenue: number;
+  variableCosts: { cogs: number; operatingExpenses: number; total: number };
+  fixedCosts: { cogs: number; operatingExpenses: number; depreciation: number; total: number };
+  contributionMargin: number;
+  contributionMarginPercent: number;
+  ebit: number;
+  ebt: number;
+  breakEvenRevenue: number | null; // EBIT = 0; null without a positive contribution margin
+  cashBreakEvenRevenue: number | null; // EBITDA = 0
+  marginOfSafetyValue: number | null;
+  marginOfSafetyPercent: number | null;
+  dol: number | null; // Contribution margin / EBIT, null when EBIT ≤ 0
+  dfl: number | null; // EBIT / EBT, null when either is ≤ 0
+  dcl: number | null;
+}
+
+export interface BreakEvenAnalysis {
+  method: CostBehaviorMethod;
+  variableRatios: { cogs: number; operatingExpenses: number }; // 0-1
+  regression: Record<'cogs' | 'operatingExpenses', { variableRatio: number; fixedCost: number; rSquared: number }> | null;
+  periods: PeriodBreakEven[];
+}
+
+export type SeasonalityProfileType = 'flat' | 'custom' | 'historical';
+
+export interface SeasonalitySettings {
+  enabled: boolean;
+  profileType: SeasonalityProfileType;
+  customPercentages: number[]; // 12 months, summing to 100
+  historicalPercentages: number[] | null; // Learned from an uploaded monthly history
+  seasonalFields: ('revenue' | 'operatingExpenses' | 'capitalExpenditures')[];
+  minimumCash: number;
+}
+
+export interface PhasedMonth {
+  monthIndex: number;
+  label: string; // e.g. 'Jan/Ano 1'
+  closingCash: number;
+  fundingRequirement: number; // max(0, minimumCash - closingCash)
+}
+
+export interface MonthlyView {
+  profile: number[];
+  periods: CalculatedPeriodData[]; // processFinancialData output, one per month
+  months: PhasedMonth[];
+  peak: PhasedMonth; // Month with the lowest closing cash
+}
+
+export type SpedLayout = 'ECD' | 'ECF';
+
+export type SpedTarget = 'revenue' | 'cogs' | 'operatingExpenses' | 'depreciationAndAmortisation'
+  | 'netInterestExpenseIncome' | 'incomeTax' | 'cash' | 'accountsReceivable' | 'inventory'
+  | 'accountsPayable' | 'netFixedAssets' | 'totalBankLoans' | 'equity';
+
+export interface SpedAccount {
+  code: string;
+  name: string;
+  nature: string; // COD_NAT: '01' asset, '02' liability, '03' equity, '04' result
+  parent: string | null;
+  analytic: boolean;
+  referentialCode: string | null;
+}
+
+export interface SpedPeriod {
+  startDate: string; // ISO date
+  endDate: string;
+  balances: Record<string, { opening: number; closing: number }>; // Debit-positive
+  results: Record<string, number>; // Period movement, debit-positive
+}
+
+export interface SpedFile {
+  layout: SpedLayout;
+  company: { name: string; cnpj: string };
+  startDate: string;
+  endDate: string;
+  source: 'trialBalance' | 'statements';
+  accounts: SpedAccount[];
+  periods: SpedPeriod[];
+}
+
+export type SpedMapping = Record<string, SpedTarget | 'ignore' | null>;
+
+export interface SpedPeriodsResult {
+  periodType: PeriodTypeOption;
+  periods: { startDate: string; endDate: string; totals: Record<SpedTarget, number> }[];
+  inputData: Partial<PeriodInputData>[];
+  unmappedAccounts: SpedAccount[];
+  warnings: string[];
+}
+
+export interface AccountMappingRule {
+  from: string; // Account code, or first code of the range
+  to: string | null; // Last code of the range; null covers `from` and its sub-accounts
+  target: keyof PeriodInputData | 'cogs' | 'incomeTax' | 'ignore';
+  sign: 1 | -1; // -1 flips debit-positive balances (revenue, liabilities, equity)
+}
+
+export interface AccountMapping {
+  rules: AccountMappingRule[]; // First match wins
+}
+
+export interface TrialBalanceAccount {
+  code: string;
+  description: string;
+  balances: number[]; // One per period, debit-positive
+}
+
+export interface TrialBalance {
+  periods: string[]; // Balance column headers
+  accounts: TrialBalanceAccount[];
+}
+
+export interface AccountMappingResult {
+  periodLabels: string[];
+  totals: Record<string, number>[];
+  inputData: Partial<PeriodInputData>[];
+  unmappedAccounts: TrialBalanceAccount[];
+  warnings: string[];
+}
+
+export type BankStatementFormat = 'ofx' | 'cnab240' | 'cnab400';
+
+export type BankCategory = 'receipts' | 'otherInflows' | 'suppliers' | 'payroll' | 'taxes' | 'debtService' | 'otherOutflows';
+
+export interface BankTransaction {
+  id: string; // FITID or document number
+  date: string; // ISO date
+  amount: number; // Credits positive, debits negative
+  payee: string;
+  memo: string;
+  type: string; // TRNTYPE, CNAB category or occurrence code
+  category?: BankCategory;
+}
+
+export interface BankBalance {
+  date: string; // ISO date; balance at the end of the day
+  amount: number;
+}
+
+export interface BankStatement {
+  format: BankStatementFormat | 'merged';
+  bankCode: string;
+  account: string;
+  transactions: BankTransaction[];
+  openingBalance: BankBalance | null;
+  closingBalance: BankBalance | null;
+}
+
+export interface BankCategorizationRule {
+  pattern: string; // Regular expression tested against payee and memo (case-insensitive)
+  category: BankCategory;
+  direction: 'any' | 'credit' | 'debit';
+}
+
+export interface BankReconciliationSettings {
+  rules: BankCategorizationRule[]; // First match wins
+  periodStartDate: string; // First day of period 1; empty = period of the first transaction
+  openingBalance: number | null;
+  tolerance: number;
+}
+
+export interface BankPeriod {
+  startDate: string;
+  endDate: string;
+  inflows: number;
+  outflows: number;
+  net: number;
+  byCategory: Record<BankCategory, number>;
+  transactionCount: number;
+  closingBalance: number | null; // null without any balance information
+}
+
+export interface BankReconciliationPeriod extends BankPeriod {
+  periodIndex: number;
+  label: string;
+  expectedClosingCash: number;
+  expectedSource: 'override' | 'calculated';
+  difference: number | null; // Bank minus expected
+  modelNetCashFlow: number;
+  flowDifference: number | null;
+  unexplained: boolean;
+}
+
+export interface BankReconciliation {
+  periods: BankReconciliationPeriod[];
+  unexplained: BankReconciliationPeriod[];
+  uncategorized: BankTransaction[];
+  balanceSource: 'statement' | 'opening' | null;
+  outOfRange: number;
+  transactionCount: number;
+  tolerance: number;
+}
+
+export type NFeRevenueBasis = 'gross' | 'net';
+
+export interface NFeDuplicata {
+  number: string;
+  dueDate: string; // ISO date
+  amount: number;
+}
+
+export interface NFeInvoice {
+  accessKey: string;
+  number: string;
+  model: string; // 55 = NF-e
+  issueDate: string; // ISO date
+  direction: 'in' | 'out'; // tpNF
+  purpose: string; // finNFe: 1 normal, 2 complementary, 3 adjustment, 4 return
+  status: string | null; // cStat of the authorization protocol
+  issuer: { id: string; name: string };
+  customer: { id: string; name: string }; // CNPJ, CPF or foreign id
+  cfops: string[];
+  totals: {
+    products: number;
+    discount: number;
+    freight: number;
+    insurance: number;
+    other: number;
+    icms: number;
+    icmsST: number;
+    ipi: number;
+    pis: number;
+    cofins: number;
+    invoice: number;
+  };
+  duplicatas: NFeDuplicata[];
+}
+
+export interface NFePeriod {
+  startDate: string;
+  endDate: string;
+  invoiceCount: number;
+  returnCount: number;
+  grossRevenue: number; // Net of customer returns, before ICMS/PIS/COFINS
+  returns: number;
+  icms: number;
+  pis: number;
+  cofins: number;
+  ipi: number;
+  netRevenue: number;
+  dso: number | null; // Amount-weighted duplicata term in days
+  duplicataCoverage: number; // % of sales with duplicatas
+  receivablesAvg: number | null; // Time-weighted outstanding duplicatas
+}
+
+export interface NFeCustomerRevenue {
+  id: string;
+  name: string;
+  revenue: number;
+  invoiceCount: number;
+}
+
+export interface NFeAggregation {
+  companyId: string;
+  periods: NFePeriod[];
+  customers: NFeCustomerRevenue[];
+  inputData: Array<Pick<Partial<PeriodInputData>, 'revenue' | 'accountsReceivableValueAvg'>>;
+  warnings: string[];
+}
+
+export type ConcentrationRiskLevel = 'low' | 'moderate' | 'high';
+
+export interface CustomerConcentration {
+  totalRevenue: number;
+  customerCount: number;
+  topCustomers: Array<NFeCustomerRevenue & { share: number; cumulativeShare: number }>;
+  top1Share: number;
+  top5Share: number;
+  top10Share: number;
+  hhi: number; // Herfindahl-Hirschman index, 0-10000
+  riskLevel: ConcentrationRiskLevel;
+  riskReasons: string[];
+}
+
+export interface ExcelLayoutMapping {
+  label: string; // Row label as written in the client spreadsheet
+  fieldKey: keyof PeriodInputData;
+}
+
+export interface ExcelLayoutProfile {
+  id: string;
+  name: string;
+  sheetName: string;
+  labelColumn: number; // 1-based, as shown in Excel
+  headerRow: number; // 1-based row with the period headers
+  periodType: PeriodTypeOption;
+  mappings: ExcelLayoutMapping[];
+  updatedAt: string; // ISO timestamp
+}
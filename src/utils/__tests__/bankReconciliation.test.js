@@ -0,0 +1,132 @@
+// src/utils/__tests__/bankReconciliation.test.js
+import {
+  categorizeTransaction,
+  mergeBankStatements,
+  getPeriodStart,
+  getPeriodBounds,
+  aggregateBankTransactions,
+  reconcileBankStatements,
+  getDefaultBankReconciliationSettings,
+} from '../bankReconciliation';
+
+const transaction = (id, date, amount, memo = '', payee = '') => ({ id, date, amount, memo, payee, type: '' });
+
+const STATEMENT = {
+  format: 'ofx',
+  bankCode: '341',
+  account: '1',
+  transactions: [
+    transaction('1', '2024-01-10', 1000, 'LIQUIDACAO COBRANCA'),
+    transaction('2', '2024-02-05', -400, 'PAGTO FORNECEDOR ABC'),
+    transaction('3', '2024-04-15', 2000, 'EMPRESTIMO CAPITAL DE GIRO'),
+    transaction('4', '2024-05-02', -150, 'TARIFA PACOTE'),
+  ],
+  openingBalance: null,
+  closingBalance: null,
+};
+
+const period = (netCashFlow) => ({ cashFlow: { netCashFlow } });
+
+describe('categorizeTransaction', () => {
+  const { rules } = getDefaultBankReconciliationSettings();
+
+  it('applies the first matching rule for the direction of the amount', () => {
+    expect(categorizeTransaction(transaction('a', '2024-01-01', -50, 'PAGTO FOLHA'), rules)).toBe('payroll');
+    expect(categorizeTransaction(transaction('b', '2024-01-01', 50, '', 'PIX RECEBIDO JOAO'), rules)).toBe('receipts');
+    expect(categorizeTransaction(transaction('c', '2024-01-01', 5000, 'CREDITO EMPRESTIMO'), rules)).toBe('debtService');
+  });
+
+  it('falls back to other inflows/outflows and skips invalid patterns', () => {
+    const invalid = [{ pattern: '(', category: 'taxes', direction: 'any' }];
+    expect(categorizeTransaction(transaction('a', '2024-01-01', -10, 'TARIFA'), invalid)).toBe('otherOutflows');
+    expect(categorizeTransaction(transaction('b', '2024-01-01', 10, 'ESTORNO'), [])).toBe('otherInflows');
+  });
+});
+
+describe('mergeBankStatements', () => {
+  it('drops repeated transactions and keeps the latest closing balance', () => {
+    const merged = mergeBankStatements([
+      { ...STATEMENT, transactions: STATEMENT.transactions.slice(0, 2), closingBalance: { date: '2024-02-29', amount: 600 } },
+      { ...STATEMENT, transactions: STATEMENT.transactions.slice(1), closingBalance: { date: '2024-05-31', amount: 2450 } },
+    ]);
+
+    expect(merged.transactions).toHaveLength(4);
+    expect(merged.closingBalance).toEqual({ date: '2024-05-31', amount: 2450 });
+  });
+});
+
+describe('period buckets', () => {
+  it('starts at the calendar period or the Monday of the week', () => {
+    expect(getPeriodStart('anos', '2024-07-15')).toBe('2024-01-01');
+    expect(getPeriodStart('trimestres', '2024-08-15')).toBe('2024-07-01');
+    expect(getPeriodStart('meses', '2024-08-15')).toBe('2024-08-01');
+    expect(getPeriodStart('semanas', '2024-08-15')).toBe('2024-08-12');
+  });
+
+  it('builds consecutive periods', () => {
+    expect(getPeriodBounds('trimestres', '2024-01-01', 2)).toEqual([
+      { startDate: '2024-01-01', endDate: '2024-03-31' },
+      { startDate: '2024-04-01', endDate: '2024-06-30' },
+    ]);
+    expect(getPeriodBounds('semanas', '2024-01-01', 1)).toEqual([{ startDate: '2024-01-01', endDate: '2024-01-07' }]);
+  });
+});
+
+describe('aggregateBankTransactions', () => {
+  const { rules } = getDefaultBankReconciliationSettings();
+
+  it('buckets flows by category and rolls the balance from the informed opening balance', () => {
+    const { periods, balanceSource, outOfRange } = aggregateBankTransactions(STATEMENT, rules, { periodType: 'trimestres', openingBalance: 100 });
+
+    expect(periods).toHaveLength(2);
+    expect(periods[0]).toMatchObject({ startDate: '2024-01-01', inflows: 1000, outflows: 400, net: 600, transactionCount: 2, closingBalance: 700 });
+    expect(periods[0].byCategory).toMatchObject({ receipts: 1000, suppliers: -400 });
+    expect(periods[1].byCategory).toMatchObject({ debtService: 2000, otherOutflows: -150 });
+    expect(periods[1].closingBalance).toBe(2550);
+    expect(balanceSource).toBe('opening');
+    expect(outOfRange).toBe(0);
+  });
+
+  it('backs period-end balances out of the statement closing balance', () => {
+    const { periods, balanceSource } = aggregateBankTransactions(
+      { ...STATEMENT, closingBalance: { date: '2024-05-31', amount: 3000 } },
+      rules,
+      { periodType: 'trimestres' },
+    );
+
+    expect(balanceSource).toBe('statement');
+    expect(periods.map(item => item.closingBalance)).toEqual([1150, 3000]);
+  });
+
+  it('leaves balances empty without any balance information', () => {
+    const { periods, balanceSource } = aggregateBankTransactions(STATEMENT, rules, { periodType: 'anos' });
+    expect(balanceSource).toBeNull();
+    expect(periods[0].closingBalance).toBeNull();
+  });
+});
+
+describe('reconcileBankStatements', () => {
+  const settings = { ...getDefaultBankReconciliationSettings(), openingBalance: 100, tolerance: 10 };
+  const calculatedData = [period(600), period(1000)];
+
+  it('compares bank closing cash with the calculated cash or the override', () => {
+    const result = reconcileBankStatements([STATEMENT], calculatedData, [{ openingCash: 100 }, { override_closingCash: 2550 }], settings, 'trimestres');
+
+    expect(result.periods[0]).toMatchObject({ label: 'Trim. 1', expectedClosingCash: 700, expectedSource: 'calculated', difference: 0, unexplained: false });
+    expect(result.periods[1]).toMatchObject({ expectedClosingCash: 2550, expectedSource: 'override', difference: 0, unexplained: false });
+    expect(result.unexplained).toEqual([]);
+    expect(result.uncategorized.map(item => item.id)).toEqual(['4']);
+  });
+
+  it('lists periods whose difference exceeds the tolerance', () => {
+    const result = reconcileBankStatements([STATEMENT], calculatedData, [{ openingCash: 100 }, {}], settings, 'trimestres');
+
+    expect(result.unexplained).toHaveLength(1);
+    expect(result.unexplained[0]).toMatchObject({ periodIndex: 1, expectedClosingCash: 1700, difference: 850, flowDifference: 850 });
+  });
+
+  it('requires statements and a calculated report', () => {
+    expect(() => reconcileBankStatements([], calculatedData, [], settings, 'anos')).toThrow(/extrato/);
+    expect(() => reconcileBankStatements([STATEMENT], [], [], settings, 'anos')).toThrow(/relatório/);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for the Industry Benchmarks
+ * Quartile positions and cash released by closing the gap to the median
+ */
+
+import {
+  getDefaultBenchmarkLibrary,
+  getBenchmark,
+  getQuartilePosition,
+  compareToBenchmark,
+  getBenchmarkMetricValues,
+  validateBenchmarkLibrary,
+  mergeBenchmarkLibraries,
+  QUARTILE_POSITIONS,
+} from '../benchmarks';
+import { processFinancialData } from '../calculations';
+
+describe('Benchmarks', () => {
+  const benchmark = {
+    industry: 'Retail',
+    industryLabel: 'Varejo',
+    companySize: 'Medium',
+    metrics: {
+      dso: { p25: 20, median: 30, p75: 40 },
+      dio: { p25: 40, median: 60, p75: 80 },
+      dpo: { p25: 40, median: 55, p75: 70 },
+      grossMargin: { p25: 25, median: 32, p75: 40 },
+    },
+  };
+
+  describe('library', () => {
+    it('should ship quartiles for every industry and size', () => {
+      const library = getDefaultBenchmarkLibrary();
+
+      expect(() => validateBenchmarkLibrary(library)).not.toThrow();
+      expect(getBenchmark(library, 'General', 'Medium').metrics.dso.median).toBeGreaterThan(0);
+      expect(getBenchmark(library, 'Retail', 'Small').industryLabel).toBe('Varejo');
+      expect(getBenchmark(library, 'Unknown', 'Medium')).toBeNull();
+    });
+
+    it('should reject quartiles out of order', () => {
+      const library = { industries: { Retail: { sizes: { Small: { dso: { p25: 40, median: 30, p75: 50 } } } } } };
+
+      expect(() => validateBenchmarkLibrary(library)).toThrow('p25 ≤ mediana ≤ p75');
+      expect(() => validateBenchmarkLibrary({})).toThrow('industries');
+    });
+
+    it('should merge imported industries into the library', () => {
+      const library = getDefaultBenchmarkLibrary();
+      const imported = { industries: { Retail: { sizes: { Small: benchmark.metrics } }, Pharma: { label: 'Farmacêutico', sizes: { Large: benchmark.metrics } } } };
+      const merged = mergeBenchmarkLibraries(library, imported);
+
+      expect(merged.industries.Retail.sizes.Small.dso.median).toBe(30);
+      expect(merged.industries.Retail.sizes.Large).toEqual(library.industries.Retail.sizes.Large);
+      expect(merged.industries.Pharma.label).toBe('Farmacêutico');
+    });
+  });
+
+  describe('getQuartilePosition', () => {
+    it('should treat lower days as better', () => {
+      expect(getQuartilePosition(15, benchmark.metrics.dso, true)).toBe(QUARTILE_POSITIONS.TOP);
+      expect(getQuartilePosition(35, benchmark.metrics.dso, true)).toBe(QUARTILE_POSITIONS.BELOW_MEDIAN);
+      expect(getQuartilePosition(45, benchmark.metrics.dso, true)).toBe(QUARTILE_POSITIONS.BOTTOM);
+    });
+
+    it('should treat higher margins as better', () => {
+      expect(getQuartilePosition(45, benchmark.metrics.grossMargin, false)).toBe(QUARTILE_POSITIONS.TOP);
+      expect(getQuartilePosition(33, benchmark.metrics.grossMargin, false)).toBe(QUARTILE_POSITIONS.ABOVE_MEDIAN);
+      expect(getQuartilePosition(null, benchmark.metrics.grossMargin, false)).toBeNull();
+    });
+  });
+
+  describe('compareToBenchmark', () => {
+    // 365-day year: DSO = 150000 / 1000000 * 365 = 54.75 days; COGS = 600000
+    const [period] = processFinancialData([{
+      revenue: 1000000,
+      grossMarginPercentage: 40,
+      operatingExpenses: 200000,
+      accountsReceivableValueAvg: 150000,
+      inventoryValueAvg: 60000,
+      accountsPayableValueAvg: 60000,
+    }], 'YEARLY');
+    const comparison = compareToBenchmark(period, benchmark);
+
+    it('should position each metric against the quartiles', () => {
+      const dso = comparison.metrics.find(metric => metric.key === 'dso');
+      const grossMargin = comparison.metrics.find(metric => metric.key === 'grossMargin');
+
+      expect(comparison.metrics).toHaveLength(4);
+      expect(dso.position).toBe(QUARTILE_POSITIONS.BOTTOM);
+      expect(dso.gapToMedian).toBeCloseTo(period.workingCapital.dso - 30, 2);
+      expect(grossMargin.position).toBe(QUARTILE_POSITIONS.TOP);
+    });
+
+    it('should size the cash released by closing the gap to the median', () => {
+      const dailyRevenue = 1000000 / period.daysInPeriod;
+      const dailyCogs = 600000 / period.daysInPeriod;
+
+      expect(comparison.cashRelease.receivables).toBeCloseTo((period.workingCapital.dso - 30) * dailyRevenue, 0);
+      // DIO is already better than the median: nothing to release
+      expect(comparison.cashRelease.inventory).toBe(0);
+      expect(comparison.cashRelease.payables).toBeCloseTo((55 - period.workingCapital.dpo) * dailyCogs, 0);
+      expect(comparison.cashRelease.total).toBeCloseTo(
+        comparison.cashRelease.receivables + comparison.cashRelease.payables, 1,
+      );
+    });
+
+    it('should read yearly days and annual EBITDA for the app period type', () => {
+      const [yearly] = processFinancialData([{
+        revenue: 1000000,
+        grossMarginPercentage: 40,
+        operatingExpenses: 200000,
+        accountsReceivableValueAvg: 150000,
+        inventoryValueAvg: 60000,
+        accountsPayableValueAvg: 60000,
+      }], 'anos');
+      const values = getBenchmarkMetricValues(yearly);
+      const yearlyComparison = compareToBenchmark(yearly, benchmark);
+
+      expect(yearly.daysInPeriod).toBe(365);
+      expect(values.dso).toBeCloseTo(54.75, 2);
+      expect(values.dio).toBeCloseTo(36.5, 2);
+      expect(yearlyComparison.cashRelease.receivables).toBeCloseTo(24.75 * (1000000 / 365), 0);
+      expect(values.netDebtToEbitda).toBe(getBenchmarkMetricValues(period).netDebtToEbitda);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for the Break-even Analysis
+ * Cost behavior, break-even revenue, margin of safety and leverage degrees
+ */
+
+import {
+  getDefaultCostBehaviorSettings,
+  regressCostOnRevenue,
+  analyzeBreakEven,
+  buildCostVolumeProfitSeries,
+  COST_BEHAVIOR_METHODS,
+} from '../breakEven';
+import { processFinancialData } from '../calculations';
+
+describe('Break-even', () => {
+  // Revenue 1,000,000, COGS 600,000, operating expenses 200,000, depreciation 50,000
+  const periods = processFinancialData([
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, depreciation: 50000, financialExpenses: 30000 },
+    { revenue: 1200000, grossMarginPercentage: 40, operatingExpenses: 210000, depreciation: 50000, financialExpenses: 30000 },
+    { revenue: 1500000, grossMarginPercentage: 40, operatingExpenses: 225000, depreciation: 50000, financialExpenses: 30000 },
+  ], 'YEARLY');
+
+  describe('percentages', () => {
+    const analysis = analyzeBreakEven(periods, getDefaultCostBehaviorSettings());
+    const [first] = analysis.periods;
+
+    it('should split costs into variable and fixed portions', () => {
+      expect(first.variableCosts).toEqual({ cogs: 600000, operatingExpenses: 40000, total: 640000 });
+      expect(first.fixedCosts).toEqual({ cogs: 0, operatingExpenses: 160000, depreciation: 50000, total: 210000 });
+      expect(first.contributionMargin).toBe(360000);
+      // Contribution margin less fixed costs reconciles to EBIT
+      expect(first.contributionMargin - first.fixedCosts.total).toBeCloseTo(periods[0].incomeStatement.ebit, 2);
+    });
+
+    it('should compute break-even revenue and margin of safety', () => {
+      // 210,000 / 36%
+      expect(first.breakEvenRevenue).toBeCloseTo(583333.33, 1);
+      expect(first.cashBreakEvenRevenue).toBeCloseTo(444444.44, 1);
+      expect(first.marginOfSafetyPercent).toBeCloseTo(41.67, 1);
+    });
+
+    it('should compute operating, financial and combined leverage', () => {
+      const { ebit, ebt } = periods[0].incomeStatement;
+
+      expect(first.dol).toBeCloseTo(360000 / ebit, 2);
+      expect(first.dfl).toBeCloseTo(ebit / ebt, 2);
+      expect(first.dcl).toBeCloseTo(first.dol * first.dfl, 1);
+    });
+
+    it('should not report leverage on an operating loss', () => {
+      const [loss] = processFinancialData([{ revenue: 100000, grossMarginPercentage: 30, operatingExpenses: 50000 }], 'YEARLY');
+      const [result] = analyzeBreakEven([loss], getDefaultCostBehaviorSettings()).periods;
+
+      expect(result.dol).toBeNull();
+      expect(result.dfl).toBeNull();
+      expect(result.marginOfSafetyPercent).toBeLessThan(0);
+    });
+  });
+
+  describe('regression', () => {
+    it('should recover a known cost structure', () => {
+      const revenues = [100, 200, 300, 400];
+      const fit = regressCostOnRevenue(revenues, revenues.map(revenue => 50 + 0.3 * revenue));
+
+      expect(fit.variableRatio).toBeCloseTo(0.3, 4);
+      expect(fit.fixedCost).toBeCloseTo(50, 2);
+      expect(fit.rSquared).toBeCloseTo(1, 4);
+    });
+
+    it('should estimate the variable share of each line across periods', () => {
+      const analysis = analyzeBreakEven(periods, { method: COST_BEHAVIOR_METHODS.REGRESSION });
+
+      // COGS is 60% of revenue in every period; operating expenses grow 5 per 100 of revenue
+      expect(analysis.variableRatios.cogs).toBeCloseTo(0.6, 4);
+      expect(analysis.variableRatios.operatingExpenses).toBeCloseTo(0.05, 4);
+      expect(analysis.regression.operatingExpenses.fixedCost).toBeCloseTo(150000, 0);
+    });
+
+    it('should require enough periods with different revenues', () => {
+      expect(() => analyzeBreakEven(periods.slice(0, 2), { method: COST_BEHAVIOR_METHODS.REGRESSION })).toThrow('ao menos 3 períodos');
+      expect(() => regressCostOnRevenue([100, 100, 100], [10, 20, 30])).toThrow('receitas diferentes');
+    });
+  });
+
+  describe('buildCostVolumeProfitSeries', () => {
+    it('should cross total costs at the break-even point', () => {
+      const [first] = analyzeBreakEven(periods, getDefaultCostBehaviorSettings()).periods;
+      const series = buildCostVolumeProfitSeries(first, 10);
+
+      expect(series).toHaveLength(11);
+      expect(series[0]).toMatchObject({ revenue: 0, totalCosts: 210000, operatingResult: -210000 });
+      expect(series[10].revenue).toBe(1500000);
+      const crossing = series.findIndex(point => point.operatingResult >= 0);
+      expect(series[crossing].revenue).toBeGreaterThanOrEqual(first.breakEvenRevenue);
+      expect(series[crossing - 1].revenue).toBeLessThan(first.breakEvenRevenue);
+    });
+  });
+
+  it('should return null without periods', () => {
+    expect(analyzeBreakEven([], getDefaultCostBehaviorSettings())).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for the Actual vs Budget Variance Engine
+ * Line variances, favorable flags and the price / volume / mix decomposition
+ */
+
+import {
+  LINE_NATURES,
+  buildVarianceLine,
+  calculateBudgetVariance,
+  compareToBudget,
+  decomposeRevenueVariance,
+} from '../budgetVariance';
+import { processFinancialData } from '../calculations';
+
+describe('Budget Variance', () => {
+  const budgetInputs = [
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, openingCash: 50000 },
+    { revenue: 1100000, grossMarginPercentage: 40, operatingExpenses: 210000 },
+  ];
+  const actualInputs = [
+    { revenue: 950000, grossMarginPercentage: 42, operatingExpenses: 190000, openingCash: 50000 },
+    { revenue: 1150000, grossMarginPercentage: 38, operatingExpenses: 230000 },
+  ];
+
+  describe('buildVarianceLine', () => {
+    it('should flag income lines favorable above budget', () => {
+      const line = buildVarianceLine({ key: 'revenue', label: 'Receita', nature: LINE_NATURES.INCOME }, 110, 100);
+
+      expect(line).toMatchObject({ variance: 10, variancePercent: 10, isFavorable: true });
+    });
+
+    it('should flag expense lines favorable below budget', () => {
+      const below = buildVarianceLine({ key: 'cogs', label: 'CMV', nature: LINE_NATURES.EXPENSE }, 90, 100);
+      const above = buildVarianceLine({ key: 'cogs', label: 'CMV', nature: LINE_NATURES.EXPENSE }, 120, 100);
+
+      expect(below.isFavorable).toBe(true);
+      expect(above).toMatchObject({ variance: 20, variancePercent: 20, isFavorable: false });
+    });
+
+    it('should measure percent variance over the absolute budget and skip zero budgets', () => {
+      const negativeBudget = buildVarianceLine({ key: 'netIncome', nature: LINE_NATURES.INCOME }, -50, -100);
+      const zeroBudget = buildVarianceLine({ key: 'netIncome', nature: LINE_NATURES.INCOME }, 10, 0);
+
+      expect(negativeBudget).toMatchObject({ variance: 50, variancePercent: 50, isFavorable: true });
+      expect(zeroBudget.variancePercent).toBeNull();
+    });
+  });
+
+  describe('calculateBudgetVariance', () => {
+    it('should compare period by period and sum flow lines in the total', () => {
+      const actual = processFinancialData(actualInputs, 'anos');
+      const budget = processFinancialData(budgetInputs, 'anos');
+
+      const result = calculateBudgetVariance(actual, budget);
+      const totalRevenue = result.total.lines.find(line => line.key === 'revenue');
+      const firstCogs = result.periods[0].lines.find(line => line.key === 'cogs');
+
+      expect(result.comparedPeriods).toBe(2);
+      expect(totalRevenue.actual).toBeCloseTo(actual[0].incomeStatement.revenue + actual[1].incomeStatement.revenue, 2);
+      expect(totalRevenue.budget).toBeCloseTo(budget[0].incomeStatement.revenue + budget[1].incomeStatement.revenue, 2);
+      expect(firstCogs.isFavorable).toBe(firstCogs.variance <= 0);
+      expect(result.revenueBridge).toBeNull();
+    });
+
+    it('should take balance lines from the last compared period', () => {
+      const actual = processFinancialData(actualInputs, 'anos');
+      const budget = processFinancialData(budgetInputs, 'anos');
+
+      const cash = calculateBudgetVariance(actual, budget).total.lines.find(line => line.key === 'cash');
+
+      expect(cash.actual).toBeCloseTo(actual[1].balanceSheet.cash, 2);
+    });
+
+    it('should only compare the periods present on both sides', () => {
+      const actual = processFinancialData(actualInputs.slice(0, 1), 'anos');
+      const budget = processFinancialData(budgetInputs, 'anos');
+
+      expect(calculateBudgetVariance(actual, budget).comparedPeriods).toBe(1);
+      expect(() => calculateBudgetVariance([], budget)).toThrow('Não há períodos');
+    });
+  });
+
+  describe('decomposeRevenueVariance', () => {
+    const productMix = [
+      { product: 'A', budgetUnits: 100, budgetPrice: 10, actualUnits: 90, actualPrice: 11 },
+      { product: 'B', budgetUnits: 100, budgetPrice: 20, actualUnits: 130, actualPrice: 19 },
+    ];
+
+    it('should split the revenue variance into price, volume and mix', () => {
+      const bridge = decomposeRevenueVariance(productMix);
+
+      // Budget 3,000; actual 990 + 2,470 = 3,460
+      expect(bridge.budgetRevenue).toBe(3000);
+      expect(bridge.actualRevenue).toBe(3460);
+      // Price: (11 - 10) x 90 + (19 - 20) x 130 = -40
+      expect(bridge.priceEffect).toBe(-40);
+      // Volume: (220 - 200) x budget average price 15 = 300
+      expect(bridge.volumeEffect).toBe(300);
+      // Mix: (90 - 110) x 10 + (130 - 110) x 20 = 200
+      expect(bridge.mixEffect).toBe(200);
+      expect(bridge.priceEffect + bridge.volumeEffect + bridge.mixEffect).toBe(460);
+    });
+
+    it('should report the gap to the statement revenue variance as other effects', () => {
+      expect(decomposeRevenueVariance(productMix, 500).otherEffect).toBe(40);
+    });
+
+    it('should keep new products consistent with the total', () => {
+      const bridge = decomposeRevenueVariance([
+        ...productMix,
+        { product: 'C', budgetUnits: 0, budgetPrice: 0, actualUnits: 10, actualPrice: 50 },
+      ]);
+
+      expect(bridge.priceEffect + bridge.volumeEffect + bridge.mixEffect)
+        .toBeCloseTo(bridge.actualRevenue - bridge.budgetRevenue, 2);
+    });
+
+    it('should return null without unit data', () => {
+      expect(decomposeRevenueVariance([])).toBeNull();
+      expect(decomposeRevenueVariance([{ product: 'A' }])).toBeNull();
+    });
+  });
+
+  describe('compareToBudget', () => {
+    it('should run both datasets through the engine', () => {
+      const result = compareToBudget(actualInputs, 'anos', {
+        budget: {
+          periods: budgetInputs,
+          productMix: [{ product: 'A', budgetUnits: 10, budgetPrice: 210000, actualUnits: 10, actualPrice: 210000 }],
+        },
+      });
+
+      expect(result.comparedPeriods).toBe(2);
+      expect(result.revenueBridge.priceEffect).toBe(0);
+      expect(result.revenueBridge.otherEffect)
+        .toBe(result.total.lines.find(line => line.key === 'revenue').variance);
+    });
+
+    it('should require a budget', () => {
+      expect(() => compareToBudget(actualInputs, 'anos', {})).toThrow('Nenhum orçamento');
+    });
+  });
+});
@@ -4,11 +4,16 @@
 import {
   calculateIncomeStatement,
   calculateCashFlow,
+  calculateDirectCashFlow,
+  calculateRevenueTaxes,
+  calculateIncomeTaxesByRegime,
+  applyTaxLossCarryforward,
   calculateWorkingCapitalMetrics,
   calculateFinancialRatios,
   calculateBalanceSheet,
   processFinancialData,
 } from '../calculations';
+import { TAX_REGIMES, PIS_COFINS_MODES, getDefaultTaxSettings } from '../taxRegimes';
 
 describe('Financial Calculations Engine', () => {
   describe('calculateIncomeStatement', () => {
@@ -195,6 +200,85 @@ describe('Financial Calculations Engine', () => {
     });
   });
 
+  describe('calculateDirectCashFlow', () => {
+    const currentPeriod = {
+      incomeStatement: {
+        revenue: 1000000,
+        cogs: 600000,
+        operatingExpenses: 200000,
+        depreciation: 50000,
+        netFinancialResult: -20000,
+        taxes: 31200,
+        netIncome: 98800,
+      },
+      workingCapital: {
+        accountsReceivableValue: 150000,
+        inventoryValue: 100000,
+        accountsPayableValue: 80000,
+      },
+    };
+
+    const previousPeriod = {
+      workingCapital: {
+        accountsReceivableValue: 120000,
+        inventoryValue: 90000,
+        accountsPayableValue: 70000,
+      },
+    };
+
+    it('should derive receipts and payments from drivers and working capital changes', () => {
+      const indirect = calculateCashFlow(currentPeriod, previousPeriod);
+      const result = calculateDirectCashFlow(currentPeriod, previousPeriod, indirect.operatingCashFlow);
+
+      expect(result.cashFromCustomers).toBe(970000); // 1000000 - (150000 - 120000)
+      expect(result.cashPaidToSuppliers).toBe(600000); // 600000 + 10000 - 10000
+      expect(result.cashPaidForOperatingExpenses).toBe(200000);
+      expect(result.taxesPaid).toBe(31200);
+      expect(result.netInterestReceivedPaid).toBe(-20000);
+      expect(result.operatingCashFlow).toBe(118800);
+    });
+
+    it('should reconcile to the indirect operating cash flow', () => {
+      const indirect = calculateCashFlow(currentPeriod, previousPeriod);
+      const result = calculateDirectCashFlow(currentPeriod, previousPeriod, indirect.operatingCashFlow);
+
+      expect(result.indirectOperatingCashFlow).toBe(indirect.operatingCashFlow);
+      expect(result.reconciliationDifference).toBe(0);
+    });
+
+    it('should treat full working capital balances as first period movements', () => {
+      const indirect = calculateCashFlow(currentPeriod, null);
+      const result = calculateDirectCashFlow(currentPeriod, null, indirect.operatingCashFlow);
+
+      expect(result.cashFromCustomers).toBe(850000);
+      expect(result.cashPaidToSuppliers).toBe(620000); // 600000 + 100000 - 80000
+      expect(result.reconciliationDifference).toBe(0);
+    });
+
+    it('should expose the difference when net income diverges from drivers', () => {
+      const overridden = {
+        ...currentPeriod,
+        incomeStatement: { ...currentPeriod.incomeStatement, netIncome: 110000 },
+      };
+      const indirect = calculateCashFlow(overridden, previousPeriod);
+      const result = calculateDirectCashFlow(overridden, previousPeriod, indirect.operatingCashFlow);
+
+      expect(result.reconciliationDifference).toBe(-11200);
+    });
+
+    it('should handle missing working capital and financial result', () => {
+      const minimal = {
+        incomeStatement: { revenue: 1000, cogs: 600, operatingExpenses: 100, taxes: 0 },
+      };
+      const result = calculateDirectCashFlow(minimal, null);
+
+      expect(result.operatingCashFlow).toBe(300);
+      expect(result.netInterestReceivedPaid).toBe(0);
+      expect(result.indirectOperatingCashFlow).toBe(0);
+      expect(result.reconciliationDifference).toBe(300);
+    });
+  });
+
   describe('calculateWorkingCapitalMetrics', () => {
     const baseData = {
       incomeStatement: {
@@ -462,6 +546,15 @@ describe('Financial Calculations Engine', () => {
       expect(yearlyResult[0].daysInPeriod).toBe(365);
     });
 
+    it('should use the UI period types for days and months', () => {
+      expect(processFinancialData(rawPeriodData, 'anos')[0].daysInPeriod).toBe(365);
+      expect(processFinancialData(rawPeriodData, 'trimestres')[0].daysInPeriod).toBe(91.25);
+      expect(processFinancialData(rawPeriodData, 'semanas')[0].daysInPeriod).toBe(7);
+
+      const yearly = processFinancialData(rawPeriodData, 'YEARLY');
+      expect(processFinancialData(rawPeriodData, 'anos')[0].workingCapital.dso).toBe(yearly[0].workingCapital.dso);
+    });
+
     it('should validate data before processing', () => {
       const invalidData = [
         {
@@ -473,6 +566,16 @@ describe('Financial Calculations Engine', () => {
       expect(() => processFinancialData(invalidData, 'MONTHLY')).toThrow();
     });
 
+    it('should include a reconciled direct-method cash flow per period', () => {
+      const result = processFinancialData(rawPeriodData, 'MONTHLY');
+
+      result.forEach(period => {
+        expect(period.directCashFlow).toBeDefined();
+        expect(period.directCashFlow.indirectOperatingCashFlow).toBe(period.cashFlow.operatingCashFlow);
+        expect(Math.abs(period.directCashFlow.reconciliationDifference)).toBeLessThan(0.05);
+      });
+    });
+
     it('should enrich data with trends and analytics', () => {
       const result = processFinancialData(rawPeriodData, 'MONTHLY');
 
@@ -483,6 +586,383 @@ describe('Financial Calculations Engine', () => {
     });
   });
 
+  describe('tax regime settings', () => {
+    const baseInput = {
+      revenue: 1000000,
+      cogs: 600000,
+      operatingExpenses: 200000,
+      depreciation: 50000,
+    };
+
+    it('should keep the Lucro Real IRPJ/CSLL-only statement when no regime is configured', () => {
+      const result = calculateIncomeStatement(baseInput);
+
+      expect(result.taxRegime).toBeUndefined();
+      expect(result.revenueDeductions).toBeUndefined();
+      expect(result.grossProfit).toBe(400000);
+      expect(result.taxBreakdown.pis).toBeUndefined();
+    });
+
+    it('should keep the baseline margins with the default settings, since revenue inputs are net', () => {
+      const periods = [baseInput, { ...baseInput, revenue: 1200000, cogs: 700000 }];
+      const baseline = processFinancialData(periods, 'YEARLY');
+      const result = processFinancialData(periods, 'YEARLY', { taxSettings: getDefaultTaxSettings() });
+
+      result.forEach((period, index) => {
+        const expected = baseline[index].incomeStatement;
+        expect(period.incomeStatement.revenueDeductions).toBeUndefined();
+        expect(period.incomeStatement.grossProfit).toBe(expected.grossProfit);
+        expect(period.incomeStatement.grossMarginPercent).toBe(expected.grossMarginPercent);
+        expect(period.incomeStatement.ebitdaMargin).toBe(expected.ebitdaMargin);
+        expect(period.incomeStatement.netIncome).toBe(expected.netIncome);
+        expect(period.directCashFlow.taxesPaid).toBe(baseline[index].directCashFlow.taxesPaid);
+      });
+      expect(result[0].incomeStatement.grossProfit).toBe(400000);
+    });
+
+    it('should apply non-cumulative PIS/COFINS and IRPJ/CSLL on profit under Lucro Real', () => {
+      const result = calculateIncomeStatement(baseInput, null, {
+        taxSettings: { regime: TAX_REGIMES.LUCRO_REAL, pisCofinsMode: PIS_COFINS_MODES.NON_CUMULATIVE, grossRevenue: true },
+      });
+
+      expect(result.taxRegime).toBe(TAX_REGIMES.LUCRO_REAL);
+      expect(result.revenueDeductions).toBe(37000);
+      expect(result.netRevenue).toBe(963000);
+      expect(result.grossProfit).toBe(363000);
+      expect(result.ebt).toBe(113000);
+      expect(result.taxes).toBe(27120);
+      expect(result.netIncome).toBe(85880);
+      expect(result.taxBreakdown).toMatchObject({
+        regime: TAX_REGIMES.LUCRO_REAL,
+        irpj: 16950,
+        csll: 10170,
+        pis: 6600,
+        cofins: 30400,
+        das: 0,
+        pisCofinsMode: PIS_COFINS_MODES.NON_CUMULATIVE,
+      });
+    });
+
+    it('should tax presumed bases and cumulative PIS/COFINS under Lucro Presumido', () => {
+      const result = calculateIncomeStatement(baseInput, null, {
+        taxSettings: { regime: TAX_REGIMES.LUCRO_PRESUMIDO, activity: 'comercio', grossRevenue: true },
+      });
+
+      expect(result.revenueDeductions).toBe(36500);
+      expect(result.ebt).toBe(113500);
+      expect(result.taxes).toBe(22800);
+      expect(result.effectiveTaxRate).toBe(20.09);
+      expect(result.netIncome).toBe(90700);
+      expect(result.taxBreakdown.irpjPresumedBase).toBe(80000);
+      expect(result.taxBreakdown.csllPresumedBase).toBe(120000);
+      expect(result.taxBreakdown.pisCofinsMode).toBe(PIS_COFINS_MODES.CUMULATIVE);
+    });
+
+    it('should charge Lucro Presumido taxes even when the period has an accounting loss', () => {
+      const result = calculateIncomeStatement({ ...baseInput, operatingExpenses: 500000 }, null, {
+        taxSettings: { regime: TAX_REGIMES.LUCRO_PRESUMIDO, activity: 'comercio' },
+      });
+
+      expect(result.ebt).toBeLessThan(0);
+      expect(result.taxes).toBe(22800);
+      expect(result.effectiveTaxRate).toBe(0);
+    });
+
+    it('should deduct the DAS from revenue and skip IRPJ/CSLL under Simples Nacional', () => {
+      const result = calculateIncomeStatement(
+        { revenue: 500000, cogs: 300000, operatingExpenses: 100000, depreciation: 0 },
+        null,
+        { taxSettings: { regime: TAX_REGIMES.SIMPLES_NACIONAL, simplesAnnex: 'I', grossRevenue: true }, rbt12: 500000 },
+      );
+
+      expect(result.revenueDeductions).toBe(33640);
+      expect(result.taxes).toBe(0);
+      expect(result.netIncome).toBe(66360);
+      expect(result.taxBreakdown).toMatchObject({
+        regime: TAX_REGIMES.SIMPLES_NACIONAL,
+        das: 33640,
+        simplesAnnex: 'I',
+        simplesBracket: 3,
+        simplesEffectiveRate: 6.73,
+        rbt12: 500000,
+        exceedsSimplesLimit: false,
+      });
+      expect(result.auditTrail.calculationSteps.find(s => s.metric === 'revenueDeductions'))
+        .toBeDefined();
+    });
+
+    it('should annualize the period revenue when RBT12 is not provided', () => {
+      const result = calculateRevenueTaxes(
+        { revenue: 100000, cogs: 60000, months: 3 },
+        { regime: TAX_REGIMES.SIMPLES_NACIONAL },
+      );
+
+      expect(result.rbt12).toBe(400000);
+      expect(result.simplesAnnex).toBe('I');
+      expect(result.das).toBe(6035);
+    });
+
+    it('should return no IRPJ/CSLL for Simples Nacional', () => {
+      expect(calculateIncomeTaxesByRegime(
+        { revenue: 100000, ebt: 50000 },
+        { regime: TAX_REGIMES.SIMPLES_NACIONAL },
+      ).total).toBe(0);
+    });
+
+    it('should thread tax settings and trailing revenue through processFinancialData', () => {
+      const periods = [
+        { revenue: 100000, cogs: 60000, operatingExpenses: 20000 },
+        { revenue: 100000, cogs: 60000, operatingExpenses: 20000 },
+        { revenue: 100000, cogs: 60000, operatingExpenses: 20000 },
+      ];
+      const result = processFinancialData(periods, 'meses', {
+        taxSettings: { regime: TAX_REGIMES.SIMPLES_NACIONAL, simplesAnnex: 'I', grossRevenue: true },
+      });
+
+      expect(result[2].incomeStatement.taxRegime).toBe(TAX_REGIMES.SIMPLES_NACIONAL);
+      expect(result[2].incomeStatement.taxBreakdown.rbt12).toBe(1200000);
+      result.forEach(period => {
+        expect(period.directCashFlow.taxesPaid).toBe(period.incomeStatement.revenueDeductions);
+        expect(Math.abs(period.directCashFlow.reconciliationDifference)).toBeLessThan(0.05);
+      });
+    });
+
+    it('should use a single period as RBT12 for annual data', () => {
+      const result = processFinancialData([{ revenue: 2000000, cogs: 1200000 }], 'YEARLY', {
+        taxSettings: { regime: TAX_REGIMES.SIMPLES_NACIONAL, simplesAnnex: 'II', grossRevenue: true },
+      });
+
+      expect(result[0].incomeStatement.taxBreakdown.rbt12).toBe(2000000);
+    });
+
+    it('should treat unknown period types as monthly for trailing revenue', () => {
+      const result = processFinancialData([{ revenue: 10000 }], 'unknown', {
+        taxSettings: { regime: TAX_REGIMES.SIMPLES_NACIONAL, grossRevenue: true },
+      });
+
+      expect(result[0].incomeStatement.taxBreakdown.rbt12).toBe(120000);
+    });
+  });
+
+  describe('tax loss carryforward', () => {
+    it('should carry a period loss forward to both IRPJ and CSLL balances', () => {
+      expect(applyTaxLossCarryforward(-100000)).toEqual({
+        openingFiscalLoss: 0,
+        fiscalLossGenerated: 100000,
+        fiscalLossUsed: 0,
+        closingFiscalLoss: 100000,
+        openingCsllNegativeBase: 0,
+        csllNegativeBaseGenerated: 100000,
+        csllNegativeBaseUsed: 0,
+        closingCsllNegativeBase: 100000,
+        irpjTaxableProfit: 0,
+        csllTaxableProfit: 0,
+      });
+    });
+
+    it('should cap the offset at 30% of taxable profit', () => {
+      const result = applyTaxLossCarryforward(200000, { fiscalLoss: 100000, csllNegativeBase: 100000 });
+
+      expect(result.fiscalLossUsed).toBe(60000);
+      expect(result.closingFiscalLoss).toBe(40000);
+      expect(result.csllNegativeBaseUsed).toBe(60000);
+      expect(result.irpjTaxableProfit).toBe(140000);
+      expect(result.csllTaxableProfit).toBe(140000);
+    });
+
+    it('should track the IRPJ and CSLL balances independently', () => {
+      const result = applyTaxLossCarryforward(200000, { fiscalLoss: 20000 });
+
+      expect(result.fiscalLossUsed).toBe(20000);
+      expect(result.closingFiscalLoss).toBe(0);
+      expect(result.csllNegativeBaseUsed).toBe(0);
+      expect(result.csllTaxableProfit).toBe(200000);
+    });
+
+    it('should tax the compensated profit in calculateIncomeStatement and record it in the audit trail', () => {
+      const result = calculateIncomeStatement(
+        { revenue: 1000000, cogs: 600000, operatingExpenses: 150000, depreciation: 50000 },
+        null,
+        { taxLossCarryforward: { fiscalLoss: 100000, csllNegativeBase: 100000 } },
+      );
+
+      expect(result.ebt).toBe(200000);
+      expect(result.taxBreakdown.irpj).toBe(21000);
+      expect(result.taxBreakdown.csll).toBe(12600);
+      expect(result.taxes).toBe(33600);
+      expect(result.taxLossCarryforward.closingFiscalLoss).toBe(40000);
+
+      const step = result.auditTrail.calculationSteps.find(s => s.metric === 'taxLossCarryforward');
+      expect(step.value).toBe(60000);
+      expect(step.detail).toContain('40000');
+    });
+
+    it('should not compensate losses outside Lucro Real', () => {
+      const result = calculateIncomeStatement(
+        { revenue: 1000000, cogs: 600000, operatingExpenses: 150000, depreciation: 50000 },
+        null,
+        {
+          taxSettings: { regime: TAX_REGIMES.LUCRO_PRESUMIDO, activity: 'comercio' },
+          taxLossCarryforward: { fiscalLoss: 100000 },
+        },
+      );
+
+      expect(result.taxLossCarryforward).toBeUndefined();
+    });
+
+    it('should keep a running loss balance across periods in processFinancialData', () => {
+      const result = processFinancialData([
+        { revenue: 100000, cogs: 80000, operatingExpenses: 70000, depreciation: 0 },
+        { revenue: 300000, cogs: 150000, operatingExpenses: 50000, depreciation: 0 },
+      ], 'YEARLY');
+
+      expect(result[0].incomeStatement.taxes).toBe(0);
+      expect(result[0].incomeStatement.taxLossCarryforward.closingFiscalLoss).toBe(50000);
+
+      const secondPeriod = result[1].incomeStatement.taxLossCarryforward;
+      expect(secondPeriod.openingFiscalLoss).toBe(50000);
+      expect(secondPeriod.fiscalLossUsed).toBe(30000);
+      expect(secondPeriod.closingFiscalLoss).toBe(20000);
+      // 24% on 70,000 instead of on 100,000
+      expect(result[1].incomeStatement.taxes).toBe(16800);
+    });
+
+    it('should accept opening loss balances', () => {
+      const result = processFinancialData(
+        [{ revenue: 300000, cogs: 150000, operatingExpenses: 50000, depreciation: 0 }],
+        'YEARLY',
+        { taxLossCarryforward: { fiscalLoss: 10000 } },
+      );
+
+      expect(result[0].incomeStatement.taxLossCarryforward.fiscalLossUsed).toBe(10000);
+      expect(result[0].incomeStatement.taxLossCarryforward.csllNegativeBaseUsed).toBe(0);
+    });
+  });
+
+  describe('asset register', () => {
+    const periods = [
+      { revenue: 1000000, cogs: 600000, operatingExpenses: 200000, capex: 120000, netFixedAssets: 500000 },
+      { revenue: 1000000, cogs: 600000, operatingExpenses: 200000, capex: 0, netFixedAssets: 450000 },
+    ];
+
+    it('should generate D&A from CAPEX vintages and feed the balance sheet', () => {
+      const result = processFinancialData(periods, 'YEARLY', {
+        assetRegister: { openingNetFixedAssets: 400000, openingRemainingLifeYears: 10 },
+      });
+
+      // Opening balance 40,000/yr + half-year on the new 120,000 machine (10 years)
+      expect(result[0].incomeStatement.depreciation).toBe(46000);
+      expect(result[0].cashFlow.capex).toBe(120000);
+      expect(result[0].balanceSheet.fixedAssetsNet).toBe(474000);
+      expect(result[1].incomeStatement.depreciation).toBe(52000);
+      expect(result[1].balanceSheet.fixedAssetsNet).toBe(422000);
+    });
+
+    it('should report the difference against the user-provided netFixedAssets', () => {
+      const result = processFinancialData(periods, 'YEARLY', {
+        assetRegister: { openingNetFixedAssets: 400000, openingRemainingLifeYears: 10 },
+      });
+
+      expect(result[0].fixedAssets).toMatchObject({
+        openingNetFixedAssets: 400000,
+        closingNetFixedAssets: 474000,
+        reportedNetFixedAssets: 500000,
+        rollForwardDifference: 26000,
+      });
+      expect(result[1].fixedAssets.rollForwardDifference).toBe(28000);
+    });
+
+    it('should derive the opening balance from the first period when not configured', () => {
+      const result = processFinancialData(
+        [{ ...periods[0], depreciationAndAmortisation: 30000 }],
+        'YEARLY',
+        { assetRegister: {} },
+      );
+
+      expect(result[0].fixedAssets.openingNetFixedAssets).toBe(410000);
+    });
+
+    it('should accept CAPEX split by asset class and periods without reported NFA', () => {
+      const result = processFinancialData(
+        [{ revenue: 500000, capexByClass: { informatica: 60000 } }, { revenue: 500000 }],
+        'YEARLY',
+        { assetRegister: {} },
+      );
+
+      expect(result[0].fixedAssets.openingNetFixedAssets).toBe(0);
+      expect(result[0].fixedAssets.byClass.informatica.depreciation).toBe(6000);
+      expect(result[0].fixedAssets.reportedNetFixedAssets).toBeNull();
+      expect(result[0].fixedAssets.rollForwardDifference).toBeNull();
+      expect(result[1].cashFlow.capex).toBe(0);
+    });
+
+    it('should take the register balance over the asset-turnover estimate in calculateBalanceSheet', () => {
+      const result = calculateBalanceSheet({
+        incomeStatement: { revenue: 1000000 },
+        fixedAssets: { closingNetFixedAssets: 250000 },
+      });
+
+      expect(result.fixedAssetsNet).toBe(250000);
+      expect(result.totalAssets).toBe(350000);
+    });
+  });
+
+  describe('debt facilities', () => {
+    const periods = [
+      { revenue: 1000000, cogs: 600000, operatingExpenses: 200000, financialExpenses: 99999 },
+      { revenue: 1000000, cogs: 600000, operatingExpenses: 200000 },
+    ];
+    const debtSettings = {
+      facilities: [{
+        id: 'cg',
+        name: 'Capital de Giro',
+        principal: 200000,
+        amortization: 'sac',
+        rateIndex: 'prefixado',
+        spreadPercent: 10,
+        termMonths: 24,
+      }],
+      covenants: { maxNetDebtToEbitda: 3, minDscr: 1.5 },
+    };
+
+    it('should feed interest into the P&L and debt movements into the cash flow', () => {
+      const result = processFinancialData(periods, 'YEARLY', { debtSettings });
+
+      expect(result[0].incomeStatement.netFinancialResult).toBe(-20000);
+      expect(result[1].incomeStatement.netFinancialResult).toBe(-10000);
+      expect(result[0].cashFlow.debtChange).toBe(-100000);
+      expect(result[0].cashFlow.financingCashFlow).toBe(-100000);
+      expect(result[0].debt).toMatchObject({
+        openingDebt: 200000,
+        principalRepayment: 100000,
+        closingDebt: 100000,
+        debtService: 120000,
+      });
+    });
+
+    it('should evaluate covenants against EBITDA and cash', () => {
+      const result = processFinancialData(periods, 'YEARLY', { debtSettings });
+      const { covenants } = result[0].debt;
+
+      expect(covenants.netDebt).toBeCloseTo(100000 - result[0].balanceSheet.cash, 2);
+      expect(covenants.dscr).toBe(1.67);
+      expect(covenants.isCompliant).toBe(true);
+
+      const strict = processFinancialData(periods, 'YEARLY', {
+        debtSettings: { ...debtSettings, covenants: { minDscr: 2 } },
+      });
+      expect(strict[0].debt.covenants.breaches.map(b => b.covenant)).toEqual(['dscr']);
+    });
+
+    it('should leave the input financial expenses untouched without facilities', () => {
+      const result = processFinancialData(periods, 'YEARLY', { debtSettings: { facilities: [] } });
+
+      expect(result[0].incomeStatement.netFinancialResult).toBe(-99999);
+      expect(result[0].debt).toBeUndefined();
+      expect(result[0].cashFlow.debtChange).toBe(0);
+    });
+  });
+
   describe('Edge Cases and Error Handling', () => {
     it('should handle division by zero gracefully', () => {
       const zeroRevenueData = {
@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for the Multi-Entity Consolidation
+ * Line mapping, statement aggregation, intercompany eliminations, minority interest and bridge
+ */
+
+import {
+  ELIMINATION_TYPES,
+  mapEntityInputs,
+  sumEliminations,
+  consolidateEntities,
+} from '../consolidation';
+import { processFinancialData } from '../calculations';
+
+describe('Consolidation', () => {
+  const holdingInputs = [
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, accountsReceivableValueAvg: 150000, accountsPayableValueAvg: 90000 },
+    { revenue: 1200000, grossMarginPercentage: 40, operatingExpenses: 220000, accountsReceivableValueAvg: 160000, accountsPayableValueAvg: 95000 },
+  ];
+  const subsidiaryInputs = [
+    { revenue: 500000, grossMarginPercentage: 30, operatingExpenses: 80000, accountsReceivableValueAvg: 70000, accountsPayableValueAvg: 40000 },
+    { revenue: 550000, grossMarginPercentage: 30, operatingExpenses: 85000, accountsReceivableValueAvg: 75000, accountsPayableValueAvg: 42000 },
+  ];
+  const entities = [
+    { id: 'holding', name: 'Holding', periods: holdingInputs, isParent: true },
+    { id: 'sub', name: 'Controlada', periods: subsidiaryInputs, ownershipPercent: 80 },
+  ];
+
+  describe('mapEntityInputs', () => {
+    it('should rename entity lines to the common chart and sum lines mapped together', () => {
+      const [mapped] = mapEntityInputs(
+        [{ serviceRevenue: 300, productRevenue: 700, operatingExpenses: 100 }],
+        { serviceRevenue: 'revenue', productRevenue: 'revenue' },
+      );
+
+      expect(mapped).toEqual({ revenue: 1000, operatingExpenses: 100 });
+    });
+
+    it('should return the inputs unchanged without a mapping', () => {
+      expect(mapEntityInputs(holdingInputs)).toBe(holdingInputs);
+    });
+  });
+
+  describe('sumEliminations', () => {
+    it('should total entries by type, applying entries without period to every period', () => {
+      const totals = sumEliminations([
+        { type: ELIMINATION_TYPES.REVENUE_COGS, periodIndex: 0, amount: 100 },
+        { type: ELIMINATION_TYPES.REVENUE_COGS, periodIndex: 1, amount: 999 },
+        { type: ELIMINATION_TYPES.LOANS, periodIndex: null, amount: 50 },
+      ], 0);
+
+      expect(totals.revenueCogs).toBe(100);
+      expect(totals.loans).toBe(50);
+      expect(totals.dividends).toBe(0);
+    });
+  });
+
+  describe('consolidateEntities', () => {
+    it('should sum the entities when there are no eliminations', () => {
+      const holding = processFinancialData(holdingInputs, 'anos');
+      const subsidiary = processFinancialData(subsidiaryInputs, 'anos');
+      const { periods } = consolidateEntities(entities, 'anos');
+
+      expect(periods).toHaveLength(2);
+      expect(periods[0].incomeStatement.revenue).toBeCloseTo(1500000, 2);
+      expect(periods[0].incomeStatement.ebitda).toBeCloseTo(
+        holding[0].incomeStatement.ebitda + subsidiary[0].incomeStatement.ebitda, 2,
+      );
+      expect(periods[0].incomeStatement.grossMarginPercent).toBeCloseTo((400000 + 150000) / 1500000 * 100, 1);
+      expect(periods[1].trends.revenueGrowth).toBeCloseTo((1750000 / 1500000 - 1) * 100, 1);
+      expect(periods[0].ratios).toBeDefined();
+    });
+
+    it('should eliminate intercompany revenue and COGS without changing gross profit', () => {
+      const plain = consolidateEntities(entities, 'anos').periods[0];
+      const { periods } = consolidateEntities(entities, 'anos', {
+        eliminations: [{ type: ELIMINATION_TYPES.REVENUE_COGS, periodIndex: 0, amount: 100000 }],
+      });
+
+      expect(periods[0].incomeStatement.revenue).toBeCloseTo(plain.incomeStatement.revenue - 100000, 2);
+      expect(periods[0].incomeStatement.cogs).toBeCloseTo(plain.incomeStatement.cogs - 100000, 2);
+      expect(periods[0].incomeStatement.grossProfit).toBeCloseTo(plain.incomeStatement.grossProfit, 2);
+      expect(periods[1].incomeStatement.revenue).toBeCloseTo(1750000, 2);
+    });
+
+    it('should eliminate intercompany balances on both sides of the balance sheet', () => {
+      const plain = consolidateEntities(entities, 'anos').periods[0];
+      const { periods } = consolidateEntities(entities, 'anos', {
+        eliminations: [
+          { type: ELIMINATION_TYPES.RECEIVABLES_PAYABLES, periodIndex: 0, amount: 20000 },
+          { type: ELIMINATION_TYPES.LOANS, periodIndex: 0, amount: 50000 },
+        ],
+      });
+      const { balanceSheet, workingCapital } = periods[0];
+
+      expect(balanceSheet.accountsReceivable).toBeCloseTo(plain.balanceSheet.accountsReceivable - 20000, 2);
+      expect(balanceSheet.accountsPayable).toBeCloseTo(plain.balanceSheet.accountsPayable - 20000, 2);
+      expect(workingCapital.accountsReceivableValue).toBeCloseTo(200000, 2);
+      expect(balanceSheet.totalAssets).toBeCloseTo(plain.balanceSheet.totalAssets - 70000, 2);
+      expect(balanceSheet.totalLiabilities).toBeCloseTo(plain.balanceSheet.totalLiabilities - 70000, 2);
+      expect(balanceSheet.equity).toBeCloseTo(plain.balanceSheet.equity, 2);
+    });
+
+    it('should remove intercompany dividends from profit and cash flow', () => {
+      const plain = consolidateEntities(entities, 'anos').periods[0];
+      const { periods } = consolidateEntities(entities, 'anos', {
+        eliminations: [{ type: ELIMINATION_TYPES.DIVIDENDS, periodIndex: 0, amount: 30000 }],
+      });
+
+      expect(periods[0].incomeStatement.netIncome).toBeCloseTo(plain.incomeStatement.netIncome - 30000, 2);
+      expect(periods[0].cashFlow.operatingCashFlow).toBeCloseTo(plain.cashFlow.operatingCashFlow - 30000, 2);
+      expect(periods[0].cashFlow.financingCashFlow).toBeCloseTo(plain.cashFlow.financingCashFlow + 30000, 2);
+    });
+
+    it('should carve out the minority interest of partly owned entities', () => {
+      const subsidiary = processFinancialData(subsidiaryInputs, 'anos');
+      const { periods } = consolidateEntities(entities, 'anos');
+      const { incomeStatement, balanceSheet } = periods[0];
+
+      expect(incomeStatement.minorityInterest).toBeCloseTo(subsidiary[0].incomeStatement.netIncome * 0.2, 2);
+      expect(incomeStatement.netIncomeAttributableToParent).toBeCloseTo(
+        incomeStatement.netIncome - incomeStatement.minorityInterest, 2,
+      );
+      expect(balanceSheet.minorityInterest).toBeCloseTo(subsidiary[0].balanceSheet.equity * 0.2, 2);
+    });
+
+    it('should build an entity-by-entity bridge that reconciles to the consolidated figures', () => {
+      const { bridge, entities: summary } = consolidateEntities(entities, 'anos', {
+        eliminations: [{ type: ELIMINATION_TYPES.REVENUE_COGS, periodIndex: 0, amount: 100000 }],
+      });
+      const revenue = bridge[0].lines.find(line => line.key === 'revenue');
+
+      expect(summary).toEqual([
+        { id: 'holding', name: 'Holding', ownershipPercent: 100, isParent: true },
+        { id: 'sub', name: 'Controlada', ownershipPercent: 80, isParent: false },
+      ]);
+      expect(revenue.entities).toEqual({ holding: 1000000, sub: 500000 });
+      expect(revenue.aggregate).toBeCloseTo(1500000, 2);
+      expect(revenue.eliminations).toBeCloseTo(-100000, 2);
+      expect(revenue.consolidated).toBeCloseTo(1400000, 2);
+      expect(bridge[0].lines.find(line => line.key === 'netIncome').attributableToParent).toBeDefined();
+    });
+
+    it('should translate foreign entities before aggregating', () => {
+      const fxTranslation = {
+        functionalCurrency: 'USD',
+        presentationCurrency: 'BRL',
+        rates: [{ averageRate: 5, closingRate: 5.2 }, { averageRate: 5.3, closingRate: 5.5 }],
+      };
+      const { periods } = consolidateEntities([entities[0], { ...entities[1], fxTranslation }], 'anos');
+
+      expect(periods[0].incomeStatement.revenue).toBeCloseTo(1000000 + 500000 * 5, 2);
+      expect(periods[0].balanceSheet.cumulativeTranslationAdjustment).toBeDefined();
+    });
+
+    it('should validate the entities and elimination types', () => {
+      expect(() => consolidateEntities([entities[0]], 'anos')).toThrow('ao menos duas entidades');
+      expect(() => consolidateEntities([entities[0], { id: 'x', name: 'Vazia', periods: [] }], 'anos'))
+        .toThrow('não possui períodos');
+      expect(() => consolidateEntities(entities, 'anos', { eliminations: [{ type: 'goodwill', amount: 1 }] }))
+        .toThrow('não suportado');
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for Credit Scoring
+ * Scorecard bands, Altman Z''-score (emerging markets), rating and credit limit
+ */
+
+import {
+  getDefaultCreditSettings,
+  findBand,
+  getRatingForScore,
+  calculateScorecard,
+  calculateAltmanZScore,
+  scoreCredit,
+  CREDIT_MODELS,
+  ALTMAN_ZONES,
+} from '../creditScoring';
+import { processFinancialData } from '../calculations';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+describe('Credit Scoring', () => {
+  const periods = processFinancialData([
+    {
+      revenue: 1000000,
+      grossMarginPercentage: 40,
+      operatingExpenses: 200000,
+      accountsReceivableValueAvg: 150000,
+      inventoryValueAvg: 60000,
+      accountsPayableValueAvg: 60000,
+    },
+    {
+      revenue: 1200000,
+      grossMarginPercentage: 40,
+      operatingExpenses: 220000,
+      accountsReceivableValueAvg: 160000,
+      inventoryValueAvg: 70000,
+      accountsPayableValueAvg: 70000,
+    },
+  ], 'YEARLY');
+  const period = periods[periods.length - 1];
+
+  describe('findBand', () => {
+    const bands = [{ threshold: 1, points: 40 }, { threshold: 2, points: 100 }, { threshold: 1.5, points: 80 }];
+
+    it('should pick the best band reached regardless of order', () => {
+      expect(findBand(2.4, bands, false).points).toBe(100);
+      expect(findBand(1.6, bands, false).points).toBe(80);
+      expect(findBand(0.5, bands, false)).toBeNull();
+    });
+
+    it('should invert the comparison when lower is better', () => {
+      expect(findBand(0.8, bands, true).points).toBe(40);
+      expect(findBand(1.8, bands, true).points).toBe(100);
+      expect(findBand(null, bands, true)).toBeNull();
+    });
+  });
+
+  describe('getRatingForScore', () => {
+    const { ratingScale } = getDefaultCreditSettings();
+
+    it('should map scores to the rating scale', () => {
+      expect(getRatingForScore(95, ratingScale).rating).toBe('AAA');
+      expect(getRatingForScore(60, ratingScale).rating).toBe('BBB');
+      expect(getRatingForScore(59.99, ratingScale).rating).toBe('BB');
+      expect(getRatingForScore(0, ratingScale).rating).toBe('D');
+    });
+  });
+
+  describe('calculateScorecard', () => {
+    it('should trace every component to its source ratio', () => {
+      const settings = getDefaultCreditSettings();
+      const { components } = calculateScorecard(period, settings);
+      const currentRatio = components.find(component => component.key === 'currentRatio');
+      const ebitdaMargin = components.find(component => component.key === 'ebitdaMargin');
+
+      expect(components).toHaveLength(settings.quantitative.length + settings.qualitative.length);
+      expect(currentRatio.source).toBe('ratios.currentRatio');
+      expect(currentRatio.value).toBe(period.ratios.currentRatio);
+      expect(ebitdaMargin.value).toBe(period.incomeStatement.ebitdaMargin);
+      expect(ebitdaMargin.points).toBe(findBand(ebitdaMargin.value, settings.quantitative[3].bands, false).points);
+    });
+
+    it('should weight the points of every component', () => {
+      const settings = getDefaultCreditSettings();
+      const { score, components } = calculateScorecard(period, settings);
+      const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+      const expected = components.reduce((sum, component) => sum + component.points * component.weight, 0) / totalWeight;
+
+      expect(totalWeight).toBe(100);
+      expect(score).toBeCloseTo(expected, 1);
+    });
+
+    it('should score the qualitative inputs from the selected option', () => {
+      const settings = getDefaultCreditSettings();
+      settings.qualitative = settings.qualitative.map(factor => (
+        factor.key === 'paymentHistory' ? { ...factor, value: 'restrictions' } : factor
+      ));
+      const paymentHistory = calculateScorecard(period, settings).components.find(component => component.key === 'paymentHistory');
+
+      expect(paymentHistory.points).toBe(0);
+      expect(paymentHistory.value).toBe('Restrições ativas');
+      expect(calculateScorecard(period, settings).score).toBeLessThan(calculateScorecard(period, getDefaultCreditSettings()).score);
+    });
+
+    it('should reject unsupported ratios', () => {
+      const settings = { ...getDefaultCreditSettings(), quantitative: [{ key: 'unknown', weight: 10, bands: [] }] };
+
+      expect(() => calculateScorecard(period, settings)).toThrow('não suportado');
+    });
+  });
+
+  describe('calculateAltmanZScore', () => {
+    const balanceSheet = { totalAssets: 1000, currentAssets: 500, currentLiabilities: 300, equity: 600, totalLiabilities: 400 };
+    const incomeStatement = { ebit: 100 };
+
+    it('should apply the emerging market coefficients', () => {
+      const altman = calculateAltmanZScore({ balanceSheet, incomeStatement }, 200);
+      // 3.25 + 6.56 × 0.2 + 3.26 × 0.2 + 6.72 × 0.1 + 1.05 × 1.5
+      const expected = 3.25 + 1.312 + 0.652 + 0.672 + 1.575;
+
+      expect(altman.zScore).toBeCloseTo(expected, 1);
+      expect(altman.components.map(component => component.ratio)).toEqual([0.2, 0.2, 0.1, 1.5]);
+      expect(altman.components[0].numerator).toBe(200);
+      expect(altman.zone).toBe(ALTMAN_ZONES.SAFE);
+      expect(altman.impliedRating).toBe('AA');
+    });
+
+    it('should flag distress for weak balance sheets', () => {
+      const altman = calculateAltmanZScore({
+        balanceSheet: { ...balanceSheet, currentAssets: 200, currentLiabilities: 400, equity: 100, totalLiabilities: 900 },
+        incomeStatement: { ebit: -50 },
+      }, -300);
+
+      expect(altman.zone).toBe(ALTMAN_ZONES.DISTRESS);
+      expect(['CCC', 'CC', 'C', 'D']).toContain(altman.impliedRating);
+    });
+  });
+
+  describe('scoreCredit', () => {
+    it('should rate the latest period and size the credit limit', () => {
+      const settings = getDefaultCreditSettings();
+      const result = scoreCredit(periods, settings);
+      const ratingEntry = getRatingForScore(result.scorecard.score, settings.ratingScale);
+      const annualizedRevenue = 1200000 * 365 / period.daysInPeriod;
+
+      expect(result.periodIndex).toBe(1);
+      expect(result.rating).toBe(ratingEntry.rating);
+      expect(result.creditLimit.annualizedRevenue).toBeCloseTo(annualizedRevenue, 0);
+      expect(result.creditLimit.amount).toBeCloseTo(annualizedRevenue * ratingEntry.limitPercentOfRevenue / 100, 0);
+    });
+
+    it('should size the limit on a full year of revenue for yearly app periods', () => {
+      const yearly = processFinancialData([{
+        revenue: 1200000,
+        grossMarginPercentage: 40,
+        operatingExpenses: 220000,
+        accountsReceivableValueAvg: 160000,
+        inventoryValueAvg: 70000,
+        accountsPayableValueAvg: 70000,
+      }], 'anos');
+      const result = scoreCredit(yearly, getDefaultCreditSettings());
+
+      expect(result.creditLimit.annualizedRevenue).toBe(1200000);
+      expect(result.creditLimit.amount).toBe(round2(1200000 * result.creditLimit.limitPercentOfRevenue / 100));
+    });
+
+    it('should accumulate net income as retained earnings unless informed', () => {
+      const accumulated = periods.reduce((sum, item) => sum + item.incomeStatement.netIncome, 0);
+
+      expect(scoreCredit(periods, getDefaultCreditSettings()).altman.components[1].numerator).toBeCloseTo(accumulated, 0);
+      expect(scoreCredit(periods, { ...getDefaultCreditSettings(), retainedEarnings: 50000 }).altman.components[1].numerator).toBe(50000);
+    });
+
+    it('should use the Altman implied rating when that model is selected', () => {
+      const result = scoreCredit(periods, { ...getDefaultCreditSettings(), model: CREDIT_MODELS.ALTMAN_Z });
+
+      expect(result.model).toBe(CREDIT_MODELS.ALTMAN_Z);
+      expect(result.rating).toBe(result.altman.impliedRating);
+    });
+
+    it('should return null without periods', () => {
+      expect(scoreCredit([], getDefaultCreditSettings())).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for the FX Translation
+ * Current-rate method: P&L at average rate, balance sheet at closing rate, CTA in equity
+ */
+
+import { getFxPairKey, getFxTranslation, translateFinancialData } from '../currency';
+import { processFinancialData } from '../calculations';
+
+describe('Currency', () => {
+  const inputs = [
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, accountsReceivableValueAvg: 150000 },
+    { revenue: 1100000, grossMarginPercentage: 40, operatingExpenses: 210000, accountsReceivableValueAvg: 160000 },
+  ];
+  const translation = {
+    functionalCurrency: 'USD',
+    presentationCurrency: 'BRL',
+    historicalRate: 4.8,
+    rates: [
+      { averageRate: 5.0, closingRate: 5.2 },
+      { averageRate: 5.3, closingRate: 5.5 },
+    ],
+  };
+
+  describe('getFxTranslation', () => {
+    it('should read the rate table of the currency pair', () => {
+      const fxRates = { [getFxPairKey('USD', 'BRL')]: { historicalRate: 4.8, periods: translation.rates } };
+
+      expect(getFxPairKey('USD', 'BRL')).toBe('USD/BRL');
+      expect(getFxTranslation(fxRates, 'USD', 'BRL')).toEqual(translation);
+    });
+
+    it('should return null when there is nothing to translate', () => {
+      expect(getFxTranslation({}, 'BRL', 'BRL')).toBeNull();
+    });
+  });
+
+  describe('translateFinancialData', () => {
+    const periods = processFinancialData(inputs, 'anos');
+    const translated = translateFinancialData(periods, translation);
+
+    it('should translate the income statement and cash flow at the average rate', () => {
+      expect(translated[0].incomeStatement.revenue).toBeCloseTo(5000000, 2);
+      expect(translated[1].incomeStatement.netIncome).toBeCloseTo(periods[1].incomeStatement.netIncome * 5.3, 0);
+      expect(translated[0].cashFlow.operatingCashFlow).toBeCloseTo(periods[0].cashFlow.operatingCashFlow * 5.0, 0);
+      expect(translated[0].incomeStatement.grossMarginPercent).toBe(periods[0].incomeStatement.grossMarginPercent);
+    });
+
+    it('should translate assets and liabilities at the closing rate', () => {
+      expect(translated[0].balanceSheet.totalAssets).toBeCloseTo(periods[0].balanceSheet.totalAssets * 5.2, 0);
+      expect(translated[1].workingCapital.accountsReceivableValue).toBeCloseTo(160000 * 5.5, 2);
+      expect(translated[1].workingCapital.dso).toBe(periods[1].workingCapital.dso);
+    });
+
+    it('should carry equity at historical rates and close the balance sheet with the CTA', () => {
+      const [first, second] = translated;
+      const netIncome = periods[0].incomeStatement.netIncome;
+      const historicalEquity = (periods[0].balanceSheet.equity - netIncome) * 4.8 + netIncome * 5.0;
+
+      expect(first.balanceSheet.equityAtHistoricalRates).toBeCloseTo(historicalEquity, 0);
+      expect(first.balanceSheet.cumulativeTranslationAdjustment).toBeCloseTo(
+        first.balanceSheet.equity - first.balanceSheet.equityAtHistoricalRates, 0,
+      );
+      expect(first.balanceSheet.isBalanced).toBe(true);
+      expect(second.balanceSheet.isBalanced).toBe(true);
+      expect(second.fxTranslation.ctaMovement).toBeCloseTo(
+        second.balanceSheet.cumulativeTranslationAdjustment - first.balanceSheet.cumulativeTranslationAdjustment, 1,
+      );
+    });
+
+    it('should require average and closing rates for every period', () => {
+      expect(() => translateFinancialData(periods, { ...translation, rates: [translation.rates[0]] }))
+        .toThrow('USD/BRL do período 2');
+    });
+  });
+
+  describe('FX gain/loss', () => {
+    it('should report the FX gain/loss in the financial result', () => {
+      const [withFx] = processFinancialData([{ ...inputs[0], fxGainLoss: -25000 }], 'anos');
+      const [withoutFx] = processFinancialData([inputs[0]], 'anos');
+
+      expect(withFx.incomeStatement.fxGainLoss).toBe(-25000);
+      expect(withFx.incomeStatement.netFinancialResult).toBe(withoutFx.incomeStatement.netFinancialResult - 25000);
+      expect(withFx.incomeStatement.ebt).toBe(withoutFx.incomeStatement.ebt - 25000);
+      expect(withoutFx.incomeStatement.fxGainLoss).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// src/utils/__tests__/customerConcentration.test.js
+import { analyzeCustomerConcentration, CONCENTRATION_RISK_LEVELS } from '../customerConcentration';
+
+const customers = (revenues) => revenues.map((revenue, i) => ({ id: String(i + 1), name: `Cliente ${i + 1}`, revenue }));
+
+describe('analyzeCustomerConcentration', () => {
+  it('computes top shares, the cumulative curve and the HHI', () => {
+    const result = analyzeCustomerConcentration(customers([10, 50, 40]));
+
+    expect(result.totalRevenue).toBe(100);
+    expect(result.topCustomers.map(customer => [customer.id, customer.share, customer.cumulativeShare])).toEqual([
+      ['2', 50, 50],
+      ['3', 40, 90],
+      ['1', 10, 100],
+    ]);
+    expect(result.top1Share).toBe(50);
+    expect(result.hhi).toBe(4200);
+    expect(result.riskLevel).toBe(CONCENTRATION_RISK_LEVELS.HIGH);
+    expect(result.riskReasons).toHaveLength(3);
+  });
+
+  it('flags a diversified customer base as low risk', () => {
+    const result = analyzeCustomerConcentration(customers(Array(40).fill(25)));
+
+    expect(result.top1Share).toBe(2.5);
+    expect(result.top5Share).toBe(12.5);
+    expect(result.top10Share).toBe(25);
+    expect(result.topCustomers).toHaveLength(10);
+    expect(result.riskLevel).toBe(CONCENTRATION_RISK_LEVELS.LOW);
+    expect(result.riskReasons).toEqual([]);
+  });
+
+  it('raises a moderate flag between the thresholds', () => {
+    const result = analyzeCustomerConcentration(customers([12, ...Array(22).fill(4)]));
+    expect(result.riskLevel).toBe(CONCENTRATION_RISK_LEVELS.MODERATE);
+    expect(result.riskReasons[0]).toMatch(/Maior cliente/);
+  });
+
+  it('leaves out customers without positive revenue and requires revenue', () => {
+    expect(analyzeCustomerConcentration(customers([100, -20, 0])).customerCount).toBe(1);
+    expect(() => analyzeCustomerConcentration([])).toThrow(/receita por cliente/);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit Tests for the Debt Facility Schedule
+ * SAC, Price and bullet amortization, CDI/IPCA indexation and covenant tests
+ */
+
+import {
+  AMORTIZATION_TYPES,
+  RATE_INDEXES,
+  DEFAULT_COVENANTS,
+  createDebtFacility,
+  getDefaultDebtSettings,
+  buildDebtSchedule,
+  evaluateCovenants,
+} from '../debtSchedule';
+
+describe('Debt Facility Schedule', () => {
+  const fixedRate = (overrides) => createDebtFacility({
+    rateIndex: RATE_INDEXES.FIXED,
+    spreadPercent: 10,
+    ...overrides,
+  });
+
+  describe('createDebtFacility / getDefaultDebtSettings', () => {
+    it('should create an existing SAC facility indexed to CDI by default', () => {
+      const facility = createDebtFacility({ principal: 50000 });
+
+      expect(facility).toMatchObject({
+        principal: 50000,
+        amortization: AMORTIZATION_TYPES.SAC,
+        rateIndex: RATE_INDEXES.CDI,
+        drawdownPeriod: null,
+      });
+      expect(facility.id).toMatch(/^debt_/);
+    });
+
+    it('should return independent copies of the default settings', () => {
+      const settings = getDefaultDebtSettings();
+      settings.covenants.minDscr = 2;
+
+      expect(DEFAULT_COVENANTS.minDscr).toBe(1.2);
+      expect(settings.facilities).toEqual([]);
+    });
+  });
+
+  describe('buildDebtSchedule', () => {
+    it('should amortize a constant principal under SAC', () => {
+      const schedule = buildDebtSchedule([fixedRate({ principal: 120000 })], 4);
+
+      expect(schedule.map(p => p.principalRepayment)).toEqual([40000, 40000, 40000, 0]);
+      expect(schedule.map(p => p.interestExpense)).toEqual([12000, 8000, 4000, 0]);
+      expect(schedule.map(p => p.closingDebt)).toEqual([80000, 40000, 0, 0]);
+      expect(schedule[0].debtService).toBe(52000);
+      expect(schedule[0].changeInDebt).toBe(-40000);
+      expect(schedule[0].drawdowns).toBe(0);
+    });
+
+    it('should pay level installments under Price', () => {
+      const schedule = buildDebtSchedule([
+        fixedRate({ principal: 100000, amortization: AMORTIZATION_TYPES.PRICE }),
+      ], 3);
+
+      schedule.forEach(period => expect(period.debtService).toBeCloseTo(40211.48, 1));
+      expect(schedule[0].interestExpense).toBe(10000);
+      expect(schedule[0].principalRepayment).toBe(30211.48);
+      expect(schedule[2].closingDebt).toBe(0);
+    });
+
+    it('should repay a bullet loan at maturity and record the drawdown', () => {
+      const schedule = buildDebtSchedule([
+        createDebtFacility({
+          principal: 100000,
+          amortization: AMORTIZATION_TYPES.BULLET,
+          termMonths: 24,
+          drawdownPeriod: 1,
+        }),
+      ], 3, { indexRates: { cdi: 10 } });
+
+      expect(schedule[0]).toMatchObject({ openingDebt: 0, interestExpense: 0, closingDebt: 0 });
+      expect(schedule[1]).toMatchObject({
+        drawdowns: 100000,
+        interestExpense: 10000,
+        principalRepayment: 0,
+        closingDebt: 100000,
+        changeInDebt: 100000,
+      });
+      expect(schedule[2]).toMatchObject({ principalRepayment: 100000, changeInDebt: -100000 });
+    });
+
+    it('should compound CDI and spread for the period length', () => {
+      const schedule = buildDebtSchedule([
+        createDebtFacility({ principal: 100000, spreadPercent: 2, termMonths: 12 }),
+      ], 1, { periodMonths: 3, indexRates: { cdi: 10 } });
+
+      // (1.10 × 1.02)^(3/12) - 1 = 2.9196% per quarter
+      expect(schedule[0].interestExpense).toBe(2919.63);
+      expect(schedule[0].principalRepayment).toBe(25000);
+    });
+
+    it('should correct IPCA-indexed balances and charge the spread as real interest', () => {
+      const schedule = buildDebtSchedule([
+        createDebtFacility({
+          principal: 100000,
+          rateIndex: RATE_INDEXES.IPCA,
+          spreadPercent: 6,
+          amortization: AMORTIZATION_TYPES.BULLET,
+          termMonths: 12,
+        }),
+      ], 1, { indexRates: { ipca: 5 } });
+
+      expect(schedule[0]).toMatchObject({
+        monetaryCorrection: 5000,
+        interestExpense: 6300,
+        principalRepayment: 105000,
+        closingDebt: 0,
+        changeInDebt: -100000,
+      });
+    });
+
+    it('should pay interest only during the grace period', () => {
+      const schedule = buildDebtSchedule([
+        fixedRate({ principal: 90000, termMonths: 36, graceMonths: 12 }),
+      ], 3);
+
+      expect(schedule.map(p => p.principalRepayment)).toEqual([0, 45000, 45000]);
+      expect(schedule[0].interestExpense).toBe(9000);
+    });
+
+    it('should follow per-period index curves and repeat the last value', () => {
+      const schedule = buildDebtSchedule([
+        createDebtFacility({ principal: 100000, amortization: AMORTIZATION_TYPES.BULLET, termMonths: 36 }),
+      ], 3, { indexRates: { cdi: [10, 20] } });
+
+      expect(schedule.map(p => p.interestExpense)).toEqual([10000, 20000, 20000]);
+    });
+
+    it('should treat empty curves and missing rates as zero', () => {
+      const schedule = buildDebtSchedule([
+        createDebtFacility({ principal: 100000, amortization: AMORTIZATION_TYPES.PRICE, termMonths: 24 }),
+        createDebtFacility({ principal: 50000, rateIndex: RATE_INDEXES.IPCA, termMonths: undefined }),
+      ], 2, { indexRates: { cdi: [] } });
+
+      expect(schedule[0].interestExpense).toBe(0);
+      expect(schedule[0].monetaryCorrection).toBe(0);
+      expect(schedule[0].principalRepayment).toBe(100000);
+      expect(schedule[0].byFacility.map(f => f.principal)).toEqual([50000, 50000]);
+    });
+
+    it('should sum facilities and keep the per-facility detail', () => {
+      const schedule = buildDebtSchedule([
+        fixedRate({ id: 'a', name: 'Capital de Giro', principal: 120000 }),
+        fixedRate({ id: 'b', name: 'FINAME', principal: 60000, drawdownPeriod: 0 }),
+      ], 1);
+
+      expect(schedule[0].openingDebt).toBe(120000);
+      expect(schedule[0].drawdowns).toBe(60000);
+      expect(schedule[0].closingDebt).toBe(120000);
+      expect(schedule[0].byFacility[1]).toEqual({
+        id: 'b',
+        name: 'FINAME',
+        opening: 0,
+        drawdown: 60000,
+        correction: 0,
+        interest: 6000,
+        principal: 20000,
+        closing: 40000,
+      });
+    });
+
+    it('should return an empty schedule per period without facilities', () => {
+      const schedule = buildDebtSchedule(null, 2);
+
+      expect(schedule).toHaveLength(2);
+      expect(schedule[1]).toMatchObject({ closingDebt: 0, debtService: 0, byFacility: [] });
+    });
+  });
+
+  describe('evaluateCovenants', () => {
+    it('should annualize EBITDA and flag a DSCR below the minimum', () => {
+      const result = evaluateCovenants({
+        closingDebt: 500000,
+        debtService: 100000,
+        ebitda: 100000,
+        cash: 50000,
+        periodMonths: 3,
+      });
+
+      expect(result.netDebt).toBe(450000);
+      expect(result.annualizedEbitda).toBe(400000);
+      expect(result.netDebtToEbitda).toBe(1.13);
+      expect(result.dscr).toBe(1);
+      expect(result.breaches).toEqual([{ covenant: 'dscr', value: 1, limit: 1.2 }]);
+      expect(result.isCompliant).toBe(false);
+    });
+
+    it('should flag leverage above the maximum', () => {
+      const result = evaluateCovenants({ closingDebt: 400000, ebitda: 100000 });
+
+      expect(result.netDebtToEbitda).toBe(4);
+      expect(result.dscr).toBeNull();
+      expect(result.breaches).toEqual([{ covenant: 'netDebtToEbitda', value: 4, limit: 3 }]);
+    });
+
+    it('should breach leverage when EBITDA is not positive and net debt is', () => {
+      const result = evaluateCovenants({ closingDebt: 100000, ebitda: -10000 });
+
+      expect(result.netDebtToEbitda).toBeNull();
+      expect(result.breaches[0]).toEqual({ covenant: 'netDebtToEbitda', value: null, limit: 3 });
+    });
+
+    it('should not breach with net cash or without limits', () => {
+      expect(evaluateCovenants({ closingDebt: 100000, cash: 200000, ebitda: -10000 }).isCompliant).toBe(true);
+      expect(evaluateCovenants({ closingDebt: 400000, debtService: 500000, ebitda: 1 }, null).isCompliant).toBe(true);
+    });
+  });
+});
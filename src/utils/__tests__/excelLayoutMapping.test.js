@@ -0,0 +1,153 @@
+// src/utils/__tests__/excelLayoutMapping.test.js
+import {
+  normalizeLabel,
+  labelSimilarity,
+  suggestFieldMatches,
+  columnLetter,
+  worksheetToGrid,
+  parseCellNumber,
+  getRowLabels,
+  detectPeriodColumns,
+  guessLayout,
+  createLayoutProfile,
+  findMatchingLayoutProfile,
+  extractPeriodsWithProfile,
+} from '../excelLayoutMapping';
+
+// Client layout: title, blank row, code column, labels in B, years in row 3, a total column
+const GRID = [
+  ['DRE Gerencial - Cliente X', null, null, null, null],
+  [null, null, null, null, null],
+  ['Cód.', 'Conta', 2023, 2024, 'Total'],
+  ['1', 'Receita Líquida', 'R$ 1.200.000,00', 1500000, 2700000],
+  ['2', 'Margem bruta (%)', 38.5, '41,2%', null],
+  ['3', 'Desp. Operacionais', '(250.000)', 280000, 530000],
+  ['4', 'Contas a receber', 150000, 180000, null],
+  ['5', 'Caixa inicial', 90000, 110000, null],
+  [null, 'Observações', null, null, null],
+];
+
+const PROFILE = createLayoutProfile({
+  name: 'DRE Cliente X',
+  sheetName: 'DRE',
+  labelColumn: 2,
+  headerRow: 3,
+  periodType: 'anos',
+  mappings: [
+    { label: 'Receita Líquida', fieldKey: 'revenue' },
+    { label: 'Margem bruta (%)', fieldKey: 'grossMarginPercentage' },
+    { label: 'Desp. Operacionais', fieldKey: 'operatingExpenses' },
+    { label: 'Contas a receber', fieldKey: 'accountsReceivableValueAvg' },
+    { label: 'Caixa inicial', fieldKey: 'openingCash' },
+    { label: 'Observações', fieldKey: null },
+  ],
+});
+
+describe('label similarity', () => {
+  it('ignores accents, punctuation, stopwords and the override marker', () => {
+    expect(normalizeLabel('🔧 Total dos Ativos (Override)')).toBe('ativos');
+    expect(labelSimilarity('RECEITA LIQUIDA', 'Receita Líquida')).toBe(1);
+  });
+
+  it('scores abbreviations and partial labels above unrelated ones', () => {
+    expect(labelSimilarity('Desp. Operacionais', 'Despesas Operacionais (SG&A)')).toBeGreaterThanOrEqual(0.8);
+    expect(labelSimilarity('Imobilizado', 'Ativo Imobilizado Líquido (Saldo Final)')).toBe(0.75);
+    expect(labelSimilarity('Fornecedores', 'Receita Líquida')).toBeLessThan(0.3);
+  });
+});
+
+describe('suggestFieldMatches', () => {
+  it('suggests each field once, preferring drivers over overrides on ties', () => {
+    const suggestions = suggestFieldMatches(['Receita Líquida', 'Receita líquida (R$)', 'Contas a receber', 'EBITDA', 'Observações']);
+
+    expect(suggestions.map(suggestion => suggestion.fieldKey)).toEqual([
+      'revenue', null, 'accountsReceivableValueAvg', 'override_ebitda', null,
+    ]);
+    expect(suggestions[0].score).toBe(1);
+    expect(suggestions[1].alternatives[0]).toEqual({ fieldKey: 'revenue', score: 1 });
+  });
+
+  it('matches labels equal to the field keys', () => {
+    expect(suggestFieldMatches(['openingCash'])[0]).toMatchObject({ fieldKey: 'openingCash', score: 1 });
+  });
+});
+
+describe('grid helpers', () => {
+  it('reads Brazilian number formats', () => {
+    expect(parseCellNumber('R$ 1.234,56')).toBe(1234.56);
+    expect(parseCellNumber('(250.000)')).toBe(-250000);
+    expect(parseCellNumber('12,5%')).toBe(12.5);
+    expect(parseCellNumber('1.5')).toBe(1.5);
+    expect(parseCellNumber('-')).toBeNull();
+    expect(parseCellNumber('Conta')).toBeNull();
+  });
+
+  it('converts worksheet cells to plain values', () => {
+    const cells = {
+      '1,1': { value: 'Receita' },
+      '1,2': { value: { formula: 'B2*2', result: 300 } },
+      '1,3': { value: 0.385, numFmt: '0.0%' },
+      '2,1': { value: { richText: [{ text: 'Cai' }, { text: 'xa' }] } },
+      '2,2': { value: new Date(Date.UTC(2024, 11, 31)) },
+      '2,3': { value: '  ' },
+    };
+    const worksheet = { rowCount: 2, columnCount: 3, getCell: (row, column) => cells[`${row},${column}`] || { value: null } };
+
+    expect(worksheetToGrid(worksheet)).toEqual([['Receita', 300, 38.5], ['Caixa', '2024-12-31', null]]);
+    expect(columnLetter(2)).toBe('B');
+    expect(columnLetter(28)).toBe('AB');
+  });
+
+  it('guesses the label column and a header row of years', () => {
+    expect(guessLayout(GRID)).toEqual({ labelColumn: 2, headerRow: 3 });
+  });
+
+  it('lists row labels and period columns, leaving out totals', () => {
+    const layout = { labelColumn: 2, headerRow: 3 };
+    expect(getRowLabels(GRID, layout).map(({ row }) => row)).toEqual([4, 5, 6, 7, 8, 9]);
+    expect(detectPeriodColumns(GRID, layout)).toEqual([{ column: 3, header: '2023' }, { column: 4, header: '2024' }]);
+  });
+});
+
+describe('layout profiles', () => {
+  it('keeps only mapped rows and rejects fields mapped twice', () => {
+    expect(PROFILE.mappings).toHaveLength(5);
+    expect(PROFILE.id).toMatch(/^layout_/);
+    expect(() => createLayoutProfile({ ...PROFILE, mappings: [] })).toThrow(/ao menos uma linha/);
+    expect(() => createLayoutProfile({
+      ...PROFILE,
+      mappings: [{ label: 'A', fieldKey: 'revenue' }, { label: 'B', fieldKey: 'revenue' }],
+    })).toThrow(/mais de uma linha/);
+  });
+
+  it('extracts the mapped rows into periods', () => {
+    const { periods, actualPeriods, periodType, periodHeaders, warnings } = extractPeriodsWithProfile(GRID, PROFILE);
+
+    expect(actualPeriods).toBe(2);
+    expect(periodType).toBe('anos');
+    expect(periodHeaders).toEqual(['2023', '2024']);
+    expect(periods[0]).toMatchObject({ revenue: 1200000, grossMarginPercentage: 38.5, operatingExpenses: -250000, accountsReceivableValueAvg: 150000, openingCash: 90000 });
+    expect(periods[1]).toMatchObject({ revenue: 1500000, grossMarginPercentage: 41.2, openingCash: null });
+    expect(warnings).toEqual([]);
+  });
+
+  it('recognizes the profile on a later upload with another period and a renamed sheet', () => {
+    const nextYear = GRID.map((cells, index) => {
+      if (index === 2) return ['Cód.', 'Conta', 2023, 2024, 2025, 'Total'];
+      return [...cells.slice(0, 4), index >= 3 && index <= 7 ? 100 : null, cells[4]];
+    });
+    const sheets = [{ name: 'Resumo', grid: [['Resumo'], ['nada']] }, { name: 'DRE 2025', grid: nextYear }];
+
+    const match = findMatchingLayoutProfile([PROFILE], sheets);
+    expect(match).toMatchObject({ sheetName: 'DRE 2025', matchRatio: 1 });
+    expect(extractPeriodsWithProfile(nextYear, PROFILE).actualPeriods).toBe(3);
+  });
+
+  it('does not auto-detect sheets missing most of the mapped labels', () => {
+    const partial = GRID.filter((cells, index) => index < 5);
+    expect(findMatchingLayoutProfile([PROFILE], [{ name: 'DRE', grid: partial }])).toBeNull();
+
+    const { warnings } = extractPeriodsWithProfile(partial, PROFILE);
+    expect(warnings).toContain('A linha "Caixa inicial" do perfil não foi encontrada na planilha.');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Financial Constraint Validators
+ */
+
+import { FinancialConstraintValidator } from '../financialValidators';
+import { processFinancialData } from '../calculations';
+
+describe('FinancialConstraintValidator', () => {
+  describe('validateFixedAssetRollForward', () => {
+    const previous = { netFixedAssets: 100000 };
+
+    it('should accept a consistent roll-forward from the previous period', () => {
+      const result = FinancialConstraintValidator.validateFixedAssetRollForward(
+        { netFixedAssets: 110000, capitalExpenditures: 20000, depreciationAndAmortisation: 10000 },
+        previous,
+      );
+
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    it('should flag a reported NFA that does not roll forward', () => {
+      const result = FinancialConstraintValidator.validateFixedAssetRollForward(
+        { netFixedAssets: 150000, capitalExpenditures: 20000, depreciationAndAmortisation: 10000 },
+        previous,
+      );
+
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0].type).toBe('NFA_ROLLFORWARD_MISMATCH');
+      expect(result.warnings[0].fields).toContain('netFixedAssets');
+    });
+
+    it('should compare the reported NFA against the asset register when present', () => {
+      const fixedAssets = {
+        openingNetFixedAssets: 400000,
+        capex: 120000,
+        depreciation: 46000,
+        closingNetFixedAssets: 474000,
+        reportedNetFixedAssets: 500000,
+      };
+
+      const result = FinancialConstraintValidator.validateFixedAssetRollForward({
+        netFixedAssets: 474000,
+        fixedAssets,
+      });
+
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0].message).toContain('Roll-forward do Ativo Fixo');
+    });
+
+    it('should skip periods without a reported NFA or a previous balance', () => {
+      const validator = FinancialConstraintValidator;
+
+      expect(validator.validateFixedAssetRollForward({ capitalExpenditures: 1000 }, previous).warnings)
+        .toHaveLength(0);
+      expect(validator.validateFixedAssetRollForward({ netFixedAssets: 1000 }).warnings).toHaveLength(0);
+      expect(validator.validateFixedAssetRollForward({ netFixedAssets: 1000 }, {}).warnings)
+        .toHaveLength(0);
+    });
+
+    it('should treat missing CAPEX and D&A as zero', () => {
+      const result = FinancialConstraintValidator.validateFixedAssetRollForward(
+        { netFixedAssets: 100000 },
+        previous,
+      );
+
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    it('should surface roll-forward mismatches in validateAllStatements', () => {
+      const result = FinancialConstraintValidator.validateAllStatements(
+        { netFixedAssets: 150000, capitalExpenditures: 20000, depreciationAndAmortisation: 10000 },
+        previous,
+      );
+
+      expect(result.warnings.map(w => w.type)).toContain('NFA_ROLLFORWARD_MISMATCH');
+    });
+  });
+
+  describe('validateCalculatedPeriods', () => {
+    it('should roll the reported NFA of the inputs forward across calculated periods', () => {
+      const inputData = [
+        { netFixedAssets: 100000 },
+        { netFixedAssets: 110000, capex: 20000, depreciation: 10000 },
+        { netFixedAssets: 150000, capex: 20000, depreciation: 10000 },
+      ];
+
+      const result = FinancialConstraintValidator.validateCalculatedPeriods([{}, {}, {}], inputData);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].period).toBe(3);
+      expect(result[0].issues.map(issue => issue.type)).toEqual(['NFA_ROLLFORWARD_MISMATCH']);
+    });
+
+    it('should check the asset register of periods without inputs', () => {
+      const fixedAssets = { openingNetFixedAssets: 400000, capex: 120000, depreciation: 46000, reportedNetFixedAssets: 500000 };
+
+      const result = FinancialConstraintValidator.validateCalculatedPeriods([{ fixedAssets }]);
+
+      expect(result).toEqual([{ period: 1, issues: [expect.objectContaining({ type: 'NFA_ROLLFORWARD_MISMATCH' })] }]);
+      expect(FinancialConstraintValidator.validateCalculatedPeriods([])).toEqual([]);
+    });
+
+    it('should report the covenant breaches of the debt schedule', () => {
+      const inputData = [
+        { revenue: 1000000, cogs: 600000, operatingExpenses: 200000 },
+        { revenue: 1000000, cogs: 600000, operatingExpenses: 200000 },
+      ];
+      const calculatedData = processFinancialData(inputData, 'anos', {
+        debtSettings: {
+          facilities: [{ id: 'cg', name: 'Capital de Giro', principal: 200000, amortization: 'sac', rateIndex: 'prefixado', spreadPercent: 10, termMonths: 24 }],
+          covenants: { minDscr: 2 },
+        },
+      });
+
+      const result = FinancialConstraintValidator.validateCalculatedPeriods(calculatedData, inputData);
+
+      expect(result[0].period).toBe(1);
+      expect(result[0].issues.map(issue => issue.type)).toEqual(['COVENANT_BREACH']);
+      expect(result[0].issues[0].message).toContain('abaixo do mínimo de 2.00x');
+    });
+  });
+
+  describe('validateDebtCovenants', () => {
+    const withCovenants = (breaches, extra = {}) => ({
+      debt: { debtService: 100000, covenants: { netDebt: 450000, breaches } },
+      ...extra,
+    });
+
+    it('should ignore periods without a debt schedule', () => {
+      expect(FinancialConstraintValidator.validateDebtCovenants({}).warnings).toHaveLength(0);
+    });
+
+    it('should warn on a DSCR below the minimum', () => {
+      const result = FinancialConstraintValidator.validateDebtCovenants(
+        withCovenants([{ covenant: 'dscr', value: 1, limit: 1.2 }]),
+      );
+
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0].type).toBe('COVENANT_BREACH');
+      expect(result.warnings[0].message).toContain('1.00x abaixo do mínimo de 1.20x');
+    });
+
+    it('should warn on leverage above the maximum or without positive EBITDA', () => {
+      const result = FinancialConstraintValidator.validateDebtCovenants(withCovenants([
+        { covenant: 'netDebtToEbitda', value: 4, limit: 3 },
+        { covenant: 'netDebtToEbitda', value: null, limit: 3 },
+      ]));
+
+      expect(result.warnings[0].message).toContain('4.00x acima do máximo de 3.00x');
+      expect(result.warnings[1].message).toContain('EBITDA não positivo');
+      expect(result.warnings[0].fields).toContain('totalBankLoans');
+    });
+
+    it('should surface covenant breaches in validateAllStatements', () => {
+      const result = FinancialConstraintValidator.validateAllStatements(
+        withCovenants([{ covenant: 'dscr', value: 1, limit: 1.2 }]),
+      );
+
+      expect(result.warnings.map(w => w.type)).toContain('COVENANT_BREACH');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the Fixed-Asset Register
+ * Depreciation by CAPEX vintage and net fixed asset roll-forward
+ */
+
+import {
+  DEPRECIATION_METHODS,
+  DEFAULT_ASSET_CLASSES,
+  getDefaultAssetRegister,
+  buildFixedAssetSchedule,
+} from '../fixedAssets';
+
+describe('Fixed-Asset Register', () => {
+  describe('getDefaultAssetRegister', () => {
+    it('should return an independent copy of the default asset classes', () => {
+      const register = getDefaultAssetRegister();
+      register.assetClasses.maquinas.usefulLifeYears = 3;
+
+      expect(DEFAULT_ASSET_CLASSES.maquinas.usefulLifeYears).toBe(10);
+      expect(register.capexAssetClass).toBe('maquinas');
+      expect(register.openingRemainingLifeYears).toBeNull();
+    });
+  });
+
+  describe('buildFixedAssetSchedule', () => {
+    it('should depreciate straight-line with a half-period charge in the acquisition period', () => {
+      const schedule = buildFixedAssetSchedule([120000, 0, 0]);
+
+      expect(schedule.map(p => p.depreciation)).toEqual([6000, 12000, 12000]);
+      expect(schedule.map(p => p.closingNetFixedAssets)).toEqual([114000, 102000, 90000]);
+      expect(schedule[1].openingNetFixedAssets).toBe(114000);
+      expect(schedule[0].byClass.maquinas).toEqual({
+        capex: 120000,
+        depreciation: 6000,
+        closingNetBookValue: 114000,
+      });
+    });
+
+    it('should roll forward NFA_open + CAPEX - D&A = NFA_close every period', () => {
+      const schedule = buildFixedAssetSchedule([50000, 80000, 0, 30000], {
+        openingNetFixedAssets: 200000,
+      });
+
+      schedule.forEach(period => {
+        expect(period.closingNetFixedAssets).toBeCloseTo(
+          period.openingNetFixedAssets + period.capex - period.depreciation,
+          2,
+        );
+      });
+    });
+
+    it('should stop depreciating at the residual value', () => {
+      const schedule = buildFixedAssetSchedule([{ veiculos: 100000 }, 0, 0, 0, 0, 0, 0]);
+
+      expect(schedule.map(p => p.depreciation)).toEqual([9000, 18000, 18000, 18000, 18000, 9000, 0]);
+      expect(schedule[6].closingNetFixedAssets).toBe(10000);
+    });
+
+    it('should support the declining balance method', () => {
+      const assetClasses = {
+        maquinas: { ...DEFAULT_ASSET_CLASSES.maquinas, method: DEPRECIATION_METHODS.DECLINING_BALANCE },
+      };
+      const schedule = buildFixedAssetSchedule([100000, 0, 0], { assetClasses });
+
+      // Double declining: 20% a year, half-year in the acquisition period
+      expect(schedule.map(p => p.depreciation)).toEqual([10000, 18000, 14400]);
+    });
+
+    it('should cap the declining balance rate at 100% of the book value', () => {
+      const assetClasses = {
+        curto: { label: 'Curto', usefulLifeYears: 1, method: DEPRECIATION_METHODS.DECLINING_BALANCE },
+      };
+      const schedule = buildFixedAssetSchedule([{ curto: 1000 }, 0], { assetClasses, capexAssetClass: 'curto' });
+
+      expect(schedule.map(p => p.depreciation)).toEqual([500, 500]);
+    });
+
+    it('should depreciate the opening balance over its remaining life without a half-period charge', () => {
+      const schedule = buildFixedAssetSchedule([0, 0], {
+        openingNetFixedAssets: 50000,
+        openingRemainingLifeYears: 5,
+      });
+
+      expect(schedule.map(p => p.depreciation)).toEqual([10000, 10000]);
+      expect(schedule[0].openingNetFixedAssets).toBe(50000);
+    });
+
+    it('should split CAPEX across asset classes', () => {
+      const schedule = buildFixedAssetSchedule([{ maquinas: 60000, informatica: 30000 }]);
+
+      expect(schedule[0].capex).toBe(90000);
+      expect(schedule[0].byClass.maquinas.depreciation).toBe(3000);
+      expect(schedule[0].byClass.informatica.depreciation).toBe(3000);
+      expect(schedule[0].depreciation).toBe(6000);
+    });
+
+    it('should prorate charges for quarterly periods', () => {
+      const schedule = buildFixedAssetSchedule([120000, 0], { periodMonths: 3 });
+
+      expect(schedule.map(p => p.depreciation)).toEqual([1500, 3000]);
+    });
+
+    it('should fall back to the CAPEX class for unknown classes and ignore non-positive amounts', () => {
+      const schedule = buildFixedAssetSchedule([{ desconhecida: 120000, informatica: -5000 }, null]);
+
+      expect(schedule[0].byClass.maquinas.capex).toBe(120000);
+      expect(schedule[0].byClass.informatica).toBeUndefined();
+      expect(schedule[1].capex).toBe(0);
+    });
+
+    it('should fall back to default class settings when the register has no matching class', () => {
+      const schedule = buildFixedAssetSchedule([120000], { assetClasses: {} });
+
+      expect(schedule[0].depreciation).toBe(6000);
+    });
+
+    it('should not depreciate classes without a useful life', () => {
+      const assetClasses = { terrenos: { label: 'Terrenos', usefulLifeYears: 0 } };
+      const schedule = buildFixedAssetSchedule([{ terrenos: 300000 }], { assetClasses, capexAssetClass: 'terrenos' });
+
+      expect(schedule[0].depreciation).toBe(0);
+      expect(schedule[0].closingNetFixedAssets).toBe(300000);
+    });
+  });
+});
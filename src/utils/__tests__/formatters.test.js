@@ -11,6 +11,8 @@ import {
   getMovementClass,
   getMovementIndicator,
   formatMovement,
+  setPresentationCurrency,
+  getPresentationCurrency,
 } from '../formatters';
 
 describe('Formatter Utilities', () => {
@@ -71,6 +73,28 @@ describe('Formatter Utilities', () => {
       expect(formatCurrency(999_999.99)).toBe('R$ 999.999,99');
       expect(formatCurrency(1_000_000)).toBe('R$ 1,00 mi');
     });
+
+    describe('presentation currency', () => {
+      afterEach(() => setPresentationCurrency('BRL'));
+
+      it('should follow the presentation currency', () => {
+        setPresentationCurrency('USD');
+
+        expect(getPresentationCurrency()).toBe('USD');
+        expect(formatCurrency(1000)).toBe('US$ 1.000,00');
+        expect(formatCurrency(-1_000_000)).toBe('US$ -1,00 mi');
+      });
+
+      it('should honor an explicit currency option', () => {
+        expect(formatCurrency(1000, true, { currency: 'EUR' })).toBe('€ 1.000,00');
+      });
+
+      it('should fall back to the default currency', () => {
+        setPresentationCurrency(null);
+
+        expect(formatCurrency(1000)).toBe('R$ 1.000,00');
+      });
+    });
   });
 
   describe('formatCurrencyWithSign', () => {
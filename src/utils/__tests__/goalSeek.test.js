@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for the Goal Seek
+ * Driver bounds, single-driver bisection and multi-driver solving
+ */
+
+import {
+  getDriverBounds,
+  setDriverValues,
+  goalSeek,
+} from '../goalSeek';
+import { evaluateMetric } from '../sensitivity';
+
+describe('Goal Seek', () => {
+  const inputs = [
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, openingCash: 50000 },
+    { revenue: 1100000, grossMarginPercentage: 40, operatingExpenses: 220000 },
+  ];
+
+  describe('getDriverBounds', () => {
+    it('should use the field min/max and scale missing bounds from the current values', () => {
+      expect(getDriverBounds([40], 'grossMarginPercentage')).toEqual({ lower: -50, upper: 100 });
+      expect(getDriverBounds([500000], 'revenue')).toEqual({ lower: 0, upper: 5000000 });
+      expect(getDriverBounds([0], 'netInterestExpenseIncome')).toEqual({ lower: -1000000, upper: 1000000 });
+    });
+  });
+
+  describe('setDriverValues', () => {
+    it('should write the value and the engine alias when present', () => {
+      const updated = setDriverValues([{ depreciationAndAmortisation: 10, depreciation: 10 }, { revenue: 1 }], 'depreciationAndAmortisation', { 0: 25 });
+
+      expect(updated[0]).toEqual({ depreciationAndAmortisation: 25, depreciation: 25 });
+      expect(updated[1]).toEqual({ revenue: 1 });
+    });
+  });
+
+  describe('goalSeek', () => {
+    it('should solve a single driver in the last period', () => {
+      // EBITDA = revenue x 40% - 220,000, so 264,000 needs revenue of 1,210,000
+      const result = goalSeek(inputs, 'YEARLY', {
+        goalSeek: { metric: 'ebitda', target: 264000, drivers: ['revenue'] },
+      });
+
+      expect(result.converged).toBe(true);
+      expect(result.baseValue).toBe(220000);
+      expect(result.achievedValue).toBeCloseTo(264000, -1);
+      expect(result.drivers[0].changes).toHaveLength(1);
+      expect(result.drivers[0].changes[0]).toMatchObject({ periodIndex: 1, from: 1100000 });
+      expect(result.drivers[0].changes[0].to).toBeCloseTo(1210000, -1);
+      expect(result.inputs[0]).toBe(inputs[0]);
+    });
+
+    it('should share the change across several drivers within their bounds', () => {
+      const result = goalSeek(inputs, 'YEARLY', {
+        goalSeek: { metric: 'ebitda', target: 300000, drivers: ['revenue', 'grossMarginPercentage'] },
+      });
+      const [revenue, margin] = result.drivers;
+      const share = (driver) => (driver.changes[0].to - driver.changes[0].from) / (driver.upper - driver.changes[0].from);
+
+      expect(result.converged).toBe(true);
+      // Rounding the margin to hundredths of a percent leaves a small residual
+      expect(evaluateMetric(result.inputs, 'YEARLY', {}, 'ebitda')).toBeCloseTo(300000, -2);
+      expect(revenue.changes[0].to).toBeGreaterThan(1100000);
+      expect(margin.changes[0].to).toBeGreaterThan(40);
+      expect(share(revenue)).toBeCloseTo(share(margin), 3);
+    });
+
+    it('should stop at the bound when the target is out of reach', () => {
+      const result = goalSeek(inputs, 'YEARLY', {
+        goalSeek: { metric: 'ebitda', target: 10000000, drivers: ['grossMarginPercentage'] },
+      });
+
+      expect(result.converged).toBe(false);
+      expect(result.drivers[0].changes[0].to).toBe(100);
+      expect(result.achievedValue).toBe(880000);
+    });
+
+    it('should solve first-period-only drivers in the first period and every period when asked', () => {
+      const cash = goalSeek(inputs, 'YEARLY', {
+        goalSeek: { metric: 'closingCash', target: evaluateMetric(inputs, 'YEARLY', {}, 'closingCash') + 30000, drivers: ['openingCash'], scope: 'all' },
+      });
+      const opex = goalSeek(inputs, 'YEARLY', {
+        goalSeek: { metric: 'ebitda', target: 240000, drivers: ['operatingExpenses'], scope: 'all' },
+      });
+
+      expect(cash.converged).toBe(true);
+      expect(cash.drivers[0].changes).toEqual([{ periodIndex: 0, from: 50000, to: expect.any(Number) }]);
+      expect(cash.drivers[0].changes[0].to).toBeCloseTo(80000, -1);
+      expect(opex.drivers[0].changes.map(change => change.periodIndex)).toEqual([0, 1]);
+      expect(opex.drivers[0].changes[1].to).toBeLessThan(220000);
+    });
+
+    it('should leave out drivers that do not move the metric', () => {
+      const result = goalSeek(inputs, 'YEARLY', {
+        goalSeek: { metric: 'ebitda', target: 264000, drivers: ['revenue', 'dividendsPaid'] },
+      });
+
+      expect(result.converged).toBe(true);
+      expect(result.drivers[1]).toMatchObject({ driver: 'dividendsPaid', isEffective: false });
+      expect(result.inputs[1].dividendsPaid).toBeUndefined();
+    });
+
+    it('should validate the settings', () => {
+      expect(() => goalSeek(inputs, 'YEARLY', { goalSeek: { target: null } })).toThrow('valor alvo');
+      expect(() => goalSeek(inputs, 'YEARLY', { goalSeek: { target: 1, drivers: [] } })).toThrow('direcionador');
+      expect(() => goalSeek(inputs, 'YEARLY', { goalSeek: { target: 1, metric: 'x' } })).toThrow('não suportada');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for the Inflation Adjustment
+ * Constant-currency restatement and nominal vs real growth
+ */
+
+import { applyInflationAdjustment, getMissingInflationPeriods, INFLATION_INDICES } from '../inflation';
+import { processFinancialData } from '../calculations';
+
+describe('Inflation', () => {
+  const periods = processFinancialData([
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, accountsReceivableValueAvg: 150000 },
+    { revenue: 1100000, grossMarginPercentage: 40, operatingExpenses: 210000, accountsReceivableValueAvg: 160000 },
+    { revenue: 1155000, grossMarginPercentage: 40, operatingExpenses: 220000, accountsReceivableValueAvg: 170000 },
+  ], 'anos');
+  const rates = [4, 10, 5];
+
+  describe('getMissingInflationPeriods', () => {
+    it('should list the periods without an inflation rate', () => {
+      expect(getMissingInflationPeriods([4, null, 5], 4)).toEqual([1, 3]);
+      expect(getMissingInflationPeriods(rates, 3)).toEqual([]);
+    });
+  });
+
+  describe('applyInflationAdjustment', () => {
+    it('should report revenue growth in nominal and real terms', () => {
+      const [, second, third] = applyInflationAdjustment(periods, { rates, indexType: INFLATION_INDICES.IPCA });
+
+      expect(second.trends.revenueGrowth).toBe(10);
+      expect(second.trends.revenueGrowthReal).toBeCloseTo(0, 1);
+      expect(third.trends.revenueGrowth).toBe(5);
+      expect(third.trends.revenueGrowthReal).toBeCloseTo(0, 1);
+      expect(third.trends.inflationRate).toBe(5);
+      expect(third.trends.profitGrowthReal).toBeDefined();
+    });
+
+    it('should keep the nominal statements when the real-terms view is off', () => {
+      const adjusted = applyInflationAdjustment(periods, { rates });
+
+      expect(adjusted[0].incomeStatement).toBe(periods[0].incomeStatement);
+      expect(adjusted[0].inflationAdjustment.isRealTerms).toBe(false);
+      expect(adjusted[0].inflationAdjustment.revenue.real).toBeCloseTo(1000000 * 1.1 * 1.05, 0);
+    });
+
+    it('should restate every period to constant currency of the base period', () => {
+      const adjusted = applyInflationAdjustment(periods, { rates, basePeriodIndex: 1, realTerms: true });
+
+      expect(adjusted[1].incomeStatement.revenue).toBe(1100000);
+      expect(adjusted[0].incomeStatement.revenue).toBeCloseTo(1100000, 0);
+      expect(adjusted[2].incomeStatement.revenue).toBeCloseTo(1100000, 0);
+      expect(adjusted[0].balanceSheet.totalAssets).toBeCloseTo(periods[0].balanceSheet.totalAssets * 1.1, 0);
+      expect(adjusted[0].incomeStatement.grossMarginPercent).toBe(periods[0].incomeStatement.grossMarginPercent);
+      expect(adjusted[2].inflationAdjustment.factor).toBeCloseTo(1 / 1.05, 4);
+      expect(adjusted[2].inflationAdjustment.revenue.nominal).toBe(1155000);
+    });
+
+    it('should default the base date to the last period', () => {
+      const adjusted = applyInflationAdjustment(periods, { rates, realTerms: true });
+
+      expect(adjusted[2].incomeStatement.revenue).toBe(1155000);
+      expect(adjusted[2].inflationAdjustment.basePeriodIndex).toBe(2);
+    });
+
+    it('should require the inflation of every period', () => {
+      expect(() => applyInflationAdjustment(periods, { rates: [4, 10], indexType: INFLATION_INDICES.IGPM }))
+        .toThrow('Informe a inflação do período 3 no índice IGP-M.');
+    });
+  });
+});
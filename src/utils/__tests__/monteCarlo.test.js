@@ -0,0 +1,221 @@
+/**
+ * Unit Tests for the Monte Carlo Cash-Flow Simulation
+ * Distributions, correlations, percentiles and closing cash bands
+ */
+
+import {
+  SIMULATION_DISTRIBUTIONS,
+  getDefaultSimulationSettings,
+  createRandomGenerator,
+  standardNormal,
+  normalCdf,
+  sampleDistribution,
+  choleskyDecomposition,
+  buildCorrelationMatrix,
+  percentile,
+  rollClosingCash,
+  simulateCashFlow,
+} from '../monteCarlo';
+
+describe('Monte Carlo Cash-Flow Simulation', () => {
+  const historicalInputs = [
+    { revenue: 1000000, cogs: 600000, operatingExpenses: 200000, depreciation: 20000, capex: 50000, openingCash: 50000 },
+    { revenue: 1100000, cogs: 660000, operatingExpenses: 220000, depreciation: 22000, capex: 55000 },
+  ];
+
+  describe('getDefaultSimulationSettings', () => {
+    it('should start without simulated drivers', () => {
+      expect(getDefaultSimulationSettings()).toEqual({
+        iterations: 2000,
+        forecastPeriods: 4,
+        drivers: {},
+        correlations: [],
+        seed: null,
+      });
+    });
+  });
+
+  describe('random draws', () => {
+    it('should reproduce the same sequence for the same seed', () => {
+      const a = createRandomGenerator(42);
+      const b = createRandomGenerator(42);
+      const sequence = [a(), a(), a()];
+
+      expect([b(), b(), b()]).toEqual(sequence);
+      sequence.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+      expect(createRandomGenerator(null)).toBe(Math.random);
+    });
+
+    it('should draw standard normals with zero mean and unit variance', () => {
+      const random = createRandomGenerator(7);
+      const draws = Array.from({ length: 5000 }, () => standardNormal(random));
+      const mean = draws.reduce((sum, z) => sum + z, 0) / draws.length;
+      const variance = draws.reduce((sum, z) => sum + (z - mean) ** 2, 0) / draws.length;
+
+      expect(mean).toBeCloseTo(0, 1);
+      expect(variance).toBeCloseTo(1, 1);
+    });
+
+    it('should approximate the standard normal CDF', () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+      expect(normalCdf(1.96)).toBeCloseTo(0.975, 3);
+      expect(normalCdf(-1.96)).toBeCloseTo(0.025, 3);
+    });
+  });
+
+  describe('sampleDistribution', () => {
+    it('should map normal draws to mean and standard deviation', () => {
+      expect(sampleDistribution({ distribution: SIMULATION_DISTRIBUTIONS.NORMAL, mean: 5, stdDev: 2 }, 1.5)).toBe(8);
+    });
+
+    it('should map draws onto uniform and triangular ranges', () => {
+      const uniform = { distribution: SIMULATION_DISTRIBUTIONS.UNIFORM, min: 30, max: 60 };
+      const triangular = { distribution: SIMULATION_DISTRIBUTIONS.TRIANGULAR, min: 20, mode: 30, max: 40 };
+
+      expect(sampleDistribution(uniform, 0)).toBeCloseTo(45, 4);
+      expect(sampleDistribution(triangular, 0)).toBeCloseTo(30, 4);
+      [-8, -1, 1, 8].forEach(z => {
+        expect(sampleDistribution(uniform, z)).toBeGreaterThanOrEqual(30);
+        expect(sampleDistribution(uniform, z)).toBeLessThanOrEqual(60);
+        expect(sampleDistribution(triangular, z)).toBeGreaterThanOrEqual(20);
+        expect(sampleDistribution(triangular, z)).toBeLessThanOrEqual(40);
+      });
+      expect(sampleDistribution({ distribution: SIMULATION_DISTRIBUTIONS.TRIANGULAR, min: 10, max: 10 }, 1)).toBe(10);
+    });
+  });
+
+  describe('correlations', () => {
+    it('should build a symmetric matrix from pairwise coefficients', () => {
+      const matrix = buildCorrelationMatrix(['revenueGrowth', 'dso', 'dpo'], [
+        { drivers: ['revenueGrowth', 'dso'], coefficient: 0.6 },
+        { drivers: ['dso', 'unknown'], coefficient: 0.9 },
+        { drivers: ['dpo', 'dso'], coefficient: -2 },
+      ]);
+
+      expect(matrix).toEqual([
+        [1, 0.6, 0],
+        [0.6, 1, -1],
+        [0, -1, 1],
+      ]);
+    });
+
+    it('should factor positive definite matrices and reject the rest', () => {
+      const lower = choleskyDecomposition([[1, 0.6], [0.6, 1]]);
+
+      expect(lower[0]).toEqual([1, 0]);
+      expect(lower[1][0]).toBeCloseTo(0.6, 10);
+      expect(lower[1][1]).toBeCloseTo(0.8, 10);
+      expect(() => choleskyDecomposition([[1, 1], [1, 1]])).toThrow('positiva definida');
+    });
+  });
+
+  describe('percentile', () => {
+    it('should interpolate between sorted values', () => {
+      expect(percentile([10, 20, 30, 40], 50)).toBe(25);
+      expect(percentile([10, 20, 30, 40], 0)).toBe(10);
+      expect(percentile([10, 20, 30, 40], 100)).toBe(40);
+      expect(percentile([], 50)).toBeNull();
+    });
+  });
+
+  describe('rollClosingCash', () => {
+    it('should accumulate net cash flow from the opening cash', () => {
+      const periods = [
+        { cashFlow: { netCashFlow: 30000 } },
+        { cashFlow: { netCashFlow: -100000 } },
+        {},
+      ];
+
+      expect(rollClosingCash(periods, 50000)).toEqual([80000, -20000, -20000]);
+      expect(rollClosingCash(periods)).toEqual([30000, -70000, -70000]);
+    });
+  });
+
+  describe('simulateCashFlow', () => {
+    const simulation = {
+      iterations: 200,
+      forecastPeriods: 3,
+      seed: 123,
+      drivers: {
+        revenueGrowth: { distribution: SIMULATION_DISTRIBUTIONS.NORMAL, mean: 5, stdDev: 10 },
+        dso: { distribution: SIMULATION_DISTRIBUTIONS.UNIFORM, min: 30, max: 90 },
+      },
+    };
+
+    it('should return ordered percentile bands for every period', () => {
+      const result = simulateCashFlow(historicalInputs, 'YEARLY', { simulation });
+
+      expect(result.iterations).toBe(200);
+      expect(result.drivers).toEqual(['revenueGrowth', 'dso']);
+      expect(result.periods).toHaveLength(5);
+      expect(result.periods.map(p => p.isForecast)).toEqual([false, false, true, true, true]);
+
+      const forecast = result.periods[4];
+      expect(forecast.p5).toBeLessThanOrEqual(forecast.p25);
+      expect(forecast.p25).toBeLessThanOrEqual(forecast.p50);
+      expect(forecast.p50).toBeLessThanOrEqual(forecast.p75);
+      expect(forecast.p75).toBeLessThanOrEqual(forecast.p95);
+      expect(forecast.p95).toBeGreaterThan(forecast.p5);
+    });
+
+    it('should collapse historical periods to their actual closing cash', () => {
+      const result = simulateCashFlow(historicalInputs, 'YEARLY', { simulation });
+      const historical = result.periods[1];
+
+      expect(historical.p5).toBe(historical.p95);
+      expect(historical.mean).toBe(historical.p50);
+    });
+
+    it('should be reproducible with a seed', () => {
+      const first = simulateCashFlow(historicalInputs, 'YEARLY', { simulation });
+      const second = simulateCashFlow(historicalInputs, 'YEARLY', { simulation });
+
+      expect(second).toEqual(first);
+    });
+
+    it('should report the probability of negative cash and the minimum cash distribution', () => {
+      const result = simulateCashFlow(historicalInputs, 'YEARLY', {
+        simulation: {
+          ...simulation,
+          drivers: { revenueGrowth: { distribution: SIMULATION_DISTRIBUTIONS.UNIFORM, min: -60, max: -40 } },
+        },
+        projection: { assumptions: { opexPercent: 90 } },
+      });
+
+      expect(result.probabilityNegativeCash).toBe(1);
+      expect(result.minimumCash.p95).toBeLessThan(0);
+      expect(result.minimumCash.histogram).toHaveLength(20);
+      expect(result.minimumCash.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(200);
+    });
+
+    it('should widen the bands when correlated drivers move together', () => {
+      const drivers = {
+        revenueGrowth: { distribution: SIMULATION_DISTRIBUTIONS.NORMAL, mean: 5, stdDev: 10 },
+        grossMarginPercent: { distribution: SIMULATION_DISTRIBUTIONS.NORMAL, mean: 40, stdDev: 5 },
+      };
+      const spread = (result) => result.periods[4].p95 - result.periods[4].p5;
+
+      const opposite = simulateCashFlow(historicalInputs, 'YEARLY', {
+        simulation: { ...simulation, drivers, correlations: [{ drivers: ['revenueGrowth', 'grossMarginPercent'], coefficient: -0.9 }] },
+      });
+      const aligned = simulateCashFlow(historicalInputs, 'YEARLY', {
+        simulation: { ...simulation, drivers, correlations: [{ drivers: ['revenueGrowth', 'grossMarginPercent'], coefficient: 0.9 }] },
+      });
+
+      expect(spread(aligned)).toBeGreaterThan(spread(opposite));
+    });
+
+    it('should return deterministic bands without simulated drivers', () => {
+      const result = simulateCashFlow(historicalInputs, 'YEARLY', {
+        simulation: { iterations: 5, forecastPeriods: 1 },
+      });
+
+      expect(result.periods[2].p5).toBe(result.periods[2].p95);
+      expect(result.minimumCash.histogram).toHaveLength(1);
+      expect(simulateCashFlow(historicalInputs, 'YEARLY', { simulation: { iterations: 1 } }).minimumCash).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for the Forward Projection Engine
+ * Assumption curves, forecast inputs and historical + forecast processing
+ */
+
+import {
+  getDefaultProjectionSettings,
+  resolveCurveValue,
+  deriveBaseAssumptions,
+  buildForecastInputs,
+  projectFinancialData,
+  getPeriodLabel,
+  getForecastRange,
+} from '../projections';
+import { processFinancialData } from '../calculations';
+
+describe('Forward Projection Engine', () => {
+  const historicalInputs = [
+    { revenue: 1000000, cogs: 600000, operatingExpenses: 200000, depreciation: 20000, capex: 50000 },
+    { revenue: 1100000, cogs: 660000, operatingExpenses: 220000, depreciation: 22000, capex: 55000 },
+  ];
+
+  describe('getDefaultProjectionSettings', () => {
+    it('should project three periods repeating the last historical drivers', () => {
+      expect(getDefaultProjectionSettings()).toEqual({ forecastPeriods: 3, assumptions: {} });
+    });
+  });
+
+  describe('resolveCurveValue', () => {
+    it('should accept constants and per-period curves that repeat their last value', () => {
+      expect(resolveCurveValue(5, 2)).toBe(5);
+      expect(resolveCurveValue([5, 10], 0)).toBe(5);
+      expect(resolveCurveValue([5, 10], 3)).toBe(10);
+    });
+
+    it('should return null for empty or invalid curves', () => {
+      expect(resolveCurveValue(undefined, 0)).toBeNull();
+      expect(resolveCurveValue(NaN, 0)).toBeNull();
+      expect(resolveCurveValue([], 0)).toBeNull();
+      expect(resolveCurveValue([null, NaN], 1)).toBeNull();
+    });
+  });
+
+  describe('deriveBaseAssumptions', () => {
+    it('should derive drivers from the last historical period', () => {
+      const processed = processFinancialData(historicalInputs, 'YEARLY');
+      const base = deriveBaseAssumptions(historicalInputs[1], processed[1]);
+
+      expect(base).toMatchObject({
+        revenueGrowth: 10,
+        grossMarginPercent: 40,
+        opexPercent: 20,
+        dso: 45,
+        dio: 30,
+        dpo: 60,
+        capexPercent: 5,
+        depreciationPercent: 2,
+      });
+    });
+
+    it('should compute payout from dividends paid and ignore it on losses', () => {
+      const processed = processFinancialData(
+        [{ revenue: 1000000, cogs: 600000, operatingExpenses: 200000, depreciation: 0 }],
+        'YEARLY',
+      );
+      const { netIncome } = processed[0].incomeStatement;
+
+      expect(deriveBaseAssumptions({ dividendsPaid: netIncome / 4 }, processed[0]).payoutPercent).toBe(25);
+      expect(deriveBaseAssumptions({ dividends: netIncome / 2 }, processed[0]).payoutPercent).toBe(50);
+
+      const loss = processFinancialData([{ revenue: 100000, cogs: 90000, operatingExpenses: 50000 }], 'YEARLY');
+      expect(deriveBaseAssumptions({ dividends: 1000 }, loss[0]).payoutPercent).toBe(0);
+      expect(deriveBaseAssumptions({}, loss[0]).revenueGrowth).toBe(0);
+    });
+  });
+
+  describe('buildForecastInputs', () => {
+    it('should grow revenue along the curve and apply margins, days and CAPEX', () => {
+      const processed = processFinancialData(historicalInputs, 'YEARLY');
+      const inputs = buildForecastInputs(historicalInputs, processed, {
+        revenueGrowth: [5, 10],
+        grossMarginPercent: 35,
+        dso: [30],
+      }, 3);
+
+      expect(inputs.map(input => input.revenue)).toEqual([1155000, 1270500, 1397550]);
+      expect(inputs[0]).toMatchObject({
+        cogs: 750750,
+        operatingExpenses: 231000,
+        depreciation: 23100,
+        capex: 57750,
+        accountsReceivableDays: 30,
+        inventoryDays: 30,
+        accountsPayableDays: 60,
+        dividends: 0,
+      });
+      expect(inputs[2].assumptions.revenueGrowth).toBe(10);
+    });
+
+    it('should not project negative revenue', () => {
+      const processed = processFinancialData(historicalInputs, 'YEARLY');
+      const inputs = buildForecastInputs(historicalInputs, processed, { revenueGrowth: -150 }, 1);
+
+      expect(inputs[0].revenue).toBe(0);
+    });
+  });
+
+  describe('projectFinancialData', () => {
+    it('should return historical and forecast periods in the processedData shape', () => {
+      const result = projectFinancialData(historicalInputs, 'YEARLY', {
+        projection: { forecastPeriods: 2, assumptions: {} },
+      });
+
+      expect(result).toHaveLength(4);
+      expect(result.map(period => period.isForecast)).toEqual([false, false, true, true]);
+      expect(result[2].incomeStatement.revenue).toBe(1210000);
+      expect(result[2]).toHaveProperty('cashFlow');
+      expect(result[2]).toHaveProperty('balanceSheet');
+      expect(result[2].assumptions.grossMarginPercent).toBe(40);
+      expect(result[0].assumptions).toBeUndefined();
+    });
+
+    it('should roll working capital continuously from the last historical period', () => {
+      const result = projectFinancialData(historicalInputs, 'YEARLY', {
+        projection: { forecastPeriods: 1 },
+      });
+      const previousWC = result[1].workingCapital.workingCapitalValue;
+      const currentWC = result[2].workingCapital.workingCapitalValue;
+
+      expect(result[2].cashFlow.workingCapitalChange).toBeCloseTo(-(currentWC - previousWC), 1);
+    });
+
+    it('should pay dividends from the payout curve on forecast net income', () => {
+      const result = projectFinancialData(historicalInputs, 'YEARLY', {
+        projection: { forecastPeriods: 1, assumptions: { payoutPercent: 50 } },
+      });
+      const { netIncome } = result[2].incomeStatement;
+
+      expect(result[2].cashFlow.financingCashFlow).toBeCloseTo(-netIncome / 2, 1);
+    });
+
+    it('should pass engine options through to processFinancialData', () => {
+      const result = projectFinancialData(historicalInputs, 'YEARLY', {
+        projection: { forecastPeriods: 1 },
+        assetRegister: { openingNetFixedAssets: 0 },
+      });
+
+      expect(result[2].fixedAssets.capex).toBe(60500);
+    });
+
+    it('should only flag historical periods without a forecast', () => {
+      expect(projectFinancialData(historicalInputs, 'YEARLY').map(p => p.isForecast)).toEqual([false, false]);
+      expect(projectFinancialData([], 'YEARLY', { projection: { forecastPeriods: 2 } })).toEqual([]);
+    });
+  });
+
+  describe('getPeriodLabel / getForecastRange', () => {
+    it('should suffix forecast period labels', () => {
+      expect(getPeriodLabel('anos', 1)).toBe('Ano 2');
+      expect(getPeriodLabel('anos', 3, true)).toBe('Ano 4 (P)');
+      expect(getPeriodLabel('unknown', 0)).toBe('Per. 1');
+    });
+
+    it('should return the first and last forecast categories', () => {
+      const chartData = [
+        { name: 'Ano 1' },
+        { name: 'Ano 2 (P)', isForecast: true },
+        { name: 'Ano 3 (P)', isForecast: true },
+      ];
+
+      expect(getForecastRange(chartData)).toEqual({ x1: 'Ano 2 (P)', x2: 'Ano 3 (P)' });
+      expect(getForecastRange([{ name: 'Ano 1' }])).toBeNull();
+      expect(getForecastRange(undefined)).toBeNull();
+    });
+  });
+});
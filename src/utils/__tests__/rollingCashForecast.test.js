@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for the Rolling 13-Week Cash Forecast
+ * Week dates, cash roll, actual vs forecast and roll-forward
+ */
+
+import {
+  addWeeks,
+  buildRollingCashGrid,
+  compareActualToForecast,
+  createWeek,
+  getDefaultRollingForecast,
+  getWeekStart,
+  rollForward,
+} from '../rollingCashForecast';
+import { processFinancialData } from '../calculations';
+import { getMaxPeriods, ROLLING_FORECAST_WEEKS } from '../constants';
+
+describe('Rolling 13-Week Cash Forecast', () => {
+  const buildForecast = () => ({
+    ...getDefaultRollingForecast(new Date('2026-10-14T12:00:00Z')),
+    openingCash: 50000,
+    minimumCash: 20000,
+  });
+
+  describe('week dates', () => {
+    it('should start weeks on Monday', () => {
+      expect(getWeekStart('2026-10-14')).toBe('2026-10-12');
+      expect(getWeekStart('2026-10-12')).toBe('2026-10-12');
+      expect(getWeekStart('2026-10-18')).toBe('2026-10-12');
+    });
+
+    it('should add weeks across month ends', () => {
+      expect(addWeeks('2026-10-26', 1)).toBe('2026-11-02');
+      expect(addWeeks('2026-10-26', -4)).toBe('2026-09-28');
+    });
+
+    it('should create 13 consecutive weeks by default', () => {
+      const forecast = buildForecast();
+
+      expect(forecast.weeks).toHaveLength(ROLLING_FORECAST_WEEKS);
+      expect(forecast.weeks[0].weekStart).toBe('2026-10-12');
+      expect(forecast.weeks[12].weekStart).toBe('2027-01-04');
+      expect(forecast.weeks[0].forecast.payroll).toBe(0);
+    });
+  });
+
+  describe('buildRollingCashGrid', () => {
+    it('should roll cash from the opening balance and flag weeks below the minimum', () => {
+      const forecast = buildForecast();
+      forecast.weeks[0] = createWeek('2026-10-12', { arCurrent: 30000, arOverdue1to30: 5000, supplierPayments: 20000 });
+      forecast.weeks[1] = createWeek('2026-10-19', { payroll: 40000, taxPayments: 10000, capex: 5000, debtService: 5000 });
+
+      const { weeks, summary } = buildRollingCashGrid(forecast);
+
+      expect(weeks[0]).toMatchObject({ receipts: 35000, disbursements: 20000, netFlow: 15000, closingCash: 65000 });
+      expect(weeks[1]).toMatchObject({
+        operatingCashFlow: -50000, freeCashFlow: -55000, netFlow: -60000, closingCash: 5000, isBelowMinimum: true,
+      });
+      expect(summary.endingCash).toBe(5000);
+      expect(summary.lowestCash).toBe(5000);
+      expect(summary.lowestCashWeek).toBe('2026-10-19');
+      expect(summary.weeksBelowMinimum).toBe(ROLLING_FORECAST_WEEKS - 1);
+    });
+
+    it('should use actuals instead of the forecast when entered', () => {
+      const forecast = buildForecast();
+      forecast.weeks[0] = {
+        ...createWeek('2026-10-12', { arCurrent: 30000 }),
+        actual: { arCurrent: 25000, payroll: 1000 },
+      };
+
+      const { weeks } = buildRollingCashGrid(forecast);
+
+      expect(weeks[0].isActual).toBe(true);
+      expect(weeks[0].netFlow).toBe(24000);
+      expect(weeks[1].isActual).toBe(false);
+    });
+  });
+
+  describe('compareActualToForecast', () => {
+    it('should report variances and whether they add cash', () => {
+      const week = {
+        ...createWeek('2026-10-12', { arCurrent: 30000, supplierPayments: 20000 }),
+        actual: { arCurrent: 27000, supplierPayments: 18000 },
+      };
+
+      const { lines, totals } = compareActualToForecast(week);
+      const receipts = lines.find(line => line.key === 'arCurrent');
+      const suppliers = lines.find(line => line.key === 'supplierPayments');
+
+      expect(receipts).toMatchObject({ variance: -3000, variancePercent: -10, isFavorable: false });
+      expect(suppliers).toMatchObject({ variance: -2000, variancePercent: -10, isFavorable: true });
+      expect(lines.find(line => line.key === 'payroll').variancePercent).toBeNull();
+      expect(totals).toEqual({ forecastNetFlow: 10000, actualNetFlow: 9000, variance: -1000 });
+    });
+  });
+
+  describe('rollForward', () => {
+    it('should close the oldest week on actuals and append a new week', () => {
+      const forecast = buildForecast();
+      forecast.weeks[0] = {
+        ...createWeek('2026-10-12', { arCurrent: 30000 }),
+        actual: { arCurrent: 28000, payroll: 3000 },
+      };
+      forecast.weeks[12] = createWeek('2027-01-04', { payroll: 12000 });
+
+      const rolled = rollForward(forecast);
+
+      expect(rolled.weeks).toHaveLength(ROLLING_FORECAST_WEEKS);
+      expect(rolled.weeks[0].weekStart).toBe('2026-10-19');
+      expect(rolled.weeks[12].weekStart).toBe('2027-01-11');
+      expect(rolled.weeks[12].forecast.payroll).toBe(12000);
+      expect(rolled.weeks[12].actual).toBeNull();
+      expect(rolled.openingCash).toBe(75000);
+      expect(rolled.history).toHaveLength(1);
+      expect(rolled.history[0]).toMatchObject({ weekStart: '2026-10-12', openingCash: 50000, closingCash: 75000 });
+      expect(rolled.history[0].totals.variance).toBe(-5000);
+    });
+
+    it('should require actuals for the oldest week', () => {
+      expect(() => rollForward(buildForecast())).toThrow('Informe os valores realizados');
+    });
+  });
+
+  describe('weekly period type', () => {
+    it('should allow up to 52 weekly periods', () => {
+      expect(getMaxPeriods('semanas')).toBe(52);
+      expect(getMaxPeriods('anos')).toBe(6);
+    });
+
+    it('should measure working capital days over 7-day periods', () => {
+      const [week] = processFinancialData([
+        { revenue: 70000, grossMarginPercentage: 40, operatingExpenses: 10000, accountsReceivableValueAvg: 30000 },
+      ], 'semanas');
+
+      // DSO = 30,000 / 70,000 x 7 days
+      expect(week.workingCapital.dso).toBe(3);
+    });
+  });
+});
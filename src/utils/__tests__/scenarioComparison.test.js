@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for the Scenario Comparison
+ * Driver adjustments, metrics per scenario and deltas against the base scenario
+ */
+
+import {
+  applyScenarioAdjustments,
+  buildScenarioRows,
+  compareScenarios,
+} from '../scenarioComparison';
+import { processFinancialData } from '../calculations';
+
+describe('Scenario Comparison', () => {
+  const inputs = [
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, openingCash: 50000 },
+    { revenue: 1100000, grossMarginPercentage: 40, operatingExpenses: 210000 },
+  ];
+
+  describe('applyScenarioAdjustments', () => {
+    it('should scale each adjusted driver without touching the cloned inputs', () => {
+      const adjusted = applyScenarioAdjustments({ periods: inputs, adjustments: { revenue: -10, operatingExpenses: 5 } });
+
+      expect(adjusted[0].revenue).toBeCloseTo(900000, 2);
+      expect(adjusted[1].operatingExpenses).toBeCloseTo(220500, 2);
+      expect(adjusted[0].grossMarginPercentage).toBe(40);
+      expect(inputs[0].revenue).toBe(1000000);
+    });
+
+    it('should return the inputs unchanged without adjustments', () => {
+      expect(applyScenarioAdjustments({ periods: inputs })).toBe(inputs);
+      expect(applyScenarioAdjustments({ periods: inputs, adjustments: { revenue: 0 } })).toBe(inputs);
+    });
+  });
+
+  describe('buildScenarioRows', () => {
+    it('should roll closing cash from the opening cash', () => {
+      const periods = processFinancialData(inputs, 'anos');
+      const rows = buildScenarioRows(periods, 50000);
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0].closingCash).toBeCloseTo(50000 + periods[0].cashFlow.netCashFlow, 2);
+      expect(rows[1].closingCash).toBeCloseTo(rows[0].closingCash + periods[1].cashFlow.netCashFlow, 2);
+      expect(rows[1].ebitda).toBeCloseTo(periods[1].incomeStatement.ebitda, 2);
+    });
+  });
+
+  describe('compareScenarios', () => {
+    const scenarios = [
+      { id: 'base', name: 'Base', type: 'base', periods: inputs },
+      { id: 'down', name: 'Pessimista', type: 'pessimistic', periods: inputs, adjustments: { revenue: -10 } },
+    ];
+
+    it('should sum flow metrics and take closing cash from the last period', () => {
+      const { scenarios: results } = compareScenarios(scenarios, 'anos');
+      const [base] = results;
+
+      expect(base.summary.revenue).toBeCloseTo(2100000, 2);
+      expect(base.summary.closingCash).toBe(base.rows[1].closingCash);
+      expect(base.summary.ebitdaMargin).toBe(base.rows[1].ebitdaMargin);
+    });
+
+    it('should report deltas against the first scenario', () => {
+      const result = compareScenarios(scenarios, 'anos');
+      const [delta] = result.deltas;
+
+      expect(result.baseScenarioId).toBe('base');
+      expect(result.deltas).toHaveLength(1);
+      expect(delta.id).toBe('down');
+      expect(delta.metrics.revenue.delta).toBeCloseTo(-210000, 2);
+      expect(delta.metrics.revenue.deltaPercent).toBe(-10);
+      expect(delta.metrics.ebitda.delta).toBeLessThan(0);
+    });
+
+    it('should require scenarios with periods', () => {
+      expect(() => compareScenarios([], 'anos')).toThrow('ao menos um cenário');
+      expect(() => compareScenarios([{ id: 'x', name: 'Vazio', periods: [] }], 'anos')).toThrow('não possui períodos');
+    });
+  });
+});
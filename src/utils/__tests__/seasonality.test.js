@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for the Monthly Phasing
+ * Seasonality profiles, phased drivers, working capital days and peak funding
+ */
+
+import {
+  getDefaultSeasonalitySettings,
+  learnSeasonalityProfile,
+  parseMonthlyHistory,
+  getSeasonalityProfile,
+  phaseAnnualPeriods,
+  buildMonthlyView,
+  SEASONALITY_PROFILES,
+} from '../seasonality';
+import { processFinancialData } from '../calculations';
+
+describe('Seasonality', () => {
+  const annualInputs = [
+    {
+      revenue: 1200000,
+      grossMarginPercentage: 40,
+      operatingExpenses: 240000,
+      openingCash: 100000,
+      accountsReceivableValueAvg: 200000,
+      inventoryValueAvg: 120000,
+      accountsPayableValueAvg: 60000,
+      netFixedAssets: 300000,
+      totalBankLoans: 100000,
+      initialEquity: 400000,
+    },
+    {
+      revenue: 1440000,
+      grossMarginPercentage: 40,
+      operatingExpenses: 264000,
+      accountsReceivableValueAvg: 240000,
+      inventoryValueAvg: 144000,
+      accountsPayableValueAvg: 72000,
+      netFixedAssets: 360000,
+      totalBankLoans: 160000,
+    },
+  ];
+  // Q4-heavy retail profile
+  const customPercentages = [5, 5, 6, 6, 7, 7, 8, 8, 9, 10, 12, 17];
+  const customSettings = { ...getDefaultSeasonalitySettings(), profileType: SEASONALITY_PROFILES.CUSTOM, customPercentages };
+
+  describe('profiles', () => {
+    it('should spread evenly with the flat profile', () => {
+      const profile = getSeasonalityProfile(getDefaultSeasonalitySettings());
+
+      expect(profile).toHaveLength(12);
+      expect(profile[0]).toBeCloseTo(8.33, 2);
+    });
+
+    it('should reject custom percentages that do not add up to 100', () => {
+      expect(() => getSeasonalityProfile({ ...customSettings, customPercentages: Array(12).fill(5) })).toThrow('somam 60%');
+      expect(() => getSeasonalityProfile({ ...customSettings, customPercentages: [100] })).toThrow('12 meses');
+    });
+
+    it('should learn the average monthly share of complete years', () => {
+      // Year 2 doubles year 1: shares are identical, growth does not bias the profile
+      const year = customPercentages.map(value => value * 1000);
+      const profile = learnSeasonalityProfile([...year, ...year.map(value => value * 2), 999]);
+
+      expect(profile).toEqual(customPercentages);
+      expect(() => learnSeasonalityProfile([1, 2, 3])).toThrow('ao menos 12 meses');
+      expect(() => getSeasonalityProfile({ ...customSettings, profileType: SEASONALITY_PROFILES.HISTORICAL })).toThrow('histórico mensal');
+    });
+
+    it('should parse monthly history files', () => {
+      const text = 'Mês;Vendas\n01/2023;1.234,56\n02/2023;2000\n\n03/2023;1500.5';
+
+      expect(parseMonthlyHistory(text)).toEqual([1234.56, 2000, 1500.5]);
+    });
+  });
+
+  describe('phaseAnnualPeriods', () => {
+    const { monthlyInputs } = phaseAnnualPeriods(annualInputs, 'anos', customSettings);
+
+    it('should split seasonal flows by the profile and spread the others', () => {
+      expect(monthlyInputs).toHaveLength(24);
+      expect(monthlyInputs[11].revenue).toBe(204000);
+      expect(monthlyInputs[0].revenue).toBe(60000);
+      expect(monthlyInputs[0].operatingExpenses).toBe(20000);
+      expect(monthlyInputs[0].grossMarginPercentage).toBe(40);
+      expect(monthlyInputs.slice(0, 12).reduce((sum, month) => sum + month.revenue, 0)).toBeCloseTo(1200000, 0);
+    });
+
+    it('should keep first-period fields in the first month only', () => {
+      expect(monthlyInputs[0].openingCash).toBe(100000);
+      expect(monthlyInputs[1].openingCash).toBeUndefined();
+      expect(monthlyInputs[12].initialEquity).toBeUndefined();
+    });
+
+    it('should interpolate closing balances between year-ends', () => {
+      expect(monthlyInputs[5].netFixedAssets).toBe(300000);
+      expect(monthlyInputs[17].netFixedAssets).toBe(330000);
+      expect(monthlyInputs[23].totalBankLoans).toBe(160000);
+    });
+
+    it('should make receivables and inventory follow seasonal sales at the annual days', () => {
+      const [annual] = processFinancialData(annualInputs, 'YEARLY');
+      const months = processFinancialData(monthlyInputs, 'MONTHLY');
+
+      expect(monthlyInputs[0].accountsReceivableValueAvg).toBeUndefined();
+      expect(months[0].workingCapital.dso).toBeCloseTo(annual.workingCapital.dso, 1);
+      expect(months[11].workingCapital.accountsReceivableValue / months[0].workingCapital.accountsReceivableValue).toBeCloseTo(17 / 5, 1);
+      expect(months[11].workingCapital.inventoryValue).toBeGreaterThan(months[0].workingCapital.inventoryValue);
+    });
+
+    it('should require annual periods', () => {
+      expect(() => phaseAnnualPeriods(annualInputs, 'meses', customSettings)).toThrow('períodos anuais');
+    });
+  });
+
+  describe('buildMonthlyView', () => {
+    it('should roll monthly cash and flag the peak funding requirement', () => {
+      const view = buildMonthlyView(annualInputs, 'anos', { ...customSettings, minimumCash: 500000 });
+      const lowest = Math.min(...view.months.map(month => month.closingCash));
+
+      expect(view.periods).toHaveLength(24);
+      expect(view.peak.closingCash).toBe(lowest);
+      expect(view.peak.fundingRequirement).toBeCloseTo(500000 - lowest, 2);
+      expect(view.months[0].label).toBe('Jan/Ano 1');
+      expect(view.months[12].label).toBe('Jan/Ano 2');
+    });
+
+    it('should not charge the first month for the whole working capital', () => {
+      const view = buildMonthlyView(annualInputs, 'anos', getDefaultSeasonalitySettings());
+      const firstMonthWorkingCapital = view.periods[0].workingCapital.workingCapitalValue;
+
+      // Flat profile: balances are stable, so the first month does not fund the whole working capital
+      expect(view.months[0].closingCash - 100000).toBeGreaterThan(-firstMonthWorkingCapital / 2);
+    });
+  });
+});
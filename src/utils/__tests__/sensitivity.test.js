@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for the Sensitivity Analysis
+ * Driver changes, two-way data tables and tornado rankings
+ */
+
+import {
+  getDefaultSensitivitySettings,
+  getSensitivityDrivers,
+  applyDriverChange,
+  evaluateMetric,
+  buildDataTable,
+  buildTornado,
+  runSensitivityAnalysis,
+} from '../sensitivity';
+import { processFinancialData } from '../calculations';
+
+describe('Sensitivity Analysis', () => {
+  const inputs = [
+    { revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, openingCash: 50000 },
+    { revenue: 1100000, grossMarginPercentage: 40, operatingExpenses: 220000, depreciationAndAmortisation: 10000 },
+  ];
+
+  describe('getSensitivityDrivers', () => {
+    it('should list fieldDefinitions drivers without overrides', () => {
+      const keys = getSensitivityDrivers().map(driver => driver.key);
+
+      expect(keys).toContain('revenue');
+      expect(keys).toContain('grossMarginPercentage');
+      expect(keys.some(key => key.startsWith('override_'))).toBe(false);
+      expect(getSensitivityDrivers()[0]).toEqual({ key: 'revenue', label: 'Receita Líquida' });
+    });
+  });
+
+  describe('applyDriverChange', () => {
+    it('should scale the driver in every period where it is provided', () => {
+      const changed = applyDriverChange(inputs, 'revenue', 10);
+
+      expect(changed.map(period => period.revenue)).toEqual([1100000, 1210000]);
+      expect(inputs[0].revenue).toBe(1000000);
+    });
+
+    it('should also scale the engine field of renamed drivers', () => {
+      const changed = applyDriverChange([{ depreciationAndAmortisation: 100, depreciation: 100 }, {}], 'depreciationAndAmortisation', -50);
+
+      expect(changed[0]).toEqual({ depreciationAndAmortisation: 50, depreciation: 50 });
+      expect(changed[1]).toEqual({});
+    });
+  });
+
+  describe('evaluateMetric', () => {
+    it('should read the metric from the last period', () => {
+      const processed = processFinancialData(inputs, 'YEARLY');
+      const last = processed[1];
+
+      expect(evaluateMetric(inputs, 'YEARLY', {}, 'ebitda')).toBe(last.incomeStatement.ebitda);
+      expect(evaluateMetric(inputs, 'YEARLY', {}, 'netProfit')).toBe(last.incomeStatement.netIncome);
+      expect(evaluateMetric(inputs, 'YEARLY', {}, 'freeCashFlow')).toBe(last.cashFlow.freeCashFlow);
+      expect(evaluateMetric(inputs, 'YEARLY', {}, 'closingCash')).toBeCloseTo(
+        50000 + processed[0].cashFlow.netCashFlow + last.cashFlow.netCashFlow,
+        2,
+      );
+    });
+
+    it('should evaluate the last forecast period when projecting', () => {
+      const withForecast = evaluateMetric(inputs, 'YEARLY', { projection: { forecastPeriods: 2 } }, 'ebitda');
+
+      expect(withForecast).toBeGreaterThan(evaluateMetric(inputs, 'YEARLY', {}, 'ebitda'));
+    });
+
+    it('should reject unknown metrics', () => {
+      expect(() => evaluateMetric(inputs, 'YEARLY', {}, 'unknown')).toThrow('Métrica de sensibilidade não suportada');
+      expect(evaluateMetric([], 'YEARLY', {}, 'ebitda')).toBe(0);
+    });
+  });
+
+  describe('buildDataTable', () => {
+    it('should compute the metric for every row and column change', () => {
+      const table = buildDataTable(inputs, 'YEARLY', {
+        sensitivity: { metric: 'ebitda', rowDriver: 'revenue', columnDriver: 'operatingExpenses', steps: [-10, 0, 10] },
+      });
+
+      expect(table.values).toHaveLength(3);
+      expect(table.values[1][1]).toBe(table.baseValue);
+      // Revenue +10% at 40% margin adds 44,000 of EBITDA; opex +10% removes 22,000
+      expect(table.values[2][1] - table.baseValue).toBeCloseTo(44000, 0);
+      expect(table.values[1][2] - table.baseValue).toBeCloseTo(-22000, 0);
+      expect(table.values[2][2] - table.baseValue).toBeCloseTo(22000, 0);
+    });
+
+    it('should fall back to the default settings', () => {
+      const table = buildDataTable(inputs, 'YEARLY');
+      const defaults = getDefaultSensitivitySettings();
+
+      expect(table).toMatchObject({ metric: defaults.metric, rowDriver: defaults.rowDriver, steps: defaults.steps });
+      expect(table.values).toHaveLength(defaults.steps.length);
+    });
+  });
+
+  describe('buildTornado', () => {
+    it('should rank drivers by the swing of the metric', () => {
+      const tornado = buildTornado(inputs, 'YEARLY', {
+        sensitivity: { metric: 'ebitda', rangePercent: 10, drivers: ['operatingExpenses', 'revenue', 'inventoryValueAvg'] },
+      });
+
+      expect(tornado.bars.map(bar => bar.driver)).toEqual(['revenue', 'operatingExpenses', 'inventoryValueAvg']);
+      expect(tornado.bars[0]).toMatchObject({ label: 'Receita Líquida', lowDelta: -44000, highDelta: 44000, swing: 88000 });
+      expect(tornado.bars[1].highDelta).toBe(-22000);
+      expect(tornado.bars[2].swing).toBe(0);
+    });
+
+    it('should cover every sensitivity driver by default', () => {
+      const tornado = buildTornado(inputs, 'YEARLY', { sensitivity: { metric: 'netProfit' } });
+
+      expect(tornado.bars).toHaveLength(getSensitivityDrivers().length);
+      expect(tornado.rangePercent).toBe(10);
+    });
+  });
+
+  describe('runSensitivityAnalysis', () => {
+    it('should return the data table and the tornado', () => {
+      const result = runSensitivityAnalysis(inputs, 'YEARLY', {
+        sensitivity: { metric: 'ebitda', steps: [0], drivers: ['revenue'] },
+      });
+
+      expect(result.dataTable.values).toEqual([[result.dataTable.baseValue]]);
+      expect(result.tornado.bars).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for Brazilian Tax Regimes
+ * Lucro Presumido presumption, Simples Nacional brackets and PIS/COFINS modes
+ */
+
+import {
+  TAX_REGIMES,
+  PIS_COFINS_MODES,
+  SIMPLES_NACIONAL_ANNEXES,
+  getDefaultTaxSettings,
+  resolvePisCofinsMode,
+  calculatePisCofins,
+  calculatePresumedProfitTaxes,
+  calculateSimplesNacionalRate,
+} from '../taxRegimes';
+
+describe('Brazilian Tax Regimes', () => {
+  describe('getDefaultTaxSettings', () => {
+    it('should default to Lucro Real with non-cumulative PIS/COFINS on net revenue inputs', () => {
+      expect(getDefaultTaxSettings()).toEqual({
+        regime: TAX_REGIMES.LUCRO_REAL,
+        activity: 'comercio',
+        simplesAnnex: 'I',
+        pisCofinsMode: PIS_COFINS_MODES.NON_CUMULATIVE,
+        grossRevenue: false,
+      });
+    });
+  });
+
+  describe('resolvePisCofinsMode', () => {
+    it('should return null for Simples Nacional (included in the DAS)', () => {
+      expect(resolvePisCofinsMode({ regime: TAX_REGIMES.SIMPLES_NACIONAL })).toBeNull();
+    });
+
+    it('should force cumulative mode for Lucro Presumido', () => {
+      expect(resolvePisCofinsMode({
+        regime: TAX_REGIMES.LUCRO_PRESUMIDO,
+        pisCofinsMode: PIS_COFINS_MODES.NON_CUMULATIVE,
+      })).toBe(PIS_COFINS_MODES.CUMULATIVE);
+    });
+
+    it('should honour the configured mode for Lucro Real', () => {
+      expect(resolvePisCofinsMode({ regime: TAX_REGIMES.LUCRO_REAL }))
+        .toBe(PIS_COFINS_MODES.NON_CUMULATIVE);
+      expect(resolvePisCofinsMode({
+        regime: TAX_REGIMES.LUCRO_REAL,
+        pisCofinsMode: PIS_COFINS_MODES.CUMULATIVE,
+      })).toBe(PIS_COFINS_MODES.CUMULATIVE);
+    });
+  });
+
+  describe('calculatePisCofins', () => {
+    it('should apply 0.65% + 3% on gross revenue in cumulative mode', () => {
+      const result = calculatePisCofins(1000000, 600000, PIS_COFINS_MODES.CUMULATIVE);
+
+      expect(result).toEqual({
+        pis: 6500,
+        cofins: 30000,
+        total: 36500,
+        base: 1000000,
+        mode: PIS_COFINS_MODES.CUMULATIVE,
+      });
+    });
+
+    it('should apply 1.65% + 7.6% net of purchase credits in non-cumulative mode', () => {
+      const result = calculatePisCofins(1000000, 600000, PIS_COFINS_MODES.NON_CUMULATIVE);
+
+      expect(result.base).toBe(400000);
+      expect(result.pis).toBe(6600);
+      expect(result.cofins).toBe(30400);
+      expect(result.total).toBe(37000);
+    });
+
+    it('should never produce a negative base', () => {
+      expect(calculatePisCofins(100000, 150000, PIS_COFINS_MODES.NON_CUMULATIVE).total).toBe(0);
+      expect(calculatePisCofins(null, -500, PIS_COFINS_MODES.NON_CUMULATIVE).total).toBe(0);
+      expect(calculatePisCofins(100000, undefined, PIS_COFINS_MODES.NON_CUMULATIVE).base).toBe(100000);
+    });
+
+    it('should fall back to cumulative rates for an unknown mode', () => {
+      expect(calculatePisCofins(1000000, 600000, 'unknown').total).toBe(36500);
+    });
+  });
+
+  describe('calculatePresumedProfitTaxes', () => {
+    it('should apply 8% / 12% presumption for commerce', () => {
+      const result = calculatePresumedProfitTaxes(1000000, 'comercio', 12);
+
+      expect(result).toEqual({
+        irpj: 12000,
+        irpjBase: 12000,
+        irpjSurtax: 0,
+        csll: 10800,
+        total: 22800,
+        irpjPresumedBase: 80000,
+        csllPresumedBase: 120000,
+      });
+    });
+
+    it('should apply 32% presumption and the quarterly surtax threshold for services', () => {
+      const result = calculatePresumedProfitTaxes(1000000, 'servicos', 3);
+
+      // Presumed base 320,000; surtax on the excess over 60,000 (3 × 20,000)
+      expect(result.irpjBase).toBe(48000);
+      expect(result.irpjSurtax).toBe(26000);
+      expect(result.irpj).toBe(74000);
+      expect(result.csll).toBe(28800);
+      expect(result.total).toBe(102800);
+    });
+
+    it('should fall back to commerce rates for an unknown activity and ignore negative revenue', () => {
+      expect(calculatePresumedProfitTaxes(1000000, 'unknown').total).toBe(22800);
+      expect(calculatePresumedProfitTaxes(-1000).total).toBe(0);
+      expect(calculatePresumedProfitTaxes(undefined, 'servicos').total).toBe(0);
+    });
+  });
+
+  describe('calculateSimplesNacionalRate', () => {
+    it('should compute the effective rate from the RBT12 bracket', () => {
+      const result = calculateSimplesNacionalRate(500000, 'I');
+
+      // (500,000 × 9.5% − 13,860) / 500,000
+      expect(result).toEqual({
+        bracket: 3,
+        nominalRate: 0.095,
+        deduction: 13860,
+        effectiveRate: 0.06728,
+        exceedsLimit: false,
+      });
+    });
+
+    it('should use the nominal rate when there is no revenue history', () => {
+      const result = calculateSimplesNacionalRate(0, 'III');
+
+      expect(result.bracket).toBe(1);
+      expect(result.effectiveRate).toBe(0.06);
+    });
+
+    it('should flag revenue above the Simples Nacional limit', () => {
+      const result = calculateSimplesNacionalRate(5000000, 'I');
+
+      expect(result.exceedsLimit).toBe(true);
+      expect(result.bracket).toBe(SIMPLES_NACIONAL_ANNEXES.I.brackets.length);
+      expect(result.effectiveRate).toBe(0.1144);
+    });
+
+    it('should default to Annex I for an unknown annex', () => {
+      expect(calculateSimplesNacionalRate(150000, 'X').effectiveRate).toBe(0.04);
+      expect(calculateSimplesNacionalRate(150000).effectiveRate).toBe(0.04);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for the DCF Valuation
+ * WACC build-up, FCFF, terminal value and the equity bridge
+ */
+
+import {
+  TERMINAL_VALUE_METHODS,
+  buildWacc,
+  calculateFcff,
+  calculateTerminalValue,
+  getDefaultValuationSettings,
+  valueCompany,
+} from '../valuation';
+
+describe('DCF Valuation', () => {
+  const inputs = [
+    {
+      revenue: 1000000, grossMarginPercentage: 40, operatingExpenses: 200000, depreciation: 20000,
+      capex: 30000, openingCash: 100000, totalBankLoans: 300000,
+    },
+    {
+      revenue: 1100000, grossMarginPercentage: 40, operatingExpenses: 220000, depreciation: 22000,
+      capex: 33000, totalBankLoans: 250000,
+    },
+  ];
+
+  describe('buildWacc', () => {
+    it('should combine CAPM with country risk and after-tax cost of debt', () => {
+      const wacc = buildWacc({ ...getDefaultValuationSettings(), debtWeight: 40 });
+
+      // Ke = 4.5 + 1 x 5.5 + 2.5 = 12.5; Kd after tax = 14 x 0.66 = 9.24
+      expect(wacc.costOfEquity).toBe(12.5);
+      expect(wacc.costOfDebtAfterTax).toBe(9.24);
+      expect(wacc.wacc).toBeCloseTo(0.6 * 12.5 + 0.4 * 9.24, 4);
+    });
+
+    it('should derive the debt weight from the book capital structure', () => {
+      const settings = getDefaultValuationSettings();
+
+      expect(buildWacc(settings, { debt: 250000, equity: 750000 }).debtWeight).toBe(25);
+      expect(buildWacc(settings, { debt: 250000, equity: -50000 }).debtWeight).toBe(100);
+      expect(buildWacc(settings).debtWeight).toBe(0);
+    });
+  });
+
+  describe('calculateFcff', () => {
+    it('should compute NOPAT plus D&A, working capital change and CAPEX', () => {
+      const fcff = calculateFcff({
+        incomeStatement: { ebit: 100000, depreciation: 10000 },
+        cashFlow: { workingCapitalChange: -5000, capex: 15000 },
+      }, 34);
+
+      expect(fcff).toEqual({ ebit: 100000, nopat: 66000, depreciation: 10000, workingCapitalChange: -5000, capex: 15000, fcff: 56000 });
+    });
+  });
+
+  describe('calculateTerminalValue', () => {
+    it('should support Gordon growth and exit multiple', () => {
+      expect(calculateTerminalValue({ method: TERMINAL_VALUE_METHODS.GORDON, annualFcff: 100, wacc: 12, growth: 2 })).toBeCloseTo(1020, 6);
+      expect(calculateTerminalValue({ method: TERMINAL_VALUE_METHODS.EXIT_MULTIPLE, annualEbitda: 200, exitMultiple: 6 })).toBe(1200);
+    });
+
+    it('should reject a growth rate at or above WACC', () => {
+      expect(() => calculateTerminalValue({ method: TERMINAL_VALUE_METHODS.GORDON, annualFcff: 100, wacc: 5, growth: 5 }))
+        .toThrow('WACC deve ser maior');
+    });
+  });
+
+  describe('valueCompany', () => {
+    it('should discount the forecast FCFF and bridge to equity value', () => {
+      const result = valueCompany(inputs, 'YEARLY', { valuation: { forecastPeriods: 3, debtWeight: 30 } });
+      const { bridge, forecast, terminalValue } = result;
+
+      expect(forecast).toHaveLength(3);
+      expect(forecast[0].periodIndex).toBe(2);
+      expect(forecast[0].discountFactor).toBeCloseTo(1 / (1 + result.wacc.wacc / 100), 4);
+      expect(bridge.presentValueOfFlows).toBeCloseTo(forecast.reduce((sum, row) => sum + row.presentValue, 0), 0);
+      expect(bridge.enterpriseValue).toBeCloseTo(bridge.presentValueOfFlows + bridge.presentValueOfTerminal, 1);
+      expect(bridge.debt).toBe(250000);
+      expect(bridge.equityValue).toBeCloseTo(bridge.enterpriseValue - bridge.debt + bridge.cash, 1);
+      expect(terminalValue.presentValue / terminalValue.value).toBeCloseTo(forecast[2].discountFactor, 4);
+    });
+
+    it('should take the debt from the facility schedule when one is configured', () => {
+      const debtSettings = {
+        facilities: [{
+          id: 'cg', name: 'Capital de Giro', principal: 200000, amortization: 'sac',
+          rateIndex: 'prefixado', spreadPercent: 10, termMonths: 48,
+        }],
+      };
+      const { bridge, wacc } = valueCompany(inputs, 'YEARLY', { debtSettings, valuation: { forecastPeriods: 3 } });
+
+      expect(bridge.debt).toBe(100000);
+      expect(bridge.equityValue).toBeCloseTo(bridge.enterpriseValue - 100000 + bridge.cash, 1);
+      expect(wacc.debtWeight).toBeLessThan(valueCompany(inputs, 'YEARLY', { valuation: { forecastPeriods: 3 } }).wacc.debtWeight);
+    });
+
+    it('should build the WACC x g grid around the base case', () => {
+      const result = valueCompany(inputs, 'YEARLY', { valuation: { forecastPeriods: 3 } });
+      const { grid, bridge } = result;
+
+      expect(grid.variable).toBe('growth');
+      expect(grid.equityValues).toHaveLength(5);
+      expect(grid.equityValues[2][2]).toBeCloseTo(bridge.equityValue, 1);
+      // Higher WACC lowers value; higher growth raises it
+      expect(grid.equityValues[3][2]).toBeLessThan(grid.equityValues[2][2]);
+      expect(grid.equityValues[2][3]).toBeGreaterThan(grid.equityValues[2][2]);
+    });
+
+    it('should vary the exit multiple when valuing by multiple', () => {
+      const result = valueCompany(inputs, 'YEARLY', {
+        valuation: { forecastPeriods: 2, terminalMethod: TERMINAL_VALUE_METHODS.EXIT_MULTIPLE, exitMultiple: 5 },
+      });
+
+      expect(result.grid.variable).toBe('exitMultiple');
+      expect(result.grid.columnValues).toEqual([3, 4, 5, 6, 7]);
+      expect(result.terminalValue.value).toBeCloseTo(result.forecast[1].ebitda * 5, 1);
+    });
+
+    it('should annualize flows for shorter periods', () => {
+      const quarterly = valueCompany(inputs, 'QUARTERLY', { valuation: { forecastPeriods: 4, debtWeight: 0 } });
+
+      expect(quarterly.periodsPerYear).toBe(4);
+      expect(quarterly.forecast[3].discountFactor).toBeCloseTo(1 / (1 + quarterly.wacc.wacc / 100), 4);
+    });
+
+    it('should read the app period types', () => {
+      expect(valueCompany(inputs, 'anos', { valuation: { forecastPeriods: 3 } }).periodsPerYear).toBe(1);
+      expect(valueCompany(inputs, 'meses', { valuation: { forecastPeriods: 3 } }).periodsPerYear).toBe(12);
+    });
+
+    it('should require historical and forecast periods', () => {
+      expect(() => valueCompany([], 'YEARLY')).toThrow('períodos históricos');
+      expect(() => valueCompany(inputs, 'YEARLY', { valuation: { forecastPeriods: 0 } })).toThrow('período projetado');
+    });
+  });
+});
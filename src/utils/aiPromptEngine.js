@@ -3,6 +3,7 @@ import { formatCurrency, formatPercentage, formatDays } from './formatters';
 import { PERIOD_TYPES, AI_PROVIDERS } from './constants';
 import { ANALYSIS_TYPES, ANALYSIS_METADATA } from './aiAnalysisTypes';
 import { fieldDefinitions, getFieldKeys } from './fieldDefinitions';
+import { COMPANY_SIZES, QUARTILE_POSITION_LABELS } from './benchmarks';
 
 // --- Helper: Build a detailed summary for AI context ---
 function buildFullFinancialDataSummary(calculatedData, periodTypeLabel, companyName, reportTitle) {
@@ -60,9 +61,56 @@ function buildFullFinancialDataSummary(calculatedData, periodTypeLabel, companyN
   return summary;
 }
 
+// --- Helper: Summarize the computed actual vs budget variances (see utils/budgetVariance.js) ---
+function buildBudgetVarianceSummary(budgetVariance) {
+  if (!budgetVariance?.total?.lines?.length) return '';
+
+  let summary = `VARIAÇÕES CALCULADAS vs ORÇAMENTO (${budgetVariance.comparedPeriods} período(s) comparado(s)):\n`;
+  budgetVariance.total.lines.forEach(line => {
+    const percent = line.variancePercent === null ? 'N/A' : formatPercentage(line.variancePercent);
+    summary += `- ${line.label}: Realizado ${formatCurrency(line.actual)} | Orçado ${formatCurrency(line.budget)} | `;
+    summary += `Variação ${formatCurrency(line.variance)} (${percent}) - ${line.isFavorable ? 'Favorável' : 'Desfavorável'}\n`;
+  });
+
+  const bridge = budgetVariance.revenueBridge;
+  if (bridge) {
+    summary += '\nDECOMPOSIÇÃO DA VARIAÇÃO DE RECEITA:\n';
+    summary += `- Efeito Preço: ${formatCurrency(bridge.priceEffect)}\n`;
+    summary += `- Efeito Volume: ${formatCurrency(bridge.volumeEffect)}\n`;
+    summary += `- Efeito Mix: ${formatCurrency(bridge.mixEffect)}\n`;
+    summary += `- Outros Efeitos (descontos, devoluções, produtos não detalhados): ${formatCurrency(bridge.otherEffect)}\n`;
+  }
+  return summary;
+}
+
+// --- Helper: Summarize the position against industry peers (see utils/benchmarks.js) ---
+function buildBenchmarkSummary(benchmarkComparison) {
+  if (!benchmarkComparison?.metrics?.length) return '';
+
+  const { industryLabel, companySize, metrics, cashRelease } = benchmarkComparison;
+  const formatValue = (value, unit) => {
+    if (value === null || value === undefined) return 'N/A';
+    if (unit === 'days') return formatDays(value);
+    if (unit === 'percent') return formatPercentage(value);
+    return `${value.toFixed(2)}x`;
+  };
+
+  let summary = `\nBENCHMARK SETORIAL (${industryLabel}, porte ${COMPANY_SIZES[companySize] || companySize}, último período):\n`;
+  metrics.forEach(metric => {
+    summary += `- ${metric.label}: Empresa ${formatValue(metric.value, metric.unit)} | 1º Quartil ${formatValue(metric.p25, metric.unit)} | `;
+    summary += `Mediana ${formatValue(metric.median, metric.unit)} | 3º Quartil ${formatValue(metric.p75, metric.unit)}`;
+    summary += ` - ${metric.position ? QUARTILE_POSITION_LABELS[metric.position] : 'sem posição'}\n`;
+  });
+  summary += `Caixa liberado ao levar PMR, PME e PMP à mediana do setor: ${formatCurrency(cashRelease.total)} `;
+  summary += `(PMR ${formatCurrency(cashRelease.receivables)}, PME ${formatCurrency(cashRelease.inventory)}, PMP ${formatCurrency(cashRelease.payables)})\n`;
+  summary += 'Use estes valores calculados pelo sistema ao comparar a empresa com seus pares; não invente outros benchmarks.\n';
+  return summary;
+}
+
 function createRiskAssessmentPrompt(financialDataBundle, providerKey, options) {
-  const { calculatedData, companyInfo } = financialDataBundle;
-  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle);
+  const { calculatedData, companyInfo, benchmarkComparison } = financialDataBundle;
+  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle)
+    + buildBenchmarkSummary(benchmarkComparison);
 
   return `VOCÊ É UM ESPECIALISTA EM GESTÃO DE RISCOS FINANCEIROS com experiência em análise de solvência, liquidez e sustentabilidade empresarial.
 
@@ -150,8 +198,9 @@ Baseie toda análise ESTRITAMENTE nos dados financeiros fornecidos. Quantifique
 }
 
 function createCashFlowAnalysisPrompt(financialDataBundle, providerKey, options) {
-  const { calculatedData, companyInfo } = financialDataBundle;
-  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle);
+  const { calculatedData, companyInfo, benchmarkComparison } = financialDataBundle;
+  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle)
+    + buildBenchmarkSummary(benchmarkComparison);
 
   return `VOCÊ É UM ESPECIALISTA EM FLUXO DE CAIXA E GESTÃO DE TESOURARIA, com foco em diagnóstico e otimização.
 
@@ -249,14 +298,16 @@ Utilize os dados financeiros fornecidos para quantificar todas as suas análises
 }
 
 function createStrategicRecommendationsPrompt(financialDataBundle, providerKey, options) {
-  const { calculatedData, companyInfo } = financialDataBundle;
-  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle);
+  const { calculatedData, companyInfo, benchmarkComparison } = financialDataBundle;
+  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle)
+    + buildBenchmarkSummary(benchmarkComparison);
   return `VOCÊ É UM CONSULTOR DE ESTRATÉGIA EMPRESARIAL SÊNIOR.\n\nEMPRESA: ${companyInfo.name}\nANÁLISE SOLICITADA: Recomendações Estratégicas para ${companyInfo.reportTitle}\nPERÍODOS ANALISADOS: ${calculatedData.length} (${PERIOD_TYPES[companyInfo.periodType]?.label || companyInfo.periodType})\n\nDADOS FINANCEIROS COMPLETOS:\n${financialSummary}\n\nMISSÃO: Forneça de 3 a 5 RECOMENDAÇÕES ESTRATÉGICAS ACIONÁVEIS e de ALTO IMPACTO.\nFOCO: Rentabilidade, Eficiência, Liquidez, Crescimento, Estrutura de Capital, Mitigação de Riscos.\n\nFORMATO DE RESPOSTA (MARKDOWN, EM PORTUGUÊS DO BRASIL):\n## 🎯 RECOMENDAÇÕES ESTRATÉGICAS DE ALTO IMPACTO\n### Recomendação 1: [Título]\n- **Diagnóstico Financeiro Base:** [Problema ou oportunidade suportado por dados]\n- **Ação Estratégica Proposta:** [Descrição clara e detalhada]\n- **Impacto Esperado:** [Quantificação do benefício]\n- **Principais Passos para Implementação:** [Passos resumidos]\n- **Métricas Chave de Sucesso:** [KPIs]\n### Recomendação 2: ...\n...\n\nJustifique cada recomendação com base nos dados fornecidos.`;
 }
 
 function createExecutiveSummaryPrompt(financialDataBundle, providerKey, options) {
-  const { calculatedData, companyInfo } = financialDataBundle;
-  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle);
+  const { calculatedData, companyInfo, benchmarkComparison } = financialDataBundle;
+  const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle)
+    + buildBenchmarkSummary(benchmarkComparison);
 
   return `VOCÊ É UM CONSULTOR FINANCEIRO SÊNIOR COM 20+ ANOS DE EXPERIÊNCIA em análise empresarial e auditoria. Sua especialidade é transformar dados financeiros complexos em insights estratégicos acionáveis para a alta diretoria (C-Level).
 
@@ -357,11 +408,18 @@ function createFinancialDataExtractionPrompt(pdfText, periodTypeLabel, numberOfP
 }
 
 function createVarianceAnalysisPrompt(financialDataBundle, providerKey, options) {
-  const { calculatedData, companyInfo } = financialDataBundle;
-  if (calculatedData.length < 2) {
+  const { calculatedData, companyInfo, budgetVariance } = financialDataBundle;
+  const budgetSummary = buildBudgetVarianceSummary(budgetVariance);
+  if (calculatedData.length < 2 && !budgetSummary) {
     return 'ERRO: Análise de variação requer pelo menos 2 períodos de dados para comparação.';
   }
   const financialSummary = buildFullFinancialDataSummary(calculatedData, companyInfo.periodType, companyInfo.name, companyInfo.reportTitle);
+  const budgetSection = budgetSummary
+    ? `
+${budgetSummary}
+ORÇADO vs REALIZADO: As variações acima já foram calculadas pelo sistema. NÃO as recalcule nem invente valores; explique as causas das variações desfavoráveis mais relevantes, os efeitos preço, volume e mix (quando informados) e as ações corretivas. Inclua a seção "## 🎯 REALIZADO vs ORÇAMENTO" no início da resposta.${calculatedData.length < 2 ? ' Há apenas um período realizado: limite a análise à comparação com o orçamento.' : ''}
+`
+    : '';
 
   return `VOCÊ É UM ANALISTA FINANCEIRO SÊNIOR especializado em análise de variações e identificação de causas raiz de mudanças financeiras.
 
@@ -371,7 +429,7 @@ PERÍODOS ANALISADOS: ${calculatedData.length} (${PERIOD_TYPES[companyInfo.perio
 
 DADOS FINANCEIROS DETALHADOS PARA ANÁLISE (TODOS OS PERÍODOS):
 ${financialSummary}
-
+${budgetSection}
 MISSÃO: Analisar as variações entre o ÚLTIMO período e o PENÚLTIMO período, e também entre o ÚLTIMO período e o PRIMEIRO período. Identificar os direcionadores chave das mudanças, com foco em insights acionáveis.
 
 FRAMEWORK DE ANÁLISE DE VARIAÇÃO:
@@ -0,0 +1,312 @@
+/**
+ * Bank reconciliation of the cash projection
+ * Bank statement transactions (OFX/CNAB) are categorized with payee/memo rules, bucketed
+ * into the report periods and rolled into actual closing balances, which are compared
+ * with the closing cash override or the calculated closing cash of each period. Periods
+ * whose difference exceeds the tolerance are flagged as unexplained.
+ */
+
+import { rollClosingCash } from './monteCarlo';
+import { getWeekStart } from './rollingCashForecast';
+import { getPeriodLabel } from './projections';
+import { getPeriodDays, getPeriodMonths } from './constants';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods of whole months follow the calendar; shorter ones (weeks) run in fixed day steps
+const isCalendarPeriod = (periodType) => Number.isInteger(getPeriodMonths(periodType));
+
+export const BANK_CATEGORIES = [
+  { key: 'receipts', label: 'Recebimentos de Clientes' },
+  { key: 'otherInflows', label: 'Outras Entradas' },
+  { key: 'suppliers', label: 'Fornecedores' },
+  { key: 'payroll', label: 'Folha de Pagamento' },
+  { key: 'taxes', label: 'Impostos e Tributos' },
+  { key: 'debtService', label: 'Serviço da Dívida' },
+  { key: 'otherOutflows', label: 'Outras Saídas' },
+];
+
+// Fallback categories of transactions no rule matches
+export const UNCATEGORIZED_CATEGORIES = ['otherInflows', 'otherOutflows'];
+
+export const RULE_DIRECTIONS = {
+  ANY: 'any',
+  CREDIT: 'credit',
+  DEBIT: 'debit',
+};
+
+/**
+ * Default reconciliation settings with rules for common Brazilian statement descriptions
+ * @returns {object}
+ */
+export const getDefaultBankReconciliationSettings = () => ({
+  rules: [
+    { pattern: 'folha|sal[aá]rio|f[eé]rias|rescis|pr[oó].?labore', category: 'payroll', direction: RULE_DIRECTIONS.DEBIT },
+    { pattern: 'darf|gps|fgts|inss|\\bdas\\b|simples nacional|icms|\\biss\\b|irpj|csll|pis|cofins|tributo|imposto', category: 'taxes', direction: RULE_DIRECTIONS.DEBIT },
+    { pattern: 'juros|empr[eé]stimo|financiamento|amortiza|\\biof\\b|leasing|cdc|bndes', category: 'debtService', direction: RULE_DIRECTIONS.ANY },
+    { pattern: 'fornecedor|boleto|pagto|pagamento|t[ií]tulo', category: 'suppliers', direction: RULE_DIRECTIONS.DEBIT },
+    { pattern: 'liquida[cç][aã]o|cobran[cç]a|recebimento|cliente|venda|pix recebido|ted recebida', category: 'receipts', direction: RULE_DIRECTIONS.CREDIT },
+  ],
+  periodStartDate: '', // First day of period 1; empty = start of the period of the first transaction
+  openingBalance: null, // Bank balance before period 1 when the files carry no balance
+  tolerance: 1,
+});
+
+const toTime = (isoDate) => Date.parse(`${isoDate}T00:00:00Z`);
+const toISODate = (time) => new Date(time).toISOString().slice(0, 10);
+const addDays = (isoDate, days) => toISODate(toTime(isoDate) + days * DAY_MS);
+
+const addMonths = (isoDate, months) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return toISODate(Date.UTC(year, month - 1 + months, day));
+};
+
+/**
+ * Category of a transaction: the first rule whose pattern matches payee or memo
+ * (case-insensitive) and whose direction fits the amount sign
+ * Rules with an invalid pattern are skipped, so a half-typed expression does not break the view.
+ * @param {{amount: number, payee?: string, memo?: string}} transaction
+ * @param {Array<{pattern: string, category: string, direction?: string}>} rules
+ * @returns {string} Category key
+ */
+export const categorizeTransaction = (transaction, rules = []) => {
+  const text = `${transaction.payee || ''} ${transaction.memo || ''}`;
+  const isCredit = transaction.amount >= 0;
+
+  const rule = rules.find(candidate => {
+    if (!candidate.pattern || !candidate.category) return false;
+    if (candidate.direction === RULE_DIRECTIONS.CREDIT && !isCredit) return false;
+    if (candidate.direction === RULE_DIRECTIONS.DEBIT && isCredit) return false;
+    try {
+      return new RegExp(candidate.pattern, 'i').test(text);
+    } catch (e) {
+      return false;
+    }
+  });
+
+  if (rule) return rule.category;
+  return isCredit ? 'otherInflows' : 'otherOutflows';
+};
+
+/**
+ * Merge statements of several files (e.g. monthly OFX plus the collection returns)
+ * Transactions repeated across files (same account, id, date and amount) are kept once;
+ * the latest closing balance and the earliest opening balance are kept.
+ * @param {Array<Object>} statements
+ * @returns {Object} Statement
+ */
+export const mergeBankStatements = (statements) => {
+  const seen = new Set();
+  const transactions = [];
+  statements.forEach(statement => {
+    statement.transactions.forEach(transaction => {
+      const key = `${statement.account}|${transaction.id}|${transaction.date}|${transaction.amount}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      transactions.push(transaction);
+    });
+  });
+
+  const pick = (type, later) => statements
+    .map(statement => statement[type])
+    .filter(Boolean)
+    .reduce((best, balance) => (!best || (later ? balance.date > best.date : balance.date < best.date) ? balance : best), null);
+
+  return {
+    format: statements.length === 1 ? statements[0].format : 'merged',
+    bankCode: statements[0]?.bankCode || '',
+    account: statements[0]?.account || '',
+    transactions: transactions.sort((a, b) => a.date.localeCompare(b.date)),
+    openingBalance: pick('openingBalance', false),
+    closingBalance: pick('closingBalance', true),
+  };
+};
+
+/**
+ * Start of the period that contains a date (calendar year, quarter, month or the week's Monday)
+ * @param {string} periodType
+ * @param {string} isoDate
+ * @returns {string} ISO date
+ */
+export const getPeriodStart = (periodType, isoDate) => {
+  if (!isCalendarPeriod(periodType)) return getWeekStart(isoDate);
+  const [year, month] = isoDate.split('-').map(Number);
+  const months = getPeriodMonths(periodType);
+  const firstMonth = Math.floor((month - 1) / months) * months + 1;
+  return `${year}-${String(firstMonth).padStart(2, '0')}-01`;
+};
+
+/**
+ * Start and end dates of consecutive periods
+ * @param {string} periodType - Key of PERIOD_TYPES
+ * @param {string} periodStartDate - First day of period 1 (ISO)
+ * @param {number} numberOfPeriods
+ * @returns {Array<{startDate: string, endDate: string}>}
+ */
+export const getPeriodBounds = (periodType, periodStartDate, numberOfPeriods) => {
+  const startOf = (index) => (isCalendarPeriod(periodType)
+    ? addMonths(periodStartDate, index * getPeriodMonths(periodType))
+    : addDays(periodStartDate, index * getPeriodDays(periodType)));
+
+  return Array.from({ length: numberOfPeriods }, (_, index) => ({
+    startDate: startOf(index),
+    endDate: addDays(startOf(index + 1), -1),
+  }));
+};
+
+/**
+ * Categorized transactions bucketed into the report periods, with the bank balance at each period end
+ *
+ * The balance is anchored on the statement's closing balance, else its opening balance, else
+ * the opening balance informed in the options, and rolled with the transactions between the
+ * anchor and each period end. Without any balance only the flows are available.
+ *
+ * @param {Object} statement - Parsed (or merged) statement
+ * @param {Array<object>} rules - Categorization rules
+ * @param {{periodType?: string, periodStartDate?: string, numberOfPeriods?: number, openingBalance?: number|null}} [options]
+ * @returns {{
+ *   periods: Array<{startDate: string, endDate: string, inflows: number, outflows: number, net: number, byCategory: Object<string, number>, transactionCount: number, closingBalance: number|null}>,
+ *   transactions: Array<object>,
+ *   balanceSource: 'statement'|'opening'|null,
+ *   outOfRange: number
+ * }}
+ */
+export const aggregateBankTransactions = (statement, rules = [], options = {}) => {
+  const periodType = options.periodType || 'anos';
+  const transactions = statement.transactions
+    .map(transaction => ({ ...transaction, category: categorizeTransaction(transaction, rules) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (transactions.length === 0 && !options.periodStartDate) {
+    return { periods: [], transactions, balanceSource: null, outOfRange: 0 };
+  }
+
+  const periodStartDate = options.periodStartDate || getPeriodStart(periodType, transactions[0].date);
+  const lastDate = transactions.length > 0 ? transactions[transactions.length - 1].date : periodStartDate;
+  let numberOfPeriods = options.numberOfPeriods;
+  if (!numberOfPeriods) {
+    numberOfPeriods = 1;
+    while (getPeriodBounds(periodType, periodStartDate, numberOfPeriods)[numberOfPeriods - 1].endDate < lastDate) {
+      numberOfPeriods++;
+    }
+  }
+  const bounds = getPeriodBounds(periodType, periodStartDate, numberOfPeriods);
+
+  let anchor = null;
+  let balanceSource = null;
+  if (statement.closingBalance) {
+    anchor = statement.closingBalance;
+    balanceSource = 'statement';
+  } else if (statement.openingBalance) {
+    anchor = { date: addDays(statement.openingBalance.date, -1), amount: statement.openingBalance.amount };
+    balanceSource = 'statement';
+  } else if (typeof options.openingBalance === 'number') {
+    anchor = { date: addDays(periodStartDate, -1), amount: options.openingBalance };
+    balanceSource = 'opening';
+  }
+
+  const netUntil = (isoDate) => transactions
+    .filter(transaction => transaction.date <= isoDate)
+    .reduce((sum, transaction) => sum + transaction.amount, 0);
+  const anchorNet = anchor ? netUntil(anchor.date) : 0;
+
+  const periods = bounds.map(({ startDate, endDate }) => {
+    const inPeriod = transactions.filter(transaction => transaction.date >= startDate && transaction.date <= endDate);
+    const byCategory = BANK_CATEGORIES.reduce((totals, category) => ({ ...totals, [category.key]: 0 }), {});
+    let inflows = 0;
+    let outflows = 0;
+    inPeriod.forEach(transaction => {
+      byCategory[transaction.category] = (byCategory[transaction.category] || 0) + transaction.amount;
+      if (transaction.amount >= 0) inflows += transaction.amount;
+      else outflows -= transaction.amount;
+    });
+
+    return {
+      startDate,
+      endDate,
+      inflows: round2(inflows),
+      outflows: round2(outflows),
+      net: round2(inflows - outflows),
+      byCategory: Object.keys(byCategory).reduce((rounded, key) => ({ ...rounded, [key]: round2(byCategory[key]) }), {}),
+      transactionCount: inPeriod.length,
+      closingBalance: anchor ? round2(anchor.amount + netUntil(endDate) - anchorNet) : null,
+    };
+  });
+
+  const outOfRange = transactions.filter(transaction => transaction.date < bounds[0].startDate || transaction.date > bounds[bounds.length - 1].endDate).length;
+
+  return { periods, transactions, balanceSource, outOfRange };
+};
+
+/**
+ * Compare the bank closing balances with the projected closing cash of each period
+ *
+ * The expected closing cash is the period's override_closingCash when informed, else the
+ * calculated closing cash rolled from the opening cash and the net cash flows. A period is
+ * unexplained when the difference exceeds the tolerance; the gap between the bank's net
+ * movement and the model's net cash flow points at where the difference arose.
+ *
+ * @param {Array<Object>} statements - Parsed statements (one or more files)
+ * @param {Array<Object>} calculatedData - Processed periods
+ * @param {Array<Object>} inputData - Period inputs
+ * @param {Object} settings - Reconciliation settings (rules, periodStartDate, openingBalance, tolerance)
+ * @param {string} periodType - Key of PERIOD_TYPES
+ * @returns {Object}
+ */
+export const reconcileBankStatements = (statements, calculatedData, inputData, settings, periodType) => {
+  if (!statements?.length) {
+    throw new Error('Carregue ao menos um extrato bancário (OFX ou CNAB).');
+  }
+  if (!calculatedData?.length) {
+    throw new Error('Gere o relatório antes de conciliar o caixa com o extrato.');
+  }
+
+  const statement = mergeBankStatements(statements);
+  if (statement.transactions.length === 0) {
+    throw new Error('Os extratos carregados não têm lançamentos.');
+  }
+
+  const tolerance = Math.max(0, Number(settings.tolerance) || 0);
+  const aggregation = aggregateBankTransactions(statement, settings.rules, {
+    periodType,
+    periodStartDate: settings.periodStartDate,
+    numberOfPeriods: calculatedData.length,
+    openingBalance: settings.openingBalance,
+  });
+  const calculatedClosingCash = rollClosingCash(calculatedData, inputData[0]?.openingCash || 0);
+
+  const periods = aggregation.periods.map((bankPeriod, index) => {
+    const override = inputData[index]?.override_closingCash;
+    const hasOverride = override !== null && override !== undefined && override !== '' && Number.isFinite(Number(override));
+    const expectedClosingCash = round2(hasOverride ? Number(override) : calculatedClosingCash[index]);
+    const modelNetCashFlow = round2(calculatedData[index]?.cashFlow?.netCashFlow || 0);
+    const hasActivity = bankPeriod.transactionCount > 0;
+    const difference = bankPeriod.closingBalance === null ? null : round2(bankPeriod.closingBalance - expectedClosingCash);
+
+    return {
+      ...bankPeriod,
+      periodIndex: index,
+      label: getPeriodLabel(periodType, index),
+      expectedClosingCash,
+      expectedSource: hasOverride ? 'override' : 'calculated',
+      difference,
+      modelNetCashFlow,
+      flowDifference: hasActivity ? round2(bankPeriod.net - modelNetCashFlow) : null,
+      unexplained: difference !== null && hasActivity && Math.abs(difference) > tolerance,
+    };
+  });
+
+  const inRange = (transaction) => transaction.date >= periods[0].startDate && transaction.date <= periods[periods.length - 1].endDate;
+
+  return {
+    periods,
+    unexplained: periods.filter(period => period.unexplained),
+    uncategorized: aggregation.transactions.filter(transaction => inRange(transaction) && UNCATEGORIZED_CATEGORIES.includes(transaction.category)),
+    balanceSource: aggregation.balanceSource,
+    outOfRange: aggregation.outOfRange,
+    transactionCount: statement.transactions.length,
+    tolerance,
+  };
+};
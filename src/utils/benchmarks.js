@@ -0,0 +1,209 @@
+/**
+ * Industry benchmarks
+ * Positions the company's working capital days, margins and leverage against peer quartiles
+ * by industry and company size, and sizes the cash released by closing the gap to the median
+ */
+
+import defaultBenchmarkLibrary from './industryBenchmarks.json';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const COMPANY_SIZES = {
+  Small: 'Pequena',
+  Medium: 'Média',
+  Large: 'Grande',
+};
+
+/**
+ * Benchmarked metrics; lowerIsBetter drives the quartile position
+ */
+export const BENCHMARK_METRICS = {
+  dso: { label: 'PMR', unit: 'days', lowerIsBetter: true },
+  dio: { label: 'PME', unit: 'days', lowerIsBetter: true },
+  dpo: { label: 'PMP', unit: 'days', lowerIsBetter: false },
+  grossMargin: { label: 'Margem Bruta', unit: 'percent', lowerIsBetter: false },
+  ebitdaMargin: { label: 'Margem EBITDA', unit: 'percent', lowerIsBetter: false },
+  netDebtToEbitda: { label: 'Dívida Líquida / EBITDA', unit: 'multiple', lowerIsBetter: true },
+};
+
+export const QUARTILE_POSITIONS = {
+  TOP: 'top',
+  ABOVE_MEDIAN: 'aboveMedian',
+  BELOW_MEDIAN: 'belowMedian',
+  BOTTOM: 'bottom',
+};
+
+export const QUARTILE_POSITION_LABELS = {
+  [QUARTILE_POSITIONS.TOP]: 'Quartil superior',
+  [QUARTILE_POSITIONS.ABOVE_MEDIAN]: 'Acima da mediana',
+  [QUARTILE_POSITIONS.BELOW_MEDIAN]: 'Abaixo da mediana',
+  [QUARTILE_POSITIONS.BOTTOM]: 'Quartil inferior',
+};
+
+/**
+ * Bundled benchmark library (a copy, safe to edit)
+ * @returns {object} { version, source, industries: { [industry]: { label, sizes: { [size]: { [metric]: { p25, median, p75 } } } } } }
+ */
+export const getDefaultBenchmarkLibrary = () => JSON.parse(JSON.stringify(defaultBenchmarkLibrary));
+
+/**
+ * Validates a benchmark library (e.g. imported by the user)
+ * @param {object} library
+ * @returns {object} The library
+ * @throws {Error} When the structure or the quartiles are invalid
+ */
+export const validateBenchmarkLibrary = (library) => {
+  if (!library || typeof library.industries !== 'object' || Array.isArray(library.industries)) {
+    throw new Error('Arquivo de benchmarks inválido: informe o objeto "industries".');
+  }
+
+  Object.entries(library.industries).forEach(([industry, entry]) => {
+    if (!entry?.sizes || typeof entry.sizes !== 'object') {
+      throw new Error(`Setor "${industry}" sem faixas de porte ("sizes").`);
+    }
+    Object.entries(entry.sizes).forEach(([size, metrics]) => {
+      Object.entries(metrics || {}).forEach(([metric, quartiles]) => {
+        if (!BENCHMARK_METRICS[metric]) {
+          throw new Error(`Indicador não suportado em ${industry}/${size}: ${metric}`);
+        }
+        const { p25, median, p75 } = quartiles || {};
+        if (![p25, median, p75].every(Number.isFinite) || p25 > median || median > p75) {
+          throw new Error(`Quartis inválidos para ${metric} em ${industry}/${size}: informe p25 ≤ mediana ≤ p75.`);
+        }
+      });
+    });
+  });
+
+  return library;
+};
+
+/**
+ * Merges an imported library into the current one; imported industries and sizes replace
+ * the existing ones with the same key
+ * @param {object} library - Current library
+ * @param {object} imported - Validated imported library
+ * @returns {object}
+ */
+export const mergeBenchmarkLibraries = (library, imported) => {
+  const industries = { ...library.industries };
+  Object.entries(imported.industries).forEach(([industry, entry]) => {
+    industries[industry] = {
+      label: entry.label || industries[industry]?.label || industry,
+      sizes: { ...industries[industry]?.sizes, ...entry.sizes },
+    };
+  });
+  return { ...library, source: imported.source || library.source, industries };
+};
+
+/**
+ * Peer quartiles of an industry and company size
+ * @param {object} library
+ * @param {string} industry - ProjectSettings.industry
+ * @param {string} companySize - ProjectSettings.companySize
+ * @returns {object|null} { industry, industryLabel, companySize, metrics } or null when not in the library
+ */
+export const getBenchmark = (library, industry, companySize) => {
+  const metrics = library?.industries?.[industry]?.sizes?.[companySize];
+  if (!metrics) return null;
+  return { industry, industryLabel: library.industries[industry].label || industry, companySize, metrics };
+};
+
+/**
+ * Quartile position of a value (top = best quartile, whatever the metric's direction)
+ * @param {number} value
+ * @param {{p25: number, median: number, p75: number}} quartiles
+ * @param {boolean} lowerIsBetter
+ * @returns {string|null} See QUARTILE_POSITIONS
+ */
+export const getQuartilePosition = (value, { p25, median, p75 }, lowerIsBetter) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const [best, worst] = lowerIsBetter ? [p25, p75] : [p75, p25];
+  const isBetter = (a, b) => (lowerIsBetter ? a <= b : a >= b);
+
+  if (isBetter(value, best)) return QUARTILE_POSITIONS.TOP;
+  if (isBetter(value, median)) return QUARTILE_POSITIONS.ABOVE_MEDIAN;
+  if (isBetter(value, worst)) return QUARTILE_POSITIONS.BELOW_MEDIAN;
+  return QUARTILE_POSITIONS.BOTTOM;
+};
+
+/**
+ * Company figures of a processed period in the benchmark metrics
+ * @param {object} period - processFinancialData period
+ * @returns {Object<string, number|null>}
+ */
+export const getBenchmarkMetricValues = (period) => {
+  const { incomeStatement, workingCapital, balanceSheet } = period;
+  const daysInPeriod = period.daysInPeriod || 365;
+
+  // Net debt/EBITDA from the debt schedule when available, else from the estimated balance sheet
+  let netDebtToEbitda = period.debt?.covenants?.netDebtToEbitda ?? null;
+  if (!period.debt?.covenants) {
+    const netDebt = (balanceSheet?.shortTermDebt || 0) + (balanceSheet?.nonCurrentLiabilities || 0) - (balanceSheet?.cash || 0);
+    const annualizedEbitda = (incomeStatement?.ebitda || 0) * 365 / daysInPeriod;
+    netDebtToEbitda = annualizedEbitda > 0 ? round2(netDebt / annualizedEbitda) : null;
+  }
+
+  return {
+    dso: workingCapital?.dso ?? null,
+    dio: workingCapital?.dio ?? null,
+    dpo: workingCapital?.dpo ?? null,
+    grossMargin: incomeStatement?.grossMarginPercent ?? null,
+    ebitdaMargin: incomeStatement?.ebitdaMargin ?? null,
+    netDebtToEbitda,
+  };
+};
+
+/**
+ * Compares a period with its peers and sizes the cash released by bringing DSO and DIO down
+ * to the median and DPO up to the median (one-off release, at the period's revenue and COGS)
+ *
+ * @param {object} period - processFinancialData period (usually the latest)
+ * @param {object} benchmark - getBenchmark result
+ * @returns {object} { industry, industryLabel, companySize, metrics: [...], cashRelease: { receivables, inventory, payables, total } }
+ */
+export const compareToBenchmark = (period, benchmark) => {
+  const values = getBenchmarkMetricValues(period);
+
+  const metrics = Object.entries(BENCHMARK_METRICS)
+    .filter(([key]) => benchmark.metrics[key])
+    .map(([key, definition]) => {
+      const quartiles = benchmark.metrics[key];
+      const value = values[key];
+      return {
+        key,
+        label: definition.label,
+        unit: definition.unit,
+        lowerIsBetter: definition.lowerIsBetter,
+        value,
+        ...quartiles,
+        gapToMedian: value === null ? null : round2(value - quartiles.median),
+        position: getQuartilePosition(value, quartiles, definition.lowerIsBetter),
+      };
+    });
+
+  const daysInPeriod = period.daysInPeriod || 365;
+  const dailyRevenue = (period.incomeStatement?.revenue || 0) / daysInPeriod;
+  const dailyCogs = (period.incomeStatement?.cogs || 0) / daysInPeriod;
+  const excessDays = (key, sign) => {
+    const median = benchmark.metrics[key]?.median;
+    if (median === undefined || values[key] === null) return 0;
+    return Math.max(0, sign * (values[key] - median));
+  };
+
+  const receivables = round2(excessDays('dso', 1) * dailyRevenue);
+  const inventory = round2(excessDays('dio', 1) * dailyCogs);
+  const payables = round2(excessDays('dpo', -1) * dailyCogs);
+
+  return {
+    industry: benchmark.industry,
+    industryLabel: benchmark.industryLabel,
+    companySize: benchmark.companySize,
+    metrics,
+    cashRelease: {
+      receivables,
+      inventory,
+      payables,
+      total: round2(receivables + inventory + payables),
+    },
+  };
+};
@@ -0,0 +1,202 @@
+/**
+ * Break-even and leverage analysis on the processed P&L
+ * COGS and operating expenses are split into variable and fixed portions (per-field
+ * percentages or a regression across periods); depreciation is always fixed.
+ * Produces break-even revenue, margin of safety and the degrees of operating (DOL),
+ * financial (DFL) and combined leverage per period.
+ */
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const COST_BEHAVIOR_METHODS = {
+  PERCENTAGES: 'percentages',
+  REGRESSION: 'regression',
+};
+
+export const COST_BEHAVIOR_METHOD_LABELS = {
+  [COST_BEHAVIOR_METHODS.PERCENTAGES]: 'Percentual variável por conta',
+  [COST_BEHAVIOR_METHODS.REGRESSION]: 'Regressão entre períodos',
+};
+
+/**
+ * Cost lines classified into fixed and variable portions
+ */
+export const COST_LINES = {
+  cogs: { label: 'Custo dos Produtos Vendidos (CPV)' },
+  operatingExpenses: { label: 'Despesas Operacionais' },
+};
+
+export const MIN_REGRESSION_PERIODS = 3;
+
+/**
+ * Default cost behavior: COGS fully variable, operating expenses mostly fixed
+ * @returns {{method: string, variablePercent: {cogs: number, operatingExpenses: number}}}
+ */
+export const getDefaultCostBehaviorSettings = () => ({
+  method: COST_BEHAVIOR_METHODS.PERCENTAGES,
+  variablePercent: { cogs: 100, operatingExpenses: 20 },
+});
+
+/**
+ * Least-squares fit of a cost line against revenue (cost = fixed + variableRatio × revenue)
+ * @param {number[]} revenues
+ * @param {number[]} costs
+ * @returns {{variableRatio: number, fixedCost: number, rSquared: number}} variableRatio clamped to [0, 1]
+ */
+export const regressCostOnRevenue = (revenues, costs) => {
+  const n = revenues.length;
+  const meanRevenue = revenues.reduce((sum, value) => sum + value, 0) / n;
+  const meanCost = costs.reduce((sum, value) => sum + value, 0) / n;
+
+  let covariance = 0;
+  let revenueVariance = 0;
+  let costVariance = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (revenues[i] - meanRevenue) * (costs[i] - meanCost);
+    revenueVariance += (revenues[i] - meanRevenue) ** 2;
+    costVariance += (costs[i] - meanCost) ** 2;
+  }
+
+  if (revenueVariance === 0) {
+    throw new Error(`A regressão de custos exige ao menos ${MIN_REGRESSION_PERIODS} períodos com receitas diferentes.`);
+  }
+
+  const variableRatio = Math.min(1, Math.max(0, covariance / revenueVariance));
+  const rSquared = costVariance === 0 ? 1 : (covariance ** 2) / (revenueVariance * costVariance);
+
+  return {
+    variableRatio: Math.round(variableRatio * 10000) / 10000,
+    fixedCost: round2(Math.max(0, meanCost - variableRatio * meanRevenue)),
+    rSquared: Math.round(rSquared * 10000) / 10000,
+  };
+};
+
+/**
+ * Variable share of each cost line, from the settings or the regression
+ * @param {Array<object>} periods - processFinancialData output
+ * @param {object} settings - See getDefaultCostBehaviorSettings
+ * @returns {{variableRatios: {cogs: number, operatingExpenses: number}, regression: object|null}}
+ */
+export const getVariableCostRatios = (periods, settings) => {
+  if (settings.method !== COST_BEHAVIOR_METHODS.REGRESSION) {
+    return {
+      variableRatios: Object.keys(COST_LINES).reduce((ratios, line) => ({
+        ...ratios,
+        [line]: Math.min(100, Math.max(0, settings.variablePercent?.[line] ?? 0)) / 100,
+      }), {}),
+      regression: null,
+    };
+  }
+
+  if (periods.length < MIN_REGRESSION_PERIODS) {
+    throw new Error(`A regressão de custos exige ao menos ${MIN_REGRESSION_PERIODS} períodos com receitas diferentes.`);
+  }
+
+  const revenues = periods.map(period => period.incomeStatement.revenue);
+  const regression = Object.keys(COST_LINES).reduce((result, line) => ({
+    ...result,
+    [line]: regressCostOnRevenue(revenues, periods.map(period => period.incomeStatement[line])),
+  }), {});
+
+  return {
+    variableRatios: Object.keys(COST_LINES).reduce((ratios, line) => ({ ...ratios, [line]: regression[line].variableRatio }), {}),
+    regression,
+  };
+};
+
+/**
+ * Break-even and leverage of one period
+ * @param {object} period - processFinancialData period
+ * @param {{cogs: number, operatingExpenses: number}} variableRatios - Variable share of each line (0-1)
+ * @returns {object}
+ */
+export const calculatePeriodBreakEven = (period, variableRatios) => {
+  const { revenue, cogs, operatingExpenses, depreciation, ebit, ebt } = period.incomeStatement;
+  const actualCosts = { cogs, operatingExpenses };
+
+  // Variable portion follows revenue; whatever remains of the actual cost is fixed, so CM - fixed = EBIT
+  const variableCosts = Object.keys(COST_LINES).reduce((costs, line) => ({
+    ...costs,
+    [line]: round2(variableRatios[line] * actualCosts[line]),
+  }), {});
+  variableCosts.total = round2(variableCosts.cogs + variableCosts.operatingExpenses);
+
+  const fixedCosts = {
+    cogs: round2(cogs - variableCosts.cogs),
+    operatingExpenses: round2(operatingExpenses - variableCosts.operatingExpenses),
+    depreciation: depreciation || 0,
+  };
+  fixedCosts.total = round2(fixedCosts.cogs + fixedCosts.operatingExpenses + fixedCosts.depreciation);
+
+  const contributionMargin = round2(revenue - variableCosts.total);
+  const contributionMarginRatio = revenue ? contributionMargin / revenue : 0;
+  const breakEvenRevenue = contributionMarginRatio > 0 ? round2(fixedCosts.total / contributionMarginRatio) : null;
+  const cashBreakEvenRevenue = contributionMarginRatio > 0
+    ? round2((fixedCosts.total - fixedCosts.depreciation) / contributionMarginRatio)
+    : null;
+  const marginOfSafetyValue = breakEvenRevenue === null ? null : round2(revenue - breakEvenRevenue);
+
+  // Leverage degrees are only meaningful with positive operating and pre-tax profit
+  const dol = ebit > 0 ? round2(contributionMargin / ebit) : null;
+  const dfl = ebit > 0 && ebt > 0 ? round2(ebit / ebt) : null;
+
+  return {
+    periodIndex: period.periodIndex,
+    revenue,
+    variableCosts,
+    fixedCosts,
+    contributionMargin,
+    contributionMarginPercent: round2(contributionMarginRatio * 100),
+    ebit,
+    ebt,
+    breakEvenRevenue,
+    cashBreakEvenRevenue,
+    marginOfSafetyValue,
+    marginOfSafetyPercent: marginOfSafetyValue === null || !revenue ? null : round2((marginOfSafetyValue / revenue) * 100),
+    dol,
+    dfl,
+    dcl: dol !== null && dfl !== null ? round2(dol * dfl) : null,
+  };
+};
+
+/**
+ * Break-even analysis of every period
+ * @param {Array<object>} periods - processFinancialData output
+ * @param {object} settings - See getDefaultCostBehaviorSettings
+ * @returns {{method: string, variableRatios: object, regression: object|null, periods: Array<object>}|null} null without periods
+ */
+export const analyzeBreakEven = (periods, settings) => {
+  if (!periods?.length) return null;
+
+  const { variableRatios, regression } = getVariableCostRatios(periods, settings);
+
+  return {
+    method: settings.method,
+    variableRatios,
+    regression,
+    periods: periods.map(period => calculatePeriodBreakEven(period, variableRatios)),
+  };
+};
+
+/**
+ * Cost-volume-profit lines of one period, from zero to beyond the break-even point
+ * @param {object} periodBreakEven - calculatePeriodBreakEven result
+ * @param {number} [points=20] - Number of intervals
+ * @returns {Array<{revenue: number, totalCosts: number, fixedCosts: number, operatingResult: number}>}
+ */
+export const buildCostVolumeProfitSeries = (periodBreakEven, points = 20) => {
+  const { revenue, fixedCosts, variableCosts, breakEvenRevenue } = periodBreakEven;
+  const variableRatio = revenue ? variableCosts.total / revenue : 0;
+  const maxRevenue = Math.max(revenue * 1.5, (breakEvenRevenue || 0) * 1.5) || 1;
+
+  return Array.from({ length: points + 1 }, (_, index) => {
+    const volume = round2((maxRevenue * index) / points);
+    const totalCosts = round2(fixedCosts.total + variableRatio * volume);
+    return {
+      revenue: volume,
+      totalCosts,
+      fixedCosts: fixedCosts.total,
+      operatingResult: round2(volume - totalCosts),
+    };
+  });
+};
@@ -0,0 +1,197 @@
+/**
+ * Actual vs budget variance engine
+ * Absolute and percent variances per statement line with a favorable/unfavorable flag by
+ * line nature, and a price / volume / mix decomposition of the revenue variance when unit
+ * data is provided
+ */
+
+import { processFinancialData } from './calculations';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Line natures: for 'income' lines a value above budget is favorable, for 'expense' lines
+ * a value below budget is favorable
+ */
+export const LINE_NATURES = {
+  INCOME: 'income',
+  EXPENSE: 'expense',
+};
+
+/**
+ * Compared lines
+ * 'flow' lines are summed over the compared periods; 'balance' lines take the last period
+ */
+export const VARIANCE_LINES = [
+  { key: 'revenue', label: 'Receita Líquida', statement: 'incomeStatement', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'cogs', label: 'CMV / CPV', statement: 'incomeStatement', nature: LINE_NATURES.EXPENSE, kind: 'flow' },
+  { key: 'grossProfit', label: 'Lucro Bruto', statement: 'incomeStatement', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'operatingExpenses', label: 'Despesas Operacionais', statement: 'incomeStatement', nature: LINE_NATURES.EXPENSE, kind: 'flow' },
+  { key: 'ebitda', label: 'EBITDA', statement: 'incomeStatement', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'depreciation', label: 'Depreciação e Amortização', statement: 'incomeStatement', nature: LINE_NATURES.EXPENSE, kind: 'flow' },
+  { key: 'ebit', label: 'EBIT', statement: 'incomeStatement', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'netFinancialResult', label: 'Resultado Financeiro', statement: 'incomeStatement', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'taxes', label: 'IR/CSLL', statement: 'incomeStatement', nature: LINE_NATURES.EXPENSE, kind: 'flow' },
+  { key: 'netIncome', label: 'Lucro Líquido', statement: 'incomeStatement', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'operatingCashFlow', label: 'Fluxo de Caixa Operacional', statement: 'cashFlow', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'capex', label: 'CAPEX', statement: 'cashFlow', nature: LINE_NATURES.EXPENSE, kind: 'flow' },
+  { key: 'freeCashFlow', label: 'Fluxo de Caixa Livre', statement: 'cashFlow', nature: LINE_NATURES.INCOME, kind: 'flow' },
+  { key: 'workingCapitalValue', label: 'Capital de Giro', statement: 'workingCapital', nature: LINE_NATURES.EXPENSE, kind: 'balance' },
+  { key: 'cash', label: 'Saldo de Caixa', statement: 'balanceSheet', nature: LINE_NATURES.INCOME, kind: 'balance' },
+];
+
+const lineValue = (period, line) => Number(period?.[line.statement]?.[line.key]) || 0;
+
+/**
+ * Variance of one line
+ * @param {object} line - VARIANCE_LINES entry
+ * @param {number} actual
+ * @param {number} budget
+ * @returns {object} Line with actual, budget, variance (actual - budget), variancePercent
+ *   (over |budget|, null when the budget is zero) and isFavorable
+ */
+export const buildVarianceLine = (line, actual, budget) => {
+  const variance = actual - budget;
+  return {
+    key: line.key,
+    label: line.label,
+    nature: line.nature,
+    actual: round2(actual),
+    budget: round2(budget),
+    variance: round2(variance),
+    variancePercent: budget ? round2((variance / Math.abs(budget)) * 100) : null,
+    isFavorable: line.nature === LINE_NATURES.EXPENSE ? variance <= 0 : variance >= 0,
+  };
+};
+
+/**
+ * Price, volume and mix effects of the revenue variance
+ *
+ * Volume = (total actual units - total budget units) × budget average price
+ * Mix    = Σ (actual units_i - total actual units × budget mix_i) × budget price_i
+ * Price  = Σ (actual price_i - budget price_i) × actual units_i
+ * The three effects add up to the unit-based revenue variance; the difference to the reported
+ * revenue variance (returns, discounts, products left out) is shown as other effects
+ *
+ * @param {Array<{product: string, budgetUnits: number, budgetPrice: number, actualUnits: number, actualPrice: number}>} productMix
+ * @param {number} [reportedVariance] - Revenue variance of the statements
+ * @returns {object|null} null when no product has units
+ */
+export const decomposeRevenueVariance = (productMix, reportedVariance = null) => {
+  const products = (productMix || [])
+    .map(item => ({
+      product: item.product,
+      budgetUnits: Number(item.budgetUnits) || 0,
+      budgetPrice: Number(item.budgetPrice) || 0,
+      actualUnits: Number(item.actualUnits) || 0,
+      actualPrice: Number(item.actualPrice) || 0,
+    }))
+    .filter(item => item.budgetUnits > 0 || item.actualUnits > 0);
+
+  if (products.length === 0) return null;
+
+  const totalBudgetUnits = products.reduce((sum, item) => sum + item.budgetUnits, 0);
+  const totalActualUnits = products.reduce((sum, item) => sum + item.actualUnits, 0);
+  const unitDelta = totalActualUnits - totalBudgetUnits;
+
+  const rows = products.map(item => {
+    const budgetMix = totalBudgetUnits ? item.budgetUnits / totalBudgetUnits : 0;
+    const actualMix = totalActualUnits ? item.actualUnits / totalActualUnits : 0;
+    // Products without budget units have no budget mix: their units at budget price are mix effect
+    return {
+      ...item,
+      budgetRevenue: item.budgetUnits * item.budgetPrice,
+      actualRevenue: item.actualUnits * item.actualPrice,
+      budgetMix: round2(budgetMix * 100),
+      actualMix: round2(actualMix * 100),
+      volumeEffect: unitDelta * budgetMix * item.budgetPrice,
+      mixEffect: (item.actualUnits - totalActualUnits * budgetMix) * item.budgetPrice,
+      priceEffect: (item.actualPrice - item.budgetPrice) * item.actualUnits,
+    };
+  });
+
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  const unitVariance = sum('actualRevenue') - sum('budgetRevenue');
+
+  return {
+    budgetRevenue: round2(sum('budgetRevenue')),
+    actualRevenue: round2(sum('actualRevenue')),
+    priceEffect: round2(sum('priceEffect')),
+    volumeEffect: round2(sum('volumeEffect')),
+    mixEffect: round2(sum('mixEffect')),
+    otherEffect: reportedVariance === null ? 0 : round2(reportedVariance - unitVariance),
+    products: rows.map(row => ({
+      ...row,
+      budgetRevenue: round2(row.budgetRevenue),
+      actualRevenue: round2(row.actualRevenue),
+      volumeEffect: round2(row.volumeEffect),
+      mixEffect: round2(row.mixEffect),
+      priceEffect: round2(row.priceEffect),
+    })),
+  };
+};
+
+/**
+ * Variances between processed actual and budget periods
+ * Periods are matched by position; extra periods on either side are ignored
+ *
+ * @param {Array<object>} actualPeriods - processFinancialData output for the actuals
+ * @param {Array<object>} budgetPeriods - processFinancialData output for the budget
+ * @param {{productMix?: Array<object>}} [options]
+ * @returns {{comparedPeriods: number, periods: Array<object>, total: {lines: Array<object>},
+ *   revenueBridge: object|null}}
+ */
+export const calculateBudgetVariance = (actualPeriods, budgetPeriods, options = {}) => {
+  const comparedPeriods = Math.min(actualPeriods?.length || 0, budgetPeriods?.length || 0);
+  if (comparedPeriods === 0) {
+    throw new Error('Não há períodos realizados e orçados para comparar.');
+  }
+
+  const actual = actualPeriods.slice(0, comparedPeriods);
+  const budget = budgetPeriods.slice(0, comparedPeriods);
+
+  const periods = actual.map((period, index) => ({
+    periodIndex: index,
+    lines: VARIANCE_LINES.map(line => buildVarianceLine(line, lineValue(period, line), lineValue(budget[index], line))),
+  }));
+
+  const aggregate = (periodsToAggregate, line) => (line.kind === 'balance'
+    ? lineValue(periodsToAggregate[periodsToAggregate.length - 1], line)
+    : periodsToAggregate.reduce((sum, period) => sum + lineValue(period, line), 0));
+
+  const totalLines = VARIANCE_LINES.map(line => buildVarianceLine(line, aggregate(actual, line), aggregate(budget, line)));
+  const revenueVariance = totalLines.find(line => line.key === 'revenue').variance;
+
+  return {
+    comparedPeriods,
+    periods,
+    total: { lines: totalLines },
+    revenueBridge: decomposeRevenueVariance(options.productMix, revenueVariance),
+  };
+};
+
+/**
+ * Runs actual and budget inputs through the engine and compares them
+ *
+ * @param {Array<object>} actualInputs - Raw actual period inputs
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} options - Engine options plus
+ *   budget: { periods: raw budget period inputs, productMix }
+ * @returns {object} See calculateBudgetVariance
+ */
+export const compareToBudget = (actualInputs, periodType, options = {}) => {
+  const { budget, ...engineOptions } = options;
+
+  if (!Array.isArray(budget?.periods) || budget.periods.length === 0) {
+    throw new Error('Nenhum orçamento informado para a comparação.');
+  }
+  if (!Array.isArray(actualInputs) || actualInputs.length === 0) {
+    throw new Error('Não há períodos realizados para comparar com o orçamento.');
+  }
+
+  return calculateBudgetVariance(
+    processFinancialData(actualInputs, periodType, engineOptions),
+    processFinancialData(budget.periods, periodType, engineOptions),
+    { productMix: budget.productMix },
+  );
+};
@@ -4,24 +4,29 @@
  * All percentages are stored as decimals (e.g., 40% = 40.0)
  */
 
+import {
+  TAX_REGIMES,
+  resolvePisCofinsMode,
+  calculatePisCofins,
+  calculatePresumedProfitTaxes,
+  calculateSimplesNacionalRate,
+} from './taxRegimes';
+import { buildFixedAssetSchedule } from './fixedAssets';
+import { buildDebtSchedule, evaluateCovenants } from './debtSchedule';
+import { getPeriodDays, getPeriodMonths } from './constants';
+
 // Constants
 const DEFAULT_TAX_RATE = 0.34; // Brazilian corporate tax rate
 const DEFAULT_DEPRECIATION_RATE = 0.02; // 2% of revenue
 const DEFAULT_CAPEX_RATE = 0.05; // 5% of revenue
 const DEFAULT_GROSS_MARGIN = 0.4; // 40% default margin
+const TAX_LOSS_OFFSET_CAP = 0.3; // Losses offset at most 30% of taxable profit
 
 // Default working capital days
 const DEFAULT_DSO = 45;
 const DEFAULT_DIO = 30;
 const DEFAULT_DPO = 60;
 
-// Period days mapping
-const PERIOD_DAYS = {
-  MONTHLY: 30,
-  QUARTERLY: 90,
-  YEARLY: 365,
-};
-
 /**
  * Rounds a number to 2 decimal places
  */
@@ -152,11 +157,133 @@ export const calculateBrazilianTax = (profit, months = 12) => {
   };
 };
 
+/**
+ * Applies the Lucro Real tax loss carryforward (prejuízo fiscal and CSLL negative base)
+ * Losses are carried forward indefinitely but offset at most 30% of the period's
+ * taxable profit (Lei nº 8.981/1995, art. 42; Lei nº 9.065/1995, art. 15)
+ *
+ * @param {number} profit - Taxable profit (EBT) for the period
+ * @param {object} openingBalances - { fiscalLoss, csllNegativeBase } carried from prior periods
+ * @returns {object} Opening/generated/used/closing balances and the compensated taxable profits
+ */
+export const applyTaxLossCarryforward = (profit, openingBalances = {}) => {
+  const openingFiscalLoss = round2(openingBalances.fiscalLoss || 0);
+  const openingCsllNegativeBase = round2(openingBalances.csllNegativeBase || 0);
+
+  const taxableProfit = Math.max(0, profit);
+  const lossGenerated = round2(Math.max(0, -profit));
+  const offsetCap = taxableProfit * TAX_LOSS_OFFSET_CAP;
+
+  const fiscalLossUsed = round2(Math.min(openingFiscalLoss, offsetCap));
+  const csllNegativeBaseUsed = round2(Math.min(openingCsllNegativeBase, offsetCap));
+
+  return {
+    openingFiscalLoss,
+    fiscalLossGenerated: lossGenerated,
+    fiscalLossUsed,
+    closingFiscalLoss: round2(openingFiscalLoss + lossGenerated - fiscalLossUsed),
+    openingCsllNegativeBase,
+    csllNegativeBaseGenerated: lossGenerated,
+    csllNegativeBaseUsed,
+    closingCsllNegativeBase: round2(openingCsllNegativeBase + lossGenerated - csllNegativeBaseUsed),
+    irpjTaxableProfit: round2(taxableProfit - fiscalLossUsed),
+    csllTaxableProfit: round2(taxableProfit - csllNegativeBaseUsed),
+  };
+};
+
+/**
+ * IRPJ and CSLL on profit after loss compensation (bases may differ between the two taxes)
+ */
+const calculateCompensatedProfitTaxes = (carryforward, months) => {
+  const irpjCalculation = calculateBrazilianTax(carryforward.irpjTaxableProfit, months);
+  const { csll } = calculateBrazilianTax(carryforward.csllTaxableProfit, months);
+
+  return {
+    irpj: irpjCalculation.irpj,
+    irpjBase: irpjCalculation.irpjBase,
+    irpjSurtax: irpjCalculation.irpjSurtax,
+    csll,
+    total: round2(irpjCalculation.irpj + csll),
+  };
+};
+
+/**
+ * Calculates taxes levied on revenue for the configured tax regime
+ * PIS/COFINS (cumulative or non-cumulative) for Lucro Real/Presumido,
+ * the unified DAS for Simples Nacional
+ *
+ * @param {object} params - { revenue, cogs, months, rbt12 }
+ * @param {object} taxSettings - { regime, activity, simplesAnnex, pisCofinsMode }
+ * @returns {object} Revenue deductions total and per-tax breakdown
+ */
+export const calculateRevenueTaxes = ({ revenue, cogs, months = 12, rbt12 }, taxSettings) => {
+  if (taxSettings.regime === TAX_REGIMES.SIMPLES_NACIONAL) {
+    // Without revenue history, annualize the current period as RBT12
+    const trailingRevenue = rbt12 !== undefined ? rbt12 : safeDivide(revenue * 12, months);
+    const simples = calculateSimplesNacionalRate(trailingRevenue, taxSettings.simplesAnnex);
+    const das = round2(Math.max(0, revenue) * simples.effectiveRate);
+
+    return {
+      total: das,
+      pis: 0,
+      cofins: 0,
+      das,
+      pisCofinsMode: null,
+      simplesAnnex: taxSettings.simplesAnnex || 'I',
+      simplesBracket: simples.bracket,
+      simplesEffectiveRate: round2(simples.effectiveRate * 100),
+      rbt12: round2(trailingRevenue),
+      exceedsSimplesLimit: simples.exceedsLimit,
+    };
+  }
+
+  const pisCofins = calculatePisCofins(revenue, cogs, resolvePisCofinsMode(taxSettings));
+
+  return {
+    total: pisCofins.total,
+    pis: pisCofins.pis,
+    cofins: pisCofins.cofins,
+    das: 0,
+    pisCofinsMode: pisCofins.mode,
+  };
+};
+
+/**
+ * Calculates IRPJ and CSLL for the configured tax regime
+ * Lucro Real taxes accounting profit, Lucro Presumido taxes presumed revenue bases,
+ * Simples Nacional has them included in the DAS
+ *
+ * @param {object} params - { revenue, ebt, months }
+ * @param {object} taxSettings - { regime, activity }
+ * @returns {object} IRPJ/CSLL breakdown and total
+ */
+export const calculateIncomeTaxesByRegime = ({ revenue, ebt, months = 12 }, taxSettings) => {
+  if (taxSettings.regime === TAX_REGIMES.SIMPLES_NACIONAL) {
+    return { irpj: 0, irpjBase: 0, irpjSurtax: 0, csll: 0, total: 0 };
+  }
+
+  if (taxSettings.regime === TAX_REGIMES.LUCRO_PRESUMIDO) {
+    return calculatePresumedProfitTaxes(revenue, taxSettings.activity, months);
+  }
+
+  return calculateBrazilianTax(ebt, months);
+};
+
 /**
  * Calculates a complete income statement from input data
  * Now includes audit trail tracking
+ *
+ * When options.taxSettings is provided, IRPJ/CSLL follow the configured regime
+ * (Lucro Real, Lucro Presumido or Simples Nacional), and revenue taxes are deducted
+ * when taxSettings.grossRevenue marks the revenue input as gross; otherwise
+ * only Lucro Real IRPJ/CSLL is applied. Under Lucro Real, options.taxLossCarryforward
+ * ({ fiscalLoss, csllNegativeBase }) compensates prior losses before taxing the profit
+ *
+ * @param {object} data - Period input data
+ * @param {object} overrides - Manual overrides (optional)
+ * @param {object} options - { taxSettings, rbt12, periodMonths, taxLossCarryforward } (optional)
  */
-export const calculateIncomeStatement = (data, overrides = null) => {
+export const calculateIncomeStatement = (data, overrides = null, options = {}) => {
   // Track calculation steps for audit trail
   const calculationSteps = [];
 
@@ -191,12 +318,34 @@ export const calculateIncomeStatement = (data, overrides = null) => {
     });
   }
   
+  // Revenue taxes (PIS/COFINS or Simples Nacional DAS) for the configured regime, only when
+  // the revenue input is gross: the 'Receita Líquida' input is already net of them
+  const taxSettings = options.taxSettings || null;
+  const periodMonths = data.periodMonths || options.periodMonths || 12;
+  const revenueTaxes = taxSettings?.grossRevenue
+    ? calculateRevenueTaxes({ revenue, cogs, months: periodMonths, rbt12: options.rbt12 }, taxSettings)
+    : null;
+  const revenueDeductions = revenueTaxes ? revenueTaxes.total : 0;
+  const netRevenue = round2(revenue - revenueDeductions);
+  if (revenueTaxes) {
+    calculationSteps.push({
+      metric: 'revenueDeductions',
+      value: revenueDeductions,
+      formula: taxSettings.regime === TAX_REGIMES.SIMPLES_NACIONAL
+        ? `DAS = revenue * ${revenueTaxes.simplesEffectiveRate}% (RBT12 ${revenueTaxes.rbt12})`
+        : `PIS (${revenueTaxes.pis}) + COFINS (${revenueTaxes.cofins})`,
+      regime: taxSettings.regime,
+    });
+  }
+
   // Gross profit and margin
-  const grossProfit = round2(revenue - cogs);
+  const grossProfit = round2(netRevenue - cogs);
   calculationSteps.push({
     metric: 'grossProfit',
     value: grossProfit,
-    formula: `revenue - cogs = ${revenue} - ${cogs}`,
+    formula: revenueTaxes
+      ? `revenue - revenueDeductions - cogs = ${revenue} - ${revenueDeductions} - ${cogs}`
+      : `revenue - cogs = ${revenue} - ${cogs}`,
   });
 
   const grossMarginPercent = round2(safeDivide(grossProfit, revenue) * 100);
@@ -239,10 +388,11 @@ export const calculateIncomeStatement = (data, overrides = null) => {
 
   const ebitMargin = round2(safeDivide(ebit, revenue) * 100);
 
-  // Financial result
+  // Financial result (FX gains/losses on foreign-currency items are part of it)
   const financialRevenue = round2(data.financialRevenue || 0);
   const financialExpenses = round2(data.financialExpenses || 0);
-  const netFinancialResult = round2(financialRevenue - financialExpenses);
+  const fxGainLoss = round2(data.fxGainLoss || 0);
+  const netFinancialResult = round2(financialRevenue - financialExpenses + fxGainLoss);
 
   // EBT and taxes
   const ebt = round2(ebit + netFinancialResult);
@@ -252,11 +402,36 @@ export const calculateIncomeStatement = (data, overrides = null) => {
     formula: `ebit + netFinancialResult = ${ebit} + ${netFinancialResult}`,
   });
 
+  // Tax loss carryforward only exists under Lucro Real (the default regime)
+  const isLucroReal = !taxSettings || (
+    taxSettings.regime !== TAX_REGIMES.LUCRO_PRESUMIDO &&
+    taxSettings.regime !== TAX_REGIMES.SIMPLES_NACIONAL
+  );
+  const taxLossCarryforward = isLucroReal && options.taxLossCarryforward
+    ? applyTaxLossCarryforward(ebt, options.taxLossCarryforward)
+    : null;
+  if (taxLossCarryforward) {
+    calculationSteps.push({
+      metric: 'taxLossCarryforward',
+      value: taxLossCarryforward.fiscalLossUsed,
+      formula: `min(openingFiscalLoss, 30% * max(ebt, 0)) = min(${taxLossCarryforward.openingFiscalLoss}, 30% * ${Math.max(0, ebt)})`,
+      detail: `Prejuízo fiscal: ${taxLossCarryforward.openingFiscalLoss} inicial + ` +
+        `${taxLossCarryforward.fiscalLossGenerated} gerado - ${taxLossCarryforward.fiscalLossUsed} compensado = ` +
+        `${taxLossCarryforward.closingFiscalLoss}; base negativa CSLL: ${taxLossCarryforward.closingCsllNegativeBase}`,
+    });
+  }
+
   // Calculate Brazilian taxes (IRPJ + CSLL) - default to annual (12 months)
-  const periodMonths = data.periodMonths || 12;
-  const taxCalculation = calculateBrazilianTax(ebt, periodMonths);
+  let taxCalculation;
+  if (taxLossCarryforward) {
+    taxCalculation = calculateCompensatedProfitTaxes(taxLossCarryforward, periodMonths);
+  } else if (taxSettings) {
+    taxCalculation = calculateIncomeTaxesByRegime({ revenue, ebt, months: periodMonths }, taxSettings);
+  } else {
+    taxCalculation = calculateBrazilianTax(ebt, periodMonths);
+  }
   const taxes = taxCalculation.total;
-  const effectiveTaxRate = taxCalculation.effectiveRate;
+  const effectiveTaxRate = ebt > 0 ? round2(safeDivide(taxes, ebt) * 100) : 0;
 
   calculationSteps.push({
     metric: 'taxes',
@@ -290,6 +465,7 @@ export const calculateIncomeStatement = (data, overrides = null) => {
     ebit,
     ebitMargin,
     netFinancialResult,
+    ...(data.fxGainLoss !== undefined && { fxGainLoss }),
     ebt,
     taxes,
     taxBreakdown: {
@@ -297,7 +473,27 @@ export const calculateIncomeStatement = (data, overrides = null) => {
       irpjBase: taxCalculation.irpjBase,
       irpjSurtax: taxCalculation.irpjSurtax,
       csll: taxCalculation.csll,
+      ...(revenueTaxes && {
+        regime: taxSettings.regime,
+        pis: revenueTaxes.pis,
+        cofins: revenueTaxes.cofins,
+        das: revenueTaxes.das,
+        pisCofinsMode: revenueTaxes.pisCofinsMode,
+        simplesAnnex: revenueTaxes.simplesAnnex,
+        simplesBracket: revenueTaxes.simplesBracket,
+        simplesEffectiveRate: revenueTaxes.simplesEffectiveRate,
+        rbt12: revenueTaxes.rbt12,
+        exceedsSimplesLimit: revenueTaxes.exceedsSimplesLimit,
+        irpjPresumedBase: taxCalculation.irpjPresumedBase,
+        csllPresumedBase: taxCalculation.csllPresumedBase,
+      }),
     },
+    ...(revenueTaxes && {
+      taxRegime: taxSettings.regime,
+      revenueDeductions,
+      netRevenue,
+    }),
+    ...(taxLossCarryforward && { taxLossCarryforward }),
     effectiveTaxRate,
     netIncome,
     netMargin,
@@ -385,12 +581,64 @@ export const calculateCashFlow = (currentPeriod, previousPeriod) => {
     investingCashFlow,
     capex,
     freeCashFlow,
+    debtChange,
     financingCashFlow,
     netCashFlow,
     cashConversionRate,
   };
 };
 
+/**
+ * Calculates the direct-method operating cash flow statement
+ * Derived from the same drivers as the indirect DFC and reconciled against it
+ * First period treats the full working capital balances as movements (same as indirect)
+ *
+ * @param {object} currentPeriod - Period with incomeStatement and workingCapital
+ * @param {object} previousPeriod - Previous processed period (optional)
+ * @param {number} indirectOperatingCashFlow - Operating cash flow from calculateCashFlow
+ * @returns {object} Direct cash flow lines and reconciliation difference
+ */
+export const calculateDirectCashFlow = (currentPeriod, previousPeriod, indirectOperatingCashFlow) => {
+  const { incomeStatement } = currentPeriod;
+  const currentWC = currentPeriod.workingCapital || {};
+  const previousWC = previousPeriod?.workingCapital || {};
+
+  const arChange = (currentWC.accountsReceivableValue || 0) - (previousWC.accountsReceivableValue || 0);
+  const inventoryChange = (currentWC.inventoryValue || 0) - (previousWC.inventoryValue || 0);
+  const apChange = (currentWC.accountsPayableValue || 0) - (previousWC.accountsPayableValue || 0);
+
+  // Receipts: sales less the increase in receivables
+  const cashFromCustomers = round2(incomeStatement.revenue - arChange);
+  // Purchases = COGS + inventory build-up; payments = purchases - increase in payables
+  const cashPaidToSuppliers = round2(incomeStatement.cogs + inventoryChange - apChange);
+  const cashPaidForOperatingExpenses = round2(incomeStatement.operatingExpenses);
+  // Income taxes plus revenue taxes (PIS/COFINS or DAS) when a tax regime is configured
+  const taxesPaid = round2(incomeStatement.taxes + (incomeStatement.revenueDeductions || 0));
+  const netInterestReceivedPaid = round2(incomeStatement.netFinancialResult || 0);
+
+  const operatingCashFlow = round2(
+    cashFromCustomers -
+    cashPaidToSuppliers -
+    cashPaidForOperatingExpenses -
+    taxesPaid +
+    netInterestReceivedPaid,
+  );
+
+  // Non-zero only when P&L overrides break the link between drivers and net income
+  const reconciliationDifference = round2(operatingCashFlow - (indirectOperatingCashFlow || 0));
+
+  return {
+    cashFromCustomers,
+    cashPaidToSuppliers,
+    cashPaidForOperatingExpenses,
+    taxesPaid,
+    netInterestReceivedPaid,
+    operatingCashFlow,
+    indirectOperatingCashFlow: round2(indirectOperatingCashFlow || 0),
+    reconciliationDifference,
+  };
+};
+
 /**
  * Calculates working capital metrics
  */
@@ -544,6 +792,7 @@ export const calculateFinancialRatios = (data) => {
 /**
  * Estimates balance sheet components using asset turnover approach
  * Per spec: lines 226-235 from 17_financial_algorithms_pseudocode.md
+ * Net fixed assets come from the asset register roll-forward when data.fixedAssets is given
  */
 export const calculateBalanceSheet = (data) => {
   const { incomeStatement, workingCapital, cashFlow } = data;
@@ -603,7 +852,10 @@ export const calculateBalanceSheet = (data) => {
   // Calculate to balance against total assets when we have actual current assets
   let nonCurrentAssets;
 
-  if (hasWorkingCapitalData) {
+  if (data.fixedAssets) {
+    // Asset register roll-forward: NFA_open + CAPEX - D&A
+    nonCurrentAssets = round2(Math.max(0, data.fixedAssets.closingNetFixedAssets));
+  } else if (hasWorkingCapitalData) {
     // We have actual WC data - calculate non-current to balance
     nonCurrentAssets = round2(Math.max(0, totalAssets - currentAssets));
   } else {
@@ -707,19 +959,123 @@ const validateFinancialData = (data) => {
   }
 };
 
+/**
+ * Trailing-12-month revenue (RBT12) ending at a period
+ * Annualized when fewer than 12 months of history are available
+ */
+const calculateTrailingRevenue = (periods, index, periodMonths) => {
+  const periodsPerYear = Math.max(1, Math.round(12 / periodMonths));
+  const window = periods.slice(Math.max(0, index - periodsPerYear + 1), index + 1);
+  const total = window.reduce((sum, period) => sum + (period.revenue || 0), 0);
+  return round2(safeDivide(total * 12, window.length * periodMonths));
+};
+
+/**
+ * Input CAPEX for a period: per-class amounts, or the engine/field total
+ */
+const getInputCapex = (period) => {
+  if (period.capexByClass) return period.capexByClass;
+  return period.capex ?? period.capitalExpenditures ?? 0;
+};
+
+const getCapexTotal = (capex) => (typeof capex === 'object'
+  ? Object.values(capex).reduce((sum, amount) => sum + (amount || 0), 0)
+  : capex);
+
+/**
+ * Runs the asset register over the input periods
+ * Without a configured opening balance, it is derived from the first period's
+ * reported netFixedAssets (NFA_close - CAPEX + D&A)
+ */
+const buildRegisterSchedule = (rawPeriodData, assetRegister, periodMonths) => {
+  const capexByPeriod = rawPeriodData.map(getInputCapex);
+
+  let openingNetFixedAssets = assetRegister.openingNetFixedAssets;
+  if (openingNetFixedAssets === undefined || openingNetFixedAssets === null) {
+    const firstPeriod = rawPeriodData[0] || {};
+    const reportedDepreciation = firstPeriod.depreciation ?? firstPeriod.depreciationAndAmortisation ?? 0;
+    openingNetFixedAssets = typeof firstPeriod.netFixedAssets === 'number'
+      ? Math.max(0, firstPeriod.netFixedAssets - getCapexTotal(capexByPeriod[0]) + reportedDepreciation)
+      : 0;
+  }
+
+  return buildFixedAssetSchedule(capexByPeriod, {
+    ...assetRegister,
+    periodMonths,
+    openingNetFixedAssets,
+  });
+};
+
 /**
  * Main function to process financial data for multiple periods
+ *
+ * @param {Array} rawPeriodData - Input data per period
+ * @param {string} periodType - Period type (WEEKLY/MONTHLY/QUARTERLY/YEARLY or semanas/meses/trimestres/anos)
+ * @param {object} options - { taxSettings, taxLossCarryforward, assetRegister, debtSettings }
+ *   (optional); taxSettings comes from ProjectSettings.taxRegime, taxLossCarryforward holds
+ *   opening loss balances, assetRegister (see utils/fixedAssets) generates D&A from CAPEX
+ *   vintages and debtSettings (see utils/debtSchedule) generates interest and debt movements
+ *   from loan facilities and evaluates covenants
  */
-export const processFinancialData = (rawPeriodData, periodType) => {
+export const processFinancialData = (rawPeriodData, periodType, options = {}) => {
   // Validate input data
   validateFinancialData(rawPeriodData);
   
-  const daysInPeriod = PERIOD_DAYS[periodType] || 30;
+  const daysInPeriod = getPeriodDays(periodType);
+  const periodMonths = getPeriodMonths(periodType);
+  const taxSettings = options.taxSettings || null;
+  const fixedAssetSchedule = options.assetRegister
+    ? buildRegisterSchedule(rawPeriodData, options.assetRegister, periodMonths)
+    : null;
+  const debtSettings = options.debtSettings?.facilities?.length ? options.debtSettings : null;
+  const debtSchedule = debtSettings
+    ? buildDebtSchedule(debtSettings.facilities, rawPeriodData.length, {
+      periodMonths,
+      indexRates: debtSettings.indexRates,
+    })
+    : null;
   const processedData = [];
+
+  // Running balances of prejuízo fiscal and CSLL negative base
+  let taxLossBalances = {
+    fiscalLoss: options.taxLossCarryforward?.fiscalLoss || 0,
+    csllNegativeBase: options.taxLossCarryforward?.csllNegativeBase || 0,
+  };
   
-  rawPeriodData.forEach((periodData, index) => {
+  rawPeriodData.forEach((rawPeriod, index) => {
+    // Asset register drives D&A and CAPEX when configured
+    const fixedAssetPeriod = fixedAssetSchedule ? fixedAssetSchedule[index] : null;
+    // Debt schedule replaces financial expenses (interest + monetary correction) and debt movements
+    const debtPeriod = debtSchedule ? debtSchedule[index] : null;
+    const periodData = fixedAssetPeriod || debtPeriod
+      ? {
+        ...rawPeriod,
+        ...(fixedAssetPeriod && {
+          depreciation: fixedAssetPeriod.depreciation,
+          capex: fixedAssetPeriod.capex,
+        }),
+        ...(debtPeriod && {
+          financialExpenses: round2(debtPeriod.interestExpense + debtPeriod.monetaryCorrection),
+          debtChange: debtPeriod.changeInDebt,
+        }),
+      }
+      : rawPeriod;
+
     // Calculate income statement
-    const incomeStatement = calculateIncomeStatement(periodData);
+    const incomeStatement = calculateIncomeStatement(periodData, null, {
+      ...(taxSettings && {
+        taxSettings,
+        periodMonths,
+        rbt12: calculateTrailingRevenue(rawPeriodData, index, periodMonths),
+      }),
+      taxLossCarryforward: taxLossBalances,
+    });
+    if (incomeStatement.taxLossCarryforward) {
+      taxLossBalances = {
+        fiscalLoss: incomeStatement.taxLossCarryforward.closingFiscalLoss,
+        csllNegativeBase: incomeStatement.taxLossCarryforward.closingCsllNegativeBase,
+      };
+    }
     
     // Calculate working capital metrics
     const workingCapital = calculateWorkingCapitalMetrics({
@@ -739,12 +1095,18 @@ export const processFinancialData = (rawPeriodData, periodType) => {
     };
     
     const cashFlow = calculateCashFlow(currentPeriodData, previousPeriod);
-    
+    const directCashFlow = calculateDirectCashFlow(
+      currentPeriodData,
+      previousPeriod,
+      cashFlow.operatingCashFlow,
+    );
+
     // Estimate balance sheet
     const balanceSheet = calculateBalanceSheet({
       incomeStatement,
       workingCapital,
       cashFlow,
+      ...(fixedAssetPeriod && { fixedAssets: fixedAssetPeriod }),
     });
     
     // Calculate financial ratios
@@ -781,10 +1143,32 @@ export const processFinancialData = (rawPeriodData, periodType) => {
       daysInPeriod,
       incomeStatement,
       cashFlow,
+      directCashFlow,
       workingCapital,
       balanceSheet,
       ratios,
       trends,
+      ...(fixedAssetPeriod && {
+        fixedAssets: {
+          ...fixedAssetPeriod,
+          reportedNetFixedAssets: rawPeriod.netFixedAssets ?? null,
+          rollForwardDifference: typeof rawPeriod.netFixedAssets === 'number'
+            ? round2(rawPeriod.netFixedAssets - fixedAssetPeriod.closingNetFixedAssets)
+            : null,
+        },
+      }),
+      ...(debtPeriod && {
+        debt: {
+          ...debtPeriod,
+          covenants: evaluateCovenants({
+            closingDebt: debtPeriod.closingDebt,
+            debtService: debtPeriod.debtService,
+            ebitda: incomeStatement.ebitda,
+            cash: balanceSheet.cash,
+            periodMonths,
+          }, debtSettings.covenants),
+        },
+      }),
     });
   });
   
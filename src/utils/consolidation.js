@@ -0,0 +1,316 @@
+/**
+ * Multi-entity consolidation
+ * Runs every entity through the engine, sums the statements line by line, applies the
+ * intercompany elimination entries and carves out the minority (non-controlling) interest;
+ * the result has the same shape as processFinancialData output so every report component
+ * can read it, plus an entity-by-entity bridge
+ */
+
+import { processFinancialData, calculateFinancialRatios } from './calculations';
+import { translateFinancialData } from './currency';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+const safeDivide = (numerator, denominator) => (denominator ? numerator / denominator : 0);
+
+/**
+ * Intercompany elimination entries
+ * - revenueCogs: intercompany sales, removed from revenue and COGS (gross profit unchanged)
+ * - receivablesPayables: intercompany balances, removed from receivables and payables
+ * - loans: intercompany loan balance, removed from the borrower's debt and the lender's assets
+ *   (interest income and expense cancel out in the financial result)
+ * - dividends: dividends paid by a subsidiary to the group, removed from the receiver's financial
+ *   result and the payer's financing outflow
+ */
+export const ELIMINATION_TYPES = {
+  REVENUE_COGS: 'revenueCogs',
+  RECEIVABLES_PAYABLES: 'receivablesPayables',
+  LOANS: 'loans',
+  DIVIDENDS: 'dividends',
+};
+
+export const ELIMINATION_TYPE_LABELS = {
+  [ELIMINATION_TYPES.REVENUE_COGS]: 'Receita / CMV Intercompany',
+  [ELIMINATION_TYPES.RECEIVABLES_PAYABLES]: 'Contas a Receber / a Pagar Intercompany',
+  [ELIMINATION_TYPES.LOANS]: 'Mútuos Intercompany',
+  [ELIMINATION_TYPES.DIVIDENDS]: 'Dividendos Intercompany',
+};
+
+/**
+ * Bridge lines: 'flow' lines come from the income statement or cash flow of the period,
+ * 'balance' lines from the balance sheet
+ */
+export const BRIDGE_LINES = [
+  { key: 'revenue', label: 'Receita Líquida', statement: 'incomeStatement' },
+  { key: 'cogs', label: 'CMV / CPV', statement: 'incomeStatement' },
+  { key: 'ebitda', label: 'EBITDA', statement: 'incomeStatement' },
+  { key: 'netIncome', label: 'Lucro Líquido', statement: 'incomeStatement' },
+  { key: 'operatingCashFlow', label: 'Fluxo de Caixa Operacional', statement: 'cashFlow' },
+  { key: 'financingCashFlow', label: 'Fluxo de Caixa de Financiamento', statement: 'cashFlow' },
+  { key: 'accountsReceivable', label: 'Contas a Receber', statement: 'balanceSheet' },
+  { key: 'accountsPayable', label: 'Contas a Pagar', statement: 'balanceSheet' },
+  { key: 'totalLiabilities', label: 'Passivo Total', statement: 'balanceSheet' },
+  { key: 'equity', label: 'Patrimônio Líquido', statement: 'balanceSheet' },
+];
+
+/**
+ * Maps an entity's inputs to the common chart of lines
+ * Keys mapped to the same common line are summed; unmapped keys pass through
+ * @param {Array<object>} periods - Raw period inputs of the entity
+ * @param {Object<string, string>} [lineMapping] - Entity line key → common line key
+ * @returns {Array<object>}
+ */
+export const mapEntityInputs = (periods, lineMapping = {}) => {
+  if (!lineMapping || Object.keys(lineMapping).length === 0) return periods;
+
+  return periods.map(period => Object.entries(period).reduce((mapped, [key, value]) => {
+    const target = lineMapping[key] || key;
+    if (typeof value === 'number' && typeof mapped[target] === 'number') {
+      mapped[target] += value;
+    } else {
+      mapped[target] = value;
+    }
+    return mapped;
+  }, {}));
+};
+
+/**
+ * Sums the top-level numeric fields of a statement across entities
+ * @param {Array<object>} sections - The same statement of each entity
+ * @returns {object}
+ */
+export const sumStatements = (sections) => sections.reduce((total, section) => {
+  Object.entries(section || {}).forEach(([key, value]) => {
+    if (typeof value === 'number' && isFinite(value)) {
+      total[key] = round2((total[key] || 0) + value);
+    }
+  });
+  return total;
+}, {});
+
+const minorityShare = (entity) => Math.max(0, 100 - (entity.ownershipPercent ?? 100)) / 100;
+
+/**
+ * Elimination totals of one period by type
+ * @param {Array<object>} eliminations - [{ type, periodIndex, amount }]; entries without
+ *   periodIndex apply to every period
+ * @param {number} periodIndex
+ * @returns {Object<string, number>}
+ */
+export const sumEliminations = (eliminations, periodIndex) => (eliminations || [])
+  .filter(entry => entry.periodIndex === undefined || entry.periodIndex === null || entry.periodIndex === periodIndex)
+  .reduce((totals, entry) => ({
+    ...totals,
+    [entry.type]: round2((totals[entry.type] || 0) + (Number(entry.amount) || 0)),
+  }), Object.fromEntries(Object.values(ELIMINATION_TYPES).map(type => [type, 0])));
+
+/**
+ * Consolidates one period
+ * @param {Array<{entity: object, period: object}>} entityPeriods - Processed period of each entity
+ * @param {Object<string, number>} eliminated - See sumEliminations
+ * @param {object|null} previous - Previous consolidated period
+ * @returns {object} Consolidated period (processFinancialData shape)
+ */
+const consolidatePeriod = (entityPeriods, eliminated, previous) => {
+  const pick = (statement) => entityPeriods.map(({ period }) => period[statement]);
+  const { daysInPeriod, periodIndex } = entityPeriods[0].period;
+
+  // Income statement
+  const incomeStatement = sumStatements(pick('incomeStatement'));
+  incomeStatement.revenue = round2(incomeStatement.revenue - eliminated.revenueCogs);
+  incomeStatement.cogs = round2(incomeStatement.cogs - eliminated.revenueCogs);
+  if (incomeStatement.netRevenue !== undefined) {
+    incomeStatement.netRevenue = round2(incomeStatement.netRevenue - eliminated.revenueCogs);
+  }
+  incomeStatement.netFinancialResult = round2(incomeStatement.netFinancialResult - eliminated.dividends);
+  incomeStatement.ebt = round2(incomeStatement.ebt - eliminated.dividends);
+  incomeStatement.netIncome = round2(incomeStatement.netIncome - eliminated.dividends);
+
+  const { revenue, grossProfit, ebitda, ebit, ebt, taxes, netIncome } = incomeStatement;
+  incomeStatement.grossMarginPercent = round2(safeDivide(grossProfit, revenue) * 100);
+  incomeStatement.ebitdaMargin = round2(safeDivide(ebitda, revenue) * 100);
+  incomeStatement.ebitMargin = round2(safeDivide(ebit, revenue) * 100);
+  incomeStatement.effectiveTaxRate = ebt > 0 ? round2(safeDivide(taxes, ebt) * 100) : 0;
+  incomeStatement.netMargin = round2(safeDivide(netIncome, revenue) * 100);
+
+  // Minority interest: non-controlling share of each partly owned entity's profit and equity
+  const minorityInterest = round2(entityPeriods.reduce(
+    (sum, { entity, period }) => sum + minorityShare(entity) * period.incomeStatement.netIncome, 0,
+  ));
+  incomeStatement.minorityInterest = minorityInterest;
+  incomeStatement.netIncomeAttributableToParent = round2(netIncome - minorityInterest);
+
+  // Working capital
+  const workingCapital = sumStatements(pick('workingCapital'));
+  workingCapital.accountsReceivableValue = round2(workingCapital.accountsReceivableValue - eliminated.receivablesPayables);
+  workingCapital.accountsPayableValue = round2(workingCapital.accountsPayableValue - eliminated.receivablesPayables);
+  const { accountsReceivableValue, inventoryValue, accountsPayableValue } = workingCapital;
+  const { cogs } = incomeStatement;
+  workingCapital.dso = round2(safeDivide(accountsReceivableValue, revenue) * daysInPeriod);
+  workingCapital.dio = round2(safeDivide(inventoryValue, cogs) * daysInPeriod);
+  workingCapital.dpo = round2(safeDivide(accountsPayableValue, cogs) * daysInPeriod);
+  workingCapital.cashConversionCycle = round2(workingCapital.dso + workingCapital.dio - workingCapital.dpo);
+  workingCapital.workingCapitalValue = round2(accountsReceivableValue + inventoryValue - accountsPayableValue);
+  workingCapital.workingCapitalPercent = round2(safeDivide(workingCapital.workingCapitalValue, revenue) * 100);
+  workingCapital.arPer100Revenue = round2(safeDivide(accountsReceivableValue, revenue) * 100);
+  workingCapital.inventoryPer100Revenue = round2(safeDivide(inventoryValue, revenue) * 100);
+  workingCapital.apPer100Revenue = round2(safeDivide(accountsPayableValue, cogs) * 100);
+
+  // Cash flow: the dividend leaves the receiver's operating flow and the payer's financing flow
+  const cashFlow = sumStatements(pick('cashFlow'));
+  cashFlow.operatingCashFlow = round2(cashFlow.operatingCashFlow - eliminated.dividends);
+  cashFlow.freeCashFlow = round2(cashFlow.freeCashFlow - eliminated.dividends);
+  cashFlow.financingCashFlow = round2(cashFlow.financingCashFlow + eliminated.dividends);
+  cashFlow.cashConversionRate = round2(safeDivide(cashFlow.operatingCashFlow, netIncome) * 100);
+
+  // Balance sheet
+  const balanceSheet = sumStatements(pick('balanceSheet'));
+  const receivablesPayables = eliminated.receivablesPayables;
+  const loans = eliminated.loans;
+  balanceSheet.accountsReceivable = round2(balanceSheet.accountsReceivable - receivablesPayables);
+  balanceSheet.currentAssets = round2(balanceSheet.currentAssets - receivablesPayables);
+  balanceSheet.nonCurrentAssets = round2(balanceSheet.nonCurrentAssets - loans);
+  balanceSheet.fixedAssetsNet = balanceSheet.nonCurrentAssets;
+  balanceSheet.totalAssets = round2(balanceSheet.totalAssets - receivablesPayables - loans);
+  balanceSheet.accountsPayable = round2(balanceSheet.accountsPayable - receivablesPayables);
+  balanceSheet.currentLiabilities = round2(balanceSheet.currentLiabilities - receivablesPayables);
+  balanceSheet.nonCurrentLiabilities = round2(balanceSheet.nonCurrentLiabilities - loans);
+  balanceSheet.totalLiabilities = round2(balanceSheet.totalLiabilities - receivablesPayables - loans);
+  balanceSheet.totalLiabilitiesEquity = round2(balanceSheet.totalLiabilities + balanceSheet.equity);
+  balanceSheet.balanceCheck = round2(balanceSheet.totalAssets - balanceSheet.totalLiabilitiesEquity);
+  balanceSheet.isBalanced = Math.abs(balanceSheet.balanceCheck) < 0.01;
+  balanceSheet.currentRatio = round2(safeDivide(balanceSheet.currentAssets, balanceSheet.currentLiabilities));
+  balanceSheet.debtToEquity = round2(safeDivide(balanceSheet.totalLiabilities, balanceSheet.equity));
+  delete balanceSheet.assetTurnoverUsed;
+
+  const minorityEquity = round2(entityPeriods.reduce(
+    (sum, { entity, period }) => sum + minorityShare(entity) * period.balanceSheet.equity, 0,
+  ));
+  balanceSheet.minorityInterest = minorityEquity;
+  balanceSheet.equityAttributableToParent = round2(balanceSheet.equity - minorityEquity);
+
+  const directCashFlow = entityPeriods.every(({ period }) => period.directCashFlow)
+    ? sumStatements(pick('directCashFlow'))
+    : null;
+
+  const trends = previous
+    ? {
+      revenueGrowth: round2(safeDivide(revenue - previous.incomeStatement.revenue, previous.incomeStatement.revenue) * 100),
+      marginImprovement: round2(incomeStatement.grossMarginPercent - previous.incomeStatement.grossMarginPercent),
+      profitGrowth: round2(safeDivide(
+        netIncome - previous.incomeStatement.netIncome,
+        Math.abs(previous.incomeStatement.netIncome || 0.01),
+      ) * 100),
+    }
+    : {};
+
+  return {
+    periodIndex,
+    daysInPeriod,
+    incomeStatement,
+    cashFlow,
+    ...(directCashFlow && { directCashFlow }),
+    workingCapital,
+    balanceSheet,
+    ratios: calculateFinancialRatios({ incomeStatement, balanceSheet, cashFlow }),
+    trends,
+    consolidation: {
+      entityCount: entityPeriods.length,
+      eliminations: eliminated,
+      minorityInterest,
+    },
+  };
+};
+
+/**
+ * Entity-by-entity bridge of one period: each entity's line, the eliminations and the
+ * consolidated total (with the minority interest on net income and equity)
+ */
+const buildBridge = (entityPeriods, consolidated) => {
+  const aggregate = sumStatements(entityPeriods.map(({ period }) => Object.fromEntries(
+    BRIDGE_LINES.map(line => [line.key, period[line.statement]?.[line.key] || 0]),
+  )));
+
+  return BRIDGE_LINES.map(line => {
+    const value = consolidated[line.statement][line.key] || 0;
+    const minorityInterest = {
+      netIncome: consolidated.incomeStatement.minorityInterest,
+      equity: consolidated.balanceSheet.minorityInterest,
+    }[line.key];
+
+    return {
+      key: line.key,
+      label: line.label,
+      entities: Object.fromEntries(entityPeriods.map(({ entity, period }) => [
+        entity.id,
+        round2(period[line.statement]?.[line.key] || 0),
+      ])),
+      aggregate: aggregate[line.key] || 0,
+      eliminations: round2(value - (aggregate[line.key] || 0)),
+      consolidated: round2(value),
+      ...(minorityInterest !== undefined && {
+        minorityInterest,
+        attributableToParent: round2(value - minorityInterest),
+      }),
+    };
+  });
+};
+
+/**
+ * Consolidates the entities of a group
+ *
+ * @param {Array<{id: string, name: string, periods: Array<object>, ownershipPercent?: number,
+ *   isParent?: boolean, lineMapping?: object, fxTranslation?: object}>} entities - Entity inputs;
+ *   ownershipPercent is the group's stake (100 = wholly owned); fxTranslation (see getFxTranslation)
+ *   translates an entity reporting in another currency
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} [options] - Engine options plus eliminations: [{ type, periodIndex, amount,
+ *   fromEntityId, toEntityId, description }]
+ * @returns {{periods: Array<object>, entities: Array<object>, bridge: Array<{periodIndex: number, lines: Array<object>}>}}
+ *   periods has the processFinancialData shape
+ */
+export const consolidateEntities = (entities, periodType, options = {}) => {
+  const { eliminations = [], ...engineOptions } = options;
+
+  if (!Array.isArray(entities) || entities.length < 2) {
+    throw new Error('Informe ao menos duas entidades para consolidar.');
+  }
+  const invalidType = eliminations.find(entry => !Object.values(ELIMINATION_TYPES).includes(entry.type));
+  if (invalidType) {
+    throw new Error(`Tipo de eliminação não suportado: ${invalidType.type}`);
+  }
+
+  const processedEntities = entities.map(entity => {
+    if (!Array.isArray(entity.periods) || entity.periods.length === 0) {
+      throw new Error(`A entidade "${entity.name}" não possui períodos.`);
+    }
+    const processed = processFinancialData(mapEntityInputs(entity.periods, entity.lineMapping), periodType, engineOptions);
+    // Foreign subsidiaries are translated to the group's presentation currency before aggregation
+    return {
+      entity,
+      periods: entity.fxTranslation ? translateFinancialData(processed, entity.fxTranslation) : processed,
+    };
+  });
+
+  // Periods are matched by position; only periods reported by every entity are consolidated
+  const periodCount = Math.min(...processedEntities.map(({ periods }) => periods.length));
+  const periods = [];
+  const bridge = [];
+
+  for (let index = 0; index < periodCount; index++) {
+    const entityPeriods = processedEntities.map(({ entity, periods: entityPeriodsList }) => ({
+      entity,
+      period: entityPeriodsList[index],
+    }));
+    const consolidated = consolidatePeriod(entityPeriods, sumEliminations(eliminations, index), periods[index - 1] || null);
+    periods.push(consolidated);
+    bridge.push({ periodIndex: index, lines: buildBridge(entityPeriods, consolidated) });
+  }
+
+  return {
+    periods,
+    entities: entities.map(({ id, name, ownershipPercent = 100, isParent = false }) => ({
+      id, name, ownershipPercent, isParent,
+    })),
+    bridge,
+  };
+};
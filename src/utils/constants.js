@@ -29,12 +29,42 @@ export const HEADER_PATTERNS = [
 ];
 
 export const PERIOD_TYPES = {
-  anos: { label: 'Anos', days: 365.0, shortLabel: 'Ano', pluralLabel: 'Anos' },
-  trimestres: { label: 'Trimestres', days: 91.25, shortLabel: 'Trim.', pluralLabel: 'Trimestres' },
-  meses: { label: 'Meses', days: 30.4167, shortLabel: 'Mês', pluralLabel: 'Meses' },
+  anos: { label: 'Anos', days: 365.0, periodsPerYear: 1, shortLabel: 'Ano', pluralLabel: 'Anos' },
+  trimestres: { label: 'Trimestres', days: 91.25, periodsPerYear: 4, shortLabel: 'Trim.', pluralLabel: 'Trimestres' },
+  meses: { label: 'Meses', days: 30.4167, periodsPerYear: 12, shortLabel: 'Mês', pluralLabel: 'Meses' },
+  semanas: { label: 'Semanas', days: 7, periodsPerYear: 52, shortLabel: 'Sem.', pluralLabel: 'Semanas', maxPeriods: 52 },
+};
+
+// English period keys of the calculation engine API, with its 30/90/365-day convention
+export const ENGINE_PERIOD_TYPES = {
+  WEEKLY: { days: 7, periodsPerYear: 52 },
+  MONTHLY: { days: 30, periodsPerYear: 12 },
+  QUARTERLY: { days: 90, periodsPerYear: 4 },
+  YEARLY: { days: 365, periodsPerYear: 1 },
+};
+
+// UI (anos, meses...) or engine (YEARLY, MONTHLY...) keys; unknown keys count as months
+const resolvePeriodLength = (periodType) => PERIOD_TYPES[periodType]
+  || ENGINE_PERIOD_TYPES[periodType]
+  || ENGINE_PERIOD_TYPES.MONTHLY;
+
+export const getPeriodDays = (periodType) => resolvePeriodLength(periodType).days;
+export const getPeriodsPerYear = (periodType) => resolvePeriodLength(periodType).periodsPerYear;
+export const getPeriodMonths = (periodType) => 12 / getPeriodsPerYear(periodType);
+
+// Functional and presentation currencies (amounts keep the pt-BR number format)
+export const DEFAULT_CURRENCY = 'BRL';
+export const CURRENCIES = {
+  BRL: { code: 'BRL', symbol: 'R$', label: 'Real Brasileiro' },
+  USD: { code: 'USD', symbol: 'US$', label: 'Dólar Americano' },
+  EUR: { code: 'EUR', symbol: '€', label: 'Euro' },
 };
 
 export const MAX_PERIODS = 6;
+export const ROLLING_FORECAST_WEEKS = 13;
+
+// Period types may raise the period limit (weekly treasury forecasts run up to 52 weeks)
+export const getMaxPeriods = (periodType) => PERIOD_TYPES[periodType]?.maxPeriods || MAX_PERIODS;
 export const MIN_PERIODS_MANUAL = 2;
 export const DEFAULT_PERIODS_MANUAL = 3;
 export const DEFAULT_PERIODS_EXCEL = 2;
@@ -46,6 +76,7 @@ export const GENAI_API_KEY = '';
 export const TEMPLATE_TYPES = {
   SMART_ADAPTIVE: 'smart_adaptive',
   BASIC_DRIVERS: 'basic_drivers',
+  CUSTOM_LAYOUT: 'custom_layout', // Client spreadsheet read through a layout profile
   // ADVANCED_DRIVERS_OVERRIDES: 'advanced_drivers_overrides', // Could be another name for SMART
   // COMPLETE_STATEMENTS: 'complete_statements', // For future direct DRE/BS upload
 };
\ No newline at end of file
@@ -0,0 +1,338 @@
+/**
+ * Credit scoring
+ * Configurable scorecard (weighted ratio bands plus qualitative factors) and the built-in
+ * Altman Z''-score for emerging markets, producing an internal rating (AAA–D) and a
+ * suggested credit limit. Every component keeps its source ratio, band and points.
+ */
+
+import { getBenchmarkMetricValues } from './benchmarks';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+const safeDivide = (numerator, denominator) => (denominator ? numerator / denominator : 0);
+
+export const CREDIT_MODELS = {
+  SCORECARD: 'scorecard',
+  ALTMAN_Z: 'altmanZ',
+};
+
+export const CREDIT_MODEL_LABELS = {
+  [CREDIT_MODELS.SCORECARD]: 'Scorecard Ponderado',
+  [CREDIT_MODELS.ALTMAN_Z]: 'Altman Z\'\' (Mercados Emergentes)',
+};
+
+/**
+ * Ratios available to the scorecard and where each comes from in a processed period
+ */
+export const CREDIT_METRICS = {
+  currentRatio: { label: 'Liquidez Corrente', source: 'ratios.currentRatio', format: 'multiple' },
+  quickRatio: { label: 'Liquidez Seca', source: 'ratios.quickRatio', format: 'multiple' },
+  debtToEquity: { label: 'Passivo / PL', source: 'ratios.debtToEquity', format: 'multiple' },
+  netDebtToEbitda: { label: 'Dívida Líquida / EBITDA', source: 'Dívida Líquida / EBITDA anualizado', format: 'multiple' },
+  ebitdaMargin: { label: 'Margem EBITDA', source: 'incomeStatement.ebitdaMargin', format: 'percent' },
+  roa: { label: 'ROA', source: 'ratios.roa', format: 'percent' },
+  roe: { label: 'ROE', source: 'ratios.roe', format: 'percent' },
+};
+
+/**
+ * Default scorecard: ratio bands (first band reached wins) and qualitative factors.
+ * Higher-is-better bands are reached when value ≥ threshold, lower-is-better when value ≤ threshold.
+ * @returns {object}
+ */
+export const getDefaultCreditSettings = () => ({
+  model: CREDIT_MODELS.SCORECARD,
+  quantitative: [
+    {
+      key: 'currentRatio',
+      weight: 15,
+      lowerIsBetter: false,
+      bands: [{ threshold: 2, points: 100 }, { threshold: 1.5, points: 80 }, { threshold: 1.2, points: 60 }, { threshold: 1, points: 40 }, { threshold: 0.8, points: 20 }],
+    },
+    {
+      key: 'debtToEquity',
+      weight: 15,
+      lowerIsBetter: true,
+      bands: [{ threshold: 0.5, points: 100 }, { threshold: 1, points: 80 }, { threshold: 1.5, points: 60 }, { threshold: 2.5, points: 40 }, { threshold: 4, points: 20 }],
+    },
+    {
+      key: 'netDebtToEbitda',
+      weight: 15,
+      lowerIsBetter: true,
+      bands: [{ threshold: 0, points: 100 }, { threshold: 1.5, points: 85 }, { threshold: 2.5, points: 65 }, { threshold: 3.5, points: 40 }, { threshold: 5, points: 20 }],
+    },
+    {
+      key: 'ebitdaMargin',
+      weight: 15,
+      lowerIsBetter: false,
+      bands: [{ threshold: 20, points: 100 }, { threshold: 15, points: 80 }, { threshold: 10, points: 60 }, { threshold: 5, points: 40 }, { threshold: 0, points: 20 }],
+    },
+    {
+      key: 'roa',
+      weight: 10,
+      lowerIsBetter: false,
+      bands: [{ threshold: 10, points: 100 }, { threshold: 6, points: 75 }, { threshold: 3, points: 50 }, { threshold: 0, points: 25 }],
+    },
+  ],
+  qualitative: [
+    {
+      key: 'management',
+      label: 'Qualidade da Gestão',
+      weight: 8,
+      value: 'adequate',
+      options: [{ value: 'strong', label: 'Forte', points: 100 }, { value: 'adequate', label: 'Adequada', points: 60 }, { value: 'weak', label: 'Fraca', points: 20 }],
+    },
+    {
+      key: 'marketPosition',
+      label: 'Posição de Mercado',
+      weight: 7,
+      value: 'competitive',
+      options: [{ value: 'leader', label: 'Líder', points: 100 }, { value: 'competitive', label: 'Competitiva', points: 60 }, { value: 'fragile', label: 'Frágil', points: 20 }],
+    },
+    {
+      key: 'paymentHistory',
+      label: 'Histórico de Pagamentos',
+      weight: 10,
+      value: 'clean',
+      options: [{ value: 'clean', label: 'Sem restrições', points: 100 }, { value: 'occasionalDelays', label: 'Atrasos pontuais', points: 50 }, { value: 'restrictions', label: 'Restrições ativas', points: 0 }],
+    },
+    {
+      key: 'governance',
+      label: 'Governança e Qualidade das Informações',
+      weight: 5,
+      value: 'regular',
+      options: [{ value: 'audited', label: 'Demonstrações auditadas', points: 100 }, { value: 'regular', label: 'Contabilidade regular', points: 60 }, { value: 'informal', label: 'Informal', points: 20 }],
+    },
+  ],
+  // Minimum score of each rating and the credit limit as a % of annualized revenue
+  ratingScale: [
+    { rating: 'AAA', minScore: 90, limitPercentOfRevenue: 20 },
+    { rating: 'AA', minScore: 80, limitPercentOfRevenue: 17.5 },
+    { rating: 'A', minScore: 70, limitPercentOfRevenue: 15 },
+    { rating: 'BBB', minScore: 60, limitPercentOfRevenue: 12.5 },
+    { rating: 'BB', minScore: 50, limitPercentOfRevenue: 10 },
+    { rating: 'B', minScore: 40, limitPercentOfRevenue: 7.5 },
+    { rating: 'CCC', minScore: 30, limitPercentOfRevenue: 5 },
+    { rating: 'CC', minScore: 20, limitPercentOfRevenue: 2.5 },
+    { rating: 'C', minScore: 10, limitPercentOfRevenue: 0 },
+    { rating: 'D', minScore: 0, limitPercentOfRevenue: 0 },
+  ],
+  // Retained earnings for Altman X2; null uses the net income accumulated over the analysed periods
+  retainedEarnings: null,
+});
+
+// Altman (2005) emerging market score → bond rating equivalent
+const ALTMAN_EM_RATINGS = [
+  [8.15, 'AAA'], [7.3, 'AA'], [6.65, 'A'], [5.85, 'BBB'], [4.95, 'BB'], [4.15, 'B'], [2.5, 'CCC'], [1.75, 'CC'], [0, 'C'],
+];
+
+export const ALTMAN_ZONES = {
+  SAFE: 'safe',
+  GREY: 'grey',
+  DISTRESS: 'distress',
+};
+
+export const ALTMAN_ZONE_LABELS = {
+  [ALTMAN_ZONES.SAFE]: 'Zona segura',
+  [ALTMAN_ZONES.GREY]: 'Zona cinzenta',
+  [ALTMAN_ZONES.DISTRESS]: 'Zona de estresse',
+};
+
+/**
+ * Scorecard ratio values of a processed period
+ * @param {object} period - processFinancialData period
+ * @returns {Object<string, number|null>}
+ */
+export const getCreditMetricValues = (period) => ({
+  currentRatio: period.ratios?.currentRatio ?? null,
+  quickRatio: period.ratios?.quickRatio ?? null,
+  debtToEquity: period.ratios?.debtToEquity ?? null,
+  netDebtToEbitda: getBenchmarkMetricValues(period).netDebtToEbitda,
+  ebitdaMargin: period.incomeStatement?.ebitdaMargin ?? null,
+  roa: period.ratios?.roa ?? null,
+  roe: period.ratios?.roe ?? null,
+});
+
+/**
+ * Band reached by a value (bands are tried from the best to the worst)
+ * @param {number|null} value
+ * @param {Array<{threshold: number, points: number}>} bands
+ * @param {boolean} lowerIsBetter
+ * @returns {{threshold: number, points: number}|null} null when no band is reached (0 points)
+ */
+export const findBand = (value, bands, lowerIsBetter) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const ordered = [...bands].sort((a, b) => (lowerIsBetter ? a.threshold - b.threshold : b.threshold - a.threshold));
+  return ordered.find(band => (lowerIsBetter ? value <= band.threshold : value >= band.threshold)) || null;
+};
+
+/**
+ * Rating of a score on the rating scale
+ * @param {number} score - 0 to 100
+ * @param {Array<{rating: string, minScore: number, limitPercentOfRevenue: number}>} ratingScale
+ * @returns {object} Rating scale entry
+ */
+export const getRatingForScore = (score, ratingScale) => {
+  const ordered = [...ratingScale].sort((a, b) => b.minScore - a.minScore);
+  return ordered.find(entry => score >= entry.minScore) || ordered[ordered.length - 1];
+};
+
+/**
+ * Weighted scorecard
+ * @param {object} period - processFinancialData period
+ * @param {object} settings - See getDefaultCreditSettings
+ * @returns {{score: number, components: Array<object>}}
+ */
+export const calculateScorecard = (period, settings) => {
+  const values = getCreditMetricValues(period);
+
+  const quantitative = settings.quantitative.map(component => {
+    const metric = CREDIT_METRICS[component.key];
+    if (!metric) throw new Error(`Indicador de crédito não suportado: ${component.key}`);
+    const value = values[component.key];
+    const band = findBand(value, component.bands, component.lowerIsBetter);
+    const points = band ? band.points : 0;
+    return {
+      type: 'quantitative',
+      key: component.key,
+      label: metric.label,
+      source: metric.source,
+      format: metric.format,
+      value,
+      band: band && { ...band, operator: component.lowerIsBetter ? '≤' : '≥' },
+      points,
+      weight: component.weight,
+    };
+  });
+
+  const qualitative = settings.qualitative.map(factor => {
+    const option = factor.options.find(item => item.value === factor.value);
+    return {
+      type: 'qualitative',
+      key: factor.key,
+      label: factor.label,
+      source: 'Avaliação do analista',
+      value: option?.label ?? null,
+      points: option ? option.points : 0,
+      weight: factor.weight,
+    };
+  });
+
+  const components = [...quantitative, ...qualitative];
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  const withContribution = components.map(component => ({
+    ...component,
+    contribution: round2(safeDivide(component.points * component.weight, totalWeight)),
+  }));
+
+  return {
+    score: round2(withContribution.reduce((sum, component) => sum + component.contribution, 0)),
+    components: withContribution,
+  };
+};
+
+/**
+ * Altman Z''-score for emerging markets:
+ * Z'' = 3.25 + 6.56·X1 + 3.26·X2 + 6.72·X3 + 1.05·X4
+ *
+ * @param {object} period - processFinancialData period
+ * @param {number} retainedEarnings - Retained earnings (X2 numerator)
+ * @returns {object} Score, components (numerator, denominator, ratio, coefficient, contribution), zone and implied rating
+ */
+export const calculateAltmanZScore = (period, retainedEarnings) => {
+  const { balanceSheet, incomeStatement } = period;
+  const totalAssets = balanceSheet.totalAssets;
+
+  const components = [
+    {
+      key: 'x1',
+      label: 'X1 - Capital de giro / Ativo total',
+      numeratorLabel: 'Ativo circulante - Passivo circulante',
+      numerator: round2(balanceSheet.currentAssets - balanceSheet.currentLiabilities),
+      denominator: totalAssets,
+      coefficient: 6.56,
+    },
+    {
+      key: 'x2',
+      label: 'X2 - Lucros retidos / Ativo total',
+      numeratorLabel: 'Lucros retidos',
+      numerator: round2(retainedEarnings),
+      denominator: totalAssets,
+      coefficient: 3.26,
+    },
+    {
+      key: 'x3',
+      label: 'X3 - EBIT / Ativo total',
+      numeratorLabel: 'EBIT',
+      numerator: incomeStatement.ebit,
+      denominator: totalAssets,
+      coefficient: 6.72,
+    },
+    {
+      key: 'x4',
+      label: 'X4 - PL contábil / Passivo total',
+      numeratorLabel: 'Patrimônio líquido',
+      numerator: balanceSheet.equity,
+      denominator: balanceSheet.totalLiabilities,
+      coefficient: 1.05,
+    },
+  ].map(component => {
+    const ratio = Math.round(safeDivide(component.numerator, component.denominator) * 10000) / 10000;
+    return { ...component, ratio, contribution: round2(ratio * component.coefficient) };
+  });
+
+  const zScore = round2(3.25 + components.reduce((sum, component) => sum + component.contribution, 0));
+  let zone = ALTMAN_ZONES.GREY;
+  if (zScore > 5.85) zone = ALTMAN_ZONES.SAFE;
+  else if (zScore < 4.15) zone = ALTMAN_ZONES.DISTRESS;
+
+  const impliedRating = zScore < 0 ? 'D' : ALTMAN_EM_RATINGS.find(([minimum]) => zScore >= minimum)[1];
+
+  return { zScore, constant: 3.25, components, zone, impliedRating };
+};
+
+/**
+ * Credit score, internal rating and suggested credit limit of the latest period
+ *
+ * The selected model drives the rating: the scorecard score maps to the rating scale; for
+ * Altman the implied emerging-market rating is used. The credit limit is the rating's
+ * percentage of annualized revenue.
+ *
+ * @param {Array<object>} periods - processFinancialData output
+ * @param {object} settings - See getDefaultCreditSettings
+ * @returns {object|null} null without periods
+ */
+export const scoreCredit = (periods, settings) => {
+  if (!periods?.length) return null;
+
+  const periodIndex = periods.length - 1;
+  const period = periods[periodIndex];
+  const accumulatedNetIncome = periods.reduce((sum, item) => sum + (item.incomeStatement?.netIncome || 0), 0);
+  const retainedEarnings = typeof settings.retainedEarnings === 'number' ? settings.retainedEarnings : accumulatedNetIncome;
+
+  const scorecard = calculateScorecard(period, settings);
+  const altman = {
+    ...calculateAltmanZScore(period, retainedEarnings),
+    retainedEarningsSource: typeof settings.retainedEarnings === 'number'
+      ? 'Informado pelo analista'
+      : 'Lucro líquido acumulado nos períodos analisados',
+  };
+
+  const ratingEntry = settings.model === CREDIT_MODELS.ALTMAN_Z
+    ? settings.ratingScale.find(entry => entry.rating === altman.impliedRating) || getRatingForScore(0, settings.ratingScale)
+    : getRatingForScore(scorecard.score, settings.ratingScale);
+
+  const annualizedRevenue = round2((period.incomeStatement?.revenue || 0) * 365 / (period.daysInPeriod || 365));
+
+  return {
+    periodIndex,
+    model: settings.model,
+    scorecard,
+    altman,
+    rating: ratingEntry.rating,
+    ratingScale: settings.ratingScale,
+    creditLimit: {
+      annualizedRevenue,
+      limitPercentOfRevenue: ratingEntry.limitPercentOfRevenue,
+      amount: round2(annualizedRevenue * ratingEntry.limitPercentOfRevenue / 100),
+    },
+  };
+};
@@ -0,0 +1,147 @@
+/**
+ * Currencies and FX translation
+ * Translates processed periods from the functional currency to the presentation currency
+ * using the current-rate method: income statement and cash flows at the period average rate,
+ * assets and liabilities at the closing rate, equity at historical rates with the cumulative
+ * translation adjustment (CTA) closing the balance sheet
+ */
+
+import { calculateFinancialRatios } from './calculations';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Key of an FX rate table
+ * @param {string} fromCurrency - Functional currency
+ * @param {string} toCurrency - Presentation currency
+ * @returns {string} e.g. 'USD/BRL'
+ */
+export const getFxPairKey = (fromCurrency, toCurrency) => `${fromCurrency}/${toCurrency}`;
+
+/**
+ * Builds the translation options for a currency pair from the user-maintained rate tables
+ * @param {Object<string, {historicalRate?: number, periods: Array<{averageRate: number, closingRate: number}>}>} fxRates
+ * @param {string} functionalCurrency
+ * @param {string} presentationCurrency
+ * @returns {object|null} null when both currencies are the same (nothing to translate)
+ */
+export const getFxTranslation = (fxRates, functionalCurrency, presentationCurrency) => {
+  if (!functionalCurrency || !presentationCurrency || functionalCurrency === presentationCurrency) return null;
+
+  const table = fxRates?.[getFxPairKey(functionalCurrency, presentationCurrency)] || {};
+  return {
+    functionalCurrency,
+    presentationCurrency,
+    historicalRate: table.historicalRate ?? null,
+    rates: table.periods || [],
+  };
+};
+
+// Statement lines that are ratios, percentages, days or counts (never translated)
+const NON_MONETARY_KEYS = new Set([
+  'grossMarginPercent', 'ebitdaMargin', 'ebitMargin', 'effectiveTaxRate', 'netMargin',
+  'cashConversionRate',
+  'dso', 'dio', 'dpo', 'cashConversionCycle', 'workingCapitalPercent',
+  'arPer100Revenue', 'inventoryPer100Revenue', 'apPer100Revenue',
+  'currentRatio', 'debtToEquity', 'assetTurnoverUsed',
+  'simplesEffectiveRate', 'simplesBracket',
+]);
+
+/**
+ * Multiplies the monetary fields of a statement (nested objects included)
+ * @param {object} section - Statement
+ * @param {number} rate - FX rate or restatement factor
+ * @returns {object}
+ */
+export const scaleStatement = (section, rate) => Object.fromEntries(Object.entries(section).map(([key, value]) => {
+  if (typeof value === 'number' && !NON_MONETARY_KEYS.has(key)) {
+    return [key, round2(value * rate)];
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && key !== 'auditTrail' && key !== 'covenants') {
+    return [key, scaleStatement(value, rate)];
+  }
+  return [key, value];
+}));
+
+/**
+ * Translates processed periods to the presentation currency (current-rate method)
+ *
+ * Equity is carried at historical rates: the opening equity of the first period at the
+ * historical rate and each period's equity movement at its average rate. The gap to the net
+ * assets at the closing rate is the cumulative translation adjustment, shown in equity.
+ * Trends are kept as computed in the functional currency (constant-currency growth).
+ *
+ * @param {Array<object>} periods - processFinancialData output in the functional currency
+ * @param {object} translation - See getFxTranslation
+ * @param {string} translation.functionalCurrency
+ * @param {string} translation.presentationCurrency
+ * @param {Array<{averageRate: number, closingRate: number}>} translation.rates - One entry per period
+ * @param {number|null} [translation.historicalRate] - Rate of the opening equity (defaults to the
+ *   first period's average rate)
+ * @returns {Array<object>} Translated periods, each with an fxTranslation summary
+ */
+export const translateFinancialData = (periods, translation) => {
+  const { functionalCurrency, presentationCurrency, rates = [] } = translation;
+
+  const missing = periods.findIndex((_, index) => !(rates[index]?.averageRate > 0) || !(rates[index]?.closingRate > 0));
+  if (missing !== -1) {
+    throw new Error(
+      `Informe as taxas média e de fechamento ${functionalCurrency}/${presentationCurrency} do período ${missing + 1}.`,
+    );
+  }
+
+  let historicalEquity = null;
+  let previousEquity = null;
+  let previousCta = 0;
+
+  return periods.map((period, index) => {
+    const { averageRate, closingRate } = rates[index];
+    const incomeStatement = scaleStatement(period.incomeStatement, averageRate);
+    const cashFlow = scaleStatement(period.cashFlow, averageRate);
+    const workingCapital = scaleStatement(period.workingCapital, closingRate);
+    const balanceSheet = scaleStatement(period.balanceSheet, closingRate);
+
+    // Equity at historical rates
+    const equity = period.balanceSheet.equity;
+    if (historicalEquity === null) {
+      const openingEquity = equity - period.incomeStatement.netIncome;
+      const historicalRate = translation.historicalRate > 0 ? translation.historicalRate : averageRate;
+      historicalEquity = openingEquity * historicalRate + period.incomeStatement.netIncome * averageRate;
+    } else {
+      historicalEquity += (equity - previousEquity) * averageRate;
+    }
+    previousEquity = equity;
+
+    const netAssets = round2(balanceSheet.totalAssets - balanceSheet.totalLiabilities);
+    const cumulativeTranslationAdjustment = round2(netAssets - historicalEquity);
+    balanceSheet.equityAtHistoricalRates = round2(historicalEquity);
+    balanceSheet.cumulativeTranslationAdjustment = cumulativeTranslationAdjustment;
+    balanceSheet.equity = netAssets;
+    balanceSheet.totalLiabilitiesEquity = round2(balanceSheet.totalLiabilities + netAssets);
+    balanceSheet.balanceCheck = round2(balanceSheet.totalAssets - balanceSheet.totalLiabilitiesEquity);
+    balanceSheet.isBalanced = Math.abs(balanceSheet.balanceCheck) < 0.01;
+
+    const ctaMovement = round2(cumulativeTranslationAdjustment - previousCta);
+    previousCta = cumulativeTranslationAdjustment;
+
+    return {
+      ...period,
+      incomeStatement,
+      cashFlow,
+      ...(period.directCashFlow && { directCashFlow: scaleStatement(period.directCashFlow, averageRate) }),
+      workingCapital,
+      balanceSheet,
+      ratios: calculateFinancialRatios({ incomeStatement, balanceSheet, cashFlow }),
+      // Fixed asset and debt schedules are translated at the closing rate
+      ...(period.fixedAssets && { fixedAssets: scaleStatement(period.fixedAssets, closingRate) }),
+      ...(period.debt && { debt: scaleStatement(period.debt, closingRate) }),
+      fxTranslation: {
+        functionalCurrency,
+        presentationCurrency,
+        averageRate,
+        closingRate,
+        ctaMovement,
+      },
+    };
+  });
+};
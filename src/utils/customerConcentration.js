@@ -0,0 +1,95 @@
+/**
+ * Customer concentration of revenue
+ * Shares of the largest customers, the cumulative share curve and the Herfindahl-Hirschman
+ * index, with a risk flag when a single customer or the top five carry too much of the
+ * revenue (a common covenant and credit-analysis concern).
+ */
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const CONCENTRATION_RISK_LEVELS = {
+  LOW: 'low',
+  MODERATE: 'moderate',
+  HIGH: 'high',
+};
+
+export const CONCENTRATION_RISK_LABELS = {
+  [CONCENTRATION_RISK_LEVELS.LOW]: 'Baixa',
+  [CONCENTRATION_RISK_LEVELS.MODERATE]: 'Moderada',
+  [CONCENTRATION_RISK_LEVELS.HIGH]: 'Alta',
+};
+
+/**
+ * Share thresholds (% of revenue) that raise the risk level
+ */
+export const CONCENTRATION_THRESHOLDS = {
+  top1: { moderate: 10, high: 20 },
+  top5: { moderate: 35, high: 50 },
+  hhi: { moderate: 1500, high: 2500 },
+};
+
+/**
+ * Concentration metrics of revenue by customer
+ * Customers with zero or negative net revenue (returns above sales) are left out.
+ *
+ * @param {Array<{id: string, name: string, revenue: number}>} customers
+ * @param {{topCount?: number}} [options]
+ * @returns {{
+ *   totalRevenue: number,
+ *   customerCount: number,
+ *   topCustomers: Array<{id: string, name: string, revenue: number, share: number, cumulativeShare: number}>,
+ *   top1Share: number,
+ *   top5Share: number,
+ *   top10Share: number,
+ *   hhi: number,
+ *   riskLevel: string,
+ *   riskReasons: string[]
+ * }}
+ */
+export const analyzeCustomerConcentration = (customers, options = {}) => {
+  const topCount = options.topCount || 10;
+  const ranked = (customers || [])
+    .filter(customer => customer.revenue > 0)
+    .sort((a, b) => b.revenue - a.revenue);
+  const totalRevenue = ranked.reduce((sum, customer) => sum + customer.revenue, 0);
+  if (totalRevenue <= 0) {
+    throw new Error('Não há receita por cliente para medir a concentração.');
+  }
+
+  const shares = ranked.map(customer => (customer.revenue / totalRevenue) * 100);
+  const shareOfTop = (count) => round2(shares.slice(0, count).reduce((sum, share) => sum + share, 0));
+
+  let cumulative = 0;
+  const topCustomers = ranked.slice(0, topCount).map((customer, index) => {
+    cumulative += shares[index];
+    return { ...customer, share: round2(shares[index]), cumulativeShare: round2(cumulative) };
+  });
+
+  const top1Share = shareOfTop(1);
+  const top5Share = shareOfTop(5);
+  const hhi = Math.round(shares.reduce((sum, share) => sum + share * share, 0));
+
+  const checks = [
+    { value: top1Share, thresholds: CONCENTRATION_THRESHOLDS.top1, reason: `Maior cliente responde por ${top1Share.toFixed(1)}% da receita` },
+    { value: top5Share, thresholds: CONCENTRATION_THRESHOLDS.top5, reason: `5 maiores clientes respondem por ${top5Share.toFixed(1)}% da receita` },
+    { value: hhi, thresholds: CONCENTRATION_THRESHOLDS.hhi, reason: `Índice HHI de ${hhi}` },
+  ];
+  const highReasons = checks.filter(check => check.value >= check.thresholds.high).map(check => check.reason);
+  const moderateReasons = checks.filter(check => check.value >= check.thresholds.moderate).map(check => check.reason);
+
+  let riskLevel = CONCENTRATION_RISK_LEVELS.LOW;
+  if (highReasons.length > 0) riskLevel = CONCENTRATION_RISK_LEVELS.HIGH;
+  else if (moderateReasons.length > 0) riskLevel = CONCENTRATION_RISK_LEVELS.MODERATE;
+
+  return {
+    totalRevenue: round2(totalRevenue),
+    customerCount: ranked.length,
+    topCustomers,
+    top1Share,
+    top5Share,
+    top10Share: shareOfTop(10),
+    hhi,
+    riskLevel,
+    riskReasons: riskLevel === CONCENTRATION_RISK_LEVELS.HIGH ? highReasons : moderateReasons,
+  };
+};
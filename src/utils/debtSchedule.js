@@ -0,0 +1,269 @@
+/**
+ * Debt facility schedule and covenant evaluation
+ * Generates principal and interest per period for SAC, Price and bullet loans
+ * indexed to CDI + spread, IPCA + spread or a fixed rate, and tests
+ * Net Debt/EBITDA and DSCR covenants against the projected results
+ */
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const AMORTIZATION_TYPES = {
+  SAC: 'sac',
+  PRICE: 'price',
+  BULLET: 'bullet',
+};
+
+export const AMORTIZATION_TYPE_LABELS = {
+  [AMORTIZATION_TYPES.SAC]: 'SAC (Amortização Constante)',
+  [AMORTIZATION_TYPES.PRICE]: 'Price (Parcelas Iguais)',
+  [AMORTIZATION_TYPES.BULLET]: 'Bullet (Principal no Vencimento)',
+};
+
+export const RATE_INDEXES = {
+  FIXED: 'prefixado',
+  CDI: 'cdi',
+  IPCA: 'ipca',
+};
+
+export const RATE_INDEX_LABELS = {
+  [RATE_INDEXES.FIXED]: 'Prefixado',
+  [RATE_INDEXES.CDI]: 'CDI + Spread',
+  [RATE_INDEXES.IPCA]: 'IPCA + Spread',
+};
+
+// Annual index projections in % (e.g., 10.65 = 10.65% a.a.)
+export const DEFAULT_INDEX_RATES = {
+  cdi: 10.65,
+  ipca: 4.5,
+};
+
+export const DEFAULT_COVENANTS = {
+  maxNetDebtToEbitda: 3,
+  minDscr: 1.2,
+};
+
+export const COVENANT_LABELS = {
+  netDebtToEbitda: 'Dívida Líquida / EBITDA',
+  dscr: 'DSCR (EBITDA / Serviço da Dívida)',
+};
+
+/**
+ * Creates a debt facility with default terms
+ * drawdownPeriod is the 0-based period of the disbursement; null means the
+ * loan is already outstanding before the first period (no cash inflow)
+ * @param {object} overrides - Facility fields to override
+ * @returns {object} Debt facility
+ */
+export const createDebtFacility = (overrides = {}) => ({
+  id: `debt_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  name: 'Empréstimo',
+  principal: 0,
+  amortization: AMORTIZATION_TYPES.SAC,
+  rateIndex: RATE_INDEXES.CDI,
+  spreadPercent: 0,
+  termMonths: 36,
+  graceMonths: 0,
+  drawdownPeriod: null,
+  ...overrides,
+});
+
+/**
+ * Default debt settings
+ * @returns {object} Debt settings used by processFinancialData
+ */
+export const getDefaultDebtSettings = () => ({
+  facilities: [],
+  indexRates: { ...DEFAULT_INDEX_RATES },
+  covenants: { ...DEFAULT_COVENANTS },
+});
+
+/**
+ * Converts an annual rate in % to the equivalent compound rate for the period
+ */
+const toPeriodRate = (annualFactor, periodMonths) => Math.pow(annualFactor, periodMonths / 12) - 1;
+
+/**
+ * Index rate for a period: a constant or a per-period curve (last value repeats)
+ */
+const getIndexRate = (rates, periodIndex) => {
+  if (Array.isArray(rates)) {
+    if (rates.length === 0) return 0;
+    return rates[Math.min(periodIndex, rates.length - 1)] || 0;
+  }
+  return rates || 0;
+};
+
+/**
+ * Monetary correction and interest rates of a facility for one period
+ * CDI + spread compounds both factors (fator DI × fator spread); IPCA-indexed
+ * loans correct the balance by inflation and charge the spread as real interest
+ */
+const getPeriodRates = (facility, indexRates, periodIndex, periodMonths) => {
+  const spreadFactor = 1 + (facility.spreadPercent || 0) / 100;
+
+  if (facility.rateIndex === RATE_INDEXES.CDI) {
+    const cdiFactor = 1 + getIndexRate(indexRates.cdi, periodIndex) / 100;
+    return { correctionRate: 0, interestRate: toPeriodRate(cdiFactor * spreadFactor, periodMonths) };
+  }
+  if (facility.rateIndex === RATE_INDEXES.IPCA) {
+    const ipcaFactor = 1 + getIndexRate(indexRates.ipca, periodIndex) / 100;
+    return {
+      correctionRate: toPeriodRate(ipcaFactor, periodMonths),
+      interestRate: toPeriodRate(spreadFactor, periodMonths),
+    };
+  }
+  return { correctionRate: 0, interestRate: toPeriodRate(spreadFactor, periodMonths) };
+};
+
+/**
+ * Principal repaid in a period given the balance after correction
+ */
+const getPrincipalPayment = (amortization, balance, interest, interestRate, remainingPayments) => {
+  if (remainingPayments <= 0 || balance <= 0) return 0;
+
+  if (amortization === AMORTIZATION_TYPES.BULLET) {
+    return remainingPayments === 1 ? balance : 0;
+  }
+  if (amortization === AMORTIZATION_TYPES.PRICE) {
+    const installment = interestRate > 0
+      ? balance * interestRate / (1 - Math.pow(1 + interestRate, -remainingPayments))
+      : balance / remainingPayments;
+    return Math.min(balance, installment - interest);
+  }
+  return balance / remainingPayments;
+};
+
+/**
+ * Runs one facility over the projection
+ */
+const buildFacilitySchedule = (facility, periodCount, indexRates, periodMonths) => {
+  const startPeriod = facility.drawdownPeriod ?? 0;
+  const isExisting = facility.drawdownPeriod === null || facility.drawdownPeriod === undefined;
+  // termMonths is the total tenor, including the grace period (interest only)
+  const gracePeriods = Math.max(0, Math.round((facility.graceMonths || 0) / periodMonths));
+  const termPeriods = Math.ceil((facility.termMonths || periodMonths) / periodMonths);
+  const paymentCount = Math.max(1, termPeriods - gracePeriods);
+  const principal = Math.max(0, facility.principal || 0);
+
+  let balance = isExisting ? round2(principal) : 0;
+
+  return Array.from({ length: periodCount }, (_, periodIndex) => {
+    if (periodIndex < startPeriod) {
+      return { opening: 0, drawdown: 0, correction: 0, interest: 0, principal: 0, closing: 0 };
+    }
+
+    const opening = balance;
+    const drawdown = !isExisting && periodIndex === startPeriod ? round2(principal) : 0;
+    const { correctionRate, interestRate } = getPeriodRates(facility, indexRates, periodIndex, periodMonths);
+
+    // Disbursed at the start of the period, corrected and then serviced at the end
+    const correction = round2((opening + drawdown) * correctionRate);
+    const correctedBalance = opening + drawdown + correction;
+    const interest = round2(correctedBalance * interestRate);
+    const paymentNumber = periodIndex - startPeriod - gracePeriods;
+    const principalPaid = paymentNumber < 0
+      ? 0
+      : round2(getPrincipalPayment(
+        facility.amortization,
+        correctedBalance,
+        interest,
+        interestRate,
+        paymentCount - paymentNumber,
+      ));
+
+    balance = round2(correctedBalance - principalPaid);
+    return { opening, drawdown, correction, interest, principal: principalPaid, closing: balance };
+  });
+};
+
+/**
+ * Builds the consolidated debt schedule for all facilities
+ *
+ * Monetary correction of IPCA-indexed loans accrues to the balance: it is a
+ * financial expense in the P&L and part of changeInDebt, so it is cash-neutral
+ *
+ * @param {Array<object>} facilities - Debt facilities (see createDebtFacility)
+ * @param {number} periodCount - Number of projected periods
+ * @param {object} options - Schedule settings
+ * @param {number} options.periodMonths - Months per period (default 12)
+ * @param {object} options.indexRates - Annual CDI/IPCA in %, constants or per-period arrays
+ * @returns {Array<object>} Per period: opening debt, drawdowns, monetary correction,
+ *   interest, principal, debt service, closing debt, change in debt and per-facility detail
+ */
+export const buildDebtSchedule = (facilities, periodCount, options = {}) => {
+  const {
+    periodMonths = 12,
+    indexRates = DEFAULT_INDEX_RATES,
+  } = options;
+
+  const facilitySchedules = (facilities || []).map(facility => ({
+    facility,
+    periods: buildFacilitySchedule(facility, periodCount, indexRates, periodMonths),
+  }));
+
+  return Array.from({ length: periodCount }, (_, periodIndex) => {
+    const byFacility = facilitySchedules.map(({ facility, periods }) => ({
+      id: facility.id,
+      name: facility.name,
+      ...periods[periodIndex],
+    }));
+    const sum = (key) => round2(byFacility.reduce((total, entry) => total + entry[key], 0));
+
+    const openingDebt = sum('opening');
+    const interestExpense = sum('interest');
+    const principalRepayment = sum('principal');
+    const closingDebt = sum('closing');
+
+    return {
+      periodIndex,
+      openingDebt,
+      drawdowns: sum('drawdown'),
+      monetaryCorrection: sum('correction'),
+      interestExpense,
+      principalRepayment,
+      debtService: round2(interestExpense + principalRepayment),
+      closingDebt,
+      changeInDebt: round2(closingDebt - openingDebt),
+      byFacility,
+    };
+  });
+};
+
+/**
+ * Evaluates debt covenants for one period
+ * EBITDA is annualized for Net Debt/EBITDA; DSCR compares the period's EBITDA
+ * with its debt service (interest + principal)
+ *
+ * @param {object} data - { closingDebt, debtService, ebitda, cash, periodMonths }
+ * @param {object} covenants - { maxNetDebtToEbitda, minDscr }; null/undefined limits are skipped
+ * @returns {object} Net debt, ratios, limits and the list of breaches
+ */
+export const evaluateCovenants = (data, covenants = DEFAULT_COVENANTS) => {
+  const { closingDebt = 0, debtService = 0, ebitda = 0, cash = 0, periodMonths = 12 } = data;
+  const { maxNetDebtToEbitda, minDscr } = covenants || {};
+
+  const netDebt = round2(closingDebt - cash);
+  const annualizedEbitda = round2(ebitda * 12 / periodMonths);
+  const netDebtToEbitda = annualizedEbitda > 0 ? round2(netDebt / annualizedEbitda) : null;
+  const dscr = debtService > 0 ? round2(ebitda / debtService) : null;
+
+  const breaches = [];
+  const hasLeverageLimit = typeof maxNetDebtToEbitda === 'number';
+  // Without positive EBITDA, any net debt breaches the leverage covenant
+  if (hasLeverageLimit && netDebt > 0 && (netDebtToEbitda === null || netDebtToEbitda > maxNetDebtToEbitda)) {
+    breaches.push({ covenant: 'netDebtToEbitda', value: netDebtToEbitda, limit: maxNetDebtToEbitda });
+  }
+  if (typeof minDscr === 'number' && dscr !== null && dscr < minDscr) {
+    breaches.push({ covenant: 'dscr', value: dscr, limit: minDscr });
+  }
+
+  return {
+    netDebt,
+    annualizedEbitda,
+    netDebtToEbitda,
+    dscr,
+    limits: { maxNetDebtToEbitda, minDscr },
+    breaches,
+    isCompliant: breaches.length === 0,
+  };
+};
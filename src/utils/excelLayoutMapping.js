@@ -0,0 +1,427 @@
+/**
+ * Column mapping of arbitrary Excel layouts
+ * Client spreadsheets keep their own line labels: one row per line item, one column per
+ * period under a header row. Row labels are matched to the input fields by fuzzy label
+ * similarity, and the confirmed mapping is kept as a layout profile that is recognized
+ * again on future uploads by its sheet name and row labels.
+ *
+ * Rows and columns are 1-based, as shown in Excel.
+ */
+
+import { fieldDefinitions, getFieldKeys } from './fieldDefinitions';
+import { getMaxPeriods } from './constants';
+
+const GRID_MAX_ROWS = 300;
+const GRID_MAX_COLUMNS = 60;
+
+// Minimum similarity for a suggested field match
+export const FIELD_MATCH_THRESHOLD = 0.6;
+
+// Share of the profile's mapped labels a sheet must contain to be auto-detected
+export const PROFILE_MATCH_THRESHOLD = 0.8;
+
+// Words that carry no meaning for matching ("Total do Ativo", "CPV (Override)")
+const STOPWORDS = new Set(['a', 'o', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'no', 'na', 'para', 'por', 'com', 'r', 'total', 'override']);
+
+// Headers of analysis columns that sit next to the periods
+const NON_PERIOD_HEADER = /\b(total|acumulado|ytd|media|variacao|var|av|ah)\b/;
+
+const plainText = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Lowercase label without accents, punctuation and stopwords
+ * @param {*} text
+ * @returns {string}
+ */
+export const normalizeLabel = (text) => plainText(text)
+  .split(' ')
+  .filter(token => token && !STOPWORDS.has(token))
+  .join(' ');
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, '');
+  const result = [];
+  for (let i = 0; i < compact.length - 1; i++) result.push(compact.slice(i, i + 2));
+  return result;
+};
+
+const bigramDice = (a, b) => {
+  const bigramsA = bigrams(a);
+  const bigramsB = bigrams(b);
+  if (bigramsA.length === 0 || bigramsB.length === 0) return 0;
+  const remaining = [...bigramsB];
+  let common = 0;
+  bigramsA.forEach(bigram => {
+    const index = remaining.indexOf(bigram);
+    if (index >= 0) {
+      common++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * common) / (bigramsA.length + bigramsB.length);
+};
+
+// Abbreviations count as the same word ("Desp. Oper." and "Despesas Operacionais")
+const tokensMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a)));
+
+/**
+ * Similarity between two labels, from 0 to 1
+ * Highest of the character bigram overlap, the word overlap and (discounted) the share of
+ * the shorter label's words found in the longer one.
+ *
+ * @param {string} labelA
+ * @param {string} labelB
+ * @returns {number}
+ */
+export const labelSimilarity = (labelA, labelB) => {
+  const a = normalizeLabel(labelA);
+  const b = normalizeLabel(labelB);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  const unmatched = [...tokensB];
+  let common = 0;
+  tokensA.forEach(token => {
+    const index = unmatched.findIndex(other => tokensMatch(token, other));
+    if (index >= 0) {
+      common++;
+      unmatched.splice(index, 1);
+    }
+  });
+  const tokenDice = (2 * common) / (tokensA.length + tokensB.length);
+  const containment = common / Math.min(tokensA.length, tokensB.length);
+
+  return Math.round(Math.max(bigramDice(a, b), tokenDice, 0.75 * containment) * 100) / 100;
+};
+
+const fieldSimilarity = (label, fieldKey) => {
+  if (String(label).trim().toLowerCase() === fieldKey.toLowerCase()) return 1;
+  return labelSimilarity(label, fieldDefinitions[fieldKey].label);
+};
+
+/**
+ * Suggested field for each row label
+ * Each field is suggested for at most one row: the best-scoring pairs are assigned first,
+ * ties going to the earlier field (drivers before overrides) and the earlier row.
+ *
+ * @param {string[]} labels
+ * @param {{threshold?: number, fieldKeys?: string[]}} [options]
+ * @returns {Array<{label: string, fieldKey: string | null, score: number, alternatives: Array<{fieldKey: string, score: number}>}>}
+ */
+export const suggestFieldMatches = (labels, options = {}) => {
+  const threshold = options.threshold ?? FIELD_MATCH_THRESHOLD;
+  const fieldKeys = options.fieldKeys || getFieldKeys();
+
+  const scores = labels.map(label => fieldKeys.map(fieldKey => fieldSimilarity(label, fieldKey)));
+  const pairs = [];
+  scores.forEach((row, labelIndex) => row.forEach((score, fieldIndex) => {
+    if (score >= threshold) pairs.push({ labelIndex, fieldIndex, score });
+  }));
+  pairs.sort((a, b) => b.score - a.score || a.fieldIndex - b.fieldIndex || a.labelIndex - b.labelIndex);
+
+  const assigned = new Map();
+  const usedFields = new Set();
+  pairs.forEach(({ labelIndex, fieldIndex, score }) => {
+    if (assigned.has(labelIndex) || usedFields.has(fieldIndex)) return;
+    assigned.set(labelIndex, { fieldKey: fieldKeys[fieldIndex], score });
+    usedFields.add(fieldIndex);
+  });
+
+  return labels.map((label, labelIndex) => ({
+    label,
+    fieldKey: assigned.get(labelIndex)?.fieldKey || null,
+    score: assigned.get(labelIndex)?.score || 0,
+    alternatives: scores[labelIndex]
+      .map((score, fieldIndex) => ({ fieldKey: fieldKeys[fieldIndex], score }))
+      .filter(alternative => alternative.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3),
+  }));
+};
+
+/**
+ * Excel column letter (1 → A, 27 → AA)
+ * @param {number} column
+ * @returns {string}
+ */
+export const columnLetter = (column) => {
+  let letters = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const cellToValue = (cell) => {
+  let value = cell.value;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (value && typeof value === 'object') {
+    if (value.result !== undefined) value = value.result;
+    else if (Array.isArray(value.richText)) value = value.richText.map(part => part.text).join('');
+    else value = cell.text;
+  }
+  if (typeof value === 'number') {
+    // Percent-formatted cells hold fractions; inputs use 40 for 40%
+    return String(cell.numFmt || '').includes('%') ? Math.round(value * 100 * 1e6) / 1e6 : value;
+  }
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+/**
+ * Plain values of a worksheet (formula results, percent cells as 40 for 40%)
+ * @param {Object} worksheet - ExcelJS worksheet
+ * @returns {Array<Array<string | number | null>>} rows of cells, index 0 is row 1 / column A
+ */
+export const worksheetToGrid = (worksheet) => {
+  const rowCount = Math.min(worksheet.rowCount || 0, GRID_MAX_ROWS);
+  const columnCount = Math.min(worksheet.columnCount || 0, GRID_MAX_COLUMNS);
+  const grid = [];
+  for (let row = 1; row <= rowCount; row++) {
+    const cells = [];
+    for (let column = 1; column <= columnCount; column++) {
+      cells.push(cellToValue(worksheet.getCell(row, column)));
+    }
+    grid.push(cells);
+  }
+  return grid;
+};
+
+/**
+ * Number from a cell value, reading Brazilian formats ("R$ 1.234,56", "(500)", "12,5%")
+ * @param {string | number | null} value
+ * @returns {number | null}
+ */
+export const parseCellNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.replace(/R\$|%|\s/g, '');
+  const negative = /^\(.*\)$/.test(text) || /^[-–]/.test(text);
+  text = text.replace(/[()\-–]/g, '');
+  if (!text) return null;
+
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  const number = Number(text);
+  return negative ? -number : number;
+};
+
+const cellAt = (grid, row, column) => grid[row - 1]?.[column - 1] ?? null;
+
+/**
+ * Text labels of the rows below the header row
+ * @param {Array<Array<string | number | null>>} grid
+ * @param {{labelColumn: number, headerRow: number}} layout
+ * @returns {Array<{row: number, label: string}>}
+ */
+export const getRowLabels = (grid, { labelColumn, headerRow }) => {
+  const labels = [];
+  for (let row = headerRow + 1; row <= grid.length; row++) {
+    const value = cellAt(grid, row, labelColumn);
+    if (typeof value === 'string' && parseCellNumber(value) === null && normalizeLabel(value)) {
+      labels.push({ row, label: value });
+    }
+  }
+  return labels;
+};
+
+/**
+ * Period columns: right of the label column, with a header and numbers below it
+ * Totals, averages and variance columns are left out.
+ *
+ * @param {Array<Array<string | number | null>>} grid
+ * @param {{labelColumn: number, headerRow: number}} layout
+ * @returns {Array<{column: number, header: string}>}
+ */
+export const detectPeriodColumns = (grid, { labelColumn, headerRow }) => {
+  const columnCount = Math.max(0, ...grid.map(cells => cells.length));
+  const columns = [];
+  for (let column = labelColumn + 1; column <= columnCount; column++) {
+    const header = cellAt(grid, headerRow, column);
+    if (header === null || NON_PERIOD_HEADER.test(plainText(header))) continue;
+    let hasNumbers = false;
+    for (let row = headerRow + 1; row <= grid.length && !hasNumbers; row++) {
+      hasNumbers = parseCellNumber(cellAt(grid, row, column)) !== null;
+    }
+    if (hasNumbers) columns.push({ column, header: String(header) });
+  }
+  return columns;
+};
+
+/**
+ * Likely label column and header row of a sheet
+ * The label column is the one with the most text cells among the first five; the header
+ * row is the nearest non-empty row above the first row with a label and numbers.
+ *
+ * @param {Array<Array<string | number | null>>} grid
+ * @returns {{labelColumn: number, headerRow: number}}
+ */
+export const guessLayout = (grid) => {
+  let labelColumn = 1;
+  let mostLabels = -1;
+  for (let column = 1; column <= 5; column++) {
+    const labelCount = grid.filter((cells, index) => {
+      const value = cellAt(grid, index + 1, column);
+      return typeof value === 'string' && parseCellNumber(value) === null;
+    }).length;
+    if (labelCount > mostLabels) {
+      mostLabels = labelCount;
+      labelColumn = column;
+    }
+  }
+
+  const valuesRight = (row) => (grid[row - 1] || []).filter((value, index) => index + 1 > labelColumn && value !== null);
+  // Header rows often carry years (2023, 2024), which are numbers too
+  const isDataRow = (row) => {
+    const numbers = valuesRight(row).map(parseCellNumber).filter(value => value !== null);
+    return numbers.length > 0 && !numbers.every(value => Number.isInteger(value) && value >= 1900 && value <= 2100);
+  };
+  const firstDataRow = grid.findIndex((cells, index) => typeof cellAt(grid, index + 1, labelColumn) === 'string'
+    && isDataRow(index + 1)) + 1;
+
+  let headerRow = 1;
+  for (let row = firstDataRow - 1; row >= 1; row--) {
+    if (valuesRight(row).length > 0) {
+      headerRow = row;
+      break;
+    }
+  }
+  return { labelColumn, headerRow };
+};
+
+/**
+ * Layout profile from the wizard choices; rows mapped to no field are dropped
+ * @param {{id?: string, name: string, sheetName: string, labelColumn: number, headerRow: number, periodType: string, mappings: Array<{label: string, fieldKey: string | null}>}} layout
+ * @returns {import('../types/financial').ExcelLayoutProfile}
+ */
+export const createLayoutProfile = ({ id, name, sheetName, labelColumn, headerRow, periodType, mappings }) => {
+  const mapped = mappings.filter(mapping => mapping.fieldKey && fieldDefinitions[mapping.fieldKey]);
+  if (mapped.length === 0) {
+    throw new Error('Associe ao menos uma linha da planilha a um campo.');
+  }
+  const fieldKeys = mapped.map(mapping => mapping.fieldKey);
+  const repeated = fieldKeys.find((fieldKey, index) => fieldKeys.indexOf(fieldKey) !== index);
+  if (repeated) {
+    throw new Error(`O campo "${fieldDefinitions[repeated].label}" foi associado a mais de uma linha.`);
+  }
+
+  return {
+    id: id || `layout_${Date.now().toString(36)}`,
+    name: String(name || sheetName).trim(),
+    sheetName,
+    labelColumn,
+    headerRow,
+    periodType,
+    mappings: mapped.map(({ label, fieldKey }) => ({ label, fieldKey })),
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+const profileMatchRatio = (profile, grid) => {
+  const sheetLabels = new Set(getRowLabels(grid, profile).map(({ label }) => normalizeLabel(label)));
+  const found = profile.mappings.filter(mapping => sheetLabels.has(normalizeLabel(mapping.label))).length;
+  return found / profile.mappings.length;
+};
+
+/**
+ * Saved profile that fits an uploaded workbook
+ * A sheet fits when it holds most of the profile's mapped labels in the profile's label
+ * column; a sheet with the profile's sheet name wins ties.
+ *
+ * @param {import('../types/financial').ExcelLayoutProfile[]} profiles
+ * @param {Array<{name: string, grid: Array<Array<string | number | null>>}>} sheets
+ * @returns {{profile: import('../types/financial').ExcelLayoutProfile, sheetName: string, matchRatio: number} | null}
+ */
+export const findMatchingLayoutProfile = (profiles, sheets) => {
+  let best = null;
+  (profiles || []).forEach(profile => {
+    if (!profile?.mappings?.length) return;
+    sheets.forEach(sheet => {
+      const matchRatio = profileMatchRatio(profile, sheet.grid);
+      if (matchRatio < PROFILE_MATCH_THRESHOLD) return;
+      const sameName = sheet.name === profile.sheetName;
+      if (!best || matchRatio > best.matchRatio || (matchRatio === best.matchRatio && sameName && !best.sameName)) {
+        best = { profile, sheetName: sheet.name, matchRatio, sameName };
+      }
+    });
+  });
+  return best && { profile: best.profile, sheetName: best.sheetName, matchRatio: best.matchRatio };
+};
+
+/**
+ * Period input data of a sheet read with a layout profile
+ * Periods run up to the last column with a mapped value, capped at the maximum for the
+ * profile's period type.
+ *
+ * @param {Array<Array<string | number | null>>} grid
+ * @param {import('../types/financial').ExcelLayoutProfile} profile
+ * @returns {{periods: Array<Object>, actualPeriods: number, periodType: string, periodHeaders: string[], warnings: string[]}}
+ */
+export const extractPeriodsWithProfile = (grid, profile) => {
+  const warnings = [];
+  const maxPeriods = getMaxPeriods(profile.periodType);
+  let periodColumns = detectPeriodColumns(grid, profile);
+  if (periodColumns.length === 0) {
+    throw new Error('Nenhuma coluna de período com valores foi encontrada na linha de cabeçalho escolhida.');
+  }
+  if (periodColumns.length > maxPeriods) {
+    warnings.push(`Somente as primeiras ${maxPeriods} colunas de período foram lidas (${periodColumns.length} encontradas).`);
+    periodColumns = periodColumns.slice(0, maxPeriods);
+  }
+
+  const allFieldKeys = getFieldKeys();
+  const periods = periodColumns.map(() => {
+    const period = {};
+    allFieldKeys.forEach(key => { period[key] = null; });
+    return period;
+  });
+
+  const fieldByLabel = new Map(profile.mappings.map(mapping => [normalizeLabel(mapping.label), mapping.fieldKey]));
+  const foundLabels = new Set();
+  let lastPeriodWithData = 0;
+
+  getRowLabels(grid, profile).forEach(({ row, label }) => {
+    const normalized = normalizeLabel(label);
+    const fieldKey = fieldByLabel.get(normalized);
+    if (!fieldKey || !fieldDefinitions[fieldKey]) return;
+    if (foundLabels.has(normalized)) {
+      warnings.push(`A linha "${label}" se repete na planilha; somente a primeira ocorrência foi lida.`);
+      return;
+    }
+    foundLabels.add(normalized);
+
+    periodColumns.forEach(({ column }, periodIdx) => {
+      if (fieldDefinitions[fieldKey].firstPeriodOnly && periodIdx > 0) return;
+      const value = parseCellNumber(cellAt(grid, row, column));
+      if (value === null) return;
+      periods[periodIdx][fieldKey] = value;
+      lastPeriodWithData = Math.max(lastPeriodWithData, periodIdx + 1);
+    });
+  });
+
+  profile.mappings
+    .filter(mapping => !foundLabels.has(normalizeLabel(mapping.label)))
+    .forEach(mapping => warnings.push(`A linha "${mapping.label}" do perfil não foi encontrada na planilha.`));
+
+  const actualPeriods = Math.max(lastPeriodWithData, 1);
+  return {
+    periods: periods.slice(0, actualPeriods),
+    actualPeriods,
+    periodType: profile.periodType,
+    periodHeaders: periodColumns.slice(0, actualPeriods).map(({ header }) => header),
+    warnings,
+  };
+};
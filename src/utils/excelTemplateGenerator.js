@@ -6,7 +6,7 @@ import {
 } from './fieldDefinitions';
 import { 
   PERIOD_TYPES, 
-  MAX_PERIODS,
+  getMaxPeriods,
   MAIN_HEADER_COLOR,
   DRIVER_INPUT_FILL, 
   OVERRIDE_INPUT_FILL,
@@ -269,7 +269,7 @@ export async function generateSmartTemplate(numberOfPeriods, periodTypeLabel, Ex
   wb.calcProperties.fullCalcOnLoad = true; // Enable Excel calculation on open
 
   // Ensure number of periods is within bounds
-  const numPeriods = Math.min(MAX_PERIODS, Math.max(1, numberOfPeriods));
+  const numPeriods = Math.min(getMaxPeriods(periodTypeLabel), Math.max(1, numberOfPeriods));
 
   setupInstructionSheet(wb.addWorksheet('📋 Instruções'), numPeriods, periodTypeLabel);
   
@@ -326,7 +326,7 @@ export async function generateBasicDriversTemplate(numberOfPeriods, periodTypeLa
   wb.modified = new Date();
   wb.calcProperties.fullCalcOnLoad = true;
     
-  const numPeriods = Math.min(MAX_PERIODS, Math.max(1, numberOfPeriods));
+  const numPeriods = Math.min(getMaxPeriods(periodTypeLabel), Math.max(1, numberOfPeriods));
   const ws = wb.addWorksheet('✅ Drivers Essenciais');
   ws.views = [{ state: 'frozen', xSplit: 4, ySplit: 1, activeCell: 'E2' }];
   const headers = [
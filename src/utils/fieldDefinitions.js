@@ -85,31 +85,35 @@ const validateRequiredIfFirstPeriod = (value, context, fieldName) => {
 export const fieldDefinitions = {
   // === CORE DRIVER INPUTS ===
   'revenue': {
-    label: 'Receita Líquida', type: 'currency', group: 'P&L Driver', required: true,
+    label: 'Receita Líquida', type: 'currency', group: 'P&L Driver', required: true, min: 0,
     validation: (v,c) => validatePositive(v,c,'Receita'), dependencies: ['cogs', 'grossProfit', 'arDaysDerived'],
   },
   'grossMarginPercentage': {
-    label: 'Margem Bruta %', type: 'percentage', group: 'P&L Driver', required: true, note: 'Ex: 40 para 40%',
+    label: 'Margem Bruta %', type: 'percentage', group: 'P&L Driver', required: true, note: 'Ex: 40 para 40%', min: -50, max: 100,
     validation: (v,c) => validatePercentage(v,c,'Margem Bruta', -50, 100), dependencies: ['cogs', 'grossProfit'],
   },
   'operatingExpenses': {
-    label: 'Despesas Operacionais (SG&A)', type: 'currency', group: 'P&L Driver', required: true,
+    label: 'Despesas Operacionais (SG&A)', type: 'currency', group: 'P&L Driver', required: true, min: 0,
     validation: (v,c) => validatePositive(v,c,'Despesas Operacionais'), dependencies: ['ebitda'],
   },
   'depreciationAndAmortisation': {
-    label: 'Depreciação e Amortização (D&A)', type: 'currency', group: 'P&L Driver',
+    label: 'Depreciação e Amortização (D&A)', type: 'currency', group: 'P&L Driver', min: 0,
     validation: (v,c) => validatePositive(v,c,'D&A'), dependencies: ['ebit', 'operatingCashFlow'],
   },
   'netInterestExpenseIncome': {
     label: 'Resultado Financeiro Líquido', type: 'currency', group: 'P&L Driver', note: '(-) para despesa',
     dependencies: ['pbt'],
   },
+  'fxGainLoss': {
+    label: 'Variação Cambial Líquida', type: 'currency', group: 'P&L Driver', note: '(-) para perda; compõe o resultado financeiro',
+    dependencies: ['pbt'],
+  },
   'incomeTaxRatePercentage': {
-    label: 'Alíquota IR Efetiva %', type: 'percentage', group: 'P&L Driver', note: 'Ex: 25 para 25%',
+    label: 'Alíquota IR Efetiva %', type: 'percentage', group: 'P&L Driver', note: 'Ex: 25 para 25%', min: 0, max: 100,
     validation: (v,c) => validatePercentage(v,c,'Alíquota IR', 0, 100), dependencies: ['incomeTax'],
   },
   'dividendsPaid': {
-    label: 'Dividendos Pagos', type: 'currency', group: 'CF Driver',
+    label: 'Dividendos Pagos', type: 'currency', group: 'CF Driver', min: 0,
     validation: (v,c) => validatePositive(v,c,'Dividendos'), dependencies: ['retainedProfit', 'cashFlowFromFinancing'],
   },
   'extraordinaryItems': {
@@ -117,31 +121,31 @@ export const fieldDefinitions = {
     dependencies: ['pbt'],
   },
   'capitalExpenditures': {
-    label: 'CAPEX (Investimentos)', type: 'currency', group: 'CF Driver',
+    label: 'CAPEX (Investimentos)', type: 'currency', group: 'CF Driver', min: 0,
     validation: (v,c) => validatePositive(v,c,'CAPEX'), dependencies: ['netCashFlowBeforeFinancing', 'netFixedAssets'], // Also impacts NFA roll-forward if implemented
   },
   'openingCash': {
-    label: 'Caixa Inicial (1º Período)', type: 'currency', group: 'BS Driver', firstPeriodOnly: true, required: true,
+    label: 'Caixa Inicial (1º Período)', type: 'currency', group: 'BS Driver', firstPeriodOnly: true, required: true, min: 0,
     validation: (v,c) => validateRequiredIfFirstPeriod(v,c,'Caixa Inicial') || validateNonNegative(v,c,'Caixa Inicial'),
   },
   'accountsReceivableValueAvg': {
-    label: 'Contas a Receber (Valor Médio)', type: 'currency', group: 'BS Driver', required: true,
+    label: 'Contas a Receber (Valor Médio)', type: 'currency', group: 'BS Driver', required: true, min: 0,
     validation: (v,c) => validateRequired(v,c,'Contas a Receber (Médio)') || validatePositive(v,c,'Contas a Receber (Médio)'), dependencies: ['arDaysDerived', 'workingCapitalValue'],
   },
   'inventoryValueAvg': {
-    label: 'Estoques (Valor Médio)', type: 'currency', group: 'BS Driver', required: true,
+    label: 'Estoques (Valor Médio)', type: 'currency', group: 'BS Driver', required: true, min: 0,
     validation: (v,c) => validateRequired(v,c,'Estoques (Valor Médio)') || validatePositive(v,c,'Estoques (Valor Médio)'), dependencies: ['inventoryDaysDerived', 'workingCapitalValue'],
   },
   'accountsPayableValueAvg': {
-    label: 'Contas a Pagar (Valor Médio)', type: 'currency', group: 'BS Driver', required: true,
+    label: 'Contas a Pagar (Valor Médio)', type: 'currency', group: 'BS Driver', required: true, min: 0,
     validation: (v,c) => validateRequired(v,c,'Contas a Pagar (Valor Médio)') || validatePositive(v,c,'Contas a Pagar (Valor Médio)'), dependencies: ['apDaysDerived', 'workingCapitalValue'],
   },
   'netFixedAssets': { // This is saldo final
-    label: 'Ativo Imobilizado Líquido (Saldo Final)', type: 'currency', group: 'BS Driver', required: true,
+    label: 'Ativo Imobilizado Líquido (Saldo Final)', type: 'currency', group: 'BS Driver', required: true, min: 0,
     validation: (v,c) => validateRequired(v,c,'Ativo Imobilizado Líquido') || validatePositive(v,c,'Ativo Imobilizado Líquido'), dependencies: ['estimatedTotalAssets'],
   },
   'totalBankLoans': { // This is saldo final
-    label: 'Empréstimos Bancários Totais (Saldo Final)', type: 'currency', group: 'BS Driver', required: true,
+    label: 'Empréstimos Bancários Totais (Saldo Final)', type: 'currency', group: 'BS Driver', required: true, min: 0,
     validation: (v,c) => validateRequired(v,c,'Empréstimos Bancários') || validatePositive(v,c,'Empréstimos Bancários'), dependencies: ['estimatedTotalLiabilities', 'changeInDebt'],
   },
   'initialEquity': { // Saldo inicial do PL
@@ -1,5 +1,6 @@
 // src/utils/financialValidators.js
 import { formatCurrency, formatPercentage } from './formatters';
+import { COVENANT_LABELS } from './debtSchedule';
 
 export class FinancialConstraintValidator {
   static TOLERANCE_PERCENT = 0.005; 
@@ -100,11 +101,60 @@ export class FinancialConstraintValidator {
     return { errors, warnings, infos };
   }
   
+  // NFA_open + CAPEX - D&A = NFA_close, against the asset register or the previous period's NFA
+  static validateFixedAssetRollForward(V_current, V_previous = null) {
+    const errors = []; const warnings = [];
+    const { capitalExpenditures, depreciationAndAmortisation, fixedAssets } = V_current;
+    // With an asset register, compare the user-typed balance (flattened netFixedAssets is the register's)
+    const netFixedAssets = fixedAssets ? fixedAssets.reportedNetFixedAssets : V_current.netFixedAssets;
+    if (netFixedAssets === null || typeof netFixedAssets === 'undefined') return { errors, warnings };
+
+    let openingNFA, capex, depreciation;
+    if (fixedAssets) {
+      ({ openingNetFixedAssets: openingNFA, capex, depreciation } = fixedAssets);
+    } else if (V_previous && V_previous.netFixedAssets !== null && typeof V_previous.netFixedAssets !== 'undefined') {
+      openingNFA = V_previous.netFixedAssets;
+      capex = capitalExpenditures || 0;
+      depreciation = depreciationAndAmortisation || 0;
+    } else {
+      return { errors, warnings };
+    }
+
+    const expectedNFA = openingNFA + capex - depreciation;
+    const difference = netFixedAssets - expectedNFA;
+    if (Math.abs(difference) > this.getTolerance(netFixedAssets, 1)) {
+      warnings.push({ type: 'NFA_ROLLFORWARD_MISMATCH', severity: 'warning',
+        message: `Roll-forward do Ativo Fixo: Inicial (${formatCurrency(openingNFA)}) + CAPEX (${formatCurrency(capex)}) - D&A (${formatCurrency(depreciation)}) = ${formatCurrency(expectedNFA)} ≠ Ativo Fixo Líquido informado (${formatCurrency(netFixedAssets)}). Diferença: ${formatCurrency(difference)}`,
+        fields: ['netFixedAssets', 'capitalExpenditures', 'depreciationAndAmortisation'] });
+    }
+    return { errors, warnings };
+  }
+
+  static validateDebtCovenants(V_current) {
+    const errors = []; const warnings = [];
+    const covenants = V_current.debt?.covenants;
+    if (!covenants) return { errors, warnings };
+
+    covenants.breaches.forEach(breach => {
+      const label = COVENANT_LABELS[breach.covenant];
+      const message = breach.covenant === 'dscr'
+        ? `Covenant ${label}: ${breach.value.toFixed(2)}x abaixo do mínimo de ${breach.limit.toFixed(2)}x (Serviço da Dívida ${formatCurrency(V_current.debt.debtService)})`
+        : breach.value === null
+          ? `Covenant ${label}: EBITDA não positivo com Dívida Líquida de ${formatCurrency(covenants.netDebt)} (limite ${breach.limit.toFixed(2)}x)`
+          : `Covenant ${label}: ${breach.value.toFixed(2)}x acima do máximo de ${breach.limit.toFixed(2)}x (Dívida Líquida ${formatCurrency(covenants.netDebt)})`;
+      warnings.push({ type: 'COVENANT_BREACH', severity: 'warning', message,
+        fields: breach.covenant === 'dscr' ? ['netInterestExpenseIncome', 'totalBankLoans'] : ['totalBankLoans', 'closingCash'] });
+    });
+    return { errors, warnings };
+  }
+  
   static validateAllStatements(V_current, V_previous = null) {
     const pl = this.validatePLConstraints(V_current);
     const bs = this.validateBalanceSheetConstraints(V_current);
     const cf = this.validateCashFlowConstraints(V_current);
-    const crossErrors = []; const crossWarnings = []; const crossInfos = []; // Added infos
+    const fa = this.validateFixedAssetRollForward(V_current, V_previous);
+    const dc = this.validateDebtCovenants(V_current);
+    const crossErrors = [...fa.errors, ...dc.errors]; const crossWarnings = [...fa.warnings, ...dc.warnings]; const crossInfos = []; // Added infos
     if (V_previous && typeof V_current.equity !== 'undefined' && typeof V_previous.equity !== 'undefined' && typeof V_current.retainedProfit !== 'undefined') {
         const expectedEquity = V_previous.equity + V_current.retainedProfit;
         if (Math.abs(V_current.equity - expectedEquity) > this.getTolerance(V_current.equity)) {
@@ -118,6 +168,30 @@ export class FinancialConstraintValidator {
       isValid: [...pl.errors, ...bs.errors, ...cf.errors, ...crossErrors].length === 0
     };
   }
+
+  // Values of a processed period as the statement checks read them; the roll-forward
+  // compares the user-typed NFA, since the engine's own balance rolls forward by construction
+  static getCalculatedPeriodValues(period, input = {}) {
+    return {
+      netFixedAssets: input.netFixedAssets,
+      capitalExpenditures: input.capex ?? input.capitalExpenditures,
+      depreciationAndAmortisation: input.depreciation ?? input.depreciationAndAmortisation,
+      fixedAssets: period.fixedAssets,
+      debt: period.debt,
+    };
+  }
+
+  // Checks of the calculation result, one entry per period with findings (1-based); the P&L,
+  // balance sheet and cash flow equalities of validateAllStatements read the flat legacy
+  // statements, so only the cross-statement checks run on the engine's output
+  static validateCalculatedPeriods(calculatedData = [], inputData = []) {
+    return calculatedData.map((period, index) => {
+      const current = this.getCalculatedPeriodValues(period, inputData[index]);
+      const previous = index > 0 ? this.getCalculatedPeriodValues(calculatedData[index - 1], inputData[index - 1]) : null;
+      const checks = [this.validateFixedAssetRollForward(current, previous), this.validateDebtCovenants(current)];
+      return { period: index + 1, issues: checks.flatMap(({ errors, warnings }) => [...errors, ...warnings]) };
+    }).filter(({ issues }) => issues.length > 0);
+  }
 }
 
 export class OverrideValidator {
@@ -0,0 +1,211 @@
+/**
+ * Fixed-asset register and depreciation schedule
+ * Generates D&A per period from CAPEX vintages and rolls net fixed assets forward:
+ * NFA_open + CAPEX - D&A = NFA_close
+ */
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const DEPRECIATION_METHODS = {
+  STRAIGHT_LINE: 'straight_line',
+  DECLINING_BALANCE: 'declining_balance',
+};
+
+export const DEPRECIATION_METHOD_LABELS = {
+  [DEPRECIATION_METHODS.STRAIGHT_LINE]: 'Linear',
+  [DEPRECIATION_METHODS.DECLINING_BALANCE]: 'Saldo Decrescente',
+};
+
+// Declining balance multiplier applied to the straight-line rate (double declining)
+export const DEFAULT_DECLINING_FACTOR = 2;
+
+/**
+ * Default asset classes with useful lives from IN RFB nº 1.700/2017, Anexo III
+ * residualValuePercent is a percentage of acquisition cost (e.g., 10 = 10%)
+ */
+export const DEFAULT_ASSET_CLASSES = {
+  edificacoes: {
+    label: 'Edificações',
+    usefulLifeYears: 25,
+    method: DEPRECIATION_METHODS.STRAIGHT_LINE,
+    residualValuePercent: 0,
+  },
+  maquinas: {
+    label: 'Máquinas e Equipamentos',
+    usefulLifeYears: 10,
+    method: DEPRECIATION_METHODS.STRAIGHT_LINE,
+    residualValuePercent: 0,
+  },
+  veiculos: {
+    label: 'Veículos',
+    usefulLifeYears: 5,
+    method: DEPRECIATION_METHODS.STRAIGHT_LINE,
+    residualValuePercent: 10,
+  },
+  moveis: {
+    label: 'Móveis e Utensílios',
+    usefulLifeYears: 10,
+    method: DEPRECIATION_METHODS.STRAIGHT_LINE,
+    residualValuePercent: 0,
+  },
+  informatica: {
+    label: 'Equipamentos de Informática',
+    usefulLifeYears: 5,
+    method: DEPRECIATION_METHODS.STRAIGHT_LINE,
+    residualValuePercent: 0,
+  },
+  intangiveis: {
+    label: 'Intangíveis (Software)',
+    usefulLifeYears: 5,
+    method: DEPRECIATION_METHODS.STRAIGHT_LINE,
+    residualValuePercent: 0,
+  },
+};
+
+export const DEFAULT_CAPEX_ASSET_CLASS = 'maquinas';
+
+/**
+ * Default asset register settings
+ * @returns {object} Asset register configuration used by processFinancialData
+ */
+export const getDefaultAssetRegister = () => ({
+  assetClasses: JSON.parse(JSON.stringify(DEFAULT_ASSET_CLASSES)),
+  capexAssetClass: DEFAULT_CAPEX_ASSET_CLASS,
+  openingAssetClass: DEFAULT_CAPEX_ASSET_CLASS,
+  openingRemainingLifeYears: null,
+});
+
+/**
+ * Depreciation charge of one vintage for one period
+ * Uses the half-period convention in the acquisition period and never
+ * depreciates below the residual value
+ */
+const depreciateVintage = (vintage, periodMonths, isAcquisitionPeriod) => {
+  const depreciable = vintage.netBookValue - vintage.residualValue;
+  if (depreciable <= 0 || vintage.lifeMonths <= 0) return 0;
+
+  const periodFraction = isAcquisitionPeriod ? 0.5 : 1;
+  let charge;
+
+  if (vintage.method === DEPRECIATION_METHODS.DECLINING_BALANCE) {
+    const periodRate = Math.min(1, (vintage.decliningFactor * periodMonths) / vintage.lifeMonths);
+    charge = vintage.netBookValue * periodRate * periodFraction;
+  } else {
+    charge = (vintage.cost - vintage.residualValue) * (periodMonths / vintage.lifeMonths) * periodFraction;
+  }
+
+  return Math.min(charge, depreciable);
+};
+
+/**
+ * Creates a vintage (one layer of assets acquired in the same period and class)
+ */
+const createVintage = (classKey, assetClass, cost, acquisitionPeriod, lifeYears, residualValue) => ({
+  classKey,
+  cost,
+  netBookValue: cost,
+  residualValue,
+  acquisitionPeriod,
+  lifeMonths: lifeYears * 12,
+  method: assetClass.method,
+  decliningFactor: assetClass.decliningFactor || DEFAULT_DECLINING_FACTOR,
+});
+
+/**
+ * Normalizes a period's CAPEX into amounts per asset class
+ */
+const getCapexByClass = (capex, defaultClass) => {
+  if (capex && typeof capex === 'object') return capex;
+  return { [defaultClass]: capex || 0 };
+};
+
+/**
+ * Builds the depreciation schedule and net fixed asset roll-forward
+ *
+ * @param {Array<number|object>} capexByPeriod - CAPEX per period, either a total
+ *   (allocated to capexAssetClass) or an object of amounts keyed by asset class
+ * @param {object} options - Register settings
+ * @param {number} options.periodMonths - Months per period (default 12)
+ * @param {object} options.assetClasses - Asset classes (default DEFAULT_ASSET_CLASSES)
+ * @param {string} options.capexAssetClass - Class for CAPEX given as a total
+ * @param {number} options.openingNetFixedAssets - Net fixed assets before the first period
+ * @param {string} options.openingAssetClass - Class used to depreciate the opening balance
+ * @param {number} options.openingRemainingLifeYears - Remaining life of the opening balance
+ * @returns {Array<object>} Per period: opening NFA, CAPEX, D&A, closing NFA and per-class detail
+ */
+export const buildFixedAssetSchedule = (capexByPeriod, options = {}) => {
+  const {
+    periodMonths = 12,
+    assetClasses = DEFAULT_ASSET_CLASSES,
+    capexAssetClass = DEFAULT_CAPEX_ASSET_CLASS,
+    openingNetFixedAssets = 0,
+    openingAssetClass = capexAssetClass,
+    openingRemainingLifeYears = null,
+  } = options;
+
+  const resolveClass = (classKey) => {
+    const key = assetClasses[classKey] ? classKey : capexAssetClass;
+    return { key, assetClass: assetClasses[key] || DEFAULT_ASSET_CLASSES[DEFAULT_CAPEX_ASSET_CLASS] };
+  };
+
+  const vintages = [];
+  if (openingNetFixedAssets > 0) {
+    // Existing assets are already in use: no half-period charge, no further residual value
+    const { key, assetClass } = resolveClass(openingAssetClass);
+    vintages.push(createVintage(
+      key,
+      assetClass,
+      openingNetFixedAssets,
+      -1,
+      openingRemainingLifeYears || assetClass.usefulLifeYears,
+      0,
+    ));
+  }
+
+  let openingBalance = round2(Math.max(0, openingNetFixedAssets));
+
+  return capexByPeriod.map((periodCapex, periodIndex) => {
+    const byClass = {};
+    const ensureClass = (key) => {
+      if (!byClass[key]) byClass[key] = { capex: 0, depreciation: 0, closingNetBookValue: 0 };
+      return byClass[key];
+    };
+
+    Object.entries(getCapexByClass(periodCapex, capexAssetClass)).forEach(([classKey, amount]) => {
+      if (!(amount > 0)) return;
+      const { key, assetClass } = resolveClass(classKey);
+      const residualValue = amount * (assetClass.residualValuePercent || 0) / 100;
+      vintages.push(createVintage(key, assetClass, amount, periodIndex, assetClass.usefulLifeYears, residualValue));
+      ensureClass(key).capex += amount;
+    });
+
+    vintages.forEach(vintage => {
+      const charge = depreciateVintage(vintage, periodMonths, vintage.acquisitionPeriod === periodIndex);
+      vintage.netBookValue -= charge;
+      const classEntry = ensureClass(vintage.classKey);
+      classEntry.depreciation += charge;
+      classEntry.closingNetBookValue += vintage.netBookValue;
+    });
+
+    Object.values(byClass).forEach(entry => {
+      entry.capex = round2(entry.capex);
+      entry.depreciation = round2(entry.depreciation);
+      entry.closingNetBookValue = round2(entry.closingNetBookValue);
+    });
+
+    const capex = round2(Object.values(byClass).reduce((sum, entry) => sum + entry.capex, 0));
+    const depreciation = round2(Object.values(byClass).reduce((sum, entry) => sum + entry.depreciation, 0));
+    const closingBalance = round2(openingBalance + capex - depreciation);
+
+    const periodSchedule = {
+      periodIndex,
+      openingNetFixedAssets: openingBalance,
+      capex,
+      depreciation,
+      closingNetFixedAssets: closingBalance,
+      byClass,
+    };
+    openingBalance = closingBalance;
+    return periodSchedule;
+  });
+};
@@ -4,17 +4,49 @@
  * Brazilian Portuguese (pt-BR) locale formatting
  */
 
+import { CURRENCIES, DEFAULT_CURRENCY } from './constants';
+
+// Presentation currency of the open project; every currency formatter follows it
+let presentationCurrency = DEFAULT_CURRENCY;
+
+/**
+ * Set the presentation currency used by the currency formatters
+ * @param {string} currencyCode - Currency code (see CURRENCIES)
+ */
+export function setPresentationCurrency(currencyCode) {
+  presentationCurrency = currencyCode || DEFAULT_CURRENCY;
+}
+
+/**
+ * Get the presentation currency used by the currency formatters
+ * @returns {string} Currency code
+ */
+export function getPresentationCurrency() {
+  return presentationCurrency;
+}
+
+/**
+ * Get the symbol of a currency
+ * @param {string} [currencyCode] - Currency code (defaults to the presentation currency)
+ * @returns {string} Currency symbol (the code itself for unknown currencies)
+ */
+export function getCurrencySymbol(currencyCode = presentationCurrency) {
+  return CURRENCIES[currencyCode]?.symbol || currencyCode;
+}
+
 /**
- * Format a number as Brazilian Real currency
+ * Format a number as currency in the presentation currency (Brazilian Real by default)
  * @param {number|string} value - The numeric value to format
- * @param {boolean} [showSymbol=true] - Whether to show the R$ symbol
+ * @param {boolean} [showSymbol=true] - Whether to show the currency symbol
  * @param {Object} [options={}] - Additional formatting options
  * @param {number} [options.precision=2] - Number of decimal places
  * @param {boolean} [options.abbreviate=true] - Whether to abbreviate large numbers
+ * @param {string} [options.currency] - Currency code overriding the presentation currency
  * @returns {string} The formatted currency string
  */
 export function formatCurrency(value, showSymbol = true, options = {}) {
-  const { precision = 2, abbreviate = true } = options;
+  const { precision = 2, abbreviate = true, currency } = options;
+  const symbol = getCurrencySymbol(currency);
 
   // Handle invalid values
   if (value === null || value === undefined || isNaN(Number(value)) || !isFinite(Number(value))) {
@@ -53,12 +85,12 @@ export function formatCurrency(value, showSymbol = true, options = {}) {
 
   // Add currency symbol if requested
   if (showSymbol) {
-    formatted = `R$ ${formatted}`;
+    formatted = `${symbol} ${formatted}`;
   }
 
   // Handle negative values
   if (isNegative) {
-    formatted = showSymbol ? `R$ -${formatted.replace('R$ ', '')}` : `-${formatted}`;
+    formatted = showSymbol ? `${symbol} -${formatted.replace(`${symbol} `, '')}` : `-${formatted}`;
   }
 
   return formatted;
@@ -67,7 +99,7 @@ export function formatCurrency(value, showSymbol = true, options = {}) {
 /**
  * Format currency with explicit sign handling for negative values
  * @param {number|string} value - The numeric value to format
- * @param {boolean} [showSymbol=true] - Whether to show the R$ symbol
+ * @param {boolean} [showSymbol=true] - Whether to show the currency symbol
  * @param {Object} [options={}] - Additional formatting options
  * @returns {string} The formatted currency string with proper sign placement
  */
@@ -0,0 +1,220 @@
+/**
+ * Goal seek over the financial engine
+ * Finds the driver values that make a target metric (closing cash, EBITDA, net profit, FCF)
+ * reach a given value, re-running the full engine at each step
+ */
+
+import { fieldDefinitions } from './fieldDefinitions';
+import { ENGINE_FIELD_ALIASES, SENSITIVITY_METRICS, evaluateMetric } from './sensitivity';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Target metrics (same as the sensitivity analysis)
+ */
+export const GOAL_SEEK_METRICS = SENSITIVITY_METRICS;
+
+/**
+ * Which periods the solved driver value is written to
+ */
+export const GOAL_SEEK_SCOPES = {
+  LAST: 'last',
+  ALL: 'all',
+};
+
+export const GOAL_SEEK_SCOPE_LABELS = {
+  [GOAL_SEEK_SCOPES.LAST]: 'Último período',
+  [GOAL_SEEK_SCOPES.ALL]: 'Todos os períodos',
+};
+
+/**
+ * Upper bound for currency drivers without a max: this multiple of the largest provided value
+ */
+const UNBOUNDED_RANGE_MULTIPLE = 10;
+const UNBOUNDED_RANGE_MINIMUM = 1000000;
+const MAX_ITERATIONS = 100;
+
+/**
+ * Default goal seek settings
+ * @returns {{metric: string, target: number | null, drivers: string[], scope: string, tolerance: number}}
+ */
+export const getDefaultGoalSeekSettings = () => ({
+  metric: 'closingCash',
+  target: null,
+  drivers: ['accountsReceivableValueAvg'],
+  scope: GOAL_SEEK_SCOPES.LAST,
+  tolerance: 1,
+});
+
+/**
+ * Indexes of the periods a driver is solved in
+ * firstPeriodOnly fields (opening cash, initial equity) are always solved in the first period
+ */
+const getTargetPeriods = (inputs, driver, scope) => {
+  if (fieldDefinitions[driver]?.firstPeriodOnly) return [0];
+  if (scope === GOAL_SEEK_SCOPES.ALL) return inputs.map((_, index) => index);
+  return [inputs.length - 1];
+};
+
+/**
+ * Search range of a driver: the field's min/max; a missing bound is ±10x the largest current value
+ * @param {Array<number>} baseValues - Current values in the target periods
+ * @param {string} driver - fieldDefinitions key
+ * @returns {{lower: number, upper: number}}
+ */
+export const getDriverBounds = (baseValues, driver) => {
+  const def = fieldDefinitions[driver] || {};
+  const scale = Math.max(UNBOUNDED_RANGE_MINIMUM, ...baseValues.map(value => Math.abs(value) * UNBOUNDED_RANGE_MULTIPLE));
+  return {
+    lower: typeof def.min === 'number' ? def.min : -scale,
+    upper: typeof def.max === 'number' ? def.max : scale,
+  };
+};
+
+/**
+ * Writes driver values into the inputs (engine alias included)
+ * @param {Array<object>} inputs - Raw period inputs
+ * @param {string} driver - fieldDefinitions key
+ * @param {Record<number, number>} valuesByPeriod - New value per period index
+ * @returns {Array<object>} New inputs
+ */
+export const setDriverValues = (inputs, driver, valuesByPeriod) => inputs.map((period, index) => {
+  if (valuesByPeriod[index] === undefined) return period;
+  const updated = { ...period, [driver]: valuesByPeriod[index] };
+  const alias = ENGINE_FIELD_ALIASES[driver];
+  if (alias && alias in period) updated[alias] = valuesByPeriod[index];
+  return updated;
+});
+
+/**
+ * Goal seek with one or more drivers
+ *
+ * Every driver moves from its current value towards one of its bounds by the same fraction t of the
+ * available range, so the effort is shared across drivers. The bound is chosen per driver (the one that
+ * moves the metric towards the target on its own); drivers that do not move the metric are left out.
+ * t is then solved by bisection on [0, 1]. With a single driver this is a plain bisection between the
+ * current value and the relevant bound.
+ *
+ * @param {Array<object>} inputs - Raw period inputs
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} options - Engine options plus
+ *   goalSeek: { metric, target, drivers, scope, tolerance }
+ * @returns {{
+ *   metric: string, target: number, baseValue: number, achievedValue: number,
+ *   converged: boolean, iterations: number, drivers: Array<object>, inputs: Array<object>
+ * }} drivers: [{ driver, label, lower, upper, changes: [{ periodIndex, from, to }] }]; inputs: solved inputs
+ */
+export const goalSeek = (inputs, periodType, options = {}) => {
+  const { goalSeek: settings, ...engineOptions } = options;
+  const { metric, target, drivers, scope, tolerance } = { ...getDefaultGoalSeekSettings(), ...settings };
+
+  if (!GOAL_SEEK_METRICS[metric]) {
+    throw new Error(`Métrica de busca de meta não suportada: ${metric}`);
+  }
+  if (typeof target !== 'number' || !isFinite(target)) {
+    throw new Error('Informe um valor alvo numérico para a busca de meta.');
+  }
+  if (!Array.isArray(drivers) || drivers.length === 0) {
+    throw new Error('Selecione ao menos um direcionador para a busca de meta.');
+  }
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new Error('Não há períodos para a busca de meta.');
+  }
+
+  const evaluate = (candidate) => evaluateMetric(candidate, periodType, engineOptions, metric);
+  const baseValue = evaluate(inputs);
+
+  // Per driver: current values, bounds and the bound that moves the metric towards the target
+  const plans = drivers.map(driver => {
+    const periods = getTargetPeriods(inputs, driver, scope);
+    const baseValues = periods.map(index => {
+      const value = inputs[index]?.[driver];
+      return typeof value === 'number' && isFinite(value) ? value : 0;
+    });
+    const { lower, upper } = getDriverBounds(baseValues, driver);
+    const valuesAt = (bound) => Object.fromEntries(periods.map(index => [index, bound]));
+    // A bound helps when moving there pushes the metric in the direction of the target
+    const candidates = [lower, upper]
+      .map(bound => ({ bound, value: evaluate(setDriverValues(inputs, driver, valuesAt(bound))) }))
+      .filter(({ value }) => (value - baseValue) * (target - baseValue) > 0)
+      .sort((a, b) => Math.abs(a.value - target) - Math.abs(b.value - target));
+
+    return {
+      driver,
+      periods,
+      baseValues,
+      lower,
+      upper,
+      bound: candidates[0]?.bound,
+      isEffective: candidates.length > 0,
+    };
+  });
+  const activePlans = plans.filter(plan => plan.isEffective);
+
+  const applyFraction = (t, round = (value) => value) => activePlans.reduce((acc, plan) => setDriverValues(
+    acc,
+    plan.driver,
+    Object.fromEntries(plan.periods.map((index, i) => [
+      index,
+      round(plan.baseValues[i] + t * (plan.bound - plan.baseValues[i])),
+    ])),
+  ), inputs);
+
+  let fraction = 0;
+  let iterations = 0;
+  let converged = Math.abs(baseValue - target) <= tolerance;
+
+  if (!converged && activePlans.length > 0) {
+    const baseSign = Math.sign(baseValue - target);
+    const fullGap = evaluate(applyFraction(1)) - target;
+
+    if (Math.sign(fullGap) === baseSign && Math.abs(fullGap) > tolerance) {
+      // Target out of reach within the bounds: best effort is the bound itself
+      fraction = 1;
+    } else {
+      let low = 0;
+      let high = 1;
+      fraction = 1;
+      converged = Math.abs(fullGap) <= tolerance;
+      while (!converged && iterations < MAX_ITERATIONS) {
+        iterations += 1;
+        const mid = (low + high) / 2;
+        const gap = evaluate(applyFraction(mid)) - target;
+        if (Math.abs(gap) <= tolerance) {
+          fraction = mid;
+          converged = true;
+        } else if (Math.sign(gap) === baseSign) {
+          low = mid;
+        } else {
+          high = mid;
+          fraction = mid;
+        }
+      }
+    }
+  }
+
+  // The search runs on exact values; the solution is rounded to cents / hundredths of a percent
+  const solvedInputs = applyFraction(fraction, round2);
+
+  return {
+    metric,
+    target,
+    baseValue: round2(baseValue),
+    achievedValue: round2(evaluate(solvedInputs)),
+    converged,
+    iterations,
+    drivers: plans.map(plan => ({
+      driver: plan.driver,
+      label: fieldDefinitions[plan.driver]?.label || plan.driver,
+      lower: plan.lower,
+      upper: plan.upper,
+      isEffective: plan.isEffective,
+      changes: plan.periods.map((periodIndex, i) => ({
+        periodIndex,
+        from: plan.baseValues[i],
+        to: solvedInputs[periodIndex][plan.driver] ?? plan.baseValues[i],
+      })),
+    })),
+    inputs: solvedInputs,
+  };
+};
@@ -0,0 +1,139 @@
+/**
+ * Inflation adjustment
+ * Restates processed periods to constant currency of a base period using a price index
+ * (IPCA, IGP-M or a custom index) and reports revenue and profit growth in nominal and real terms
+ */
+
+import { calculateFinancialRatios } from './calculations';
+import { scaleStatement } from './currency';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+const round4 = (num) => Math.round(num * 10000) / 10000;
+
+export const INFLATION_INDICES = {
+  IPCA: 'ipca',
+  IGPM: 'igpm',
+  CUSTOM: 'custom',
+};
+
+export const INFLATION_INDEX_LABELS = {
+  [INFLATION_INDICES.IPCA]: 'IPCA',
+  [INFLATION_INDICES.IGPM]: 'IGP-M',
+  [INFLATION_INDICES.CUSTOM]: 'Índice Personalizado',
+};
+
+/**
+ * Default inflation settings: the index tables hold the inflation of each period (%)
+ * @returns {object}
+ */
+export const getDefaultInflationSettings = () => ({
+  enabled: false,
+  indexType: INFLATION_INDICES.IPCA,
+  indexTables: {
+    [INFLATION_INDICES.IPCA]: [],
+    [INFLATION_INDICES.IGPM]: [],
+    [INFLATION_INDICES.CUSTOM]: [],
+  },
+  basePeriodIndex: null,
+  realTerms: false,
+});
+
+/**
+ * Periods without an inflation rate in the selected index table
+ * @param {Array<number|null>} rates - Inflation of each period (%)
+ * @param {number} periodCount
+ * @returns {number[]} Zero-based period indexes
+ */
+export const getMissingInflationPeriods = (rates, periodCount) => Array.from({ length: periodCount }, (_, index) => index)
+  .filter(index => typeof rates?.[index] !== 'number' || !Number.isFinite(rates[index]));
+
+const growth = (current, previous) => (previous
+  ? round2(((current - previous) / Math.abs(previous)) * 100)
+  : 0);
+
+/**
+ * Adds real growth to the trends and, in the real-terms view, restates every period to
+ * constant currency of the end of the base period
+ *
+ * Each period is restated with a single factor (base price index / period price index), so
+ * every statement stays internally consistent and real growth equals nominal growth deflated
+ * by the period's inflation. The nominal trends are kept as computed by the engine.
+ *
+ * @param {Array<object>} periods - processFinancialData output (nominal)
+ * @param {object} options
+ * @param {Array<number>} options.rates - Inflation of each period (%)
+ * @param {number|null} [options.basePeriodIndex] - Base date of the constant currency (defaults to the last period)
+ * @param {boolean} [options.realTerms] - Restate the statements (otherwise only the trends gain real growth)
+ * @param {string} [options.indexType] - See INFLATION_INDICES
+ * @returns {Array<object>} Periods with trends.revenueGrowthReal/profitGrowthReal and an inflationAdjustment summary
+ */
+export const applyInflationAdjustment = (periods, { rates, basePeriodIndex = null, realTerms = false, indexType = INFLATION_INDICES.CUSTOM }) => {
+  const missing = getMissingInflationPeriods(rates, periods.length);
+  if (missing.length > 0) {
+    throw new Error(`Informe a inflação do período ${missing[0] + 1} no índice ${INFLATION_INDEX_LABELS[indexType] || indexType}.`);
+  }
+
+  // Price index at the end of each period (start of the first period = 100)
+  const priceIndex = [];
+  rates.slice(0, periods.length).forEach((rate, index) => {
+    priceIndex.push((index === 0 ? 100 : priceIndex[index - 1]) * (1 + rate / 100));
+  });
+  const baseIndex = basePeriodIndex !== null && basePeriodIndex >= 0 && basePeriodIndex < periods.length
+    ? basePeriodIndex
+    : periods.length - 1;
+
+  const realFigures = periods.map((period, index) => {
+    const factor = priceIndex[baseIndex] / priceIndex[index];
+    return {
+      factor,
+      revenue: round2(period.incomeStatement.revenue * factor),
+      netIncome: round2(period.incomeStatement.netIncome * factor),
+    };
+  });
+
+  return periods.map((period, index) => {
+    const { factor, revenue, netIncome } = realFigures[index];
+    const previous = realFigures[index - 1];
+    const trends = previous
+      ? {
+        ...period.trends,
+        revenueGrowthReal: growth(revenue, previous.revenue),
+        profitGrowthReal: growth(netIncome, previous.netIncome),
+        inflationRate: rates[index],
+      }
+      : period.trends;
+
+    const inflationAdjustment = {
+      indexType,
+      inflationRate: rates[index],
+      priceIndex: round4(priceIndex[index]),
+      factor: round4(factor),
+      basePeriodIndex: baseIndex,
+      isRealTerms: realTerms,
+      revenue: { nominal: period.incomeStatement.revenue, real: revenue },
+      netIncome: { nominal: period.incomeStatement.netIncome, real: netIncome },
+    };
+
+    if (!realTerms) {
+      return { ...period, trends, inflationAdjustment };
+    }
+
+    const incomeStatement = scaleStatement(period.incomeStatement, factor);
+    const cashFlow = scaleStatement(period.cashFlow, factor);
+    const balanceSheet = scaleStatement(period.balanceSheet, factor);
+
+    return {
+      ...period,
+      incomeStatement,
+      cashFlow,
+      ...(period.directCashFlow && { directCashFlow: scaleStatement(period.directCashFlow, factor) }),
+      workingCapital: scaleStatement(period.workingCapital, factor),
+      balanceSheet,
+      ratios: calculateFinancialRatios({ incomeStatement, balanceSheet, cashFlow }),
+      ...(period.fixedAssets && { fixedAssets: scaleStatement(period.fixedAssets, factor) }),
+      ...(period.debt && { debt: scaleStatement(period.debt, factor) }),
+      trends,
+      inflationAdjustment,
+    };
+  });
+};
@@ -0,0 +1,315 @@
+/**
+ * Monte Carlo cash-flow simulation
+ * Samples projection drivers from probability distributions (optionally correlated
+ * through a Gaussian copula), runs each draw through the projection engine and
+ * summarizes the closing cash of every period as percentile bands
+ */
+
+import { processFinancialData } from './calculations';
+import { projectFromProcessedHistory } from './projections';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const SIMULATION_DISTRIBUTIONS = {
+  NORMAL: 'normal',
+  TRIANGULAR: 'triangular',
+  UNIFORM: 'uniform',
+};
+
+export const SIMULATION_DISTRIBUTION_LABELS = {
+  [SIMULATION_DISTRIBUTIONS.NORMAL]: 'Normal',
+  [SIMULATION_DISTRIBUTIONS.TRIANGULAR]: 'Triangular',
+  [SIMULATION_DISTRIBUTIONS.UNIFORM]: 'Uniforme',
+};
+
+/**
+ * Drivers that can be simulated (keys of PROJECTION_DRIVERS) and the distribution
+ * suggested when a driver is switched on
+ */
+export const DEFAULT_DRIVER_DISTRIBUTIONS = {
+  revenueGrowth: { distribution: SIMULATION_DISTRIBUTIONS.NORMAL, mean: 5, stdDev: 5 },
+  grossMarginPercent: { distribution: SIMULATION_DISTRIBUTIONS.TRIANGULAR, min: 25, mode: 30, max: 35 },
+  dso: { distribution: SIMULATION_DISTRIBUTIONS.UNIFORM, min: 30, max: 60 },
+  dpo: { distribution: SIMULATION_DISTRIBUTIONS.UNIFORM, min: 30, max: 60 },
+};
+
+export const SIMULATION_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+export const MAX_SIMULATION_ITERATIONS = 5000;
+
+// Same horizon as the three-statement projection
+export const MAX_SIMULATION_FORECAST_PERIODS = 24;
+
+// Iterations × (historical + forecast) periods, keeping a simulation well inside the worker's 30 s timeout
+export const MAX_SIMULATION_PERIOD_ITERATIONS = 60000;
+
+const HISTOGRAM_BINS = 20;
+
+/**
+ * Default simulation settings
+ * @returns {{iterations: number, forecastPeriods: number, drivers: object, correlations: Array, seed: number|null}}
+ */
+export const getDefaultSimulationSettings = () => ({
+  iterations: 2000,
+  forecastPeriods: 4,
+  drivers: {},
+  correlations: [],
+  seed: null,
+});
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so simulations can be reproduced
+ * @param {number|null} seed - Integer seed; null/undefined uses Math.random
+ * @returns {() => number} Uniform generator on [0, 1)
+ */
+export const createRandomGenerator = (seed) => {
+  if (seed === null || seed === undefined) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {() => number} random - Uniform generator
+ * @returns {number}
+ */
+export const standardNormal = (random) => {
+  const u1 = 1 - random(); // (0, 1] avoids log(0)
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26, error below 1.5e-7)
+ * @param {number} z
+ * @returns {number}
+ */
+export const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Maps a standard normal draw onto a driver distribution
+ * Normal drivers use the draw directly; uniform and triangular drivers go through
+ * the normal CDF and their inverse CDF, which preserves rank correlations
+ *
+ * @param {object} spec - { distribution, mean, stdDev } | { distribution, min, mode, max } | { distribution, min, max }
+ * @param {number} z - Standard normal draw
+ * @returns {number}
+ */
+export const sampleDistribution = (spec, z) => {
+  if (spec.distribution === SIMULATION_DISTRIBUTIONS.NORMAL) {
+    return (spec.mean || 0) + (spec.stdDev || 0) * z;
+  }
+
+  const u = normalCdf(z);
+  const min = spec.min || 0;
+  const max = Math.max(min, spec.max || 0);
+
+  if (spec.distribution === SIMULATION_DISTRIBUTIONS.TRIANGULAR) {
+    const mode = Math.min(max, Math.max(min, spec.mode ?? (min + max) / 2));
+    const range = max - min;
+    if (range === 0) return min;
+    const split = (mode - min) / range;
+    return u < split
+      ? min + Math.sqrt(u * range * (mode - min))
+      : max - Math.sqrt((1 - u) * range * (max - mode));
+  }
+
+  return min + (max - min) * u;
+};
+
+/**
+ * Cholesky factor (lower triangular) of a correlation matrix
+ * @param {number[][]} matrix - Symmetric correlation matrix
+ * @returns {number[][]}
+ * @throws {Error} When the matrix is not positive definite
+ */
+export const choleskyDecomposition = (matrix) => {
+  const size = matrix.length;
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+
+      if (i === j) {
+        if (sum <= 0) {
+          throw new Error('A matriz de correlação entre as premissas não é positiva definida. Revise os coeficientes informados.');
+        }
+        lower[i][j] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+
+  return lower;
+};
+
+/**
+ * Correlation matrix for the simulated drivers
+ * @param {string[]} driverKeys - Simulated drivers, in sampling order
+ * @param {Array<{drivers: [string, string], coefficient: number}>} correlations - Pairwise coefficients
+ * @returns {number[][]}
+ */
+export const buildCorrelationMatrix = (driverKeys, correlations = []) => {
+  const matrix = driverKeys.map((_, i) => driverKeys.map((__, j) => (i === j ? 1 : 0)));
+
+  (correlations || []).forEach(({ drivers = [], coefficient }) => {
+    const i = driverKeys.indexOf(drivers[0]);
+    const j = driverKeys.indexOf(drivers[1]);
+    if (i < 0 || j < 0 || i === j || typeof coefficient !== 'number') return;
+    const rho = Math.max(-1, Math.min(1, coefficient));
+    matrix[i][j] = rho;
+    matrix[j][i] = rho;
+  });
+
+  return matrix;
+};
+
+/**
+ * Percentile of a sorted sample with linear interpolation
+ * @param {number[]} sortedValues - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+export const percentile = (sortedValues, p) => {
+  if (!sortedValues.length) return null;
+  const position = (p / 100) * (sortedValues.length - 1);
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.ceil(position);
+  const weight = position - lowerIndex;
+  return sortedValues[lowerIndex] + (sortedValues[upperIndex] - sortedValues[lowerIndex]) * weight;
+};
+
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1);
+  return SIMULATION_PERCENTILES.reduce((acc, p) => {
+    acc[`p${p}`] = round2(percentile(sorted, p));
+    return acc;
+  }, { mean: round2(mean) });
+};
+
+const buildHistogram = (values, bins = HISTOGRAM_BINS) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (min === max) return [{ from: round2(min), to: round2(max), count: values.length }];
+
+  const width = (max - min) / bins;
+  const histogram = Array.from({ length: bins }, (_, index) => ({
+    from: round2(min + index * width),
+    to: round2(min + (index + 1) * width),
+    count: 0,
+  }));
+  values.forEach(value => {
+    histogram[Math.min(bins - 1, Math.floor((value - min) / width))].count += 1;
+  });
+  return histogram;
+};
+
+/**
+ * Closing cash of each period rolled from the opening cash of the first period
+ * The engine's balance sheet cash is an estimate floored at 10% of revenue, so the
+ * simulation accumulates net cash flow instead to let balances turn negative
+ * @param {Array} periods - processFinancialData output
+ * @param {number} openingCash - Cash at the start of the first period
+ * @returns {number[]}
+ */
+export const rollClosingCash = (periods, openingCash = 0) => {
+  let cash = openingCash;
+  return periods.map(period => {
+    cash = round2(cash + (period.cashFlow?.netCashFlow || 0));
+    return cash;
+  });
+};
+
+/**
+ * Runs the Monte Carlo simulation of closing cash
+ * Each iteration draws one value per simulated driver and holds it over the whole
+ * forecast horizon; drivers that are not simulated follow the projection assumptions
+ *
+ * @param {Array} historicalInputs - Raw historical inputs
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} options - processFinancialData options plus
+ *   simulation: { iterations, forecastPeriods, drivers, correlations, seed } and
+ *   an optional projection whose assumptions serve as the deterministic base
+ * @returns {{
+ *   iterations: number,
+ *   drivers: string[],
+ *   periods: Array<object>,
+ *   probabilityNegativeCash: number,
+ *   minimumCash: object
+ * }} Percentile bands per period (historical periods collapse to their actual cash),
+ *   probability of a negative balance in any forecast period and the distribution of
+ *   the minimum forecast cash of each iteration
+ */
+export const simulateCashFlow = (historicalInputs, periodType, options = {}) => {
+  const { simulation = {}, projection, ...engineOptions } = options;
+  const iterations = Math.min(MAX_SIMULATION_ITERATIONS, Math.max(1, Math.floor(simulation.iterations || 0)));
+  const forecastPeriods = Math.min(MAX_SIMULATION_FORECAST_PERIODS, simulation.forecastPeriods || projection?.forecastPeriods || 0);
+  const driverKeys = Object.keys(simulation.drivers || {});
+  const random = createRandomGenerator(simulation.seed);
+  const cholesky = choleskyDecomposition(buildCorrelationMatrix(driverKeys, simulation.correlations));
+
+  // Sampled drivers only move the forecast, so the historical periods are processed once
+  const historical = processFinancialData(historicalInputs, periodType, engineOptions);
+  const historicalCount = historicalInputs.length;
+  const openingCash = historicalInputs[0]?.openingCash || 0;
+  const cashByPeriod = Array.from({ length: historicalCount + forecastPeriods }, () => []);
+  const minimumCash = [];
+  let negativeIterations = 0;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const independent = driverKeys.map(() => standardNormal(random));
+    const sampled = driverKeys.reduce((acc, key, i) => {
+      const correlated = cholesky[i].reduce((sum, weight, k) => sum + weight * (independent[k] || 0), 0);
+      acc[key] = sampleDistribution(simulation.drivers[key], correlated);
+      return acc;
+    }, {});
+
+    const periods = projectFromProcessedHistory(historicalInputs, historical, periodType, {
+      ...engineOptions,
+      projection: { forecastPeriods, assumptions: { ...(projection?.assumptions || {}), ...sampled } },
+    });
+
+    const forecastCash = [];
+    rollClosingCash(periods, openingCash).forEach((cash, index) => {
+      cashByPeriod[index].push(cash);
+      if (periods[index].isForecast) forecastCash.push(cash);
+    });
+
+    if (forecastCash.length > 0) {
+      const minCash = Math.min(...forecastCash);
+      minimumCash.push(minCash);
+      if (minCash < 0) negativeIterations += 1;
+    }
+  }
+
+  return {
+    iterations,
+    drivers: driverKeys,
+    periods: cashByPeriod.map((values, index) => ({
+      periodIndex: index,
+      isForecast: index >= historicalCount,
+      ...summarize(values),
+      probabilityNegative: round2(values.filter(value => value < 0).length / iterations),
+    })),
+    probabilityNegativeCash: round2(negativeIterations / iterations),
+    minimumCash: minimumCash.length > 0
+      ? { ...summarize(minimumCash), histogram: buildHistogram(minimumCash) }
+      : null,
+  };
+};
@@ -0,0 +1,211 @@
+/**
+ * Multi-period forward projection engine
+ * Projects the three statements N periods beyond the last historical period
+ * from assumption curves per driver and runs them through processFinancialData,
+ * so forecasts come out in the same processedData shape as historical periods
+ */
+
+import { processFinancialData, safeDivide } from './calculations';
+import { PERIOD_TYPES } from './constants';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Drivers accepted as assumption curves
+ * Percentages are stored as percent values (e.g., 5 = 5%)
+ */
+export const PROJECTION_DRIVERS = {
+  revenueGrowth: { label: 'Crescimento da Receita', unit: '%' },
+  grossMarginPercent: { label: 'Margem Bruta', unit: '%' },
+  opexPercent: { label: 'Despesas Operacionais', unit: '% da receita' },
+  dso: { label: 'PMR', unit: 'dias' },
+  dio: { label: 'PME', unit: 'dias' },
+  dpo: { label: 'PMP', unit: 'dias' },
+  capexPercent: { label: 'CAPEX', unit: '% da receita' },
+  payoutPercent: { label: 'Payout de Dividendos', unit: '% do lucro' },
+};
+
+export const FORECAST_LABEL_SUFFIX = '(P)';
+
+/**
+ * Default projection settings (assumptions left empty repeat the last historical period)
+ * @returns {object} Projection settings used by projectFinancialData
+ */
+export const getDefaultProjectionSettings = () => ({
+  forecastPeriods: 3,
+  assumptions: {},
+});
+
+/**
+ * Value of an assumption curve for a forecast period
+ * A curve is a constant or an array per forecast period (last value repeats);
+ * empty curves return null so the caller can fall back to the base assumption
+ * @param {number|number[]|null|undefined} curve - Assumption curve
+ * @param {number} index - 0-based forecast period
+ * @returns {number|null}
+ */
+export const resolveCurveValue = (curve, index) => {
+  if (Array.isArray(curve)) {
+    const values = curve.filter(value => typeof value === 'number' && !isNaN(value));
+    return values.length > 0 ? values[Math.min(index, values.length - 1)] : null;
+  }
+  return typeof curve === 'number' && !isNaN(curve) ? curve : null;
+};
+
+/**
+ * Base assumptions implied by the last historical period
+ * Gross margin is measured before revenue taxes (1 - COGS / gross revenue)
+ * @param {object} lastInput - Raw input of the last historical period
+ * @param {object} lastProcessed - Processed last historical period
+ * @returns {object} Driver values, plus depreciationPercent held flat over the forecast
+ */
+export const deriveBaseAssumptions = (lastInput, lastProcessed) => {
+  const { incomeStatement, workingCapital, cashFlow, trends } = lastProcessed;
+  const { revenue, cogs, operatingExpenses, depreciation, netIncome } = incomeStatement;
+  const dividends = lastInput.dividends ?? lastInput.dividendsPaid ?? 0;
+
+  return {
+    revenueGrowth: trends?.revenueGrowth || 0,
+    grossMarginPercent: round2((1 - safeDivide(cogs, revenue)) * 100),
+    opexPercent: round2(safeDivide(operatingExpenses, revenue) * 100),
+    dso: workingCapital.dso,
+    dio: workingCapital.dio,
+    dpo: workingCapital.dpo,
+    capexPercent: round2(safeDivide(cashFlow.capex, revenue) * 100),
+    payoutPercent: netIncome > 0 ? round2(safeDivide(dividends, netIncome) * 100) : 0,
+    depreciationPercent: round2(safeDivide(depreciation, revenue) * 100),
+  };
+};
+
+/**
+ * Builds the raw engine inputs of the forecast periods
+ * Dividends are left at zero; projectFinancialData sets them from the payout
+ * once each period's net income is known
+ *
+ * @param {Array} historicalInputs - Raw historical inputs
+ * @param {Array} historicalProcessed - processFinancialData output for the historical inputs
+ * @param {object} assumptions - Assumption curves keyed by PROJECTION_DRIVERS
+ * @param {number} forecastPeriods - Number of periods to project
+ * @returns {Array<object>} Forecast inputs with the resolved assumptions of each period
+ */
+export const buildForecastInputs = (historicalInputs, historicalProcessed, assumptions = {}, forecastPeriods) => {
+  const lastIndex = historicalProcessed.length - 1;
+  const lastInput = historicalInputs[lastIndex] || {};
+  const base = deriveBaseAssumptions(lastInput, historicalProcessed[lastIndex]);
+  let revenue = historicalProcessed[lastIndex].incomeStatement.revenue;
+
+  return Array.from({ length: forecastPeriods }, (_, index) => {
+    const resolved = Object.keys(base).reduce((acc, key) => {
+      acc[key] = resolveCurveValue(assumptions[key], index) ?? base[key];
+      return acc;
+    }, {});
+
+    revenue = round2(Math.max(0, revenue * (1 + resolved.revenueGrowth / 100)));
+
+    return {
+      revenue,
+      cogs: round2(revenue * (1 - resolved.grossMarginPercent / 100)),
+      operatingExpenses: round2(revenue * resolved.opexPercent / 100),
+      depreciation: round2(revenue * resolved.depreciationPercent / 100),
+      capex: round2(revenue * resolved.capexPercent / 100),
+      accountsReceivableDays: resolved.dso,
+      inventoryDays: resolved.dio,
+      accountsPayableDays: resolved.dpo,
+      financialRevenue: lastInput.financialRevenue || 0,
+      financialExpenses: lastInput.financialExpenses || 0,
+      dividends: 0,
+      assumptions: resolved,
+    };
+  });
+};
+
+/**
+ * Projects the three statements forward from already processed historical periods
+ * Callers that project many times from the same history (the Monte Carlo simulation)
+ * process the historical periods once and pass them in
+ *
+ * @param {Array} historicalInputs - Raw historical inputs
+ * @param {Array} historical - processFinancialData output for the historical inputs
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} options - processFinancialData options plus
+ *   projection: { forecastPeriods, assumptions }
+ * @returns {Array} processedData periods flagged with isForecast; forecast periods
+ *   also carry the resolved assumptions
+ */
+export const projectFromProcessedHistory = (historicalInputs, historical, periodType, options = {}) => {
+  const { projection, ...engineOptions } = options;
+  const forecastPeriods = projection?.forecastPeriods || 0;
+
+  if (forecastPeriods <= 0 || historical.length === 0) {
+    return historical.map(period => ({ ...period, isForecast: false }));
+  }
+
+  const forecastInputs = buildForecastInputs(
+    historicalInputs,
+    historical,
+    projection.assumptions,
+    forecastPeriods,
+  );
+
+  // Dividends do not affect net income, so a first pass fixes the payout base
+  const firstPass = processFinancialData([...historicalInputs, ...forecastInputs], periodType, engineOptions);
+  const inputsWithDividends = forecastInputs.map((input, index) => {
+    const { netIncome } = firstPass[historical.length + index].incomeStatement;
+    return {
+      ...input,
+      dividends: round2(Math.max(0, netIncome) * input.assumptions.payoutPercent / 100),
+    };
+  });
+
+  const processed = processFinancialData(
+    [...historicalInputs, ...inputsWithDividends],
+    periodType,
+    engineOptions,
+  );
+
+  return processed.map((period, index) => (index < historical.length
+    ? { ...period, isForecast: false }
+    : { ...period, isForecast: true, assumptions: inputsWithDividends[index - historical.length].assumptions }));
+};
+
+/**
+ * Processes historical periods and projects the three statements forward
+ * Historical and forecast periods run through processFinancialData as one series,
+ * so working capital changes, loss carryforwards, the asset register and the debt
+ * schedule roll continuously from the last historical period into the forecast
+ *
+ * @param {Array} historicalInputs - Raw historical inputs
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} options - processFinancialData options plus
+ *   projection: { forecastPeriods, assumptions }
+ * @returns {Array} processedData periods flagged with isForecast; forecast periods
+ *   also carry the resolved assumptions
+ */
+export const projectFinancialData = (historicalInputs, periodType, options = {}) => {
+  const { projection, ...engineOptions } = options;
+  const historical = processFinancialData(historicalInputs, periodType, engineOptions);
+  return projectFromProcessedHistory(historicalInputs, historical, periodType, { ...engineOptions, projection });
+};
+
+/**
+ * Period label used by tables and charts, flagging forecast periods
+ * @param {string} periodType - Key of PERIOD_TYPES
+ * @param {number} index - 0-based period index
+ * @param {boolean} isForecast - Whether the period is projected
+ * @returns {string} e.g. "Ano 3" or "Ano 4 (P)"
+ */
+export const getPeriodLabel = (periodType, index, isForecast = false) => {
+  const label = `${PERIOD_TYPES[periodType]?.shortLabel || 'Per.'} ${index + 1}`;
+  return isForecast ? `${label} ${FORECAST_LABEL_SUFFIX}` : label;
+};
+
+/**
+ * Category range of forecast points for shading charts
+ * @param {Array<{name: string, isForecast?: boolean}>} chartData - Chart points
+ * @returns {{x1: string, x2: string}|null}
+ */
+export const getForecastRange = (chartData) => {
+  const forecastPoints = (chartData || []).filter(point => point.isForecast);
+  if (forecastPoints.length === 0) return null;
+  return { x1: forecastPoints[0].name, x2: forecastPoints[forecastPoints.length - 1].name };
+};
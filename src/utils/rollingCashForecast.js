@@ -0,0 +1,230 @@
+/**
+ * Rolling 13-week cash forecast
+ * Weekly receipts (AR collections by aging bucket) and disbursements (payroll, supplier
+ * runs, tax dates) rolled from an opening balance, with a roll-forward that closes the
+ * oldest week against its actuals and appends a new week at the end of the horizon
+ */
+
+import { ROLLING_FORECAST_WEEKS } from './constants';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Input grid lines
+ */
+export const RECEIPT_LINES = [
+  { key: 'arCurrent', label: 'Recebíveis a Vencer' },
+  { key: 'arOverdue1to30', label: 'Recebíveis Vencidos 1-30 dias' },
+  { key: 'arOverdue31to60', label: 'Recebíveis Vencidos 31-60 dias' },
+  { key: 'arOverdue61to90', label: 'Recebíveis Vencidos 61-90 dias' },
+  { key: 'arOverdue90plus', label: 'Recebíveis Vencidos +90 dias' },
+  { key: 'otherReceipts', label: 'Outros Recebimentos' },
+];
+
+// flow: cash flow statement activity, used to split operating and free cash flow
+export const DISBURSEMENT_LINES = [
+  { key: 'payroll', label: 'Folha de Pagamento', flow: 'operating' },
+  { key: 'supplierPayments', label: 'Pagamento a Fornecedores', flow: 'operating' },
+  { key: 'taxPayments', label: 'Impostos e Tributos', flow: 'operating' },
+  { key: 'otherDisbursements', label: 'Outros Pagamentos', flow: 'operating' },
+  { key: 'capex', label: 'Investimentos (CAPEX)', flow: 'investing' },
+  { key: 'debtService', label: 'Serviço da Dívida', flow: 'financing' },
+];
+
+const ALL_LINES = [
+  ...RECEIPT_LINES.map(line => ({ ...line, type: 'receipt' })),
+  ...DISBURSEMENT_LINES.map(line => ({ ...line, type: 'disbursement' })),
+];
+
+/**
+ * Monday of the week of a date, as an ISO date (YYYY-MM-DD, UTC)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const getWeekStart = (date) => {
+  const day = new Date(date);
+  const utc = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+  const offset = (new Date(utc).getUTCDay() + 6) % 7;
+  return new Date(utc - offset * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * @param {string} weekStart - ISO date
+ * @param {number} weeks - Weeks to add (may be negative)
+ * @returns {string} ISO date
+ */
+export const addWeeks = (weekStart, weeks) => new Date(Date.parse(`${weekStart}T00:00:00Z`) + weeks * 7 * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+const emptyLines = () => Object.fromEntries(ALL_LINES.map(({ key }) => [key, 0]));
+
+/**
+ * @param {string} weekStart - ISO date of the Monday
+ * @param {object} [forecast] - Forecast values per line (missing lines are zero)
+ * @returns {{weekStart: string, forecast: object, actual: object | null}}
+ */
+export const createWeek = (weekStart, forecast = {}) => ({
+  weekStart,
+  forecast: { ...emptyLines(), ...forecast },
+  actual: null,
+});
+
+/**
+ * Default rolling forecast: 13 empty weeks starting on the Monday of the current week
+ * @param {Date} [today]
+ * @returns {object}
+ */
+export const getDefaultRollingForecast = (today = new Date()) => {
+  const startDate = getWeekStart(today);
+  return {
+    openingCash: 0,
+    minimumCash: 0,
+    weeks: Array.from({ length: ROLLING_FORECAST_WEEKS }, (_, index) => createWeek(addWeeks(startDate, index))),
+    history: [],
+  };
+};
+
+const OPERATING_DISBURSEMENT_LINES = DISBURSEMENT_LINES.filter(line => line.flow === 'operating');
+const INVESTING_DISBURSEMENT_LINES = DISBURSEMENT_LINES.filter(line => line.flow === 'investing');
+
+const sumLines = (values, lines) => lines.reduce((sum, { key }) => sum + (Number(values?.[key]) || 0), 0);
+
+/**
+ * Totals of a set of line values
+ * @param {object} values - Values per line key
+ * @returns {{receipts: number, disbursements: number, netFlow: number}}
+ */
+export const summarizeLines = (values) => {
+  const receipts = sumLines(values, RECEIPT_LINES);
+  const disbursements = sumLines(values, DISBURSEMENT_LINES);
+  return {
+    receipts: round2(receipts),
+    disbursements: round2(disbursements),
+    netFlow: round2(receipts - disbursements),
+  };
+};
+
+/**
+ * Week-by-week cash roll
+ * Weeks with actuals roll on the actual values, the remaining weeks on the forecast
+ * @param {object} rollingForecast - See getDefaultRollingForecast
+ * @returns {{weeks: Array<object>, summary: object}} weeks: [{ weekStart, isActual, receipts,
+ *   disbursements, netFlow, operatingCashFlow, freeCashFlow, openingCash, closingCash, isBelowMinimum }]
+ */
+export const buildRollingCashGrid = (rollingForecast) => {
+  const { openingCash = 0, minimumCash = 0, weeks = [] } = rollingForecast || {};
+  let cash = Number(openingCash) || 0;
+
+  const rows = weeks.map((week, index) => {
+    const isActual = Boolean(week.actual);
+    const values = isActual ? week.actual : week.forecast;
+    const totals = summarizeLines(values);
+    const operatingCashFlow = totals.receipts - sumLines(values, OPERATING_DISBURSEMENT_LINES);
+    const weekOpening = cash;
+    cash += totals.netFlow;
+    return {
+      weekIndex: index,
+      weekStart: week.weekStart,
+      isActual,
+      ...totals,
+      operatingCashFlow: round2(operatingCashFlow),
+      freeCashFlow: round2(operatingCashFlow - sumLines(values, INVESTING_DISBURSEMENT_LINES)),
+      openingCash: round2(weekOpening),
+      closingCash: round2(cash),
+      isBelowMinimum: cash < minimumCash,
+    };
+  });
+
+  const lowest = rows.reduce((min, row) => (!min || row.closingCash < min.closingCash ? row : min), null);
+
+  return {
+    weeks: rows,
+    summary: {
+      totalReceipts: round2(rows.reduce((sum, row) => sum + row.receipts, 0)),
+      totalDisbursements: round2(rows.reduce((sum, row) => sum + row.disbursements, 0)),
+      endingCash: rows.length > 0 ? rows[rows.length - 1].closingCash : round2(Number(openingCash) || 0),
+      lowestCash: lowest ? lowest.closingCash : null,
+      lowestCashWeek: lowest ? lowest.weekStart : null,
+      weeksBelowMinimum: rows.filter(row => row.isBelowMinimum).length,
+    },
+  };
+};
+
+/**
+ * Actual vs forecast of a week, per line
+ * Variance is actual - forecast; a variance is favorable when it adds cash
+ * (receipts above forecast, disbursements below)
+ * @param {object} week - Week with forecast and actual values
+ * @returns {{lines: Array<object>, totals: object}}
+ */
+export const compareActualToForecast = (week) => {
+  const actual = week.actual || {};
+  const lines = ALL_LINES.map(({ key, label, type }) => {
+    const forecastValue = round2(Number(week.forecast?.[key]) || 0);
+    const actualValue = round2(Number(actual[key]) || 0);
+    const variance = round2(actualValue - forecastValue);
+    return {
+      key,
+      label,
+      type,
+      forecast: forecastValue,
+      actual: actualValue,
+      variance,
+      variancePercent: forecastValue ? round2((variance / Math.abs(forecastValue)) * 100) : null,
+      isFavorable: type === 'receipt' ? variance >= 0 : variance <= 0,
+    };
+  });
+
+  const forecastTotals = summarizeLines(week.forecast);
+  const actualTotals = summarizeLines(actual);
+
+  return {
+    lines,
+    totals: {
+      forecastNetFlow: forecastTotals.netFlow,
+      actualNetFlow: actualTotals.netFlow,
+      variance: round2(actualTotals.netFlow - forecastTotals.netFlow),
+    },
+  };
+};
+
+/**
+ * Rolls the forecast one week forward
+ * The oldest week is closed on its actuals (its closing cash becomes the new opening cash and
+ * its actual vs forecast comparison goes to history); a new week repeating the forecast of the
+ * last week is appended so the horizon stays the same length
+ * @param {object} rollingForecast - See getDefaultRollingForecast
+ * @returns {object} New rolling forecast
+ */
+export const rollForward = (rollingForecast) => {
+  const { weeks = [], history = [] } = rollingForecast || {};
+  const [closedWeek, ...remaining] = weeks;
+
+  if (!closedWeek) {
+    throw new Error('Não há semanas na projeção para rolar.');
+  }
+  if (!closedWeek.actual) {
+    throw new Error('Informe os valores realizados da semana mais antiga antes de rolar a projeção.');
+  }
+
+  const closed = buildRollingCashGrid({ ...rollingForecast, weeks: [closedWeek] }).weeks[0];
+  const lastWeek = weeks[weeks.length - 1];
+
+  return {
+    ...rollingForecast,
+    openingCash: closed.closingCash,
+    weeks: [...remaining, createWeek(addWeeks(lastWeek.weekStart, 1), lastWeek.forecast)],
+    history: [
+      ...history,
+      {
+        weekStart: closedWeek.weekStart,
+        openingCash: closed.openingCash,
+        closingCash: closed.closingCash,
+        ...compareActualToForecast(closedWeek),
+      },
+    ],
+  };
+};
@@ -0,0 +1,118 @@
+/**
+ * Scenario comparison
+ * Named scenarios cloned from the inputs, with percentage changes per driver, run side by
+ * side through the engine; key metrics and closing cash are compared against the first
+ * (base) scenario
+ */
+
+import { processFinancialData } from './calculations';
+import { applyDriverChange } from './sensitivity';
+import { rollClosingCash } from './monteCarlo';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Compared metrics
+ * 'flow' metrics are summed over the periods; 'balance' and 'ratio' metrics take the last period
+ */
+export const SCENARIO_METRICS = [
+  { key: 'revenue', label: 'Receita Líquida', statement: 'incomeStatement', kind: 'flow' },
+  { key: 'grossProfit', label: 'Lucro Bruto', statement: 'incomeStatement', kind: 'flow' },
+  { key: 'ebitda', label: 'EBITDA', statement: 'incomeStatement', kind: 'flow' },
+  { key: 'ebitdaMargin', label: 'Margem EBITDA (%)', statement: 'incomeStatement', kind: 'ratio' },
+  { key: 'netIncome', label: 'Lucro Líquido', statement: 'incomeStatement', kind: 'flow' },
+  { key: 'operatingCashFlow', label: 'Fluxo de Caixa Operacional', statement: 'cashFlow', kind: 'flow' },
+  { key: 'freeCashFlow', label: 'Fluxo de Caixa Livre', statement: 'cashFlow', kind: 'flow' },
+  { key: 'cashConversionCycle', label: 'Ciclo de Caixa (dias)', statement: 'workingCapital', kind: 'ratio' },
+  { key: 'closingCash', label: 'Caixa Final', statement: null, kind: 'balance' },
+];
+
+/**
+ * Scenario inputs with the driver adjustments applied
+ * @param {{periods: Array<object>, adjustments?: Object<string, number>}} scenario - Raw inputs and
+ *   percentage change per fieldDefinitions driver (e.g., { revenue: -10 })
+ * @returns {Array<object>}
+ */
+export const applyScenarioAdjustments = (scenario) => Object.entries(scenario.adjustments || {})
+  .filter(([, percent]) => Number(percent))
+  .reduce((inputs, [driver, percent]) => applyDriverChange(inputs, driver, Number(percent)), scenario.periods || []);
+
+/**
+ * Metric values per period of one processed scenario
+ * @param {Array<object>} periods - processFinancialData output
+ * @param {number} openingCash - Cash at the start of the first period
+ * @returns {Array<object>} One row per period keyed by SCENARIO_METRICS key
+ */
+export const buildScenarioRows = (periods, openingCash = 0) => {
+  const closingCash = rollClosingCash(periods, openingCash);
+
+  return periods.map((period, index) => SCENARIO_METRICS.reduce((row, metric) => ({
+    ...row,
+    [metric.key]: metric.key === 'closingCash'
+      ? closingCash[index]
+      : round2(Number(period[metric.statement]?.[metric.key]) || 0),
+  }), { periodIndex: index }));
+};
+
+const summarizeRows = (rows) => SCENARIO_METRICS.reduce((summary, metric) => ({
+  ...summary,
+  [metric.key]: metric.kind === 'flow'
+    ? round2(rows.reduce((sum, row) => sum + row[metric.key], 0))
+    : rows[rows.length - 1]?.[metric.key] ?? 0,
+}), {});
+
+/**
+ * Runs every scenario through the engine and compares them with the first one
+ *
+ * @param {Array<{id: string, name: string, type?: string, periods: Array<object>, adjustments?: object}>} scenarios
+ *   The first scenario is the base of the deltas
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} [options] - Engine options
+ * @returns {{baseScenarioId: string, scenarios: Array<object>, deltas: Array<object>}}
+ *   scenarios: [{ id, name, type, adjustments, rows, summary }];
+ *   deltas: [{ id, name, metrics: { [key]: { value, base, delta, deltaPercent } } }] for each non-base scenario
+ */
+export const compareScenarios = (scenarios, periodType, options = {}) => {
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    throw new Error('Informe ao menos um cenário para comparar.');
+  }
+
+  const results = scenarios.map(scenario => {
+    const inputs = applyScenarioAdjustments(scenario);
+    if (inputs.length === 0) {
+      throw new Error(`O cenário "${scenario.name}" não possui períodos.`);
+    }
+    const rows = buildScenarioRows(processFinancialData(inputs, periodType, options), Number(inputs[0]?.openingCash) || 0);
+    return {
+      id: scenario.id,
+      name: scenario.name,
+      type: scenario.type,
+      adjustments: scenario.adjustments || {},
+      rows,
+      summary: summarizeRows(rows),
+    };
+  });
+
+  const [base, ...others] = results;
+
+  return {
+    baseScenarioId: base.id,
+    scenarios: results,
+    deltas: others.map(result => ({
+      id: result.id,
+      name: result.name,
+      metrics: SCENARIO_METRICS.reduce((metrics, { key }) => {
+        const delta = result.summary[key] - base.summary[key];
+        return {
+          ...metrics,
+          [key]: {
+            value: result.summary[key],
+            base: base.summary[key],
+            delta: round2(delta),
+            deltaPercent: base.summary[key] ? round2((delta / Math.abs(base.summary[key])) * 100) : null,
+          },
+        };
+      }, {}),
+    })),
+  };
+};
@@ -0,0 +1,224 @@
+/**
+ * Monthly phasing of annual plans
+ * Splits each annual period into 12 months with a seasonality profile (flat, custom
+ * percentages or learned from historical monthly sales). Working capital follows the
+ * annual DSO/DIO/DPO, so receivables and inventory swing with seasonal sales, and the
+ * monthly cash roll exposes the peak funding requirement banks ask for.
+ */
+
+import { processFinancialData } from './calculations';
+import { rollClosingCash } from './monteCarlo';
+import { fieldDefinitions } from './fieldDefinitions';
+import { PERIOD_TYPES } from './constants';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const MONTHS_PER_YEAR = 12;
+export const MONTH_LABELS = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
+
+export const SEASONALITY_PROFILES = {
+  FLAT: 'flat',
+  CUSTOM: 'custom',
+  HISTORICAL: 'historical',
+};
+
+export const SEASONALITY_PROFILE_LABELS = {
+  [SEASONALITY_PROFILES.FLAT]: 'Linear (1/12 por mês)',
+  [SEASONALITY_PROFILES.CUSTOM]: 'Percentuais personalizados',
+  [SEASONALITY_PROFILES.HISTORICAL]: 'Aprendida do histórico mensal',
+};
+
+/**
+ * Flow fields that may follow the seasonality profile; other flows are spread evenly
+ */
+export const SEASONAL_FIELDS = ['revenue', 'operatingExpenses', 'capitalExpenditures'];
+
+// Closing balances interpolated from the previous year-end to the current one
+const CLOSING_BALANCE_FIELDS = ['netFixedAssets', 'totalBankLoans'];
+
+// Average balances replaced by the annual days, so balances follow monthly sales and COGS
+const WORKING_CAPITAL_FIELDS = {
+  accountsReceivableValueAvg: ['accountsReceivableDays', 'dso'],
+  inventoryValueAvg: ['inventoryDays', 'dio'],
+  accountsPayableValueAvg: ['accountsPayableDays', 'dpo'],
+};
+
+const flatPercentages = () => Array.from({ length: MONTHS_PER_YEAR }, () => round2(100 / MONTHS_PER_YEAR));
+
+/**
+ * Default phasing settings
+ * @returns {object}
+ */
+export const getDefaultSeasonalitySettings = () => ({
+  enabled: false,
+  profileType: SEASONALITY_PROFILES.FLAT,
+  customPercentages: flatPercentages(),
+  historicalPercentages: null, // Learned from an uploaded monthly history
+  seasonalFields: ['revenue'],
+  minimumCash: 0,
+});
+
+/**
+ * Seasonality profile learned from historical monthly sales
+ * Each complete year is converted to monthly shares and the shares are averaged, so
+ * growth between years does not bias the profile; a trailing partial year is ignored
+ *
+ * @param {number[]} monthlyValues - Monthly sales, first value = January
+ * @returns {number[]} 12 percentages summing to 100
+ */
+export const learnSeasonalityProfile = (monthlyValues) => {
+  const years = Math.floor((monthlyValues?.length || 0) / MONTHS_PER_YEAR);
+  if (years < 1) {
+    throw new Error(`Informe ao menos ${MONTHS_PER_YEAR} meses de histórico para calcular a sazonalidade.`);
+  }
+
+  const shares = Array(MONTHS_PER_YEAR).fill(0);
+  for (let year = 0; year < years; year++) {
+    const values = monthlyValues.slice(year * MONTHS_PER_YEAR, (year + 1) * MONTHS_PER_YEAR);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) {
+      throw new Error(`O ano ${year + 1} do histórico não tem vendas positivas.`);
+    }
+    values.forEach((value, month) => { shares[month] += value / total / years; });
+  }
+
+  return shares.map(share => round2(share * 100));
+};
+
+/**
+ * Monthly values of an uploaded history (CSV/TXT, one month per line)
+ * The last number of each line is the value; lines without numbers (headers) are skipped.
+ * Accepts pt-BR (1.234,56) and plain (1234.56) numbers.
+ *
+ * @param {string} text - File contents
+ * @returns {number[]}
+ */
+export const parseMonthlyHistory = (text) => text
+  .split(/\r?\n/)
+  .map(line => line.match(/-?[\d.]+(?:,\d+)?/g))
+  .filter(Boolean)
+  .map(tokens => {
+    const token = tokens[tokens.length - 1];
+    return Number(token.includes(',') ? token.replace(/\./g, '').replace(',', '.') : token);
+  })
+  .filter(value => Number.isFinite(value));
+
+/**
+ * Seasonality profile of the settings
+ * @param {object} settings - See getDefaultSeasonalitySettings
+ * @returns {number[]} 12 percentages summing to 100
+ */
+export const getSeasonalityProfile = (settings) => {
+  if (settings.profileType === SEASONALITY_PROFILES.FLAT) return flatPercentages();
+
+  const percentages = settings.profileType === SEASONALITY_PROFILES.HISTORICAL
+    ? settings.historicalPercentages
+    : settings.customPercentages;
+  if (!Array.isArray(percentages) || percentages.length !== MONTHS_PER_YEAR) {
+    throw new Error(settings.profileType === SEASONALITY_PROFILES.HISTORICAL
+      ? 'Carregue o histórico mensal de vendas para aprender a sazonalidade.'
+      : `Informe os percentuais dos ${MONTHS_PER_YEAR} meses.`);
+  }
+  if (percentages.some(value => value < 0)) {
+    throw new Error('Os percentuais de sazonalidade não podem ser negativos.');
+  }
+
+  const total = percentages.reduce((sum, value) => sum + value, 0);
+  if (Math.abs(total - 100) > 0.5) {
+    throw new Error(`Os percentuais de sazonalidade somam ${round2(total)}%; devem somar 100%.`);
+  }
+  return percentages;
+};
+
+/**
+ * Monthly inputs of the annual periods
+ *
+ * - Seasonal flows (settings.seasonalFields) follow the profile; other flows are spread evenly
+ * - Percentages (margins, tax rates) carry over to every month
+ * - Receivables, inventory and payables are set as the annual DSO/DIO/DPO
+ * - Closing balances move linearly from the previous year-end to the current one
+ * - First-period-only fields go to the first month; overrides are not phased
+ *
+ * @param {Array<object>} annualInputs - Raw annual period inputs
+ * @param {string} periodType - Must be 'anos'
+ * @param {object} settings - See getDefaultSeasonalitySettings
+ * @returns {{profile: number[], monthlyInputs: Array<object>}}
+ */
+export const phaseAnnualPeriods = (annualInputs, periodType, settings) => {
+  if (periodType !== 'anos') {
+    throw new Error('O faseamento mensal exige períodos anuais.');
+  }
+
+  const profile = getSeasonalityProfile(settings);
+  const seasonalFields = settings.seasonalFields || ['revenue'];
+  // Working capital days measured on the annual statements (covers value and days inputs)
+  const annualWorkingCapital = processFinancialData(annualInputs, periodType).map(period => period.workingCapital);
+
+  const monthlyInputs = annualInputs.flatMap((annual, yearIndex) => Array.from({ length: MONTHS_PER_YEAR }, (_, month) => {
+    const isFirstMonth = yearIndex === 0 && month === 0;
+
+    return Object.entries(annual).reduce((monthly, [key, value]) => {
+      const definition = fieldDefinitions[key];
+      if (key.startsWith('override_') || value === null || value === undefined || value === '') return monthly;
+
+      if (typeof value !== 'number') {
+        monthly[key] = value;
+      } else if (definition?.firstPeriodOnly) {
+        if (isFirstMonth) monthly[key] = value;
+      } else if (WORKING_CAPITAL_FIELDS[key]) {
+        const [daysKey, metric] = WORKING_CAPITAL_FIELDS[key];
+        monthly[daysKey] = annualWorkingCapital[yearIndex][metric];
+      } else if (CLOSING_BALANCE_FIELDS.includes(key)) {
+        const previous = annualInputs[yearIndex - 1]?.[key];
+        monthly[key] = typeof previous === 'number'
+          ? round2(previous + ((value - previous) * (month + 1)) / MONTHS_PER_YEAR)
+          : value;
+      } else if (definition?.type === 'percentage' || /Percent(age)?$/.test(key)) {
+        monthly[key] = value;
+      } else {
+        const share = seasonalFields.includes(key) ? profile[month] / 100 : 1 / MONTHS_PER_YEAR;
+        monthly[key] = round2(value * share);
+      }
+      return monthly;
+    }, {});
+  }));
+
+  return { profile, monthlyInputs };
+};
+
+/**
+ * Monthly processed statements with the cash roll and peak funding requirement
+ *
+ * The engine books the first period's whole working capital as an outflow; for the cash
+ * roll the first month only funds the change from the opening position, taken as the
+ * working capital at the end of the first year (steady-state assumption).
+ *
+ * @param {Array<object>} annualInputs - Raw annual period inputs
+ * @param {string} periodType - Must be 'anos'
+ * @param {object} settings - See getDefaultSeasonalitySettings
+ * @param {object} [options] - processFinancialData options (e.g., taxSettings)
+ * @returns {{
+ *   profile: number[],
+ *   periods: Array<object>,
+ *   months: Array<{monthIndex: number, label: string, closingCash: number, fundingRequirement: number}>,
+ *   peak: {monthIndex: number, label: string, closingCash: number, fundingRequirement: number}
+ * }}
+ */
+export const buildMonthlyView = (annualInputs, periodType, settings, options = {}) => {
+  const { profile, monthlyInputs } = phaseAnnualPeriods(annualInputs, periodType, settings);
+  const periods = processFinancialData(monthlyInputs, 'MONTHLY', options);
+
+  const openingWorkingCapital = periods[Math.min(MONTHS_PER_YEAR, periods.length) - 1].workingCapital.workingCapitalValue;
+  const closingCash = rollClosingCash(periods, (annualInputs[0]?.openingCash || 0) + openingWorkingCapital);
+  const minimumCash = settings.minimumCash || 0;
+
+  const months = periods.map((period, index) => ({
+    monthIndex: index,
+    label: `${MONTH_LABELS[index % MONTHS_PER_YEAR]}/${PERIOD_TYPES.anos.shortLabel} ${Math.floor(index / MONTHS_PER_YEAR) + 1}`,
+    closingCash: closingCash[index],
+    fundingRequirement: round2(Math.max(0, minimumCash - closingCash[index])),
+  }));
+  const peak = months.reduce((lowest, month) => (month.closingCash < lowest.closingCash ? month : lowest), months[0]);
+
+  return { profile, periods, months, peak };
+};
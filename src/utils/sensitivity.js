@@ -0,0 +1,185 @@
+/**
+ * Sensitivity analysis over the financial engine
+ * Two-way data tables (two drivers against one target metric) and tornado rankings
+ * of every driver over a ±X% range; each scenario re-runs the full engine
+ */
+
+import { processFinancialData } from './calculations';
+import { projectFinancialData } from './projections';
+import { rollClosingCash } from './monteCarlo';
+import { fieldDefinitions, getFieldKeys } from './fieldDefinitions';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+/**
+ * Target metrics, measured on the last period (last forecast period when projecting)
+ */
+export const SENSITIVITY_METRICS = {
+  closingCash: { label: 'Caixa Final' },
+  ebitda: { label: 'EBITDA' },
+  netProfit: { label: 'Lucro Líquido' },
+  freeCashFlow: { label: 'Fluxo de Caixa Livre' },
+};
+
+/**
+ * fieldDefinitions drivers the engine reads under a different name
+ */
+export const ENGINE_FIELD_ALIASES = {
+  depreciationAndAmortisation: 'depreciation',
+  capitalExpenditures: 'capex',
+  dividendsPaid: 'dividends',
+};
+
+/**
+ * Default sensitivity settings
+ * @returns {{metric: string, rowDriver: string, columnDriver: string, steps: number[], rangePercent: number}}
+ */
+export const getDefaultSensitivitySettings = () => ({
+  metric: 'closingCash',
+  rowDriver: 'revenue',
+  columnDriver: 'grossMarginPercentage',
+  steps: [-20, -10, 0, 10, 20],
+  rangePercent: 10,
+});
+
+/**
+ * Drivers available for sensitivity (fieldDefinitions drivers, overrides excluded)
+ * @returns {Array<{key: string, label: string}>}
+ */
+export const getSensitivityDrivers = () => getFieldKeys('Driver').map(key => ({
+  key,
+  label: fieldDefinitions[key].label,
+}));
+
+/**
+ * Scales a driver by a percentage in every period where it is provided
+ * @param {Array<object>} inputs - Raw period inputs
+ * @param {string} driver - fieldDefinitions key
+ * @param {number} percent - Relative change (e.g., 10 = +10%)
+ * @returns {Array<object>} New inputs
+ */
+export const applyDriverChange = (inputs, driver, percent) => {
+  const keys = [driver, ENGINE_FIELD_ALIASES[driver]].filter(Boolean);
+  const factor = 1 + percent / 100;
+
+  return inputs.map(period => keys.reduce((acc, key) => {
+    const value = acc[key];
+    if (typeof value === 'number' && isFinite(value)) {
+      acc[key] = value * factor;
+    }
+    return acc;
+  }, { ...period }));
+};
+
+/**
+ * Runs the engine and reads the target metric from the last period
+ * @param {Array<object>} inputs - Raw period inputs
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} options - Engine options (with optional projection)
+ * @param {string} metric - Key of SENSITIVITY_METRICS
+ * @returns {number}
+ */
+export const evaluateMetric = (inputs, periodType, options, metric) => {
+  const periods = options?.projection?.forecastPeriods > 0
+    ? projectFinancialData(inputs, periodType, options)
+    : processFinancialData(inputs, periodType, options);
+  const last = periods[periods.length - 1];
+  if (!last) return 0;
+
+  switch (metric) {
+    case 'closingCash': {
+      const closingCash = rollClosingCash(periods, inputs[0]?.openingCash || 0);
+      return closingCash[closingCash.length - 1];
+    }
+    case 'ebitda':
+      return last.incomeStatement.ebitda;
+    case 'netProfit':
+      return last.incomeStatement.netIncome;
+    case 'freeCashFlow':
+      return last.cashFlow.freeCashFlow;
+    default:
+      throw new Error(`Métrica de sensibilidade não suportada: ${metric}`);
+  }
+};
+
+/**
+ * Two-way data table: the metric for every combination of row and column changes
+ *
+ * @param {Array<object>} inputs - Raw period inputs
+ * @param {string} periodType - Period type
+ * @param {object} options - Engine options plus
+ *   sensitivity: { metric, rowDriver, columnDriver, steps }
+ * @returns {{metric: string, rowDriver: string, columnDriver: string, steps: number[], baseValue: number, values: number[][]}}
+ *   values[i][j] is the metric with rowDriver changed by steps[i] and columnDriver by steps[j]
+ */
+export const buildDataTable = (inputs, periodType, options = {}) => {
+  const { sensitivity, ...engineOptions } = options;
+  const { metric, rowDriver, columnDriver, steps } = { ...getDefaultSensitivitySettings(), ...sensitivity };
+
+  return {
+    metric,
+    rowDriver,
+    columnDriver,
+    steps,
+    baseValue: round2(evaluateMetric(inputs, periodType, engineOptions, metric)),
+    values: steps.map(rowStep => {
+      const rowInputs = applyDriverChange(inputs, rowDriver, rowStep);
+      return steps.map(columnStep => round2(evaluateMetric(
+        applyDriverChange(rowInputs, columnDriver, columnStep),
+        periodType,
+        engineOptions,
+        metric,
+      )));
+    }),
+  };
+};
+
+/**
+ * Tornado ranking: the metric with each driver moved by -X% and +X%, sorted by swing
+ * Drivers that are not provided in the inputs (or do not affect the metric) rank last
+ *
+ * @param {Array<object>} inputs - Raw period inputs
+ * @param {string} periodType - Period type
+ * @param {object} options - Engine options plus
+ *   sensitivity: { metric, rangePercent, drivers? } (drivers default to every sensitivity driver)
+ * @returns {{metric: string, rangePercent: number, baseValue: number, bars: Array<object>}}
+ */
+export const buildTornado = (inputs, periodType, options = {}) => {
+  const { sensitivity, ...engineOptions } = options;
+  const { metric, rangePercent, drivers } = { ...getDefaultSensitivitySettings(), ...sensitivity };
+  const driverKeys = drivers || getSensitivityDrivers().map(driver => driver.key);
+  const baseValue = round2(evaluateMetric(inputs, periodType, engineOptions, metric));
+
+  const bars = driverKeys.map(driver => {
+    const lowValue = round2(evaluateMetric(applyDriverChange(inputs, driver, -rangePercent), periodType, engineOptions, metric));
+    const highValue = round2(evaluateMetric(applyDriverChange(inputs, driver, rangePercent), periodType, engineOptions, metric));
+    return {
+      driver,
+      label: fieldDefinitions[driver]?.label || driver,
+      lowValue,
+      highValue,
+      lowDelta: round2(lowValue - baseValue),
+      highDelta: round2(highValue - baseValue),
+      swing: round2(Math.abs(highValue - lowValue)),
+    };
+  });
+
+  return {
+    metric,
+    rangePercent,
+    baseValue,
+    bars: bars.sort((a, b) => b.swing - a.swing),
+  };
+};
+
+/**
+ * Data table and tornado in one call (the worker's SENSITIVITY message)
+ * @param {Array<object>} inputs - Raw period inputs
+ * @param {string} periodType - Period type
+ * @param {object} options - Engine options plus sensitivity settings
+ * @returns {{dataTable: object, tornado: object}}
+ */
+export const runSensitivityAnalysis = (inputs, periodType, options = {}) => ({
+  dataTable: buildDataTable(inputs, periodType, options),
+  tornado: buildTornado(inputs, periodType, options),
+});
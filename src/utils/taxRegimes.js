@@ -0,0 +1,227 @@
+/**
+ * Brazilian corporate tax regimes (Lucro Real, Lucro Presumido, Simples Nacional)
+ * Rates follow Lei nº 9.249/1995, Lei nº 9.718/1998, Leis nº 10.637/2002 e 10.833/2003
+ * and the Simples Nacional annexes of LC nº 123/2006 (as amended by LC nº 155/2016)
+ */
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+export const TAX_REGIMES = {
+  LUCRO_REAL: 'lucro_real',
+  LUCRO_PRESUMIDO: 'lucro_presumido',
+  SIMPLES_NACIONAL: 'simples_nacional',
+};
+
+export const TAX_REGIME_LABELS = {
+  [TAX_REGIMES.LUCRO_REAL]: 'Lucro Real',
+  [TAX_REGIMES.LUCRO_PRESUMIDO]: 'Lucro Presumido',
+  [TAX_REGIMES.SIMPLES_NACIONAL]: 'Simples Nacional',
+};
+
+export const PIS_COFINS_MODES = {
+  CUMULATIVE: 'cumulative',
+  NON_CUMULATIVE: 'non_cumulative',
+};
+
+/**
+ * PIS/COFINS rates: cumulative on gross revenue (Lei nº 9.718/1998),
+ * non-cumulative with credits on purchases (Leis nº 10.637/2002 e 10.833/2003)
+ */
+export const PIS_COFINS_RATES = {
+  [PIS_COFINS_MODES.CUMULATIVE]: { pis: 0.0065, cofins: 0.03 },
+  [PIS_COFINS_MODES.NON_CUMULATIVE]: { pis: 0.0165, cofins: 0.076 },
+};
+
+/**
+ * Lucro Presumido presumption percentages applied to gross revenue, per activity
+ */
+export const PRESUMPTION_RATES = {
+  comercio: { label: 'Comércio', irpj: 0.08, csll: 0.12 },
+  industria: { label: 'Indústria', irpj: 0.08, csll: 0.12 },
+  servicos: { label: 'Prestação de Serviços em Geral', irpj: 0.32, csll: 0.32 },
+  servicos_hospitalares: { label: 'Serviços Hospitalares', irpj: 0.08, csll: 0.12 },
+  transporte_cargas: { label: 'Transporte de Cargas', irpj: 0.08, csll: 0.12 },
+  transporte_passageiros: { label: 'Transporte de Passageiros', irpj: 0.16, csll: 0.12 },
+  revenda_combustiveis: { label: 'Revenda de Combustíveis', irpj: 0.016, csll: 0.12 },
+};
+
+export const SIMPLES_NACIONAL_REVENUE_LIMIT = 4800000;
+
+/**
+ * Simples Nacional brackets by trailing-12-month gross revenue (RBT12)
+ * Each bracket: upper revenue limit, nominal rate and deduction amount (parcela a deduzir)
+ */
+export const SIMPLES_NACIONAL_ANNEXES = {
+  I: {
+    label: 'Anexo I - Comércio',
+    brackets: [
+      { limit: 180000, rate: 0.04, deduction: 0 },
+      { limit: 360000, rate: 0.073, deduction: 5940 },
+      { limit: 720000, rate: 0.095, deduction: 13860 },
+      { limit: 1800000, rate: 0.107, deduction: 22500 },
+      { limit: 3600000, rate: 0.143, deduction: 87300 },
+      { limit: 4800000, rate: 0.19, deduction: 378000 },
+    ],
+  },
+  II: {
+    label: 'Anexo II - Indústria',
+    brackets: [
+      { limit: 180000, rate: 0.045, deduction: 0 },
+      { limit: 360000, rate: 0.078, deduction: 5940 },
+      { limit: 720000, rate: 0.10, deduction: 13860 },
+      { limit: 1800000, rate: 0.112, deduction: 22500 },
+      { limit: 3600000, rate: 0.147, deduction: 85500 },
+      { limit: 4800000, rate: 0.30, deduction: 720000 },
+    ],
+  },
+  III: {
+    label: 'Anexo III - Serviços',
+    brackets: [
+      { limit: 180000, rate: 0.06, deduction: 0 },
+      { limit: 360000, rate: 0.112, deduction: 9360 },
+      { limit: 720000, rate: 0.135, deduction: 17640 },
+      { limit: 1800000, rate: 0.16, deduction: 35640 },
+      { limit: 3600000, rate: 0.21, deduction: 125640 },
+      { limit: 4800000, rate: 0.33, deduction: 648000 },
+    ],
+  },
+  IV: {
+    label: 'Anexo IV - Serviços (CPP recolhida à parte)',
+    brackets: [
+      { limit: 180000, rate: 0.045, deduction: 0 },
+      { limit: 360000, rate: 0.09, deduction: 8100 },
+      { limit: 720000, rate: 0.102, deduction: 12420 },
+      { limit: 1800000, rate: 0.14, deduction: 39780 },
+      { limit: 3600000, rate: 0.22, deduction: 183780 },
+      { limit: 4800000, rate: 0.33, deduction: 828000 },
+    ],
+  },
+  V: {
+    label: 'Anexo V - Serviços',
+    brackets: [
+      { limit: 180000, rate: 0.155, deduction: 0 },
+      { limit: 360000, rate: 0.18, deduction: 4500 },
+      { limit: 720000, rate: 0.195, deduction: 9900 },
+      { limit: 1800000, rate: 0.205, deduction: 17100 },
+      { limit: 3600000, rate: 0.23, deduction: 62100 },
+      { limit: 4800000, rate: 0.305, deduction: 540000 },
+    ],
+  },
+};
+
+/**
+ * Default tax settings (Lucro Real, commercial activity, non-cumulative PIS/COFINS, net revenue inputs)
+ * @returns {object} Tax settings as stored in ProjectSettings.taxRegime
+ */
+export const getDefaultTaxSettings = () => ({
+  regime: TAX_REGIMES.LUCRO_REAL,
+  activity: 'comercio',
+  simplesAnnex: 'I',
+  pisCofinsMode: PIS_COFINS_MODES.NON_CUMULATIVE,
+  grossRevenue: false,
+});
+
+/**
+ * Resolves the PIS/COFINS mode for a regime
+ * Lucro Presumido is always cumulative; Lucro Real honours the configured mode
+ *
+ * @param {object} taxSettings - Tax settings
+ * @returns {string|null} PIS/COFINS mode, or null for Simples Nacional (included in DAS)
+ */
+export const resolvePisCofinsMode = (taxSettings) => {
+  if (taxSettings.regime === TAX_REGIMES.SIMPLES_NACIONAL) return null;
+  if (taxSettings.regime === TAX_REGIMES.LUCRO_PRESUMIDO) return PIS_COFINS_MODES.CUMULATIVE;
+  return taxSettings.pisCofinsMode === PIS_COFINS_MODES.CUMULATIVE
+    ? PIS_COFINS_MODES.CUMULATIVE
+    : PIS_COFINS_MODES.NON_CUMULATIVE;
+};
+
+/**
+ * Calculates PIS and COFINS on revenue
+ * Non-cumulative mode takes credits on the purchase base (COGS)
+ *
+ * @param {number} revenue - Gross revenue for the period
+ * @param {number} creditBase - Purchases eligible for credits (non-cumulative only)
+ * @param {string} mode - PIS_COFINS_MODES value
+ * @returns {object} PIS, COFINS, total and the taxable base used
+ */
+export const calculatePisCofins = (revenue, creditBase, mode) => {
+  const rates = PIS_COFINS_RATES[mode] || PIS_COFINS_RATES[PIS_COFINS_MODES.CUMULATIVE];
+  const grossRevenue = Math.max(0, revenue || 0);
+  const base = mode === PIS_COFINS_MODES.NON_CUMULATIVE
+    ? Math.max(0, grossRevenue - Math.max(0, creditBase || 0))
+    : grossRevenue;
+
+  const pis = round2(base * rates.pis);
+  const cofins = round2(base * rates.cofins);
+
+  return {
+    pis,
+    cofins,
+    total: round2(pis + cofins),
+    base: round2(base),
+    mode,
+  };
+};
+
+/**
+ * Calculates IRPJ and CSLL under Lucro Presumido
+ * Taxable bases are a presumed percentage of gross revenue, regardless of accounting profit
+ *
+ * @param {number} revenue - Gross revenue for the period
+ * @param {string} activity - Key of PRESUMPTION_RATES
+ * @param {number} months - Number of months in the period
+ * @returns {object} IRPJ (base + surtax), CSLL and presumed bases
+ */
+export const calculatePresumedProfitTaxes = (revenue, activity, months = 12) => {
+  const presumption = PRESUMPTION_RATES[activity] || PRESUMPTION_RATES.comercio;
+  const grossRevenue = Math.max(0, revenue || 0);
+
+  const irpjPresumedBase = grossRevenue * presumption.irpj;
+  const csllPresumedBase = grossRevenue * presumption.csll;
+
+  const periodThreshold = 20000 * months;
+  const irpjBase = irpjPresumedBase * 0.15;
+  const irpjSurtax = Math.max(0, irpjPresumedBase - periodThreshold) * 0.10;
+  const irpj = round2(irpjBase + irpjSurtax);
+  const csll = round2(csllPresumedBase * 0.09);
+
+  return {
+    irpj,
+    irpjBase: round2(irpjBase),
+    irpjSurtax: round2(irpjSurtax),
+    csll,
+    total: round2(irpj + csll),
+    irpjPresumedBase: round2(irpjPresumedBase),
+    csllPresumedBase: round2(csllPresumedBase),
+  };
+};
+
+/**
+ * Calculates the Simples Nacional effective rate for a trailing-12-month revenue
+ * Effective rate = (RBT12 × nominal rate − deduction) / RBT12
+ *
+ * @param {number} rbt12 - Trailing-12-month gross revenue
+ * @param {string} annex - Key of SIMPLES_NACIONAL_ANNEXES
+ * @returns {object} Bracket number, nominal/effective rates and limit flag
+ */
+export const calculateSimplesNacionalRate = (rbt12, annex = 'I') => {
+  const { brackets } = SIMPLES_NACIONAL_ANNEXES[annex] || SIMPLES_NACIONAL_ANNEXES.I;
+  const revenue = Math.max(0, rbt12 || 0);
+
+  let bracketIndex = brackets.findIndex(bracket => revenue <= bracket.limit);
+  const exceedsLimit = bracketIndex === -1;
+  if (exceedsLimit) bracketIndex = brackets.length - 1;
+
+  const { rate, deduction } = brackets[bracketIndex];
+  // First bracket (and start-up companies with no revenue history) pay the nominal rate
+  const effectiveRate = revenue > 0 ? (revenue * rate - deduction) / revenue : rate;
+
+  return {
+    bracket: bracketIndex + 1,
+    nominalRate: rate,
+    deduction,
+    effectiveRate: Math.round(effectiveRate * 1000000) / 1000000,
+    exceedsLimit,
+  };
+};
@@ -0,0 +1,250 @@
+/**
+ * Business valuation by discounted cash flow (DCF)
+ * Free cash flow to firm from the projected statements, WACC built from CAPM with
+ * Brazilian country risk premium and after-tax cost of debt, terminal value by Gordon
+ * growth or exit multiple, and the enterprise-to-equity bridge
+ */
+
+import { projectFinancialData } from './projections';
+import { rollClosingCash } from './monteCarlo';
+import { getPeriodsPerYear } from './constants';
+
+const round2 = (num) => Math.round(num * 100) / 100;
+const round4 = (num) => Math.round(num * 10000) / 10000;
+
+export const TERMINAL_VALUE_METHODS = {
+  GORDON: 'gordon',
+  EXIT_MULTIPLE: 'exitMultiple',
+};
+
+export const TERMINAL_VALUE_METHOD_LABELS = {
+  [TERMINAL_VALUE_METHODS.GORDON]: 'Crescimento Perpétuo (Gordon)',
+  [TERMINAL_VALUE_METHODS.EXIT_MULTIPLE]: 'Múltiplo de Saída (EV/EBITDA)',
+};
+
+/**
+ * Default valuation settings
+ * Rates are stored as percent values (e.g., 4.5 = 4.5% a.a.); debtWeight null uses
+ * the book capital structure of the last historical period
+ * @returns {object}
+ */
+export const getDefaultValuationSettings = () => ({
+  forecastPeriods: 5,
+  riskFreeRate: 4.5,
+  beta: 1,
+  equityRiskPremium: 5.5,
+  countryRiskPremium: 2.5,
+  costOfDebt: 14,
+  taxRate: 34,
+  debtWeight: null,
+  terminalMethod: TERMINAL_VALUE_METHODS.GORDON,
+  terminalGrowth: 3.5,
+  exitMultiple: 6,
+  waccSteps: [-2, -1, 0, 1, 2],
+  growthSteps: [-1, -0.5, 0, 0.5, 1],
+  multipleSteps: [-2, -1, 0, 1, 2],
+});
+
+/**
+ * WACC from CAPM with country risk premium and after-tax cost of debt
+ * Ke = Rf + β × ERP + CRP; Kd after tax = Kd × (1 - t); WACC = We × Ke + Wd × Kd after tax
+ * @param {object} settings - Valuation settings (percent values)
+ * @param {{debt: number, equity: number}} [capitalStructure] - Book values used when debtWeight is null
+ * @returns {{costOfEquity: number, costOfDebtPreTax: number, costOfDebtAfterTax: number,
+ *   equityWeight: number, debtWeight: number, wacc: number}} Percent values
+ */
+export const buildWacc = (settings, capitalStructure = { debt: 0, equity: 0 }) => {
+  const costOfEquity = settings.riskFreeRate + settings.beta * settings.equityRiskPremium + settings.countryRiskPremium;
+  const costOfDebtAfterTax = settings.costOfDebt * (1 - settings.taxRate / 100);
+
+  let debtWeight = settings.debtWeight;
+  if (typeof debtWeight !== 'number') {
+    const { debt = 0, equity = 0 } = capitalStructure;
+    // Negative book equity would give a debt weight above 100%; treat as all-debt capped at 100%
+    const invested = Math.max(0, debt) + Math.max(0, equity);
+    debtWeight = invested > 0 ? (Math.max(0, debt) / invested) * 100 : 0;
+  }
+  debtWeight = Math.min(100, Math.max(0, debtWeight));
+
+  return {
+    costOfEquity: round4(costOfEquity),
+    costOfDebtPreTax: round4(settings.costOfDebt),
+    costOfDebtAfterTax: round4(costOfDebtAfterTax),
+    equityWeight: round4(100 - debtWeight),
+    debtWeight: round4(debtWeight),
+    wacc: round4(((100 - debtWeight) * costOfEquity + debtWeight * costOfDebtAfterTax) / 100),
+  };
+};
+
+/**
+ * Free cash flow to firm of a processed period
+ * FCFF = EBIT × (1 - t) + D&A + working capital change (negative = investment) - CAPEX
+ * @param {object} period - processFinancialData period
+ * @param {number} taxRate - Tax rate on EBIT (percent)
+ * @returns {{ebit: number, nopat: number, depreciation: number, workingCapitalChange: number, capex: number, fcff: number}}
+ */
+export const calculateFcff = (period, taxRate) => {
+  const ebit = period.incomeStatement.ebit || 0;
+  const nopat = ebit * (1 - taxRate / 100);
+  const depreciation = period.incomeStatement.depreciation || 0;
+  const workingCapitalChange = period.cashFlow.workingCapitalChange || 0;
+  const capex = period.cashFlow.capex || 0;
+
+  return {
+    ebit: round2(ebit),
+    nopat: round2(nopat),
+    depreciation: round2(depreciation),
+    workingCapitalChange: round2(workingCapitalChange),
+    capex: round2(capex),
+    fcff: round2(nopat + depreciation + workingCapitalChange - capex),
+  };
+};
+
+/**
+ * Terminal value at the end of the explicit forecast (annual figures)
+ * @param {object} params
+ * @param {string} params.method - TERMINAL_VALUE_METHODS value
+ * @param {number} params.annualFcff - Last forecast FCFF, annualized
+ * @param {number} params.annualEbitda - Last forecast EBITDA, annualized
+ * @param {number} params.wacc - WACC (percent)
+ * @param {number} params.growth - Perpetual growth (percent)
+ * @param {number} params.exitMultiple - EV/EBITDA multiple
+ * @returns {number}
+ */
+export const calculateTerminalValue = ({ method, annualFcff, annualEbitda, wacc, growth, exitMultiple }) => {
+  if (method === TERMINAL_VALUE_METHODS.EXIT_MULTIPLE) {
+    return annualEbitda * exitMultiple;
+  }
+  if (wacc <= growth) {
+    throw new Error('O WACC deve ser maior que a taxa de crescimento perpétuo.');
+  }
+  return annualFcff * (1 + growth / 100) / ((wacc - growth) / 100);
+};
+
+/**
+ * Discounts the explicit flows and the terminal value, and bridges to equity value
+ * Flows are discounted at the end of each period from the valuation date (end of the
+ * last historical period)
+ */
+const discount = ({ flows, periodsPerYear, wacc, terminalValue, netDebt }) => {
+  const factors = flows.map((_, index) => 1 / Math.pow(1 + wacc / 100, (index + 1) / periodsPerYear));
+  const presentValueOfFlows = flows.reduce((sum, flow, index) => sum + flow * factors[index], 0);
+  const presentValueOfTerminal = terminalValue * (factors[factors.length - 1] || 1);
+  const enterpriseValue = presentValueOfFlows + presentValueOfTerminal;
+
+  return {
+    factors,
+    presentValueOfFlows,
+    presentValueOfTerminal,
+    enterpriseValue,
+    equityValue: enterpriseValue - netDebt,
+  };
+};
+
+/**
+ * DCF valuation of the company
+ *
+ * @param {Array<object>} historicalInputs - Raw historical period inputs
+ * @param {string} periodType - Period type (see processFinancialData)
+ * @param {object} options - Engine options (projection assumptions are reused) plus
+ *   valuation: see getDefaultValuationSettings
+ * @returns {object} wacc build-up, forecast FCFF rows, terminal value, enterprise-to-equity
+ *   bridge and a WACC × g grid of equity values (WACC × exit multiple when valued by multiple)
+ */
+export const valueCompany = (historicalInputs, periodType, options = {}) => {
+  const { valuation, projection, ...engineOptions } = options;
+  const settings = { ...getDefaultValuationSettings(), ...valuation };
+
+  if (!Array.isArray(historicalInputs) || historicalInputs.length === 0) {
+    throw new Error('Não há períodos históricos para a avaliação.');
+  }
+  if (!(settings.forecastPeriods > 0)) {
+    throw new Error('A avaliação requer ao menos um período projetado.');
+  }
+
+  const periods = projectFinancialData(historicalInputs, periodType, {
+    ...engineOptions,
+    projection: { assumptions: projection?.assumptions || {}, forecastPeriods: settings.forecastPeriods },
+  });
+  const historicalCount = historicalInputs.length;
+  const lastHistorical = periods[historicalCount - 1];
+  const forecast = periods.slice(historicalCount);
+  const periodsPerYear = getPeriodsPerYear(periodType);
+
+  // Net debt at the valuation date: the debt schedule's closing balance when facilities are
+  // configured (typed bank loans otherwise) less cash rolled from the opening balance
+  const debt = lastHistorical.debt
+    ? lastHistorical.debt.closingDebt
+    : historicalInputs[historicalCount - 1].totalBankLoans || 0;
+  const cash = rollClosingCash(periods, historicalInputs[0].openingCash || 0)[historicalCount - 1];
+  const netDebt = debt - cash;
+
+  const wacc = buildWacc(settings, { debt, equity: lastHistorical.balanceSheet?.equity || 0 });
+  const rows = forecast.map((period, index) => ({
+    periodIndex: historicalCount + index,
+    ebitda: round2(period.incomeStatement.ebitda),
+    ...calculateFcff(period, settings.taxRate),
+  }));
+  const flows = rows.map(row => row.fcff);
+  const lastRow = rows[rows.length - 1];
+
+  const valueAt = (rate, growth, exitMultiple) => {
+    const terminalValue = calculateTerminalValue({
+      method: settings.terminalMethod,
+      annualFcff: lastRow.fcff * periodsPerYear,
+      annualEbitda: lastRow.ebitda * periodsPerYear,
+      wacc: rate,
+      growth,
+      exitMultiple,
+    });
+    return { terminalValue, ...discount({ flows, periodsPerYear, wacc: rate, terminalValue, netDebt }) };
+  };
+
+  const base = valueAt(wacc.wacc, settings.terminalGrowth, settings.exitMultiple);
+  const isGordon = settings.terminalMethod !== TERMINAL_VALUE_METHODS.EXIT_MULTIPLE;
+  const columnBase = isGordon ? settings.terminalGrowth : settings.exitMultiple;
+  const columnSteps = isGordon ? settings.growthSteps : settings.multipleSteps;
+
+  return {
+    settings,
+    wacc,
+    periodsPerYear,
+    forecast: rows.map((row, index) => ({
+      ...row,
+      discountFactor: round4(base.factors[index]),
+      presentValue: round2(row.fcff * base.factors[index]),
+    })),
+    terminalValue: {
+      method: settings.terminalMethod,
+      value: round2(base.terminalValue),
+      presentValue: round2(base.presentValueOfTerminal),
+      growth: settings.terminalGrowth,
+      exitMultiple: settings.exitMultiple,
+      shareOfEnterpriseValue: round2(base.enterpriseValue
+        ? (base.presentValueOfTerminal / base.enterpriseValue) * 100
+        : 0),
+    },
+    bridge: {
+      presentValueOfFlows: round2(base.presentValueOfFlows),
+      presentValueOfTerminal: round2(base.presentValueOfTerminal),
+      enterpriseValue: round2(base.enterpriseValue),
+      debt: round2(debt),
+      cash: round2(cash),
+      netDebt: round2(netDebt),
+      equityValue: round2(base.equityValue),
+    },
+    grid: {
+      variable: isGordon ? 'growth' : 'exitMultiple',
+      waccValues: settings.waccSteps.map(step => round4(wacc.wacc + step)),
+      columnValues: columnSteps.map(step => round4(columnBase + step)),
+      // Equity value per WACC (rows) and growth / multiple (columns); null where WACC <= g
+      equityValues: settings.waccSteps.map(waccStep => columnSteps.map(columnStep => {
+        const rate = wacc.wacc + waccStep;
+        const growth = isGordon ? settings.terminalGrowth + columnStep : settings.terminalGrowth;
+        const multiple = isGordon ? settings.exitMultiple : settings.exitMultiple + columnStep;
+        if (isGordon && rate <= growth) return null;
+        return round2(valueAt(rate, growth, multiple).equityValue);
+      })),
+    },
+  };
+};
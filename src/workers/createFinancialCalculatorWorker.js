@@ -0,0 +1,11 @@
+// src/workers/createFinancialCalculatorWorker.js
+
+/**
+ * Creates the financial calculation worker
+ * webpack bundles the worker and the utils it imports from the new URL(..., import.meta.url)
+ * pattern; Jest cannot parse import.meta, so FinancialCalculationService loads this module lazily
+ * @returns {Worker}
+ */
+export const createFinancialCalculatorWorker = () => new Worker(
+  new URL('./financialCalculator.worker.js', import.meta.url),
+);
@@ -1,5 +1,19 @@
 /* eslint-disable no-restricted-globals */
 // src/workers/financialCalculator.worker.js
+import { processFinancialData } from '../utils/calculations';
+import { projectFinancialData } from '../utils/projections';
+import {
+  simulateCashFlow,
+  MAX_SIMULATION_ITERATIONS,
+  MAX_SIMULATION_FORECAST_PERIODS,
+  MAX_SIMULATION_PERIOD_ITERATIONS,
+} from '../utils/monteCarlo';
+import { runSensitivityAnalysis } from '../utils/sensitivity';
+import { goalSeek } from '../utils/goalSeek';
+import { valueCompany } from '../utils/valuation';
+import { compareToBudget } from '../utils/budgetVariance';
+import { compareScenarios } from '../utils/scenarioComparison';
+import { consolidateEntities } from '../utils/consolidation';
 
 // Financial calculation functions (self-contained for worker)
 const round2 = (num) => Math.round(num * 100) / 100;
@@ -219,6 +233,17 @@ const validateInputs = (type, data) => {
       break;
       
     case 'PROJECTION':
+      // Three-statement projection from historical inputs
+      if (data.periodsInputDataRaw) {
+        if (!Array.isArray(data.periodsInputDataRaw) || data.periodsInputDataRaw.length === 0) {
+          errors.push('Historical periods must be a non-empty array');
+        }
+        const forecastPeriods = data.options?.projection?.forecastPeriods;
+        if (typeof forecastPeriods !== 'number' || forecastPeriods <= 0 || !Number.isInteger(forecastPeriods)) {
+          errors.push('Forecast periods must be a positive integer');
+        }
+        break;
+      }
       if (typeof data.baseCashFlow !== 'number' || data.baseCashFlow <= 0) {
         errors.push('Base cash flow must be a positive number');
       }
@@ -229,6 +254,128 @@ const validateInputs = (type, data) => {
         errors.push('Periods must be a positive integer');
       }
       break;
+
+    case 'MONTE_CARLO': {
+      const simulation = data.options?.simulation || {};
+      if (!Array.isArray(data.periodsInputDataRaw) || data.periodsInputDataRaw.length === 0) {
+        errors.push('Historical periods must be a non-empty array');
+      }
+      if (!Number.isInteger(simulation.iterations) || simulation.iterations <= 0 || simulation.iterations > MAX_SIMULATION_ITERATIONS) {
+        errors.push(`Iterations must be an integer between 1 and ${MAX_SIMULATION_ITERATIONS}`);
+      }
+      if (!Number.isInteger(simulation.forecastPeriods) || simulation.forecastPeriods <= 0
+        || simulation.forecastPeriods > MAX_SIMULATION_FORECAST_PERIODS) {
+        errors.push(`Forecast periods must be an integer between 1 and ${MAX_SIMULATION_FORECAST_PERIODS}`);
+      }
+      if (errors.length === 0
+        && simulation.iterations * (data.periodsInputDataRaw.length + simulation.forecastPeriods) > MAX_SIMULATION_PERIOD_ITERATIONS) {
+        errors.push(`Iterations × periods (historical + forecast) must not exceed ${MAX_SIMULATION_PERIOD_ITERATIONS}; reduce the iterations or the forecast periods`);
+      }
+      Object.entries(simulation.drivers || {}).forEach(([driver, spec]) => {
+        if (!['normal', 'triangular', 'uniform'].includes(spec?.distribution)) {
+          errors.push(`Driver ${driver} must use a normal, triangular or uniform distribution`);
+        } else if (spec.distribution === 'normal' && !(spec.stdDev >= 0)) {
+          errors.push(`Driver ${driver} must have a non-negative standard deviation`);
+        } else if (spec.distribution !== 'normal' && !(spec.max >= spec.min)) {
+          errors.push(`Driver ${driver} must have max greater than or equal to min`);
+        }
+      });
+      break;
+    }
+
+    case 'SENSITIVITY': {
+      const sensitivity = data.options?.sensitivity || {};
+      if (!Array.isArray(data.periodsInputDataRaw) || data.periodsInputDataRaw.length === 0) {
+        errors.push('Historical periods must be a non-empty array');
+      }
+      if (sensitivity.metric !== undefined && !['closingCash', 'ebitda', 'netProfit', 'freeCashFlow'].includes(sensitivity.metric)) {
+        errors.push('Metric must be closingCash, ebitda, netProfit or freeCashFlow');
+      }
+      if (sensitivity.steps !== undefined && (!Array.isArray(sensitivity.steps) || sensitivity.steps.length === 0
+        || sensitivity.steps.some(step => typeof step !== 'number' || !isFinite(step)))) {
+        errors.push('Steps must be a non-empty array of numbers');
+      }
+      if (sensitivity.rangePercent !== undefined && !(sensitivity.rangePercent > 0)) {
+        errors.push('Range percent must be a positive number');
+      }
+      break;
+    }
+
+    case 'GOAL_SEEK': {
+      const settings = data.options?.goalSeek || {};
+      if (!Array.isArray(data.periodsInputDataRaw) || data.periodsInputDataRaw.length === 0) {
+        errors.push('Historical periods must be a non-empty array');
+      }
+      if (!['closingCash', 'ebitda', 'netProfit', 'freeCashFlow'].includes(settings.metric)) {
+        errors.push('Metric must be closingCash, ebitda, netProfit or freeCashFlow');
+      }
+      if (typeof settings.target !== 'number' || !isFinite(settings.target)) {
+        errors.push('Target must be a number');
+      }
+      if (!Array.isArray(settings.drivers) || settings.drivers.length === 0) {
+        errors.push('At least one driver is required');
+      }
+      break;
+    }
+
+    case 'VALUATION': {
+      const valuation = data.options?.valuation || {};
+      if (!Array.isArray(data.periodsInputDataRaw) || data.periodsInputDataRaw.length === 0) {
+        errors.push('Historical periods must be a non-empty array');
+      }
+      if (!Number.isInteger(valuation.forecastPeriods) || valuation.forecastPeriods <= 0) {
+        errors.push('Forecast periods must be a positive integer');
+      }
+      if (!['gordon', 'exitMultiple'].includes(valuation.terminalMethod)) {
+        errors.push('Terminal method must be gordon or exitMultiple');
+      }
+      ['riskFreeRate', 'beta', 'equityRiskPremium', 'countryRiskPremium', 'costOfDebt', 'taxRate'].forEach(key => {
+        if (typeof valuation[key] !== 'number' || !isFinite(valuation[key])) {
+          errors.push(`${key} must be a number`);
+        }
+      });
+      break;
+    }
+
+    case 'BUDGET_VARIANCE': {
+      const budget = data.options?.budget || {};
+      if (!Array.isArray(data.periodsInputDataRaw) || data.periodsInputDataRaw.length === 0) {
+        errors.push('Actual periods must be a non-empty array');
+      }
+      if (!Array.isArray(budget.periods) || budget.periods.length === 0) {
+        errors.push('Budget periods must be a non-empty array');
+      }
+      if (budget.productMix !== undefined && !Array.isArray(budget.productMix)) {
+        errors.push('Product mix must be an array');
+      }
+      break;
+    }
+
+    case 'SCENARIO_COMPARISON': {
+      if (!Array.isArray(data.scenarios) || data.scenarios.length === 0) {
+        errors.push('Scenarios must be a non-empty array');
+        break;
+      }
+      data.scenarios.forEach((scenario, index) => {
+        if (!Array.isArray(scenario.periods) || scenario.periods.length === 0) {
+          errors.push(`Scenario ${index + 1}: periods must be a non-empty array`);
+        }
+      });
+      break;
+    }
+
+    case 'CONSOLIDATION': {
+      if (!Array.isArray(data.entities) || data.entities.length < 2) {
+        errors.push('Entities must be an array with at least two entities');
+        break;
+      }
+      data.entities.forEach((entity, index) => {
+        if (!Array.isArray(entity.periods) || entity.periods.length === 0) {
+          errors.push(`Entity ${index + 1}: periods must be a non-empty array`);
+        }
+      });
+      break;
+    }
   }
   
   return errors;
@@ -248,10 +395,10 @@ self.onmessage = function(event) {
     switch (type) {
       case 'FINANCIAL_DATA':
         // Legacy support for existing processFinancialData
-        const { processFinancialData } = require('../utils/calculations.js');
         const calculatedData = processFinancialData(
           data.periodsInputDataRaw,
           data.periodTypeLabel,
+          data.options,
         );
         
         self.postMessage({
@@ -312,6 +459,16 @@ self.onmessage = function(event) {
           throw new Error(projectionErrors.join('; '));
         }
         
+        if (data.periodsInputDataRaw) {
+          self.postMessage({
+            success: true,
+            data: projectFinancialData(data.periodsInputDataRaw, data.periodTypeLabel, data.options),
+            timestamp,
+            id,
+          });
+          return;
+        }
+
         result = projectCashFlows(
           data.baseCashFlow,
           data.growthRate,
@@ -320,13 +477,84 @@ self.onmessage = function(event) {
         );
         break;
         
-      case 'SENSITIVITY':
-        result = performSensitivityAnalysis(
-          data.baseCase,
-          data.variables,
-          data.calculation,
-        );
+      case 'MONTE_CARLO': {
+        const monteCarloErrors = validateInputs('MONTE_CARLO', data);
+        if (monteCarloErrors.length > 0) {
+          throw new Error(monteCarloErrors.join('; '));
+        }
+
+        result = simulateCashFlow(data.periodsInputDataRaw, data.periodTypeLabel, data.options);
         break;
+      }
+        
+      case 'SENSITIVITY': {
+        if (!data.periodsInputDataRaw) {
+          result = performSensitivityAnalysis(
+            data.baseCase,
+            data.variables,
+            data.calculation,
+          );
+          break;
+        }
+
+        const sensitivityErrors = validateInputs('SENSITIVITY', data);
+        if (sensitivityErrors.length > 0) {
+          throw new Error(sensitivityErrors.join('; '));
+        }
+
+        result = runSensitivityAnalysis(data.periodsInputDataRaw, data.periodTypeLabel, data.options);
+        break;
+      }
+
+      case 'GOAL_SEEK': {
+        const goalSeekErrors = validateInputs('GOAL_SEEK', data);
+        if (goalSeekErrors.length > 0) {
+          throw new Error(goalSeekErrors.join('; '));
+        }
+
+        result = goalSeek(data.periodsInputDataRaw, data.periodTypeLabel, data.options);
+        break;
+      }
+
+      case 'VALUATION': {
+        const valuationErrors = validateInputs('VALUATION', data);
+        if (valuationErrors.length > 0) {
+          throw new Error(valuationErrors.join('; '));
+        }
+
+        result = valueCompany(data.periodsInputDataRaw, data.periodTypeLabel, data.options);
+        break;
+      }
+
+      case 'BUDGET_VARIANCE': {
+        const varianceErrors = validateInputs('BUDGET_VARIANCE', data);
+        if (varianceErrors.length > 0) {
+          throw new Error(varianceErrors.join('; '));
+        }
+
+        result = compareToBudget(data.periodsInputDataRaw, data.periodTypeLabel, data.options);
+        break;
+      }
+
+      case 'SCENARIO_COMPARISON': {
+        const scenarioErrors = validateInputs('SCENARIO_COMPARISON', data);
+        if (scenarioErrors.length > 0) {
+          throw new Error(scenarioErrors.join('; '));
+        }
+
+        result = compareScenarios(data.scenarios, data.periodTypeLabel, data.options);
+        break;
+      }
+
+      case 'CONSOLIDATION': {
+        const consolidationErrors = validateInputs('CONSOLIDATION', data);
+        if (consolidationErrors.length > 0) {
+          throw new Error(consolidationErrors.join('; '));
+        }
+
+        result = consolidateEntities(data.entities, data.periodTypeLabel, data.options);
+        break;
+      }
         
       case 'BATCH':
         // Process multiple calculations
@@ -356,7 +584,6 @@ self.onmessage = function(event) {
       default:
         // Handle legacy format for backward compatibility
         if (data.periodsInputDataRaw) {
-          const { processFinancialData } = require('../utils/calculations.js');
           const calculatedData = processFinancialData(
             data.periodsInputDataRaw,
             data.periodTypeLabel,
@@ -424,14 +651,12 @@ const optimizeForLargeDatasets = (data) => {
   return data;
 };
 
-// Export for testing (if module system is available)
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    calculateNPV,
-    calculateIRR,
-    calculatePaybackPeriod,
-    calculateBreakEven,
-    projectCashFlows,
-    performSensitivityAnalysis,
-  };
-}
\ No newline at end of file
+// Export for testing
+export {
+  calculateNPV,
+  calculateIRR,
+  calculatePaybackPeriod,
+  calculateBreakEven,
+  projectCashFlows,
+  performSensitivityAnalysis,
+};
\ No newline at end of file